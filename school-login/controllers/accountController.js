@@ -0,0 +1,86 @@
+const accountService = require("../services/accountService");
+const notificationService = require("../services/notificationService");
+const sessionService = require("../services/sessionService");
+
+const HOME_BY_ROLE = {
+  admin: "/admin",
+  teacher: "/teacher",
+  student: "/student",
+  guardian: "/guardian"
+};
+const NOTICE_MESSAGES = {
+  passwordChanged: "Dein Passwort wurde geändert. Alle anderen Sitzungen wurden abgemeldet.",
+  preferencesSaved: "Deine Benachrichtigungen wurden gespeichert."
+};
+
+function resolveNotice(query = {}) {
+  const key = Object.keys(NOTICE_MESSAGES).find((entry) => query[entry] === "1");
+  return key ? NOTICE_MESSAGES[key] : null;
+}
+
+async function renderAccountPage(req, res, { status = 200, passwordError = null } = {}) {
+  const user = req.session.user;
+  const [account, preferences] = await Promise.all([
+    accountService.getAccountOverview(user.id),
+    notificationService.getPreferences(user)
+  ]);
+  return res.status(status).render("account/overview", {
+    csrfToken: req.csrfToken(),
+    account,
+    activeSchoolYear: res.locals.activeSchoolYear || null,
+    preferences,
+    notice: resolveNotice(req.query),
+    passwordError,
+    homeUrl: HOME_BY_ROLE[user.role] || "/"
+  });
+}
+
+async function showAccount(req, res, next) {
+  try {
+    return await renderAccountPage(req, res);
+  } catch (err) {
+    return next(err);
+  }
+}
+
+async function changePassword(req, res, next) {
+  try {
+    await accountService.changePassword(
+      req.session.user.id,
+      {
+        currentPassword: req.body?.current_password,
+        newPassword: req.body?.new_password,
+        confirmPassword: req.body?.confirm_password
+      },
+      {
+        routePath: req.originalUrl.split("?")[0],
+        ipAddress: req.ip || null,
+        userAgent: req.get("user-agent") || null
+      }
+    );
+    await sessionService.revokeOtherSessions(req.sessionStore, req.session.user.id, req.sessionID);
+    return res.redirect("/account?passwordChanged=1");
+  } catch (err) {
+    if (!err.status) return next(err);
+    try {
+      return await renderAccountPage(req, res, { status: err.status, passwordError: err.message });
+    } catch (renderErr) {
+      return next(renderErr);
+    }
+  }
+}
+
+async function savePreferences(req, res, next) {
+  try {
+    await notificationService.savePreferences(req.session.user, req.body?.preferences);
+    return res.redirect("/account?preferencesSaved=1");
+  } catch (err) {
+    return next(err);
+  }
+}
+
+module.exports = {
+  changePassword,
+  savePreferences,
+  showAccount
+};
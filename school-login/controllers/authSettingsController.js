@@ -0,0 +1,52 @@
+const authSettingsService = require("../services/authSettingsService");
+const oidcService = require("../services/oidcService");
+
+const ROLE_LABELS = {
+  admin: "Admin",
+  teacher: "Lehrer",
+  student: "Schüler",
+  guardian: "Erziehungsberechtigte"
+};
+
+async function renderLoginSettings(req, res, next) {
+  try {
+    const disabledRoles = await authSettingsService.getLocalLoginDisabledRoles();
+    res.render("admin/login-settings", {
+      csrfToken: req.csrfToken(),
+      currentUser: req.session.user,
+      activePath: req.originalUrl,
+      roles: authSettingsService.CONFIGURABLE_ROLES.map((role) => ({
+        value: role,
+        label: ROLE_LABELS[role] || role,
+        localLoginDisabled: disabledRoles.includes(role)
+      })),
+      oidcEnabled: oidcService.isOidcEnabled(),
+      providerLabel: oidcService.getProviderLabel(),
+      saved: req.query.saved === "1"
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function saveLoginSettings(req, res, next) {
+  try {
+    if (!oidcService.isOidcEnabled()) {
+      return res.status(400).render("error", {
+        message: "Single Sign-On ist nicht konfiguriert. Lokale Passwörter können daher nicht deaktiviert werden.",
+        status: 400,
+        backUrl: "/admin/settings/login"
+      });
+    }
+
+    await authSettingsService.setLocalLoginDisabledRoles(req.body?.local_login_disabled_roles || []);
+    res.redirect("/admin/settings/login?saved=1");
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  renderLoginSettings,
+  saveLoginSettings
+};
@@ -0,0 +1,101 @@
+const schoolYearModel = require("../models/schoolYearModel");
+const gradeScaleService = require("../services/gradeScaleService");
+
+const NOTICE_MESSAGES = {
+  created: "Die Notenskala wurde angelegt.",
+  saved: "Die Notenskala wurde gespeichert.",
+  deleted: "Die Notenskala wurde gelöscht.",
+  assigned: "Die Zuordnung wurde gespeichert."
+};
+
+function resolveNotice(query = {}) {
+  const key = Object.keys(NOTICE_MESSAGES).find((entry) => query[entry] === "1");
+  return key ? NOTICE_MESSAGES[key] : null;
+}
+
+function buildScalesUrl(noticeKey) {
+  return noticeKey ? `/admin/grade-scales?${noticeKey}=1` : "/admin/grade-scales";
+}
+
+function renderScaleError(res, err) {
+  return res.status(err.status).render("error", {
+    message: err.message,
+    status: err.status,
+    backUrl: buildScalesUrl()
+  });
+}
+
+async function showScales(req, res, next) {
+  try {
+    const schoolYear = await schoolYearModel.getActiveSchoolYear();
+    const [scales, assignments] = await Promise.all([
+      gradeScaleService.listScales(),
+      gradeScaleService.listScaleAssignments(schoolYear?.id)
+    ]);
+    res.render("admin/grade-scales", {
+      csrfToken: req.csrfToken(),
+      currentUser: req.session.user,
+      activePath: req.originalUrl,
+      schoolYear,
+      scales,
+      assignments,
+      presets: gradeScaleService.GRADE_SCALE_PRESET_OPTIONS,
+      formatStepsText: gradeScaleService.formatStepsText,
+      notice: resolveNotice(req.query)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function createScale(req, res, next) {
+  try {
+    if (req.body?.preset) {
+      await gradeScaleService.createScaleFromPreset(req.body.preset);
+    } else {
+      await gradeScaleService.createScale(req.body);
+    }
+    res.redirect(buildScalesUrl("created"));
+  } catch (err) {
+    if (err.status) return renderScaleError(res, err);
+    next(err);
+  }
+}
+
+async function updateScale(req, res, next) {
+  try {
+    await gradeScaleService.updateScale(req.params.id, req.body);
+    res.redirect(buildScalesUrl("saved"));
+  } catch (err) {
+    if (err.status) return renderScaleError(res, err);
+    next(err);
+  }
+}
+
+async function deleteScale(req, res, next) {
+  try {
+    await gradeScaleService.deleteScale(req.params.id);
+    res.redirect(buildScalesUrl("deleted"));
+  } catch (err) {
+    if (err.status) return renderScaleError(res, err);
+    next(err);
+  }
+}
+
+async function assignScale(req, res, next) {
+  try {
+    await gradeScaleService.assignScale(req.body?.class_id, req.body?.subject_id, req.body?.grade_scale_id || null);
+    res.redirect(buildScalesUrl("assigned"));
+  } catch (err) {
+    if (err.status) return renderScaleError(res, err);
+    next(err);
+  }
+}
+
+module.exports = {
+  assignScale,
+  createScale,
+  deleteScale,
+  showScales,
+  updateScale
+};
@@ -0,0 +1,74 @@
+const guardianService = require("../services/guardianService");
+const { getAppBaseUrl } = require("../utils/appUrl");
+
+function renderGuardianError(res, err, backUrl) {
+  return res.status(err.status).render("error", {
+    message: err.message,
+    status: err.status,
+    backUrl
+  });
+}
+
+async function linkStudent(req, res, next) {
+  const backUrl = `/admin/users/${req.params.id}`;
+  try {
+    await guardianService.linkStudentToUser(req.params.id, req.body?.student_email);
+    res.redirect(`${backUrl}?guardianLinked=1`);
+  } catch (err) {
+    if (err.status) return renderGuardianError(res, err, backUrl);
+    next(err);
+  }
+}
+
+async function unlinkStudent(req, res, next) {
+  try {
+    await guardianService.unlinkStudent(req.params.id, req.params.studentId);
+    res.redirect(`/admin/users/${req.params.id}?guardianUnlinked=1`);
+  } catch (err) {
+    next(err);
+  }
+}
+
+function renderImportPage(req, res, { status = 200, result = null, form = {} } = {}) {
+  return res.status(status).render("admin/guardian-import", {
+    csrfToken: req.csrfToken(),
+    currentUser: req.session.user,
+    activePath: req.originalUrl,
+    result,
+    form
+  });
+}
+
+function showImport(req, res) {
+  return renderImportPage(req, res);
+}
+
+async function runImport(req, res, next) {
+  const form = {
+    lines: String(req.body?.lines || ""),
+    sendInvites: Boolean(req.body?.send_invites)
+  };
+  if (!form.lines.trim()) {
+    return renderImportPage(req, res, {
+      status: 400,
+      form,
+      result: { linked: [], failed: [{ line: "-", reason: "Keine Einträge angegeben." }], createdAccounts: [], invited: [] }
+    });
+  }
+  try {
+    const result = await guardianService.importGuardianLinks(form.lines, {
+      sendInvites: form.sendInvites,
+      baseUrl: form.sendInvites ? getAppBaseUrl(req) : null
+    });
+    return renderImportPage(req, res, { result, form });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  linkStudent,
+  runImport,
+  showImport,
+  unlinkStudent
+};
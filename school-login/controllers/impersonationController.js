@@ -0,0 +1,14 @@
+const impersonationService = require("../services/impersonationService");
+
+function stopImpersonation(req, res, next) {
+  const impersonation = impersonationService.stopImpersonation(req.session);
+  if (!impersonation) return res.redirect("/");
+  req.session.save((err) => {
+    if (err) return next(err);
+    res.redirect(`/admin/users/${impersonation.targetUserId}?impersonationEnded=1`);
+  });
+}
+
+module.exports = {
+  stopImpersonation
+};
@@ -0,0 +1,127 @@
+const loginThrottleService = require("../services/loginThrottleService");
+const passwordResetService = require("../services/passwordResetService");
+const { destroyUserSessions } = require("../sessionStore");
+const { MIN_PASSWORD_LENGTH } = require("../utils/password");
+const { getAppBaseUrl } = require("../utils/appUrl");
+
+const REQUEST_WINDOW_MS = 15 * 60 * 1000;
+const REQUEST_MAX = 3;
+
+// Eigener Schlüsselraum in login_attempts, damit Reset-Anfragen nicht als Login-Fehlversuche zählen.
+function buildRequestKey(req, email) {
+  return `reset|${loginThrottleService.buildLoginKey(req.ip, email)}`;
+}
+
+function renderRequestPage(req, res, options = {}) {
+  const { status = 200, submitted = false, errorMessage = null, email = "" } = options;
+  return res.status(status).render("password-reset-request", {
+    csrfToken: req.csrfToken(),
+    submitted,
+    errorMessage,
+    email
+  });
+}
+
+function renderResetPage(req, res, options = {}) {
+  const { status = 200, token = "", email = "", errorMessage = null, tokenValid = true } = options;
+  return res.status(status).render("password-reset", {
+    csrfToken: req.csrfToken(),
+    token,
+    email,
+    errorMessage,
+    tokenValid,
+    minPasswordLength: MIN_PASSWORD_LENGTH
+  });
+}
+
+function showRequestForm(req, res) {
+  return renderRequestPage(req, res);
+}
+
+async function submitRequest(req, res, next) {
+  const email = String(req.body?.email || "").trim();
+  if (!email) {
+    return renderRequestPage(req, res, {
+      status: 400,
+      errorMessage: "Bitte gib deine E-Mail-Adresse ein."
+    });
+  }
+
+  try {
+    const baseUrl = getAppBaseUrl(req);
+    const allowed = await loginThrottleService.consumeRequestQuota(buildRequestKey(req, email), email, {
+      windowMs: REQUEST_WINDOW_MS,
+      max: REQUEST_MAX
+    });
+    if (allowed) {
+      // Nicht abwarten: die Antwort darf nicht verraten, ob es das Konto gibt.
+      passwordResetService
+        .requestPasswordReset(email, { baseUrl, requestedIp: req.ip || null })
+        .catch((err) => console.error("Password reset request failed:", err.message || err));
+    }
+    return renderRequestPage(req, res, { submitted: true, email });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+async function showResetForm(req, res, next) {
+  try {
+    const tokenRow = await passwordResetService.findValidToken(req.params.token);
+    if (!tokenRow) {
+      return renderResetPage(req, res, { status: 410, tokenValid: false });
+    }
+    return renderResetPage(req, res, { token: req.params.token, email: tokenRow.email });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+async function submitReset(req, res, next) {
+  const token = req.params.token;
+  const newPassword = req.body?.newPassword;
+  const confirmPassword = req.body?.confirmPassword;
+
+  try {
+    if (newPassword !== confirmPassword) {
+      const tokenRow = await passwordResetService.findValidToken(token);
+      if (!tokenRow) {
+        return renderResetPage(req, res, { status: 410, tokenValid: false });
+      }
+      return renderResetPage(req, res, {
+        status: 400,
+        token,
+        email: tokenRow.email,
+        errorMessage: "Die Passwörter stimmen nicht überein."
+      });
+    }
+
+    const result = await passwordResetService.resetPasswordWithToken(token, newPassword);
+    if (!result.ok && result.reason === "invalid_password") {
+      return renderResetPage(req, res, {
+        status: 400,
+        token,
+        email: result.email,
+        errorMessage: result.message
+      });
+    }
+    if (!result.ok) {
+      return renderResetPage(req, res, { status: 410, tokenValid: false });
+    }
+
+    await destroyUserSessions(req.sessionStore, result.userId, { exceptSid: req.sessionID });
+    if (Number(req.session.user?.id) === Number(result.userId)) {
+      delete req.session.user;
+    }
+    return res.redirect("/login?passwordReset=1");
+  } catch (err) {
+    return next(err);
+  }
+}
+
+module.exports = {
+  showRequestForm,
+  showResetForm,
+  submitRequest,
+  submitReset
+};
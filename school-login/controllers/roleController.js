@@ -0,0 +1,100 @@
+const roleService = require("../services/roleService");
+const { BASE_ROLES, PERMISSIONS } = require("../utils/permissions");
+
+const BASE_ROLE_LABELS = {
+  admin: "Adminbereich",
+  teacher: "Lehrerbereich",
+  student: "Schülerbereich",
+  guardian: "Elternbereich"
+};
+const NOTICE_MESSAGES = {
+  created: "Die Rolle wurde angelegt.",
+  saved: "Die Rechte wurden gespeichert.",
+  deleted: "Die Rolle wurde gelöscht."
+};
+
+function resolveNotice(query = {}) {
+  const key = Object.keys(NOTICE_MESSAGES).find((entry) => query[entry] === "1");
+  return key ? NOTICE_MESSAGES[key] : null;
+}
+
+function groupPermissions() {
+  return PERMISSIONS.reduce((groups, permission) => {
+    let group = groups.find((entry) => entry.label === permission.group);
+    if (!group) {
+      group = { label: permission.group, permissions: [] };
+      groups.push(group);
+    }
+    group.permissions.push(permission);
+    return groups;
+  }, []);
+}
+
+function renderRoleError(res, err) {
+  return res.status(err.status).render("error", {
+    message: err.message,
+    status: err.status,
+    backUrl: "/admin/settings/roles"
+  });
+}
+
+async function renderRoleSettings(req, res, next) {
+  try {
+    const roles = await roleService.listRolesWithPermissions();
+    res.render("admin/role-settings", {
+      csrfToken: req.csrfToken(),
+      currentUser: req.session.user,
+      activePath: req.originalUrl,
+      roles,
+      permissionGroups: groupPermissions(),
+      baseRoles: BASE_ROLES.map((value) => ({ value, label: BASE_ROLE_LABELS[value] })),
+      baseRoleLabels: BASE_ROLE_LABELS,
+      notice: resolveNotice(req.query)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function createRole(req, res, next) {
+  try {
+    await roleService.createRole({
+      key: req.body?.key,
+      label: req.body?.label,
+      description: req.body?.description,
+      baseRole: req.body?.base_role,
+      permissions: req.body?.permissions
+    });
+    res.redirect("/admin/settings/roles?created=1");
+  } catch (err) {
+    if (err.status) return renderRoleError(res, err);
+    next(err);
+  }
+}
+
+async function saveRolePermissions(req, res, next) {
+  try {
+    await roleService.updateRolePermissions(req.params.key, req.body?.permissions);
+    res.redirect("/admin/settings/roles?saved=1");
+  } catch (err) {
+    if (err.status) return renderRoleError(res, err);
+    next(err);
+  }
+}
+
+async function deleteRole(req, res, next) {
+  try {
+    await roleService.deleteRole(req.params.key);
+    res.redirect("/admin/settings/roles?deleted=1");
+  } catch (err) {
+    if (err.status) return renderRoleError(res, err);
+    next(err);
+  }
+}
+
+module.exports = {
+  createRole,
+  deleteRole,
+  renderRoleSettings,
+  saveRolePermissions
+};
@@ -0,0 +1,70 @@
+const sessionService = require("../services/sessionService");
+
+const HOME_BY_ROLE = {
+  admin: "/admin",
+  teacher: "/teacher",
+  student: "/student",
+  guardian: "/guardian"
+};
+const NOTICE_MESSAGES = {
+  revoked: "Die Sitzung wurde abgemeldet.",
+  othersRevoked: "Alle anderen Sitzungen wurden abgemeldet."
+};
+
+function resolveNotice(query = {}) {
+  const key = Object.keys(NOTICE_MESSAGES).find((entry) => query[entry] === "1");
+  return key ? NOTICE_MESSAGES[key] : null;
+}
+
+async function showSessions(req, res, next) {
+  try {
+    const user = req.session.user;
+    const sessions = await sessionService.listSessions(req.sessionStore, user.id, req.sessionID);
+    return res.render("account/sessions", {
+      csrfToken: req.csrfToken(),
+      email: user.email,
+      sessions,
+      otherSessionCount: sessions.filter((entry) => !entry.current).length,
+      notice: resolveNotice(req.query),
+      homeUrl: HOME_BY_ROLE[user.role] || "/"
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+async function revokeSession(req, res, next) {
+  try {
+    const revoked = await sessionService.revokeSession(
+      req.sessionStore,
+      req.session.user.id,
+      req.params.sessionKey,
+      req.sessionID
+    );
+    if (!revoked) {
+      return res.status(404).render("error", {
+        message: "Sitzung nicht gefunden oder bereits beendet.",
+        status: 404,
+        backUrl: "/account/sessions"
+      });
+    }
+    return res.redirect("/account/sessions?revoked=1");
+  } catch (err) {
+    return next(err);
+  }
+}
+
+async function revokeOtherSessions(req, res, next) {
+  try {
+    await sessionService.revokeOtherSessions(req.sessionStore, req.session.user.id, req.sessionID);
+    return res.redirect("/account/sessions?othersRevoked=1");
+  } catch (err) {
+    return next(err);
+  }
+}
+
+module.exports = {
+  revokeOtherSessions,
+  revokeSession,
+  showSessions
+};
@@ -0,0 +1,109 @@
+const schoolYearModel = require("../models/schoolYearModel");
+const termService = require("../services/termService");
+const { toDateKey } = require("../utils/gradingEngine");
+
+const NOTICE_MESSAGES = {
+  created: "Der Abschnitt wurde angelegt.",
+  defaults: "Die Standard-Semester wurden angelegt.",
+  saved: "Der Abschnitt wurde gespeichert.",
+  deleted: "Der Abschnitt wurde gelöscht."
+};
+
+function resolveNotice(query = {}) {
+  const key = Object.keys(NOTICE_MESSAGES).find((entry) => query[entry] === "1");
+  return key ? NOTICE_MESSAGES[key] : null;
+}
+
+function buildTermsUrl(schoolYearId, noticeKey) {
+  const params = new URLSearchParams();
+  if (schoolYearId) params.set("schoolYearId", String(schoolYearId));
+  if (noticeKey) params.set(noticeKey, "1");
+  const query = params.toString();
+  return query ? `/admin/terms?${query}` : "/admin/terms";
+}
+
+function renderTermError(res, err, schoolYearId) {
+  return res.status(err.status).render("error", {
+    message: err.message,
+    status: err.status,
+    backUrl: buildTermsUrl(schoolYearId)
+  });
+}
+
+async function resolveSchoolYear(requestedId) {
+  const schoolYears = await schoolYearModel.listSchoolYears();
+  const requested = schoolYears.find((entry) => String(entry.id) === String(requestedId || ""));
+  const active = schoolYears.find((entry) => entry.is_active);
+  return { schoolYears, schoolYear: requested || active || schoolYears[0] || null };
+}
+
+async function showTerms(req, res, next) {
+  try {
+    const { schoolYears, schoolYear } = await resolveSchoolYear(req.query.schoolYearId);
+    const terms = schoolYear ? await termService.listTerms(schoolYear.id) : [];
+    res.render("admin/school-terms", {
+      csrfToken: req.csrfToken(),
+      currentUser: req.session.user,
+      activePath: req.originalUrl,
+      schoolYears,
+      schoolYear: schoolYear
+        ? { ...schoolYear, start_date: toDateKey(schoolYear.start_date), end_date: toDateKey(schoolYear.end_date) }
+        : null,
+      terms,
+      formatDate: termService.formatDateLabel,
+      notice: resolveNotice(req.query)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function createTerm(req, res, next) {
+  const schoolYearId = req.body?.school_year_id;
+  try {
+    await termService.createTerm(schoolYearId, req.body);
+    res.redirect(buildTermsUrl(schoolYearId, "created"));
+  } catch (err) {
+    if (err.status) return renderTermError(res, err, schoolYearId);
+    next(err);
+  }
+}
+
+async function createDefaultTerms(req, res, next) {
+  const schoolYearId = req.body?.school_year_id;
+  try {
+    await termService.createDefaultSemesters(schoolYearId);
+    res.redirect(buildTermsUrl(schoolYearId, "defaults"));
+  } catch (err) {
+    if (err.status) return renderTermError(res, err, schoolYearId);
+    next(err);
+  }
+}
+
+async function updateTerm(req, res, next) {
+  try {
+    const term = await termService.updateTerm(req.params.id, req.body);
+    res.redirect(buildTermsUrl(term.school_year_id, "saved"));
+  } catch (err) {
+    if (err.status) return renderTermError(res, err, req.body?.school_year_id);
+    next(err);
+  }
+}
+
+async function deleteTerm(req, res, next) {
+  try {
+    const term = await termService.deleteTerm(req.params.id);
+    res.redirect(buildTermsUrl(term.school_year_id, "deleted"));
+  } catch (err) {
+    if (err.status) return renderTermError(res, err, req.body?.school_year_id);
+    next(err);
+  }
+}
+
+module.exports = {
+  createDefaultTerms,
+  createTerm,
+  deleteTerm,
+  showTerms,
+  updateTerm
+};
@@ -0,0 +1,169 @@
+const twoFactorService = require("../services/twoFactorService");
+
+const ENROLLMENT_TTL_MS = 15 * 60 * 1000;
+const HOME_BY_ROLE = {
+  admin: "/admin",
+  teacher: "/teacher",
+  student: "/student",
+  guardian: "/guardian"
+};
+const NOTICE_MESSAGES = {
+  enabled: "Zwei-Faktor-Anmeldung ist jetzt aktiv.",
+  regenerated: "Neue Wiederherstellungscodes wurden erstellt. Die alten Codes sind ungültig.",
+  disabled: "Zwei-Faktor-Anmeldung wurde deaktiviert."
+};
+
+function getPendingEnrollmentSecret(req) {
+  const pending = req.session.twoFactorEnrollment;
+  if (!pending || !pending.secret) return null;
+  if (Number(pending.expiresAt || 0) <= Date.now()) {
+    delete req.session.twoFactorEnrollment;
+    return null;
+  }
+  return pending.secret;
+}
+
+async function resolveEnrollment(req) {
+  const pendingSecret = getPendingEnrollmentSecret(req);
+  const enrollment = await twoFactorService.buildEnrollment(
+    req.session.user.email,
+    pendingSecret || undefined
+  );
+  if (!pendingSecret) {
+    req.session.twoFactorEnrollment = {
+      secret: enrollment.secret,
+      expiresAt: Date.now() + ENROLLMENT_TTL_MS
+    };
+  }
+  return enrollment;
+}
+
+function resolveNotice(query = {}) {
+  const key = Object.keys(NOTICE_MESSAGES).find((entry) => query[entry] === "1");
+  return key ? NOTICE_MESSAGES[key] : null;
+}
+
+function renderUnavailable(req, res) {
+  return res.status(403).render("error", {
+    message: "Zwei-Faktor-Anmeldung ist für diese Rolle nicht verfügbar.",
+    status: 403,
+    backUrl: HOME_BY_ROLE[req.session.user.role] || "/"
+  });
+}
+
+async function renderTwoFactorPage(req, res, options = {}) {
+  const { status = 200, error = null } = options;
+  const user = req.session.user;
+  const twoFactor = await twoFactorService.getTwoFactorStatus(user.id);
+  if (!twoFactor || !twoFactor.available) {
+    return renderUnavailable(req, res);
+  }
+
+  const enrollment = twoFactor.enabled ? null : await resolveEnrollment(req);
+  const recoveryCodes = Array.isArray(req.session.twoFactorRecoveryCodes)
+    ? req.session.twoFactorRecoveryCodes
+    : null;
+  delete req.session.twoFactorRecoveryCodes;
+
+  return res.status(status).render("account/two-factor", {
+    csrfToken: req.csrfToken(),
+    email: user.email,
+    twoFactor,
+    enrollment,
+    recoveryCodes,
+    setupRequired: Boolean(user.two_factor_setup_required),
+    notice: error ? null : resolveNotice(req.query),
+    error,
+    homeUrl: HOME_BY_ROLE[user.role] || "/"
+  });
+}
+
+async function showTwoFactorPage(req, res, next) {
+  try {
+    return await renderTwoFactorPage(req, res);
+  } catch (err) {
+    return next(err);
+  }
+}
+
+async function enableTwoFactor(req, res, next) {
+  try {
+    if (!twoFactorService.isTwoFactorAvailableForRole(req.session.user.role)) {
+      return renderUnavailable(req, res);
+    }
+    const secret = getPendingEnrollmentSecret(req);
+    if (!secret) {
+      return renderTwoFactorPage(req, res, {
+        status: 400,
+        error: "Die Einrichtung ist abgelaufen. Bitte scanne den neuen QR-Code."
+      });
+    }
+
+    const recoveryCodes = await twoFactorService.confirmEnrollment(
+      req.session.user.id,
+      secret,
+      req.body?.otp_code
+    );
+    if (!recoveryCodes) {
+      return renderTwoFactorPage(req, res, {
+        status: 400,
+        error: "Der Code ist ungültig. Bitte prüfe die Uhrzeit deines Geräts und versuche es erneut."
+      });
+    }
+
+    delete req.session.twoFactorEnrollment;
+    req.session.user.two_factor_setup_required = false;
+    req.session.twoFactorRecoveryCodes = recoveryCodes;
+    return res.redirect("/account/two-factor?enabled=1");
+  } catch (err) {
+    return next(err);
+  }
+}
+
+async function regenerateRecoveryCodes(req, res, next) {
+  try {
+    const result = await twoFactorService.verifySecondFactor(req.session.user.id, req.body?.otp_code);
+    if (!result.ok) {
+      return renderTwoFactorPage(req, res, {
+        status: 400,
+        error: "Der Code ist ungültig. Es wurden keine neuen Wiederherstellungscodes erstellt."
+      });
+    }
+
+    req.session.twoFactorRecoveryCodes = await twoFactorService.replaceRecoveryCodes(req.session.user.id);
+    return res.redirect("/account/two-factor?regenerated=1");
+  } catch (err) {
+    return next(err);
+  }
+}
+
+async function disableTwoFactor(req, res, next) {
+  try {
+    if (twoFactorService.isTwoFactorRequiredForRole(req.session.user.role)) {
+      return renderTwoFactorPage(req, res, {
+        status: 403,
+        error: "Für deine Rolle ist die Zwei-Faktor-Anmeldung verpflichtend."
+      });
+    }
+
+    const result = await twoFactorService.verifySecondFactor(req.session.user.id, req.body?.otp_code);
+    if (!result.ok) {
+      return renderTwoFactorPage(req, res, {
+        status: 400,
+        error: "Der Code ist ungültig. Die Zwei-Faktor-Anmeldung bleibt aktiv."
+      });
+    }
+
+    await twoFactorService.resetTwoFactor(req.session.user.id);
+    return res.redirect("/account/two-factor?disabled=1");
+  } catch (err) {
+    return next(err);
+  }
+}
+
+module.exports = {
+  disableTwoFactor,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+  showTwoFactorPage
+};
@@ -2,6 +2,7 @@
 const crypto = require("crypto");
 const { Pool } = require("pg");
 const { getDefaultSchoolYearWindow } = require("./utils/schoolYear");
+const { DEFAULT_ROLES } = require("./utils/permissions");
 
 // --- Password-Hashing via scrypt (ohne externe Lib)
 // Wir speichern die Parameter im Hash, damit verify immer passt.
@@ -67,6 +68,52 @@ function createFakeDb() {
   const rolloverLogs = [];
   const teacherGradingProfiles = [];
   const teacherGradingProfileItems = [];
+  const teacherGradingProfileRules = [];
+  const recoveryCodes = [];
+  const passwordResetTokens = [];
+  const appSettings = new Map();
+  const loginAttempts = new Map();
+  const roles = DEFAULT_ROLES.map((role) => ({
+    key: role.key,
+    label: role.label,
+    description: role.description,
+    base_role: role.baseRole,
+    is_system: role.isSystem,
+    created_at: new Date().toISOString()
+  }));
+  const rolePermissions = DEFAULT_ROLES.flatMap((role) =>
+    role.permissions.map((permission) => ({ role_key: role.key, permission }))
+  );
+  const guardianStudents = [];
+  const schoolTerms = [];
+  const finalGrades = [];
+  const earlyWarnings = [];
+  const gradeVersions = [];
+  const gradeAbsences = [];
+  const gradeScales = [];
+  const gradeScaleSteps = [];
+  const classSubjectGradeScales = [];
+  const notificationPreferences = [];
+  const rubrics = [];
+  const rubricCriteria = [];
+  const rubricLevels = [];
+  const gradeRubricScores = [];
+  const gradeTemplateTasks = [];
+  const gradeTaskPoints = [];
+  let guardianStudentId = 1;
+  let schoolTermId = 1;
+  let finalGradeId = 1;
+  let earlyWarningId = 1;
+  let gradeVersionId = 1;
+  let gradeScaleId = 1;
+  let gradeScaleStepId = 1;
+  let classSubjectGradeScaleId = 1;
+  let rubricId = 1;
+  let rubricCriterionId = 1;
+  let rubricLevelId = 1;
+  let gradeRubricScoreId = 1;
+  let gradeTemplateTaskId = 1;
+  let gradeTaskPointId = 1;
   let userId = 1;
   let schoolYearId = 1;
   let classId = 1;
@@ -85,6 +132,9 @@ function createFakeDb() {
   let rolloverLogId = 1;
   let gradingProfileId = 1;
   let gradingProfileItemId = 1;
+  let gradingProfileRuleId = 1;
+  let recoveryCodeId = 1;
+  let passwordResetTokenId = 1;
 
   function ensureActiveSchoolYear() {
     const active = schoolYears.find((entry) => Boolean(entry.is_active));
@@ -129,6 +179,27 @@ function createFakeDb() {
     return String(classRow?.subject || "").trim();
   }
 
+  function describeEarlyWarning(item) {
+    const student = students.find((entry) => entry.id === item.student_id);
+    const classRow = classes.find((entry) => entry.id === item.class_id);
+    const teacher = users.find((entry) => entry.id === item.teacher_id);
+    const term = schoolTerms.find((entry) => entry.id === item.term_id);
+    return {
+      ...item,
+      student_name: student?.name || null,
+      student_email: student?.email || null,
+      class_name: classRow?.name || null,
+      subject_name: getClassSubjectLabel(item.class_id, item.subject_id),
+      teacher_email: teacher?.email || null,
+      term_name: term?.name || null
+    };
+  }
+
+  function describeGradeVersion(item) {
+    const actor = users.find((entry) => entry.id === item.changed_by);
+    return { ...item, changed_by_email: actor?.email || null };
+  }
+
   function normalizeOptionalId(value) {
     if (value === null || value === undefined || value === "") return null;
     const numeric = Number(value);
@@ -197,7 +268,7 @@ function createFakeDb() {
       let lastID;
 
       if (/INSERT INTO users/i.test(sql)) {
-        const [email, password_hash, role, status, must_change_password] = params;
+        const [email, password_hash, role, status, must_change_password, role_key] = params;
         const resolvedRole =
           role || (/\'teacher\'/i.test(sql) ? "teacher" : /\'student\'/i.test(sql) ? "student" : /\'admin\'/i.test(sql) ? "admin" : undefined);
         const resolvedStatus = status || (/\'active\'/i.test(sql) ? "active" : undefined) || "active";
@@ -211,11 +282,453 @@ function createFakeDb() {
             role: resolvedRole,
             status: resolvedStatus,
             created_at: new Date().toISOString(),
-            must_change_password: must_change_password ? 1 : 0
+            must_change_password: must_change_password ? 1 : 0,
+            totp_enabled: false,
+            totp_secret: null,
+            totp_last_step: null,
+            totp_enrolled_at: null,
+            failed_login_count: 0,
+            last_failed_login_at: null,
+            locked_until: null,
+            last_login: null,
+            role_key: role_key || null
           };
           users.push(newUser);
           lastID = newUser.id;
         }
+      } else if (/UPDATE users SET email = \?, role = \?, role_key = \?, status = \? WHERE id = \?/i.test(sql)) {
+        const [email, role, role_key, status, id] = params;
+        const user = users.find((u) => u.id === Number(id));
+        if (user) {
+          user.email = email;
+          user.role = role;
+          user.role_key = role_key || null;
+          user.status = status;
+        }
+      } else if (/UPDATE roles SET label = \?, description = \? WHERE key = \?/i.test(sql)) {
+        const [label, description, key] = params;
+        const role = roles.find((entry) => entry.key === String(key));
+        if (role) {
+          role.label = label;
+          role.description = description;
+        }
+      } else if (/DELETE FROM roles WHERE key = \?/i.test(sql)) {
+        const [key] = params;
+        const index = roles.findIndex((entry) => entry.key === String(key));
+        if (index >= 0) roles.splice(index, 1);
+        for (let i = rolePermissions.length - 1; i >= 0; i -= 1) {
+          if (rolePermissions[i].role_key === String(key)) rolePermissions.splice(i, 1);
+        }
+        users.forEach((user) => {
+          if (user.role_key === String(key)) user.role_key = null;
+        });
+      } else if (/UPDATE users SET last_login = current_timestamp WHERE id = \?/i.test(sql)) {
+        const [id] = params;
+        const user = users.find((u) => u.id === Number(id));
+        if (user) user.last_login = new Date().toISOString();
+      } else if (/INSERT INTO user_notification_preferences \(user_id, preference_key, enabled, updated_at\)/i.test(sql)) {
+        const [userIdParam, preference_key, enabled] = params;
+        const existing = notificationPreferences.find(
+          (entry) => entry.user_id === Number(userIdParam) && entry.preference_key === preference_key
+        );
+        if (existing) {
+          existing.enabled = Boolean(enabled);
+          existing.updated_at = new Date().toISOString();
+        } else {
+          notificationPreferences.push({
+            user_id: Number(userIdParam),
+            preference_key,
+            enabled: Boolean(enabled),
+            updated_at: new Date().toISOString()
+          });
+        }
+      } else if (/INSERT INTO guardian_students \(guardian_user_id, student_id\)/i.test(sql)) {
+        const [guardianUserId, studentIdParam] = params;
+        const exists = guardianStudents.some(
+          (entry) => entry.guardian_user_id === Number(guardianUserId) && entry.student_id === Number(studentIdParam)
+        );
+        if (!exists) {
+          lastID = guardianStudentId++;
+          guardianStudents.push({
+            id: lastID,
+            guardian_user_id: Number(guardianUserId),
+            student_id: Number(studentIdParam),
+            created_at: new Date().toISOString()
+          });
+        }
+      } else if (/INSERT INTO rubrics \(teacher_id, name, description\)/i.test(sql)) {
+        const [teacher_id, name, description] = params;
+        lastID = rubricId++;
+        rubrics.push({
+          id: lastID,
+          teacher_id: Number(teacher_id),
+          name: String(name),
+          description: description || null,
+          created_at: new Date().toISOString()
+        });
+      } else if (/UPDATE rubrics SET name = \?, description = \? WHERE id = \?/i.test(sql)) {
+        const [name, description, id] = params;
+        const rubric = rubrics.find((entry) => entry.id === Number(id));
+        if (rubric) {
+          rubric.name = String(name);
+          rubric.description = description || null;
+        }
+      } else if (/DELETE FROM rubrics WHERE id = \?/i.test(sql)) {
+        const [id] = params;
+        const criterionIds = rubricCriteria
+          .filter((entry) => entry.rubric_id === Number(id))
+          .map((entry) => entry.id);
+        for (let i = rubrics.length - 1; i >= 0; i -= 1) {
+          if (rubrics[i].id === Number(id)) rubrics.splice(i, 1);
+        }
+        for (let i = rubricCriteria.length - 1; i >= 0; i -= 1) {
+          if (rubricCriteria[i].rubric_id === Number(id)) rubricCriteria.splice(i, 1);
+        }
+        for (let i = rubricLevels.length - 1; i >= 0; i -= 1) {
+          if (criterionIds.includes(rubricLevels[i].criterion_id)) rubricLevels.splice(i, 1);
+        }
+        gradeTemplates.forEach((entry) => {
+          if (entry.rubric_id === Number(id)) entry.rubric_id = null;
+        });
+      } else if (/DELETE FROM rubric_criteria WHERE rubric_id = \?/i.test(sql)) {
+        const [id] = params;
+        const criterionIds = rubricCriteria
+          .filter((entry) => entry.rubric_id === Number(id))
+          .map((entry) => entry.id);
+        for (let i = rubricCriteria.length - 1; i >= 0; i -= 1) {
+          if (rubricCriteria[i].rubric_id === Number(id)) rubricCriteria.splice(i, 1);
+        }
+        for (let i = rubricLevels.length - 1; i >= 0; i -= 1) {
+          if (criterionIds.includes(rubricLevels[i].criterion_id)) rubricLevels.splice(i, 1);
+        }
+      } else if (/INSERT INTO rubric_criteria \(rubric_id, name, sort_order\)/i.test(sql)) {
+        const [rubric_id, name, sort_order] = params;
+        lastID = rubricCriterionId++;
+        rubricCriteria.push({
+          id: lastID,
+          rubric_id: Number(rubric_id),
+          name: String(name),
+          sort_order: Number(sort_order || 0)
+        });
+      } else if (/INSERT INTO rubric_levels \(criterion_id, label, points, descriptor, sort_order\)/i.test(sql)) {
+        const [criterion_id, label, points, descriptor, sort_order] = params;
+        lastID = rubricLevelId++;
+        rubricLevels.push({
+          id: lastID,
+          criterion_id: Number(criterion_id),
+          label: String(label),
+          points: Number(points),
+          descriptor: descriptor || null,
+          sort_order: Number(sort_order || 0)
+        });
+      } else if (/UPDATE grade_templates SET rubric_id = \?, max_points = \? WHERE id = \? AND class_id = \?/i.test(sql)) {
+        const [rubric_id, max_points, id, class_id] = params;
+        const template = gradeTemplates.find(
+          (entry) => entry.id === Number(id) && entry.class_id === Number(class_id)
+        );
+        if (template) {
+          template.rubric_id = rubric_id != null ? Number(rubric_id) : null;
+          template.max_points = max_points != null && max_points !== "" ? Number(max_points) : null;
+        }
+      } else if (/UPDATE grade_templates SET grade1_min_percent = \?, grade2_min_percent = \?, grade3_min_percent = \?, grade4_min_percent = \? WHERE id = \? AND class_id = \?/i.test(sql)) {
+        const [grade1, grade2, grade3, grade4, id, class_id] = params;
+        const template = gradeTemplates.find(
+          (entry) => entry.id === Number(id) && entry.class_id === Number(class_id)
+        );
+        if (template) {
+          const toPercent = (value) => (value == null ? null : Number(value));
+          template.grade1_min_percent = toPercent(grade1);
+          template.grade2_min_percent = toPercent(grade2);
+          template.grade3_min_percent = toPercent(grade3);
+          template.grade4_min_percent = toPercent(grade4);
+        }
+      } else if (/UPDATE grades SET grade = \? WHERE id = \? AND class_id = \?/i.test(sql)) {
+        const [grade, id, class_id] = params;
+        const gradeRow = grades.find((entry) => entry.id === Number(id) && entry.class_id === Number(class_id));
+        if (gradeRow) gradeRow.grade = Number(grade);
+      } else if (/UPDATE grade_templates SET is_draft = \?, release_at = \? WHERE id = \? AND class_id = \?/i.test(sql)) {
+        const [isDraft, releaseAt, id, class_id] = params;
+        const template = gradeTemplates.find(
+          (entry) => entry.id === Number(id) && entry.class_id === Number(class_id)
+        );
+        if (template) {
+          template.is_draft = Boolean(isDraft);
+          template.release_at = releaseAt || null;
+        }
+      } else if (/UPDATE grades SET published_at = \? WHERE grade_template_id = \? AND published_at IS NULL AND is_held_back = \?/i.test(sql)) {
+        const [publishedAt, templateIdParam, heldBackParam] = params;
+        grades
+          .filter(
+            (entry) =>
+              entry.grade_template_id === Number(templateIdParam) &&
+              !entry.published_at &&
+              Boolean(entry.is_held_back) === Boolean(heldBackParam)
+          )
+          .forEach((entry) => {
+            entry.published_at = publishedAt;
+          });
+      } else if (/UPDATE grades SET published_at = \?, is_held_back = \? WHERE id = \? AND class_id = \?/i.test(sql)) {
+        const [publishedAt, heldBackParam, idParam, classIdParam] = params;
+        const gradeRow = grades.find(
+          (entry) => entry.id === Number(idParam) && entry.class_id === Number(classIdParam)
+        );
+        if (gradeRow) {
+          gradeRow.published_at = publishedAt;
+          gradeRow.is_held_back = Boolean(heldBackParam);
+        }
+      } else if (/UPDATE grades SET published_at = NULL, is_held_back = \? WHERE id = \? AND class_id = \?/i.test(sql)) {
+        const [heldBackParam, idParam, classIdParam] = params;
+        const gradeRow = grades.find(
+          (entry) => entry.id === Number(idParam) && entry.class_id === Number(classIdParam)
+        );
+        if (gradeRow) {
+          gradeRow.published_at = null;
+          gradeRow.is_held_back = Boolean(heldBackParam);
+        }
+      } else if (/UPDATE grade_templates SET retake_of_template_id = \? WHERE id = \? AND class_id = \?/i.test(sql)) {
+        const [retake_of_template_id, id, class_id] = params;
+        const template = gradeTemplates.find(
+          (entry) => entry.id === Number(id) && entry.class_id === Number(class_id)
+        );
+        if (template) {
+          template.retake_of_template_id = retake_of_template_id != null ? Number(retake_of_template_id) : null;
+        }
+      } else if (/UPDATE teacher_grading_profiles SET retake_policy = \? WHERE id = \? AND teacher_id = \?/i.test(sql)) {
+        const [retake_policy, id, teacher_id] = params;
+        const profile = teacherGradingProfiles.find(
+          (entry) => entry.id === Number(id) && entry.teacher_id === Number(teacher_id)
+        );
+        if (profile) profile.retake_policy = String(retake_policy);
+      } else if (/UPDATE grade_templates SET max_points = \? WHERE rubric_id = \?/i.test(sql)) {
+        const [max_points, rubric_id] = params;
+        gradeTemplates.forEach((entry) => {
+          if (entry.rubric_id === Number(rubric_id)) entry.max_points = Number(max_points);
+        });
+      } else if (/DELETE FROM grade_rubric_scores WHERE grade_id = \?/i.test(sql)) {
+        const [grade_id] = params;
+        for (let i = gradeRubricScores.length - 1; i >= 0; i -= 1) {
+          if (gradeRubricScores[i].grade_id === Number(grade_id)) gradeRubricScores.splice(i, 1);
+        }
+      } else if (/INSERT INTO grade_rubric_scores \(grade_id, criterion_id, level_id, points\)/i.test(sql)) {
+        const [grade_id, criterion_id, level_id, points] = params;
+        lastID = gradeRubricScoreId++;
+        gradeRubricScores.push({
+          id: lastID,
+          grade_id: Number(grade_id),
+          criterion_id: Number(criterion_id),
+          level_id: Number(level_id),
+          points: Number(points)
+        });
+      } else if (/DELETE FROM grade_template_tasks WHERE template_id = \?/i.test(sql)) {
+        const [template_id] = params;
+        const taskIds = gradeTemplateTasks
+          .filter((entry) => entry.template_id === Number(template_id))
+          .map((entry) => entry.id);
+        for (let i = gradeTemplateTasks.length - 1; i >= 0; i -= 1) {
+          if (gradeTemplateTasks[i].template_id === Number(template_id)) gradeTemplateTasks.splice(i, 1);
+        }
+        for (let i = gradeTaskPoints.length - 1; i >= 0; i -= 1) {
+          if (taskIds.includes(gradeTaskPoints[i].task_id)) gradeTaskPoints.splice(i, 1);
+        }
+      } else if (/INSERT INTO grade_template_tasks \(template_id, label, max_points, sort_order\)/i.test(sql)) {
+        const [template_id, label, max_points, sort_order] = params;
+        lastID = gradeTemplateTaskId++;
+        gradeTemplateTasks.push({
+          id: lastID,
+          template_id: Number(template_id),
+          label: String(label),
+          max_points: Number(max_points),
+          sort_order: Number(sort_order) || 0
+        });
+      } else if (/DELETE FROM grade_task_points WHERE grade_id = \?/i.test(sql)) {
+        const [grade_id] = params;
+        for (let i = gradeTaskPoints.length - 1; i >= 0; i -= 1) {
+          if (gradeTaskPoints[i].grade_id === Number(grade_id)) gradeTaskPoints.splice(i, 1);
+        }
+      } else if (/INSERT INTO grade_task_points \(grade_id, task_id, points\)/i.test(sql)) {
+        const [grade_id, task_id, points] = params;
+        lastID = gradeTaskPointId++;
+        gradeTaskPoints.push({
+          id: lastID,
+          grade_id: Number(grade_id),
+          task_id: Number(task_id),
+          points: Number(points)
+        });
+      } else if (/INSERT INTO grade_scales \(name, pass_threshold\)/i.test(sql)) {
+        const [name, pass_threshold] = params;
+        lastID = gradeScaleId++;
+        gradeScales.push({
+          id: lastID,
+          name: String(name),
+          pass_threshold: Number(pass_threshold),
+          created_at: new Date().toISOString()
+        });
+      } else if (/UPDATE grade_scales SET name = \?, pass_threshold = \? WHERE id = \?/i.test(sql)) {
+        const [name, pass_threshold, id] = params;
+        const scale = gradeScales.find((entry) => entry.id === Number(id));
+        if (scale) {
+          scale.name = String(name);
+          scale.pass_threshold = Number(pass_threshold);
+        }
+      } else if (/DELETE FROM grade_scales WHERE id = \?/i.test(sql)) {
+        const [id] = params;
+        for (let i = gradeScales.length - 1; i >= 0; i -= 1) {
+          if (gradeScales[i].id === Number(id)) gradeScales.splice(i, 1);
+        }
+        for (let i = gradeScaleSteps.length - 1; i >= 0; i -= 1) {
+          if (gradeScaleSteps[i].grade_scale_id === Number(id)) gradeScaleSteps.splice(i, 1);
+        }
+      } else if (/DELETE FROM grade_scale_steps WHERE grade_scale_id = \?/i.test(sql)) {
+        const [id] = params;
+        for (let i = gradeScaleSteps.length - 1; i >= 0; i -= 1) {
+          if (gradeScaleSteps[i].grade_scale_id === Number(id)) gradeScaleSteps.splice(i, 1);
+        }
+      } else if (/INSERT INTO grade_scale_steps \(grade_scale_id, label, value, min_percent, sort_order\)/i.test(sql)) {
+        const [grade_scale_id, label, value, min_percent, sort_order] = params;
+        lastID = gradeScaleStepId++;
+        gradeScaleSteps.push({
+          id: lastID,
+          grade_scale_id: Number(grade_scale_id),
+          label: String(label),
+          value: Number(value),
+          min_percent: min_percent == null ? null : Number(min_percent),
+          sort_order: Number(sort_order) || 0
+        });
+      } else if (/DELETE FROM class_subject_grade_scales WHERE class_id = \? AND subject_id = \?/i.test(sql)) {
+        const [classIdParam, subjectIdParam] = params;
+        for (let i = classSubjectGradeScales.length - 1; i >= 0; i -= 1) {
+          if (
+            classSubjectGradeScales[i].class_id === Number(classIdParam) &&
+            classSubjectGradeScales[i].subject_id === Number(subjectIdParam)
+          ) {
+            classSubjectGradeScales.splice(i, 1);
+          }
+        }
+      } else if (/INSERT INTO class_subject_grade_scales \(class_id, subject_id, grade_scale_id\)/i.test(sql)) {
+        const [class_id, subject_id, grade_scale_id] = params;
+        lastID = classSubjectGradeScaleId++;
+        classSubjectGradeScales.push({
+          id: lastID,
+          class_id: Number(class_id),
+          subject_id: Number(subject_id),
+          grade_scale_id: Number(grade_scale_id),
+          created_at: new Date().toISOString()
+        });
+      } else if (/INSERT INTO school_terms \(school_year_id, name, start_date, end_date\)/i.test(sql)) {
+        const [school_year_id, name, start_date, end_date] = params;
+        lastID = schoolTermId++;
+        schoolTerms.push({
+          id: lastID,
+          school_year_id: Number(school_year_id),
+          name: String(name),
+          start_date,
+          end_date
+        });
+      } else if (/UPDATE school_terms SET name = \?, start_date = \?, end_date = \? WHERE id = \?/i.test(sql)) {
+        const [name, start_date, end_date, id] = params;
+        const term = schoolTerms.find((entry) => entry.id === Number(id));
+        if (term) {
+          term.name = String(name);
+          term.start_date = start_date;
+          term.end_date = end_date;
+        }
+      } else if (/DELETE FROM school_terms WHERE id = \?/i.test(sql)) {
+        const [id] = params;
+        for (let i = schoolTerms.length - 1; i >= 0; i -= 1) {
+          if (schoolTerms[i].id === Number(id)) schoolTerms.splice(i, 1);
+        }
+      } else if (/INSERT INTO final_grades \(student_id, class_id, subject_id, term_id, teacher_id, computed_average, proposed_grade, justification, status\)/i.test(sql)) {
+        const [student_id, class_id, subject_id, term_id, teacher_id, computed_average, proposed_grade, justification, status] = params;
+        lastID = finalGradeId++;
+        const now = new Date().toISOString();
+        finalGrades.push({
+          id: lastID,
+          student_id: Number(student_id),
+          class_id: Number(class_id),
+          subject_id: Number(subject_id),
+          term_id: term_id == null ? null : Number(term_id),
+          teacher_id: teacher_id == null ? null : Number(teacher_id),
+          computed_average: computed_average == null ? null : Number(computed_average),
+          proposed_grade: Number(proposed_grade),
+          justification: justification || null,
+          status,
+          review_note: null,
+          signed_off_by: null,
+          signed_off_at: null,
+          created_at: now,
+          updated_at: now
+        });
+      } else if (/INSERT INTO early_warnings \(student_id, class_id, subject_id, term_id, teacher_id, computed_average, reason\)/i.test(sql)) {
+        const [student_id, class_id, subject_id, term_id, teacher_id, computed_average, reason] = params;
+        const duplicate = earlyWarnings.some(
+          (item) =>
+            item.student_id === Number(student_id) &&
+            item.class_id === Number(class_id) &&
+            item.subject_id === Number(subject_id) &&
+            Number(item.term_id || 0) === Number(term_id || 0)
+        );
+        if (duplicate) {
+          err = new Error("UNIQUE constraint failed: early_warnings.student_id, early_warnings.subject_id");
+        } else {
+          lastID = earlyWarningId++;
+          earlyWarnings.push({
+            id: lastID,
+            student_id: Number(student_id),
+            class_id: Number(class_id),
+            subject_id: Number(subject_id),
+            term_id: term_id == null ? null : Number(term_id),
+            teacher_id: teacher_id == null ? null : Number(teacher_id),
+            computed_average: computed_average == null ? null : Number(computed_average),
+            reason: reason || null,
+            issued_at: new Date().toISOString()
+          });
+        }
+      } else if (/UPDATE final_grades\s+SET teacher_id = \?, computed_average = \?, proposed_grade = \?, justification = \?, status = \?, review_note = NULL/i.test(sql)) {
+        const [teacher_id, computed_average, proposed_grade, justification, status, id] = params;
+        const entry = finalGrades.find((item) => item.id === Number(id));
+        if (entry) {
+          entry.teacher_id = teacher_id == null ? null : Number(teacher_id);
+          entry.computed_average = computed_average == null ? null : Number(computed_average);
+          entry.proposed_grade = Number(proposed_grade);
+          entry.justification = justification || null;
+          entry.status = status;
+          entry.review_note = null;
+          entry.updated_at = new Date().toISOString();
+        }
+      } else if (/UPDATE final_grades\s+SET status = \?, signed_off_by = \?, signed_off_at = current_timestamp/i.test(sql)) {
+        const [status, signed_off_by, id] = params;
+        const entry = finalGrades.find((item) => item.id === Number(id));
+        if (entry) {
+          entry.status = status;
+          entry.signed_off_by = Number(signed_off_by);
+          entry.signed_off_at = new Date().toISOString();
+          entry.updated_at = entry.signed_off_at;
+        }
+      } else if (/UPDATE final_grades\s+SET status = \?, review_note = \?, signed_off_by = NULL/i.test(sql)) {
+        const [status, review_note, id] = params;
+        const entry = finalGrades.find((item) => item.id === Number(id));
+        if (entry) {
+          entry.status = status;
+          entry.review_note = review_note || null;
+          entry.signed_off_by = null;
+          entry.signed_off_at = null;
+          entry.updated_at = new Date().toISOString();
+        }
+      } else if (/DELETE FROM guardian_students WHERE guardian_user_id = \? AND student_id = \?/i.test(sql)) {
+        const [guardianUserId, studentIdParam] = params;
+        for (let i = guardianStudents.length - 1; i >= 0; i -= 1) {
+          if (
+            guardianStudents[i].guardian_user_id === Number(guardianUserId) &&
+            guardianStudents[i].student_id === Number(studentIdParam)
+          ) {
+            guardianStudents.splice(i, 1);
+          }
+        }
+      } else if (/DELETE FROM role_permissions WHERE role_key = \?/i.test(sql)) {
+        const [key] = params;
+        for (let i = rolePermissions.length - 1; i >= 0; i -= 1) {
+          if (rolePermissions[i].role_key === String(key)) rolePermissions.splice(i, 1);
+        }
       } else if (/UPDATE users SET email = \?, role = \?, status = \? WHERE id = \?/i.test(sql)) {
         const [email, role, status, id] = params;
         const user = users.find((u) => u.id === Number(id));
@@ -243,6 +756,106 @@ function createFakeDb() {
         if (user) {
           user.must_change_password = must_change_password;
         }
+      } else if (/UPDATE users\s+SET totp_secret = \?, totp_enabled = \?, totp_last_step = \?, totp_enrolled_at = current_timestamp\s+WHERE id = \?/i.test(sql)) {
+        const [totp_secret, totp_enabled, totp_last_step, id] = params;
+        const user = users.find((u) => u.id === Number(id));
+        if (user) {
+          user.totp_secret = totp_secret;
+          user.totp_enabled = Boolean(totp_enabled);
+          user.totp_last_step = totp_last_step;
+          user.totp_enrolled_at = new Date().toISOString();
+        }
+      } else if (/UPDATE users\s+SET totp_secret = NULL, totp_enabled = \?, totp_last_step = NULL, totp_enrolled_at = NULL\s+WHERE id = \?/i.test(sql)) {
+        const [totp_enabled, id] = params;
+        const user = users.find((u) => u.id === Number(id));
+        if (user) {
+          user.totp_secret = null;
+          user.totp_enabled = Boolean(totp_enabled);
+          user.totp_last_step = null;
+          user.totp_enrolled_at = null;
+        }
+      } else if (/UPDATE users SET locked_until = \?, failed_login_count = 0 WHERE id = \?/i.test(sql)) {
+        const [locked_until, id] = params;
+        const user = users.find((u) => u.id === Number(id));
+        if (user) {
+          user.locked_until = locked_until;
+          user.failed_login_count = 0;
+        }
+      } else if (/UPDATE users SET locked_until = NULL, failed_login_count = 0 WHERE id = \?/i.test(sql)) {
+        const [id] = params;
+        const user = users.find((u) => u.id === Number(id));
+        if (user) {
+          user.locked_until = null;
+          user.failed_login_count = 0;
+        }
+      } else if (/UPDATE login_attempts SET locked_until = \? WHERE attempt_key = \?/i.test(sql)) {
+        const [locked_until, attempt_key] = params;
+        const entry = loginAttempts.get(String(attempt_key));
+        if (entry) {
+          entry.locked_until = locked_until;
+        }
+      } else if (/DELETE FROM login_attempts WHERE attempt_key = \?/i.test(sql)) {
+        const [attempt_key] = params;
+        loginAttempts.delete(String(attempt_key));
+      } else if (/DELETE FROM login_attempts WHERE email = \?/i.test(sql)) {
+        const [email] = params;
+        for (const [key, entry] of loginAttempts) {
+          if (entry.email === email) loginAttempts.delete(key);
+        }
+      } else if (/DELETE FROM login_attempts WHERE window_started_at < \? AND \(locked_until IS NULL OR locked_until < \?\)/i.test(sql)) {
+        const [window_start, now] = params;
+        for (const [key, entry] of loginAttempts) {
+          const stale = new Date(entry.window_started_at) < new Date(window_start);
+          const unlocked = !entry.locked_until || new Date(entry.locked_until) < new Date(now);
+          if (stale && unlocked) loginAttempts.delete(key);
+        }
+      } else if (/DELETE FROM user_recovery_codes WHERE user_id = \?/i.test(sql)) {
+        const [user_id] = params;
+        for (let index = recoveryCodes.length - 1; index >= 0; index -= 1) {
+          if (recoveryCodes[index].user_id === Number(user_id)) {
+            recoveryCodes.splice(index, 1);
+          }
+        }
+      } else if (/INSERT INTO user_recovery_codes/i.test(sql)) {
+        const [user_id, code_hash] = params;
+        const entry = {
+          id: recoveryCodeId++,
+          user_id: Number(user_id),
+          code_hash,
+          used_at: null,
+          created_at: new Date().toISOString()
+        };
+        recoveryCodes.push(entry);
+        lastID = entry.id;
+      } else if (/INSERT INTO app_settings \(key, value, updated_at\)/i.test(sql)) {
+        const [key, value] = params;
+        appSettings.set(String(key), { value: value == null ? null : String(value), updated_at: new Date().toISOString() });
+      } else if (/UPDATE password_reset_tokens SET used_at = current_timestamp WHERE user_id = \? AND used_at IS NULL/i.test(sql)) {
+        const [user_id] = params;
+        passwordResetTokens.forEach((entry) => {
+          if (entry.user_id === Number(user_id) && !entry.used_at) {
+            entry.used_at = new Date().toISOString();
+          }
+        });
+      } else if (/INSERT INTO password_reset_tokens/i.test(sql)) {
+        const [user_id, token_hash, expires_at, requested_ip] = params;
+        const entry = {
+          id: passwordResetTokenId++,
+          user_id: Number(user_id),
+          token_hash,
+          expires_at,
+          requested_ip: requested_ip || null,
+          used_at: null,
+          created_at: new Date().toISOString()
+        };
+        passwordResetTokens.push(entry);
+        lastID = entry.id;
+      } else if (/UPDATE user_recovery_codes SET used_at = current_timestamp WHERE id = \? AND used_at IS NULL/i.test(sql)) {
+        const [id] = params;
+        const entry = recoveryCodes.find((code) => code.id === Number(id) && !code.used_at);
+        if (entry) {
+          entry.used_at = new Date().toISOString();
+        }
       } else if (/INSERT INTO school_years/i.test(sql)) {
         const [name, start_date, end_date, is_active] = params;
         const duplicate = schoolYears.find((entry) => entry.name === String(name));
@@ -277,6 +890,9 @@ function createFakeDb() {
         }
       } else if (/DELETE FROM school_years WHERE id = \?/i.test(sql)) {
         const [id] = params;
+        for (let i = schoolTerms.length - 1; i >= 0; i -= 1) {
+          if (schoolTerms[i].school_year_id === Number(id)) schoolTerms.splice(i, 1);
+        }
         for (let i = schoolYears.length - 1; i >= 0; i -= 1) {
           if (schoolYears[i].id === Number(id)) schoolYears.splice(i, 1);
         }
@@ -435,11 +1051,27 @@ function createFakeDb() {
             class_id: Number(resolvedClassId),
             subject_id: Number(subjId),
             school_year_id,
+            grading_profile_id: null,
             created_at: new Date().toISOString()
           };
           teachingAssignments.push(newAssignment);
           lastID = newAssignment.id;
         }
+      } else if (/UPDATE class_subject_teacher SET grading_profile_id = \? WHERE id = \? AND teacher_id = \?/i.test(sql)) {
+        const [profileId, id, teacherId] = params;
+        const assignment = teachingAssignments.find(
+          (entry) => entry.id === Number(id) && entry.teacher_id === Number(teacherId)
+        );
+        if (assignment) {
+          assignment.grading_profile_id = profileId == null ? null : Number(profileId);
+        }
+      } else if (/UPDATE class_subject_teacher SET grading_profile_id = NULL WHERE grading_profile_id = \? AND teacher_id = \?/i.test(sql)) {
+        const [profileId, teacherId] = params;
+        teachingAssignments.forEach((entry) => {
+          if (entry.teacher_id === Number(teacherId) && Number(entry.grading_profile_id) === Number(profileId)) {
+            entry.grading_profile_id = null;
+          }
+        });
       } else if (/DELETE FROM (teaching_assignments|class_subject_teacher) WHERE id = \?/i.test(sql)) {
         const [id] = params;
         for (let i = teachingAssignments.length - 1; i >= 0; i -= 1) {
@@ -529,6 +1161,9 @@ function createFakeDb() {
         for (let i = specialAssessments.length - 1; i >= 0; i -= 1) {
           if (specialAssessments[i].student_id === Number(idParam)) specialAssessments.splice(i, 1);
         }
+        for (let i = guardianStudents.length - 1; i >= 0; i -= 1) {
+          if (guardianStudents[i].student_id === Number(idParam)) guardianStudents.splice(i, 1);
+        }
         for (let i = participationMarks.length - 1; i >= 0; i -= 1) {
           if (
             participationMarks[i].student_id === Number(idParam) &&
@@ -555,6 +1190,9 @@ function createFakeDb() {
         for (let i = students.length - 1; i >= 0; i -= 1) {
           if (students[i].class_id === Number(classIdParam)) students.splice(i, 1);
         }
+        for (let i = guardianStudents.length - 1; i >= 0; i -= 1) {
+          if (studentIds.has(guardianStudents[i].student_id)) guardianStudents.splice(i, 1);
+        }
         for (let i = notifications.length - 1; i >= 0; i -= 1) {
           if (studentIds.has(Number(notifications[i].student_id))) notifications.splice(i, 1);
         }
@@ -697,6 +1335,7 @@ function createFakeDb() {
             ma_grade_neutral: Number.isFinite(ma_grade_neutral) ? ma_grade_neutral : 3,
             ma_grade_minus_tilde: Number.isFinite(ma_grade_minus_tilde) ? ma_grade_minus_tilde : 3.5,
             ma_grade_minus: Number.isFinite(ma_grade_minus) ? ma_grade_minus : 4.5,
+            retake_policy: "best",
             is_active: Boolean(is_active),
             created_at: new Date().toISOString(),
             updated_at: new Date().toISOString()
@@ -800,6 +1439,34 @@ function createFakeDb() {
             teacherGradingProfileItems.splice(i, 1);
           }
         }
+        for (let i = teacherGradingProfileRules.length - 1; i >= 0; i -= 1) {
+          if (teacherGradingProfileRules[i].profile_id === Number(id)) {
+            teacherGradingProfileRules.splice(i, 1);
+          }
+        }
+      } else if (/DELETE FROM teacher_grading_profile_rules WHERE profile_id = \?/i.test(sql)) {
+        const [profile_id] = params;
+        for (let i = teacherGradingProfileRules.length - 1; i >= 0; i -= 1) {
+          if (teacherGradingProfileRules[i].profile_id === Number(profile_id)) {
+            teacherGradingProfileRules.splice(i, 1);
+          }
+        }
+      } else if (/INSERT INTO teacher_grading_profile_rules/i.test(sql)) {
+        const [profile_id, rule_type, category, amount = null, threshold = null, cap_grade = null, sort_order = 0] =
+          params;
+        const rule = {
+          id: gradingProfileRuleId++,
+          profile_id: Number(profile_id),
+          rule_type,
+          category,
+          amount: amount == null ? null : Number(amount),
+          threshold: threshold == null ? null : Number(threshold),
+          cap_grade: cap_grade == null ? null : Number(cap_grade),
+          sort_order: Number(sort_order) || 0,
+          created_at: new Date().toISOString()
+        };
+        teacherGradingProfileRules.push(rule);
+        lastID = rule.id;
       } else if (/DELETE FROM teacher_grading_profile_items WHERE profile_id = \?/i.test(sql)) {
         const [profile_id] = params;
         for (let i = teacherGradingProfileItems.length - 1; i >= 0; i -= 1) {
@@ -808,7 +1475,7 @@ function createFakeDb() {
           }
         }
       } else if (/INSERT INTO teacher_grading_profile_items/i.test(sql)) {
-        const [profile_id, category, weight] = params;
+        const [profile_id, category, weight, label = null, color = null, sort_order = 0] = params;
         const existing = teacherGradingProfileItems.find(
           (entry) =>
             entry.profile_id === Number(profile_id) &&
@@ -816,6 +1483,9 @@ function createFakeDb() {
         );
         if (existing) {
           existing.weight = Number(weight);
+          existing.label = label;
+          existing.color = color;
+          existing.sort_order = Number(sort_order) || 0;
           existing.updated_at = new Date().toISOString();
           lastID = existing.id;
         } else {
@@ -824,6 +1494,9 @@ function createFakeDb() {
             profile_id: Number(profile_id),
             category,
             weight: Number(weight),
+            label,
+            color,
+            sort_order: Number(sort_order) || 0,
             created_at: new Date().toISOString(),
             updated_at: new Date().toISOString()
           };
@@ -865,7 +1538,13 @@ function createFakeDb() {
           date: date || null,
           description: description || null,
           created_at: new Date().toISOString(),
-          archived_at: null
+          archived_at: null,
+          is_draft: false,
+          release_at: null,
+          grade1_min_percent: null,
+          grade2_min_percent: null,
+          grade3_min_percent: null,
+          grade4_min_percent: null
         };
         gradeTemplates.push(template);
         lastID = template.id;
@@ -928,22 +1607,24 @@ function createFakeDb() {
           }
         }
       } else if (/INSERT INTO grades/i.test(sql)) {
-        const student_id = params[0];
-        const class_id = params[1];
-        const grade_template_id = params[2];
-        const grade = params[3];
-        const hasPoints = params.length >= 12;
-        const points_achieved = hasPoints ? params[4] : null;
-        const points_max = hasPoints ? params[5] : null;
-        const note = hasPoints ? params[6] : params[4];
-        const attachment_path = hasPoints ? params[7] : params[5];
-        const attachment_original_name = hasPoints ? params[8] : params[6];
-        const attachment_mime = hasPoints ? params[9] : params[7];
-        const attachment_size = hasPoints ? params[10] : params[8];
-        const external_link = hasPoints ? params[11] : params[9];
-        const is_absent = hasPoints && params.length >= 13 ? params[12] : 0;
-        const school_year_id = hasPoints && params.length >= 14
-          ? Number(params[13])
+        // Spalten aus der Abfrage lesen, damit alle Einfügewege gleich behandelt werden.
+        const columns = (sql.match(/INSERT INTO grades\s*\(([^)]+)\)/i)?.[1] || "")
+          .split(",")
+          .map((column) => column.trim());
+        const valueOf = (column, fallback = null) => {
+          const index = columns.indexOf(column);
+          return index >= 0 ? params[index] : fallback;
+        };
+        const student_id = valueOf("student_id");
+        const class_id = valueOf("class_id");
+        const grade_template_id = valueOf("grade_template_id");
+        const grade = valueOf("grade");
+        const points_achieved = valueOf("points_achieved");
+        const points_max = valueOf("points_max");
+        const attachment_size = valueOf("attachment_size");
+        const schoolYearParam = valueOf("school_year_id");
+        const school_year_id = schoolYearParam != null
+          ? Number(schoolYearParam)
           : Number(classes.find((entry) => entry.id === Number(class_id))?.school_year_id || activeSchoolYear.id);
         const duplicate = grades.find(
           (entry) =>
@@ -962,15 +1643,18 @@ function createFakeDb() {
             points_achieved:
               points_achieved != null && points_achieved !== "" ? Number(points_achieved) : null,
             points_max: points_max != null && points_max !== "" ? Number(points_max) : null,
-            note: note || null,
-            attachment_path: attachment_path || null,
-            attachment_original_name: attachment_original_name || null,
-            attachment_mime: attachment_mime || null,
+            note: valueOf("note") || null,
+            attachment_path: valueOf("attachment_path") || null,
+            attachment_original_name: valueOf("attachment_original_name") || null,
+            attachment_mime: valueOf("attachment_mime") || null,
             attachment_size: attachment_size ? Number(attachment_size) : null,
-            external_link: external_link || null,
-            is_absent: Boolean(is_absent),
+            external_link: valueOf("external_link") || null,
+            is_absent: Boolean(valueOf("is_absent", false)),
             excluded_from_average: false,
             school_year_id,
+            // Wie in Postgres: ohne published_at bleibt die Note unveröffentlicht.
+            published_at: valueOf("published_at") || null,
+            is_held_back: Boolean(valueOf("is_held_back", false)),
             created_at: new Date().toISOString()
           };
           grades.push(newGrade);
@@ -983,6 +1667,112 @@ function createFakeDb() {
             grades.splice(i, 1);
           }
         }
+        for (let i = gradeAbsences.length - 1; i >= 0; i -= 1) {
+          if (gradeAbsences[i].grade_id === Number(idParam)) {
+            gradeAbsences.splice(i, 1);
+          }
+        }
+      } else if (/UPDATE grades\s+SET grade = \?, points_achieved = \?, points_max = \?, note = \?, is_absent = \?, school_year_id = \?\s+WHERE id = \? AND class_id = \? AND grade_template_id = \?/i.test(sql)) {
+        const [gradeValue, pointsAchieved, pointsMax, noteValue, isAbsent, schoolYearId, idParam, classIdParam, templateIdParam] = params;
+        const gradeRow = grades.find(
+          (entry) =>
+            entry.id === Number(idParam) &&
+            entry.class_id === Number(classIdParam) &&
+            entry.grade_template_id === Number(templateIdParam)
+        );
+        if (gradeRow) {
+          gradeRow.grade = gradeValue;
+          gradeRow.points_achieved = pointsAchieved == null ? null : Number(pointsAchieved);
+          gradeRow.points_max = pointsMax == null ? null : Number(pointsMax);
+          gradeRow.note = noteValue || null;
+          gradeRow.is_absent = Boolean(isAbsent);
+          gradeRow.school_year_id = schoolYearId;
+        }
+      } else if (/UPDATE grades SET grade = \?, points_achieved = \?, points_max = \?, is_absent = \? WHERE id = \? AND class_id = \?/i.test(sql)) {
+        const [gradeValue, pointsAchieved, pointsMax, isAbsent, idParam, classIdParam] = params;
+        const gradeRow = grades.find(
+          (entry) => entry.id === Number(idParam) && entry.class_id === Number(classIdParam)
+        );
+        if (gradeRow) {
+          gradeRow.grade = gradeValue;
+          gradeRow.points_achieved = pointsAchieved == null ? null : Number(pointsAchieved);
+          gradeRow.points_max = pointsMax == null ? null : Number(pointsMax);
+          gradeRow.is_absent = Boolean(isAbsent);
+        }
+      } else if (/INSERT INTO grade_absences \(grade_id, status, note_path, note_original_name, note_mime, makeup_date, updated_by\)/i.test(sql)) {
+        const [grade_id, status, note_path, note_original_name, note_mime, makeup_date, updated_by] = params;
+        gradeAbsences.push({
+          grade_id: Number(grade_id),
+          status,
+          note_path: note_path || null,
+          note_original_name: note_original_name || null,
+          note_mime: note_mime || null,
+          makeup_date: makeup_date || null,
+          updated_by: normalizeOptionalId(updated_by),
+          updated_at: new Date().toISOString()
+        });
+      } else if (/UPDATE grade_absences\s+SET status = \?, note_path = \?, note_original_name = \?, note_mime = \?, makeup_date = \?, updated_by = \?/i.test(sql)) {
+        const [status, note_path, note_original_name, note_mime, makeup_date, updated_by, grade_id] = params;
+        const absence = gradeAbsences.find((entry) => entry.grade_id === Number(grade_id));
+        if (absence) {
+          Object.assign(absence, {
+            status,
+            note_path: note_path || null,
+            note_original_name: note_original_name || null,
+            note_mime: note_mime || null,
+            makeup_date: makeup_date || null,
+            updated_by: normalizeOptionalId(updated_by),
+            updated_at: new Date().toISOString()
+          });
+        }
+      } else if (/INSERT INTO grade_versions \(/i.test(sql)) {
+        const [
+          entry_type,
+          entry_id,
+          student_id,
+          class_id,
+          subject_id,
+          entry_label,
+          action,
+          old_grade,
+          new_grade,
+          old_points,
+          new_points,
+          old_points_max,
+          new_points_max,
+          old_is_absent,
+          new_is_absent,
+          old_symbol,
+          new_symbol,
+          reason,
+          reverted_version_id,
+          changed_by
+        ] = params;
+        lastID = gradeVersionId++;
+        gradeVersions.push({
+          id: lastID,
+          entry_type,
+          entry_id: Number(entry_id),
+          student_id: Number(student_id),
+          class_id: Number(class_id),
+          subject_id: normalizeOptionalId(subject_id),
+          entry_label: entry_label || null,
+          action,
+          old_grade,
+          new_grade,
+          old_points,
+          new_points,
+          old_points_max,
+          new_points_max,
+          old_is_absent,
+          new_is_absent,
+          old_symbol,
+          new_symbol,
+          reason: reason || null,
+          reverted_version_id: reverted_version_id == null ? null : Number(reverted_version_id),
+          changed_by: changed_by == null ? null : Number(changed_by),
+          changed_at: new Date().toISOString()
+        });
       } else if (/UPDATE grades SET excluded_from_average = \? WHERE id = \? AND class_id = \?/i.test(sql)) {
         const [excludedValue, idParam, classIdParam] = params;
         const gradeRow = grades.find(
@@ -1170,7 +1960,9 @@ function createFakeDb() {
           scope_label,
           action_title,
           target_label,
-          detail_summary
+          detail_summary,
+          impersonator_user_id,
+          impersonator_email
         ] = params;
         const auditEntry = {
           id: auditLogId++,
@@ -1182,6 +1974,8 @@ function createFakeDb() {
           action_title: action_title || null,
           target_label: target_label || null,
           detail_summary: detail_summary || null,
+          impersonator_user_id: impersonator_user_id == null ? null : Number(impersonator_user_id),
+          impersonator_email: impersonator_email || null,
           entity_type: entity_type || null,
           entity_id: entity_id || null,
           http_method: http_method || null,
@@ -1211,6 +2005,52 @@ function createFakeDb() {
         const [email] = params;
         const user = users.find((u) => u.email === email);
         row = user ? { id: user.id } : undefined;
+      } else if (/FROM grades g\s+JOIN grade_templates gt ON gt\.id = g\.grade_template_id\s+JOIN students s ON s\.id = g\.student_id\s+LEFT JOIN grade_absences a ON a\.grade_id = g\.id\s+WHERE g\.id = \? AND g\.class_id = \? AND gt\.subject_id = \?/i.test(sql)) {
+        const [gradeIdParam, classIdParam, subjectIdParam] = params;
+        const gradeRow = grades.find(
+          (entry) => entry.id === Number(gradeIdParam) && entry.class_id === Number(classIdParam)
+        );
+        const template = gradeRow
+          ? gradeTemplates.find((entry) => entry.id === gradeRow.grade_template_id)
+          : null;
+        if (gradeRow && template && Number(template.subject_id) === Number(subjectIdParam)) {
+          const absence = gradeAbsences.find((entry) => entry.grade_id === gradeRow.id);
+          row = {
+            id: gradeRow.id,
+            student_id: gradeRow.student_id,
+            class_id: gradeRow.class_id,
+            is_absent: Boolean(gradeRow.is_absent),
+            template_id: template.id,
+            template_name: template.name,
+            template_date: template.date || null,
+            student_name: students.find((entry) => entry.id === gradeRow.student_id)?.name || "",
+            absence_grade_id: absence ? absence.grade_id : null,
+            status: absence?.status || null,
+            note_path: absence?.note_path || null,
+            note_original_name: absence?.note_original_name || null,
+            note_mime: absence?.note_mime || null,
+            makeup_date: absence?.makeup_date || null,
+            updated_at: absence?.updated_at || null
+          };
+        }
+      } else if (/SELECT key, label, description, base_role, is_system FROM roles WHERE key = \?/i.test(sql)) {
+        const [key] = params;
+        const role = roles.find((entry) => entry.key === String(key));
+        row = role ? { ...role } : undefined;
+      } else if (/INSERT INTO roles \(key, label, description, base_role, is_system\)/i.test(sql)) {
+        const [key, label, description, base_role, is_system] = params;
+        if (roles.some((entry) => entry.key === String(key))) {
+          if (typeof cb === "function") cb(new Error("duplicate key value violates unique constraint \"roles_pkey\""));
+          return;
+        }
+        roles.push({ key, label, description, base_role, is_system: Boolean(is_system), created_at: new Date().toISOString() });
+        row = { key };
+      } else if (/INSERT INTO role_permissions \(role_key, permission\)/i.test(sql)) {
+        const [role_key, permission] = params;
+        if (!rolePermissions.some((entry) => entry.role_key === role_key && entry.permission === permission)) {
+          rolePermissions.push({ role_key, permission });
+        }
+        row = { role_key };
       } else if (/SELECT id, name, start_date, end_date, is_active\s+FROM school_years\s+WHERE is_active = \?\s+ORDER BY id DESC\s+LIMIT 1/i.test(sql)) {
         const [is_active] = params;
         row = schoolYears
@@ -1231,7 +2071,7 @@ function createFakeDb() {
               Number(entry.school_year_id) === Number(school_year_id)
           )
           .sort((a, b) => new Date(b.created_at) - new Date(a.created_at) || b.id - a.id)[0];
-      } else if (/SELECT id, email, password_hash, role, status, must_change_password FROM users WHERE email = \?/i.test(sql)) {
+      } else if (/SELECT id, email, password_hash, role, status, must_change_password(?:, totp_enabled)?(?:, locked_until)?(?:, role_key)? FROM users WHERE email = \?/i.test(sql)) {
         const [email] = params;
         const user = users.find((u) => u.email === email);
         row = user
@@ -1241,9 +2081,321 @@ function createFakeDb() {
               password_hash: user.password_hash,
               role: user.role,
               status: user.status,
-              must_change_password: user.must_change_password || 0
+              must_change_password: user.must_change_password || 0,
+              totp_enabled: Boolean(user.totp_enabled),
+              locked_until: user.locked_until || null,
+              role_key: user.role_key || null
+            }
+          : undefined;
+      } else if (/SELECT id, email, role, failed_login_count, last_failed_login_at, locked_until FROM users WHERE id = \?/i.test(sql)) {
+        const [id] = params;
+        const user = users.find((u) => u.id === Number(id));
+        row = user
+          ? {
+              id: user.id,
+              email: user.email,
+              role: user.role,
+              failed_login_count: user.failed_login_count || 0,
+              last_failed_login_at: user.last_failed_login_at || null,
+              locked_until: user.locked_until || null
+            }
+          : undefined;
+      } else if (/UPDATE users\s+SET failed_login_count = CASE[\s\S]+RETURNING failed_login_count/i.test(sql)) {
+        const [window_start, id] = params;
+        const user = users.find((u) => u.id === Number(id));
+        if (user) {
+          const expired = !user.last_failed_login_at || new Date(user.last_failed_login_at) < new Date(window_start);
+          user.failed_login_count = expired ? 1 : Number(user.failed_login_count || 0) + 1;
+          user.last_failed_login_at = new Date().toISOString();
+        }
+        row = user ? { failed_login_count: user.failed_login_count } : undefined;
+      } else if (/SELECT attempt_key, failure_count, window_started_at, locked_until FROM login_attempts WHERE attempt_key = \?/i.test(sql)) {
+        const [attempt_key] = params;
+        const entry = loginAttempts.get(String(attempt_key));
+        row = entry ? { ...entry } : undefined;
+      } else if (/INSERT INTO login_attempts[\s\S]+RETURNING failure_count/i.test(sql)) {
+        const [attempt_key, email, now, window_start] = params;
+        const existing = loginAttempts.get(String(attempt_key));
+        if (!existing || new Date(existing.window_started_at) < new Date(window_start)) {
+          loginAttempts.set(String(attempt_key), {
+            attempt_key: String(attempt_key),
+            email,
+            failure_count: 1,
+            window_started_at: now,
+            locked_until: null
+          });
+        } else {
+          existing.failure_count += 1;
+        }
+        row = { failure_count: loginAttempts.get(String(attempt_key)).failure_count };
+      } else if (/SELECT id, email, role, status, must_change_password, totp_enabled(?:, locked_until)?(?:, role_key)? FROM users WHERE id = \?/i.test(sql)) {
+        const [id] = params;
+        const user = users.find((u) => u.id === Number(id));
+        row = user
+          ? {
+              id: user.id,
+              email: user.email,
+              role: user.role,
+              status: user.status,
+              must_change_password: user.must_change_password || 0,
+              totp_enabled: Boolean(user.totp_enabled),
+              locked_until: user.locked_until || null,
+              role_key: user.role_key || null
+            }
+          : undefined;
+      } else if (/SELECT id, email, role, status, must_change_password, totp_enabled(?:, locked_until)?(?:, role_key)? FROM users WHERE LOWER\(email\) = LOWER\(\?\)/i.test(sql)) {
+        const [email] = params;
+        const user = users.find((u) => String(u.email).toLowerCase() === String(email).toLowerCase());
+        row = user
+          ? {
+              id: user.id,
+              email: user.email,
+              role: user.role,
+              status: user.status,
+              must_change_password: user.must_change_password || 0,
+              totp_enabled: Boolean(user.totp_enabled),
+              locked_until: user.locked_until || null,
+              role_key: user.role_key || null
+            }
+          : undefined;
+      } else if (/SELECT value FROM app_settings WHERE key = \?/i.test(sql)) {
+        const [key] = params;
+        const entry = appSettings.get(String(key));
+        row = entry ? { value: entry.value } : undefined;
+      } else if (/SELECT enabled FROM user_notification_preferences WHERE user_id = \? AND preference_key = \?/i.test(sql)) {
+        const [userIdParam, preferenceKey] = params;
+        const entry = notificationPreferences.find(
+          (item) => item.user_id === Number(userIdParam) && item.preference_key === preferenceKey
+        );
+        row = entry ? { enabled: entry.enabled } : undefined;
+      } else if (/SELECT u\.id, u\.email\s+FROM students s\s+JOIN users u ON LOWER\(u\.email\) = LOWER\(s\.email\)\s+WHERE s\.id = \?/i.test(sql)) {
+        const [studentIdParam] = params;
+        const student = students.find((entry) => entry.id === Number(studentIdParam));
+        const user = student
+          ? users.find(
+              (u) => String(u.email).toLowerCase() === String(student.email).toLowerCase() && u.status === "active"
+            )
+          : null;
+        row = user ? { id: user.id, email: user.email } : undefined;
+      } else if (/FROM grades g\s+JOIN classes c ON c\.id = g\.class_id\s+JOIN users u ON u\.id = c\.teacher_id\s+WHERE g\.id = \?/i.test(sql)) {
+        const [gradeIdParam] = params;
+        const grade = grades.find((entry) => entry.id === Number(gradeIdParam));
+        const cls = grade ? classes.find((entry) => entry.id === grade.class_id) : null;
+        const user = cls ? users.find((u) => u.id === cls.teacher_id && u.status === "active") : null;
+        row = user ? { id: user.id, email: user.email, class_name: cls.name, subject: cls.subject } : undefined;
+      } else if (/SELECT id, email, role, role_key, password_hash, created_at, last_login FROM users WHERE id = \?/i.test(sql)) {
+        const [id] = params;
+        const user = users.find((u) => u.id === Number(id));
+        row = user
+          ? {
+              id: user.id,
+              email: user.email,
+              role: user.role,
+              role_key: user.role_key || null,
+              password_hash: user.password_hash,
+              created_at: user.created_at,
+              last_login: user.last_login || null
+            }
+          : undefined;
+      } else if (/SELECT id, email, role, status FROM users WHERE id = \?/i.test(sql)) {
+        const [id] = params;
+        const user = users.find((u) => u.id === Number(id));
+        row = user ? { id: user.id, email: user.email, role: user.role, status: user.status } : undefined;
+      } else if (/SELECT id, name, email FROM students WHERE LOWER\(email\) = LOWER\(\?\) ORDER BY id DESC LIMIT 1/i.test(sql)) {
+        const [email] = params;
+        const student = students
+          .filter((entry) => String(entry.email).toLowerCase() === String(email).toLowerCase())
+          .sort((a, b) => b.id - a.id)[0];
+        row = student ? { id: student.id, name: student.name, email: student.email } : undefined;
+      } else if (/SELECT id, teacher_id, name, description, created_at FROM rubrics WHERE id = \?/i.test(sql)) {
+        const [id] = params;
+        const rubric = rubrics.find((entry) => entry.id === Number(id));
+        row = rubric ? { ...rubric } : undefined;
+      } else if (/SELECT id, name FROM rubrics WHERE teacher_id = \? AND LOWER\(name\) = LOWER\(\?\)/i.test(sql)) {
+        const [teacher_id, name] = params;
+        const rubric = rubrics.find(
+          (entry) =>
+            entry.teacher_id === Number(teacher_id) &&
+            entry.name.toLowerCase() === String(name).toLowerCase()
+        );
+        row = rubric ? { id: rubric.id, name: rubric.name } : undefined;
+      } else if (/SELECT COUNT\(\*\) AS count FROM grade_rubric_scores WHERE grade_id = \?/i.test(sql)) {
+        const [gradeIdParam] = params;
+        row = { count: gradeRubricScores.filter((entry) => entry.grade_id === Number(gradeIdParam)).length };
+      } else if (/SELECT COUNT\(\*\) AS count FROM grade_task_points WHERE grade_id = \?/i.test(sql)) {
+        const [gradeIdParam] = params;
+        row = { count: gradeTaskPoints.filter((entry) => entry.grade_id === Number(gradeIdParam)).length };
+      } else if (/FROM grade_rubric_scores grs\s+JOIN rubric_criteria rc ON rc\.id = grs\.criterion_id\s+WHERE rc\.rubric_id = \?/i.test(sql)) {
+        const [id] = params;
+        const criterionIds = rubricCriteria
+          .filter((entry) => entry.rubric_id === Number(id))
+          .map((entry) => entry.id);
+        row = { count: gradeRubricScores.filter((entry) => criterionIds.includes(entry.criterion_id)).length };
+      } else if (/SELECT retake_of_template_id FROM grade_templates WHERE id = \?/i.test(sql)) {
+        const [id] = params;
+        const template = gradeTemplates.find((entry) => entry.id === Number(id));
+        row = template ? { retake_of_template_id: template.retake_of_template_id ?? null } : undefined;
+      } else if (/SELECT rubric_id FROM grade_templates WHERE id = \?/i.test(sql)) {
+        const [id] = params;
+        const template = gradeTemplates.find((entry) => entry.id === Number(id));
+        row = template ? { rubric_id: template.rubric_id ?? null } : undefined;
+      } else if (/FROM grade_task_points gtp\s+JOIN grade_template_tasks gtt ON gtt\.id = gtp\.task_id\s+WHERE gtt\.template_id = \?/i.test(sql)) {
+        const [templateId] = params;
+        const taskIds = gradeTemplateTasks
+          .filter((entry) => entry.template_id === Number(templateId))
+          .map((entry) => entry.id);
+        row = { count: gradeTaskPoints.filter((entry) => taskIds.includes(entry.task_id)).length };
+      } else if (/SELECT id, name, pass_threshold, created_at FROM grade_scales WHERE id = \?/i.test(sql)) {
+        const [id] = params;
+        const scale = gradeScales.find((entry) => entry.id === Number(id));
+        row = scale ? { ...scale } : undefined;
+      } else if (/SELECT id, name FROM grade_scales WHERE LOWER\(name\) = LOWER\(\?\)/i.test(sql)) {
+        const [name] = params;
+        const scale = gradeScales.find((entry) => entry.name.toLowerCase() === String(name).toLowerCase());
+        row = scale ? { id: scale.id, name: scale.name } : undefined;
+      } else if (/SELECT COUNT\(\*\) AS count FROM class_subject_grade_scales WHERE grade_scale_id = \?/i.test(sql)) {
+        const [id] = params;
+        row = { count: classSubjectGradeScales.filter((entry) => entry.grade_scale_id === Number(id)).length };
+      } else if (/SELECT grade_scale_id FROM class_subject_grade_scales WHERE class_id = \? AND subject_id = \?/i.test(sql)) {
+        const [classIdParam, subjectIdParam] = params;
+        const entry = classSubjectGradeScales.find(
+          (item) => item.class_id === Number(classIdParam) && item.subject_id === Number(subjectIdParam)
+        );
+        row = entry ? { grade_scale_id: entry.grade_scale_id } : undefined;
+      } else if (/SELECT id, student_id, class_id, subject_id, term_id, teacher_id, computed_average, proposed_grade, justification, status, review_note, signed_off_by, signed_off_at, updated_at FROM final_grades WHERE id = \?/i.test(sql)) {
+        const [id] = params;
+        const entry = finalGrades.find((item) => item.id === Number(id));
+        row = entry ? { ...entry } : undefined;
+      } else if (/FROM early_warnings ew[\s\S]*WHERE ew\.id = \? AND ew\.class_id = \?/i.test(sql)) {
+        const [id, classIdParam] = params;
+        const entry = earlyWarnings.find((item) => item.id === Number(id) && item.class_id === Number(classIdParam));
+        row = entry ? describeEarlyWarning(entry) : undefined;
+      } else if (/FROM grade_versions gv[\s\S]*WHERE gv\.id = \? AND gv\.class_id = \? AND gv\.subject_id = \?/i.test(sql)) {
+        const [id, classIdParam, subjectIdParam] = params;
+        const entry = gradeVersions.find(
+          (item) =>
+            item.id === Number(id) &&
+            item.class_id === Number(classIdParam) &&
+            item.subject_id === normalizeOptionalId(subjectIdParam)
+        );
+        row = entry ? describeGradeVersion(entry) : undefined;
+      } else if (/SELECT g\.id, g\.student_id\s+FROM grades g\s+JOIN grade_templates gt ON gt\.id = g\.grade_template_id\s+WHERE g\.id = \? AND g\.class_id = \? AND gt\.subject_id = \? AND g\.is_held_back = \?/i.test(sql)) {
+        const [gradeIdParam, clsId, subjectId, heldBackParam] = params;
+        const grade = grades.find(
+          (entry) =>
+            entry.id === Number(gradeIdParam) &&
+            entry.class_id === Number(clsId) &&
+            Boolean(entry.is_held_back) === Boolean(heldBackParam)
+        );
+        const template = gradeTemplates.find((entry) => entry.id === Number(grade?.grade_template_id));
+        row =
+          grade && template && template.subject_id === normalizeOptionalId(subjectId)
+            ? { id: grade.id, student_id: grade.student_id }
+            : undefined;
+      } else if (/SELECT g\.id, g\.student_id, gt\.name AS template_name\s+FROM grades g\s+JOIN grade_templates gt ON gt\.id = g\.grade_template_id\s+WHERE g\.id = \? AND g\.class_id = \? AND gt\.subject_id = \? AND g\.published_at IS NULL/i.test(sql)) {
+        const [gradeIdParam, clsId, subjectId] = params;
+        const grade = grades.find(
+          (entry) => entry.id === Number(gradeIdParam) && entry.class_id === Number(clsId) && !entry.published_at
+        );
+        const template = gradeTemplates.find((entry) => entry.id === Number(grade?.grade_template_id));
+        row =
+          grade && template && template.subject_id === normalizeOptionalId(subjectId)
+            ? { id: grade.id, student_id: grade.student_id, template_name: template.name }
+            : undefined;
+      } else if (/SELECT id, student_id, grade, points_achieved, points_max, is_absent FROM grades WHERE id = \? AND class_id = \?/i.test(sql)) {
+        const [gradeId, clsId] = params;
+        const grade = grades.find(
+          (entry) => entry.id === Number(gradeId) && entry.class_id === Number(clsId)
+        );
+        row = grade
+          ? {
+              id: grade.id,
+              student_id: grade.student_id,
+              grade: grade.grade,
+              points_achieved: grade.points_achieved ?? null,
+              points_max: grade.points_max ?? null,
+              is_absent: Boolean(grade.is_absent)
             }
           : undefined;
+      } else if (/SELECT COUNT\(\*\) AS count FROM early_warnings WHERE term_id = \?/i.test(sql)) {
+        const [termIdParam] = params;
+        row = { count: earlyWarnings.filter((item) => item.term_id === Number(termIdParam)).length };
+      } else if (/SELECT COUNT\(\*\) AS count FROM final_grades WHERE term_id = \?/i.test(sql)) {
+        const [termIdParam] = params;
+        row = { count: finalGrades.filter((item) => item.term_id === Number(termIdParam)).length };
+      } else if (/SELECT id, school_year_id, name, start_date, end_date\s+FROM school_terms\s+WHERE id = \?/i.test(sql)) {
+        const [id] = params;
+        const term = schoolTerms.find((entry) => entry.id === Number(id));
+        row = term ? { ...term } : undefined;
+      } else if (/FROM guardian_students gs\s+JOIN students s ON s\.id = gs\.student_id[\s\S]*WHERE gs\.guardian_user_id = \? AND gs\.student_id = \?/i.test(sql)) {
+        const [guardianUserId, studentIdParam] = params;
+        const link = guardianStudents.find(
+          (entry) => entry.guardian_user_id === Number(guardianUserId) && entry.student_id === Number(studentIdParam)
+        );
+        const student = link ? students.find((entry) => entry.id === link.student_id) : null;
+        const cls = student ? classes.find((entry) => entry.id === student.class_id) : null;
+        row = student
+          ? {
+              student_id: student.id,
+              name: student.name,
+              email: student.email,
+              school_year: student.school_year,
+              class_name: cls ? cls.name : null
+            }
+          : undefined;
+      } else if (/SELECT id, email, role, status FROM users WHERE LOWER\(email\) = LOWER\(\?\)/i.test(sql)) {
+        const [email] = params;
+        const user = users.find((u) => String(u.email).toLowerCase() === String(email).toLowerCase());
+        row = user ? { id: user.id, email: user.email, role: user.role, status: user.status } : undefined;
+      } else if (/SELECT t\.id, t\.user_id, t\.expires_at, t\.used_at, u\.email, u\.status\s+FROM password_reset_tokens t\s+JOIN users u ON u\.id = t\.user_id\s+WHERE t\.token_hash = \?/i.test(sql)) {
+        const [token_hash] = params;
+        const entry = passwordResetTokens.find((token) => token.token_hash === token_hash);
+        const user = entry ? users.find((u) => u.id === entry.user_id) : null;
+        row = entry && user
+          ? {
+              id: entry.id,
+              user_id: entry.user_id,
+              expires_at: entry.expires_at,
+              used_at: entry.used_at,
+              email: user.email,
+              status: user.status
+            }
+          : undefined;
+      } else if (/UPDATE password_reset_tokens SET used_at = current_timestamp WHERE id = \? AND used_at IS NULL RETURNING id/i.test(sql)) {
+        const [id] = params;
+        const entry = passwordResetTokens.find((token) => token.id === Number(id) && !token.used_at);
+        if (entry) {
+          entry.used_at = new Date().toISOString();
+        }
+        row = entry ? { id: entry.id } : undefined;
+      } else if (/UPDATE users SET totp_last_step = \? WHERE id = \? AND \(totp_last_step IS NULL OR totp_last_step < \?\) RETURNING id/i.test(sql)) {
+        const [step, id] = params;
+        const user = users.find(
+          (u) => u.id === Number(id) && (u.totp_last_step == null || Number(u.totp_last_step) < Number(step))
+        );
+        if (user) {
+          user.totp_last_step = Number(step);
+        }
+        row = user ? { id: user.id } : undefined;
+      } else if (/SELECT id, email, role, totp_enabled, totp_secret, totp_last_step, totp_enrolled_at\s+FROM users\s+WHERE id = \?/i.test(sql)) {
+        const [id] = params;
+        const user = users.find((u) => u.id === Number(id));
+        row = user
+          ? {
+              id: user.id,
+              email: user.email,
+              role: user.role,
+              totp_enabled: Boolean(user.totp_enabled),
+              totp_secret: user.totp_secret || null,
+              totp_last_step: user.totp_last_step ?? null,
+              totp_enrolled_at: user.totp_enrolled_at || null
+            }
+          : undefined;
+      } else if (/SELECT COUNT\(\*\) AS count\s+FROM user_recovery_codes\s+WHERE user_id = \? AND used_at IS NULL/i.test(sql)) {
+        const [user_id] = params;
+        row = {
+          count: recoveryCodes.filter((entry) => entry.user_id === Number(user_id) && !entry.used_at).length
+        };
       } else if (/SELECT id, role FROM users WHERE email = \?/i.test(sql)) {
         const [email] = params;
         const user = users.find((u) => u.email === email);
@@ -1266,11 +2418,22 @@ function createFakeDb() {
         row = {
           count: teacherStudentExclusions.filter((entry) => entry.subject_id === Number(subjectIdParam)).length
         };
+      } else if (/SELECT id, name, school_year_id, head_teacher_id FROM classes WHERE id = \?/i.test(sql)) {
+        const [id] = params;
+        const classRow = classes.find((c) => c.id === Number(id));
+        row = classRow
+          ? {
+              id: classRow.id,
+              name: classRow.name,
+              school_year_id: classRow.school_year_id,
+              head_teacher_id: classRow.head_teacher_id ?? classRow.teacher_id ?? null
+            }
+          : undefined;
       } else if (/SELECT id, subject_id FROM classes WHERE id = \?/i.test(sql)) {
         const [id] = params;
         const classRow = classes.find((entry) => entry.id === Number(id));
         row = classRow ? { id: classRow.id, subject_id: classRow.subject_id } : undefined;
-      } else if (/SELECT id, email, role, status, created_at, must_change_password FROM users WHERE id = \?/i.test(sql)) {
+      } else if (/SELECT id, email, role(?:, role_key)?, status, created_at, must_change_password FROM users WHERE id = \?/i.test(sql)) {
         const [id] = params;
         const user = users.find((u) => u.id === Number(id));
         row = user
@@ -1278,16 +2441,17 @@ function createFakeDb() {
               id: user.id,
               email: user.email,
               role: user.role,
+              role_key: user.role_key || null,
               status: user.status,
               created_at: user.created_at,
               must_change_password: user.must_change_password || 0
             }
           : undefined;
-      } else if (/SELECT id, email, role, status, must_change_password FROM users WHERE id = \?/i.test(sql)) {
+      } else if (/SELECT id, email, role(?:, role_key)?, status, must_change_password FROM users WHERE id = \?/i.test(sql)) {
         const [id] = params;
         const user = users.find((u) => u.id === Number(id));
         row = user
-          ? { id: user.id, email: user.email, role: user.role, status: user.status, must_change_password: user.must_change_password || 0 }
+          ? { id: user.id, email: user.email, role: user.role, role_key: user.role_key || null, status: user.status, must_change_password: user.must_change_password || 0 }
           : undefined;
       } else if (/SELECT id, name, subject FROM classes WHERE id = \?/i.test(sql)) {
         const [id] = params;
@@ -1307,7 +2471,7 @@ function createFakeDb() {
               created_at: classRow.created_at
             }
           : undefined;
-      } else if (/SELECT .*FROM classes\s+WHERE id = \? AND school_year_id = \?/i.test(sql)) {
+      } else if (/SELECT [\s\S]*FROM classes\s+WHERE id = \? AND school_year_id = \?/i.test(sql)) {
         const [id, school_year_id] = params;
         const classRow = classes.find(
           (entry) => entry.id === Number(id) && Number(entry.school_year_id) === Number(school_year_id)
@@ -1408,6 +2572,16 @@ function createFakeDb() {
         row = teachingAssignments
           .filter((entry) => entry.teacher_id === Number(teacher_id))
           .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0];
+      } else if (/SELECT id, grading_profile_id\s+FROM class_subject_teacher\s+WHERE teacher_id = \? AND class_id = \? AND subject_id = \? AND school_year_id = \?/i.test(sql)) {
+        const [teacherId, classId, subjectId, schoolYearId] = params;
+        const assignment = teachingAssignments.find(
+          (entry) =>
+            entry.teacher_id === Number(teacherId) &&
+            entry.class_id === Number(classId) &&
+            entry.subject_id === Number(subjectId) &&
+            Number(entry.school_year_id) === Number(schoolYearId)
+        );
+        row = assignment ? { id: assignment.id, grading_profile_id: assignment.grading_profile_id ?? null } : undefined;
       } else if (/SELECT 1 AS allowed\s+FROM class_subject_teacher\s+WHERE teacher_id = \? AND class_id = \? AND school_year_id = \?\s+LIMIT 1/i.test(sql)) {
         const [teacher_id, class_id, school_year_id] = params;
         const match = teachingAssignments.find(
@@ -1672,7 +2846,7 @@ function createFakeDb() {
         const [email, class_id] = params;
         const student = students.find((s) => s.email === email && s.class_id === Number(class_id));
         row = student ? { id: student.id } : undefined;
-      } else if (/SELECT id(, excluded_from_average)? FROM special_assessments WHERE id = \? AND class_id = \?( AND subject_id = \?)?/i.test(sql)) {
+      } else if (/SELECT id(, excluded_from_average)?(, student_id, name, grade)? FROM special_assessments WHERE id = \? AND class_id = \?( AND subject_id = \?)?/i.test(sql)) {
         const [assessmentId, clsId, subjectId] = params;
         const assessment = specialAssessments.find(
           (entry) =>
@@ -1681,7 +2855,13 @@ function createFakeDb() {
             (subjectId == null || entry.subject_id === normalizeOptionalId(subjectId))
         );
         row = assessment
-          ? { id: assessment.id, excluded_from_average: assessment.excluded_from_average ? 1 : 0 }
+          ? {
+              id: assessment.id,
+              excluded_from_average: assessment.excluded_from_average ? 1 : 0,
+              student_id: assessment.student_id,
+              name: assessment.name,
+              grade: assessment.grade
+            }
           : undefined;
       } else if (/SELECT id, max_points FROM grade_templates WHERE id = \? AND class_id = \?( AND subject_id = \?)?/i.test(sql)) {
         const [templateId, clsId, subjectId] = params;
@@ -1701,7 +2881,7 @@ function createFakeDb() {
             (subjectId == null || entry.subject_id === normalizeOptionalId(subjectId))
         );
         row = template ? { id: template.id } : undefined;
-      } else if (/SELECT g\.attachment_path(, g\.excluded_from_average)?\s+FROM grades g\s+JOIN grade_templates gt ON gt\.id = g\.grade_template_id\s+WHERE g\.id = \? AND g\.class_id = \? AND gt\.subject_id = \?/i.test(sql)) {
+      } else if (/SELECT g\.attachment_path(, g\.excluded_from_average)?[^;]*?\s+FROM grades g\s+JOIN grade_templates gt ON gt\.id = g\.grade_template_id\s+WHERE g\.id = \? AND g\.class_id = \? AND gt\.subject_id = \?/i.test(sql)) {
         const [gradeId, clsId, subjectId] = params;
         const grade = grades.find(
           (entry) => entry.id === Number(gradeId) && entry.class_id === Number(clsId)
@@ -1713,7 +2893,13 @@ function createFakeDb() {
           grade && template && template.subject_id === normalizeOptionalId(subjectId)
             ? {
                 attachment_path: grade.attachment_path || null,
-                excluded_from_average: grade.excluded_from_average ? 1 : 0
+                excluded_from_average: grade.excluded_from_average ? 1 : 0,
+                student_id: grade.student_id,
+                grade: grade.grade,
+                points_achieved: grade.points_achieved ?? null,
+                points_max: grade.points_max ?? null,
+                is_absent: Boolean(grade.is_absent),
+                template_name: template.name
               }
             : undefined;
       } else if (/SELECT attachment_path FROM grades WHERE id = \? AND class_id = \?/i.test(sql)) {
@@ -1724,8 +2910,12 @@ function createFakeDb() {
         row = grade ? { attachment_path: grade.attachment_path || null } : undefined;
       } else if (/SELECT id, student_id, grade_template_id FROM grades WHERE id = \? AND student_id = \?/i.test(sql)) {
         const [gradeId, studentId] = params;
+        const onlyPublished = /published_at IS NOT NULL/i.test(sql);
         const grade = grades.find(
-          (entry) => entry.id === Number(gradeId) && entry.student_id === Number(studentId)
+          (entry) =>
+            entry.id === Number(gradeId) &&
+            entry.student_id === Number(studentId) &&
+            (!onlyPublished || Boolean(entry.published_at))
         );
         row = grade
           ? {
@@ -1736,14 +2926,22 @@ function createFakeDb() {
           : undefined;
       } else if (/SELECT id FROM grades WHERE id = \? AND student_id = \?/i.test(sql)) {
         const [gradeId, studentId] = params;
+        const onlyPublished = /published_at IS NOT NULL/i.test(sql);
         const grade = grades.find(
-          (entry) => entry.id === Number(gradeId) && entry.student_id === Number(studentId)
+          (entry) =>
+            entry.id === Number(gradeId) &&
+            entry.student_id === Number(studentId) &&
+            (!onlyPublished || Boolean(entry.published_at))
         );
         row = grade ? { id: grade.id } : undefined;
       } else if (/SELECT attachment_path, attachment_original_name, attachment_mime FROM grades WHERE id = \? AND student_id = \?/i.test(sql)) {
         const [gradeId, studentId] = params;
+        const onlyPublished = /published_at IS NOT NULL/i.test(sql);
         const grade = grades.find(
-          (entry) => entry.id === Number(gradeId) && entry.student_id === Number(studentId)
+          (entry) =>
+            entry.id === Number(gradeId) &&
+            entry.student_id === Number(studentId) &&
+            (!onlyPublished || Boolean(entry.published_at))
         );
         row = grade
           ? {
@@ -1772,7 +2970,7 @@ function createFakeDb() {
               }
             : undefined;
         }
-      } else if (/SELECT s\.\*, c\.name as class_name, c\.subject as class_subject, c\.id as class_id FROM students s (LEFT )?JOIN classes c ON c.id = s.class_id WHERE s.email = \?/i.test(sql)) {
+      } else if (/SELECT s\.\*, c\.name as class_name, c\.subject as class_subject, c\.id as class_id(, c\.school_year_id)? FROM students s (LEFT )?JOIN classes c ON c.id = s.class_id WHERE s.email = \?/i.test(sql)) {
         const [email] = params;
         const student = students.find((s) => s.email === email);
         if (student) {
@@ -1781,7 +2979,8 @@ function createFakeDb() {
             ...student,
             class_name: cls?.name,
             class_subject: cls?.subject,
-            class_id: cls?.id
+            class_id: cls?.id,
+            school_year_id: cls?.school_year_id
           };
         }
       }
@@ -1790,7 +2989,364 @@ function createFakeDb() {
     },
     all(sql, params = [], cb) {
       let rows = [];
-      if (/SELECT id, name, start_date, end_date, is_active\s+FROM school_years\s+ORDER BY start_date DESC, id DESC/i.test(sql)) {
+      if (/SELECT key, label, description, base_role, is_system FROM roles ORDER BY/i.test(sql)) {
+        rows = [...roles]
+          .sort((a, b) => Number(b.is_system) - Number(a.is_system) || a.label.localeCompare(b.label, "de"))
+          .map((role) => ({ ...role }));
+      } else if (/FROM grade_absences a\s+JOIN grades g ON g\.id = a\.grade_id\s+WHERE g\.student_id = \?/i.test(sql)) {
+        const [studentIdParam] = params;
+        rows = gradeAbsences
+          .map((absence) => ({ absence, gradeRow: grades.find((entry) => entry.id === absence.grade_id) }))
+          .filter(({ gradeRow }) => gradeRow && gradeRow.student_id === Number(studentIdParam))
+          .map(({ absence, gradeRow }) => ({
+            grade_id: absence.grade_id,
+            status: absence.status,
+            makeup_date: absence.makeup_date,
+            note_original_name: absence.note_original_name,
+            is_absent: Boolean(gradeRow.is_absent)
+          }));
+      } else if (/FROM grade_absences a[\s\S]*WHERE g\.class_id = \? AND g\.is_absent = \? AND a\.makeup_date IS NOT NULL/i.test(sql)) {
+        const [classIdParam] = params;
+        rows = gradeAbsences
+          .filter((absence) => absence.makeup_date)
+          .map((absence) => {
+            const gradeRow = grades.find((entry) => entry.id === absence.grade_id);
+            const template = gradeRow
+              ? gradeTemplates.find((entry) => entry.id === gradeRow.grade_template_id)
+              : null;
+            return { absence, gradeRow, template };
+          })
+          .filter(
+            ({ gradeRow, template }) =>
+              gradeRow && template && gradeRow.is_absent && gradeRow.class_id === Number(classIdParam)
+          )
+          .map(({ absence, gradeRow, template }) => ({
+            grade_id: absence.grade_id,
+            status: absence.status,
+            makeup_date: absence.makeup_date,
+            note_original_name: absence.note_original_name,
+            student_id: gradeRow.student_id,
+            student_name: students.find((entry) => entry.id === gradeRow.student_id)?.name || "",
+            template_id: template.id,
+            template_name: template.name,
+            template_date: template.date || null,
+            subject_id: template.subject_id ?? null,
+            subject_name:
+              getSubjectNameById(template.subject_id) ||
+              classes.find((entry) => entry.id === gradeRow.class_id)?.subject ||
+              null
+          }))
+          .sort(
+            (a, b) =>
+              String(a.makeup_date).localeCompare(String(b.makeup_date)) ||
+              String(a.subject_name || "").localeCompare(String(b.subject_name || "")) ||
+              a.student_name.localeCompare(b.student_name)
+          );
+      } else if (/FROM grade_absences a[\s\S]*WHERE g\.class_id = \? AND gt\.subject_id = \? AND g\.is_absent = \? AND a\.makeup_date IS NOT NULL/i.test(sql)) {
+        const [classIdParam, subjectIdParam] = params;
+        rows = gradeAbsences
+          .filter((absence) => absence.makeup_date)
+          .map((absence) => {
+            const gradeRow = grades.find((entry) => entry.id === absence.grade_id);
+            const template = gradeRow
+              ? gradeTemplates.find((entry) => entry.id === gradeRow.grade_template_id)
+              : null;
+            return { absence, gradeRow, template };
+          })
+          .filter(
+            ({ gradeRow, template }) =>
+              gradeRow &&
+              template &&
+              gradeRow.is_absent &&
+              gradeRow.class_id === Number(classIdParam) &&
+              Number(template.subject_id) === Number(subjectIdParam)
+          )
+          .map(({ absence, gradeRow, template }) => ({
+            grade_id: absence.grade_id,
+            status: absence.status,
+            makeup_date: absence.makeup_date,
+            note_original_name: absence.note_original_name,
+            student_id: gradeRow.student_id,
+            student_name: students.find((entry) => entry.id === gradeRow.student_id)?.name || "",
+            template_id: template.id,
+            template_name: template.name,
+            template_date: template.date || null
+          }))
+          .sort(
+            (a, b) =>
+              String(a.makeup_date).localeCompare(String(b.makeup_date)) ||
+              a.student_name.localeCompare(b.student_name)
+          );
+      } else if (/SELECT preference_key, enabled FROM user_notification_preferences WHERE user_id = \?/i.test(sql)) {
+        const [userIdParam] = params;
+        rows = notificationPreferences
+          .filter((entry) => entry.user_id === Number(userIdParam))
+          .map((entry) => ({ preference_key: entry.preference_key, enabled: entry.enabled }));
+      } else if (/SELECT id, teacher_id, name, description, created_at FROM rubrics WHERE teacher_id = \?/i.test(sql)) {
+        const [teacher_id] = params;
+        rows = rubrics
+          .filter((entry) => entry.teacher_id === Number(teacher_id))
+          .sort((a, b) => a.name.localeCompare(b.name))
+          .map((entry) => ({ ...entry }));
+      } else if (/FROM rubric_criteria WHERE rubric_id = \?/i.test(sql)) {
+        const [id] = params;
+        rows = rubricCriteria
+          .filter((entry) => entry.rubric_id === Number(id))
+          .sort((a, b) => a.sort_order - b.sort_order || a.id - b.id)
+          .map((entry) => ({ ...entry }));
+      } else if (/FROM rubric_levels rl\s+JOIN rubric_criteria rc ON rc\.id = rl\.criterion_id\s+WHERE rc\.rubric_id = \?/i.test(sql)) {
+        const [id] = params;
+        const criterionIds = rubricCriteria
+          .filter((entry) => entry.rubric_id === Number(id))
+          .map((entry) => entry.id);
+        rows = rubricLevels
+          .filter((entry) => criterionIds.includes(entry.criterion_id))
+          .sort((a, b) => a.criterion_id - b.criterion_id || a.sort_order - b.sort_order || a.id - b.id)
+          .map((entry) => ({ ...entry }));
+      } else if (/FROM grade_rubric_scores grs\s+JOIN grades g ON g\.id = grs\.grade_id\s+WHERE g\.grade_template_id = \?/i.test(sql)) {
+        const [templateId] = params;
+        const gradeIds = grades
+          .filter((entry) => entry.grade_template_id === Number(templateId))
+          .map((entry) => entry.id);
+        rows = gradeRubricScores
+          .filter((entry) => gradeIds.includes(entry.grade_id))
+          .map((entry) => ({ ...entry }));
+      } else if (/FROM grade_rubric_scores grs\s+JOIN grades g ON g\.id = grs\.grade_id\s+JOIN rubric_criteria rc ON rc\.id = grs\.criterion_id\s+WHERE g\.student_id = \?/i.test(sql)) {
+        const [studentIdParam] = params;
+        const gradeIds = grades
+          .filter((entry) => entry.student_id === Number(studentIdParam))
+          .map((entry) => entry.id);
+        rows = gradeRubricScores
+          .filter((entry) => gradeIds.includes(entry.grade_id))
+          .map((entry) => ({
+            ...entry,
+            rubric_id: rubricCriteria.find((criterion) => criterion.id === entry.criterion_id)?.rubric_id ?? null
+          }))
+          .filter((entry) => entry.rubric_id != null);
+      } else if (/FROM grade_template_tasks WHERE template_id = \?/i.test(sql)) {
+        const [templateId] = params;
+        rows = gradeTemplateTasks
+          .filter((entry) => entry.template_id === Number(templateId))
+          .sort((a, b) => a.sort_order - b.sort_order || a.id - b.id)
+          .map((entry) => ({ ...entry }));
+      } else if (/FROM grade_template_tasks WHERE template_id IN/i.test(sql)) {
+        const templateIds = params.map(Number);
+        rows = gradeTemplateTasks
+          .filter((entry) => templateIds.includes(entry.template_id))
+          .sort((a, b) => a.template_id - b.template_id || a.sort_order - b.sort_order || a.id - b.id)
+          .map((entry) => ({ ...entry }));
+      } else if (/FROM grade_task_points gtp\s+JOIN grade_template_tasks gtt ON gtt\.id = gtp\.task_id\s+JOIN grades g ON g\.id = gtp\.grade_id\s+WHERE gtt\.template_id = \?/i.test(sql)) {
+        const [templateId] = params;
+        const taskIds = gradeTemplateTasks
+          .filter((entry) => entry.template_id === Number(templateId))
+          .map((entry) => entry.id);
+        rows = gradeTaskPoints
+          .filter((entry) => taskIds.includes(entry.task_id))
+          .map((entry) => {
+            const grade = grades.find((gradeEntry) => gradeEntry.id === entry.grade_id);
+            return grade ? { ...entry, student_id: grade.student_id } : null;
+          })
+          .filter(Boolean);
+      } else if (/SELECT id, name, pass_threshold, created_at FROM grade_scales ORDER BY name ASC/i.test(sql)) {
+        rows = [...gradeScales]
+          .sort((a, b) => a.name.localeCompare(b.name, "de"))
+          .map((entry) => ({ ...entry }));
+      } else if (/FROM grade_scale_steps WHERE grade_scale_id = \?/i.test(sql)) {
+        const [id] = params;
+        rows = gradeScaleSteps
+          .filter((entry) => entry.grade_scale_id === Number(id))
+          .sort((a, b) => a.sort_order - b.sort_order || a.id - b.id)
+          .map((entry) => ({ ...entry }));
+      } else if (/FROM grade_scale_steps ORDER BY grade_scale_id ASC/i.test(sql)) {
+        rows = [...gradeScaleSteps]
+          .sort((a, b) => a.grade_scale_id - b.grade_scale_id || a.sort_order - b.sort_order || a.id - b.id)
+          .map((entry) => ({ ...entry }));
+      } else if (/SELECT subject_id, grade_scale_id FROM class_subject_grade_scales WHERE class_id = \?/i.test(sql)) {
+        const [classIdParam] = params;
+        rows = classSubjectGradeScales
+          .filter((entry) => entry.class_id === Number(classIdParam))
+          .map((entry) => ({ subject_id: entry.subject_id, grade_scale_id: entry.grade_scale_id }));
+      } else if (/LEFT JOIN class_subject_grade_scales csg ON[\s\S]*WHERE c\.school_year_id = \?/i.test(sql)) {
+        const [schoolYearIdParam] = params;
+        const seen = new Set();
+        rows = teachingAssignments
+          .filter((entry) => {
+            const classRow = classes.find((item) => item.id === Number(entry.class_id));
+            if (!classRow || Number(classRow.school_year_id) !== Number(schoolYearIdParam)) return false;
+            const key = `${entry.class_id}:${entry.subject_id}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+          })
+          .map((entry) => {
+            const classRow = classes.find((item) => item.id === Number(entry.class_id));
+            const scaleEntry = classSubjectGradeScales.find(
+              (item) => item.class_id === Number(entry.class_id) && item.subject_id === Number(entry.subject_id)
+            );
+            return {
+              class_id: Number(entry.class_id),
+              subject_id: Number(entry.subject_id),
+              class_name: classRow.name,
+              subject_name: getSubjectNameById(entry.subject_id) || classRow.subject || "",
+              grade_scale_id: scaleEntry ? scaleEntry.grade_scale_id : null
+            };
+          })
+          .sort(
+            (a, b) =>
+              String(a.class_name).localeCompare(String(b.class_name)) ||
+              String(a.subject_name).localeCompare(String(b.subject_name))
+          );
+      } else if (/FROM final_grades\s+WHERE class_id = \? AND subject_id = \? AND COALESCE\(term_id, 0\) = \?/i.test(sql)) {
+        const [classIdParam, subjectIdParam, termIdParam] = params;
+        rows = finalGrades
+          .filter(
+            (item) =>
+              item.class_id === Number(classIdParam) &&
+              item.subject_id === Number(subjectIdParam) &&
+              Number(item.term_id || 0) === Number(termIdParam)
+          )
+          .map((item) => ({ ...item }));
+      } else if (/SELECT g\.id, g\.student_id, g\.grade, g\.points_achieved, g\.points_max, g\.is_absent, s\.name AS student_name\s+FROM grades g\s+JOIN students s ON s\.id = g\.student_id\s+WHERE g\.grade_template_id = \? AND g\.class_id = \?/i.test(sql)) {
+        const [templateId, classId] = params;
+        rows = grades
+          .filter((entry) => entry.grade_template_id === Number(templateId) && entry.class_id === Number(classId))
+          .map((entry) => ({
+            id: entry.id,
+            student_id: entry.student_id,
+            grade: entry.grade,
+            points_achieved: entry.points_achieved ?? null,
+            points_max: entry.points_max ?? null,
+            is_absent: entry.is_absent ? 1 : 0,
+            student_name: students.find((student) => student.id === entry.student_id)?.name || ""
+          }))
+          .sort((a, b) => a.student_name.localeCompare(b.student_name) || a.id - b.id);
+      } else if (/SELECT id, class_id, name FROM grade_templates WHERE is_draft = \? AND release_at IS NOT NULL AND release_at <= \?/i.test(sql)) {
+        const [isDraft, now] = params;
+        rows = gradeTemplates
+          .filter(
+            (entry) =>
+              Boolean(entry.is_draft) === Boolean(isDraft) &&
+              entry.release_at &&
+              new Date(entry.release_at) <= new Date(now)
+          )
+          .sort((a, b) => new Date(a.release_at) - new Date(b.release_at) || a.id - b.id)
+          .map((entry) => ({ id: entry.id, class_id: entry.class_id, name: entry.name }));
+      } else if (/SELECT id, student_id FROM grades WHERE grade_template_id = \? AND published_at IS NULL/i.test(sql)) {
+        const [templateIdParam, heldBackParam] = params;
+        const filterHeldBack = /AND is_held_back = \?/i.test(sql);
+        rows = grades
+          .filter(
+            (entry) =>
+              entry.grade_template_id === Number(templateIdParam) &&
+              !entry.published_at &&
+              (!filterHeldBack || Boolean(entry.is_held_back) === Boolean(heldBackParam))
+          )
+          .sort((a, b) => a.id - b.id)
+          .map((entry) => ({ id: entry.id, student_id: entry.student_id }));
+      } else if (/FROM grade_versions gv[\s\S]*WHERE gv\.student_id = \? AND gv\.class_id = \? AND gv\.subject_id = \?/i.test(sql)) {
+        const [studentIdParam, classIdParam, subjectIdParam] = params;
+        rows = gradeVersions
+          .filter(
+            (item) =>
+              item.student_id === Number(studentIdParam) &&
+              item.class_id === Number(classIdParam) &&
+              item.subject_id === normalizeOptionalId(subjectIdParam)
+          )
+          .map(describeGradeVersion)
+          .sort((a, b) => String(b.changed_at).localeCompare(String(a.changed_at)) || b.id - a.id);
+      } else if (/FROM early_warnings ew[\s\S]*WHERE ew\.class_id = \?( AND ew\.subject_id = \?)? AND COALESCE\(ew\.term_id, 0\) = \?/i.test(sql)) {
+        const hasSubject = /AND ew\.subject_id = \?/i.test(sql);
+        const [classIdParam, subjectIdParam, termIdParam] = hasSubject ? params : [params[0], null, params[1]];
+        rows = earlyWarnings
+          .filter(
+            (item) =>
+              item.class_id === Number(classIdParam) &&
+              (!hasSubject || item.subject_id === Number(subjectIdParam)) &&
+              Number(item.term_id || 0) === Number(termIdParam)
+          )
+          .map(describeEarlyWarning)
+          .sort(
+            (a, b) =>
+              String(a.subject_name || "").localeCompare(String(b.subject_name || "")) ||
+              String(a.student_name || "").localeCompare(String(b.student_name || "")) ||
+              a.id - b.id
+          );
+      } else if (/FROM final_grades fg\s+JOIN students s ON s\.id = fg\.student_id[\s\S]*WHERE fg\.class_id = \? AND COALESCE\(fg\.term_id, 0\) = \?/i.test(sql)) {
+        const [classIdParam, termIdParam] = params;
+        rows = finalGrades
+          .filter(
+            (item) => item.class_id === Number(classIdParam) && Number(item.term_id || 0) === Number(termIdParam)
+          )
+          .map((item) => {
+            const student = students.find((entry) => entry.id === item.student_id);
+            const teacher = users.find((entry) => entry.id === item.teacher_id);
+            return {
+              ...item,
+              student_name: student?.name || null,
+              student_email: student?.email || null,
+              subject_name: getSubjectNameById(item.subject_id),
+              teacher_email: teacher?.email || null
+            };
+          })
+          .sort(
+            (a, b) =>
+              String(a.subject_name || "").localeCompare(String(b.subject_name || "")) ||
+              String(a.student_name || "").localeCompare(String(b.student_name || "")) ||
+              a.id - b.id
+          );
+      } else if (/SELECT id, school_year_id, name, start_date, end_date\s+FROM school_terms\s+WHERE school_year_id = \?/i.test(sql)) {
+        const [school_year_id] = params;
+        rows = schoolTerms
+          .filter((entry) => entry.school_year_id === Number(school_year_id))
+          .sort((a, b) => String(a.start_date).localeCompare(String(b.start_date)) || a.id - b.id)
+          .map((entry) => ({ ...entry }));
+      } else if (/FROM guardian_students gs\s+JOIN users u ON u\.id = gs\.guardian_user_id\s+WHERE gs\.student_id = \?/i.test(sql)) {
+        const [studentIdParam] = params;
+        rows = guardianStudents
+          .filter((entry) => entry.student_id === Number(studentIdParam))
+          .map((entry) => users.find((u) => u.id === entry.guardian_user_id && u.status === "active"))
+          .filter(Boolean)
+          .map((user) => ({ id: user.id, email: user.email }));
+      } else if (/FROM guardian_students gs\s+JOIN students s ON s\.id = gs\.student_id[\s\S]*WHERE gs\.guardian_user_id = \?\s+ORDER BY s\.name/i.test(sql)) {
+        const [guardianUserId] = params;
+        rows = guardianStudents
+          .filter((entry) => entry.guardian_user_id === Number(guardianUserId))
+          .map((entry) => {
+            const student = students.find((item) => item.id === entry.student_id);
+            if (!student) return null;
+            const cls = classes.find((item) => item.id === student.class_id);
+            return {
+              student_id: student.id,
+              name: student.name,
+              email: student.email,
+              school_year: student.school_year,
+              class_name: cls ? cls.name : null
+            };
+          })
+          .filter(Boolean)
+          .sort((a, b) => String(a.name).localeCompare(String(b.name), "de"));
+      } else if (/SELECT role_key, permission FROM role_permissions$/i.test(sql.trim())) {
+        rows = rolePermissions.map((entry) => ({ ...entry }));
+      } else if (/SELECT permission FROM role_permissions WHERE role_key = \?/i.test(sql)) {
+        const [key] = params;
+        rows = rolePermissions
+          .filter((entry) => entry.role_key === String(key))
+          .map((entry) => ({ permission: entry.permission }));
+      } else if (/SELECT COALESCE\(role_key, role\) AS role_key, COUNT\(\*\) AS count\s+FROM users/i.test(sql)) {
+        const counts = new Map();
+        users
+          .filter((user) => user.status !== "deleted")
+          .forEach((user) => {
+            const key = user.role_key || user.role;
+            counts.set(key, (counts.get(key) || 0) + 1);
+          });
+        rows = [...counts.entries()].map(([role_key, count]) => ({ role_key, count }));
+      } else if (/SELECT id, code_hash\s+FROM user_recovery_codes\s+WHERE user_id = \? AND used_at IS NULL/i.test(sql)) {
+        const [user_id] = params;
+        rows = recoveryCodes
+          .filter((entry) => entry.user_id === Number(user_id) && !entry.used_at)
+          .map((entry) => ({ id: entry.id, code_hash: entry.code_hash }));
+      } else if (/SELECT id, name, start_date, end_date, is_active\s+FROM school_years\s+ORDER BY start_date DESC, id DESC/i.test(sql)) {
         rows = [...schoolYears]
           .sort((a, b) => {
             const dateComparison = String(b.start_date || "").localeCompare(String(a.start_date || ""));
@@ -1816,10 +3372,10 @@ function createFakeDb() {
               executed_by_email: user?.email || null
             };
           });
-      } else if (/SELECT id, email, role, status, created_at, must_change_password FROM users ORDER BY id DESC/i.test(sql)) {
+      } else if (/SELECT id, email, role(?:, role_key)?, status, created_at, must_change_password FROM users ORDER BY id DESC/i.test(sql)) {
         rows = [...users]
           .sort((a, b) => b.id - a.id)
-          .map((u) => ({ id: u.id, email: u.email, role: u.role, status: u.status, created_at: u.created_at, must_change_password: u.must_change_password || 0 }));
+          .map((u) => ({ id: u.id, email: u.email, role: u.role, role_key: u.role_key || null, status: u.status, created_at: u.created_at, must_change_password: u.must_change_password || 0 }));
       } else if (/SELECT id, name FROM subjects ORDER BY name ASC/i.test(sql)) {
         rows = [...subjects]
           .sort((a, b) => a.name.localeCompare(b.name))
@@ -1873,7 +3429,7 @@ function createFakeDb() {
             subject: entry.subject,
             subject_id: entry.subject_id
           }));
-      } else if (/SELECT c\.name\s+FROM classes c\s+WHERE c\.head_teacher_id = \? AND c\.school_year_id = \?\s+ORDER BY c\.name ASC/i.test(sql)) {
+      } else if (/SELECT (c\.id, )?c\.name\s+FROM classes c\s+WHERE c\.head_teacher_id = \? AND c\.school_year_id = \?\s+ORDER BY c\.name ASC/i.test(sql)) {
         const [teacherId, schoolYearId] = params;
         rows = classes
           .filter(
@@ -1882,7 +3438,27 @@ function createFakeDb() {
               Number(entry.school_year_id) === Number(schoolYearId)
           )
           .sort((a, b) => String(a.name || "").localeCompare(String(b.name || "")))
-          .map((entry) => ({ name: entry.name }));
+          .map((entry) => ({ id: entry.id, name: entry.name }));
+      } else if (/SELECT cst\.id, cst\.class_id, cst\.subject_id, cst\.grading_profile_id,[\s\S]*FROM class_subject_teacher cst[\s\S]*WHERE cst\.teacher_id = \? AND cst\.school_year_id = \?/i.test(sql)) {
+        const [teacherId, schoolYearId] = params;
+        rows = teachingAssignments
+          .filter(
+            (entry) =>
+              entry.teacher_id === Number(teacherId) && Number(entry.school_year_id) === Number(schoolYearId)
+          )
+          .map((entry) => {
+            const classRow = classes.find((c) => c.id === entry.class_id) || {};
+            const subjectRow = subjects.find((subject) => subject.id === entry.subject_id) || {};
+            return {
+              id: entry.id,
+              class_id: entry.class_id,
+              subject_id: entry.subject_id,
+              grading_profile_id: entry.grading_profile_id ?? null,
+              class_name: classRow.name,
+              subject_name: subjectRow.name || classRow.subject || ""
+            };
+          })
+          .sort((a, b) => `${a.class_name} ${a.subject_name}`.localeCompare(`${b.class_name} ${b.subject_name}`));
       } else if (/SELECT cst.subject_id,\s*s.name AS subject_name,\s*COUNT\(\*\) AS teacher_count\s+FROM class_subject_teacher cst/i.test(sql) && /WHERE cst.class_id = \? AND sy.is_active = \?/i.test(sql)) {
         const [classIdParam, isActiveParam] = params;
         const activeYearIds = schoolYears
@@ -2207,11 +3783,32 @@ function createFakeDb() {
             return new Date(a.created_at) - new Date(b.created_at);
           })
           .map((profile) => ({ ...profile }));
-      } else if (/SELECT category, weight FROM teacher_grading_profile_items WHERE profile_id = \?/i.test(sql)) {
+      } else if (/SELECT id, rule_type, category, amount, threshold, cap_grade, sort_order FROM teacher_grading_profile_rules WHERE profile_id = \?/i.test(sql)) {
+        const [profile_id] = params;
+        rows = teacherGradingProfileRules
+          .filter((rule) => rule.profile_id === Number(profile_id))
+          .sort((a, b) => a.sort_order - b.sort_order || a.id - b.id)
+          .map((rule) => ({
+            id: rule.id,
+            rule_type: rule.rule_type,
+            category: rule.category,
+            amount: rule.amount,
+            threshold: rule.threshold,
+            cap_grade: rule.cap_grade,
+            sort_order: rule.sort_order
+          }));
+      } else if (/SELECT category, weight, label, color, sort_order FROM teacher_grading_profile_items WHERE profile_id = \?/i.test(sql)) {
         const [profile_id] = params;
         rows = teacherGradingProfileItems
           .filter((item) => item.profile_id === Number(profile_id))
-          .map((item) => ({ category: item.category, weight: item.weight }));
+          .sort((a, b) => Number(a.sort_order || 0) - Number(b.sort_order || 0) || a.id - b.id)
+          .map((item) => ({
+            category: item.category,
+            weight: item.weight,
+            label: item.label ?? null,
+            color: item.color ?? null,
+            sort_order: item.sort_order ?? 0
+          }));
       } else if (/SELECT c.id, c.name, c.subject, c.created_at, u.email AS teacher_email, u.id AS teacher_id/i.test(sql)) {
         rows = classes
           .filter((c) => {
@@ -2348,12 +3945,14 @@ function createFakeDb() {
         )
       ) {
         const hasTeacherScope = /WHERE g\.student_id = \? AND g\.class_id = \? AND gt\.subject_id = \?/i.test(sql);
+        const onlyPublished = /g\.published_at IS NOT NULL/i.test(sql);
         const student_id = params[0];
         const class_id = hasTeacherScope ? params[1] : null;
         const subject_id = hasTeacherScope ? normalizeOptionalId(params[2]) : null;
         const baseRows = grades
           .filter((g) => g.student_id === Number(student_id))
-          .filter((g) => (!Number.isFinite(Number(class_id)) ? true : g.class_id === Number(class_id)))
+          .filter((g) => !onlyPublished || Boolean(g.published_at))
+          .filter((g) => (class_id == null || !Number.isFinite(Number(class_id)) ? true : g.class_id === Number(class_id)))
           .map((g) => {
             const template = gradeTemplates.find((t) => t.id === g.grade_template_id) || {};
             const cls = classes.find((c) => c.id === g.class_id) || {};
@@ -2372,6 +3971,9 @@ function createFakeDb() {
               weight: template.weight,
               weight_mode: template.weight_mode || "points",
               template_max_points: template.max_points ?? null,
+              retake_of_template_id: template.retake_of_template_id ?? null,
+              retake_of_name:
+                gradeTemplates.find((entry) => entry.id === template.retake_of_template_id)?.name ?? null,
               date: template.date,
               description: template.description,
               subject_id: template.subject_id ?? null,
@@ -2384,14 +3986,18 @@ function createFakeDb() {
             attachment_size: g.attachment_size || null,
             external_link: g.external_link || null,
             is_absent: g.is_absent ? 1 : 0,
+            absence_status: gradeAbsences.find((entry) => entry.grade_id === g.id)?.status ?? null,
+            makeup_date: gradeAbsences.find((entry) => entry.grade_id === g.id)?.makeup_date ?? null,
             excluded_from_average: g.excluded_from_average ? 1 : 0,
+            published_at: g.published_at ?? null,
+            is_held_back: Boolean(g.is_held_back),
             is_special: 0
           };
         })
         .filter(Boolean);
         const specialRows = specialAssessments
           .filter((entry) => entry.student_id === Number(student_id))
-          .filter((entry) => (!Number.isFinite(Number(class_id)) ? true : entry.class_id === Number(class_id)))
+          .filter((entry) => (class_id == null || !Number.isFinite(Number(class_id)) ? true : entry.class_id === Number(class_id)))
           .filter((entry) => (!hasTeacherScope ? true : entry.subject_id === subject_id))
           .map((entry) => {
             const cls = classes.find((c) => c.id === entry.class_id) || {};
@@ -2409,6 +4015,8 @@ function createFakeDb() {
               weight: entry.weight,
               weight_mode: null,
               template_max_points: null,
+              retake_of_template_id: null,
+              retake_of_name: null,
               date: entry.created_at,
               description: entry.description,
               subject_id: entry.subject_id ?? null,
@@ -2421,7 +4029,10 @@ function createFakeDb() {
               attachment_size: null,
               external_link: null,
               is_absent: 0,
+              absence_status: null,
+              makeup_date: null,
               excluded_from_average: entry.excluded_from_average ? 1 : 0,
+              published_at: entry.created_at,
               is_special: 1
             };
           });
@@ -2439,28 +4050,85 @@ function createFakeDb() {
       ) {
         const [class_id] = params;
         const studentIds = students.filter((s) => s.class_id === Number(class_id)).map((s) => s.id);
+        const onlyPublished = /g\.published_at IS NOT NULL/i.test(sql);
         const regularRows = grades
           .filter((g) => studentIds.includes(g.student_id))
+          .filter((g) => !onlyPublished || Boolean(g.published_at))
           .map((g) => {
             const template = gradeTemplates.find((t) => t.id === g.grade_template_id) || {};
             return {
               subject: getSubjectNameById(template.subject_id),
+              subject_id: template.subject_id ?? null,
               value: g.grade,
               weight: template.weight,
               is_absent: g.is_absent ? 1 : 0,
-              excluded_from_average: g.excluded_from_average ? 1 : 0
+              absence_status: gradeAbsences.find((entry) => entry.grade_id === g.id)?.status ?? null,
+              makeup_date: gradeAbsences.find((entry) => entry.grade_id === g.id)?.makeup_date ?? null,
+              excluded_from_average: g.excluded_from_average ? 1 : 0,
+              student_id: g.student_id,
+              template_id: template.id ?? null,
+              retake_of_template_id: template.retake_of_template_id ?? null
             };
           });
         const specialRows = specialAssessments
           .filter((entry) => entry.class_id === Number(class_id))
           .map((entry) => ({
             subject: getSubjectNameById(entry.subject_id),
+            subject_id: entry.subject_id ?? null,
             value: entry.grade,
             weight: entry.weight,
             is_absent: 0,
-            excluded_from_average: entry.excluded_from_average ? 1 : 0
+            absence_status: null,
+            makeup_date: null,
+            excluded_from_average: entry.excluded_from_average ? 1 : 0,
+            student_id: entry.student_id,
+            template_id: null,
+            retake_of_template_id: null
           }));
         rows = [...regularRows, ...specialRows];
+      } else if (/SELECT cst\.subject_id, gp\.absence_mode[\s\S]*FROM class_subject_teacher cst[\s\S]*LEFT JOIN teacher_grading_profiles gp/i.test(sql)) {
+        const [is_active, class_id] = params;
+        rows = teachingAssignments
+          .filter((entry) => entry.class_id === Number(class_id))
+          .sort((a, b) => Number(a.subject_id) - Number(b.subject_id))
+          .map((entry) => {
+            const profile = teacherGradingProfiles
+              .filter(
+                (item) =>
+                  item.teacher_id === Number(entry.teacher_id) &&
+                  (entry.grading_profile_id != null
+                    ? item.id === Number(entry.grading_profile_id)
+                    : Boolean(item.is_active) === Boolean(is_active))
+              )
+              .sort((a, b) => a.id - b.id)[0];
+            return {
+              subject_id: entry.subject_id,
+              absence_mode: profile?.absence_mode ?? null,
+              ma_enabled: profile?.ma_enabled ?? null,
+              ma_weight: profile?.ma_weight ?? null,
+              ma_grade_plus: profile?.ma_grade_plus ?? null,
+              ma_grade_plus_tilde: profile?.ma_grade_plus_tilde ?? null,
+              ma_grade_neutral: profile?.ma_grade_neutral ?? null,
+              ma_grade_minus_tilde: profile?.ma_grade_minus_tilde ?? null,
+              ma_grade_minus: profile?.ma_grade_minus ?? null,
+              profile_id: profile?.id ?? null,
+              retake_policy: profile?.retake_policy ?? null
+            };
+          });
+      } else if (/SELECT pm\.subject_id, s\.name AS subject_name, pm\.symbol\s+FROM participation_marks pm/i.test(sql)) {
+        const byStudent = /WHERE pm\.student_id = \? AND pm\.class_id = \?/i.test(sql);
+        const [first, second] = params;
+        rows = participationMarks
+          .filter((entry) =>
+            byStudent
+              ? entry.student_id === Number(first) && entry.class_id === Number(second)
+              : entry.class_id === Number(first)
+          )
+          .map((entry) => ({
+            subject_id: entry.subject_id,
+            subject_name: entry.subject_id ? getSubjectNameById(entry.subject_id) : null,
+            symbol: entry.symbol
+          }));
       } else if (/FROM participation_marks\s+WHERE class_id = \? AND subject_id = \? AND student_id = \?\s+ORDER BY created_at DESC/i.test(sql)) {
         const [class_id, subject_id, student_id] = params;
         rows = participationMarks
@@ -2815,16 +4483,16 @@ function createFakeDb() {
                           );
 
                           db.run(
-                            "INSERT INTO grades (student_id, class_id, grade_template_id, grade, note) VALUES (?,?,?,?,?)",
-                            [studentId, createdClassId, 1, 2, "Gute Struktur"]
+                            "INSERT INTO grades (student_id, class_id, grade_template_id, grade, note, published_at) VALUES (?,?,?,?,?,?)",
+                            [studentId, createdClassId, 1, 2, "Gute Struktur", now.toISOString()]
                           );
                           db.run(
-                            "INSERT INTO grades (student_id, class_id, grade_template_id, grade, note) VALUES (?,?,?,?,?)",
-                            [studentId, createdClassId, 2, 1.5, "Sauberer Code"]
+                            "INSERT INTO grades (student_id, class_id, grade_template_id, grade, note, published_at) VALUES (?,?,?,?,?,?)",
+                            [studentId, createdClassId, 2, 1.5, "Sauberer Code", now.toISOString()]
                           );
                           db.run(
-                            "INSERT INTO grades (student_id, class_id, grade_template_id, grade, note) VALUES (?,?,?,?,?)",
-                            [studentId, createdClassId, 3, 3, "Mehr Quellenangaben"]
+                            "INSERT INTO grades (student_id, class_id, grade_template_id, grade, note, published_at) VALUES (?,?,?,?,?,?)",
+                            [studentId, createdClassId, 3, 3, "Mehr Quellenangaben", now.toISOString()]
                           );
 
                           db.run(
@@ -3052,15 +4720,15 @@ async function seedDemoData() {
   );
 
   await pool.query(
-    "INSERT INTO grades (student_id, class_id, grade_template_id, grade, note, school_year_id) VALUES ($1, $2, $3, $4, $5, $6)",
+    "INSERT INTO grades (student_id, class_id, grade_template_id, grade, note, school_year_id, published_at) VALUES ($1, $2, $3, $4, $5, $6, NOW())",
     [studentId, classId, templateOne.rows[0].id, 2, "Gute Struktur", activeSchoolYear.id]
   );
   await pool.query(
-    "INSERT INTO grades (student_id, class_id, grade_template_id, grade, note, school_year_id) VALUES ($1, $2, $3, $4, $5, $6)",
+    "INSERT INTO grades (student_id, class_id, grade_template_id, grade, note, school_year_id, published_at) VALUES ($1, $2, $3, $4, $5, $6, NOW())",
     [studentId, classId, templateTwo.rows[0].id, 1.5, "Sauberer Code", activeSchoolYear.id]
   );
   await pool.query(
-    "INSERT INTO grades (student_id, class_id, grade_template_id, grade, note, school_year_id) VALUES ($1, $2, $3, $4, $5, $6)",
+    "INSERT INTO grades (student_id, class_id, grade_template_id, grade, note, school_year_id, published_at) VALUES ($1, $2, $3, $4, $5, $6, NOW())",
     [studentId, classId, templateThree.rows[0].id, 3, "Mehr Quellenangaben", activeSchoolYear.id]
   );
   await pool.query(
@@ -3083,13 +4751,139 @@ async function initializeDatabase() {
       id SERIAL PRIMARY KEY,
       email TEXT UNIQUE NOT NULL,
       password_hash TEXT NOT NULL,
-      role TEXT NOT NULL CHECK (role IN ('admin','teacher','student')),
+      role TEXT NOT NULL CHECK (role IN ('admin','teacher','student','guardian')),
       status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active','locked','deleted')),
       must_change_password BOOLEAN NOT NULL DEFAULT FALSE,
       created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
       last_login TIMESTAMPTZ
     )
   `);
+  await pool.query("ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check");
+  await pool.query(
+    "ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN ('admin','teacher','student','guardian'))"
+  );
+  await pool.query(
+    "ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT"
+  );
+  await pool.query(
+    "ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT FALSE"
+  );
+  await pool.query(
+    "ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT"
+  );
+  await pool.query(
+    "ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enrolled_at TIMESTAMPTZ"
+  );
+  await pool.query(
+    "ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_count INTEGER NOT NULL DEFAULT 0"
+  );
+  await pool.query(
+    "ALTER TABLE users ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMPTZ"
+  );
+  await pool.query(
+    "ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ"
+  );
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS roles (
+      key TEXT PRIMARY KEY,
+      label TEXT NOT NULL,
+      description TEXT,
+      base_role TEXT NOT NULL CHECK (base_role IN ('admin','teacher','student','guardian')),
+      is_system BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS role_permissions (
+      role_key TEXT NOT NULL REFERENCES roles(key) ON DELETE CASCADE,
+      permission TEXT NOT NULL,
+      PRIMARY KEY (role_key, permission)
+    )
+  `);
+  await pool.query("ALTER TABLE roles DROP CONSTRAINT IF EXISTS roles_base_role_check");
+  await pool.query(
+    "ALTER TABLE roles ADD CONSTRAINT roles_base_role_check CHECK (base_role IN ('admin','teacher','student','guardian'))"
+  );
+  for (const role of DEFAULT_ROLES) {
+    const inserted = await pool.query(
+      `INSERT INTO roles (key, label, description, base_role, is_system)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (key) DO NOTHING
+       RETURNING key`,
+      [role.key, role.label, role.description, role.baseRole, role.isSystem]
+    );
+    // Die Admin-Rolle erhält neu hinzugekommene Verwaltungsrechte automatisch.
+    if (!inserted.rowCount && role.key !== "admin") continue;
+    for (const permission of role.permissions) {
+      await pool.query(
+        "INSERT INTO role_permissions (role_key, permission) VALUES ($1, $2) ON CONFLICT DO NOTHING",
+        [role.key, permission]
+      );
+    }
+  }
+  await pool.query(
+    "ALTER TABLE users ADD COLUMN IF NOT EXISTS role_key TEXT REFERENCES roles(key) ON DELETE SET NULL"
+  );
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS user_notification_preferences (
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      preference_key TEXT NOT NULL,
+      enabled BOOLEAN NOT NULL DEFAULT FALSE,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (user_id, preference_key)
+    )
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS user_recovery_codes (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      code_hash TEXT NOT NULL,
+      used_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  await pool.query(
+    "CREATE INDEX IF NOT EXISTS user_recovery_codes_user_idx ON user_recovery_codes (user_id)"
+  );
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS app_settings (
+      key TEXT PRIMARY KEY,
+      value TEXT,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS login_attempts (
+      attempt_key TEXT PRIMARY KEY,
+      email TEXT,
+      failure_count INTEGER NOT NULL DEFAULT 0,
+      window_started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      locked_until TIMESTAMPTZ
+    )
+  `);
+  await pool.query(
+    "CREATE INDEX IF NOT EXISTS login_attempts_email_idx ON login_attempts (email)"
+  );
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS password_reset_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      token_hash TEXT NOT NULL UNIQUE,
+      expires_at TIMESTAMPTZ NOT NULL,
+      used_at TIMESTAMPTZ,
+      requested_ip TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  await pool.query(
+    "CREATE INDEX IF NOT EXISTS password_reset_tokens_user_idx ON password_reset_tokens (user_id)"
+  );
 
   await pool.query(`
     CREATE TABLE IF NOT EXISTS school_years (
@@ -3123,6 +4917,20 @@ async function initializeDatabase() {
     )
   `);
 
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS school_terms (
+      id SERIAL PRIMARY KEY,
+      school_year_id INTEGER NOT NULL REFERENCES school_years(id) ON DELETE CASCADE,
+      name TEXT NOT NULL,
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT current_timestamp
+    )
+  `);
+  await pool.query(
+    "CREATE INDEX IF NOT EXISTS school_terms_school_year_idx ON school_terms (school_year_id, start_date)"
+  );
+
   await pool.query(`
     CREATE TABLE IF NOT EXISTS classes (
       id SERIAL PRIMARY KEY,
@@ -3423,6 +5231,19 @@ async function initializeDatabase() {
     )
   `);
 
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS guardian_students (
+      id SERIAL PRIMARY KEY,
+      guardian_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (guardian_user_id, student_id)
+    )
+  `);
+  await pool.query(
+    "CREATE INDEX IF NOT EXISTS guardian_students_student_idx ON guardian_students (student_id)"
+  );
+
   await pool.query(`
     CREATE TABLE IF NOT EXISTS teacher_grading_profiles (
       id SERIAL PRIMARY KEY,
@@ -3570,6 +5391,9 @@ async function initializeDatabase() {
   await pool.query(
     "ALTER TABLE teacher_grading_profiles ADD COLUMN IF NOT EXISTS ma_grade_minus NUMERIC DEFAULT 4.5"
   );
+  await pool.query(
+    "ALTER TABLE teacher_grading_profiles ADD COLUMN IF NOT EXISTS retake_policy TEXT NOT NULL DEFAULT 'best' CHECK (retake_policy IN ('replace', 'best', 'average'))"
+  );
   await pool.query(
     "UPDATE teacher_grading_profiles SET ma_enabled = FALSE WHERE ma_enabled IS NULL"
   );
@@ -3670,6 +5494,10 @@ async function initializeDatabase() {
     "ALTER TABLE teacher_grading_profiles ADD CONSTRAINT teacher_grading_profiles_ma_grade_minus_check CHECK (ma_grade_minus >= 1 AND ma_grade_minus <= 5)"
   );
 
+  await pool.query(
+    "ALTER TABLE class_subject_teacher ADD COLUMN IF NOT EXISTS grading_profile_id INTEGER REFERENCES teacher_grading_profiles(id) ON DELETE SET NULL"
+  );
+
   await pool.query(`
     CREATE TABLE IF NOT EXISTS teacher_grading_profile_items (
       id SERIAL PRIMARY KEY,
@@ -3687,6 +5515,32 @@ async function initializeDatabase() {
   await pool.query(
     "ALTER TABLE teacher_grading_profile_items ADD CONSTRAINT teacher_grading_profile_items_weight_check CHECK (weight >= 0)"
   );
+  await pool.query(
+    "ALTER TABLE teacher_grading_profile_items ADD COLUMN IF NOT EXISTS label TEXT"
+  );
+  await pool.query(
+    "ALTER TABLE teacher_grading_profile_items ADD COLUMN IF NOT EXISTS color TEXT"
+  );
+  await pool.query(
+    "ALTER TABLE teacher_grading_profile_items ADD COLUMN IF NOT EXISTS sort_order INTEGER NOT NULL DEFAULT 0"
+  );
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS teacher_grading_profile_rules (
+      id SERIAL PRIMARY KEY,
+      profile_id INTEGER NOT NULL REFERENCES teacher_grading_profiles(id) ON DELETE CASCADE,
+      rule_type TEXT NOT NULL CHECK (rule_type IN ('drop_lowest', 'min_count', 'category_cap')),
+      category TEXT NOT NULL,
+      amount INTEGER CHECK (amount IS NULL OR amount >= 1),
+      threshold NUMERIC CHECK (threshold IS NULL OR (threshold >= 1 AND threshold <= 5)),
+      cap_grade NUMERIC CHECK (cap_grade IS NULL OR (cap_grade >= 1 AND cap_grade <= 5)),
+      sort_order INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  await pool.query(
+    "CREATE INDEX IF NOT EXISTS teacher_grading_profile_rules_profile_idx ON teacher_grading_profile_rules (profile_id, sort_order)"
+  );
 
   await pool.query(
     "CREATE UNIQUE INDEX IF NOT EXISTS teacher_grading_profiles_name_idx ON teacher_grading_profiles (teacher_id, name)"
@@ -3697,7 +5551,7 @@ async function initializeDatabase() {
       id SERIAL PRIMARY KEY,
       class_id INTEGER NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
       name TEXT NOT NULL,
-      category TEXT NOT NULL CHECK (category IN ('Schularbeit', 'Test', 'Wiederholung', 'Mitarbeit', 'Projekt', 'Hausübung')),
+      category TEXT NOT NULL CHECK (char_length(category) BETWEEN 1 AND 40),
       weight NUMERIC NOT NULL CHECK (weight >= 0),
       max_points NUMERIC,
       date TIMESTAMPTZ,
@@ -3706,6 +5560,12 @@ async function initializeDatabase() {
     )
   `);
 
+  await pool.query(
+    "ALTER TABLE grade_templates DROP CONSTRAINT IF EXISTS grade_templates_category_check"
+  );
+  await pool.query(
+    "ALTER TABLE grade_templates ADD CONSTRAINT grade_templates_category_check CHECK (char_length(category) BETWEEN 1 AND 40)"
+  );
   await pool.query(
     "ALTER TABLE grade_templates DROP CONSTRAINT IF EXISTS grade_templates_weight_check"
   );
@@ -3795,7 +5655,7 @@ async function initializeDatabase() {
       class_id INTEGER NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
       grade_template_id INTEGER NOT NULL REFERENCES grade_templates(id) ON DELETE CASCADE,
       school_year_id INTEGER REFERENCES school_years(id),
-      grade NUMERIC NOT NULL CHECK (grade >= 1 AND grade <= 5),
+      grade NUMERIC NOT NULL CHECK (grade >= 0.5 AND grade <= 5.5),
       is_absent BOOLEAN NOT NULL DEFAULT FALSE,
       excluded_from_average BOOLEAN NOT NULL DEFAULT FALSE,
       points_achieved NUMERIC,
@@ -3811,6 +5671,10 @@ async function initializeDatabase() {
     )
   `);
 
+  await pool.query("ALTER TABLE grades DROP CONSTRAINT IF EXISTS grades_grade_check");
+  await pool.query(
+    "ALTER TABLE grades ADD CONSTRAINT grades_grade_check CHECK (grade >= 0.5 AND grade <= 5.5)"
+  );
   await pool.query(
     "ALTER TABLE grades ADD COLUMN IF NOT EXISTS points_achieved NUMERIC"
   );
@@ -3841,6 +5705,18 @@ async function initializeDatabase() {
   await pool.query(
     "ALTER TABLE grades ALTER COLUMN excluded_from_average SET NOT NULL"
   );
+  // Bestehende Noten gelten als veröffentlicht; neue Noten bleiben ohne published_at Entwurf.
+  await pool.query(
+    "ALTER TABLE grades ADD COLUMN IF NOT EXISTS published_at TIMESTAMPTZ DEFAULT NOW()"
+  );
+  await pool.query("ALTER TABLE grades ALTER COLUMN published_at DROP DEFAULT");
+  // Einzeln zurückgehaltene Noten bleiben auch bei Freigabe der Prüfung Entwurf.
+  await pool.query(
+    "ALTER TABLE grades ADD COLUMN IF NOT EXISTS is_held_back BOOLEAN NOT NULL DEFAULT FALSE"
+  );
+  await pool.query(
+    "CREATE INDEX IF NOT EXISTS grades_unpublished_idx ON grades (grade_template_id) WHERE published_at IS NULL"
+  );
   await pool.query(
     "ALTER TABLE grades ADD COLUMN IF NOT EXISTS attachment_path TEXT"
   );
@@ -3886,6 +5762,80 @@ async function initializeDatabase() {
     "CREATE INDEX IF NOT EXISTS grades_school_year_idx ON grades (school_year_id)"
   );
 
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS rubrics (
+      id SERIAL PRIMARY KEY,
+      teacher_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name TEXT NOT NULL,
+      description TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  await pool.query(
+    "CREATE UNIQUE INDEX IF NOT EXISTS rubrics_teacher_name_idx ON rubrics (teacher_id, LOWER(name))"
+  );
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS rubric_criteria (
+      id SERIAL PRIMARY KEY,
+      rubric_id INTEGER NOT NULL REFERENCES rubrics(id) ON DELETE CASCADE,
+      name TEXT NOT NULL,
+      sort_order INTEGER NOT NULL DEFAULT 0
+    )
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS rubric_levels (
+      id SERIAL PRIMARY KEY,
+      criterion_id INTEGER NOT NULL REFERENCES rubric_criteria(id) ON DELETE CASCADE,
+      label TEXT NOT NULL,
+      points NUMERIC NOT NULL CHECK (points >= 0),
+      descriptor TEXT,
+      sort_order INTEGER NOT NULL DEFAULT 0
+    )
+  `);
+  await pool.query(
+    "ALTER TABLE grade_templates ADD COLUMN IF NOT EXISTS rubric_id INTEGER REFERENCES rubrics(id) ON DELETE SET NULL"
+  );
+  await pool.query(
+    "ALTER TABLE grade_templates ADD COLUMN IF NOT EXISTS retake_of_template_id INTEGER REFERENCES grade_templates(id) ON DELETE SET NULL"
+  );
+  await pool.query(
+    "ALTER TABLE grade_templates ADD COLUMN IF NOT EXISTS is_draft BOOLEAN NOT NULL DEFAULT FALSE"
+  );
+  await pool.query(
+    "ALTER TABLE grade_templates ADD COLUMN IF NOT EXISTS release_at TIMESTAMPTZ"
+  );
+  for (const column of ["grade1_min_percent", "grade2_min_percent", "grade3_min_percent", "grade4_min_percent"]) {
+    await pool.query(`ALTER TABLE grade_templates ADD COLUMN IF NOT EXISTS ${column} NUMERIC`);
+  }
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS grade_rubric_scores (
+      id SERIAL PRIMARY KEY,
+      grade_id INTEGER NOT NULL REFERENCES grades(id) ON DELETE CASCADE,
+      criterion_id INTEGER NOT NULL REFERENCES rubric_criteria(id) ON DELETE CASCADE,
+      level_id INTEGER NOT NULL REFERENCES rubric_levels(id) ON DELETE CASCADE,
+      points NUMERIC NOT NULL CHECK (points >= 0),
+      UNIQUE (grade_id, criterion_id)
+    )
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS grade_template_tasks (
+      id SERIAL PRIMARY KEY,
+      template_id INTEGER NOT NULL REFERENCES grade_templates(id) ON DELETE CASCADE,
+      label TEXT NOT NULL,
+      max_points NUMERIC NOT NULL CHECK (max_points > 0),
+      sort_order INTEGER NOT NULL DEFAULT 0
+    )
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS grade_task_points (
+      id SERIAL PRIMARY KEY,
+      grade_id INTEGER NOT NULL REFERENCES grades(id) ON DELETE CASCADE,
+      task_id INTEGER NOT NULL REFERENCES grade_template_tasks(id) ON DELETE CASCADE,
+      points NUMERIC NOT NULL CHECK (points >= 0),
+      UNIQUE (grade_id, task_id)
+    )
+  `);
+
   await pool.query(`
     CREATE TABLE IF NOT EXISTS grade_messages (
       id SERIAL PRIMARY KEY,
@@ -3925,12 +5875,20 @@ async function initializeDatabase() {
       name TEXT NOT NULL,
       description TEXT,
       weight NUMERIC NOT NULL CHECK (weight >= 0),
-      grade NUMERIC NOT NULL CHECK (grade >= 1 AND grade <= 5),
+      grade NUMERIC NOT NULL CHECK (grade >= 0.5 AND grade <= 5.5),
       excluded_from_average BOOLEAN NOT NULL DEFAULT FALSE,
       created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
     )
   `);
 
+  // Notenskalen bilden auf 0,5–5,5 ab (z. B. 1+ = 0,75), die alte 1–5-Prüfung ist zu eng.
+  await pool.query(
+    "ALTER TABLE special_assessments DROP CONSTRAINT IF EXISTS special_assessments_grade_check"
+  );
+  await pool.query(
+    "ALTER TABLE special_assessments ADD CONSTRAINT special_assessments_grade_check CHECK (grade >= 0.5 AND grade <= 5.5)"
+  );
+
   await pool.query(
     "ALTER TABLE special_assessments DROP CONSTRAINT IF EXISTS special_assessments_weight_check"
   );
@@ -4069,6 +6027,128 @@ async function initializeDatabase() {
     "CREATE INDEX IF NOT EXISTS teacher_student_exclusions_class_subject_idx ON teacher_student_exclusions (class_id, subject_id)"
   );
 
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS final_grades (
+      id SERIAL PRIMARY KEY,
+      student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+      class_id INTEGER NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+      subject_id INTEGER NOT NULL REFERENCES subjects(id) ON DELETE CASCADE,
+      term_id INTEGER REFERENCES school_terms(id) ON DELETE RESTRICT,
+      teacher_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      computed_average NUMERIC(4, 2),
+      proposed_grade INTEGER NOT NULL CHECK (proposed_grade BETWEEN 1 AND 5),
+      justification TEXT,
+      status TEXT NOT NULL DEFAULT 'proposed' CHECK (status IN ('proposed', 'returned', 'signed_off')),
+      review_note TEXT,
+      signed_off_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      signed_off_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  await pool.query(
+    "CREATE UNIQUE INDEX IF NOT EXISTS final_grades_scope_idx ON final_grades (student_id, class_id, subject_id, COALESCE(term_id, 0))"
+  );
+  await pool.query(
+    "CREATE INDEX IF NOT EXISTS final_grades_class_term_idx ON final_grades (class_id, term_id)"
+  );
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS early_warnings (
+      id SERIAL PRIMARY KEY,
+      student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+      class_id INTEGER NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+      subject_id INTEGER NOT NULL REFERENCES subjects(id) ON DELETE CASCADE,
+      term_id INTEGER REFERENCES school_terms(id) ON DELETE RESTRICT,
+      teacher_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      computed_average NUMERIC(4, 2),
+      reason TEXT,
+      issued_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  await pool.query(
+    "CREATE UNIQUE INDEX IF NOT EXISTS early_warnings_scope_idx ON early_warnings (student_id, class_id, subject_id, COALESCE(term_id, 0))"
+  );
+  await pool.query(
+    "CREATE INDEX IF NOT EXISTS early_warnings_class_term_idx ON early_warnings (class_id, term_id)"
+  );
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS grade_versions (
+      id SERIAL PRIMARY KEY,
+      entry_type TEXT NOT NULL CHECK (entry_type IN ('grade', 'special_assessment', 'participation_mark')),
+      entry_id INTEGER NOT NULL,
+      student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+      class_id INTEGER NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+      subject_id INTEGER REFERENCES subjects(id) ON DELETE CASCADE,
+      entry_label TEXT,
+      action TEXT NOT NULL CHECK (action IN ('created', 'updated', 'deleted', 'reverted')),
+      old_grade NUMERIC,
+      new_grade NUMERIC,
+      old_points NUMERIC,
+      new_points NUMERIC,
+      old_points_max NUMERIC,
+      new_points_max NUMERIC,
+      old_is_absent BOOLEAN,
+      new_is_absent BOOLEAN,
+      old_symbol TEXT,
+      new_symbol TEXT,
+      reason TEXT,
+      reverted_version_id INTEGER REFERENCES grade_versions(id) ON DELETE SET NULL,
+      changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  await pool.query(
+    "CREATE INDEX IF NOT EXISTS grade_versions_student_idx ON grade_versions (student_id, class_id, subject_id)"
+  );
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS grade_absences (
+      grade_id INTEGER PRIMARY KEY REFERENCES grades(id) ON DELETE CASCADE,
+      status TEXT NOT NULL DEFAULT 'unexcused' CHECK (status IN ('excused', 'unexcused')),
+      note_path TEXT,
+      note_original_name TEXT,
+      note_mime TEXT,
+      makeup_date DATE,
+      updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS grade_scales (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      pass_threshold NUMERIC NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  await pool.query(
+    "CREATE UNIQUE INDEX IF NOT EXISTS grade_scales_name_idx ON grade_scales (LOWER(name))"
+  );
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS grade_scale_steps (
+      id SERIAL PRIMARY KEY,
+      grade_scale_id INTEGER NOT NULL REFERENCES grade_scales(id) ON DELETE CASCADE,
+      label TEXT NOT NULL,
+      value NUMERIC NOT NULL CHECK (value >= 0.5 AND value <= 5.5),
+      min_percent NUMERIC CHECK (min_percent >= 0 AND min_percent <= 100),
+      sort_order INTEGER NOT NULL DEFAULT 0,
+      UNIQUE (grade_scale_id, label)
+    )
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS class_subject_grade_scales (
+      id SERIAL PRIMARY KEY,
+      class_id INTEGER NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+      subject_id INTEGER NOT NULL REFERENCES subjects(id) ON DELETE CASCADE,
+      grade_scale_id INTEGER NOT NULL REFERENCES grade_scales(id) ON DELETE RESTRICT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (class_id, subject_id)
+    )
+  `);
+
   await pool.query(`
     CREATE TABLE IF NOT EXISTS grade_notifications (
       id SERIAL PRIMARY KEY,
@@ -4117,6 +6197,10 @@ async function initializeDatabase() {
   await pool.query("ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS action_title TEXT");
   await pool.query("ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS target_label TEXT");
   await pool.query("ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS detail_summary TEXT");
+  await pool.query(
+    "ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS impersonator_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL"
+  );
+  await pool.query("ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS impersonator_email TEXT");
   await pool.query(
     "CREATE INDEX IF NOT EXISTS audit_logs_created_at_idx ON audit_logs (created_at DESC)"
   );
@@ -4134,6 +6218,9 @@ async function initializeDatabase() {
   await pool.query(
     "CREATE INDEX IF NOT EXISTS sessions_expire_idx ON sessions (expire)"
   );
+  await pool.query(
+    "CREATE INDEX IF NOT EXISTS sessions_user_idx ON sessions ((sess->'user'->>'id'))"
+  );
 
   await seedAdmin();
   await seedDemoData();
@@ -0,0 +1,402 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const engine = require("./utils/gradingEngine");
+
+test("weighted averages honour weights, exclusions and rounding", () => {
+  assert.strictEqual(
+    engine.computeWeightedAverage([
+      { grade: 1, weight: 40 },
+      { grade: 3, weight: 20 },
+      { grade: 5, weight: 0 }
+    ]),
+    1.67
+  );
+  assert.strictEqual(
+    engine.computeWeightedAverage([
+      { grade: 2, weight: null },
+      { grade: 4 },
+      { grade: 1, weight: 10, excluded_from_average: true },
+      { grade: 6, weight: 10 },
+      { grade: "x", weight: 10 },
+      { grade: 3, weight: -1 }
+    ]),
+    3
+  );
+  assert.strictEqual(engine.computeWeightedAverage([]), null);
+  assert.strictEqual(engine.computeWeightedAverage([{ grade: 2, weight: 0 }]), null);
+});
+
+test("teacher rows (grade) and student rows (value) give the same average", () => {
+  const teacherRows = [
+    { grade: 2, weight: 1 },
+    { grade: 4, weight: 3 }
+  ];
+  const studentRows = [
+    { value: 2, weight: 1 },
+    { value: 4, weight: 3 }
+  ];
+  assert.strictEqual(engine.computeWeightedAverage(teacherRows), 3.5);
+  assert.strictEqual(engine.computeWeightedAverage(studentRows), 3.5);
+});
+
+test("absence mode decides whether absent grades count", () => {
+  const rows = [
+    { grade: 1, weight: 10 },
+    { grade: 5, weight: 10, is_absent: true }
+  ];
+  assert.strictEqual(engine.computeWeightedAverage(rows), 3);
+  assert.strictEqual(engine.computeWeightedAverage(rows, { absenceMode: "include_zero" }), 3);
+  assert.strictEqual(engine.computeWeightedAverage(rows, { absenceMode: "exclude" }), 1);
+  assert.strictEqual(engine.computeWeightedAverage(rows, { absenceMode: "unbekannt" }), 3);
+
+  const withRowMode = rows.map((row) => ({ ...row, absence_mode: "exclude" }));
+  assert.strictEqual(engine.computeWeightedAverage(withRowMode, { absenceMode: "include_zero" }), 1);
+});
+
+test("excused absences and open make-ups never count, whatever the absence mode", () => {
+  const rows = [
+    { grade: 1, weight: 10 },
+    { grade: 5, weight: 10, is_absent: true, absence_status: "excused" },
+    { value: 5, weight: 10, is_absent: true, absence_status: "unexcused", makeup_date: "2026-03-16" }
+  ];
+  assert.strictEqual(engine.computeWeightedAverage(rows), 1);
+  assert.strictEqual(engine.computeWeightedAverage(rows, { absenceMode: "include_zero" }), 1);
+  assert.strictEqual(engine.shouldSkipGradeForAbsence(rows[1], "include_zero"), true);
+  assert.strictEqual(engine.shouldSkipGradeForAbsence(rows[2], "include_zero"), true);
+
+  const unexcused = { grade: 5, weight: 10, is_absent: true, absence_status: "unexcused" };
+  assert.strictEqual(engine.shouldSkipGradeForAbsence(unexcused, "include_zero"), false);
+  assert.strictEqual(engine.computeWeightedAverage([rows[0], unexcused], { absenceMode: "include_zero" }), 3);
+  // Nach dem Nachtermin ist die Note keine Abwesenheit mehr und zählt normal.
+  const madeUp = { grade: 3, weight: 10, is_absent: false, absence_status: "excused", makeup_date: "2026-03-16" };
+  assert.strictEqual(engine.computeWeightedAverage([rows[0], madeUp]), 2);
+});
+
+test("participation marks map to configured grades and weight", () => {
+  const config = { ma_enabled: "1", ma_weight: 5 };
+  assert.deepStrictEqual(
+    engine.buildParticipationAverageRows(
+      [{ symbol: "plus" }, { symbol: "~" }, { symbol: "minus_tilde", subject: "Deutsch" }, { symbol: "?" }],
+      config
+    ),
+    [
+      { grade: 1.5, weight: 5, is_participation: true },
+      { grade: 3, weight: 5, is_participation: true },
+      { grade: 3.5, weight: 5, is_participation: true, subject: "Deutsch" }
+    ]
+  );
+  assert.deepStrictEqual(engine.buildParticipationAverageRows([{ symbol: "plus" }], { ma_enabled: false }), []);
+  assert.deepStrictEqual(
+    engine.buildParticipationAverageRows([{ symbol: "plus" }], { ma_enabled: true, ma_weight: 0 }),
+    []
+  );
+  assert.strictEqual(engine.getParticipationGrade("minus", { ma_grade_minus: 5 }), 5);
+});
+
+test("grades map to estimated percentages between the thresholds", () => {
+  assert.strictEqual(engine.mapGradeToEstimatedPercent(1), 100);
+  assert.strictEqual(engine.mapGradeToEstimatedPercent(2), 75);
+  assert.strictEqual(engine.mapGradeToEstimatedPercent(2.5), 68.75);
+  assert.strictEqual(engine.mapGradeToEstimatedPercent(3.5), 56.25);
+  assert.strictEqual(engine.mapGradeToEstimatedPercent(4.5), 25);
+  assert.strictEqual(engine.mapGradeToEstimatedPercent(5), 0);
+  assert.strictEqual(engine.mapGradeToEstimatedPercent(6), null);
+  assert.strictEqual(
+    engine.mapGradeToEstimatedPercent(2, { grade2_min_percent: 80, grade3_min_percent: 65, grade4_min_percent: 50 }),
+    80
+  );
+});
+
+test("percentages map to grades using inclusive lower bounds", () => {
+  assert.strictEqual(engine.buildGradeFromPercent(100), 1);
+  assert.strictEqual(engine.buildGradeFromPercent(88.5), 1);
+  assert.strictEqual(engine.buildGradeFromPercent(88.49), 2);
+  assert.strictEqual(engine.buildGradeFromPercent(75), 2);
+  assert.strictEqual(engine.buildGradeFromPercent(62.5), 3);
+  assert.strictEqual(engine.buildGradeFromPercent(50), 4);
+  assert.strictEqual(engine.buildGradeFromPercent(49.99), 5);
+  assert.strictEqual(engine.buildGradeFromPercent(null), null);
+  assert.strictEqual(
+    engine.buildGradeFromPercent(88.5, {
+      grade1_min_percent: 90,
+      grade2_min_percent: 80,
+      grade3_min_percent: 65,
+      grade4_min_percent: 50
+    }),
+    2
+  );
+});
+
+test("point totals include participation as estimated points", () => {
+  const entries = [
+    { points_achieved: 18, points_max: 20 },
+    { points_achieved: 5, points_max: 10, is_absent: true },
+    { points_achieved: 7, points_max: 10, excluded_from_average: true },
+    { grade: 2, weight: 10, is_participation: true },
+    { grade: 1, weight: 10 }
+  ];
+
+  const included = engine.computePointTotalsWithParticipation(entries);
+  assert.deepStrictEqual(included, { achieved: 30.5, max: 40 });
+  assert.deepStrictEqual(engine.summarizePointTotals(included), { achieved: 30.5, max: 40, percent: 76.25 });
+
+  const excluded = engine.computePointTotalsWithParticipation(entries, { absenceMode: "exclude" });
+  assert.deepStrictEqual(engine.summarizePointTotals(excluded), { achieved: 25.5, max: 30, percent: 85 });
+
+  assert.strictEqual(engine.summarizePointTotals({ achieved: 0, max: 0 }), null);
+  assert.strictEqual(engine.computePointsPercent(2, 3), 66.67);
+  assert.strictEqual(engine.computePointsPercent(2, 0), null);
+});
+
+test("subject averages group rows and keep the overall average consistent", () => {
+  const rows = [
+    { subject: "Mathematik", value: 1, weight: 2 },
+    { subject: "Mathematik", value: 4, weight: 1 },
+    { subject: "Deutsch", value: 2, weight: 1, is_absent: true, absence_mode: "exclude" },
+    { subject: "Deutsch", grade: 3, weight: 5, is_participation: true },
+    { subject: "Englisch", value: 1, weight: 1, excluded_from_average: true },
+    { value: 5, weight: 1 }
+  ];
+
+  assert.deepStrictEqual(engine.computeSubjectAverages(rows), {
+    subjects: [
+      { subject: "Mathematik", average: 2 },
+      { subject: "Deutsch", average: 3 },
+      { subject: "Ohne Fachzuordnung", average: 5 }
+    ],
+    overall: 2.89
+  });
+});
+
+test("normalizers fall back to the school defaults", () => {
+  assert.deepStrictEqual(engine.normalizeThresholds({ grade1_min_percent: "90" }), {
+    grade1_min_percent: 90,
+    grade2_min_percent: 75,
+    grade3_min_percent: 62.5,
+    grade4_min_percent: 50
+  });
+  assert.strictEqual(engine.normalizeAbsenceMode(" EXCLUDE "), "exclude");
+  assert.strictEqual(engine.normalizeAbsenceMode(null), "include_zero");
+  assert.strictEqual(engine.normalizeParticipationConfig({}).ma_enabled, false);
+  assert.strictEqual(engine.normalizeParticipationSymbol("tilde"), "neutral");
+  assert.strictEqual(engine.roundTo(2.005, 2), 2);
+  assert.strictEqual(engine.roundTo(1.23456, 4), 1.2346);
+});
+
+test("terms filter rows by exam date and support cumulative ranges", () => {
+  const first = { id: 1, start_date: "2025-09-01", end_date: "2026-02-06" };
+  const second = { id: 2, start_date: "2026-02-07", end_date: "2026-08-31" };
+  const rows = [
+    { grade: 1, weight: 1, date: "2025-10-10", created_at: "2026-03-01T10:00:00Z" },
+    { grade: 3, weight: 1, graded_at: "2026-02-07" },
+    { grade: 5, weight: 1, created_at: new Date(2026, 4, 4, 12) },
+    { grade: 2, weight: 1 }
+  ];
+
+  assert.deepStrictEqual(engine.filterRowsByTerm(rows, first).map((row) => row.grade), [1]);
+  assert.deepStrictEqual(engine.filterRowsByTerm(rows, second).map((row) => row.grade), [3, 5]);
+  assert.deepStrictEqual(
+    engine.filterRowsByTerm(rows, second, { cumulative: true }).map((row) => row.grade),
+    [1, 3, 5]
+  );
+  assert.strictEqual(engine.filterRowsByTerm(rows, null).length, 4);
+  assert.strictEqual(engine.findTermForDate([first, second], "2026-02-06"), first);
+  assert.strictEqual(engine.findTermForDate([first, second], "2026-09-01"), null);
+  assert.strictEqual(engine.toDateKey(new Date(2026, 0, 5)), "2026-01-05");
+});
+
+test("final grade suggestion rounds half grades down to the worse grade", () => {
+  assert.strictEqual(engine.suggestFinalGrade(1.49), 1);
+  assert.strictEqual(engine.suggestFinalGrade(2.5), 3);
+  assert.strictEqual(engine.suggestFinalGrade(5.4), 5);
+  assert.strictEqual(engine.suggestFinalGrade(0.6), 1);
+  assert.strictEqual(engine.suggestFinalGrade(null), null);
+  assert.strictEqual(engine.suggestFinalGrade("abc"), null);
+});
+
+test("grade scales map labels to values and round ties to the worse step", () => {
+  const scale = {
+    name: "Noten 1–5 mit +/-",
+    pass_threshold: 4.25,
+    steps: [
+      { label: "2", value: 2 },
+      { label: "1", value: 1 },
+      { label: "2-", value: 2.25 },
+      { label: "5", value: 5 },
+      { label: "4-", value: 4.25 }
+    ]
+  };
+
+  assert.deepStrictEqual(
+    engine.normalizeGradeScale(scale).steps.map((step) => step.label),
+    ["1", "2", "2-", "4-", "5"]
+  );
+  assert.strictEqual(engine.normalizeGradeScale({ steps: [] }), engine.DEFAULT_GRADE_SCALE);
+  assert.strictEqual(engine.parseGradeInput("2.5", engine.DEFAULT_GRADE_SCALE), 2.5);
+  assert.strictEqual(engine.parseGradeInput("2-", scale), 2.25);
+  assert.strictEqual(engine.parseGradeInput(" 2- ", scale), 2.25);
+  assert.strictEqual(engine.parseGradeInput("2,25", scale), 2.25);
+  assert.strictEqual(engine.parseGradeInput("3", scale), null);
+  assert.strictEqual(engine.parseGradeInput("2,5", null), 2.5);
+  assert.strictEqual(engine.parseGradeInput("6", null), null);
+  assert.strictEqual(engine.findScaleStep(1.5, scale).label, "2");
+  assert.strictEqual(engine.formatGradeLabel(2.2, scale), "2-");
+  assert.strictEqual(engine.formatGradeLabel(2.5, null), "2.5");
+  assert.strictEqual(engine.isPassingGrade(4.25, scale), true);
+  assert.strictEqual(engine.isPassingGrade(4.8, scale), false);
+  assert.strictEqual(engine.getWorstScaleValue(scale), 5);
+  assert.strictEqual(engine.isValidGradeValue(0.75), true);
+  assert.strictEqual(engine.isValidGradeValue(5.75), false);
+});
+
+test("grade scales derive grades from percent via step limits or the classic thresholds", () => {
+  const passFail = {
+    pass_threshold: 4,
+    steps: [
+      { label: "Bestanden", value: 1, min_percent: 50 },
+      { label: "Nicht bestanden", value: 5, min_percent: 0 }
+    ]
+  };
+  const modifiers = {
+    pass_threshold: 4.25,
+    steps: [
+      { label: "1", value: 1 },
+      { label: "2+", value: 1.75 },
+      { label: "2", value: 2 },
+      { label: "5", value: 5 }
+    ]
+  };
+
+  assert.strictEqual(engine.buildScaleGradeFromPercent(50, {}, passFail), 1);
+  assert.strictEqual(engine.buildScaleGradeFromPercent(49.9, {}, passFail), 5);
+  assert.strictEqual(engine.buildScaleGradeFromPercent(80, {}, modifiers), 2);
+  assert.strictEqual(engine.buildScaleGradeFromPercent(80, {}, null), engine.buildGradeFromPercent(80, {}));
+  assert.strictEqual(engine.buildScaleGradeFromPercent(null, {}, passFail), null);
+});
+
+test("grading rules drop the worst grades, flag missing counts and cap the average", () => {
+  const rows = [
+    { grade: 5, weight: 40, category: "Schularbeit" },
+    { grade: 4, weight: 40, category: "Schularbeit" },
+    { grade: 1, weight: 10, category: "Hausübung" },
+    { grade: 4, weight: 10, category: "Hausübung" },
+    { grade: 1, weight: 10, category: "Hausübung" },
+    { grade: 2, weight: 5, is_participation: true }
+  ];
+  const rules = [
+    { rule_type: "drop_lowest", category: "Hausübung", label: "Hausaufgabe", amount: 1 },
+    { rule_type: "min_count", category: "Test", amount: 2 },
+    { rule_type: "category_cap", category: "Schularbeit", threshold: 4.5, cap_grade: 4 },
+    { rule_type: "unbekannt", category: "Test", amount: 1 }
+  ];
+
+  const evaluation = engine.evaluateGradingRules(rows, rules);
+  assert.strictEqual(evaluation.base_average, 3.74);
+  assert.strictEqual(evaluation.average, 4);
+  assert.strictEqual(evaluation.incomplete, true);
+  assert.deepStrictEqual(evaluation.explanations, [
+    "Schlechteste Note in „Hausaufgabe“ gestrichen: 4.",
+    "Mindestens 2 Noten in „Test“ nötig, vorhanden: 0. Der Schnitt ist vorläufig.",
+    "Schnitt in „Schularbeit“ ist 4.5 (Grenze 4.5): Gesamtschnitt 3.71 auf 4 begrenzt."
+  ]);
+  assert.strictEqual(evaluation.rows.filter((row) => row.dropped_by_rule).length, 1);
+  assert.strictEqual(engine.computeWeightedAverage(rows, { rules }), 4);
+
+  const betterRows = rows.map((row) => (row.category === "Schularbeit" ? { ...row, grade: 2 } : row));
+  const better = engine.evaluateGradingRules(betterRows, rules.slice(0, 1));
+  assert.strictEqual(better.average, 1.81);
+  assert.strictEqual(better.incomplete, false);
+
+  const single = [{ grade: 5, weight: 10, category: "hausübung" }];
+  assert.deepStrictEqual(engine.evaluateGradingRules(single, rules.slice(0, 1)).explanations, []);
+  assert.deepStrictEqual(engine.normalizeGradingRules([{ rule_type: "category_cap", category: "Test", threshold: 9 }]), []);
+
+  assert.deepStrictEqual(
+    engine.computeSubjectAverages(
+      [
+        { subject: "Mathematik", value: 2, weight: 1, category: "Test" },
+        { subject: "Deutsch", value: 2, weight: 1, category: "Test" }
+      ],
+      { rulesBySubject: { Mathematik: [{ rule_type: "min_count", category: "Test", amount: 2 }] } }
+    ).subjects,
+    [
+      {
+        subject: "Mathematik",
+        average: 2,
+        incomplete: true,
+        explanations: ["Mindestens 2 Noten in „Test“ nötig, vorhanden: 1. Der Schnitt ist vorläufig."]
+      },
+      { subject: "Deutsch", average: 2 }
+    ]
+  );
+});
+
+test("retakes merge with the original assessment according to the profile policy", () => {
+  const rows = [
+    { template_id: 7, name: "Test 1", grade: 3, weight: 20 },
+    { template_id: 9, retake_of_template_id: 7, name: "Test 1 Wiederholung", grade: 4, weight: 5 },
+    { template_id: 8, name: "Test 2", grade: 3, weight: 20 }
+  ];
+
+  assert.strictEqual(engine.computeWeightedAverage(rows, { retakePolicy: "replace" }), 3.5);
+  assert.strictEqual(engine.computeWeightedAverage(rows, { retakePolicy: "best" }), 3);
+  assert.strictEqual(engine.computeWeightedAverage(rows, { retakePolicy: "average" }), 3.25);
+  assert.strictEqual(engine.computeWeightedAverage(rows), 3);
+  assert.strictEqual(
+    engine.computeWeightedAverage(rows.map((row) => ({ ...row, retake_policy: "replace" })), { retakePolicy: "best" }),
+    3.5
+  );
+
+  const merged = engine.applyRetakePolicy(rows, { retakePolicy: "average" });
+  assert.strictEqual(merged[0].grade, 3.5);
+  assert.strictEqual(merged[1].merged_into_original, true);
+  assert.strictEqual(rows[0].grade, 3);
+  assert.deepStrictEqual(engine.evaluateGradingRules(rows, [], { retakePolicy: "best" }).explanations, [
+    "Wiederholung von „Test 1“: Bessere Note zählt (3 und 4 → 3)."
+  ]);
+
+  const pooled = [
+    { student_id: 1, template_id: 7, grade: 5, weight: 20 },
+    { student_id: 2, template_id: 7, grade: 1, weight: 20 },
+    { student_id: 1, template_id: 9, retake_of_template_id: 7, grade: 2, weight: 5 }
+  ];
+  assert.strictEqual(engine.computeWeightedAverage(pooled, { retakePolicy: "replace" }), 1.5);
+
+  const absent = [
+    { template_id: 7, grade: 5, weight: 20, is_absent: true },
+    { template_id: 9, retake_of_template_id: 7, grade: 2, weight: 5 },
+    { template_id: 8, grade: 4, weight: 20 }
+  ];
+  assert.strictEqual(engine.computeWeightedAverage(absent, { absenceMode: "exclude" }), 3);
+  assert.strictEqual(engine.normalizeRetakePolicy("irgendwas"), engine.DEFAULT_RETAKE_POLICY);
+});
+
+test("what-if projections and required grades use the same rules as the averages", () => {
+  const rows = [
+    { value: 4, weight: 40, category: "Schularbeit" },
+    { value: 3, weight: 20, category: "Test" }
+  ];
+  const open = [{ template_id: 11, weight: 40, category: "Schularbeit" }];
+
+  assert.strictEqual(engine.projectAverage(rows, [{ ...open[0], value: 2 }]).average, 3);
+  assert.strictEqual(engine.projectAverage(rows, []).average, 3.67);
+
+  const needed = engine.solveRequiredGrade(rows, open, 3);
+  assert.strictEqual(needed.reachable, true);
+  assert.strictEqual(needed.required_grade, 3);
+  assert.strictEqual(needed.projection.average, 3.4);
+
+  const unreachable = engine.solveRequiredGrade(rows, open, 2);
+  assert.strictEqual(unreachable.reachable, false);
+  assert.strictEqual(unreachable.required_grade, null);
+  assert.strictEqual(unreachable.projection.average, 2.6);
+
+  const rules = [{ rule_type: "drop_lowest", category: "Schularbeit", amount: 1 }];
+  const withRule = engine.solveRequiredGrade(rows, open, 2, { rules });
+  assert.strictEqual(withRule.required_grade, 2);
+  assert.strictEqual(withRule.projection.average, 2.33);
+
+  const settled = engine.solveRequiredGrade(rows, [], 4);
+  assert.deepStrictEqual([settled.reachable, settled.required_grade], [true, null]);
+});
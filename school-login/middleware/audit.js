@@ -1,6 +1,6 @@
 const { db } = require("../db");
 
-const SENSITIVE_KEY_PATTERN = /(password|pass|token|csrf|secret|hash)/i;
+const SENSITIVE_KEY_PATTERN = /(password|pass|token|csrf|secret|hash|otp)/i;
 const ALLOWED_METHODS = new Set(["POST", "PUT", "PATCH", "DELETE"]);
 const ENTITY_PATTERNS = [
   { regex: /\/archive\/(purge|graduates)(\/|$)/i, entity: "archive" },
@@ -25,6 +25,7 @@ const SUMMARY_LABELS = {
   profile_name: "Profil",
   scoring_mode: "Bewertung",
   absence_mode: "Abwesenheit",
+  new_category_label: "Neue Kategorie",
   student_id: "Schüler",
   type: "Typ",
   category: "Kategorie",
@@ -50,10 +51,45 @@ const SUMMARY_LABELS = {
   classId: "Klasse",
   studentId: "Schüler",
   profileId: "Profil",
+  grading_profile_id: "Notenprofil",
   gradeId: "Note",
   templateId: "Vorlage",
   assessmentId: "Sonderleistung",
-  markId: "Mitarbeit"
+  markId: "Mitarbeit",
+  local_login_disabled_roles: "Nur SSO",
+  key: "Schlüssel",
+  base_role: "Bereich",
+  permissions: "Rechte",
+  student_email: "Schüler",
+  send_invites: "Einladung",
+  allow_writes: "Änderungen erlaubt",
+  preferences: "Benachrichtigungen",
+  start_date: "Beginn",
+  end_date: "Ende",
+  review_note: "Hinweis",
+  term: "Semester",
+  pass_threshold: "Bestehensgrenze",
+  grade_scale_id: "Notenskala",
+  class_id: "Klasse",
+  preset: "Vorlage",
+  rubric_id: "Bewertungsraster",
+  rubricId: "Bewertungsraster",
+  tasks: "Teilaufgaben",
+  retake_of_template_id: "Wiederholung von",
+  retake_policy: "Wiederholungen",
+  student_ids: "Schüler",
+  versionId: "Version",
+  reason: "Grund",
+  change_reason: "Grund",
+  release_mode: "Veröffentlichung",
+  release_at: "Veröffentlichen am",
+  grade1_min_percent: "Grenze Note 1",
+  grade2_min_percent: "Grenze Note 2",
+  grade3_min_percent: "Grenze Note 3",
+  grade4_min_percent: "Grenze Note 4",
+  absence_status: "Abwesenheit",
+  makeup_date: "Nachtermin",
+  remove_note: "Bestätigung entfernt"
 };
 const VALUE_LABELS = {
   admin: "Admin",
@@ -65,6 +101,8 @@ const VALUE_LABELS = {
   points_or_grade: "Punkte oder Note",
   points_and_grade: "Punkte und Note",
   points_only: "Nur Punkte",
+  excused: "Entschuldigt",
+  unexcused: "Unentschuldigt",
   grade_only: "Nur Note",
   include_zero: "Mit 0 bewerten",
   exclude: "Nicht werten",
@@ -84,7 +122,10 @@ const VALUE_LABELS = {
   plus_tilde: "+/-",
   neutral: "neutral",
   minus_tilde: "-/+",
-  minus: "-"
+  minus: "-",
+  now: "Sofort",
+  draft: "Entwurf",
+  scheduled: "Geplant"
 };
 const ENTITY_LABELS = {
   archive: "Archiv",
@@ -96,11 +137,13 @@ const ENTITY_LABELS = {
   grade: "Note",
   special_assessment: "Sonderleistung",
   participation: "Mitarbeit",
-  student_subject_exclusion: "Fachausschluss"
+  student_subject_exclusion: "Fachausschluss",
+  final_grade: "Zeugnisnote"
 };
 const SKIPPED_SUMMARY_KEYS = new Set([
   "_csrf",
   "password",
+  "otp_code",
   "preview_token",
   "useInitial",
   "bulkUseInitial",
@@ -195,6 +238,11 @@ function formatSummaryValue(key, value) {
     return amount ? `${amount} E-Mails` : null;
   }
 
+  if (key === "tasks") {
+    const amount = countLines(value);
+    return amount ? `${amount} Teilaufgaben` : null;
+  }
+
   if (key === "is_absent") {
     return value === "on" || value === true ? "Ja" : "Nein";
   }
@@ -271,17 +319,32 @@ function buildActionText(actionTitle, targetLabel, detailSummary) {
 function buildScopeLabel(routePath, entityType) {
   const normalizedPath = String(routePath || "").toLowerCase();
   if (normalizedPath.startsWith("/archive/purge") || normalizedPath.startsWith("/archive/graduates")) return "Archiv / Danger-Zone";
+  if (normalizedPath.startsWith("/account/two-factor")) return "Konto / Zwei-Faktor";
+  if (normalizedPath.startsWith("/account/sessions")) return "Konto / Sitzungen";
+  if (normalizedPath.startsWith("/account")) return "Konto / Profil";
+  if (/^\/admin\/users\/[^/]+\/impersonate$/.test(normalizedPath) || normalizedPath.startsWith("/impersonation")) {
+    return "Admin / Ansicht als Nutzer";
+  }
   if (normalizedPath.startsWith("/admin/users")) return "Admin / Benutzer";
+  if (normalizedPath.startsWith("/admin/guardians")) return "Admin / Erziehungsberechtigte";
   if (normalizedPath.startsWith("/admin/classes")) return "Admin / Klassen";
   if (normalizedPath.startsWith("/admin/assignments")) return "Admin / Fachzuordnungen";
   if (normalizedPath.startsWith("/admin/audit-logs")) return "Admin / Audit";
+  if (normalizedPath.startsWith("/admin/settings/login")) return "Admin / Anmeldung";
+  if (normalizedPath.startsWith("/admin/settings/roles")) return "Admin / Rollen & Rechte";
+  if (normalizedPath.startsWith("/admin/terms")) return "Admin / Semester";
+  if (normalizedPath.startsWith("/admin/grade-scales")) return "Admin / Notenskalen";
   if (normalizedPath.startsWith("/teacher/settings")) return "Teacher / Einstellungen";
-  if (normalizedPath.startsWith("/teacher/grade-templates") || normalizedPath.startsWith("/teacher/create-template") || normalizedPath.startsWith("/teacher/edit-template") || normalizedPath.startsWith("/teacher/bulk-grade-template")) return "Teacher / Prüfungen";
-  if (normalizedPath.startsWith("/teacher/add-grade") || normalizedPath.startsWith("/teacher/grades") || normalizedPath.startsWith("/teacher/delete-grade")) return "Teacher / Noten";
+  if (normalizedPath.startsWith("/teacher/grade-templates") || normalizedPath.startsWith("/teacher/create-template") || normalizedPath.startsWith("/teacher/edit-template") || normalizedPath.startsWith("/teacher/bulk-grade-template") || normalizedPath.startsWith("/teacher/template-release") || normalizedPath.startsWith("/teacher/grade-curve")) return "Teacher / Prüfungen";
+  if (normalizedPath.startsWith("/teacher/add-grade") || normalizedPath.startsWith("/teacher/grades") || normalizedPath.startsWith("/teacher/delete-grade") || normalizedPath.startsWith("/teacher/grade-history") || normalizedPath.startsWith("/teacher/publish-grade")) return "Teacher / Noten";
   if (normalizedPath.startsWith("/teacher/special-assessments")) return "Teacher / Sonderleistungen";
   if (normalizedPath.startsWith("/teacher/students") || normalizedPath.startsWith("/teacher/add-student") || normalizedPath.startsWith("/teacher/delete-student") || normalizedPath.startsWith("/teacher/student-exclusion")) return "Teacher / Schüler";
-  if (normalizedPath.startsWith("/teacher/classes") || normalizedPath.startsWith("/teacher/create-class") || normalizedPath.startsWith("/teacher/delete-class")) return "Teacher / Fächer";
+  if (normalizedPath.startsWith("/teacher/classes") || normalizedPath.startsWith("/teacher/create-class") || normalizedPath.startsWith("/teacher/delete-class") || normalizedPath.startsWith("/teacher/class-profile")) return "Teacher / Fächer";
   if (normalizedPath.startsWith("/teacher/test-questions")) return "Teacher / Rückfragen";
+  if (normalizedPath.startsWith("/teacher/final-grades")) return "Teacher / Zeugnisnoten";
+  if (normalizedPath.startsWith("/teacher/early-warnings")) return "Teacher / Frühwarnungen";
+  if (normalizedPath.startsWith("/teacher/grade-absence") || normalizedPath.startsWith("/teacher/makeups")) return "Teacher / Nachtermine";
+  if (normalizedPath.startsWith("/teacher/rubrics")) return "Teacher / Bewertungsraster";
   if (normalizedPath.startsWith("/student/returns")) return "Student / Rückgaben";
   if (normalizedPath.startsWith("/student/notifications")) return "Student / Benachrichtigungen";
 
@@ -312,6 +375,27 @@ function buildAuditDescription(req, routePath, entityType, entityId) {
   const scopeLabel = buildScopeLabel(routePath, entityType);
   const entityTarget = buildEntityTarget(entityType, entityId);
 
+  if (/^\/impersonation\/stop$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Ansicht als Nutzer beendet"
+    });
+  }
+  if (req.method === "GET" || req.method === "HEAD") {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Seite aufgerufen",
+      targetLabel: routePath
+    });
+  }
+  if (/^\/admin\/users\/[^/]+\/impersonate$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Ansicht als Nutzer gestartet",
+      targetLabel: entityTarget,
+      detailEntries: buildSummaryFromSource(body, ["allow_writes"])
+    });
+  }
   if (/^\/archive\/purge\/preview$/i.test(routePath)) {
     return buildAuditEntry({
       scopeLabel,
@@ -345,6 +429,51 @@ function buildAuditDescription(req, routePath, entityType, entityId) {
     });
   }
 
+  if (/^\/account\/two-factor\/enable$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Zwei-Faktor-Anmeldung aktiviert"
+    });
+  }
+  if (/^\/account\/two-factor\/recovery-codes$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Wiederherstellungscodes neu erstellt"
+    });
+  }
+  if (/^\/account\/two-factor\/disable$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Zwei-Faktor-Anmeldung deaktiviert"
+    });
+  }
+
+  if (/^\/account\/sessions\/revoke-others$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Andere Sitzungen abgemeldet"
+    });
+  }
+  if (/^\/account\/sessions\/[^/]+\/revoke$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Sitzung abgemeldet"
+    });
+  }
+  if (/^\/account\/password$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Passwort geändert"
+    });
+  }
+  if (/^\/account\/notifications$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Benachrichtigungen gespeichert",
+      detailEntries: buildSummaryFromSource(body, ["preferences"])
+    });
+  }
+
   if (/^\/admin\/users$/i.test(routePath)) {
     return buildAuditEntry({
       scopeLabel,
@@ -376,6 +505,50 @@ function buildAuditDescription(req, routePath, entityType, entityId) {
       targetLabel: entityTarget
     });
   }
+  if (/^\/admin\/users\/[^/]+\/two-factor\/reset$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Zwei-Faktor-Anmeldung zurückgesetzt",
+      targetLabel: entityTarget
+    });
+  }
+  if (/^\/admin\/users\/[^/]+\/unlock$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Kontosperre aufgehoben",
+      targetLabel: entityTarget
+    });
+  }
+  if (/^\/admin\/users\/[^/]+\/sessions\/revoke$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Alle Sitzungen beendet",
+      targetLabel: entityTarget
+    });
+  }
+  if (/^\/admin\/users\/[^/]+\/guardian-links$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Schüler mit Elternkonto verknüpft",
+      targetLabel: entityTarget,
+      detailEntries: buildSummaryFromSource(body, ["student_email"])
+    });
+  }
+  if (/^\/admin\/users\/[^/]+\/guardian-links\/[^/]+\/delete$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Verknüpfung mit Elternkonto gelöst",
+      targetLabel: entityTarget,
+      detailEntries: [`Schüler: ${routePath.split("/")[5]}`]
+    });
+  }
+  if (/^\/admin\/guardians\/import$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Elternverknüpfungen importiert",
+      detailEntries: buildSummaryFromSource(body, ["send_invites"])
+    });
+  }
   if (/^\/admin\/users\/[^/]+\/delete$/i.test(routePath)) {
     return buildAuditEntry({
       scopeLabel,
@@ -383,6 +556,96 @@ function buildAuditDescription(req, routePath, entityType, entityId) {
       targetLabel: entityTarget
     });
   }
+  if (/^\/admin\/settings\/login$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Anmeldeeinstellungen gespeichert",
+      detailEntries: buildSummaryFromSource(body, ["local_login_disabled_roles"])
+    });
+  }
+  if (/^\/admin\/settings\/roles$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Rolle angelegt",
+      targetLabel: getFormattedSourceValue(body, "label"),
+      detailEntries: buildSummaryFromSource(body, ["key", "base_role", "permissions"])
+    });
+  }
+  if (/^\/admin\/settings\/roles\/[^/]+\/permissions$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Rollenrechte geändert",
+      targetLabel: routePath.split("/")[4],
+      detailEntries: buildSummaryFromSource(body, ["permissions"])
+    });
+  }
+  if (/^\/admin\/settings\/roles\/[^/]+\/delete$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Rolle gelöscht",
+      targetLabel: routePath.split("/")[4]
+    });
+  }
+  if (/^\/admin\/grade-scales$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Notenskala angelegt",
+      targetLabel: getFormattedSourceValue(body, "name"),
+      detailEntries: buildSummaryFromSource(body, ["preset", "pass_threshold"])
+    });
+  }
+  if (/^\/admin\/grade-scales\/assign$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Notenskala zugeordnet",
+      detailEntries: buildSummaryFromSource(body, ["class_id", "subject_id", "grade_scale_id"])
+    });
+  }
+  if (/^\/admin\/grade-scales\/[^/]+$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Notenskala bearbeitet",
+      targetLabel: getFormattedSourceValue(body, "name"),
+      detailEntries: buildSummaryFromSource(body, ["pass_threshold"])
+    });
+  }
+  if (/^\/admin\/grade-scales\/[^/]+\/delete$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Notenskala gelöscht",
+      targetLabel: routePath.split("/")[3]
+    });
+  }
+  if (/^\/admin\/terms\/defaults$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Standard-Semester angelegt",
+      detailEntries: buildSummaryFromSource(body, ["school_year_id"])
+    });
+  }
+  if (/^\/admin\/terms$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Semester angelegt",
+      targetLabel: getFormattedSourceValue(body, "name"),
+      detailEntries: buildSummaryFromSource(body, ["school_year_id", "start_date", "end_date"])
+    });
+  }
+  if (/^\/admin\/terms\/[^/]+$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Semester bearbeitet",
+      targetLabel: getFormattedSourceValue(body, "name"),
+      detailEntries: buildSummaryFromSource(body, ["start_date", "end_date"])
+    });
+  }
+  if (/^\/admin\/terms\/[^/]+\/delete$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Semester gelöscht",
+      targetLabel: routePath.split("/")[3]
+    });
+  }
   if (/^\/admin\/classes$/i.test(routePath)) {
     return buildAuditEntry({
       scopeLabel,
@@ -485,7 +748,7 @@ function buildAuditDescription(req, routePath, entityType, entityId) {
       scopeLabel,
       actionTitle: body.profile_id ? "Benotungsprofil bearbeitet" : "Benotungsprofil erstellt",
       targetLabel: buildTargetLabel(getFormattedSourceValue(body, "profile_name"), entityTarget),
-      detailEntries: buildSummaryFromSource(body, ["scoring_mode", "absence_mode"])
+      detailEntries: buildSummaryFromSource(body, ["scoring_mode", "absence_mode", "retake_policy", "new_category_label"])
     });
   }
   if (/^\/teacher\/settings\/activate-profile\/[^/]+$/i.test(routePath)) {
@@ -495,6 +758,14 @@ function buildAuditDescription(req, routePath, entityType, entityId) {
       targetLabel: buildEntityTarget("system", params.profileId)
     });
   }
+  if (/^\/teacher\/class-profile\/[^/]+$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Notenprofil für Fach gewählt",
+      targetLabel: buildEntityTarget("class", params.classId),
+      detailEntries: buildSummaryFromSource(body, ["subject_id", "grading_profile_id"])
+    });
+  }
   if (/^\/teacher\/settings\/delete-profile\/[^/]+$/i.test(routePath)) {
     return buildAuditEntry({
       scopeLabel,
@@ -534,6 +805,21 @@ function buildAuditDescription(req, routePath, entityType, entityId) {
       detailEntries: buildSummaryFromSource(params, ["classId"])
     });
   }
+  if (/^\/teacher\/grade-history\/[^/]+\/[^/]+\/[^/]+\/revert$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Notenänderung zurückgesetzt",
+      targetLabel: buildEntityTarget("student", params.studentId),
+      detailEntries: [...buildSummaryFromSource(params, ["versionId"]), ...buildSummaryFromSource(body, ["reason"])]
+    });
+  }
+  if (/^\/teacher\/publish-grade\/[^/]+\/[^/]+$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Note veröffentlicht",
+      targetLabel: buildEntityTarget("grade", params.gradeId)
+    });
+  }
   if (/^\/teacher\/delete-grade-attachment\/[^/]+\/[^/]+$/i.test(routePath)) {
     return buildAuditEntry({
       scopeLabel,
@@ -556,7 +842,7 @@ function buildAuditDescription(req, routePath, entityType, entityId) {
       scopeLabel,
       actionTitle: "Prüfung erstellt",
       targetLabel: buildTargetLabel(getFormattedSourceValue(body, "name"), entityTarget),
-      detailEntries: buildSummaryFromSource(body, ["category", "weight", "max_points", "date"])
+      detailEntries: buildSummaryFromSource(body, ["category", "weight", "max_points", "rubric_id", "retake_of_template_id", "tasks", "date", "release_mode", "release_at", "grade1_min_percent", "grade2_min_percent", "grade3_min_percent", "grade4_min_percent"])
     });
   }
   if (/^\/teacher\/edit-template\/[^/]+\/[^/]+$/i.test(routePath)) {
@@ -564,7 +850,23 @@ function buildAuditDescription(req, routePath, entityType, entityId) {
       scopeLabel,
       actionTitle: "Prüfung bearbeitet",
       targetLabel: buildTargetLabel(getFormattedSourceValue(body, "name"), buildEntityTarget("exam_template", params.templateId)),
-      detailEntries: buildSummaryFromSource(body, ["category", "weight", "max_points", "date"])
+      detailEntries: buildSummaryFromSource(body, ["category", "weight", "max_points", "rubric_id", "retake_of_template_id", "tasks", "date", "release_mode", "release_at", "grade1_min_percent", "grade2_min_percent", "grade3_min_percent", "grade4_min_percent"])
+    });
+  }
+  if (/^\/teacher\/template-release\/[^/]+\/[^/]+$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Notenveröffentlichung geändert",
+      targetLabel: buildEntityTarget("exam_template", params.templateId),
+      detailEntries: buildSummaryFromSource(body, ["release_mode", "release_at"])
+    });
+  }
+  if (/^\/teacher\/grade-curve\/[^/]+\/[^/]+$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Notenschlüssel angepasst",
+      targetLabel: buildEntityTarget("exam_template", params.templateId),
+      detailEntries: buildSummaryFromSource(body, ["grade1_min_percent", "grade2_min_percent", "grade3_min_percent", "grade4_min_percent", "change_reason"])
     });
   }
   if (/^\/teacher\/delete-template\/[^/]+\/[^/]+$/i.test(routePath)) {
@@ -574,6 +876,29 @@ function buildAuditDescription(req, routePath, entityType, entityId) {
       targetLabel: buildEntityTarget("exam_template", params.templateId)
     });
   }
+  if (/^\/teacher\/rubrics$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Bewertungsraster erstellt",
+      targetLabel: getFormattedSourceValue(body, "name") || "Bewertungsraster"
+    });
+  }
+  if (/^\/teacher\/rubrics\/[^/]+$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Bewertungsraster bearbeitet",
+      targetLabel: getFormattedSourceValue(body, "name") || "Bewertungsraster",
+      detailEntries: buildSummaryFromSource(params, ["rubricId"])
+    });
+  }
+  if (/^\/teacher\/rubrics\/[^/]+\/delete$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Bewertungsraster gelöscht",
+      targetLabel: "Bewertungsraster",
+      detailEntries: buildSummaryFromSource(params, ["rubricId"])
+    });
+  }
   if (/^\/teacher\/special-assessments\/[^/]+$/i.test(routePath)) {
     return buildAuditEntry({
       scopeLabel,
@@ -589,6 +914,61 @@ function buildAuditDescription(req, routePath, entityType, entityId) {
       targetLabel: buildEntityTarget("special_assessment", params.assessmentId)
     });
   }
+  if (/^\/teacher\/final-grades\/[^/]+$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Zeugnisnoten vorgeschlagen",
+      targetLabel: buildEntityTarget("class", params.classId),
+      detailEntries: buildSummaryFromSource(body, ["term"])
+    });
+  }
+  if (/^\/teacher\/grade-absence\/[^/]+\/[^/]+$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Abwesenheit bearbeitet",
+      targetLabel: buildEntityTarget("grade", params.gradeId),
+      detailEntries: buildSummaryFromSource(body, ["absence_status", "makeup_date", "remove_note"])
+    });
+  }
+  if (/^\/teacher\/early-warnings\/[^/]+$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Frühwarnungen ausgestellt",
+      targetLabel: buildEntityTarget("class", params.classId),
+      detailEntries: buildSummaryFromSource(body, ["term", "student_ids"])
+    });
+  }
+  if (/^\/teacher\/final-grades-review\/[^/]+\/sign-off-all$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Alle Zeugnisnoten freigegeben",
+      targetLabel: buildEntityTarget("class", params.classId),
+      detailEntries: buildSummaryFromSource(body, ["term"])
+    });
+  }
+  if (/^\/teacher\/final-grades-review\/[^/]+\/[^/]+\/sign-off$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Zeugnisnote freigegeben",
+      targetLabel: buildEntityTarget("final_grade", params.finalGradeId)
+    });
+  }
+  if (/^\/teacher\/final-grades-review\/[^/]+\/[^/]+\/unlock$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Zeugnisnote entsperrt",
+      targetLabel: buildEntityTarget("final_grade", params.finalGradeId),
+      detailEntries: buildSummaryFromSource(body, ["review_note"])
+    });
+  }
+  if (/^\/teacher\/final-grades-review\/[^/]+\/[^/]+\/return$/i.test(routePath)) {
+    return buildAuditEntry({
+      scopeLabel,
+      actionTitle: "Zeugnisnote zurückgegeben",
+      targetLabel: buildEntityTarget("final_grade", params.finalGradeId),
+      detailEntries: buildSummaryFromSource(body, ["review_note"])
+    });
+  }
   if (/^\/student\/returns\/[^/]+\/message$/i.test(routePath)) {
     return buildAuditEntry({
       scopeLabel,
@@ -637,16 +1017,71 @@ function buildAuditDescription(req, routePath, entityType, entityId) {
   });
 }
 
-function createAuditLogMiddleware() {
+function recordAuditEvent({
+  actor = null,
+  impersonator = null,
+  auditEntry,
+  entityType = null,
+  entityId = null,
+  httpMethod = "POST",
+  routePath,
+  statusCode = 200,
+  ipAddress = null,
+  userAgent = null,
+  payload = {}
+}) {
+  db.run(
+    `INSERT INTO audit_logs (
+       actor_user_id, actor_email, actor_role, action, entity_type, entity_id,
+       http_method, route_path, status_code, ip_address, user_agent, payload,
+       scope_label, action_title, target_label, detail_summary,
+       impersonator_user_id, impersonator_email
+     ) VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`,
+    [
+      actor?.id || null,
+      actor?.email || null,
+      actor?.role || null,
+      auditEntry.action,
+      entityType,
+      entityId,
+      httpMethod,
+      routePath,
+      statusCode,
+      ipAddress,
+      userAgent,
+      JSON.stringify(sanitizeValue(payload)),
+      auditEntry.scopeLabel,
+      auditEntry.actionTitle,
+      auditEntry.targetLabel,
+      auditEntry.detailSummary,
+      impersonator?.id || null,
+      impersonator?.email || null
+    ],
+    (err) => {
+      if (err) {
+        console.error("Audit log insert failed:", err.message || err);
+      }
+    }
+  );
+}
+
+function createAuditLogMiddleware({ impersonatedOnly = false } = {}) {
   return function auditLogMiddleware(req, res, next) {
-    if (!ALLOWED_METHODS.has(req.method)) return next();
-    if (!req.session?.user) return next();
+    if (req.auditLogAttached || !req.session?.user) return next();
+    // Während einer Nutzer-Ansicht wird jede Anfrage protokolliert, sonst nur Änderungen.
+    const impersonation = req.session.impersonation || null;
+    if (impersonatedOnly && !impersonation) return next();
+    if (!impersonation && !ALLOWED_METHODS.has(req.method)) return next();
+    req.auditLogAttached = true;
 
     const actor = {
       id: req.session.user.id,
       email: req.session.user.email,
       role: req.session.user.role
     };
+    const impersonator = impersonation
+      ? { id: impersonation.realUser.id, email: impersonation.realUser.email }
+      : null;
     const routePath = getRoutePath(req);
     const entityType = detectEntityType(routePath);
     const entityId = getEntityIdFromParams(req.params || {});
@@ -657,47 +1092,26 @@ function createAuditLogMiddleware() {
     const userAgent = req.get("user-agent") || null;
 
     res.on("finish", () => {
-      if (res.statusCode >= 400) return;
+      if (res.statusCode >= 400 && !impersonator) return;
       const auditEntry = buildAuditDescription(req, routePath, entityType, entityId);
 
-      const payload = JSON.stringify(
-        sanitizeValue({
+      recordAuditEvent({
+        actor,
+        impersonator,
+        auditEntry,
+        entityType,
+        entityId,
+        httpMethod: req.method,
+        routePath,
+        statusCode: res.statusCode,
+        ipAddress,
+        userAgent,
+        payload: {
           params: req.params || {},
           query: req.query || {},
           body: req.body || {}
-        })
-      );
-
-      db.run(
-        `INSERT INTO audit_logs (
-           actor_user_id, actor_email, actor_role, action, entity_type, entity_id,
-           http_method, route_path, status_code, ip_address, user_agent, payload,
-           scope_label, action_title, target_label, detail_summary
-         ) VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`,
-        [
-          actor.id || null,
-          actor.email || null,
-          actor.role || null,
-          auditEntry.action,
-          entityType,
-          entityId,
-          req.method,
-          routePath,
-          res.statusCode,
-          ipAddress,
-          userAgent,
-          payload,
-          auditEntry.scopeLabel,
-          auditEntry.actionTitle,
-          auditEntry.targetLabel,
-          auditEntry.detailSummary
-        ],
-        (err) => {
-          if (err) {
-            console.error("Audit log insert failed:", err.message || err);
-          }
         }
-      );
+      });
     });
 
     next();
@@ -705,5 +1119,7 @@ function createAuditLogMiddleware() {
 }
 
 module.exports = {
-  createAuditLogMiddleware
+  buildAuditEntry,
+  createAuditLogMiddleware,
+  recordAuditEvent
 };
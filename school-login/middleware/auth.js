@@ -1,3 +1,5 @@
+const roleService = require("../services/roleService");
+
 function requireAuth(req, res, next) {
   if (!req.session.user) return res.redirect("/login");
   if (req.session.user.status !== "active") {
@@ -10,17 +12,50 @@ function requireAuth(req, res, next) {
   next();
 }
 
+function renderForbidden(req, res) {
+  return res.status(403).render("error", {
+    message: "Zugriff verweigert.",
+    status: 403,
+    backUrl: req.get("referer") || "/"
+  });
+}
+
 function requireRole(role) {
   return (req, res, next) => {
     if (!req.session.user || req.session.user.role !== role) {
-      return res.status(403).render("error", {
-        message: "Zugriff verweigert.",
-        status: 403,
-        backUrl: req.get("referer") || "/"
-      });
+      return renderForbidden(req, res);
     }
     next();
   };
 }
 
-module.exports = { requireAuth, requireRole };
+function requirePermission(...permissions) {
+  return async (req, res, next) => {
+    if (!req.session.user) return renderForbidden(req, res);
+    try {
+      const granted = await roleService.getPermissions(req.session.user);
+      if (!permissions.every((permission) => granted.has(permission))) {
+        return renderForbidden(req, res);
+      }
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+async function loadPermissions(req, res, next) {
+  res.locals.permissions = [];
+  res.locals.can = () => false;
+  if (!req.session?.user) return next();
+  try {
+    const granted = await roleService.getPermissions(req.session.user);
+    res.locals.permissions = [...granted];
+    res.locals.can = (permission) => granted.has(permission);
+  } catch (err) {
+    console.error("Failed to load permissions:", err);
+  }
+  return next();
+}
+
+module.exports = { loadPermissions, requireAuth, requirePermission, requireRole };
@@ -0,0 +1,70 @@
+const { buildAuditEntry, recordAuditEvent } = require("./audit");
+const impersonationService = require("../services/impersonationService");
+
+const READ_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+const ALWAYS_ALLOWED_PATHS = new Set(["/impersonation/stop", "/logout"]);
+// Passwort, Zwei-Faktor und Sitzungen des Kontos bleiben auch mit Schreibfreigabe gesperrt.
+const ACCOUNT_PATH_PREFIX = "/account/";
+
+function formatTime(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "-";
+  return date.toLocaleTimeString("de-AT", { hour: "2-digit", minute: "2-digit" });
+}
+
+function expireImpersonation(req, res, next) {
+  const impersonation = impersonationService.getImpersonation(req.session);
+  if (!impersonation || !impersonationService.isExpired(impersonation)) return next();
+
+  const targetEmail = req.session.user?.email || null;
+  impersonationService.stopImpersonation(req.session);
+  recordAuditEvent({
+    actor: impersonation.realUser,
+    auditEntry: buildAuditEntry({
+      scopeLabel: "Admin / Ansicht als Nutzer",
+      actionTitle: "Ansicht als Nutzer abgelaufen",
+      targetLabel: targetEmail
+    }),
+    entityType: "user",
+    entityId: String(impersonation.targetUserId),
+    httpMethod: req.method,
+    routePath: String(req.originalUrl || "").split("?")[0] || "/",
+    statusCode: 302
+  });
+  return res.redirect(`/admin/users/${impersonation.targetUserId}?impersonationEnded=1`);
+}
+
+function enforceImpersonation(req, res, next) {
+  const impersonation = impersonationService.getImpersonation(req.session);
+  if (!impersonation) return next();
+
+  res.locals.impersonation = {
+    email: req.session.user.email,
+    roleLabel: impersonation.targetRoleLabel,
+    realEmail: impersonation.realUser.email,
+    allowWrites: impersonation.allowWrites,
+    expiresAtLabel: formatTime(impersonation.expiresAt),
+    csrfToken: req.csrfToken()
+  };
+
+  if (!READ_METHODS.has(req.method) && req.path.startsWith(ACCOUNT_PATH_PREFIX)) {
+    return res.status(403).render("error", {
+      message: "In der Ansicht als Nutzer können Passwort, Zwei-Faktor-Anmeldung und Sitzungen nicht geändert werden.",
+      status: 403,
+      backUrl: "/account"
+    });
+  }
+  if (READ_METHODS.has(req.method) || impersonation.allowWrites || ALWAYS_ALLOWED_PATHS.has(req.path)) {
+    return next();
+  }
+  return res.status(403).render("error", {
+    message: "In der Ansicht als Nutzer sind Änderungen nur nach ausdrücklicher Freigabe erlaubt.",
+    status: 403,
+    backUrl: "/"
+  });
+}
+
+module.exports = {
+  enforceImpersonation,
+  expireImpersonation
+};
@@ -0,0 +1,35 @@
+const ACTIVITY_UPDATE_INTERVAL_MS = 60 * 1000;
+
+// req.ip beachtet "trust proxy"; ein selbst gesetzter X-Forwarded-For-Header zählt nur hinter dem Proxy.
+function getClientIp(req) {
+  return req.ip || null;
+}
+
+function buildSessionClientInfo(req) {
+  const now = new Date().toISOString();
+  return {
+    userAgent: String(req.get("user-agent") || "").slice(0, 300),
+    ipAddress: getClientIp(req),
+    createdAt: now,
+    lastSeenAt: now
+  };
+}
+
+function trackSessionActivity(req, res, next) {
+  if (!req.session?.user) return next();
+
+  const client = req.session.client;
+  if (!client) {
+    req.session.client = buildSessionClientInfo(req);
+    return next();
+  }
+
+  const lastSeenAt = new Date(client.lastSeenAt || 0).getTime();
+  if (Date.now() - lastSeenAt >= ACTIVITY_UPDATE_INTERVAL_MS) {
+    client.lastSeenAt = new Date().toISOString();
+    client.ipAddress = getClientIp(req);
+  }
+  return next();
+}
+
+module.exports = { buildSessionClientInfo, trackSessionActivity };
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+// Local OpenID Connect provider for development and tests (npm run mock:idp).
+const http = require("http");
+const crypto = require("crypto");
+const { once } = require("events");
+
+function base64UrlJson(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+function escapeHtml(value) {
+  return String(value || "").replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+function createMockOidcProvider(options = {}) {
+  const clientId = options.clientId || "notenverwaltung";
+  const clientSecret = options.clientSecret || "mock-secret";
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString("hex");
+  const codes = new Map();
+  const state = {
+    issuer: null,
+    nextEmail: options.email || null,
+    claimOverrides: {},
+    signingKey: privateKey
+  };
+
+  function signIdToken(claims) {
+    const header = base64UrlJson({ alg: "RS256", typ: "JWT", kid });
+    const payload = base64UrlJson(claims);
+    const signature = crypto.sign("sha256", Buffer.from(`${header}.${payload}`), state.signingKey).toString("base64url");
+    return `${header}.${payload}.${signature}`;
+  }
+
+  function issueCode(params, email) {
+    const code = crypto.randomBytes(16).toString("hex");
+    codes.set(code, {
+      email,
+      clientId: params.get("client_id"),
+      redirectUri: params.get("redirect_uri"),
+      nonce: params.get("nonce"),
+      codeChallenge: params.get("code_challenge"),
+      codeChallengeMethod: params.get("code_challenge_method")
+    });
+    const target = new URL(params.get("redirect_uri"));
+    target.searchParams.set("code", code);
+    if (params.get("state")) target.searchParams.set("state", params.get("state"));
+    return target.toString();
+  }
+
+  function sendJson(res, status, payload) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(payload));
+  }
+
+  async function readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    return new URLSearchParams(Buffer.concat(chunks).toString("utf8"));
+  }
+
+  async function handleToken(req, res) {
+    const body = await readBody(req);
+    const entry = codes.get(body.get("code"));
+    codes.delete(body.get("code"));
+    if (!entry || body.get("grant_type") !== "authorization_code") {
+      return sendJson(res, 400, { error: "invalid_grant" });
+    }
+    if (body.get("client_id") !== clientId || body.get("client_secret") !== clientSecret) {
+      return sendJson(res, 401, { error: "invalid_client" });
+    }
+    if (body.get("redirect_uri") !== entry.redirectUri || entry.clientId !== clientId) {
+      return sendJson(res, 400, { error: "invalid_grant", error_description: "redirect_uri mismatch" });
+    }
+    const verifierHash = crypto.createHash("sha256").update(body.get("code_verifier") || "").digest("base64url");
+    if (entry.codeChallengeMethod !== "S256" || verifierHash !== entry.codeChallenge) {
+      return sendJson(res, 400, { error: "invalid_grant", error_description: "PKCE verification failed" });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const idToken = signIdToken({
+      iss: state.issuer,
+      sub: crypto.createHash("sha256").update(entry.email).digest("hex").slice(0, 24),
+      aud: clientId,
+      iat: now,
+      nbf: now,
+      exp: now + 300,
+      nonce: entry.nonce,
+      email: entry.email,
+      preferred_username: entry.email,
+      ...state.claimOverrides
+    });
+    return sendJson(res, 200, {
+      access_token: crypto.randomBytes(16).toString("hex"),
+      token_type: "Bearer",
+      expires_in: 300,
+      id_token: idToken
+    });
+  }
+
+  async function handleRequest(req, res) {
+    const url = new URL(req.url, state.issuer);
+
+    if (req.method === "GET" && url.pathname === "/.well-known/openid-configuration") {
+      return sendJson(res, 200, {
+        issuer: state.issuer,
+        authorization_endpoint: `${state.issuer}/authorize`,
+        token_endpoint: `${state.issuer}/token`,
+        jwks_uri: `${state.issuer}/jwks`,
+        response_types_supported: ["code"],
+        subject_types_supported: ["public"],
+        id_token_signing_alg_values_supported: ["RS256"],
+        code_challenge_methods_supported: ["S256"]
+      });
+    }
+    if (req.method === "GET" && url.pathname === "/jwks") {
+      return sendJson(res, 200, { keys: [{ ...publicKey.export({ format: "jwk" }), kid, use: "sig", alg: "RS256" }] });
+    }
+    if (req.method === "GET" && url.pathname === "/authorize") {
+      const email = url.searchParams.get("email") || url.searchParams.get("login_hint") || state.nextEmail;
+      if (email) {
+        res.writeHead(302, { Location: issueCode(url.searchParams, email) });
+        return res.end();
+      }
+      const hiddenFields = [...url.searchParams.entries()]
+        .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+        .join("");
+      res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+      return res.end(
+        `<!doctype html><title>Mock IdP</title><form method="GET" action="/authorize">${hiddenFields}` +
+          `<label>E-Mail <input name="email" type="email" required autofocus></label> <button>Anmelden</button></form>`
+      );
+    }
+    if (req.method === "POST" && url.pathname === "/token") {
+      return handleToken(req, res);
+    }
+    return sendJson(res, 404, { error: "not_found" });
+  }
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch((err) => sendJson(res, 500, { error: "server_error", error_description: err.message }));
+  });
+
+  return {
+    clientId,
+    clientSecret,
+    get issuer() {
+      return state.issuer;
+    },
+    async start(port = 0) {
+      server.listen(port, "127.0.0.1");
+      await once(server, "listening");
+      state.issuer = `http://127.0.0.1:${server.address().port}`;
+      return state.issuer;
+    },
+    async stop() {
+      server.close();
+    },
+    setNextLogin(email, claimOverrides = {}) {
+      state.nextEmail = email;
+      state.claimOverrides = claimOverrides;
+    },
+    useForeignSigningKey() {
+      state.signingKey = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 }).privateKey;
+    }
+  };
+}
+
+module.exports = { createMockOidcProvider };
+
+if (require.main === module) {
+  const provider = createMockOidcProvider({
+    clientId: process.env.MOCK_OIDC_CLIENT_ID,
+    clientSecret: process.env.MOCK_OIDC_CLIENT_SECRET
+  });
+  provider.start(Number(process.env.MOCK_OIDC_PORT) || 4010).then((issuer) => {
+    console.log(`Mock OIDC provider läuft auf ${issuer}`);
+    console.log(`OIDC_ISSUER=${issuer}`);
+    console.log(`OIDC_CLIENT_ID=${provider.clientId}`);
+    console.log(`OIDC_CLIENT_SECRET=${provider.clientSecret}`);
+  });
+}
@@ -0,0 +1,82 @@
+const { allAsync, getAsync, runAsync } = require("../utils/dbAsync");
+
+async function findGradeAbsence(gradeId, classId, subjectId) {
+  return getAsync(
+    `SELECT g.id, g.student_id, g.class_id, g.is_absent, g.grade_template_id AS template_id,
+            gt.name AS template_name, gt.date AS template_date, s.name AS student_name,
+            a.grade_id AS absence_grade_id, a.status, a.note_path, a.note_original_name, a.note_mime, a.makeup_date, a.updated_at
+     FROM grades g
+     JOIN grade_templates gt ON gt.id = g.grade_template_id
+     JOIN students s ON s.id = g.student_id
+     LEFT JOIN grade_absences a ON a.grade_id = g.id
+     WHERE g.id = ? AND g.class_id = ? AND gt.subject_id = ?`,
+    [gradeId, classId, subjectId]
+  );
+}
+
+async function insertAbsence({ gradeId, status, notePath, noteOriginalName, noteMime, makeupDate, updatedBy }) {
+  return runAsync(
+    `INSERT INTO grade_absences (grade_id, status, note_path, note_original_name, note_mime, makeup_date, updated_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [gradeId, status, notePath, noteOriginalName, noteMime, makeupDate, updatedBy]
+  );
+}
+
+async function updateAbsence({ gradeId, status, notePath, noteOriginalName, noteMime, makeupDate, updatedBy }) {
+  return runAsync(
+    `UPDATE grade_absences
+     SET status = ?, note_path = ?, note_original_name = ?, note_mime = ?, makeup_date = ?, updated_by = ?, updated_at = current_timestamp
+     WHERE grade_id = ?`,
+    [status, notePath, noteOriginalName, noteMime, makeupDate, updatedBy, gradeId]
+  );
+}
+
+async function listAbsencesForStudent(studentId) {
+  return allAsync(
+    `SELECT a.grade_id, a.status, a.makeup_date, a.note_original_name, g.is_absent
+     FROM grade_absences a
+     JOIN grades g ON g.id = a.grade_id
+     WHERE g.student_id = ?`,
+    [studentId]
+  );
+}
+
+async function listOpenMakeups(classId, subjectId) {
+  return allAsync(
+    `SELECT a.grade_id, a.status, a.makeup_date, a.note_original_name, g.student_id, s.name AS student_name,
+            gt.id AS template_id, gt.name AS template_name, gt.date AS template_date
+     FROM grade_absences a
+     JOIN grades g ON g.id = a.grade_id
+     JOIN students s ON s.id = g.student_id
+     JOIN grade_templates gt ON gt.id = g.grade_template_id
+     WHERE g.class_id = ? AND gt.subject_id = ? AND g.is_absent = ? AND a.makeup_date IS NOT NULL
+     ORDER BY a.makeup_date ASC, s.name ASC`,
+    [classId, subjectId, true]
+  );
+}
+
+async function listOpenMakeupsForClass(classId) {
+  return allAsync(
+    `SELECT a.grade_id, a.status, a.makeup_date, a.note_original_name, g.student_id, s.name AS student_name,
+            gt.id AS template_id, gt.name AS template_name, gt.date AS template_date, gt.subject_id,
+            COALESCE(subj.name, c.subject) AS subject_name
+     FROM grade_absences a
+     JOIN grades g ON g.id = a.grade_id
+     JOIN students s ON s.id = g.student_id
+     JOIN grade_templates gt ON gt.id = g.grade_template_id
+     JOIN classes c ON c.id = g.class_id
+     LEFT JOIN subjects subj ON subj.id = gt.subject_id
+     WHERE g.class_id = ? AND g.is_absent = ? AND a.makeup_date IS NOT NULL
+     ORDER BY a.makeup_date ASC, subject_name ASC, s.name ASC`,
+    [classId, true]
+  );
+}
+
+module.exports = {
+  findGradeAbsence,
+  insertAbsence,
+  listAbsencesForStudent,
+  listOpenMakeups,
+  listOpenMakeupsForClass,
+  updateAbsence
+};
@@ -0,0 +1,21 @@
+const { getAsync, runAsync } = require("../utils/dbAsync");
+
+async function findAccount(userId) {
+  return getAsync(
+    "SELECT id, email, role, role_key, password_hash, created_at, last_login FROM users WHERE id = ?",
+    [userId]
+  );
+}
+
+async function updatePassword(userId, passwordHash) {
+  return runAsync("UPDATE users SET password_hash = ?, must_change_password = ? WHERE id = ?", [
+    passwordHash,
+    0,
+    userId
+  ]);
+}
+
+module.exports = {
+  findAccount,
+  updatePassword
+};
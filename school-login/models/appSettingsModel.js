@@ -0,0 +1,21 @@
+const { getAsync, runAsync } = require("../utils/dbAsync");
+
+async function getSetting(key) {
+  const row = await getAsync("SELECT value FROM app_settings WHERE key = ?", [key]);
+  return row ? row.value : null;
+}
+
+async function setSetting(key, value) {
+  return runAsync(
+    `INSERT INTO app_settings (key, value, updated_at)
+     VALUES (?, ?, current_timestamp)
+     ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = EXCLUDED.updated_at
+     RETURNING key`,
+    [key, value]
+  );
+}
+
+module.exports = {
+  getSetting,
+  setSetting
+};
@@ -0,0 +1,45 @@
+const { allAsync, getAsync, runAsync } = require("../utils/dbAsync");
+
+async function findAssignment(teacherId, classId, subjectId, schoolYearId) {
+  return getAsync(
+    `SELECT id, grading_profile_id
+     FROM class_subject_teacher
+     WHERE teacher_id = ? AND class_id = ? AND subject_id = ? AND school_year_id = ?
+     LIMIT 1`,
+    [teacherId, classId, subjectId, schoolYearId]
+  );
+}
+
+async function listTeacherAssignmentProfiles(teacherId, schoolYearId) {
+  return allAsync(
+    `SELECT cst.id, cst.class_id, cst.subject_id, cst.grading_profile_id, c.name AS class_name, COALESCE(s.name, c.subject) AS subject_name
+     FROM class_subject_teacher cst
+     JOIN classes c ON c.id = cst.class_id
+     LEFT JOIN subjects s ON s.id = cst.subject_id
+     WHERE cst.teacher_id = ? AND cst.school_year_id = ?
+     ORDER BY c.name ASC, subject_name ASC`,
+    [teacherId, schoolYearId]
+  );
+}
+
+async function setAssignmentProfile(assignmentId, teacherId, profileId) {
+  return runAsync("UPDATE class_subject_teacher SET grading_profile_id = ? WHERE id = ? AND teacher_id = ?", [
+    profileId,
+    assignmentId,
+    teacherId
+  ]);
+}
+
+async function clearProfileAssignments(profileId, teacherId) {
+  return runAsync(
+    "UPDATE class_subject_teacher SET grading_profile_id = NULL WHERE grading_profile_id = ? AND teacher_id = ?",
+    [profileId, teacherId]
+  );
+}
+
+module.exports = {
+  clearProfileAssignments,
+  findAssignment,
+  listTeacherAssignmentProfiles,
+  setAssignmentProfile
+};
@@ -0,0 +1,55 @@
+const { allAsync, getAsync, runAsync } = require("../utils/dbAsync");
+
+const EARLY_WARNING_SELECT = `SELECT ew.id, ew.student_id, ew.class_id, ew.subject_id, ew.term_id, ew.computed_average, ew.reason, ew.issued_at,
+            s.name AS student_name, s.email AS student_email, c.name AS class_name, COALESCE(sub.name, c.subject) AS subject_name,
+            u.email AS teacher_email, t.name AS term_name
+     FROM early_warnings ew
+     JOIN students s ON s.id = ew.student_id
+     JOIN classes c ON c.id = ew.class_id
+     LEFT JOIN subjects sub ON sub.id = ew.subject_id
+     LEFT JOIN users u ON u.id = ew.teacher_id
+     LEFT JOIN school_terms t ON t.id = ew.term_id`;
+
+async function listWarningsForClassSubject(classId, subjectId, termId) {
+  return allAsync(
+    `${EARLY_WARNING_SELECT}
+     WHERE ew.class_id = ? AND ew.subject_id = ? AND COALESCE(ew.term_id, 0) = ?
+     ORDER BY s.name ASC, ew.id ASC`,
+    [classId, subjectId, termId || 0]
+  );
+}
+
+async function listWarningsForClass(classId, termId) {
+  return allAsync(
+    `${EARLY_WARNING_SELECT}
+     WHERE ew.class_id = ? AND COALESCE(ew.term_id, 0) = ?
+     ORDER BY subject_name ASC, s.name ASC, ew.id ASC`,
+    [classId, termId || 0]
+  );
+}
+
+async function findWarningForClass(warningId, classId) {
+  return getAsync(`${EARLY_WARNING_SELECT}\n     WHERE ew.id = ? AND ew.class_id = ?`, [warningId, classId]);
+}
+
+async function countWarningsByTerm(termId) {
+  const row = await getAsync("SELECT COUNT(*) AS count FROM early_warnings WHERE term_id = ?", [termId]);
+  return Number(row?.count || 0);
+}
+
+async function insertWarning({ studentId, classId, subjectId, termId, teacherId, computedAverage, reason }) {
+  const result = await runAsync(
+    `INSERT INTO early_warnings (student_id, class_id, subject_id, term_id, teacher_id, computed_average, reason)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [studentId, classId, subjectId, termId || null, teacherId, computedAverage, reason]
+  );
+  return result.lastID;
+}
+
+module.exports = {
+  countWarningsByTerm,
+  findWarningForClass,
+  insertWarning,
+  listWarningsForClass,
+  listWarningsForClassSubject
+};
@@ -0,0 +1,96 @@
+const { allAsync, getAsync, runAsync } = require("../utils/dbAsync");
+
+const FINAL_GRADE_COLUMNS =
+  "id, student_id, class_id, subject_id, term_id, teacher_id, computed_average, proposed_grade, justification, status, review_note, signed_off_by, signed_off_at, updated_at";
+
+async function listFinalGradesForClassSubject(classId, subjectId, termId) {
+  return allAsync(
+    `SELECT ${FINAL_GRADE_COLUMNS}
+     FROM final_grades
+     WHERE class_id = ? AND subject_id = ? AND COALESCE(term_id, 0) = ?`,
+    [classId, subjectId, termId || 0]
+  );
+}
+
+async function listFinalGradesForClass(classId, termId) {
+  return allAsync(
+    `SELECT fg.id, fg.student_id, fg.subject_id, fg.term_id, fg.computed_average, fg.proposed_grade, fg.justification, fg.status, fg.review_note, fg.signed_off_at, fg.updated_at,
+            s.name AS student_name, s.email AS student_email, sub.name AS subject_name, u.email AS teacher_email
+     FROM final_grades fg
+     JOIN students s ON s.id = fg.student_id
+     LEFT JOIN subjects sub ON sub.id = fg.subject_id
+     LEFT JOIN users u ON u.id = fg.teacher_id
+     WHERE fg.class_id = ? AND COALESCE(fg.term_id, 0) = ?
+     ORDER BY sub.name ASC, s.name ASC, fg.id ASC`,
+    [classId, termId || 0]
+  );
+}
+
+async function listClassSubjects(classId) {
+  return allAsync(
+    `SELECT cst.subject_id, COALESCE(s.name, c.subject) AS subject_name
+     FROM class_subject_teacher cst
+     JOIN classes c ON c.id = cst.class_id
+     LEFT JOIN subjects s ON s.id = cst.subject_id
+     WHERE cst.class_id = ? AND cst.school_year_id = c.school_year_id
+     ORDER BY subject_name ASC`,
+    [classId]
+  );
+}
+
+async function findFinalGradeById(finalGradeId) {
+  return getAsync(`SELECT ${FINAL_GRADE_COLUMNS} FROM final_grades WHERE id = ?`, [finalGradeId]);
+}
+
+async function countFinalGradesByTerm(termId) {
+  const row = await getAsync("SELECT COUNT(*) AS count FROM final_grades WHERE term_id = ?", [termId]);
+  return Number(row?.count || 0);
+}
+
+async function insertFinalGrade({ studentId, classId, subjectId, termId, teacherId, computedAverage, proposedGrade, justification, status }) {
+  const result = await runAsync(
+    `INSERT INTO final_grades (student_id, class_id, subject_id, term_id, teacher_id, computed_average, proposed_grade, justification, status)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [studentId, classId, subjectId, termId || null, teacherId, computedAverage, proposedGrade, justification, status]
+  );
+  return result.lastID;
+}
+
+async function updateFinalGradeProposal(finalGradeId, { teacherId, computedAverage, proposedGrade, justification, status }) {
+  return runAsync(
+    `UPDATE final_grades
+     SET teacher_id = ?, computed_average = ?, proposed_grade = ?, justification = ?, status = ?, review_note = NULL, updated_at = current_timestamp
+     WHERE id = ?`,
+    [teacherId, computedAverage, proposedGrade, justification, status, finalGradeId]
+  );
+}
+
+async function signOffFinalGrade(finalGradeId, status, userId) {
+  return runAsync(
+    `UPDATE final_grades
+     SET status = ?, signed_off_by = ?, signed_off_at = current_timestamp, updated_at = current_timestamp
+     WHERE id = ?`,
+    [status, userId, finalGradeId]
+  );
+}
+
+async function reopenFinalGrade(finalGradeId, status, reviewNote) {
+  return runAsync(
+    `UPDATE final_grades
+     SET status = ?, review_note = ?, signed_off_by = NULL, signed_off_at = NULL, updated_at = current_timestamp
+     WHERE id = ?`,
+    [status, reviewNote, finalGradeId]
+  );
+}
+
+module.exports = {
+  countFinalGradesByTerm,
+  findFinalGradeById,
+  insertFinalGrade,
+  listClassSubjects,
+  listFinalGradesForClass,
+  listFinalGradesForClassSubject,
+  reopenFinalGrade,
+  signOffFinalGrade,
+  updateFinalGradeProposal
+};
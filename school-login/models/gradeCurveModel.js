@@ -0,0 +1,36 @@
+const { allAsync, runAsync } = require("../utils/dbAsync");
+
+async function setTemplateThresholds(templateId, classId, thresholds) {
+  return runAsync(
+    "UPDATE grade_templates SET grade1_min_percent = ?, grade2_min_percent = ?, grade3_min_percent = ?, grade4_min_percent = ? WHERE id = ? AND class_id = ?",
+    [
+      thresholds?.grade1_min_percent ?? null,
+      thresholds?.grade2_min_percent ?? null,
+      thresholds?.grade3_min_percent ?? null,
+      thresholds?.grade4_min_percent ?? null,
+      templateId,
+      classId
+    ]
+  );
+}
+
+async function listTemplateGrades(templateId, classId) {
+  return allAsync(
+    `SELECT g.id, g.student_id, g.grade, g.points_achieved, g.points_max, g.is_absent, s.name AS student_name
+     FROM grades g
+     JOIN students s ON s.id = g.student_id
+     WHERE g.grade_template_id = ? AND g.class_id = ?
+     ORDER BY s.name ASC, g.id ASC`,
+    [templateId, classId]
+  );
+}
+
+async function updateGradeValue(gradeId, classId, grade) {
+  return runAsync("UPDATE grades SET grade = ? WHERE id = ? AND class_id = ?", [grade, gradeId, classId]);
+}
+
+module.exports = {
+  listTemplateGrades,
+  setTemplateThresholds,
+  updateGradeValue
+};
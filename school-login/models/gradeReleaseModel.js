@@ -0,0 +1,79 @@
+const { allAsync, getAsync, runAsync } = require("../utils/dbAsync");
+
+async function setTemplateRelease(templateId, classId, isDraft, releaseAt) {
+  return runAsync("UPDATE grade_templates SET is_draft = ?, release_at = ? WHERE id = ? AND class_id = ?", [
+    isDraft,
+    releaseAt,
+    templateId,
+    classId
+  ]);
+}
+
+async function listDueTemplates(now) {
+  return allAsync(
+    "SELECT id, class_id, name FROM grade_templates WHERE is_draft = ? AND release_at IS NOT NULL AND release_at <= ? ORDER BY release_at ASC, id ASC",
+    [true, now]
+  );
+}
+
+async function listUnpublishedGrades(templateId) {
+  return allAsync(
+    "SELECT id, student_id FROM grades WHERE grade_template_id = ? AND published_at IS NULL AND is_held_back = ? ORDER BY id ASC",
+    [templateId, false]
+  );
+}
+
+async function publishTemplateGrades(templateId, publishedAt) {
+  return runAsync(
+    "UPDATE grades SET published_at = ? WHERE grade_template_id = ? AND published_at IS NULL AND is_held_back = ?",
+    [publishedAt, templateId, false]
+  );
+}
+
+async function findUnpublishedGrade(gradeId, classId, subjectId) {
+  return getAsync(
+    `SELECT g.id, g.student_id, gt.name AS template_name
+     FROM grades g
+     JOIN grade_templates gt ON gt.id = g.grade_template_id
+     WHERE g.id = ? AND g.class_id = ? AND gt.subject_id = ? AND g.published_at IS NULL`,
+    [gradeId, classId, subjectId]
+  );
+}
+
+async function publishGrade(gradeId, classId, publishedAt) {
+  return runAsync("UPDATE grades SET published_at = ?, is_held_back = ? WHERE id = ? AND class_id = ?", [
+    publishedAt,
+    false,
+    gradeId,
+    classId
+  ]);
+}
+
+async function findHoldableGrade(gradeId, classId, subjectId) {
+  return getAsync(
+    `SELECT g.id, g.student_id
+     FROM grades g
+     JOIN grade_templates gt ON gt.id = g.grade_template_id
+     WHERE g.id = ? AND g.class_id = ? AND gt.subject_id = ? AND g.is_held_back = ?`,
+    [gradeId, classId, subjectId, false]
+  );
+}
+
+async function holdBackGrade(gradeId, classId) {
+  return runAsync("UPDATE grades SET published_at = NULL, is_held_back = ? WHERE id = ? AND class_id = ?", [
+    true,
+    gradeId,
+    classId
+  ]);
+}
+
+module.exports = {
+  findHoldableGrade,
+  findUnpublishedGrade,
+  holdBackGrade,
+  listDueTemplates,
+  listUnpublishedGrades,
+  publishGrade,
+  publishTemplateGrades,
+  setTemplateRelease
+};
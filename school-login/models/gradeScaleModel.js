@@ -0,0 +1,121 @@
+const { allAsync, getAsync, runAsync } = require("../utils/dbAsync");
+
+async function listScales() {
+  return allAsync("SELECT id, name, pass_threshold, created_at FROM grade_scales ORDER BY name ASC");
+}
+
+async function listAllScaleSteps() {
+  return allAsync(
+    "SELECT id, grade_scale_id, label, value, min_percent, sort_order FROM grade_scale_steps ORDER BY grade_scale_id ASC, sort_order ASC, id ASC"
+  );
+}
+
+async function findScaleById(scaleId) {
+  return getAsync("SELECT id, name, pass_threshold, created_at FROM grade_scales WHERE id = ?", [scaleId]);
+}
+
+async function findScaleByName(name) {
+  return getAsync("SELECT id, name FROM grade_scales WHERE LOWER(name) = LOWER(?)", [name]);
+}
+
+async function listStepsForScale(scaleId) {
+  return allAsync(
+    "SELECT id, grade_scale_id, label, value, min_percent, sort_order FROM grade_scale_steps WHERE grade_scale_id = ? ORDER BY sort_order ASC, id ASC",
+    [scaleId]
+  );
+}
+
+async function insertScale(name, passThreshold) {
+  const result = await runAsync("INSERT INTO grade_scales (name, pass_threshold) VALUES (?, ?)", [
+    name,
+    passThreshold
+  ]);
+  return result.lastID;
+}
+
+async function updateScale(scaleId, name, passThreshold) {
+  return runAsync("UPDATE grade_scales SET name = ?, pass_threshold = ? WHERE id = ?", [
+    name,
+    passThreshold,
+    scaleId
+  ]);
+}
+
+async function replaceScaleSteps(scaleId, steps) {
+  await runAsync("DELETE FROM grade_scale_steps WHERE grade_scale_id = ?", [scaleId]);
+  for (const [index, step] of steps.entries()) {
+    await runAsync(
+      "INSERT INTO grade_scale_steps (grade_scale_id, label, value, min_percent, sort_order) VALUES (?, ?, ?, ?, ?)",
+      [scaleId, step.label, step.value, step.min_percent, index]
+    );
+  }
+}
+
+async function deleteScale(scaleId) {
+  return runAsync("DELETE FROM grade_scales WHERE id = ?", [scaleId]);
+}
+
+async function countScaleAssignments(scaleId) {
+  const row = await getAsync(
+    "SELECT COUNT(*) AS count FROM class_subject_grade_scales WHERE grade_scale_id = ?",
+    [scaleId]
+  );
+  return Number(row?.count || 0);
+}
+
+async function findScaleIdForClassSubject(classId, subjectId) {
+  const row = await getAsync(
+    "SELECT grade_scale_id FROM class_subject_grade_scales WHERE class_id = ? AND subject_id = ?",
+    [classId, subjectId]
+  );
+  return row?.grade_scale_id ?? null;
+}
+
+async function listScaleIdsForClass(classId) {
+  return allAsync(
+    "SELECT subject_id, grade_scale_id FROM class_subject_grade_scales WHERE class_id = ?",
+    [classId]
+  );
+}
+
+async function listClassSubjectsWithScale(schoolYearId) {
+  return allAsync(
+    `SELECT DISTINCT cst.class_id, cst.subject_id, c.name AS class_name, COALESCE(s.name, c.subject) AS subject_name, csg.grade_scale_id
+     FROM class_subject_teacher cst
+     JOIN classes c ON c.id = cst.class_id
+     LEFT JOIN subjects s ON s.id = cst.subject_id
+     LEFT JOIN class_subject_grade_scales csg ON csg.class_id = cst.class_id AND csg.subject_id = cst.subject_id
+     WHERE c.school_year_id = ?
+     ORDER BY class_name ASC, subject_name ASC`,
+    [schoolYearId]
+  );
+}
+
+async function setClassSubjectScale(classId, subjectId, scaleId) {
+  await runAsync("DELETE FROM class_subject_grade_scales WHERE class_id = ? AND subject_id = ?", [
+    classId,
+    subjectId
+  ]);
+  if (scaleId == null) return;
+  await runAsync(
+    "INSERT INTO class_subject_grade_scales (class_id, subject_id, grade_scale_id) VALUES (?, ?, ?)",
+    [classId, subjectId, scaleId]
+  );
+}
+
+module.exports = {
+  countScaleAssignments,
+  deleteScale,
+  findScaleById,
+  findScaleByName,
+  findScaleIdForClassSubject,
+  insertScale,
+  listAllScaleSteps,
+  listClassSubjectsWithScale,
+  listScaleIdsForClass,
+  listScales,
+  listStepsForScale,
+  replaceScaleSteps,
+  setClassSubjectScale,
+  updateScale
+};
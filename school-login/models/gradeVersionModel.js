@@ -0,0 +1,90 @@
+const { allAsync, getAsync, runAsync } = require("../utils/dbAsync");
+
+const GRADE_VERSION_SELECT = `SELECT gv.id, gv.entry_type, gv.entry_id, gv.student_id, gv.class_id, gv.subject_id, gv.entry_label, gv.action,
+            gv.old_grade, gv.new_grade, gv.old_points, gv.new_points, gv.old_points_max, gv.new_points_max,
+            gv.old_is_absent, gv.new_is_absent, gv.old_symbol, gv.new_symbol, gv.reason, gv.reverted_version_id,
+            gv.changed_by, gv.changed_at, u.email AS changed_by_email
+     FROM grade_versions gv
+     LEFT JOIN users u ON u.id = gv.changed_by`;
+
+async function insertVersion({
+  entryType,
+  entryId,
+  studentId,
+  classId,
+  subjectId,
+  entryLabel,
+  action,
+  before,
+  after,
+  reason,
+  revertedVersionId,
+  changedBy
+}) {
+  const result = await runAsync(
+    `INSERT INTO grade_versions (entry_type, entry_id, student_id, class_id, subject_id, entry_label, action, old_grade, new_grade, old_points, new_points, old_points_max, new_points_max, old_is_absent, new_is_absent, old_symbol, new_symbol, reason, reverted_version_id, changed_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      entryType,
+      entryId,
+      studentId,
+      classId,
+      subjectId,
+      entryLabel,
+      action,
+      before?.grade ?? null,
+      after?.grade ?? null,
+      before?.points ?? null,
+      after?.points ?? null,
+      before?.points_max ?? null,
+      after?.points_max ?? null,
+      before ? Boolean(before.is_absent) : null,
+      after ? Boolean(after.is_absent) : null,
+      before?.symbol ?? null,
+      after?.symbol ?? null,
+      reason || null,
+      revertedVersionId || null,
+      changedBy || null
+    ]
+  );
+  return result.lastID;
+}
+
+async function listVersionsForStudent(studentId, classId, subjectId) {
+  return allAsync(
+    `${GRADE_VERSION_SELECT}
+     WHERE gv.student_id = ? AND gv.class_id = ? AND gv.subject_id = ?
+     ORDER BY gv.changed_at DESC, gv.id DESC`,
+    [studentId, classId, subjectId]
+  );
+}
+
+async function findVersionForClassSubject(versionId, classId, subjectId) {
+  return getAsync(`${GRADE_VERSION_SELECT}\n     WHERE gv.id = ? AND gv.class_id = ? AND gv.subject_id = ?`, [
+    versionId,
+    classId,
+    subjectId
+  ]);
+}
+
+async function findGradeState(gradeId, classId) {
+  return getAsync(
+    "SELECT id, student_id, grade, points_achieved, points_max, is_absent FROM grades WHERE id = ? AND class_id = ?",
+    [gradeId, classId]
+  );
+}
+
+async function restoreGradeState(gradeId, classId, state) {
+  return runAsync(
+    "UPDATE grades SET grade = ?, points_achieved = ?, points_max = ?, is_absent = ? WHERE id = ? AND class_id = ?",
+    [state.grade, state.points, state.points_max, state.is_absent ? 1 : 0, gradeId, classId]
+  );
+}
+
+module.exports = {
+  findGradeState,
+  findVersionForClassSubject,
+  insertVersion,
+  listVersionsForStudent,
+  restoreGradeState
+};
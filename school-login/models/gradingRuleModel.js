@@ -0,0 +1,31 @@
+const { allAsync, runAsync } = require("../utils/dbAsync");
+
+async function listRulesForProfile(profileId) {
+  return allAsync(
+    "SELECT id, rule_type, category, amount, threshold, cap_grade, sort_order FROM teacher_grading_profile_rules WHERE profile_id = ? ORDER BY sort_order ASC, id ASC",
+    [profileId]
+  );
+}
+
+async function replaceProfileRules(profileId, rules) {
+  await runAsync("DELETE FROM teacher_grading_profile_rules WHERE profile_id = ?", [profileId]);
+  for (const [index, rule] of rules.entries()) {
+    await runAsync(
+      "INSERT INTO teacher_grading_profile_rules (profile_id, rule_type, category, amount, threshold, cap_grade, sort_order) VALUES (?, ?, ?, ?, ?, ?, ?)",
+      [
+        profileId,
+        rule.rule_type,
+        rule.category,
+        rule.amount ?? null,
+        rule.threshold ?? null,
+        rule.cap_grade ?? null,
+        index
+      ]
+    );
+  }
+}
+
+module.exports = {
+  listRulesForProfile,
+  replaceProfileRules
+};
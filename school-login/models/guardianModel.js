@@ -0,0 +1,74 @@
+const { allAsync, getAsync, runAsync } = require("../utils/dbAsync");
+
+async function listLinkedStudents(guardianUserId) {
+  return allAsync(
+    `SELECT gs.student_id, s.name, s.email, s.school_year, c.name AS class_name
+     FROM guardian_students gs
+     JOIN students s ON s.id = gs.student_id
+     JOIN classes c ON c.id = s.class_id
+     WHERE gs.guardian_user_id = ?
+     ORDER BY s.name ASC`,
+    [guardianUserId]
+  );
+}
+
+async function findLinkedStudent(guardianUserId, studentId) {
+  return getAsync(
+    `SELECT gs.student_id, s.name, s.email, s.school_year, c.name AS class_name
+     FROM guardian_students gs
+     JOIN students s ON s.id = gs.student_id
+     JOIN classes c ON c.id = s.class_id
+     WHERE gs.guardian_user_id = ? AND gs.student_id = ?`,
+    [guardianUserId, studentId]
+  );
+}
+
+async function findLatestStudentByEmail(email) {
+  return getAsync(
+    "SELECT id, name, email FROM students WHERE LOWER(email) = LOWER(?) ORDER BY id DESC LIMIT 1",
+    [email]
+  );
+}
+
+async function findUserById(userId) {
+  return getAsync("SELECT id, email, role, status FROM users WHERE id = ?", [userId]);
+}
+
+async function findUserByEmail(email) {
+  return getAsync("SELECT id, email, role, status FROM users WHERE LOWER(email) = LOWER(?)", [email]);
+}
+
+async function insertGuardian(email, passwordHash) {
+  const result = await runAsync(
+    "INSERT INTO users (email, password_hash, role, status, must_change_password) VALUES (?,?,?,?,?)",
+    [email, passwordHash, "guardian", "active", 0]
+  );
+  return result.lastID;
+}
+
+async function linkStudent(guardianUserId, studentId) {
+  return runAsync(
+    `INSERT INTO guardian_students (guardian_user_id, student_id)
+     VALUES (?, ?)
+     ON CONFLICT (guardian_user_id, student_id) DO NOTHING`,
+    [guardianUserId, studentId]
+  );
+}
+
+async function unlinkStudent(guardianUserId, studentId) {
+  return runAsync("DELETE FROM guardian_students WHERE guardian_user_id = ? AND student_id = ?", [
+    guardianUserId,
+    studentId
+  ]);
+}
+
+module.exports = {
+  findLatestStudentByEmail,
+  findLinkedStudent,
+  findUserByEmail,
+  findUserById,
+  insertGuardian,
+  linkStudent,
+  listLinkedStudents,
+  unlinkStudent
+};
@@ -0,0 +1,9 @@
+const { getAsync } = require("../utils/dbAsync");
+
+async function findTargetUser(userId) {
+  return getAsync("SELECT id, email, role, role_key, status, must_change_password FROM users WHERE id = ?", [userId]);
+}
+
+module.exports = {
+  findTargetUser
+};
@@ -0,0 +1,82 @@
+const { getAsync, runAsync } = require("../utils/dbAsync");
+
+async function findAttempt(attemptKey) {
+  return getAsync(
+    "SELECT attempt_key, failure_count, window_started_at, locked_until FROM login_attempts WHERE attempt_key = ?",
+    [attemptKey]
+  );
+}
+
+async function incrementAttempt(attemptKey, email, nowIso, windowStartIso) {
+  return getAsync(
+    `INSERT INTO login_attempts (attempt_key, email, failure_count, window_started_at, locked_until)
+     VALUES (?, ?, 1, ?, NULL)
+     ON CONFLICT (attempt_key) DO UPDATE SET
+       failure_count = CASE WHEN login_attempts.window_started_at < ? THEN 1 ELSE login_attempts.failure_count + 1 END,
+       window_started_at = CASE WHEN login_attempts.window_started_at < ? THEN EXCLUDED.window_started_at ELSE login_attempts.window_started_at END,
+       locked_until = CASE WHEN login_attempts.window_started_at < ? THEN NULL ELSE login_attempts.locked_until END
+     RETURNING failure_count`,
+    [attemptKey, email, nowIso, windowStartIso, windowStartIso, windowStartIso]
+  );
+}
+
+async function lockAttempt(attemptKey, lockedUntilIso) {
+  return runAsync("UPDATE login_attempts SET locked_until = ? WHERE attempt_key = ?", [lockedUntilIso, attemptKey]);
+}
+
+async function deleteAttempt(attemptKey) {
+  return runAsync("DELETE FROM login_attempts WHERE attempt_key = ?", [attemptKey]);
+}
+
+async function deleteAttemptsForEmail(email) {
+  return runAsync("DELETE FROM login_attempts WHERE email = ?", [email]);
+}
+
+async function deleteStaleAttempts(windowStartIso, nowIso) {
+  return runAsync(
+    "DELETE FROM login_attempts WHERE window_started_at < ? AND (locked_until IS NULL OR locked_until < ?)",
+    [windowStartIso, nowIso]
+  );
+}
+
+async function getUserLockState(userId) {
+  return getAsync(
+    "SELECT id, email, role, failed_login_count, last_failed_login_at, locked_until FROM users WHERE id = ?",
+    [userId]
+  );
+}
+
+async function incrementUserFailures(userId, windowStartIso) {
+  return getAsync(
+    `UPDATE users
+     SET failed_login_count = CASE
+           WHEN last_failed_login_at IS NULL OR last_failed_login_at < ? THEN 1
+           ELSE failed_login_count + 1
+         END,
+         last_failed_login_at = current_timestamp
+     WHERE id = ?
+     RETURNING failed_login_count`,
+    [windowStartIso, userId]
+  );
+}
+
+async function lockUser(userId, lockedUntilIso) {
+  return runAsync("UPDATE users SET locked_until = ?, failed_login_count = 0 WHERE id = ?", [lockedUntilIso, userId]);
+}
+
+async function clearUserLock(userId) {
+  return runAsync("UPDATE users SET locked_until = NULL, failed_login_count = 0 WHERE id = ?", [userId]);
+}
+
+module.exports = {
+  clearUserLock,
+  deleteAttempt,
+  deleteAttemptsForEmail,
+  deleteStaleAttempts,
+  findAttempt,
+  getUserLockState,
+  incrementAttempt,
+  incrementUserFailures,
+  lockAttempt,
+  lockUser
+};
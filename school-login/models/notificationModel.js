@@ -0,0 +1,75 @@
+const { allAsync, getAsync, runAsync } = require("../utils/dbAsync");
+
+async function insertStudentNotification(studentId, message, type) {
+  return runAsync("INSERT INTO grade_notifications (student_id, message, type) VALUES (?,?,?)", [
+    studentId,
+    message,
+    type
+  ]);
+}
+
+async function listPreferences(userId) {
+  return allAsync(
+    "SELECT preference_key, enabled FROM user_notification_preferences WHERE user_id = ?",
+    [userId]
+  );
+}
+
+async function isPreferenceEnabled(userId, preferenceKey) {
+  const row = await getAsync(
+    "SELECT enabled FROM user_notification_preferences WHERE user_id = ? AND preference_key = ?",
+    [userId, preferenceKey]
+  );
+  return Boolean(row?.enabled);
+}
+
+async function upsertPreference(userId, preferenceKey, enabled) {
+  return runAsync(
+    `INSERT INTO user_notification_preferences (user_id, preference_key, enabled, updated_at)
+     VALUES (?, ?, ?, current_timestamp)
+     ON CONFLICT (user_id, preference_key) DO UPDATE SET enabled = EXCLUDED.enabled, updated_at = EXCLUDED.updated_at
+     RETURNING user_id`,
+    [userId, preferenceKey, enabled]
+  );
+}
+
+async function findStudentUser(studentId) {
+  return getAsync(
+    `SELECT u.id, u.email
+     FROM students s
+     JOIN users u ON LOWER(u.email) = LOWER(s.email)
+     WHERE s.id = ? AND u.status = 'active'`,
+    [studentId]
+  );
+}
+
+async function listGuardianUsers(studentId) {
+  return allAsync(
+    `SELECT u.id, u.email
+     FROM guardian_students gs
+     JOIN users u ON u.id = gs.guardian_user_id
+     WHERE gs.student_id = ? AND u.status = 'active'`,
+    [studentId]
+  );
+}
+
+async function findTeacherForGrade(gradeId) {
+  return getAsync(
+    `SELECT u.id, u.email, c.name AS class_name, c.subject
+     FROM grades g
+     JOIN classes c ON c.id = g.class_id
+     JOIN users u ON u.id = c.teacher_id
+     WHERE g.id = ? AND u.status = 'active'`,
+    [gradeId]
+  );
+}
+
+module.exports = {
+  findStudentUser,
+  findTeacherForGrade,
+  insertStudentNotification,
+  isPreferenceEnabled,
+  listGuardianUsers,
+  listPreferences,
+  upsertPreference
+};
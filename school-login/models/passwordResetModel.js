@@ -0,0 +1,56 @@
+const { getAsync, runAsync } = require("../utils/dbAsync");
+
+async function findUserByEmail(email) {
+  return getAsync(
+    "SELECT id, email, role, status FROM users WHERE LOWER(email) = LOWER(?)",
+    [email]
+  );
+}
+
+async function invalidateOpenTokens(userId) {
+  return runAsync(
+    "UPDATE password_reset_tokens SET used_at = current_timestamp WHERE user_id = ? AND used_at IS NULL",
+    [userId]
+  );
+}
+
+async function insertToken(userId, tokenHash, expiresAt, requestedIp) {
+  return runAsync(
+    "INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip) VALUES (?,?,?,?)",
+    [userId, tokenHash, expiresAt, requestedIp]
+  );
+}
+
+async function findTokenByHash(tokenHash) {
+  return getAsync(
+    `SELECT t.id, t.user_id, t.expires_at, t.used_at, u.email, u.status
+     FROM password_reset_tokens t
+     JOIN users u ON u.id = t.user_id
+     WHERE t.token_hash = ?`,
+    [tokenHash]
+  );
+}
+
+async function consumeToken(tokenId) {
+  const row = await getAsync(
+    "UPDATE password_reset_tokens SET used_at = current_timestamp WHERE id = ? AND used_at IS NULL RETURNING id",
+    [tokenId]
+  );
+  return Boolean(row?.id);
+}
+
+async function updatePassword(userId, passwordHash) {
+  return runAsync(
+    "UPDATE users SET password_hash = ?, must_change_password = ? WHERE id = ?",
+    [passwordHash, 0, userId]
+  );
+}
+
+module.exports = {
+  consumeToken,
+  findTokenByHash,
+  findUserByEmail,
+  insertToken,
+  invalidateOpenTokens,
+  updatePassword
+};
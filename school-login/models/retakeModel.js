@@ -0,0 +1,28 @@
+const { getAsync, runAsync } = require("../utils/dbAsync");
+
+async function findTemplateRetakeOf(templateId) {
+  const row = await getAsync("SELECT retake_of_template_id FROM grade_templates WHERE id = ?", [templateId]);
+  return row?.retake_of_template_id ?? null;
+}
+
+async function setTemplateRetakeOf(templateId, classId, originalTemplateId) {
+  return runAsync("UPDATE grade_templates SET retake_of_template_id = ? WHERE id = ? AND class_id = ?", [
+    originalTemplateId,
+    templateId,
+    classId
+  ]);
+}
+
+async function setProfileRetakePolicy(profileId, teacherId, policy) {
+  return runAsync("UPDATE teacher_grading_profiles SET retake_policy = ? WHERE id = ? AND teacher_id = ?", [
+    policy,
+    profileId,
+    teacherId
+  ]);
+}
+
+module.exports = {
+  findTemplateRetakeOf,
+  setProfileRetakePolicy,
+  setTemplateRetakeOf
+};
@@ -0,0 +1,65 @@
+const { allAsync, getAsync, runAsync } = require("../utils/dbAsync");
+
+async function listRoles() {
+  return allAsync(
+    "SELECT key, label, description, base_role, is_system FROM roles ORDER BY is_system DESC, label ASC"
+  );
+}
+
+async function findRole(roleKey) {
+  return getAsync("SELECT key, label, description, base_role, is_system FROM roles WHERE key = ?", [roleKey]);
+}
+
+async function listAllRolePermissions() {
+  return allAsync("SELECT role_key, permission FROM role_permissions");
+}
+
+async function listPermissionsForRole(roleKey) {
+  return allAsync("SELECT permission FROM role_permissions WHERE role_key = ?", [roleKey]);
+}
+
+async function countUsersByRole() {
+  return allAsync(
+    `SELECT COALESCE(role_key, role) AS role_key, COUNT(*) AS count
+     FROM users
+     WHERE status <> 'deleted'
+     GROUP BY COALESCE(role_key, role)`
+  );
+}
+
+async function insertRole({ key, label, description, baseRole }) {
+  return getAsync(
+    "INSERT INTO roles (key, label, description, base_role, is_system) VALUES (?,?,?,?,?) RETURNING key",
+    [key, label, description || null, baseRole, false]
+  );
+}
+
+async function updateRole(roleKey, label, description) {
+  return runAsync("UPDATE roles SET label = ?, description = ? WHERE key = ?", [label, description || null, roleKey]);
+}
+
+async function deleteRole(roleKey) {
+  return runAsync("DELETE FROM roles WHERE key = ?", [roleKey]);
+}
+
+async function replacePermissions(roleKey, permissions) {
+  await runAsync("DELETE FROM role_permissions WHERE role_key = ?", [roleKey]);
+  for (const permission of permissions) {
+    await getAsync(
+      "INSERT INTO role_permissions (role_key, permission) VALUES (?, ?) RETURNING role_key",
+      [roleKey, permission]
+    );
+  }
+}
+
+module.exports = {
+  countUsersByRole,
+  deleteRole,
+  findRole,
+  insertRole,
+  listAllRolePermissions,
+  listPermissionsForRole,
+  listRoles,
+  replacePermissions,
+  updateRole
+};
@@ -0,0 +1,155 @@
+const { allAsync, getAsync, runAsync } = require("../utils/dbAsync");
+
+async function listRubricsForTeacher(teacherId) {
+  return allAsync(
+    "SELECT id, teacher_id, name, description, created_at FROM rubrics WHERE teacher_id = ? ORDER BY name ASC",
+    [teacherId]
+  );
+}
+
+async function findRubricById(rubricId) {
+  return getAsync("SELECT id, teacher_id, name, description, created_at FROM rubrics WHERE id = ?", [rubricId]);
+}
+
+async function findRubricByName(teacherId, name) {
+  return getAsync("SELECT id, name FROM rubrics WHERE teacher_id = ? AND LOWER(name) = LOWER(?)", [
+    teacherId,
+    name
+  ]);
+}
+
+async function listCriteriaForRubric(rubricId) {
+  return allAsync(
+    "SELECT id, rubric_id, name, sort_order FROM rubric_criteria WHERE rubric_id = ? ORDER BY sort_order ASC, id ASC",
+    [rubricId]
+  );
+}
+
+async function listLevelsForRubric(rubricId) {
+  return allAsync(
+    `SELECT rl.id, rl.criterion_id, rl.label, rl.points, rl.descriptor, rl.sort_order
+     FROM rubric_levels rl
+     JOIN rubric_criteria rc ON rc.id = rl.criterion_id
+     WHERE rc.rubric_id = ?
+     ORDER BY rl.criterion_id ASC, rl.sort_order ASC, rl.id ASC`,
+    [rubricId]
+  );
+}
+
+async function insertRubric(teacherId, name, description) {
+  const result = await runAsync("INSERT INTO rubrics (teacher_id, name, description) VALUES (?, ?, ?)", [
+    teacherId,
+    name,
+    description
+  ]);
+  return result.lastID;
+}
+
+async function updateRubric(rubricId, name, description) {
+  return runAsync("UPDATE rubrics SET name = ?, description = ? WHERE id = ?", [name, description, rubricId]);
+}
+
+async function replaceRubricCriteria(rubricId, criteria) {
+  await runAsync("DELETE FROM rubric_criteria WHERE rubric_id = ?", [rubricId]);
+  for (const [index, criterion] of criteria.entries()) {
+    const result = await runAsync(
+      "INSERT INTO rubric_criteria (rubric_id, name, sort_order) VALUES (?, ?, ?)",
+      [rubricId, criterion.name, index]
+    );
+    for (const [levelIndex, level] of criterion.levels.entries()) {
+      await runAsync(
+        "INSERT INTO rubric_levels (criterion_id, label, points, descriptor, sort_order) VALUES (?, ?, ?, ?, ?)",
+        [result.lastID, level.label, level.points, level.descriptor, levelIndex]
+      );
+    }
+  }
+}
+
+async function deleteRubric(rubricId) {
+  return runAsync("DELETE FROM rubrics WHERE id = ?", [rubricId]);
+}
+
+async function countScoresForRubric(rubricId) {
+  const row = await getAsync(
+    `SELECT COUNT(*) AS count
+     FROM grade_rubric_scores grs
+     JOIN rubric_criteria rc ON rc.id = grs.criterion_id
+     WHERE rc.rubric_id = ?`,
+    [rubricId]
+  );
+  return Number(row?.count || 0);
+}
+
+async function countScoresForGrade(gradeId) {
+  const row = await getAsync("SELECT COUNT(*) AS count FROM grade_rubric_scores WHERE grade_id = ?", [gradeId]);
+  return Number(row?.count || 0);
+}
+
+async function findTemplateRubricId(templateId) {
+  const row = await getAsync("SELECT rubric_id FROM grade_templates WHERE id = ?", [templateId]);
+  return row?.rubric_id ?? null;
+}
+
+async function setTemplateRubric(templateId, classId, rubricId, maxPoints) {
+  return runAsync("UPDATE grade_templates SET rubric_id = ?, max_points = ? WHERE id = ? AND class_id = ?", [
+    rubricId,
+    maxPoints,
+    templateId,
+    classId
+  ]);
+}
+
+async function syncTemplateMaxPoints(rubricId, maxPoints) {
+  return runAsync("UPDATE grade_templates SET max_points = ? WHERE rubric_id = ?", [maxPoints, rubricId]);
+}
+
+async function replaceGradeScores(gradeId, scores) {
+  await runAsync("DELETE FROM grade_rubric_scores WHERE grade_id = ?", [gradeId]);
+  for (const score of scores) {
+    await runAsync(
+      "INSERT INTO grade_rubric_scores (grade_id, criterion_id, level_id, points) VALUES (?, ?, ?, ?)",
+      [gradeId, score.criterion_id, score.level_id, score.points]
+    );
+  }
+}
+
+async function listScoresForTemplate(templateId) {
+  return allAsync(
+    `SELECT grs.grade_id, grs.criterion_id, grs.level_id, grs.points
+     FROM grade_rubric_scores grs
+     JOIN grades g ON g.id = grs.grade_id
+     WHERE g.grade_template_id = ?`,
+    [templateId]
+  );
+}
+
+async function listScoresForStudent(studentId) {
+  return allAsync(
+    `SELECT grs.grade_id, grs.criterion_id, grs.level_id, grs.points, rc.rubric_id
+     FROM grade_rubric_scores grs
+     JOIN grades g ON g.id = grs.grade_id
+     JOIN rubric_criteria rc ON rc.id = grs.criterion_id
+     WHERE g.student_id = ?`,
+    [studentId]
+  );
+}
+
+module.exports = {
+  countScoresForGrade,
+  countScoresForRubric,
+  deleteRubric,
+  findRubricById,
+  findRubricByName,
+  findTemplateRubricId,
+  insertRubric,
+  listCriteriaForRubric,
+  listLevelsForRubric,
+  listRubricsForTeacher,
+  listScoresForStudent,
+  listScoresForTemplate,
+  replaceGradeScores,
+  replaceRubricCriteria,
+  setTemplateRubric,
+  syncTemplateMaxPoints,
+  updateRubric
+};
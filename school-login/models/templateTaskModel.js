@@ -0,0 +1,76 @@
+const { allAsync, getAsync, runAsync } = require("../utils/dbAsync");
+
+async function listTasksForTemplate(templateId) {
+  return allAsync(
+    "SELECT id, template_id, label, max_points, sort_order FROM grade_template_tasks WHERE template_id = ? ORDER BY sort_order ASC, id ASC",
+    [templateId]
+  );
+}
+
+async function listTasksForTemplates(templateIds) {
+  if (!templateIds.length) return [];
+  return allAsync(
+    `SELECT id, template_id, label, max_points, sort_order FROM grade_template_tasks WHERE template_id IN (${templateIds
+      .map(() => "?")
+      .join(",")}) ORDER BY template_id ASC, sort_order ASC, id ASC`,
+    templateIds
+  );
+}
+
+async function replaceTemplateTasks(templateId, tasks) {
+  await runAsync("DELETE FROM grade_template_tasks WHERE template_id = ?", [templateId]);
+  for (const [index, task] of tasks.entries()) {
+    await runAsync(
+      "INSERT INTO grade_template_tasks (template_id, label, max_points, sort_order) VALUES (?, ?, ?, ?)",
+      [templateId, task.label, task.max_points, index]
+    );
+  }
+}
+
+async function countPointsForTemplate(templateId) {
+  const row = await getAsync(
+    `SELECT COUNT(*) AS count
+     FROM grade_task_points gtp
+     JOIN grade_template_tasks gtt ON gtt.id = gtp.task_id
+     WHERE gtt.template_id = ?`,
+    [templateId]
+  );
+  return Number(row?.count || 0);
+}
+
+async function countPointsForGrade(gradeId) {
+  const row = await getAsync("SELECT COUNT(*) AS count FROM grade_task_points WHERE grade_id = ?", [gradeId]);
+  return Number(row?.count || 0);
+}
+
+async function replaceGradeTaskPoints(gradeId, points) {
+  await runAsync("DELETE FROM grade_task_points WHERE grade_id = ?", [gradeId]);
+  for (const entry of points) {
+    await runAsync("INSERT INTO grade_task_points (grade_id, task_id, points) VALUES (?, ?, ?)", [
+      gradeId,
+      entry.task_id,
+      entry.points
+    ]);
+  }
+}
+
+async function listPointsForTemplate(templateId) {
+  return allAsync(
+    `SELECT gtp.grade_id, gtp.task_id, gtp.points, g.student_id
+     FROM grade_task_points gtp
+     JOIN grade_template_tasks gtt ON gtt.id = gtp.task_id
+     JOIN grades g ON g.id = gtp.grade_id
+     WHERE gtt.template_id = ?`,
+    [templateId]
+  );
+}
+
+module.exports = {
+  countPointsForGrade,
+  countPointsForTemplate,
+  listPointsForTemplate,
+  listTasksForTemplate,
+  listTasksForTemplates,
+  replaceGradeTaskPoints,
+  replaceTemplateTasks
+};
@@ -0,0 +1,49 @@
+const { allAsync, getAsync, runAsync } = require("../utils/dbAsync");
+
+async function listTermsBySchoolYear(schoolYearId) {
+  return allAsync(
+    `SELECT id, school_year_id, name, start_date, end_date
+     FROM school_terms
+     WHERE school_year_id = ?
+     ORDER BY start_date ASC, id ASC`,
+    [schoolYearId]
+  );
+}
+
+async function findTermById(termId) {
+  return getAsync(
+    `SELECT id, school_year_id, name, start_date, end_date
+     FROM school_terms
+     WHERE id = ?`,
+    [termId]
+  );
+}
+
+async function insertTerm(schoolYearId, name, startDate, endDate) {
+  const result = await runAsync(
+    "INSERT INTO school_terms (school_year_id, name, start_date, end_date) VALUES (?, ?, ?, ?)",
+    [schoolYearId, name, startDate, endDate]
+  );
+  return result.lastID;
+}
+
+async function updateTerm(termId, name, startDate, endDate) {
+  return runAsync("UPDATE school_terms SET name = ?, start_date = ?, end_date = ? WHERE id = ?", [
+    name,
+    startDate,
+    endDate,
+    termId
+  ]);
+}
+
+async function deleteTerm(termId) {
+  return runAsync("DELETE FROM school_terms WHERE id = ?", [termId]);
+}
+
+module.exports = {
+  deleteTerm,
+  findTermById,
+  insertTerm,
+  listTermsBySchoolYear,
+  updateTerm
+};
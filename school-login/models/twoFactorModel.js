@@ -0,0 +1,86 @@
+const { allAsync, getAsync, runAsync } = require("../utils/dbAsync");
+
+async function getTwoFactorState(userId) {
+  return getAsync(
+    `SELECT id, email, role, totp_enabled, totp_secret, totp_last_step, totp_enrolled_at
+     FROM users
+     WHERE id = ?`,
+    [userId]
+  );
+}
+
+async function enableTotp(userId, secret, lastStep) {
+  return runAsync(
+    `UPDATE users
+     SET totp_secret = ?, totp_enabled = ?, totp_last_step = ?, totp_enrolled_at = current_timestamp
+     WHERE id = ?`,
+    [secret, true, lastStep, userId]
+  );
+}
+
+async function disableTotp(userId) {
+  return runAsync(
+    `UPDATE users
+     SET totp_secret = NULL, totp_enabled = ?, totp_last_step = NULL, totp_enrolled_at = NULL
+     WHERE id = ?`,
+    [false, userId]
+  );
+}
+
+// Nur ein Aufruf kann denselben Zeitschritt beanspruchen; parallele Anfragen scheitern an der Bedingung.
+async function claimTotpStep(userId, step) {
+  const row = await getAsync(
+    "UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?) RETURNING id",
+    [step, userId, step]
+  );
+  return Boolean(row?.id);
+}
+
+async function deleteRecoveryCodes(userId) {
+  return runAsync("DELETE FROM user_recovery_codes WHERE user_id = ?", [userId]);
+}
+
+async function insertRecoveryCode(userId, codeHash) {
+  return runAsync(
+    "INSERT INTO user_recovery_codes (user_id, code_hash) VALUES (?,?)",
+    [userId, codeHash]
+  );
+}
+
+async function listUnusedRecoveryCodes(userId) {
+  return allAsync(
+    `SELECT id, code_hash
+     FROM user_recovery_codes
+     WHERE user_id = ? AND used_at IS NULL`,
+    [userId]
+  );
+}
+
+async function countUnusedRecoveryCodes(userId) {
+  const row = await getAsync(
+    `SELECT COUNT(*) AS count
+     FROM user_recovery_codes
+     WHERE user_id = ? AND used_at IS NULL`,
+    [userId]
+  );
+  return Number(row?.count || 0);
+}
+
+async function markRecoveryCodeUsed(codeId) {
+  return runAsync(
+    "UPDATE user_recovery_codes SET used_at = current_timestamp WHERE id = ? AND used_at IS NULL",
+    [codeId]
+  );
+}
+
+module.exports = {
+  claimTotpStep,
+  countUnusedRecoveryCodes,
+  deleteRecoveryCodes,
+  disableTotp,
+  enableTotp,
+  getTwoFactorState,
+  insertRecoveryCode,
+  listUnusedRecoveryCodes,
+  markRecoveryCodeUsed
+};
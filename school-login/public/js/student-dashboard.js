@@ -12,6 +12,8 @@
 
   const csrfToken = initialData.csrfToken;
   const currentUserEmail = initialData.currentUserEmail || "";
+  const basePath = initialData.basePath || "/student";
+  const readOnly = Boolean(initialData.readOnly);
 
   function escapeHtml(value) {
     return String(value ?? "")
@@ -31,7 +33,8 @@
       teacher: grade.teacher || null,
       comment: grade.comment || "",
       value: grade.value == null ? null : Number(grade.value),
-      weight: Number(grade.weight || 1),
+      value_label: grade.value_label || "",
+      weight: grade.weight == null ? 1 : Number(grade.weight),
       weight_label: grade.weight_label || "",
       is_absent: Boolean(grade.is_absent),
       excluded_from_average: Boolean(grade.excluded_from_average)
@@ -48,7 +51,8 @@
       note: task.note || "",
       weight: Number(task.weight || 0),
       grade: task.grade == null ? null : Number(task.grade),
-      graded: Boolean(task.graded)
+      graded: Boolean(task.graded),
+      makeup: Boolean(task.makeup)
     };
   }
 
@@ -84,6 +88,9 @@
   const state = {
     allGrades: (initialData.grades || []).map(normalizeGrade),
     grades: (initialData.grades || []).map(normalizeGrade),
+    participationRows: initialData.participationRows || [],
+    rulesBySubject: initialData.rulesBySubject || {},
+    terms: initialData.terms || [],
     averages: initialData.averages || { subjects: [], overall: null },
     classAverages: initialData.classAverages || [],
     notifications: initialData.notifications || [],
@@ -228,40 +235,35 @@
     if (due && !Number.isNaN(due.getTime()) && due < new Date()) {
       return { label: "Überfällig", className: "overdue" };
     }
+    if (task.makeup) {
+      return { label: "Nachtermin", className: "open" };
+    }
     return { label: "Offen", className: "open" };
   }
 
-  function computeAveragesClient(grades) {
-    const subjectMap = new Map();
-    let weightedSum = 0;
-    let weightTotal = 0;
-
-    grades.forEach((grade) => {
-      if (grade?.excluded_from_average) return;
-      if (grade?.is_absent) return;
-      const value = Number(grade?.value);
-      const weight = Number(grade?.weight || 1);
-      if (!Number.isFinite(value) || !Number.isFinite(weight) || weight < 0) return;
-
-      weightedSum += value * weight;
-      weightTotal += weight;
-
-      const bucket = subjectMap.get(grade.subject) || { weightedSum: 0, weightTotal: 0 };
-      bucket.weightedSum += value * weight;
-      bucket.weightTotal += weight;
-      subjectMap.set(grade.subject, bucket);
-    });
+  function getSelectedTerm() {
+    const termId = getGradeFilterValues().term;
+    if (!termId) return null;
+    return state.terms.find((term) => String(term.id) === String(termId)) || null;
+  }
 
-    const subjects = Array.from(subjectMap.entries())
-      .map(([subject, info]) => ({
-        subject,
-        average: info.weightTotal ? Number((info.weightedSum / info.weightTotal).toFixed(2)) : null
-      }))
-      .sort((a, b) => String(a.subject || "").localeCompare(String(b.subject || "")));
+  function computeAveragesClient(grades, options = {}) {
+    // Mitarbeit zählt wie in der Lehreransicht, sobald das Fach in der Auswahl vorkommt.
+    const visibleSubjects = new Set(grades.map((grade) => grade.subject));
+    const participationRows = window.GradingEngine.filterRowsByTerm(
+      state.participationRows,
+      getSelectedTerm(),
+      options
+    ).filter((row) => visibleSubjects.has(row.subject));
+    const averages = window.GradingEngine.computeSubjectAverages([...grades, ...participationRows], {
+      rulesBySubject: state.rulesBySubject
+    });
 
     return {
-      subjects,
-      overall: weightTotal ? Number((weightedSum / weightTotal).toFixed(2)) : null
+      subjects: averages.subjects.sort((a, b) =>
+        String(a.subject || "").localeCompare(String(b.subject || ""))
+      ),
+      overall: averages.overall
     };
   }
 
@@ -269,6 +271,7 @@
     return {
       query: document.getElementById("filter-query")?.value.trim() || "",
       subject: document.getElementById("filter-subject")?.value || "",
+      term: document.getElementById("filter-term")?.value || "",
       startDate: document.getElementById("filter-start")?.value || "",
       endDate: document.getElementById("filter-end")?.value || "",
       sort: document.getElementById("filter-sort")?.value || "date"
@@ -292,7 +295,7 @@
 
   function getBaseFilteredGrades() {
     const { query, startDate, endDate } = getGradeFilterValues();
-    let items = [...state.allGrades];
+    let items = window.GradingEngine.filterRowsByTerm(state.allGrades, getSelectedTerm());
 
     if (query) {
       items = items.filter((grade) =>
@@ -348,22 +351,11 @@
       const bucket = subjectMap.get(key) || {
         subject: key,
         count: 0,
-        weightedSum: 0,
-        weightTotal: 0,
         latestAt: null,
         latestTitle: "",
         latestValue: null
       };
       bucket.count += 1;
-      if (
-        !grade.excluded_from_average &&
-        !grade.is_absent &&
-        Number.isFinite(grade.value) &&
-        Number.isFinite(grade.weight)
-      ) {
-        bucket.weightedSum += grade.value * grade.weight;
-        bucket.weightTotal += grade.weight;
-      }
       if (
         !bucket.latestAt ||
         dateSortValue(grade.graded_at, 0) > dateSortValue(bucket.latestAt, 0)
@@ -375,11 +367,11 @@
       subjectMap.set(key, bucket);
     });
 
+    const averages = computeAveragesClient(baseGrades);
     return Array.from(subjectMap.values())
       .map((item) => {
-        const average = item.weightTotal
-          ? Number((item.weightedSum / item.weightTotal).toFixed(2))
-          : null;
+        const average =
+          averages.subjects.find((entry) => String(entry.subject) === item.subject)?.average ?? null;
         return {
           ...item,
           average,
@@ -429,7 +421,10 @@
       .map((item) => {
         const avgText = item.average == null ? "-" : Number(item.average).toFixed(2);
         const latestText = item.latestAt ? formatDate(item.latestAt) : "-";
-        const subjectUrl = `/student/grades?subject=${encodeURIComponent(item.subject)}`;
+        const termId = getGradeFilterValues().term;
+        const subjectUrl = `${basePath}/grades?subject=${encodeURIComponent(item.subject)}${
+          termId ? `&term=${encodeURIComponent(termId)}` : ""
+        }`;
         const subjectText = escapeHtml(item.subject);
         const countLabel = `${item.count} ${item.count === 1 ? "Eintrag" : "Eintraege"}`;
         return `
@@ -473,6 +468,18 @@
         ? Number((averages.overall - classAverage).toFixed(2))
         : null;
     const standing = getSubjectStandingLabel(averages.overall);
+    const ruleExplanations = averages.subjects[0]?.explanations || [];
+    const selectedTerm = getSelectedTerm();
+    const cumulative = selectedTerm
+      ? computeAveragesClient(
+          window.GradingEngine.filterRowsByTerm(
+            state.allGrades.filter((grade) => String(grade.subject || "") === String(selectedSubject)),
+            selectedTerm,
+            { cumulative: true }
+          ),
+          { cumulative: true }
+        ).overall
+      : null;
 
     container.innerHTML = `
       <div class="grade-subject-detail-compact">
@@ -482,10 +489,12 @@
         </div>
         <div class="overview-stats-strip">
           <div class="stat-inline"><span class="stat-inline-label">Fachdurchschnitt</span><strong class="stat-inline-value">${averages.overall == null ? "-" : Number(averages.overall).toFixed(2)}</strong></div>
+          ${selectedTerm ? `<div class="stat-inline"><span class="stat-inline-label">Kumuliert</span><strong class="stat-inline-value">${cumulative == null ? "-" : Number(cumulative).toFixed(2)}</strong></div>` : ""}
           <div class="stat-inline"><span class="stat-inline-label">Einträge</span><strong class="stat-inline-value">${subjectGrades.length}</strong></div>
-          <div class="stat-inline"><span class="stat-inline-label">Letzte Bewertung</span><strong class="stat-inline-value">${latest?.value == null ? "-" : formatGradeValue(latest.value)}</strong></div>
+          <div class="stat-inline"><span class="stat-inline-label">Letzte Bewertung</span><strong class="stat-inline-value">${latest?.value == null ? "-" : formatGradeValue(latest.value, latest.value_label)}</strong></div>
           <div class="stat-inline"><span class="stat-inline-label">Klassenvergleich</span><strong class="stat-inline-value">${classAverage == null ? "-" : Number(classAverage).toFixed(2)}</strong></div>
         </div>
+        ${ruleExplanations.length ? `<ul class="grade-rule-explanations">${ruleExplanations.map((explanation) => `<li>${escapeHtml(explanation)}</li>`).join("")}</ul>` : ""}
       </div>
     `;
   }
@@ -529,7 +538,8 @@
     setText(id, String(Number.isFinite(count) ? count : 0));
   }
 
-  function formatGradeValue(value) {
+  function formatGradeValue(value, label) {
+    if (label) return escapeHtml(label);
     return Number.isFinite(value) ? Number(value).toFixed(2) : "-";
   }
 
@@ -610,7 +620,7 @@
 
     container.innerHTML = state.grades
       .map((grade) => {
-        const gradeText = formatGradeValue(grade.value);
+        const gradeText = formatGradeValue(grade.value, grade.value_label);
         const dateText = formatDate(grade.graded_at);
         const teacherText = grade.teacher || "Lehrkraft unbekannt";
         const weightText = grade.weight_label || formatWeight(grade.weight);
@@ -625,7 +635,8 @@
               ${buildMetaLine([
                 `Lehrkraft: ${teacherText}`,
                 `Datum: ${dateText}`,
-                `Gewichtung: ${weightText}`
+                `Gewichtung: ${weightText}`,
+                grade.retake_of_name ? `Wiederholung von „${grade.retake_of_name}“` : ""
               ])}
               ${noteHtml}
             </div>
@@ -734,7 +745,7 @@
                   ])}
                 </div>
                 <div class="overview-row-side">
-                  <span class="grade-pill ${gradeColor(grade.value)}">Note ${formatGradeValue(grade.value)}</span>
+                  <span class="grade-pill ${gradeColor(grade.value)}">Note ${formatGradeValue(grade.value, grade.value_label)}</span>
                 </div>
               </div>
             `
@@ -821,12 +832,12 @@
         (note) => `
           <article class="notification ${note.read_at ? "" : "unread"}">
             <div class="notification-head">
-              <strong>${note.type === "average" ? "Durchschnitt" : "Neue Note"}</strong>
+              <strong>${note.type === "average" ? "Durchschnitt" : note.type === "warning" ? "Frühwarnung" : "Neue Note"}</strong>
               <small>${formatDate(note.created_at, true)}</small>
             </div>
             <p class="notification-copy">${escapeHtml(note.message)}</p>
             ${
-              note.read_at
+              note.read_at || readOnly
                 ? ""
                 : `<button class="btn small secondary" data-note-id="${note.id}">Als gelesen markieren</button>`
             }
@@ -839,7 +850,7 @@
       button.addEventListener("click", async () => {
         const id = button.getAttribute("data-note-id");
         const headers = csrfToken ? { "X-CSRF-Token": csrfToken } : {};
-        await fetch(`/student/notifications/${id}/read`, { method: "POST", headers });
+        await fetch(`${basePath}/notifications/${id}/read`, { method: "POST", headers });
         state.notifications = state.notifications.map((note) =>
           note.id == id ? { ...note, read_at: new Date().toISOString() } : note
         );
@@ -922,6 +933,7 @@
               `Gewichtung: ${formatWeight(task.weight)}`,
               task.graded_at ? `Benotet: ${formatDate(task.graded_at)}` : ""
             ])}
+            ${task.makeup ? `<div class="nav-note">Nachtermin für eine versäumte Prüfung (${escapeHtml(task.absence_status_label || "")})</div>` : ""}
             ${task.description ? `<div class="nav-note">${escapeHtml(task.description)}</div>` : ""}
             ${task.note ? `<div class="nav-note">Kommentar: ${escapeHtml(task.note)}</div>` : ""}
           </div>
@@ -1028,13 +1040,14 @@
   }
 
   async function markReturnRepliesSeen(gradeId) {
+    if (readOnly) return;
     const headers = csrfToken ? { "X-CSRF-Token": csrfToken } : {};
-    await fetch(`/student/returns/${gradeId}/messages/seen`, { method: "POST", headers });
+    await fetch(`${basePath}/returns/${gradeId}/messages/seen`, { method: "POST", headers });
   }
 
   async function hideRequestThread(gradeId) {
     const headers = csrfToken ? { "X-CSRF-Token": csrfToken } : {};
-    const response = await fetch(`/student/returns/${gradeId}/messages/hide`, {
+    const response = await fetch(`${basePath}/returns/${gradeId}/messages/hide`, {
       method: "POST",
       headers
     });
@@ -1211,7 +1224,7 @@
           if (csrfToken) headers["X-CSRF-Token"] = csrfToken;
 
           try {
-            const response = await fetch(`/student/returns/${gradeId}/message`, {
+            const response = await fetch(`${basePath}/returns/${gradeId}/message`, {
               method: "POST",
               headers,
               body: JSON.stringify({ message })
@@ -1267,6 +1280,34 @@
     });
   }
 
+  function buildRubricHtml(rubric) {
+    if (!rubric || !Array.isArray(rubric.criteria) || !rubric.criteria.length) return "";
+    const rows = rubric.criteria
+      .map(
+        (criterion) => `
+          <tr>
+            <td>${escapeHtml(criterion.name)}</td>
+            <td>${escapeHtml(criterion.level_label)}${
+              criterion.descriptor ? `<small>${escapeHtml(criterion.descriptor)}</small>` : ""
+            }</td>
+            <td>${escapeHtml(String(criterion.points))} / ${escapeHtml(String(criterion.max_points))}</td>
+          </tr>
+        `
+      )
+      .join("");
+    return `
+      <details class="return-rubric">
+        <summary>Bewertungsraster: ${escapeHtml(rubric.name)} · ${escapeHtml(String(rubric.total))} / ${escapeHtml(String(rubric.max_points))} Punkte</summary>
+        <table class="return-rubric-table">
+          <thead>
+            <tr><th>Kriterium</th><th>Stufe</th><th>Punkte</th></tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </details>
+    `;
+  }
+
   function renderReturns() {
     const container = document.getElementById("return-list");
     if (!container) return;
@@ -1311,7 +1352,7 @@
             ? `<div class="return-actions"><a class="btn small secondary" href="${downloadUrl}">Datei herunterladen</a><small>${attachmentName}</small></div>`
             : "";
         const requestActionHtml = entry.can_message
-          ? `<div class="return-actions"><a class="btn small" href="/student/requests?gradeId=${encodeURIComponent(String(entry.id))}">${stats.closedAt ? "Neue Anfrage starten" : stats.totalCount > 0 ? "Anfragen ansehen" : "Anfrage erstellen"}</a></div>`
+          ? `<div class="return-actions"><a class="btn small" href="${basePath}/requests?gradeId=${encodeURIComponent(String(entry.id))}">${stats.closedAt ? "Neue Anfrage starten" : stats.totalCount > 0 ? "Anfragen ansehen" : "Anfrage erstellen"}</a></div>`
           : "";
 
         return `
@@ -1331,6 +1372,7 @@
                 ${stats.closedAt ? `<span>Geschlossen: ${formatDate(stats.closedAt, true)}</span>` : ""}
               </div>
               ${entry.note ? `<div class="nav-note">${escapeHtml(entry.note)}</div>` : ""}
+              ${buildRubricHtml(entry.rubric)}
               ${attachmentHtml}
               ${requestActionHtml}
             </div>
@@ -1484,9 +1526,10 @@
   async function refreshGrades(skipRequest = false) {
     if (!skipRequest) {
       try {
-        const response = await fetch("/student/grades?format=json");
+        const response = await fetch(`${basePath}/grades?format=json`);
         const data = await response.json();
         state.allGrades = (data.grades || []).map(normalizeGrade);
+        state.participationRows = data.participationRows || state.participationRows;
       } catch (err) {
         console.error("Konnte Noten nicht aktualisieren:", err);
       }
@@ -1509,7 +1552,7 @@
 
   async function loadClassComparison() {
     try {
-      const response = await fetch("/student/class-averages?format=json");
+      const response = await fetch(`${basePath}/class-averages?format=json`);
       const data = await response.json();
       state.classAverages = data.subjects || [];
       renderClassAverage();
@@ -1527,7 +1570,7 @@
 
   async function loadTasksFromServer() {
     try {
-      const response = await fetch("/student/tasks?format=json");
+      const response = await fetch(`${basePath}/tasks?format=json`);
       const data = await response.json();
       state.tasks = (data.tasks || []).map(normalizeTask);
       renderTasks();
@@ -1539,7 +1582,7 @@
 
   async function loadArchiveFromServer() {
     try {
-      const response = await fetch("/student/archive?format=json");
+      const response = await fetch(`${basePath}/archive?format=json`);
       const data = await response.json();
       state.archivedTasks = (data.tasks || []).map(normalizeTask);
       renderArchive();
@@ -1550,7 +1593,7 @@
 
   async function loadReturnsFromServer() {
     try {
-      const response = await fetch("/student/returns?format=json");
+      const response = await fetch(`${basePath}/returns?format=json`);
       const data = await response.json();
       state.returns = (data.returns || []).map(normalizeReturn);
       renderReturns();
@@ -1563,7 +1606,7 @@
 
   async function loadNotificationsFromServer() {
     try {
-      const response = await fetch("/student/notifications?format=json");
+      const response = await fetch(`${basePath}/notifications?format=json`);
       const data = await response.json();
       state.notifications = data.notifications || [];
       renderNotifications();
@@ -1572,6 +1615,94 @@
     }
   }
 
+  const whatIfForm = document.getElementById("what-if-form");
+  let whatIfTimer = null;
+
+  function renderWhatIfTasks(tasks) {
+    const container = document.getElementById("what-if-tasks");
+    if (!container) return;
+    container.innerHTML = tasks
+      .map(
+        (task) => `
+          <label>${escapeHtml(task.title)} (${escapeHtml(formatWeight(task.weight))})
+            <input type="text" name="grade_${task.id}" inputmode="decimal" placeholder="Note annehmen">
+          </label>
+        `
+      )
+      .join("");
+  }
+
+  function renderWhatIfResult(data) {
+    const container = document.getElementById("what-if-result");
+    if (!container) return;
+    const format = (average, label) => (average == null ? "-" : formatGradeValue(Number(average), label));
+    const lines = [];
+    if (!data.open_tasks.length) {
+      lines.push("Für dieses Fach sind keine Prüfungen mehr offen.");
+    }
+    if (data.target) {
+      const target = data.target;
+      const targetLabel = escapeHtml(target.label || target.grade);
+      if (!target.open_count) {
+        lines.push(
+          target.reachable
+            ? `Die Wunschnote ${targetLabel} ist mit den angenommenen Noten erreicht.`
+            : `Die Wunschnote ${targetLabel} wird mit den angenommenen Noten nicht erreicht.`
+        );
+      } else if (!target.reachable) {
+        lines.push(`Die Wunschnote ${targetLabel} ist auch mit der besten Note auf allen offenen Prüfungen nicht mehr erreichbar.`);
+      } else {
+        lines.push(
+          `Für die Wunschnote ${targetLabel} reicht auf den übrigen ${target.open_count} Prüfung(en) jeweils mindestens ${escapeHtml(
+            target.required_label || target.required_grade
+          )} (Schnitt dann ${format(target.projected_average)}).`
+        );
+      }
+    }
+    const explanations = data.projection.explanations || [];
+    container.innerHTML = `
+      <div class="grade-stats-strip">
+        <div class="stat-inline"><span class="stat-inline-label">Aktuell</span><strong class="stat-inline-value">${format(
+          data.current.average,
+          data.current.label
+        )}</strong></div>
+        <div class="stat-inline"><span class="stat-inline-label">Mit Annahmen</span><strong class="stat-inline-value">${format(
+          data.projection.average,
+          data.projection.label
+        )}</strong></div>
+      </div>
+      ${lines.map((line) => `<p class="dataset-copy">${line}</p>`).join("")}
+      ${explanations.map((line) => `<p class="dataset-copy">${escapeHtml(line)}</p>`).join("")}
+    `;
+  }
+
+  async function refreshWhatIf({ withTasks = false } = {}) {
+    if (!whatIfForm) return;
+    const params = new URLSearchParams({ format: "json", subject: whatIfForm.dataset.subject || "" });
+    new FormData(whatIfForm).forEach((value, key) => {
+      if (String(value).trim()) params.set(key, String(value).trim());
+    });
+    try {
+      const response = await fetch(`${basePath}/what-if?${params.toString()}`);
+      const data = await response.json();
+      if (!response.ok) {
+        const container = document.getElementById("what-if-result");
+        if (container) container.innerHTML = `<p class="empty-state">${escapeHtml(data.error || "Berechnung fehlgeschlagen.")}</p>`;
+        return;
+      }
+      if (withTasks) renderWhatIfTasks(data.open_tasks);
+      renderWhatIfResult(data);
+    } catch (err) {
+      console.error("Konnte Notenrechner nicht laden:", err);
+    }
+  }
+
+  whatIfForm?.addEventListener("submit", (event) => event.preventDefault());
+  whatIfForm?.addEventListener("input", () => {
+    clearTimeout(whatIfTimer);
+    whatIfTimer = setTimeout(() => refreshWhatIf(), 300);
+  });
+
   document.getElementById("grade-filter")?.addEventListener("change", () => refreshGrades());
   document.getElementById("grade-filter")?.addEventListener("input", (event) => {
     const target = event.target;
@@ -1581,6 +1712,8 @@
     }
   });
 
+  document.getElementById("grade-overview-filter")?.addEventListener("change", () => renderGradeSubjectOverview());
+
   document.getElementById("task-filter")?.addEventListener("input", () => renderTasks());
   document.getElementById("task-filter")?.addEventListener("change", () => renderTasks());
   document.getElementById("return-filter")?.addEventListener("input", () => renderReturns());
@@ -1621,6 +1754,10 @@
     loadClassComparison();
   }
 
+  if (whatIfForm) {
+    refreshWhatIf({ withTasks: true });
+  }
+
   if (needsNotifications) {
     renderNotifications();
     loadNotificationsFromServer();
@@ -0,0 +1,24 @@
+const express = require("express");
+const { requireAuth } = require("../middleware/auth");
+const { createAuditLogMiddleware } = require("../middleware/audit");
+const accountController = require("../controllers/accountController");
+const twoFactorController = require("../controllers/twoFactorController");
+const sessionController = require("../controllers/sessionController");
+
+const router = express.Router();
+
+router.use(requireAuth);
+router.use(createAuditLogMiddleware());
+
+router.get("/", accountController.showAccount);
+router.post("/password", accountController.changePassword);
+router.post("/notifications", accountController.savePreferences);
+router.get("/two-factor", twoFactorController.showTwoFactorPage);
+router.post("/two-factor/enable", twoFactorController.enableTwoFactor);
+router.post("/two-factor/recovery-codes", twoFactorController.regenerateRecoveryCodes);
+router.post("/two-factor/disable", twoFactorController.disableTwoFactor);
+router.get("/sessions", sessionController.showSessions);
+router.post("/sessions/revoke-others", sessionController.revokeOtherSessions);
+router.post("/sessions/:sessionKey/revoke", sessionController.revokeSession);
+
+module.exports = router;
@@ -2,7 +2,13 @@ const express = require("express");
 const router = express.Router();
 const { db, hashPassword } = require("../db");
 const schoolYearModel = require("../models/schoolYearModel");
-const { requireAuth, requireRole } = require("../middleware/auth");
+const twoFactorService = require("../services/twoFactorService");
+const loginThrottleService = require("../services/loginThrottleService");
+const sessionService = require("../services/sessionService");
+const roleService = require("../services/roleService");
+const guardianService = require("../services/guardianService");
+const impersonationService = require("../services/impersonationService");
+const { requireAuth, requirePermission } = require("../middleware/auth");
 const { createAuditLogMiddleware } = require("../middleware/audit");
 const { getPasswordValidationError } = require("../utils/password");
 const { deriveNameFromEmail } = require("../utils/studentName");
@@ -33,7 +39,7 @@ const AUDIT_SEARCH_MODE_OPTIONS = {
   exact: { label: "Exact" },
   starts_with: { label: "Starts with" }
 };
-const AUDIT_METHOD_OPTIONS = ["", "POST", "PUT", "PATCH", "DELETE"];
+const AUDIT_METHOD_OPTIONS = ["", "GET", "POST", "PUT", "PATCH", "DELETE"];
 const AUDIT_TEXT_SEARCH_SQL = `COALESCE(action, '') || ' ' ||
       COALESCE(scope_label, '') || ' ' ||
       COALESCE(action_title, '') || ' ' ||
@@ -352,7 +358,7 @@ async function fetchAuditLogsPage({ filters, beforeId = null, afterId = null, li
 
   const combinedWhere = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
   const rows = await allAsync(
-    `SELECT id, actor_email, actor_role, action, scope_label, action_title, target_label, detail_summary,
+    `SELECT id, actor_email, actor_role, impersonator_email, action, scope_label, action_title, target_label, detail_summary,
             entity_type, entity_id, http_method, route_path, status_code, ip_address, user_agent, payload, created_at
      FROM audit_logs
      ${combinedWhere}
@@ -370,7 +376,7 @@ async function fetchAuditLogsByPage({ filters, page = 1 }) {
   const offset = getAuditOffset(safePage);
   const { whereClause, params } = buildAuditWhereClause(filters);
   return allAsync(
-    `SELECT id, actor_email, actor_role, action, scope_label, action_title, target_label, detail_summary,
+    `SELECT id, actor_email, actor_role, impersonator_email, action, scope_label, action_title, target_label, detail_summary,
             entity_type, entity_id, http_method, route_path, status_code, ip_address, user_agent, payload, created_at
      FROM audit_logs
      ${whereClause}
@@ -625,7 +631,8 @@ function normalizeAuditLogRow(entry) {
     request_label: [entry.http_method, entry.route_path].filter(Boolean).join(" "),
     created_at_label: createdAtLabel,
     actor_label: actorEmail || "-",
-    actor_role_label: actorRoleLabel
+    actor_role_label: actorRoleLabel,
+    impersonator_label: entry.impersonator_email ? `Ansicht durch ${entry.impersonator_email}` : null
   };
 
   return {
@@ -846,7 +853,7 @@ function normalizeCreateMode(value, fallback = "single") {
 
 function normalizeUserRole(value, fallback = "student") {
   const normalized = String(value || "").trim().toLowerCase();
-  return ["student", "teacher", "admin"].includes(normalized) ? normalized : fallback;
+  return ["student", "teacher", "admin", "guardian"].includes(normalized) ? normalized : fallback;
 }
 
 function normalizeBulkDelimiter(value, fallback = "paragraph") {
@@ -930,7 +937,7 @@ function renderAddStudentPage(req, res, classData, options = {}) {
   });
 }
 
-router.use(requireAuth, requireRole("admin"));
+router.use(requireAuth, requirePermission("admin.access"));
 router.use(createAuditLogMiddleware());
 router.use(async (req, res, next) => {
   try {
@@ -979,18 +986,21 @@ router.get("/users", async (req, res, next) => {
       params.push(`%${emailQuery}%`);
     }
 
-    if (["admin", "teacher", "student"].includes(roleQuery)) {
-      filters.push("role = ?");
+    const roles = await roleService.listAssignableRoles();
+    if (roles.some((role) => role.key === roleQuery)) {
+      filters.push("COALESCE(role_key, role) = ?");
       params.push(roleQuery);
     }
 
     const whereClause = filters.length ? `WHERE ${filters.join(" AND ")}` : "";
     const users = await allAsync(
-      `SELECT id, email, role, status, created_at, must_change_password FROM users ${whereClause} ORDER BY id DESC`,
+      `SELECT id, email, role, role_key, status, created_at, must_change_password FROM users ${whereClause} ORDER BY id DESC`,
       params
     );
     res.render("admin/users", {
       users,
+      roles,
+      roleLabels: Object.fromEntries(roles.map((role) => [role.key, role.label])),
       query: { id: idQuery, email: emailQuery, role: roleQuery },
       csrfToken: req.csrfToken(),
       currentUser: req.session.user,
@@ -1002,9 +1012,9 @@ router.get("/users", async (req, res, next) => {
   }
 });
 
-router.get("/users/new", (req, res) => renderCreateUserPage(req, res));
+router.get("/users/new", requirePermission("users.manage"), (req, res) => renderCreateUserPage(req, res));
 
-router.post("/users", async (req, res, next) => {
+router.post("/users", requirePermission("users.manage"), async (req, res, next) => {
   const { email, role, password, useInitial } = req.body || {};
   const wantsInitial = useInitial === "on";
   const singleForm = {
@@ -1022,6 +1032,17 @@ router.post("/users", async (req, res, next) => {
       singleForm
     });
   }
+  try {
+    await roleService.assertRoleGrantable(req.session.user, normalizedRole);
+  } catch (err) {
+    if (!err.status) return next(err);
+    res.status(err.status);
+    return renderCreateUserPage(req, res, {
+      error: err.message,
+      mode: "single",
+      singleForm
+    });
+  }
   if (normalizedRole === "teacher" && wantsInitial) {
     res.status(400);
     return renderCreateUserPage(req, res, {
@@ -1131,7 +1152,7 @@ router.post("/users", async (req, res, next) => {
   }
 });
 
-router.post("/users/bulk", async (req, res, next) => {
+router.post("/users/bulk", requirePermission("users.manage"), async (req, res, next) => {
   const { bulkEmails, bulkRole, bulkPassword, bulkUseInitial, bulkDelimiter } = req.body || {};
   const wantsInitial = bulkUseInitial === "on";
   const normalizedBulkDelimiter = normalizeBulkDelimiter(bulkDelimiter);
@@ -1151,6 +1172,17 @@ router.post("/users/bulk", async (req, res, next) => {
       bulkForm
     });
   }
+  try {
+    await roleService.assertRoleGrantable(req.session.user, normalizedBulkRole);
+  } catch (err) {
+    if (!err.status) return next(err);
+    res.status(err.status);
+    return renderCreateUserPage(req, res, {
+      error: err.message,
+      mode: "bulk",
+      bulkForm
+    });
+  }
   if (wantsInitial && normalizedBulkRole === "teacher") {
     res.status(400);
     return renderCreateUserPage(req, res, {
@@ -1301,7 +1333,7 @@ router.get("/users/:id", async (req, res, next) => {
   const id = req.params.id;
   try {
     const user = await getAsync(
-      "SELECT id, email, role, status, created_at, must_change_password FROM users WHERE id = ?",
+      "SELECT id, email, role, role_key, status, created_at, must_change_password FROM users WHERE id = ?",
       [id]
     );
     if (!user) {
@@ -1343,9 +1375,30 @@ router.get("/users/:id", async (req, res, next) => {
       );
     }
 
+    const twoFactor = await twoFactorService.getTwoFactorStatus(user.id);
+    const accountLock = await loginThrottleService.getAccountLock(user.id);
+    const sessions = await sessionService.listSessions(req.sessionStore, user.id, req.sessionID);
+    const assignedRole = await roleService.resolveAssignableRole(roleService.resolveRoleKey(user));
+    const guardianChildren = user.role === "guardian" ? await guardianService.listChildren(user.id) : [];
+
     res.render("admin/user-details", {
       user,
+      roleLabel: assignedRole?.label || user.role,
       classes,
+      twoFactor,
+      twoFactorReset: req.query.twoFactorReset === "1",
+      accountLock,
+      accountUnlocked: req.query.unlocked === "1",
+      sessions,
+      sessionsRevoked: req.query.sessionsRevoked === "1",
+      impersonationEnded: req.query.impersonationEnded === "1",
+      impersonationTtlMinutes: impersonationService.getTtlMinutes(),
+      guardianChildren,
+      guardianNotice: req.query.guardianLinked === "1"
+        ? "Der Schüler wurde verknüpft."
+        : req.query.guardianUnlinked === "1"
+          ? "Die Verknüpfung wurde gelöst."
+          : null,
       csrfToken: req.csrfToken(),
       currentUser: req.session.user,
       activePath: req.originalUrl
@@ -1356,11 +1409,11 @@ router.get("/users/:id", async (req, res, next) => {
   }
 });
 
-router.get("/users/:id/edit", async (req, res, next) => {
+router.get("/users/:id/edit", requirePermission("users.manage"), async (req, res, next) => {
   const id = req.params.id;
   try {
     const user = await getAsync(
-      "SELECT id, email, role, status, must_change_password FROM users WHERE id = ?",
+      "SELECT id, email, role, role_key, status, must_change_password FROM users WHERE id = ?",
       [id]
     );
     if (!user)
@@ -1373,6 +1426,8 @@ router.get("/users/:id/edit", async (req, res, next) => {
 
     res.render("admin/edit", {
       user,
+      roles: await roleService.listAssignableRoles(),
+      currentRoleKey: roleService.resolveRoleKey(user),
       csrfToken: req.csrfToken(),
       currentUser: req.session.user,
       activePath: req.originalUrl
@@ -1383,7 +1438,7 @@ router.get("/users/:id/edit", async (req, res, next) => {
   }
 });
 
-router.post("/users/:id", async (req, res, next) => {
+router.post("/users/:id", requirePermission("users.manage"), async (req, res, next) => {
   const id = req.params.id;
   const { email, role, status } = req.body || {};
   if (!email || !role || !status) {
@@ -1396,9 +1451,34 @@ router.post("/users/:id", async (req, res, next) => {
   }
 
   try {
-    await runAsync("UPDATE users SET email = ?, role = ?, status = ? WHERE id = ?", [email, role, status, id]);
+    const existing = await getAsync(
+      "SELECT id, email, role, role_key, status, must_change_password FROM users WHERE id = ?",
+      [id]
+    );
+    await roleService.assertAccountManageable(req.session.user, existing);
+    const assignedRole = await roleService.assertRoleGrantable(req.session.user, role);
+    const roleKey = assignedRole.key === assignedRole.baseRole ? null : assignedRole.key;
+    await runAsync("UPDATE users SET email = ?, role = ?, role_key = ?, status = ? WHERE id = ?", [
+      email,
+      assignedRole.baseRole,
+      roleKey,
+      status,
+      id
+    ]);
+    const roleChanged = existing && roleService.resolveRoleKey(existing) !== assignedRole.key;
+    if (status !== "active" || roleChanged) {
+      await sessionService.revokeAllSessions(req.sessionStore, id);
+    }
     res.redirect("/admin/users");
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).render("error", {
+        message: err.message,
+        status: err.status,
+        backUrl: `/admin/users/${id}/edit`,
+        csrfToken: req.csrfToken()
+      });
+    }
     console.error("DB error updating user:", err);
     if (String(err).includes("UNIQUE")) {
       return res.status(409).render("error", {
@@ -1412,7 +1492,128 @@ router.post("/users/:id", async (req, res, next) => {
   }
 });
 
-router.post("/users/:id/reset", async (req, res, next) => {
+router.post("/users/:id/two-factor/reset", requirePermission("users.manage"), async (req, res, next) => {
+  const id = req.params.id;
+  try {
+    const user = await getAsync(
+      "SELECT id, email, role, status, must_change_password FROM users WHERE id = ?",
+      [id]
+    );
+    if (!user) {
+      return res.status(404).render("error", {
+        message: "Nutzer nicht gefunden.",
+        status: 404,
+        backUrl: "/admin/users",
+        csrfToken: req.csrfToken()
+      });
+    }
+
+    await roleService.assertAccountManageable(req.session.user, user);
+    await twoFactorService.resetTwoFactor(user.id);
+    res.redirect(`/admin/users/${user.id}?twoFactorReset=1`);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).render("error", {
+        message: err.message,
+        status: err.status,
+        backUrl: `/admin/users/${id}`,
+        csrfToken: req.csrfToken()
+      });
+    }
+    console.error("DB error resetting two-factor authentication:", err);
+    next(err);
+  }
+});
+
+router.post("/users/:id/unlock", requirePermission("users.manage"), async (req, res, next) => {
+  const id = req.params.id;
+  try {
+    const target = await getAsync("SELECT id, email, role, status FROM users WHERE id = ?", [id]);
+    if (target) {
+      await roleService.assertAccountManageable(req.session.user, target);
+    }
+    const user = target ? await loginThrottleService.unlockAccount(target.id) : null;
+    if (!user) {
+      return res.status(404).render("error", {
+        message: "Nutzer nicht gefunden.",
+        status: 404,
+        backUrl: "/admin/users",
+        csrfToken: req.csrfToken()
+      });
+    }
+    res.redirect(`/admin/users/${user.id}?unlocked=1`);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).render("error", {
+        message: err.message,
+        status: err.status,
+        backUrl: `/admin/users/${id}`,
+        csrfToken: req.csrfToken()
+      });
+    }
+    console.error("DB error unlocking user:", err);
+    next(err);
+  }
+});
+
+router.post("/users/:id/impersonate", requirePermission("users.impersonate"), async (req, res, next) => {
+  try {
+    const { target } = await impersonationService.startImpersonation(req.session, req.params.id, {
+      allowWrites: req.body?.allow_writes === "1"
+    });
+    req.session.save((saveErr) => {
+      if (saveErr) return next(saveErr);
+      res.redirect(`/${target.role}`);
+    });
+  } catch (err) {
+    if (!err.status) return next(err);
+    return res.status(err.status).render("error", {
+      message: err.message,
+      status: err.status,
+      backUrl: `/admin/users/${req.params.id}`
+    });
+  }
+});
+
+router.post("/users/:id/sessions/revoke", requirePermission("users.manage"), async (req, res, next) => {
+  const id = req.params.id;
+  try {
+    const user = await getAsync(
+      "SELECT id, email, role, status, must_change_password FROM users WHERE id = ?",
+      [id]
+    );
+    if (!user) {
+      return res.status(404).render("error", {
+        message: "Nutzer nicht gefunden.",
+        status: 404,
+        backUrl: "/admin/users",
+        csrfToken: req.csrfToken()
+      });
+    }
+
+    await roleService.assertAccountManageable(req.session.user, user);
+    const keepCurrent = Number(user.id) === Number(req.session.user.id);
+    if (keepCurrent) {
+      await sessionService.revokeOtherSessions(req.sessionStore, user.id, req.sessionID);
+    } else {
+      await sessionService.revokeAllSessions(req.sessionStore, user.id);
+    }
+    res.redirect(`/admin/users/${user.id}?sessionsRevoked=1`);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).render("error", {
+        message: err.message,
+        status: err.status,
+        backUrl: `/admin/users/${id}`,
+        csrfToken: req.csrfToken()
+      });
+    }
+    console.error("Error revoking user sessions:", err);
+    next(err);
+  }
+});
+
+router.post("/users/:id/reset", requirePermission("users.manage"), async (req, res, next) => {
   const id = req.params.id;
   const { password, useInitial } = req.body || {};
   const wantsInitial = useInitial === "1";
@@ -1463,20 +1664,57 @@ router.post("/users/:id/reset", async (req, res, next) => {
   const hash = hashPassword(chosenPassword);
 
   try {
+    const user = await getAsync("SELECT id, email, role, status FROM users WHERE id = ?", [id]);
+    if (!user) {
+      return res.status(404).render("error", {
+        message: "Nutzer nicht gefunden.",
+        status: 404,
+        backUrl: "/admin/users",
+        csrfToken: req.csrfToken()
+      });
+    }
+    await roleService.assertAccountManageable(req.session.user, user);
     await runAsync("UPDATE users SET password_hash = ?, must_change_password = ? WHERE id = ?", [hash, mustChange, id]);
     res.redirect("/admin/users");
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).render("error", {
+        message: err.message,
+        status: err.status,
+        backUrl,
+        csrfToken: req.csrfToken()
+      });
+    }
     console.error("DB error resetting password:", err);
     next(err);
   }
 });
 
-router.post("/users/:id/delete", async (req, res, next) => {
+router.post("/users/:id/delete", requirePermission("users.manage"), async (req, res, next) => {
   const id = req.params.id;
   try {
-    await runAsync("UPDATE users SET status = 'deleted' WHERE id = ?", [id]);
+    const user = await getAsync("SELECT id, email, role, status FROM users WHERE id = ?", [id]);
+    if (!user) {
+      return res.status(404).render("error", {
+        message: "Nutzer nicht gefunden.",
+        status: 404,
+        backUrl: "/admin/users",
+        csrfToken: req.csrfToken()
+      });
+    }
+    await roleService.assertAccountManageable(req.session.user, user);
+    await runAsync("UPDATE users SET status = 'deleted' WHERE id = ?", [user.id]);
+    await sessionService.revokeAllSessions(req.sessionStore, user.id);
     res.redirect("/admin/users");
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).render("error", {
+        message: err.message,
+        status: err.status,
+        backUrl: "/admin/users",
+        csrfToken: req.csrfToken()
+      });
+    }
     console.error("DB error deleting user:", err);
     next(err);
   }
@@ -1522,7 +1760,7 @@ router.get("/classes", async (req, res, next) => {
   }
 });
 
-router.get("/classes/new", async (req, res, next) => {
+router.get("/classes/new", requirePermission("classes.manage"), async (req, res, next) => {
   try {
     const teachers = await listActiveTeachers();
     res.render("admin/create-class", {
@@ -1536,7 +1774,7 @@ router.get("/classes/new", async (req, res, next) => {
   }
 });
 
-router.post("/classes", async (req, res, next) => {
+router.post("/classes", requirePermission("classes.manage"), async (req, res, next) => {
   const name = String(req.body?.name || "").trim();
   const headTeacherId = normalizeOptionalTeacherId(req.body?.head_teacher_id);
   if (!name) {
@@ -1624,7 +1862,7 @@ router.get("/classes/:id", async (req, res, next) => {
   }
 });
 
-router.get("/classes/:id/edit", async (req, res, next) => {
+router.get("/classes/:id/edit", requirePermission("classes.manage"), async (req, res, next) => {
   const classId = req.params.id;
   try {
     const [classData, teachers] = await Promise.all([
@@ -1654,7 +1892,7 @@ router.get("/classes/:id/edit", async (req, res, next) => {
   }
 });
 
-router.post("/classes/:id", async (req, res, next) => {
+router.post("/classes/:id", requirePermission("classes.manage"), async (req, res, next) => {
   const classId = req.params.id;
   const name = String(req.body?.name || "").trim();
   const headTeacherId = normalizeOptionalTeacherId(req.body?.head_teacher_id);
@@ -1702,7 +1940,7 @@ router.post("/classes/:id", async (req, res, next) => {
   }
 });
 
-router.post("/classes/:id/delete", async (req, res, next) => {
+router.post("/classes/:id/delete", requirePermission("classes.manage"), async (req, res, next) => {
   const classId = req.params.id;
   try {
     const classData = await getActiveClassById(classId, "id");
@@ -1787,7 +2025,7 @@ router.get("/classes/:id/students", async (req, res, next) => {
   }
 });
 
-router.post("/classes/:classId/students/:studentId/delete", async (req, res, next) => {
+router.post("/classes/:classId/students/:studentId/delete", requirePermission("classes.manage"), async (req, res, next) => {
   const { classId, studentId } = req.params;
   try {
     const classData = await getActiveClassById(classId, "id, name");
@@ -1809,7 +2047,7 @@ router.post("/classes/:classId/students/:studentId/delete", async (req, res, nex
   }
 });
 
-router.get("/classes/:id/students/add", async (req, res, next) => {
+router.get("/classes/:id/students/add", requirePermission("classes.manage"), async (req, res, next) => {
   const classId = req.params.id;
   try {
     const classData = await getActiveClassById(classId, "id, name");
@@ -1828,7 +2066,7 @@ router.get("/classes/:id/students/add", async (req, res, next) => {
   }
 });
 
-router.post("/classes/:id/students/add", async (req, res, next) => {
+router.post("/classes/:id/students/add", requirePermission("classes.manage"), async (req, res, next) => {
   const classId = req.params.id;
   const { name, email } = req.body || {};
   const resolvedEmail = String(email || "").trim();
@@ -1945,7 +2183,7 @@ router.post("/classes/:id/students/add", async (req, res, next) => {
   }
 });
 
-router.post("/classes/:id/students/add-bulk", async (req, res, next) => {
+router.post("/classes/:id/students/add-bulk", requirePermission("classes.manage"), async (req, res, next) => {
   const classId = req.params.id;
   const bulkEmailsRaw = String((req.body && req.body.bulkEmails) || "");
   const lines = bulkEmailsRaw
@@ -2030,7 +2268,7 @@ router.post("/classes/:id/students/add-bulk", async (req, res, next) => {
   }
 });
 
-router.get("/audit-logs", async (req, res, next) => {
+router.get("/audit-logs", requirePermission("audit.view"), async (req, res, next) => {
   try {
     const backHref = resolveAuditReturnTo(req);
     const filters = parseAuditFilters(req);
@@ -2092,7 +2330,7 @@ router.get("/audit-logs", async (req, res, next) => {
   }
 });
 
-router.get("/audit-logs/data", async (req, res, next) => {
+router.get("/audit-logs/data", requirePermission("audit.view"), async (req, res, next) => {
   try {
     const filters = parseAuditFilters(req);
     const filterError = validateAuditRegexFilters(filters);
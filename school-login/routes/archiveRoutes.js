@@ -1,20 +1,20 @@
 const express = require("express");
-const { requireAuth, requireRole } = require("../middleware/auth");
+const { requireAuth, requirePermission } = require("../middleware/auth");
 const { createAuditLogMiddleware } = require("../middleware/audit");
 const archiveController = require("../controllers/archiveController");
 
 const router = express.Router();
 
-router.use(requireAuth, requireRole("admin"));
+router.use(requireAuth, requirePermission("archive.view"));
 router.use(createAuditLogMiddleware());
 
 router.get("/archive", archiveController.showArchive);
 router.get("/archive/export/:dataset", archiveController.downloadArchiveCsv);
-router.get("/archive/purge", archiveController.showArchiveDeletePage);
-router.post("/archive/purge/preview", archiveController.previewArchiveDelete);
-router.post("/archive/purge/execute", archiveController.executeArchiveDelete);
-router.get("/archive/graduates", archiveController.showGraduateCleanupPage);
-router.post("/archive/graduates/preview", archiveController.previewGraduateCleanup);
-router.post("/archive/graduates/execute", archiveController.executeGraduateCleanup);
+router.get("/archive/purge", requirePermission("archive.purge"), archiveController.showArchiveDeletePage);
+router.post("/archive/purge/preview", requirePermission("archive.purge"), archiveController.previewArchiveDelete);
+router.post("/archive/purge/execute", requirePermission("archive.purge"), archiveController.executeArchiveDelete);
+router.get("/archive/graduates", requirePermission("archive.purge"), archiveController.showGraduateCleanupPage);
+router.post("/archive/graduates/preview", requirePermission("archive.purge"), archiveController.previewGraduateCleanup);
+router.post("/archive/graduates/execute", requirePermission("archive.purge"), archiveController.executeGraduateCleanup);
 
 module.exports = router;
@@ -1,16 +1,16 @@
 const express = require("express");
-const { requireAuth, requireRole } = require("../middleware/auth");
+const { requireAuth, requirePermission } = require("../middleware/auth");
 const assignmentController = require("../controllers/assignmentController");
 
 const router = express.Router();
 
-router.use(requireAuth, requireRole("admin"));
+router.use(requireAuth, requirePermission("admin.access"));
 
 router.get("/assignments", assignmentController.renderAssignmentList);
-router.get("/assignments/new", assignmentController.renderNewAssignmentForm);
-router.get("/assignments/api/class/:classId/teachers", assignmentController.getClassTeachers);
-router.post("/assignments", assignmentController.createAssignment);
-router.post("/assignments/delete", assignmentController.deleteAssignment);
-router.post("/assignments/delete-group", assignmentController.deleteAssignmentGroup);
+router.get("/assignments/new", requirePermission("assignments.manage"), assignmentController.renderNewAssignmentForm);
+router.get("/assignments/api/class/:classId/teachers", requirePermission("assignments.manage"), assignmentController.getClassTeachers);
+router.post("/assignments", requirePermission("assignments.manage"), assignmentController.createAssignment);
+router.post("/assignments/delete", requirePermission("assignments.manage"), assignmentController.deleteAssignment);
+router.post("/assignments/delete-group", requirePermission("assignments.manage"), assignmentController.deleteAssignmentGroup);
 
 module.exports = router;
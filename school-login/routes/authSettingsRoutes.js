@@ -0,0 +1,12 @@
+const express = require("express");
+const { requireAuth, requirePermission } = require("../middleware/auth");
+const authSettingsController = require("../controllers/authSettingsController");
+
+const router = express.Router();
+
+router.use(requireAuth, requirePermission("admin.access"));
+
+router.get("/settings/login", requirePermission("settings.manage"), authSettingsController.renderLoginSettings);
+router.post("/settings/login", requirePermission("settings.manage"), authSettingsController.saveLoginSettings);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require("express");
+const { requireAuth, requirePermission } = require("../middleware/auth");
+const gradeScaleController = require("../controllers/gradeScaleController");
+
+const router = express.Router();
+
+router.use(requireAuth, requirePermission("admin.access"));
+
+router.get("/grade-scales", requirePermission("grade_scales.manage"), gradeScaleController.showScales);
+router.post("/grade-scales", requirePermission("grade_scales.manage"), gradeScaleController.createScale);
+router.post("/grade-scales/assign", requirePermission("grade_scales.manage"), gradeScaleController.assignScale);
+router.post("/grade-scales/:id", requirePermission("grade_scales.manage"), gradeScaleController.updateScale);
+router.post("/grade-scales/:id/delete", requirePermission("grade_scales.manage"), gradeScaleController.deleteScale);
+
+module.exports = router;
@@ -0,0 +1,54 @@
+const express = require("express");
+const router = express.Router();
+const { requireAuth, requirePermission, requireRole } = require("../middleware/auth");
+const guardianService = require("../services/guardianService");
+const studentRouter = require("./student");
+
+router.use(requireAuth, requireRole("guardian"), requirePermission("guardian.access"));
+
+function renderChildren(req, res, children) {
+  return res.render("guardian/children", {
+    csrfToken: req.csrfToken(),
+    email: req.session.user.email,
+    children
+  });
+}
+
+router.get("/", async (req, res, next) => {
+  try {
+    const children = await guardianService.listChildren(req.session.user.id);
+    if (children.length === 1) {
+      return res.redirect(`/guardian/students/${children[0].student_id}`);
+    }
+    return renderChildren(req, res, children);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get("/children", async (req, res, next) => {
+  try {
+    return renderChildren(req, res, await guardianService.listChildren(req.session.user.id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.use("/students/:studentId", async (req, res, next) => {
+  try {
+    const linkedStudent = await guardianService.getLinkedStudent(req.session.user.id, req.params.studentId);
+    if (!linkedStudent) {
+      return res.status(404).render("error", {
+        message: "Schüler nicht gefunden oder nicht mit deinem Konto verknüpft.",
+        status: 404,
+        backUrl: "/guardian/children"
+      });
+    }
+    req.guardianStudent = linkedStudent;
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}, studentRouter);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require("express");
+const { requireAuth, requirePermission } = require("../middleware/auth");
+const guardianAdminController = require("../controllers/guardianAdminController");
+
+const router = express.Router();
+
+router.use(requireAuth, requirePermission("admin.access"));
+
+router.get("/guardians/import", requirePermission("users.manage"), guardianAdminController.showImport);
+router.post("/guardians/import", requirePermission("users.manage"), guardianAdminController.runImport);
+router.post("/users/:id/guardian-links", requirePermission("users.manage"), guardianAdminController.linkStudent);
+router.post(
+  "/users/:id/guardian-links/:studentId/delete",
+  requirePermission("users.manage"),
+  guardianAdminController.unlinkStudent
+);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require("express");
+const { requireAuth } = require("../middleware/auth");
+const impersonationController = require("../controllers/impersonationController");
+
+const router = express.Router();
+
+router.post("/stop", requireAuth, impersonationController.stopImpersonation);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require("express");
+const passwordResetController = require("../controllers/passwordResetController");
+
+const router = express.Router();
+
+router.get("/", passwordResetController.showRequestForm);
+router.post("/", passwordResetController.submitRequest);
+router.get("/:token", passwordResetController.showResetForm);
+router.post("/:token", passwordResetController.submitReset);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require("express");
+const { requireAuth, requirePermission } = require("../middleware/auth");
+const roleController = require("../controllers/roleController");
+
+const router = express.Router();
+
+router.use(requireAuth, requirePermission("admin.access"));
+
+router.get("/settings/roles", requirePermission("settings.manage"), roleController.renderRoleSettings);
+router.post("/settings/roles", requirePermission("settings.manage"), roleController.createRole);
+router.post("/settings/roles/:key/permissions", requirePermission("settings.manage"), roleController.saveRolePermissions);
+router.post("/settings/roles/:key/delete", requirePermission("settings.manage"), roleController.deleteRole);
+
+module.exports = router;
@@ -1,17 +1,17 @@
 const express = require("express");
-const { requireAuth, requireRole } = require("../middleware/auth");
+const { requireAuth, requirePermission } = require("../middleware/auth");
 const rolloverController = require("../controllers/rolloverController");
 
 const router = express.Router();
 
-router.use(requireAuth, requireRole("admin"));
+router.use(requireAuth, requirePermission("admin.access"));
 
-router.get("/rollover", rolloverController.showRolloverPage);
-router.post("/rollover/start", rolloverController.startWizard);
-router.post("/rollover/classes", rolloverController.saveClassStep);
-router.post("/rollover/students", rolloverController.saveStudentStep);
-router.post("/rollover/reset", rolloverController.resetWizard);
-router.post("/rollover/restore", rolloverController.restoreSchoolYear);
-router.post("/rollover/execute", rolloverController.executeRollover);
+router.get("/rollover", requirePermission("school_years.manage"), rolloverController.showRolloverPage);
+router.post("/rollover/start", requirePermission("school_years.manage"), rolloverController.startWizard);
+router.post("/rollover/classes", requirePermission("school_years.manage"), rolloverController.saveClassStep);
+router.post("/rollover/students", requirePermission("school_years.manage"), rolloverController.saveStudentStep);
+router.post("/rollover/reset", requirePermission("school_years.manage"), rolloverController.resetWizard);
+router.post("/rollover/restore", requirePermission("school_years.manage"), rolloverController.restoreSchoolYear);
+router.post("/rollover/execute", requirePermission("school_years.manage"), rolloverController.executeRollover);
 
 module.exports = router;
@@ -3,7 +3,28 @@ const router = express.Router();
 const path = require("path");
 const fs = require("fs");
 const { db } = require("../db");
-const { requireAuth, requireRole } = require("../middleware/auth");
+const { requireAuth, requirePermission, requireRole } = require("../middleware/auth");
+const notificationService = require("../services/notificationService");
+const rubricService = require("../services/rubricService");
+const gradeScaleService = require("../services/gradeScaleService");
+const gradingRuleService = require("../services/gradingRuleService");
+const termService = require("../services/termService");
+const absenceService = require("../services/absenceService");
+const {
+  DEFAULT_ABSENCE_MODE,
+  DEFAULT_RETAKE_POLICY,
+  buildParticipationAverageRows,
+  computeSubjectAverages,
+  filterRowsByTerm,
+  formatGradeLabel,
+  normalizeAbsenceMode,
+  normalizeParticipationConfig,
+  normalizeRetakePolicy,
+  parseGradeInput,
+  projectAverage,
+  solveRequiredGrade
+} = require("../utils/gradingEngine");
+const { buildPdf } = require("../utils/pdf");
 
 const runAsync = (sql, params = []) =>
   new Promise((resolve, reject) => {
@@ -29,12 +50,28 @@ const getAsync = (sql, params = []) =>
     });
   });
 
-router.use(requireAuth, requireRole("student"));
+function unlessGuardianView(middleware) {
+  return (req, res, next) => (req.guardianStudent ? next() : middleware(req, res, next));
+}
+
+function guardianReadOnly(req, res, next) {
+  if (!req.guardianStudent || req.method === "GET" || req.method === "HEAD") return next();
+  return res.status(403).render("error", {
+    message: "Erziehungsberechtigte haben nur Lesezugriff.",
+    status: 403,
+    backUrl: req.baseUrl || "/guardian"
+  });
+}
+
+// Der Router wird zusätzlich unter /guardian/students/:studentId eingehängt (siehe routes/guardian.js).
+router.use(
+  requireAuth,
+  unlessGuardianView(requireRole("student")),
+  unlessGuardianView(requirePermission("student.access")),
+  guardianReadOnly
+);
 
 const GRADE_ATTACHMENT_DIR = path.join(__dirname, "..", "uploads", "grade-attachments");
-const ABSENCE_MODE_INCLUDE_ZERO = "include_zero";
-const ABSENCE_MODE_EXCLUDE = "exclude";
-const DEFAULT_ABSENCE_MODE = ABSENCE_MODE_INCLUDE_ZERO;
 
 function sanitizeFilename(name) {
   return String(name || "datei")
@@ -68,7 +105,7 @@ function resolveSubjectLabel(source, classInfo, fallback = "Ohne Fachzuordnung")
 
 async function loadStudentProfile(email) {
   return getAsync(
-    "SELECT s.*, c.name as class_name, c.subject as class_subject, c.id as class_id FROM students s JOIN classes c ON c.id = s.class_id WHERE s.email = ?",
+    "SELECT s.*, c.name as class_name, c.subject as class_subject, c.id as class_id, c.school_year_id FROM students s JOIN classes c ON c.id = s.class_id WHERE s.email = ?",
     [email]
   );
 }
@@ -109,39 +146,67 @@ async function loadClassSubjects(classId) {
   );
 }
 
-function normalizeAbsenceMode(mode) {
-  const normalized = String(mode || "").trim().toLowerCase();
-  if (normalized === ABSENCE_MODE_EXCLUDE) return ABSENCE_MODE_EXCLUDE;
-  return DEFAULT_ABSENCE_MODE;
+async function loadSubjectGradingProfiles(classId) {
+  const rows = await allAsync(
+    `SELECT cst.subject_id, gp.absence_mode, gp.ma_enabled, gp.ma_weight, gp.ma_grade_plus, gp.ma_grade_plus_tilde, gp.ma_grade_neutral, gp.ma_grade_minus_tilde, gp.ma_grade_minus, gp.id AS profile_id, gp.retake_policy
+     FROM class_subject_teacher cst
+     JOIN classes c ON c.id = cst.class_id
+     LEFT JOIN teacher_grading_profiles gp ON gp.teacher_id = cst.teacher_id
+       AND (gp.id = cst.grading_profile_id OR (cst.grading_profile_id IS NULL AND gp.is_active = ?))
+     WHERE c.id = ?
+     ORDER BY cst.subject_id ASC, gp.created_at ASC, gp.id ASC`,
+    [true, classId]
+  );
+  const bySubject = new Map();
+  for (const row of rows) {
+    const key = String(row.subject_id);
+    if (bySubject.has(key)) continue;
+    bySubject.set(key, {
+      absenceMode: normalizeAbsenceMode(row.absence_mode),
+      participation: normalizeParticipationConfig(row),
+      retakePolicy: normalizeRetakePolicy(row.retake_policy),
+      rules: await gradingRuleService.loadProfileRules(row.profile_id)
+    });
+  }
+  return bySubject;
 }
 
-function isValidGradeValue(value) {
-  const numeric = Number(value);
-  return Number.isFinite(numeric) && numeric >= 1 && numeric <= 5;
+// Gleiche Einstellungen wie in der Lehreransicht: das Profil der Fachzuordnung, sonst das Standardprofil der Lehrkraft.
+// Fächer ohne Zuordnung bekommen die Vorgaben, nie das Profil eines anderen Fachs.
+function resolveGradingProfile(gradingProfiles, subjectId) {
+  return (
+    gradingProfiles?.get(String(subjectId)) || {
+      absenceMode: DEFAULT_ABSENCE_MODE,
+      participation: normalizeParticipationConfig({}),
+      retakePolicy: DEFAULT_RETAKE_POLICY,
+      rules: []
+    }
+  );
 }
 
-function isValidWeightValue(value) {
-  const numeric = Number(value);
-  return Number.isFinite(numeric) && numeric >= 0;
+async function loadStudentParticipationMarks(studentId, classId) {
+  return allAsync(
+    `SELECT pm.subject_id, s.name AS subject_name, pm.symbol
+     FROM participation_marks pm
+     LEFT JOIN subjects s ON s.id = pm.subject_id
+     WHERE pm.student_id = ? AND pm.class_id = ?`,
+    [studentId, classId]
+  );
 }
 
-async function loadClassAbsenceMode(classId) {
-  const row = await getAsync(
-    `SELECT gp.absence_mode
-     FROM class_subject_teacher cst
-     JOIN classes c ON c.id = cst.class_id
-     LEFT JOIN teacher_grading_profiles gp ON gp.teacher_id = cst.teacher_id AND gp.is_active = ?
-     WHERE c.id = ?
-     ORDER BY gp.created_at ASC, gp.id ASC
-     LIMIT 1`,
-    [true, classId]
+async function loadClassParticipationMarks(classId) {
+  return allAsync(
+    `SELECT pm.subject_id, s.name AS subject_name, pm.symbol
+     FROM participation_marks pm
+     LEFT JOIN subjects s ON s.id = pm.subject_id
+     WHERE pm.class_id = ?`,
+    [classId]
   );
-  return normalizeAbsenceMode(row?.absence_mode);
 }
 
 async function loadStudentGrades(studentId) {
   return allAsync(
-    `SELECT g.id, g.grade, g.note, g.created_at, g.is_absent, g.excluded_from_average, gt.id as template_id, gt.name, gt.category, gt.weight, gt.date, gt.description, s.name as subject_name, gt.subject_id, c.subject as class_subject,
+    `SELECT g.id, g.grade, g.note, g.created_at, g.is_absent, ga.status as absence_status, ga.makeup_date, g.excluded_from_average, gt.id as template_id, gt.name, gt.category, gt.weight, gt.date, gt.description, s.name as subject_name, gt.subject_id, c.subject as class_subject,
             COALESCE((
               SELECT STRING_AGG(teacher_rows.email, ', ')
               FROM (
@@ -152,14 +217,16 @@ async function loadStudentGrades(studentId) {
                 ORDER BY u.email
               ) AS teacher_rows
             ), '') AS teacher_email,
-            g.attachment_path, g.attachment_original_name, g.attachment_mime, g.attachment_size, g.external_link, 0 as is_special
+            g.attachment_path, g.attachment_original_name, g.attachment_mime, g.attachment_size, g.external_link, gt.retake_of_template_id, rt.name AS retake_of_name, 0 as is_special
      FROM grades g
      JOIN grade_templates gt ON gt.id = g.grade_template_id
      JOIN classes c ON c.id = g.class_id
      LEFT JOIN subjects s ON s.id = gt.subject_id
-     WHERE g.student_id = ?
+     LEFT JOIN grade_templates rt ON rt.id = gt.retake_of_template_id
+     LEFT JOIN grade_absences ga ON ga.grade_id = g.id
+     WHERE g.student_id = ? AND g.published_at IS NOT NULL
      UNION ALL
-     SELECT sa.id, sa.grade, sa.description as note, sa.created_at, false as is_absent, sa.excluded_from_average, NULL as template_id, sa.name, sa.type as category, sa.weight, sa.created_at as date, sa.description, ss.name as subject_name, sa.subject_id, c.subject as class_subject,
+     SELECT sa.id, sa.grade, sa.description as note, sa.created_at, false as is_absent, NULL as absence_status, NULL as makeup_date, sa.excluded_from_average, NULL as template_id, sa.name, sa.type as category, sa.weight, sa.created_at as date, sa.description, ss.name as subject_name, sa.subject_id, c.subject as class_subject,
             COALESCE((
               SELECT STRING_AGG(teacher_rows.email, ', ')
               FROM (
@@ -170,7 +237,7 @@ async function loadStudentGrades(studentId) {
                 ORDER BY u.email
               ) AS teacher_rows
             ), '') AS teacher_email,
-            NULL as attachment_path, NULL as attachment_original_name, NULL as attachment_mime, NULL as attachment_size, NULL as external_link, 1 as is_special
+            NULL as attachment_path, NULL as attachment_original_name, NULL as attachment_mime, NULL as attachment_size, NULL as external_link, NULL as retake_of_template_id, NULL as retake_of_name, 1 as is_special
      FROM special_assessments sa
      JOIN classes c ON c.id = sa.class_id
      LEFT JOIN subjects ss ON ss.id = sa.subject_id
@@ -182,7 +249,7 @@ async function loadStudentGrades(studentId) {
 
 async function loadTemplates(classId) {
   return allAsync(
-    `SELECT gt.id, gt.name, gt.category, gt.weight, gt.date, gt.description, s.name AS subject_name, gt.subject_id
+    `SELECT gt.id, gt.name, gt.category, gt.weight, gt.date, gt.description, s.name AS subject_name, gt.subject_id, gt.retake_of_template_id
      FROM grade_templates gt
      JOIN classes c ON c.id = gt.class_id
      LEFT JOIN subjects s ON s.id = gt.subject_id
@@ -206,15 +273,16 @@ async function loadArchivedTemplates(classId) {
 
 async function loadClassGradeRows(classId) {
   return allAsync(
-    `SELECT subj.name as subject, g.grade as value, gt.weight, g.is_absent, g.excluded_from_average
+    `SELECT subj.name as subject, gt.subject_id, g.grade as value, gt.weight, g.is_absent, ga.status as absence_status, ga.makeup_date, g.excluded_from_average, g.student_id, g.grade_template_id as template_id, gt.retake_of_template_id
      FROM grades g
      JOIN students student ON student.id = g.student_id
      JOIN grade_templates gt ON gt.id = g.grade_template_id
      JOIN classes c ON c.id = g.class_id
      LEFT JOIN subjects subj ON subj.id = gt.subject_id
-     WHERE student.class_id = ?
+     LEFT JOIN grade_absences ga ON ga.grade_id = g.id
+     WHERE student.class_id = ? AND g.published_at IS NOT NULL
      UNION ALL
-     SELECT subj.name as subject, sa.grade as value, sa.weight, false as is_absent, sa.excluded_from_average
+     SELECT subj.name as subject, sa.subject_id, sa.grade as value, sa.weight, false as is_absent, NULL as absence_status, NULL as makeup_date, sa.excluded_from_average, sa.student_id, NULL as template_id, NULL as retake_of_template_id
      FROM special_assessments sa
      JOIN classes c ON c.id = sa.class_id
      LEFT JOIN subjects subj ON subj.id = sa.subject_id
@@ -241,13 +309,14 @@ async function loadGradeMessages(studentId) {
   );
 }
 
-function mapGradeRow(row, classInfo) {
+function mapGradeRow(row, classInfo, gradingProfiles, gradeScales) {
   const subject = resolveSubjectLabel(row, classInfo);
   const gradedAt = row.date || row.created_at;
   const isSpecial = Boolean(row.is_special);
   const title = row.name || row.category || "Leistung";
   const category = row.category || (isSpecial ? "Sonderleistung" : "");
   const excludedFromAverage = Boolean(row.excluded_from_average);
+  const gradeScale = gradeScales?.get(String(row.subject_id)) || null;
   let comment = row.note || "";
   if (isSpecial) {
     const displayName = row.name || row.category || "Sonderleistung";
@@ -257,12 +326,20 @@ function mapGradeRow(row, classInfo) {
   return {
     id: row.id,
     value: row.grade == null ? null : Number(row.grade),
+    value_label: gradeScale ? formatGradeLabel(row.grade, gradeScale) : null,
     weight: row.weight == null ? 1 : Number(row.weight),
     is_absent: Boolean(row.is_absent),
+    absence_status: row.absence_status || null,
+    makeup_date: row.makeup_date || null,
     title,
     category,
     subject,
     subject_id: hasMappedSubjectId(row.subject_id) ? Number(row.subject_id) : null,
+    absence_mode: resolveGradingProfile(gradingProfiles, row.subject_id).absenceMode,
+    template_id: row.template_id ?? null,
+    retake_of_template_id: row.retake_of_template_id ?? null,
+    retake_of_name: row.retake_of_name || null,
+    retake_policy: resolveGradingProfile(gradingProfiles, row.subject_id).retakePolicy,
     teacher: row.teacher_email || classInfo?.teacher_email || null,
     comment,
     graded_at: gradedAt,
@@ -271,27 +348,40 @@ function mapGradeRow(row, classInfo) {
   };
 }
 
-function mapTaskRow(template, gradeRow, classInfo) {
+// Versäumte Prüfungen mit Nachtermin bleiben als offene Aufgabe mit dem neuen Datum stehen.
+function mapTaskRow(template, gradeRow, classInfo, absencesByGrade = new Map()) {
+  const absence = gradeRow ? absencesByGrade.get(String(gradeRow.id)) : null;
+  const makeup = Boolean(absence?.makeup_open);
   return {
     id: template.id,
     title: template.name,
     category: template.category,
     weight: Number(template.weight || 0),
-    due_at: template.date || null,
+    due_at: makeup ? absence.makeup_date : template.date || null,
     description: template.description || "",
     subject: resolveSubjectLabel(template, classInfo),
-    graded: Boolean(gradeRow && gradeRow.id),
-    grade: gradeRow ? Number(gradeRow.grade) : null,
-    graded_at: gradeRow?.created_at || null,
-    note: gradeRow?.note || null
+    graded: Boolean(gradeRow && gradeRow.id) && !makeup,
+    grade: gradeRow && !makeup ? Number(gradeRow.grade) : null,
+    graded_at: makeup ? null : gradeRow?.created_at || null,
+    note: gradeRow?.note || null,
+    makeup,
+    makeup_label: makeup ? absence.makeup_label : null,
+    absence_status_label: absence ? absence.status_label : null
   };
 }
 
-function mapReturnRow(row, classInfo, messagesByGrade = new Map()) {
+function mapReturnRow(
+  row,
+  classInfo,
+  messagesByGrade = new Map(),
+  viewOptions = {},
+  rubricsByGrade = new Map()
+) {
   const subject = resolveSubjectLabel(row, classInfo);
+  const basePath = viewOptions.basePath || "/student";
   const hasFile = Boolean(row.attachment_path);
   const hasLink = Boolean(row.external_link);
-  const canMessage = Boolean(row.template_id && !row.is_special);
+  const canMessage = Boolean(row.template_id && !row.is_special && !viewOptions.readOnly);
   const messages = canMessage ? messagesByGrade.get(String(row.id)) || [] : [];
   const threadClosedAt = messages.reduce((latest, message) => {
     const hiddenAt = message.student_hidden_at || null;
@@ -309,69 +399,148 @@ function mapReturnRow(row, classInfo, messagesByGrade = new Map()) {
     graded_at: row.created_at || row.date || null,
     note: row.note || "",
     subject,
-    attachment_download_url: hasFile ? `/student/returns/${row.id}/attachment` : null,
+    attachment_download_url: hasFile ? `${basePath}/returns/${row.id}/attachment` : null,
     attachment_name: hasFile ? row.attachment_original_name || null : null,
     attachment_mime: hasFile ? row.attachment_mime || null : null,
     attachment_size: hasFile ? row.attachment_size || null : null,
     external_link: hasLink ? row.external_link : null,
+    rubric: row.is_special ? null : rubricsByGrade.get(String(row.id)) || null,
     can_message: canMessage,
     thread_closed_at: threadClosedAt,
     messages
   };
 }
 
-function computeAverages(grades, options = {}) {
-  const absenceMode = normalizeAbsenceMode(options.absenceMode);
-  const subjectMap = new Map();
-  let weightedSum = 0;
-  let weightTotal = 0;
+function buildParticipationRows(marks, gradingProfiles, resolveSubject) {
+  return (marks || []).flatMap((mark) =>
+    buildParticipationAverageRows(
+      [{ symbol: mark.symbol, subject: resolveSubject(mark) }],
+      resolveGradingProfile(gradingProfiles, mark.subject_id).participation
+    )
+  );
+}
 
+// Berechnungsregeln gelten je Schüler und Fach, daher nicht für die Klassenschnitte.
+function buildRulesBySubject(grades, gradingProfiles) {
+  const rulesBySubject = {};
   grades.forEach((grade) => {
-    if (grade?.excluded_from_average) return;
-    if (grade?.is_absent && absenceMode === ABSENCE_MODE_EXCLUDE) return;
-    const value = Number(grade?.value);
-    const weight = grade?.weight == null ? 1 : Number(grade.weight);
-    if (!isValidGradeValue(value) || !isValidWeightValue(weight)) return;
-    weightedSum += value * weight;
-    weightTotal += weight;
-
-    const bucket = subjectMap.get(grade.subject) || { weightedSum: 0, weightTotal: 0 };
-    bucket.weightedSum += value * weight;
-    bucket.weightTotal += weight;
-    subjectMap.set(grade.subject, bucket);
+    if (!grade.subject || rulesBySubject[grade.subject]) return;
+    const rules = resolveGradingProfile(gradingProfiles, grade.subject_id).rules;
+    if (rules && rules.length) rulesBySubject[grade.subject] = rules;
   });
+  return rulesBySubject;
+}
 
-  const subjects = Array.from(subjectMap.entries()).map(([subject, info]) => ({
-    subject,
-    average: info.weightTotal ? Number((info.weightedSum / info.weightTotal).toFixed(2)) : null
+function computeClassAverages(rows, participationMarks, gradingProfiles) {
+  const gradeRows = rows.map((row) => ({
+    ...row,
+    absence_mode: resolveGradingProfile(gradingProfiles, row.subject_id).absenceMode,
+    retake_policy: resolveGradingProfile(gradingProfiles, row.subject_id).retakePolicy
   }));
+  const participationRows = buildParticipationRows(
+    participationMarks,
+    gradingProfiles,
+    (mark) => mark.subject_name
+  );
+  return computeSubjectAverages([...gradeRows, ...participationRows]).subjects;
+}
 
-  return {
-    subjects,
-    overall: weightTotal ? Number((weightedSum / weightTotal).toFixed(2)) : null
-  };
+function createWhatIfError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
 }
 
-function computeClassAverages(rows, options = {}) {
-  const absenceMode = normalizeAbsenceMode(options.absenceMode);
-  const bucket = new Map();
-  rows.forEach((row) => {
-    if (row?.excluded_from_average) return;
-    if (row?.is_absent && absenceMode === ABSENCE_MODE_EXCLUDE) return;
-    const value = Number(row?.value);
-    const weight = row?.weight == null ? 1 : Number(row.weight);
-    if (!isValidGradeValue(value) || !isValidWeightValue(weight)) return;
-    const key = row.subject || "Ohne Fachzuordnung";
-    const entry = bucket.get(key) || { weightedSum: 0, weightTotal: 0 };
-    entry.weightedSum += value * weight;
-    entry.weightTotal += weight;
-    bucket.set(key, entry);
+// Was-wäre-wenn für ein Fach: offene Prüfungen mit angenommenen Noten (grade_<Prüfungs-ID>) und optionaler Wunschnote (target).
+async function buildWhatIfProjection(context, subject, query) {
+  const { student, classInfo, gradingProfiles, gradeScales } = context;
+  const [gradeRows, templates, participationRows] = await Promise.all([
+    loadStudentGrades(student.id),
+    loadTemplates(student.class_id),
+    loadStudentParticipationRows(context)
+  ]);
+  const grades = gradeRows
+    .map((row) => mapGradeRow(row, classInfo, gradingProfiles, gradeScales))
+    .filter((grade) => grade.subject === subject);
+  const gradedTemplateIds = new Set(
+    gradeRows.filter((row) => row.template_id != null).map((row) => String(row.template_id))
+  );
+  const openTemplates = templates.filter(
+    (template) =>
+      resolveSubjectLabel(template, classInfo) === subject && !gradedTemplateIds.has(String(template.id))
+  );
+  if (!grades.length && !openTemplates.length) {
+    throw createWhatIfError("Fach nicht gefunden.", 404);
+  }
+
+  const subjectId = (openTemplates[0] || grades[0]).subject_id;
+  const profile = resolveGradingProfile(gradingProfiles, subjectId);
+  const scale = gradeScales?.get(String(subjectId)) || null;
+  const options = {
+    absenceMode: profile.absenceMode,
+    retakePolicy: profile.retakePolicy,
+    rules: profile.rules,
+    scale
+  };
+  const rows = [...grades, ...participationRows.filter((row) => row.subject === subject)];
+
+  const assumedRows = [];
+  const openRows = [];
+  const openTasks = openTemplates.map((template) => {
+    const row = {
+      template_id: template.id,
+      title: template.name,
+      category: template.category || "",
+      subject,
+      weight: template.weight == null ? 1 : Number(template.weight),
+      retake_of_template_id: template.retake_of_template_id ?? null
+    };
+    const input = String(query[`grade_${template.id}`] ?? "").trim();
+    const value = parseGradeInput(input, scale);
+    if (input && value == null) {
+      throw createWhatIfError(`Ungültige Note bei „${template.name}“.`);
+    }
+    if (value == null) openRows.push(row);
+    else assumedRows.push({ ...row, value });
+    return {
+      id: template.id,
+      title: template.name,
+      category: row.category,
+      weight: row.weight,
+      due_at: template.date || null,
+      assumed_grade: value
+    };
   });
 
-  return Array.from(bucket.entries()).map(([subject, info]) => ({
+  const current = projectAverage(rows, [], options);
+  const projection = projectAverage(rows, assumedRows, options);
+  const result = {
     subject,
-    average: info.weightTotal ? Number((info.weightedSum / info.weightTotal).toFixed(2)) : null
-  }));
+    current: { average: current.average, label: scale ? formatGradeLabel(current.average, scale) : null },
+    projection: {
+      ...projection,
+      label: scale ? formatGradeLabel(projection.average, scale) : null
+    },
+    open_tasks: openTasks,
+    target: null
+  };
+
+  const targetInput = String(query.target ?? "").trim();
+  if (targetInput) {
+    const targetGrade = parseGradeInput(targetInput, scale);
+    if (targetGrade == null) throw createWhatIfError("Ungültige Wunschnote.");
+    const solved = solveRequiredGrade([...rows, ...assumedRows], openRows, targetGrade, options);
+    result.target = {
+      grade: targetGrade,
+      label: formatGradeLabel(targetGrade, scale),
+      reachable: solved.reachable,
+      required_grade: solved.required_grade,
+      required_label: formatGradeLabel(solved.required_grade, scale),
+      open_count: openRows.length,
+      projected_average: solved.projection.average
+    };
+  }
+  return result;
 }
 
 function escapeCsv(value) {
@@ -383,64 +552,28 @@ function escapeCsv(value) {
   return guarded;
 }
 
-function sanitizePdfText(value) {
-  return String(value || "")
-    .replace(/\\/g, "\\\\")
-    .replace(/\(/g, "\\(")
-    .replace(/\)/g, "\\)")
-    .replace(/[^\x20-\x7E]/g, "?");
-}
-
-function buildPdf(lines) {
-  const safeLines = lines.map((line) => sanitizePdfText(line));
-  const contentLines = ["BT", "/F1 12 Tf", "14 TL", "72 760 Td"];
-
-  safeLines.forEach((line, index) => {
-    contentLines.push(`(${line}) Tj`);
-    if (index < safeLines.length - 1) {
-      contentLines.push("T*");
-    }
-  });
-
-  contentLines.push("ET");
-  const content = contentLines.join("\n");
-
-  const objects = [
-    "1 0 obj\n<< /Type /Catalog /Pages 2 0 R >>\nendobj\n",
-    "2 0 obj\n<< /Type /Pages /Kids [3 0 R] /Count 1 >>\nendobj\n",
-    "3 0 obj\n<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>\nendobj\n",
-    `4 0 obj\n<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`,
-    "5 0 obj\n<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>\nendobj\n"
-  ];
-
-  let pdf = "%PDF-1.4\n";
-  const offsets = [0];
-  let currentOffset = pdf.length;
-
-  objects.forEach((obj) => {
-    offsets.push(currentOffset);
-    pdf += obj;
-    currentOffset = pdf.length;
-  });
-
-  const xrefOffset = currentOffset;
-  pdf += `xref\n0 ${objects.length + 1}\n`;
-  pdf += "0000000000 65535 f \n";
-  offsets.slice(1).forEach((offset) => {
-    pdf += `${String(offset).padStart(10, "0")} 00000 n \n`;
-  });
-
-  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
-
-  return pdf;
+function resolveViewOptions(req) {
+  return {
+    basePath: req.baseUrl || "/student",
+    readOnly: Boolean(req.guardianStudent)
+  };
 }
 
 async function getStudentContext(req) {
-  const student = await loadStudentProfile(req.session.user.email);
+  const student = await loadStudentProfile(req.guardianStudent?.email || req.session.user.email);
   if (!student) return null;
   const classInfo = await loadClassInfo(student.class_id);
-  const classAbsenceMode = await loadClassAbsenceMode(student.class_id);
-  return { student, classInfo, classAbsenceMode };
+  const gradingProfiles = await loadSubjectGradingProfiles(student.class_id);
+  const gradeScales = await gradeScaleService.mapScalesBySubject(student.class_id);
+  const terms = await termService.listTerms(student.school_year_id);
+  return { student, classInfo, gradingProfiles, gradeScales, terms };
+}
+
+async function loadStudentParticipationRows(context) {
+  const marks = await loadStudentParticipationMarks(context.student.id, context.student.class_id);
+  return buildParticipationRows(marks, context.gradingProfiles, (mark) =>
+    resolveSubjectLabel(mark, context.classInfo)
+  );
 }
 
 function wantsJson(req) {
@@ -449,15 +582,15 @@ function wantsJson(req) {
   return String(req.get("Accept") || "").toLowerCase().includes("application/json");
 }
 
-function buildStudentPageUrl(page, query = {}) {
+function buildStudentPageUrl(page, query = {}, basePath = "/student") {
   const normalizedPage = String(page || "overview").trim().toLowerCase();
   const pagePathByKey = {
-    overview: "/student",
-    tasks: "/student/tasks",
-    returns: "/student/returns",
-    requests: "/student/requests",
-    grades: "/student/grades",
-    archive: "/student/archive"
+    overview: basePath,
+    tasks: `${basePath}/tasks`,
+    returns: `${basePath}/returns`,
+    requests: `${basePath}/requests`,
+    grades: `${basePath}/grades`,
+    archive: `${basePath}/archive`
   };
   const pathname = pagePathByKey[normalizedPage];
   if (!pathname) return null;
@@ -482,17 +615,29 @@ async function buildStudentDashboardViewModel(req) {
   const context = await getStudentContext(req);
   if (!context) return null;
 
-  const { student, classInfo, classAbsenceMode } = context;
-  const [gradeRows, templates, archivedTemplates, classRows, notifications, classSubjects] = await Promise.all([
+  const { student, classInfo, gradingProfiles, gradeScales } = context;
+  const [
+    gradeRows,
+    templates,
+    archivedTemplates,
+    classRows,
+    notifications,
+    classSubjects,
+    participationRows,
+    classParticipationMarks
+  ] = await Promise.all([
     loadStudentGrades(student.id),
     loadTemplates(student.class_id),
     loadArchivedTemplates(student.class_id),
     loadClassGradeRows(student.class_id),
     loadNotifications(student.id),
-    loadClassSubjects(student.class_id)
+    loadClassSubjects(student.class_id),
+    loadStudentParticipationRows(context),
+    loadClassParticipationMarks(student.class_id)
   ]);
+  const absencesByGrade = await absenceService.mapStudentAbsences(student.id);
 
-  const grades = gradeRows.map((row) => mapGradeRow(row, classInfo));
+  const grades = gradeRows.map((row) => mapGradeRow(row, classInfo, gradingProfiles, gradeScales));
   const subjectSet = new Set(
     classSubjects.map((entry) => String(entry.subject_name || "").trim()).filter(Boolean)
   );
@@ -501,14 +646,15 @@ async function buildStudentDashboardViewModel(req) {
   });
 
   const subjects = Array.from(subjectSet).filter(Boolean);
-  const averages = computeAverages(grades, { absenceMode: classAbsenceMode });
+  const rulesBySubject = buildRulesBySubject(grades, gradingProfiles);
+  const averages = computeSubjectAverages([...grades, ...participationRows], { rulesBySubject });
   const gradeByTemplate = new Map(
     gradeRows
       .filter((row) => row.template_id != null)
       .map((row) => [String(row.template_id), row])
   );
   const tasks = templates.map((template) =>
-    mapTaskRow(template, gradeByTemplate.get(String(template.id)), classInfo)
+    mapTaskRow(template, gradeByTemplate.get(String(template.id)), classInfo, absencesByGrade)
   );
   const archivedTasks = archivedTemplates.map((template) =>
     mapTaskRow(template, gradeByTemplate.get(String(template.id)), classInfo)
@@ -530,10 +676,12 @@ async function buildStudentDashboardViewModel(req) {
     });
     messagesByGrade.set(key, list);
   });
+  const viewOptions = resolveViewOptions(req);
+  const rubricsByGrade = await rubricService.mapFilledRubricsForStudent(student.id);
   const returns = gradeRows
-    .map((row) => mapReturnRow(row, classInfo, messagesByGrade))
+    .map((row) => mapReturnRow(row, classInfo, messagesByGrade, viewOptions, rubricsByGrade))
     .sort((a, b) => new Date(b.graded_at) - new Date(a.graded_at));
-  const classAverages = computeClassAverages(classRows, { absenceMode: classAbsenceMode });
+  const classAverages = computeClassAverages(classRows, classParticipationMarks, gradingProfiles);
   const csrfToken = req.csrfToken();
   const studentProfile = {
     name: student.name,
@@ -548,9 +696,15 @@ async function buildStudentDashboardViewModel(req) {
     tasks,
     archivedTasks,
     returns,
+    viewOptions,
     initialData: {
       currentUserEmail: req.session.user.email,
+      basePath: viewOptions.basePath,
+      readOnly: viewOptions.readOnly,
       grades,
+      participationRows,
+      rulesBySubject,
+      terms: context.terms,
       averages,
       tasks,
       archivedTasks,
@@ -584,13 +738,19 @@ async function renderStudentDashboardPage(req, res, activePage) {
     query: String(req.query.query || "").trim(),
     startDate: String(req.query.startDate || "").trim(),
     endDate: String(req.query.endDate || "").trim(),
-    sort: String(req.query.sort || "date").trim().toLowerCase() === "value" ? "value" : "date"
+    sort: String(req.query.sort || "date").trim().toLowerCase() === "value" ? "value" : "date",
+    term: viewModel.context.terms.some((term) => String(term.id) === String(req.query.term || ""))
+      ? String(req.query.term)
+      : ""
   };
 
   return res.render("student-dashboard", {
     activePage,
     activeSchoolYear: req.res?.locals?.activeSchoolYear || null,
     email: req.session.user.email,
+    viewerRole: req.session.user.role,
+    basePath: viewModel.viewOptions.basePath,
+    readOnly: viewModel.viewOptions.readOnly,
     studentProfile: viewModel.studentProfile,
     subjects: viewModel.subjects,
     tasks: viewModel.tasks,
@@ -609,7 +769,7 @@ router.get("/", async (req, res, next) => {
   try {
     const requestedPage = String(req.query.page || "").trim().toLowerCase();
     if (requestedPage) {
-      const legacyTarget = buildStudentPageUrl(requestedPage, req.query);
+      const legacyTarget = buildStudentPageUrl(requestedPage, req.query, resolveViewOptions(req).basePath);
       if (legacyTarget) {
         return res.redirect(legacyTarget);
       }
@@ -657,10 +817,11 @@ router.get("/grades", async (req, res, next) => {
 
     const { student, classInfo } = context;
     const gradeRows = await loadStudentGrades(student.id);
-    let grades = gradeRows.map((row) => mapGradeRow(row, classInfo));
+    let grades = gradeRows.map((row) => mapGradeRow(row, classInfo, context.gradingProfiles, context.gradeScales));
 
     const subject = String(req.query.subject || "").trim();
     const query = String(req.query.query || "").trim().toLowerCase();
+    const term = context.terms.find((entry) => String(entry.id) === String(req.query.term || "")) || null;
     const startDate = req.query.startDate ? new Date(req.query.startDate) : null;
     const endDate = req.query.endDate ? new Date(req.query.endDate) : null;
 
@@ -671,6 +832,7 @@ router.get("/grades", async (req, res, next) => {
     if (subject) {
       grades = grades.filter((grade) => grade.subject === subject);
     }
+    grades = filterRowsByTerm(grades, term);
     if (query) {
       grades = grades.filter((grade) =>
         [grade.subject, grade.title, grade.category, grade.comment, grade.teacher]
@@ -698,7 +860,8 @@ router.get("/grades", async (req, res, next) => {
       grades.sort((a, b) => new Date(b.graded_at) - new Date(a.graded_at));
     }
 
-    res.json({ grades });
+    const participationRows = filterRowsByTerm(await loadStudentParticipationRows(context), term);
+    res.json({ grades, participationRows });
   } catch (err) {
     next(err);
   }
@@ -718,13 +881,14 @@ router.get("/tasks", async (req, res, next) => {
     const { student } = context;
     const templates = await loadTemplates(student.class_id);
     const gradeRows = await loadStudentGrades(student.id);
+    const absencesByGrade = await absenceService.mapStudentAbsences(student.id);
     const gradeByTemplate = new Map(
       gradeRows
         .filter((row) => row.template_id != null)
         .map((row) => [String(row.template_id), row])
     );
     const tasks = templates.map((template) =>
-      mapTaskRow(template, gradeByTemplate.get(String(template.id)), context.classInfo)
+      mapTaskRow(template, gradeByTemplate.get(String(template.id)), context.classInfo, absencesByGrade)
     );
     res.json({ tasks });
   } catch (err) {
@@ -791,8 +955,11 @@ router.get("/returns", async (req, res, next) => {
       });
       messagesByGrade.set(key, list);
     });
+    const rubricsByGrade = await rubricService.mapFilledRubricsForStudent(context.student.id);
     const returns = gradeRows
-      .map((row) => mapReturnRow(row, context.classInfo, messagesByGrade))
+      .map((row) =>
+        mapReturnRow(row, context.classInfo, messagesByGrade, resolveViewOptions(req), rubricsByGrade)
+      )
       .sort((a, b) => new Date(b.graded_at) - new Date(a.graded_at));
     res.json({ returns });
   } catch (err) {
@@ -821,7 +988,7 @@ router.post("/returns/:gradeId/message", async (req, res, next) => {
     }
 
     const grade = await getAsync(
-      "SELECT id, student_id, grade_template_id FROM grades WHERE id = ? AND student_id = ?",
+      "SELECT id, student_id, grade_template_id FROM grades WHERE id = ? AND student_id = ? AND published_at IS NOT NULL",
       [gradeId, context.student.id]
     );
     if (!grade) {
@@ -849,6 +1016,7 @@ router.post("/returns/:gradeId/message", async (req, res, next) => {
       "INSERT INTO grade_messages (grade_id, student_id, student_message) VALUES (?,?,?)",
       [gradeId, context.student.id, message]
     );
+    await notificationService.notifyTeacherOfQuestion(gradeId, context.student.name);
     return res.json({ ok: true });
   } catch (err) {
     next(err);
@@ -868,7 +1036,7 @@ router.post("/returns/:gradeId/messages/hide", async (req, res, next) => {
     }
 
     const grade = await getAsync(
-      "SELECT id, grade_template_id FROM grades WHERE id = ? AND student_id = ?",
+      "SELECT id, grade_template_id FROM grades WHERE id = ? AND student_id = ? AND published_at IS NOT NULL",
       [gradeId, context.student.id]
     );
     if (!grade) {
@@ -903,7 +1071,7 @@ router.post("/returns/:gradeId/messages/seen", async (req, res, next) => {
       return res.status(400).json({ error: "Ungültige Rückgabe-ID." });
     }
 
-    const grade = await getAsync("SELECT id FROM grades WHERE id = ? AND student_id = ?", [
+    const grade = await getAsync("SELECT id FROM grades WHERE id = ? AND student_id = ? AND published_at IS NOT NULL", [
       gradeId,
       context.student.id
     ]);
@@ -936,7 +1104,7 @@ router.get("/returns/:gradeId/attachment", async (req, res, next) => {
     }
 
     const row = await getAsync(
-      "SELECT attachment_path, attachment_original_name, attachment_mime FROM grades WHERE id = ? AND student_id = ?",
+      "SELECT attachment_path, attachment_original_name, attachment_mime FROM grades WHERE id = ? AND student_id = ? AND published_at IS NOT NULL",
       [gradeId, context.student.id]
     );
     if (!row || !row.attachment_path) {
@@ -972,12 +1140,35 @@ router.get("/class-averages", async (req, res, next) => {
     }
 
     const classRows = await loadClassGradeRows(context.student.class_id);
-    res.json({ subjects: computeClassAverages(classRows, { absenceMode: context.classAbsenceMode }) });
+    const classParticipationMarks = await loadClassParticipationMarks(context.student.class_id);
+    res.json({
+      subjects: computeClassAverages(classRows, classParticipationMarks, context.gradingProfiles)
+    });
   } catch (err) {
     next(err);
   }
 });
 
+router.get("/what-if", async (req, res, next) => {
+  try {
+    const context = await getStudentContext(req);
+    if (!context) {
+      return res.status(404).json({ error: "Student nicht gefunden." });
+    }
+
+    const subject = String(req.query.subject || "").trim();
+    if (!subject) {
+      return res.status(400).json({ error: "Bitte ein Fach auswählen." });
+    }
+    res.json(await buildWhatIfProjection(context, subject, req.query));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    next(err);
+  }
+});
+
 router.get("/notifications", async (req, res, next) => {
   try {
     const context = await getStudentContext(req);
@@ -1023,9 +1214,9 @@ router.get("/grades.csv", async (req, res, next) => {
 
     const { student, classInfo } = context;
     const gradeRows = await loadStudentGrades(student.id);
-    const grades = gradeRows.map((row) => mapGradeRow(row, classInfo));
+    const grades = gradeRows.map((row) => mapGradeRow(row, classInfo, context.gradingProfiles, context.gradeScales));
 
-    const header = ["Fach", "Datum", "Note", "Gewichtung", "Lehrkraft", "Kommentar"];
+    const header = ["Fach", "Datum", "Note", "Notenbezeichnung", "Gewichtung", "Lehrkraft", "Kommentar"];
     const lines = [header.map(escapeCsv).join(",")];
 
     grades.forEach((grade) => {
@@ -1034,6 +1225,7 @@ router.get("/grades.csv", async (req, res, next) => {
         grade.subject,
         dateLabel,
         Number(grade.value).toFixed(2),
+        grade.value_label || "",
         grade.weight,
         grade.teacher || "",
         grade.comment
@@ -1059,7 +1251,7 @@ router.get("/grades.pdf", async (req, res, next) => {
 
     const { student, classInfo } = context;
     const gradeRows = await loadStudentGrades(student.id);
-    const grades = gradeRows.map((row) => mapGradeRow(row, classInfo));
+    const grades = gradeRows.map((row) => mapGradeRow(row, classInfo, context.gradingProfiles, context.gradeScales));
 
     const lines = [
       "Notenübersicht",
@@ -1074,13 +1266,24 @@ router.get("/grades.pdf", async (req, res, next) => {
       const row = [
         grade.subject,
         dateLabel,
-        Number(grade.value).toFixed(2),
+        grade.value_label || Number(grade.value).toFixed(2),
         String(grade.weight || ""),
         grade.comment || ""
       ].join(" | ");
       lines.push(row);
     });
 
+    const participationRows = await loadStudentParticipationRows(context);
+    const averages = computeSubjectAverages([...grades, ...participationRows], {
+      rulesBySubject: buildRulesBySubject(grades, context.gradingProfiles)
+    });
+    lines.push("", "Durchschnitt je Fach");
+    averages.subjects.forEach((entry) => {
+      lines.push(`${entry.subject} | ${Number(entry.average).toFixed(2)}`);
+      (entry.explanations || []).forEach((explanation) => lines.push(`  ${explanation}`));
+    });
+    lines.push(`Gesamt | ${averages.overall == null ? "-" : Number(averages.overall).toFixed(2)}`);
+
     const pdf = buildPdf(lines);
     res.setHeader("Content-Type", "application/pdf");
     res.setHeader("Content-Disposition", "attachment; filename=grades.pdf");
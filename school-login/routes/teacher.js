@@ -7,11 +7,74 @@ const multer = require("multer");
 const csrf = require("csurf");
 const { db } = require("../db");
 const schoolYearModel = require("../models/schoolYearModel");
+const classProfileService = require("../services/classProfileService");
+const earlyWarningService = require("../services/earlyWarningService");
+const finalGradeService = require("../services/finalGradeService");
+const absenceService = require("../services/absenceService");
+const gradeCurveService = require("../services/gradeCurveService");
+const gradeHistoryService = require("../services/gradeHistoryService");
+const gradeReleaseService = require("../services/gradeReleaseService");
+const gradeScaleService = require("../services/gradeScaleService");
+const gradingRuleService = require("../services/gradingRuleService");
+const notificationService = require("../services/notificationService");
+const retakeService = require("../services/retakeService");
+const rubricService = require("../services/rubricService");
+const templateTaskService = require("../services/templateTaskService");
+const termService = require("../services/termService");
 const { listClasses: listAssignableClasses } = require("../models/assignmentModel");
-const { requireAuth, requireRole } = require("../middleware/auth");
+const { requireAuth, requirePermission, requireRole } = require("../middleware/auth");
 const { createAuditLogMiddleware } = require("../middleware/audit");
 const { deriveNameFromEmail } = require("../utils/studentName");
 const { ensureSubjectIdByName } = require("../utils/subjects");
+const {
+  DEFAULT_PROFILE_WEIGHTS,
+  TEMPLATE_CATEGORY_DEFINITIONS,
+  buildCategoryBadgeStyle,
+  buildCategorySlug,
+  buildCustomCategory,
+  buildProfileCategories,
+  findCategory,
+  normalizeCategoryColor,
+  normalizeCategoryKey,
+  validateCategories
+} = require("../utils/assessmentCategories");
+const {
+  ABSENCE_MODE_EXCLUDE,
+  ABSENCE_MODE_INCLUDE_ZERO,
+  DEFAULT_ABSENCE_MODE,
+  PARTICIPATION_SYMBOL_OPTIONS,
+  RETAKE_POLICY_OPTIONS,
+  applyRetakePolicy,
+  buildGradeFromPercent,
+  buildParticipationAverageRows,
+  buildScaleGradeFromPercent,
+  computePointTotalsWithParticipation,
+  computePointsPercent,
+  computeWeightedAverage,
+  evaluateGradingRules,
+  filterRowsByTerm,
+  findTermForDate,
+  formatGradeLabel,
+  getParticipationGrade,
+  getRetakePolicyLabel,
+  getWorstScaleValue,
+  isAbsenceWaived,
+  isCountedInAverage,
+  isGradeExcludedFromAverage,
+  isPassingGrade,
+  isValidGradeValue,
+  isValidWeightValue,
+  mapGradeToEstimatedPercent,
+  normalizeAbsenceMode,
+  normalizeParticipationConfig,
+  normalizeParticipationSymbol,
+  normalizeRetakePolicy,
+  normalizeThresholds,
+  parseGradeInput,
+  shouldSkipGradeForAbsence,
+  suggestFinalGrade,
+  summarizePointTotals
+} = require("../utils/gradingEngine");
 
 const runAsync = (sql, params = []) =>
   new Promise((resolve, reject) => {
@@ -37,7 +100,7 @@ const getAsync = (sql, params = []) =>
     });
   });
 
-router.use(requireAuth, requireRole("teacher"));
+router.use(requireAuth, requireRole("teacher"), requirePermission("teacher.access"));
 router.use(createAuditLogMiddleware());
 
 const csrfProtection = csrf({
@@ -73,82 +136,10 @@ const SCORING_MODE_OPTIONS = [
   { value: SCORING_MODE_POINTS_AND_GRADE, label: "Punkte und Noten" }
 ];
 const DEFAULT_SCORING_MODE = SCORING_MODE_POINTS_OR_GRADE;
-const ABSENCE_MODE_INCLUDE_ZERO = "include_zero";
-const ABSENCE_MODE_EXCLUDE = "exclude";
 const ABSENCE_MODE_OPTIONS = [
   { value: ABSENCE_MODE_INCLUDE_ZERO, label: "Mit 0% werten (schlechteste Leistung)" },
   { value: ABSENCE_MODE_EXCLUDE, label: "Nicht gewichten (neutral)" }
 ];
-const DEFAULT_ABSENCE_MODE = ABSENCE_MODE_INCLUDE_ZERO;
-const DEFAULT_GRADE_THRESHOLDS = {
-  grade1_min_percent: 88.5,
-  grade2_min_percent: 75,
-  grade3_min_percent: 62.5,
-  grade4_min_percent: 50
-};
-const PARTICIPATION_SYMBOL_OPTIONS = [
-  { value: "plus", label: "+" },
-  { value: "plus_tilde", label: "+~" },
-  { value: "neutral", label: "~" },
-  { value: "minus_tilde", label: "-~" },
-  { value: "minus", label: "-" }
-];
-const DEFAULT_PARTICIPATION_CONFIG = {
-  ma_enabled: false,
-  ma_weight: 5,
-  ma_grade_plus: 1.5,
-  ma_grade_plus_tilde: 2.5,
-  ma_grade_neutral: 3,
-  ma_grade_minus_tilde: 3.5,
-  ma_grade_minus: 4.5
-};
-const TEMPLATE_CATEGORY_DEFINITIONS = [
-  {
-    key: "Schularbeit",
-    slug: "schularbeit",
-    label: "Schularbeit",
-    aliases: ["schularbeit"]
-  },
-  {
-    key: "Test",
-    slug: "test",
-    label: "Test",
-    aliases: ["test"]
-  },
-  {
-    key: "Projekt",
-    slug: "projekt",
-    label: "Projekt",
-    aliases: ["projekt"]
-  },
-  {
-    key: "Haus\u00fcbung",
-    slug: "hausaufgabe",
-    label: "Hausaufgabe",
-    aliases: ["hausaufgabe", "hausuebung", "hausubung", "haus\u00fcbung", "hausübung"]
-  },
-  {
-    key: "Mitarbeit",
-    slug: "mitarbeit",
-    label: "Mitarbeit",
-    aliases: ["mitarbeit"]
-  },
-  {
-    key: "Wiederholung",
-    slug: "wiederholung",
-    label: "Wiederholung",
-    aliases: ["wiederholung"]
-  }
-];
-const DEFAULT_PROFILE_WEIGHTS = {
-  Schularbeit: 40,
-  Test: 20,
-  Projekt: 20,
-  "Haus\u00fcbung": 10,
-  Mitarbeit: 10,
-  Wiederholung: 0
-};
-const CATEGORY_BY_KEY = new Map(TEMPLATE_CATEGORY_DEFINITIONS.map((entry) => [entry.key, entry]));
 
 function sanitizeFilename(name) {
   return String(name || "datei")
@@ -178,25 +169,6 @@ function normalizeScoringMode(mode) {
   return validModes.has(normalized) ? normalized : DEFAULT_SCORING_MODE;
 }
 
-function normalizeAbsenceMode(mode) {
-  const normalized = String(mode || "").trim().toLowerCase();
-  const validModes = new Set(ABSENCE_MODE_OPTIONS.map((entry) => entry.value));
-  return validModes.has(normalized) ? normalized : DEFAULT_ABSENCE_MODE;
-}
-
-function normalizeThresholds(source = {}) {
-  const pick = (key, fallback) => {
-    const value = Number(source[key]);
-    return Number.isFinite(value) ? value : fallback;
-  };
-  return {
-    grade1_min_percent: pick("grade1_min_percent", DEFAULT_GRADE_THRESHOLDS.grade1_min_percent),
-    grade2_min_percent: pick("grade2_min_percent", DEFAULT_GRADE_THRESHOLDS.grade2_min_percent),
-    grade3_min_percent: pick("grade3_min_percent", DEFAULT_GRADE_THRESHOLDS.grade3_min_percent),
-    grade4_min_percent: pick("grade4_min_percent", DEFAULT_GRADE_THRESHOLDS.grade4_min_percent)
-  };
-}
-
 function parseThresholdsFromBody(body) {
   return normalizeThresholds({
     grade1_min_percent: parseNumericInput(body?.grade1_min_percent),
@@ -220,40 +192,6 @@ function validateThresholds(thresholds) {
   return null;
 }
 
-function buildGradeFromPercent(percent, thresholds) {
-  const value = Number(percent);
-  if (!Number.isFinite(value)) return null;
-  const t = normalizeThresholds(thresholds);
-  if (value >= t.grade1_min_percent) return 1;
-  if (value >= t.grade2_min_percent) return 2;
-  if (value >= t.grade3_min_percent) return 3;
-  if (value >= t.grade4_min_percent) return 4;
-  return 5;
-}
-
-function normalizeParticipationConfig(source = {}) {
-  const pick = (key, fallback) => {
-    const value = Number(source[key]);
-    return Number.isFinite(value) ? value : fallback;
-  };
-  const rawEnabled = source?.ma_enabled;
-  const enabled =
-    rawEnabled === true ||
-    rawEnabled === 1 ||
-    rawEnabled === "1" ||
-    rawEnabled === "true" ||
-    rawEnabled === "on";
-  return {
-    ma_enabled: enabled,
-    ma_weight: pick("ma_weight", DEFAULT_PARTICIPATION_CONFIG.ma_weight),
-    ma_grade_plus: pick("ma_grade_plus", DEFAULT_PARTICIPATION_CONFIG.ma_grade_plus),
-    ma_grade_plus_tilde: pick("ma_grade_plus_tilde", DEFAULT_PARTICIPATION_CONFIG.ma_grade_plus_tilde),
-    ma_grade_neutral: pick("ma_grade_neutral", DEFAULT_PARTICIPATION_CONFIG.ma_grade_neutral),
-    ma_grade_minus_tilde: pick("ma_grade_minus_tilde", DEFAULT_PARTICIPATION_CONFIG.ma_grade_minus_tilde),
-    ma_grade_minus: pick("ma_grade_minus", DEFAULT_PARTICIPATION_CONFIG.ma_grade_minus)
-  };
-}
-
 function parseParticipationConfigFromBody(body) {
   return normalizeParticipationConfig({
     ma_enabled: body?.ma_enabled,
@@ -297,47 +235,12 @@ function validateParticipationConfig(config) {
   return null;
 }
 
-function normalizeParticipationSymbol(symbol) {
-  const normalized = String(symbol || "").trim().toLowerCase();
-  if (normalized === "~") return "neutral";
-  if (normalized === "tilde") return "neutral";
-  return PARTICIPATION_SYMBOL_OPTIONS.some((entry) => entry.value === normalized) ? normalized : null;
-}
-
-function getParticipationGrade(symbol, config) {
-  const normalized = normalizeParticipationSymbol(symbol);
-  if (!normalized) return null;
-  const source = normalizeParticipationConfig(config);
-  if (normalized === "plus") return source.ma_grade_plus;
-  if (normalized === "plus_tilde") return source.ma_grade_plus_tilde;
-  if (normalized === "neutral") return source.ma_grade_neutral;
-  if (normalized === "minus_tilde") return source.ma_grade_minus_tilde;
-  if (normalized === "minus") return source.ma_grade_minus;
-  return null;
-}
-
 function getParticipationSymbolLabel(symbol) {
   const normalized = normalizeParticipationSymbol(symbol);
   const option = PARTICIPATION_SYMBOL_OPTIONS.find((entry) => entry.value === normalized);
   return option ? option.label : String(symbol || "");
 }
 
-function buildParticipationAverageRows(marks, config) {
-  const participation = normalizeParticipationConfig(config);
-  if (!participation.ma_enabled || participation.ma_weight <= 0) return [];
-  return (marks || [])
-    .map((mark) => {
-      const grade = getParticipationGrade(mark.symbol, participation);
-      if (!Number.isFinite(grade)) return null;
-      return {
-        grade,
-        weight: participation.ma_weight,
-        is_participation: true
-      };
-    })
-    .filter(Boolean);
-}
-
 function getScoringModeLabel(mode) {
   const normalized = normalizeScoringMode(mode);
   const entry = SCORING_MODE_OPTIONS.find((option) => option.value === normalized);
@@ -350,20 +253,18 @@ function parseNumericInput(value) {
   return Number(normalized);
 }
 
-function normalizeCategoryKey(value) {
-  const folded = foldText(value);
-  if (!folded) return null;
-  for (const category of TEMPLATE_CATEGORY_DEFINITIONS) {
-    const candidates = [category.key, category.label, category.slug, ...(category.aliases || [])];
-    if (candidates.some((candidate) => foldText(candidate) === folded)) {
-      return category.key;
-    }
-  }
-  return null;
+function getCategoryLabel(key, categories = TEMPLATE_CATEGORY_DEFINITIONS) {
+  return findCategory(key, categories)?.label || key;
 }
 
-function getCategoryLabel(key) {
-  return CATEGORY_BY_KEY.get(key)?.label || key;
+function describeCategory(value, categories = TEMPLATE_CATEGORY_DEFINITIONS) {
+  const category = findCategory(value, categories);
+  return {
+    category_key: category?.key || "",
+    category_label: category?.label || value || "",
+    category_slug: category?.slug || "",
+    category_style: category ? buildCategoryBadgeStyle(category) : ""
+  };
 }
 
 function formatWeightNumber(weight) {
@@ -376,17 +277,17 @@ function formatWeightLabel(weight, mode) {
   return `${formatWeightNumber(weight)} ${getWeightUnit(mode)}`;
 }
 
-function buildDefaultWeights(mode) {
+function buildDefaultWeights(mode, categories = TEMPLATE_CATEGORY_DEFINITIONS) {
   const weights = {};
-  TEMPLATE_CATEGORY_DEFINITIONS.forEach((category) => {
-    weights[category.key] = Number(DEFAULT_PROFILE_WEIGHTS[category.key] || 0);
+  categories.forEach((category) => {
+    weights[category.key] = Number(category.weight ?? DEFAULT_PROFILE_WEIGHTS[category.key] ?? 0);
   });
   return weights;
 }
 
-function mergeWeightsWithDefaults(rawWeights, mode) {
-  const merged = buildDefaultWeights(mode);
-  TEMPLATE_CATEGORY_DEFINITIONS.forEach((category) => {
+function mergeWeightsWithDefaults(rawWeights, mode, categories = TEMPLATE_CATEGORY_DEFINITIONS) {
+  const merged = buildDefaultWeights(mode, categories);
+  categories.forEach((category) => {
     if (!Object.prototype.hasOwnProperty.call(rawWeights || {}, category.key)) return;
     const value = Number(rawWeights[category.key]);
     if (Number.isFinite(value) && value >= 0) {
@@ -396,56 +297,101 @@ function mergeWeightsWithDefaults(rawWeights, mode) {
   return merged;
 }
 
-function parseWeightsFromBody(body) {
+function parseWeightsFromBody(body, categories = TEMPLATE_CATEGORY_DEFINITIONS) {
   const result = {};
-  TEMPLATE_CATEGORY_DEFINITIONS.forEach((category) => {
-    const raw = body ? body[`weight_${category.slug}`] : "";
+  categories.forEach((category) => {
+    const raw = body ? body[category.is_new ? "new_category_weight" : `weight_${category.slug}`] : "";
     result[category.key] = parseNumericInput(raw);
   });
   return result;
 }
 
-function computeWeightsTotal(weights) {
+function computeWeightsTotal(weights, categories = TEMPLATE_CATEGORY_DEFINITIONS) {
   return Number(
-    TEMPLATE_CATEGORY_DEFINITIONS.reduce((sum, category) => {
+    categories.reduce((sum, category) => {
       const value = Number(weights?.[category.key] || 0);
       return Number.isFinite(value) ? sum + value : sum;
     }, 0).toFixed(2)
   );
 }
 
-function validateWeights(mode, weights) {
-  for (const category of TEMPLATE_CATEGORY_DEFINITIONS) {
+function validateWeights(mode, weights, categories = TEMPLATE_CATEGORY_DEFINITIONS) {
+  for (const category of categories) {
     const value = Number(weights?.[category.key]);
     if (!Number.isFinite(value) || value < 0) {
-      return `Gewichtung f\u00fcr ${getCategoryLabel(category.key)} muss mindestens 0 sein.`;
+      return `Gewichtung f\u00fcr ${getCategoryLabel(category.key, categories)} muss mindestens 0 sein.`;
     }
   }
 
-  const total = computeWeightsTotal(weights);
+  const total = computeWeightsTotal(weights, categories);
   if (total <= 0) return "Die Summe der Punkte muss gr\u00f6\u00dfer als 0 sein.";
   return null;
 }
 
-async function loadProfileItems(profileId) {
+// Standardkategorien sind immer dabei; eigene Kategorien schickt das Formular über category_keys mit.
+function parseCategoriesFromBody(body) {
+  const keys = [
+    ...TEMPLATE_CATEGORY_DEFINITIONS.map((category) => category.key),
+    ...[].concat(body?.category_keys || []).map((key) => String(key).trim())
+  ];
+  const seenKeys = new Set();
+  const rows = [];
+  keys.forEach((key) => {
+    if (!key || seenKeys.has(key)) return;
+    seenKeys.add(key);
+    const builtin = findCategory(key);
+    if (builtin && builtin.key !== key) return;
+    const slug = builtin?.slug || buildCategorySlug(key);
+    if (!builtin && isCheckedInput(body?.[`remove_${slug}`])) return;
+    rows.push({
+      category: builtin?.key || key,
+      label: body?.[`label_${slug}`],
+      color: body?.[`color_${slug}`],
+      sort_order: rows.length
+    });
+  });
+  const categories = buildProfileCategories(rows);
+
+  const newLabel = String(body?.new_category_label || "").trim();
+  if (!newLabel) return { categories, error: null };
+  if (normalizeCategoryKey(newLabel, categories)) {
+    return { categories, error: `Die Kategorie „${newLabel}“ gibt es bereits.` };
+  }
+  const newCategory = {
+    ...buildCustomCategory({
+      category: newLabel,
+      label: newLabel,
+      color: normalizeCategoryColor(body?.new_category_color)
+    }),
+    is_new: true
+  };
+  return { categories: [...categories, newCategory], error: null };
+}
+
+function buildProfileItemRows(categories, weights) {
+  return categories.map((category, index) => {
+    const builtin = category.is_custom ? null : findCategory(category.key);
+    return {
+      category: category.key,
+      weight: Number(weights?.[category.key] || 0),
+      label: builtin && category.label === builtin.label ? null : category.label,
+      color: builtin && category.color === builtin.color ? null : category.color,
+      sort_order: index
+    };
+  });
+}
+
+async function loadProfileCategories(profileId) {
   const rows = await allAsync(
-    "SELECT category, weight FROM teacher_grading_profile_items WHERE profile_id = ?",
+    "SELECT category, weight, label, color, sort_order FROM teacher_grading_profile_items WHERE profile_id = ? ORDER BY sort_order ASC, id ASC",
     [profileId]
   );
-  const items = {};
-  rows.forEach((row) => {
-    const key = normalizeCategoryKey(row.category);
-    if (!key) return;
-    const value = Number(row.weight);
-    if (!Number.isFinite(value)) return;
-    items[key] = value;
-  });
-  return items;
+  return buildProfileCategories(rows);
 }
 
 async function loadTeacherProfiles(teacherId) {
   const profiles = await allAsync(
-    `SELECT id, teacher_id, name, weight_mode, scoring_mode, absence_mode, grade1_min_percent, grade2_min_percent, grade3_min_percent, grade4_min_percent, ma_enabled, ma_weight, ma_grade_plus, ma_grade_plus_tilde, ma_grade_neutral, ma_grade_minus_tilde, ma_grade_minus, is_active, created_at, updated_at
+    `SELECT id, teacher_id, name, weight_mode, scoring_mode, absence_mode, grade1_min_percent, grade2_min_percent, grade3_min_percent, grade4_min_percent, ma_enabled, ma_weight, ma_grade_plus, ma_grade_plus_tilde, ma_grade_neutral, ma_grade_minus_tilde, ma_grade_minus, retake_policy, is_active, created_at, updated_at
      FROM teacher_grading_profiles
      WHERE teacher_id = ?
      ORDER BY is_active DESC, created_at ASC, id ASC`,
@@ -458,13 +404,14 @@ async function loadTeacherProfiles(teacherId) {
     absence_mode: normalizeAbsenceMode(profile.absence_mode),
     thresholds: normalizeThresholds(profile),
     participation: normalizeParticipationConfig(profile),
+    retake_policy: normalizeRetakePolicy(profile.retake_policy),
     is_active: Boolean(profile.is_active)
   }));
 }
 
 async function loadTeacherProfileById(profileId, teacherId) {
   const profile = await getAsync(
-    `SELECT id, teacher_id, name, weight_mode, scoring_mode, absence_mode, grade1_min_percent, grade2_min_percent, grade3_min_percent, grade4_min_percent, ma_enabled, ma_weight, ma_grade_plus, ma_grade_plus_tilde, ma_grade_neutral, ma_grade_minus_tilde, ma_grade_minus, is_active, created_at, updated_at
+    `SELECT id, teacher_id, name, weight_mode, scoring_mode, absence_mode, grade1_min_percent, grade2_min_percent, grade3_min_percent, grade4_min_percent, ma_enabled, ma_weight, ma_grade_plus, ma_grade_plus_tilde, ma_grade_neutral, ma_grade_minus_tilde, ma_grade_minus, retake_policy, is_active, created_at, updated_at
      FROM teacher_grading_profiles
      WHERE id = ? AND teacher_id = ?`,
     [profileId, teacherId]
@@ -477,13 +424,14 @@ async function loadTeacherProfileById(profileId, teacherId) {
     absence_mode: normalizeAbsenceMode(profile.absence_mode),
     thresholds: normalizeThresholds(profile),
     participation: normalizeParticipationConfig(profile),
+    retake_policy: normalizeRetakePolicy(profile.retake_policy),
     is_active: Boolean(profile.is_active)
   };
 }
 
 async function loadActiveTeacherProfile(teacherId) {
   const activeProfile = await getAsync(
-    `SELECT id, teacher_id, name, weight_mode, scoring_mode, absence_mode, grade1_min_percent, grade2_min_percent, grade3_min_percent, grade4_min_percent, ma_enabled, ma_weight, ma_grade_plus, ma_grade_plus_tilde, ma_grade_neutral, ma_grade_minus_tilde, ma_grade_minus, is_active, created_at, updated_at
+    `SELECT id, teacher_id, name, weight_mode, scoring_mode, absence_mode, grade1_min_percent, grade2_min_percent, grade3_min_percent, grade4_min_percent, ma_enabled, ma_weight, ma_grade_plus, ma_grade_plus_tilde, ma_grade_neutral, ma_grade_minus_tilde, ma_grade_minus, retake_policy, is_active, created_at, updated_at
      FROM teacher_grading_profiles
      WHERE teacher_id = ? AND is_active = ?
      ORDER BY created_at ASC, id ASC
@@ -492,10 +440,9 @@ async function loadActiveTeacherProfile(teacherId) {
   );
 
   if (activeProfile) {
-    const weights = mergeWeightsWithDefaults(
-      await loadProfileItems(activeProfile.id),
-      activeProfile.weight_mode
-    );
+    const categories = await loadProfileCategories(activeProfile.id);
+    const weights = buildDefaultWeights(activeProfile.weight_mode, categories);
+    const rules = await gradingRuleService.loadProfileRules(activeProfile.id, categories);
     return {
       ...activeProfile,
       weight_mode: resolveWeightMode(activeProfile.weight_mode),
@@ -503,14 +450,17 @@ async function loadActiveTeacherProfile(teacherId) {
       absence_mode: normalizeAbsenceMode(activeProfile.absence_mode),
       thresholds: normalizeThresholds(activeProfile),
       participation: normalizeParticipationConfig(activeProfile),
+      retake_policy: normalizeRetakePolicy(activeProfile.retake_policy),
       is_active: Boolean(activeProfile.is_active),
+      categories,
+      rules,
       weights,
-      total_weight: computeWeightsTotal(weights)
+      total_weight: computeWeightsTotal(weights, categories)
     };
   }
 
   const fallback = await getAsync(
-    `SELECT id, teacher_id, name, weight_mode, scoring_mode, absence_mode, grade1_min_percent, grade2_min_percent, grade3_min_percent, grade4_min_percent, ma_enabled, ma_weight, ma_grade_plus, ma_grade_plus_tilde, ma_grade_neutral, ma_grade_minus_tilde, ma_grade_minus, is_active, created_at, updated_at
+    `SELECT id, teacher_id, name, weight_mode, scoring_mode, absence_mode, grade1_min_percent, grade2_min_percent, grade3_min_percent, grade4_min_percent, ma_enabled, ma_weight, ma_grade_plus, ma_grade_plus_tilde, ma_grade_neutral, ma_grade_minus_tilde, ma_grade_minus, retake_policy, is_active, created_at, updated_at
      FROM teacher_grading_profiles
      WHERE teacher_id = ?
      ORDER BY created_at ASC, id ASC
@@ -525,7 +475,9 @@ async function loadActiveTeacherProfile(teacherId) {
     [true, fallback.id, teacherId]
   );
 
-  const weights = mergeWeightsWithDefaults(await loadProfileItems(fallback.id), fallback.weight_mode);
+  const categories = await loadProfileCategories(fallback.id);
+  const weights = buildDefaultWeights(fallback.weight_mode, categories);
+  const rules = await gradingRuleService.loadProfileRules(fallback.id, categories);
   return {
     ...fallback,
     weight_mode: resolveWeightMode(fallback.weight_mode),
@@ -533,9 +485,57 @@ async function loadActiveTeacherProfile(teacherId) {
     absence_mode: normalizeAbsenceMode(fallback.absence_mode),
     thresholds: normalizeThresholds(fallback),
     participation: normalizeParticipationConfig(fallback),
+    retake_policy: normalizeRetakePolicy(fallback.retake_policy),
     is_active: true,
+    categories,
+    rules,
+    weights,
+    total_weight: computeWeightsTotal(weights, categories)
+  };
+}
+
+// Ein neues Standardprofil gilt nur für Fächer, die danach ohne eigenes Profil angelegt werden.
+async function activateTeacherProfile(teacherId, profileId) {
+  const current = await getAsync(
+    "SELECT id FROM teacher_grading_profiles WHERE teacher_id = ? AND is_active = ? LIMIT 1",
+    [teacherId, true]
+  );
+  let pinned = 0;
+  if (current?.id && Number(current.id) !== Number(profileId)) {
+    const profiles = await loadTeacherProfiles(teacherId);
+    pinned = await classProfileService.pinDefaultAssignments(teacherId, current.id, profiles);
+  }
+  await runAsync("UPDATE teacher_grading_profiles SET is_active = ? WHERE teacher_id = ?", [false, teacherId]);
+  await runAsync(
+    "UPDATE teacher_grading_profiles SET is_active = ?, updated_at = current_timestamp WHERE id = ? AND teacher_id = ?",
+    [true, profileId, teacherId]
+  );
+  return pinned;
+}
+
+// Profil der Klasse/Fach-Zuordnung, sonst das Standardprofil der Lehrkraft.
+async function loadClassGradingProfile(teacherId, classData) {
+  const assignment = classData?.id
+    ? await classProfileService.findClassAssignment(teacherId, classData.id, classData.subject_id)
+    : null;
+  const classProfile = assignment?.grading_profile_id
+    ? await loadTeacherProfileById(assignment.grading_profile_id, teacherId)
+    : null;
+  if (!classProfile) {
+    const defaultProfile = await loadActiveTeacherProfile(teacherId);
+    return defaultProfile ? { ...defaultProfile, is_class_profile: false } : null;
+  }
+
+  const categories = await loadProfileCategories(classProfile.id);
+  const weights = buildDefaultWeights(classProfile.weight_mode, categories);
+  const rules = await gradingRuleService.loadProfileRules(classProfile.id, categories);
+  return {
+    ...classProfile,
+    is_class_profile: true,
+    categories,
+    rules,
     weights,
-    total_weight: computeWeightsTotal(weights)
+    total_weight: computeWeightsTotal(weights, categories)
   };
 }
 
@@ -609,8 +609,14 @@ function buildDefaultAddGradeFormData(source = {}) {
       source.is_absent === "1" ||
       source.is_absent === "true" ||
       source.is_absent === "on",
+    hold_back: isCheckedInputValue(source.hold_back),
     note: source.note || "",
-    external_link: source.external_link || ""
+    external_link: source.external_link || "",
+    rubric: Object.fromEntries(
+      Object.entries(source || {})
+        .filter(([key]) => /^rubric_c\d+$/.test(key))
+        .map(([key, value]) => [key, String(value)])
+    )
   };
 }
 
@@ -687,6 +693,15 @@ function buildExcludedStudentMessage(student, classData) {
   return `${studentName} ist im Fach ${subjectName} ausgeschlossen. Bestehende Einträge bleiben nur historisch sichtbar und werden nicht gewertet.`;
 }
 
+function loadGradeScale(classData) {
+  return gradeScaleService.resolveScaleForClassSubject(classData?.id, classData?.subject_id);
+}
+
+function buildInvalidGradeMessage(scale) {
+  if (!scale || scale.is_default) return "Note muss zwischen 1 und 5 liegen.";
+  return `Note passt nicht zur Notenskala „${scale.name}“ (${scale.steps.map((step) => step.label).join(", ")}).`;
+}
+
 async function renderAddGradeForm(req, res, payload) {
   const {
     status = 200,
@@ -698,10 +713,12 @@ async function renderAddGradeForm(req, res, payload) {
     formData = {},
     excludedMessage = null
   } = payload || {};
-  const activeProfile = await loadActiveTeacherProfile(req.session.user.id);
+  const activeProfile = await loadClassGradingProfile(req.session.user.id, classData);
   const scoringMode = normalizeScoringMode(activeProfile?.scoring_mode);
   const absenceMode = normalizeAbsenceMode(activeProfile?.absence_mode);
   const thresholds = normalizeThresholds(activeProfile?.thresholds || activeProfile || {});
+  const gradeScale = await loadGradeScale(classData);
+  const rubricsByTemplate = await rubricService.mapRubricsByTemplate(templates);
   const openMessageCount =
     classData?.id && Number.isFinite(classData?.subject_id)
       ? await loadClassOpenMessageCount(classData.id, classData.subject_id)
@@ -711,13 +728,18 @@ async function renderAddGradeForm(req, res, payload) {
     email: req.session.user.email,
     classData,
     student,
-    templates,
+    templates: (templates || []).map((template) => {
+      const override = gradeCurveService.readTemplateThresholds(template);
+      return { ...template, threshold_label: override ? gradeCurveService.formatThresholds(override) : null };
+    }),
     gradedTemplateIds: Array.isArray(gradedTemplateIds) ? gradedTemplateIds.map(String) : [],
     activeProfile,
     scoringMode,
     scoringModeLabel: getScoringModeLabel(scoringMode),
     absenceMode,
     thresholds,
+    gradeScale,
+    rubricsByTemplate,
     openMessageCount,
     formData: buildDefaultAddGradeFormData(formData),
     csrfToken: req.csrfToken(),
@@ -756,26 +778,38 @@ function runCsrf(req, res) {
   });
 }
 
+function describeUploadError(uploadErr) {
+  return uploadErr.code === "LIMIT_FILE_SIZE"
+    ? `Datei ist zu groß. Maximal ${MAX_GRADE_FILE_MB} MB erlaubt.`
+    : uploadErr.code === "UNSUPPORTED_FILE_TYPE"
+    ? "Nur PDF-, JPG- oder PNG-Dateien sind erlaubt."
+    : uploadErr.code === "INVALID_FILE_SIGNATURE"
+    ? "Dateiinhalt passt nicht zum Dateityp."
+    : "Upload fehlgeschlagen. Bitte erneut versuchen.";
+}
+
+async function verifyUploadedFile(req, err) {
+  if (err || !req.file) return err;
+  const signatureOk = await hasValidFileSignature(
+    req.file.path,
+    String(req.file.mimetype || "").toLowerCase()
+  );
+  if (signatureOk) return null;
+  await removeUploadedFile(req.file);
+  const signatureErr = new Error("Invalid file signature");
+  signatureErr.code = "INVALID_FILE_SIGNATURE";
+  return signatureErr;
+}
+
 function handleUpload(req, res, next) {
   upload.single("attachment_file")(req, res, async (err) => {
-    let uploadErr = err;
     try {
       const csrfErr = await runCsrf(req, res);
       if (csrfErr) {
         await removeUploadedFile(req.file);
         return next(csrfErr);
       }
-      if (!uploadErr && req.file) {
-        const signatureOk = await hasValidFileSignature(
-          req.file.path,
-          String(req.file.mimetype || "").toLowerCase()
-        );
-        if (!signatureOk) {
-          await removeUploadedFile(req.file);
-          uploadErr = new Error("Invalid file signature");
-          uploadErr.code = "INVALID_FILE_SIGNATURE";
-        }
-      }
+      const uploadErr = await verifyUploadedFile(req, err);
       if (!uploadErr) return next();
 
       await removeUploadedFile(req.file);
@@ -794,21 +828,13 @@ function handleUpload(req, res, next) {
         classData.subject_id,
         student.id
       );
-      const errorMessage =
-        uploadErr.code === "LIMIT_FILE_SIZE"
-          ? `Datei ist zu groß. Maximal ${MAX_GRADE_FILE_MB} MB erlaubt.`
-          : uploadErr.code === "UNSUPPORTED_FILE_TYPE"
-          ? "Nur PDF-, JPG- oder PNG-Dateien sind erlaubt."
-          : uploadErr.code === "INVALID_FILE_SIGNATURE"
-          ? "Dateiinhalt passt nicht zum Dateityp."
-          : "Upload fehlgeschlagen. Bitte erneut versuchen.";
       return renderAddGradeForm(req, res, {
         status: 400,
         classData,
         student,
         templates,
         gradedTemplateIds,
-        error: errorMessage,
+        error: describeUploadError(uploadErr),
         formData: req.body || {}
       });
     } catch (innerErr) {
@@ -817,6 +843,31 @@ function handleUpload(req, res, next) {
   });
 }
 
+// Ärztliche Bestätigungen liegen wie Notenanhänge im Upload-Verzeichnis.
+function handleAbsenceNoteUpload(req, res, next) {
+  upload.single("absence_note_file")(req, res, async (err) => {
+    try {
+      const csrfErr = await runCsrf(req, res);
+      if (csrfErr) {
+        await removeUploadedFile(req.file);
+        return next(csrfErr);
+      }
+      const uploadErr = await verifyUploadedFile(req, err);
+      if (!uploadErr) return next();
+      await removeUploadedFile(req.file);
+      return renderError(
+        res,
+        req,
+        describeUploadError(uploadErr),
+        400,
+        `/teacher/grade-absence/${req.params.classId}/${req.params.gradeId}`
+      );
+    } catch (innerErr) {
+      return next(innerErr);
+    }
+  });
+}
+
 function renderError(res, req, message, status, backUrl) {
   return res.status(status).render("error", {
     message,
@@ -1009,7 +1060,8 @@ async function loadStudents(classId, teacherId = null, subjectId = null) {
 
 async function loadTemplates(classId, subjectId) {
   const templates = await allAsync(
-    `SELECT id, name, category, weight, weight_mode, max_points, date, description, subject_id
+    `SELECT id, name, category, weight, weight_mode, max_points, date, description, subject_id, rubric_id, retake_of_template_id, is_draft, release_at,
+            grade1_min_percent, grade2_min_percent, grade3_min_percent, grade4_min_percent
      FROM grade_templates
      WHERE class_id = ? AND subject_id = ?
      ORDER BY date, name`,
@@ -1020,14 +1072,16 @@ async function loadTemplates(classId, subjectId) {
 
 async function loadStudentGrades(studentId, classId, subjectId) {
   return allAsync(
-    `SELECT g.id, g.grade, g.points_achieved, g.points_max, g.note, g.created_at, g.grade_template_id as template_id, gt.name, gt.category, gt.weight, gt.weight_mode, gt.max_points as template_max_points, gt.date, gt.description, COALESCE(s.name, c.subject) as class_subject, g.attachment_path, g.attachment_original_name, g.attachment_mime, g.attachment_size, g.external_link, g.is_absent, g.excluded_from_average, 0 as is_special
+    `SELECT g.id, g.grade, g.points_achieved, g.points_max, g.note, g.created_at, g.grade_template_id as template_id, gt.name, gt.category, gt.weight, gt.weight_mode, gt.max_points as template_max_points, gt.date, gt.description, COALESCE(s.name, c.subject) as class_subject, g.attachment_path, g.attachment_original_name, g.attachment_mime, g.attachment_size, g.external_link, g.is_absent, ga.status as absence_status, ga.makeup_date, g.excluded_from_average, gt.retake_of_template_id, rt.name as retake_of_name, g.published_at, g.is_held_back, 0 as is_special
      FROM grades g
      JOIN grade_templates gt ON gt.id = g.grade_template_id
      JOIN classes c ON c.id = g.class_id
      LEFT JOIN subjects s ON s.id = gt.subject_id
+     LEFT JOIN grade_templates rt ON rt.id = gt.retake_of_template_id
+     LEFT JOIN grade_absences ga ON ga.grade_id = g.id
      WHERE g.student_id = ? AND g.class_id = ? AND gt.subject_id = ?
      UNION ALL
-     SELECT sa.id, sa.grade, NULL as points_achieved, NULL as points_max, sa.description as note, sa.created_at, NULL as template_id, sa.name, sa.type as category, sa.weight, NULL as weight_mode, NULL as template_max_points, sa.created_at as date, sa.description, COALESCE(ss.name, c.subject) as class_subject, NULL as attachment_path, NULL as attachment_original_name, NULL as attachment_mime, NULL as attachment_size, NULL as external_link, false as is_absent, sa.excluded_from_average, 1 as is_special
+     SELECT sa.id, sa.grade, NULL as points_achieved, NULL as points_max, sa.description as note, sa.created_at, NULL as template_id, sa.name, sa.type as category, sa.weight, NULL as weight_mode, NULL as template_max_points, sa.created_at as date, sa.description, COALESCE(ss.name, c.subject) as class_subject, NULL as attachment_path, NULL as attachment_original_name, NULL as attachment_mime, NULL as attachment_size, NULL as external_link, false as is_absent, NULL as absence_status, NULL as makeup_date, sa.excluded_from_average, NULL as retake_of_template_id, NULL as retake_of_name, sa.created_at as published_at, false as is_held_back, 1 as is_special
      FROM special_assessments sa
      JOIN classes c ON c.id = sa.class_id
      LEFT JOIN subjects ss ON ss.id = sa.subject_id
@@ -1075,7 +1129,8 @@ async function loadTemplateForTeacher(classId, teacherId, templateId, requestedS
   }
 
   const templates = await allAsync(
-    `SELECT id, name, category, weight, weight_mode, max_points, date, description, subject_id
+    `SELECT id, name, category, weight, weight_mode, max_points, date, description, subject_id, is_draft, release_at,
+            grade1_min_percent, grade2_min_percent, grade3_min_percent, grade4_min_percent
      FROM grade_templates
      WHERE class_id = ?
      ORDER BY date, name`,
@@ -1201,7 +1256,16 @@ function readBulkFieldValue(formData, fieldName, studentId) {
   return "";
 }
 
-function buildBulkGradeRows(students, existingGradesByStudent, formData = {}) {
+function buildBulkGradeRows(
+  students,
+  existingGradesByStudent,
+  formData = {},
+  gradeScale = null,
+  rubric = null,
+  rubricScoresByGrade = new Map(),
+  tasks = [],
+  taskPointsByGrade = new Map()
+) {
   const hasSubmission =
     formData && typeof formData === "object" && Object.keys(formData).length > 0;
   return (students || []).map((student) => {
@@ -1210,7 +1274,7 @@ function buildBulkGradeRows(students, existingGradesByStudent, formData = {}) {
     const gradeValue = hasSubmission
       ? readBulkFieldValue(formData, "grade", student.id)
       : existing?.grade != null
-      ? String(existing.grade)
+      ? formatGradeLabel(existing.grade, gradeScale)
       : "";
     const pointsValue = hasSubmission
       ? readBulkFieldValue(formData, "points_achieved", student.id)
@@ -1225,6 +1289,24 @@ function buildBulkGradeRows(students, existingGradesByStudent, formData = {}) {
       : existing?.is_absent
       ? "1"
       : "";
+    const existingLevels = existing ? rubricScoresByGrade.get(String(existing.id)) || new Map() : new Map();
+    const rubricLevels = {};
+    (rubric?.criteria || []).forEach((criterion) => {
+      const levelId = hasSubmission
+        ? readBulkFieldValue(formData, `rubric_c${criterion.id}`, student.id)
+        : existingLevels.get(String(criterion.id)) || "";
+      rubricLevels[String(criterion.id)] = String(levelId || "").trim();
+    });
+    const existingTaskPoints = existing ? taskPointsByGrade.get(String(existing.id)) || new Map() : new Map();
+    const taskPoints = {};
+    tasks.forEach((task) => {
+      const value = hasSubmission
+        ? readBulkFieldValue(formData, `task_t${task.id}`, student.id)
+        : existingTaskPoints.has(String(task.id))
+        ? String(existingTaskPoints.get(String(task.id)))
+        : "";
+      taskPoints[String(task.id)] = String(value || "").trim();
+    });
     return {
       student,
       existing,
@@ -1232,7 +1314,9 @@ function buildBulkGradeRows(students, existingGradesByStudent, formData = {}) {
         grade: String(gradeValue || "").trim(),
         points_achieved: String(pointsValue || "").trim(),
         note: String(noteValue || "").trim(),
-        is_absent: isCheckedInputValue(absentValue)
+        is_absent: isCheckedInputValue(absentValue),
+        rubric: rubricLevels,
+        tasks: taskPoints
       }
     };
   });
@@ -1249,13 +1333,34 @@ async function renderBulkGradeTemplateForm(req, res, payload = {}) {
     formData = {},
     error = null,
     validationErrors = [],
-    message = null
+    message = null,
+    curve = null,
+    curveForm = {},
+    curveError = null
   } = payload;
 
   const scoringMode = normalizeScoringMode(activeProfile?.scoring_mode);
   const templateMaxPoints = Number(template?.max_points);
   const templateHasMaxPoints = Number.isFinite(templateMaxPoints) && templateMaxPoints > 0;
-  const rows = buildBulkGradeRows(students, existingGradesByStudent, formData);
+  const gradeScale = await loadGradeScale(classData);
+  const rubric = template ? await rubricService.resolveTemplateRubric(template.id) : null;
+  const rubricScoresByGrade = rubric
+    ? await rubricService.mapScoresByGradeForTemplate(template.id)
+    : new Map();
+  const tasks = template ? await templateTaskService.listTemplateTasks(template.id) : [];
+  const taskPointsByGrade = tasks.length
+    ? await templateTaskService.mapPointsByGradeForTemplate(template.id)
+    : new Map();
+  const rows = buildBulkGradeRows(
+    students,
+    existingGradesByStudent,
+    formData,
+    gradeScale,
+    rubric,
+    rubricScoresByGrade,
+    tasks,
+    taskPointsByGrade
+  );
   const existingCount = rows.filter((row) => Boolean(row.existing)).length;
   const excludedCount = rows.filter((row) => isExcludedStudent(row.student)).length;
 
@@ -1272,6 +1377,17 @@ async function renderBulkGradeTemplateForm(req, res, payload = {}) {
     absenceMode: normalizeAbsenceMode(activeProfile?.absence_mode),
     templateHasMaxPoints,
     templateMaxPoints: templateHasMaxPoints ? templateMaxPoints : null,
+    gradeScale,
+    rubric,
+    tasks,
+    templateRelease: gradeReleaseService.describeTemplateRelease(template),
+    changeReason: String(formData.change_reason || ""),
+    profileThresholds: normalizeThresholds(activeProfile?.thresholds || activeProfile || {}),
+    templateThresholds: gradeCurveService.readTemplateThresholds(template),
+    curveApplicable: gradeCurveService.isCurveApplicable(gradeScale),
+    curve,
+    curveForm,
+    curveError,
     csrfToken: req.csrfToken(),
     error,
     validationErrors: Array.isArray(validationErrors) ? validationErrors : [],
@@ -1280,14 +1396,18 @@ async function renderBulkGradeTemplateForm(req, res, payload = {}) {
 }
 
 async function loadSpecialAssessments(classId, subjectId) {
-  return allAsync(
-    `SELECT sa.id, sa.student_id, s.name AS student_name, sa.type, sa.name, sa.description, sa.weight, sa.grade, sa.created_at
-     FROM special_assessments sa
-     JOIN students s ON s.id = sa.student_id
-     WHERE sa.class_id = ? AND sa.subject_id = ?
-     ORDER BY sa.created_at DESC`,
-    [classId, subjectId]
-  );
+  const [rows, gradeScale] = await Promise.all([
+    allAsync(
+      `SELECT sa.id, sa.student_id, s.name AS student_name, sa.type, sa.name, sa.description, sa.weight, sa.grade, sa.created_at
+       FROM special_assessments sa
+       JOIN students s ON s.id = sa.student_id
+       WHERE sa.class_id = ? AND sa.subject_id = ?
+       ORDER BY sa.created_at DESC`,
+      [classId, subjectId]
+    ),
+    gradeScaleService.resolveScaleForClassSubject(classId, subjectId)
+  ]);
+  return rows.map((row) => ({ ...row, grade_label: formatGradeLabel(row.grade, gradeScale) }));
 }
 
 async function loadClassGradeMessages(classId, subjectId) {
@@ -1411,25 +1531,6 @@ async function loadMessageForTeacher(classId, messageId, teacherId, subjectId =
       : [messageId, classId, teacherId]
   );
 }
-function shouldSkipGradeForAbsence(grade, absenceMode) {
-  if (!grade || !grade.is_absent) return false;
-  return normalizeAbsenceMode(absenceMode) === ABSENCE_MODE_EXCLUDE;
-}
-
-function isGradeExcludedFromAverage(grade, absenceMode) {
-  return Boolean(grade?.excluded_from_average) || shouldSkipGradeForAbsence(grade, absenceMode);
-}
-
-function isValidGradeValue(value) {
-  const numeric = Number(value);
-  return Number.isFinite(numeric) && numeric >= 1 && numeric <= 5;
-}
-
-function isValidWeightValue(value) {
-  const numeric = Number(value);
-  return Number.isFinite(numeric) && numeric >= 0;
-}
-
 function escapeCsvValue(value) {
   const stringValue = value == null ? "" : String(value);
   const guarded = /^[=+\-@\t\r]/.test(stringValue) ? `'${stringValue}` : stringValue;
@@ -1439,83 +1540,6 @@ function escapeCsvValue(value) {
   return guarded;
 }
 
-function computeWeightedAverage(grades, options = {}) {
-  const absenceMode = normalizeAbsenceMode(options.absenceMode);
-  let weightedSum = 0;
-  let weightTotal = 0;
-
-  grades.forEach((grade) => {
-    if (isGradeExcludedFromAverage(grade, absenceMode)) return;
-    const value = Number(grade?.grade);
-    const weight = grade?.weight == null ? 1 : Number(grade.weight);
-    if (!isValidGradeValue(value) || !isValidWeightValue(weight)) return;
-    weightedSum += value * weight;
-    weightTotal += weight;
-  });
-
-  return weightTotal ? Number((weightedSum / weightTotal).toFixed(2)) : null;
-}
-
-function mapGradeToEstimatedPercent(grade, thresholdsSource) {
-  const value = Number(grade);
-  if (!isValidGradeValue(value)) return null;
-
-  const thresholds = normalizeThresholds(thresholdsSource || {});
-  const anchors = [
-    { grade: 1, percent: 100 },
-    { grade: 2, percent: Number(thresholds.grade2_min_percent) },
-    { grade: 3, percent: Number(thresholds.grade3_min_percent) },
-    { grade: 4, percent: Number(thresholds.grade4_min_percent) },
-    { grade: 5, percent: 0 }
-  ];
-
-  const clamped = Math.min(5, Math.max(1, value));
-  if (clamped === 1) return 100;
-  if (clamped === 5) return 0;
-
-  const lower = Math.floor(clamped);
-  const upper = Math.ceil(clamped);
-  const lowerAnchor = anchors.find((entry) => entry.grade === lower);
-  const upperAnchor = anchors.find((entry) => entry.grade === upper);
-  if (!lowerAnchor || !upperAnchor) return null;
-  if (lower === upper) return Number(lowerAnchor.percent);
-
-  const ratio = (clamped - lower) / (upper - lower);
-  return Number((lowerAnchor.percent + (upperAnchor.percent - lowerAnchor.percent) * ratio).toFixed(4));
-}
-
-function computePointTotalsWithParticipation(entries, options = {}) {
-  const thresholds = normalizeThresholds(options.thresholds || {});
-  const absenceMode = normalizeAbsenceMode(options.absenceMode);
-  return (entries || []).reduce(
-    (acc, row) => {
-      if (isGradeExcludedFromAverage(row, absenceMode)) return acc;
-
-      const achieved = Number(row?.points_achieved);
-      const max = Number(row?.points_max);
-      if (Number.isFinite(achieved) && Number.isFinite(max) && max > 0) {
-        acc.achieved += achieved;
-        acc.max += max;
-        return acc;
-      }
-
-      if (!row?.is_participation) return acc;
-
-      const weight = Number(row?.weight);
-      const grade = Number(row?.grade);
-      if (!isValidWeightValue(weight) || weight <= 0 || !isValidGradeValue(grade)) return acc;
-
-      const estimatedPercent = mapGradeToEstimatedPercent(grade, thresholds);
-      if (!Number.isFinite(estimatedPercent)) return acc;
-
-      acc.max += weight;
-      acc.achieved += weight * (estimatedPercent / 100);
-      return acc;
-    },
-    { achieved: 0, max: 0 }
-  );
-}
-
 async function loadParticipationMarks(classId, subjectId, studentId) {
   return allAsync(
     `SELECT id, student_id, class_id, subject_id, symbol, note, created_at
@@ -1537,15 +1561,19 @@ async function buildSettingsPageData(teacherId, selectedProfileId, formOverride
   }
   if (!selectedProfile) selectedProfile = activeProfile;
 
-  let selectedWeights = buildDefaultWeights(WEIGHT_MODE_POINTS);
+  let selectedCategories = buildProfileCategories();
+  let selectedWeights = buildDefaultWeights(WEIGHT_MODE_POINTS, selectedCategories);
   let selectedMode = WEIGHT_MODE_POINTS;
   let selectedScoringMode = DEFAULT_SCORING_MODE;
   let selectedAbsenceMode = DEFAULT_ABSENCE_MODE;
   let selectedThresholds = normalizeThresholds();
   let selectedParticipation = normalizeParticipationConfig();
+  let selectedRules = [];
   if (selectedProfile) {
     selectedMode = resolveWeightMode(selectedProfile.weight_mode);
-    selectedWeights = mergeWeightsWithDefaults(await loadProfileItems(selectedProfile.id), selectedMode);
+    selectedCategories = await loadProfileCategories(selectedProfile.id);
+    selectedRules = await gradingRuleService.loadProfileRules(selectedProfile.id, selectedCategories);
+    selectedWeights = buildDefaultWeights(selectedMode, selectedCategories);
     selectedScoringMode = normalizeScoringMode(selectedProfile.scoring_mode);
     selectedAbsenceMode = normalizeAbsenceMode(selectedProfile.absence_mode);
     selectedThresholds = normalizeThresholds(selectedProfile.thresholds || selectedProfile);
@@ -1554,7 +1582,7 @@ async function buildSettingsPageData(teacherId, selectedProfileId, formOverride
     );
   }
 
-  const selectedTotal = computeWeightsTotal(selectedWeights);
+  const selectedTotal = computeWeightsTotal(selectedWeights, selectedCategories);
   const defaultProfileName = selectedProfile?.name || "Standardprofil";
   const formData =
     formOverride ||
@@ -1566,9 +1594,13 @@ async function buildSettingsPageData(teacherId, selectedProfileId, formOverride
       absence_mode: selectedAbsenceMode,
       thresholds: selectedThresholds,
       participation: selectedParticipation,
+      retake_policy: normalizeRetakePolicy(selectedProfile?.retake_policy),
       set_active: selectedProfile ? Boolean(selectedProfile.is_active) : true,
+      categories: selectedCategories,
+      rules: selectedRules,
       weights: selectedWeights
     };
+  const profileUsage = await classProfileService.describeProfileUsage(teacherId, profiles);
 
   return {
     setupComplete,
@@ -1580,8 +1612,10 @@ async function buildSettingsPageData(teacherId, selectedProfileId, formOverride
       absence_mode: normalizeAbsenceMode(profile.absence_mode),
       thresholds: normalizeThresholds(profile.thresholds || profile),
       participation: normalizeParticipationConfig(profile.participation || profile),
-      is_active: Boolean(profile.is_active)
+      is_active: Boolean(profile.is_active),
+      class_assignments: profileUsage.byProfile.get(String(profile.id)) || []
     })),
+    defaultAssignments: profileUsage.followingDefault,
     selectedProfile,
     selectedWeights,
     selectedTotal,
@@ -1654,10 +1688,32 @@ router.get("/classes", async (req, res, next) => {
     });
 
     const activeProfile = await loadActiveTeacherProfile(req.session.user.id);
+    const profiles = await loadTeacherProfiles(req.session.user.id);
+    const profileUsage = await classProfileService.describeProfileUsage(req.session.user.id, profiles);
+    classes = classes.map((entry) => {
+      const ownProfileId = profileUsage.byAssignment.get(String(entry.assignment_id));
+      const ownProfile = ownProfileId ? profiles.find((profile) => String(profile.id) === ownProfileId) : null;
+      return {
+        ...entry,
+        profile_name: ownProfile ? ownProfile.name : activeProfile?.name || null,
+        is_class_profile: Boolean(ownProfile)
+      };
+    });
+    const activeSchoolYear = await schoolYearModel.getActiveSchoolYear();
+    const headTeacherClasses = activeSchoolYear
+      ? await allAsync(
+          `SELECT c.id, c.name
+           FROM classes c
+           WHERE c.head_teacher_id = ? AND c.school_year_id = ?
+           ORDER BY c.name ASC`,
+          [req.session.user.id, activeSchoolYear.id]
+        )
+      : [];
 
     res.render("teacher/teacher-classes", {
       email: req.session.user.email,
       classes,
+      headTeacherClasses,
       totalClassCount: classesAll.length,
       search: { q, sort },
       setupComplete: Boolean(activeProfile),
@@ -1862,7 +1918,10 @@ router.get("/settings", async (req, res, next) => {
         participation: normalizeParticipationConfig(
           sourceProfile?.participation || sourceProfile || {}
         ),
+        retake_policy: normalizeRetakePolicy(sourceProfile?.retake_policy),
         set_active: !pageData.activeProfile,
+        categories: buildProfileCategories(),
+        rules: [],
         weights: mergeWeightsWithDefaults(sourceProfile?.weights || {}, WEIGHT_MODE_POINTS)
       };
       pageData = await buildSettingsPageData(teacherId, null, createFormData);
@@ -1872,8 +1931,11 @@ router.get("/settings", async (req, res, next) => {
       !pageData.setupComplete ||
       isCreateMode ||
       (isEditMode && Number.isInteger(selectedProfileId) && selectedProfileId > 0);
+    const pinnedCount = Number(req.query.pinned) || 0;
     const message = req.query.saved
-      ? "Bewertungsschema gespeichert."
+      ? pinnedCount
+        ? `Bewertungsschema gespeichert. ${pinnedCount} ${pinnedCount === 1 ? "Fach behält" : "Fächer behalten"} das bisherige Standardprofil als eigenes Profil.`
+        : "Bewertungsschema gespeichert."
       : req.query.deleted
       ? "Profil gelöscht."
       : null;
@@ -1881,17 +1943,21 @@ router.get("/settings", async (req, res, next) => {
     res.render("teacher/teacher-settings", {
       email: req.session.user.email,
       csrfToken: req.csrfToken(),
-      categoryDefinitions: TEMPLATE_CATEGORY_DEFINITIONS,
+      categoryDefinitions: pageData.formData.categories,
+      categoryBadgeStyle: buildCategoryBadgeStyle,
       scoringModeOptions: SCORING_MODE_OPTIONS,
       absenceModeOptions: ABSENCE_MODE_OPTIONS,
       participationSymbolOptions: PARTICIPATION_SYMBOL_OPTIONS,
+      ruleTypeOptions: gradingRuleService.RULE_TYPE_OPTIONS,
+      retakePolicyOptions: RETAKE_POLICY_OPTIONS,
       setupComplete: pageData.setupComplete,
       showSetupFlow: !pageData.setupComplete || String(req.query.setup || "") === "1",
       showConfigForm,
       profiles: pageData.profiles,
       activeProfile: pageData.activeProfile,
+      defaultAssignments: pageData.defaultAssignments,
       selectedProfile: pageData.selectedProfile,
-      selectedTotal: computeWeightsTotal(pageData.formData.weights),
+      selectedTotal: computeWeightsTotal(pageData.formData.weights, pageData.formData.categories),
       formData: pageData.formData,
       message,
       error: null
@@ -1911,8 +1977,11 @@ router.post("/settings/save-profile", async (req, res, next) => {
     const absenceMode = normalizeAbsenceMode(req.body?.absence_mode);
     const thresholds = parseThresholdsFromBody(req.body || {});
     const participation = parseParticipationConfigFromBody(req.body || {});
+    const retakePolicy = normalizeRetakePolicy(req.body?.retake_policy);
     const requestedSetActive = req.body?.set_active === "1" || req.body?.set_active === "on";
-    const parsedWeights = parseWeightsFromBody(req.body || {});
+    const { categories, error: categoryError } = parseCategoriesFromBody(req.body || {});
+    const parsedWeights = parseWeightsFromBody(req.body || {}, categories);
+    const { rules, error: ruleError } = gradingRuleService.parseRulesFromBody(req.body || {}, categories);
     const existingProfiles = await loadTeacherProfiles(teacherId);
 
     const formData = {
@@ -1923,8 +1992,11 @@ router.post("/settings/save-profile", async (req, res, next) => {
       absence_mode: absenceMode,
       thresholds,
       participation,
+      retake_policy: retakePolicy,
       set_active: requestedSetActive,
-      weights: mergeWeightsWithDefaults(parsedWeights, weightMode)
+      categories,
+      rules,
+      weights: mergeWeightsWithDefaults(parsedWeights, weightMode, categories)
     };
 
     if (!profileName) {
@@ -1932,40 +2004,52 @@ router.post("/settings/save-profile", async (req, res, next) => {
       return res.status(400).render("teacher/teacher-settings", {
         email: req.session.user.email,
         csrfToken: req.csrfToken(),
-        categoryDefinitions: TEMPLATE_CATEGORY_DEFINITIONS,
+        categoryDefinitions: pageData.formData.categories,
+        categoryBadgeStyle: buildCategoryBadgeStyle,
         scoringModeOptions: SCORING_MODE_OPTIONS,
         absenceModeOptions: ABSENCE_MODE_OPTIONS,
         participationSymbolOptions: PARTICIPATION_SYMBOL_OPTIONS,
+        ruleTypeOptions: gradingRuleService.RULE_TYPE_OPTIONS,
+        retakePolicyOptions: RETAKE_POLICY_OPTIONS,
         setupComplete: pageData.setupComplete,
         showSetupFlow: !pageData.setupComplete,
         showConfigForm: true,
         profiles: pageData.profiles,
         activeProfile: pageData.activeProfile,
+        defaultAssignments: pageData.defaultAssignments,
         selectedProfile: pageData.selectedProfile,
-        selectedTotal: computeWeightsTotal(formData.weights),
+        selectedTotal: computeWeightsTotal(formData.weights, formData.categories),
         formData: pageData.formData,
         message: null,
         error: "Bitte einen Profilnamen angeben."
       });
     }
 
-    const validationError = validateWeights(weightMode, parsedWeights);
+    const validationError =
+      categoryError ||
+      validateCategories(categories) ||
+      validateWeights(weightMode, parsedWeights, categories) ||
+      ruleError;
     if (validationError) {
       const pageData = await buildSettingsPageData(teacherId, formData.profile_id, formData);
       return res.status(400).render("teacher/teacher-settings", {
         email: req.session.user.email,
         csrfToken: req.csrfToken(),
-        categoryDefinitions: TEMPLATE_CATEGORY_DEFINITIONS,
+        categoryDefinitions: pageData.formData.categories,
+        categoryBadgeStyle: buildCategoryBadgeStyle,
         scoringModeOptions: SCORING_MODE_OPTIONS,
         absenceModeOptions: ABSENCE_MODE_OPTIONS,
         participationSymbolOptions: PARTICIPATION_SYMBOL_OPTIONS,
+        ruleTypeOptions: gradingRuleService.RULE_TYPE_OPTIONS,
+        retakePolicyOptions: RETAKE_POLICY_OPTIONS,
         setupComplete: pageData.setupComplete,
         showSetupFlow: !pageData.setupComplete,
         showConfigForm: true,
         profiles: pageData.profiles,
         activeProfile: pageData.activeProfile,
+        defaultAssignments: pageData.defaultAssignments,
         selectedProfile: pageData.selectedProfile,
-        selectedTotal: computeWeightsTotal(formData.weights),
+        selectedTotal: computeWeightsTotal(formData.weights, formData.categories),
         formData: pageData.formData,
         message: null,
         error: validationError
@@ -1978,17 +2062,21 @@ router.post("/settings/save-profile", async (req, res, next) => {
       return res.status(400).render("teacher/teacher-settings", {
         email: req.session.user.email,
         csrfToken: req.csrfToken(),
-        categoryDefinitions: TEMPLATE_CATEGORY_DEFINITIONS,
+        categoryDefinitions: pageData.formData.categories,
+        categoryBadgeStyle: buildCategoryBadgeStyle,
         scoringModeOptions: SCORING_MODE_OPTIONS,
         absenceModeOptions: ABSENCE_MODE_OPTIONS,
         participationSymbolOptions: PARTICIPATION_SYMBOL_OPTIONS,
+        ruleTypeOptions: gradingRuleService.RULE_TYPE_OPTIONS,
+        retakePolicyOptions: RETAKE_POLICY_OPTIONS,
         setupComplete: pageData.setupComplete,
         showSetupFlow: !pageData.setupComplete,
         showConfigForm: true,
         profiles: pageData.profiles,
         activeProfile: pageData.activeProfile,
+        defaultAssignments: pageData.defaultAssignments,
         selectedProfile: pageData.selectedProfile,
-        selectedTotal: computeWeightsTotal(formData.weights),
+        selectedTotal: computeWeightsTotal(formData.weights, formData.categories),
         formData: pageData.formData,
         message: null,
         error: thresholdError
@@ -2001,17 +2089,21 @@ router.post("/settings/save-profile", async (req, res, next) => {
       return res.status(400).render("teacher/teacher-settings", {
         email: req.session.user.email,
         csrfToken: req.csrfToken(),
-        categoryDefinitions: TEMPLATE_CATEGORY_DEFINITIONS,
+        categoryDefinitions: pageData.formData.categories,
+        categoryBadgeStyle: buildCategoryBadgeStyle,
         scoringModeOptions: SCORING_MODE_OPTIONS,
         absenceModeOptions: ABSENCE_MODE_OPTIONS,
         participationSymbolOptions: PARTICIPATION_SYMBOL_OPTIONS,
+        ruleTypeOptions: gradingRuleService.RULE_TYPE_OPTIONS,
+        retakePolicyOptions: RETAKE_POLICY_OPTIONS,
         setupComplete: pageData.setupComplete,
         showSetupFlow: !pageData.setupComplete,
         showConfigForm: true,
         profiles: pageData.profiles,
         activeProfile: pageData.activeProfile,
+        defaultAssignments: pageData.defaultAssignments,
         selectedProfile: pageData.selectedProfile,
-        selectedTotal: computeWeightsTotal(formData.weights),
+        selectedTotal: computeWeightsTotal(formData.weights, formData.categories),
         formData: pageData.formData,
         message: null,
         error: participationError
@@ -2088,19 +2180,18 @@ router.post("/settings/save-profile", async (req, res, next) => {
     }
 
     await runAsync("DELETE FROM teacher_grading_profile_items WHERE profile_id = ?", [profileId]);
-    for (const category of TEMPLATE_CATEGORY_DEFINITIONS) {
+    for (const item of buildProfileItemRows(categories, parsedWeights)) {
       await runAsync(
-        "INSERT INTO teacher_grading_profile_items (profile_id, category, weight) VALUES (?,?,?)",
-        [profileId, category.key, Number(parsedWeights[category.key] || 0)]
+        "INSERT INTO teacher_grading_profile_items (profile_id, category, weight, label, color, sort_order) VALUES (?,?,?,?,?,?)",
+        [profileId, item.category, item.weight, item.label, item.color, item.sort_order]
       );
     }
+    await gradingRuleService.saveProfileRules(profileId, rules);
+    await retakeService.saveProfileRetakePolicy(profileId, teacherId, retakePolicy);
 
+    let pinned = 0;
     if (shouldSetActive) {
-      await runAsync("UPDATE teacher_grading_profiles SET is_active = ? WHERE teacher_id = ?", [false, teacherId]);
-      await runAsync(
-        "UPDATE teacher_grading_profiles SET is_active = ?, updated_at = current_timestamp WHERE id = ? AND teacher_id = ?",
-        [true, profileId, teacherId]
-      );
+      pinned = await activateTeacherProfile(teacherId, profileId);
     } else {
       const active = await getAsync(
         "SELECT id FROM teacher_grading_profiles WHERE teacher_id = ? AND is_active = ? LIMIT 1",
@@ -2114,11 +2205,12 @@ router.post("/settings/save-profile", async (req, res, next) => {
       }
     }
 
-    res.redirect(`/teacher/settings?saved=1&profile_id=${profileId}`);
+    res.redirect(`/teacher/settings?saved=1&profile_id=${profileId}${pinned ? `&pinned=${pinned}` : ""}`);
   } catch (err) {
     if (String(err).includes("UNIQUE")) {
       const teacherId = req.session.user.id;
       const requestedProfileId = req.body?.profile_id ? Number(req.body.profile_id) : null;
+      const { categories } = parseCategoriesFromBody(req.body || {});
       const formData = {
         profile_id: requestedProfileId || "",
         profile_name: String(req.body?.profile_name || "").trim(),
@@ -2127,24 +2219,31 @@ router.post("/settings/save-profile", async (req, res, next) => {
         absence_mode: normalizeAbsenceMode(req.body?.absence_mode),
         thresholds: parseThresholdsFromBody(req.body || {}),
         participation: parseParticipationConfigFromBody(req.body || {}),
+        retake_policy: normalizeRetakePolicy(req.body?.retake_policy),
         set_active: req.body?.set_active === "1" || req.body?.set_active === "on",
-        weights: mergeWeightsWithDefaults(parseWeightsFromBody(req.body || {}), WEIGHT_MODE_POINTS)
+        categories,
+        rules: gradingRuleService.parseRulesFromBody(req.body || {}, categories).rules,
+        weights: mergeWeightsWithDefaults(parseWeightsFromBody(req.body || {}, categories), WEIGHT_MODE_POINTS, categories)
       };
       const pageData = await buildSettingsPageData(teacherId, requestedProfileId, formData);
       return res.status(409).render("teacher/teacher-settings", {
         email: req.session.user.email,
         csrfToken: req.csrfToken(),
-        categoryDefinitions: TEMPLATE_CATEGORY_DEFINITIONS,
+        categoryDefinitions: pageData.formData.categories,
+        categoryBadgeStyle: buildCategoryBadgeStyle,
         scoringModeOptions: SCORING_MODE_OPTIONS,
         absenceModeOptions: ABSENCE_MODE_OPTIONS,
         participationSymbolOptions: PARTICIPATION_SYMBOL_OPTIONS,
+        ruleTypeOptions: gradingRuleService.RULE_TYPE_OPTIONS,
+        retakePolicyOptions: RETAKE_POLICY_OPTIONS,
         setupComplete: pageData.setupComplete,
         showSetupFlow: !pageData.setupComplete,
         showConfigForm: true,
         profiles: pageData.profiles,
         activeProfile: pageData.activeProfile,
+        defaultAssignments: pageData.defaultAssignments,
         selectedProfile: pageData.selectedProfile,
-        selectedTotal: computeWeightsTotal(formData.weights),
+        selectedTotal: computeWeightsTotal(formData.weights, formData.categories),
         formData: pageData.formData,
         message: null,
         error: "Profilname bereits vorhanden. Bitte einen anderen Namen wählen."
@@ -2163,13 +2262,8 @@ router.post("/settings/activate-profile/:profileId", async (req, res, next) => {
       return renderError(res, req, "Profil nicht gefunden.", 404, "/teacher/settings");
     }
 
-    await runAsync("UPDATE teacher_grading_profiles SET is_active = ? WHERE teacher_id = ?", [false, teacherId]);
-    await runAsync(
-      "UPDATE teacher_grading_profiles SET is_active = ?, updated_at = current_timestamp WHERE id = ? AND teacher_id = ?",
-      [true, profileId, teacherId]
-    );
-
-    res.redirect(`/teacher/settings?profile_id=${profileId}&saved=1`);
+    const pinned = await activateTeacherProfile(teacherId, profileId);
+    res.redirect(`/teacher/settings?profile_id=${profileId}&saved=1${pinned ? `&pinned=${pinned}` : ""}`);
   } catch (err) {
     next(err);
   }
@@ -2184,6 +2278,8 @@ router.post("/settings/delete-profile/:profileId", async (req, res, next) => {
       return renderError(res, req, "Profil nicht gefunden.", 404, "/teacher/settings");
     }
 
+    await classProfileService.assertProfileDeletable(teacherId, profile, await loadTeacherProfiles(teacherId));
+    await classProfileService.clearProfileAssignments(profileId, teacherId);
     await runAsync("DELETE FROM teacher_grading_profiles WHERE id = ? AND teacher_id = ?", [
       profileId,
       teacherId
@@ -2212,6 +2308,9 @@ router.post("/settings/delete-profile/:profileId", async (req, res, next) => {
 
     res.redirect("/teacher/settings?deleted=1");
   } catch (err) {
+    if (err.status) {
+      return renderError(res, req, err.message, err.status, "/teacher/settings");
+    }
     next(err);
   }
 });
@@ -2252,6 +2351,8 @@ router.get("/students/:classId", async (req, res, next) => {
       }
     });
     const openMessageCount = await loadClassOpenMessageCount(classId, classData.subject_id);
+    const profiles = await loadTeacherProfiles(req.session.user.id);
+    const classProfile = await loadClassGradingProfile(req.session.user.id, classData);
     res.render("teacher/teacher-students", {
       email: req.session.user.email,
       classData,
@@ -2260,6 +2361,10 @@ router.get("/students/:classId", async (req, res, next) => {
       totalStudentCount: studentsAll.length,
       excludedStudentCount: studentsAll.filter((student) => student.is_excluded).length,
       search: { q, sort },
+      profiles,
+      classProfile,
+      defaultProfile: profiles.find((profile) => profile.is_active) || null,
+      message: req.query.profile_saved ? "Notenprofil für dieses Fach gespeichert." : null,
       csrfToken: req.csrfToken()
     });
   } catch (err) {
@@ -2267,6 +2372,28 @@ router.get("/students/:classId", async (req, res, next) => {
   }
 });
 
+router.post("/class-profile/:classId", async (req, res, next) => {
+  try {
+    const classId = req.params.classId;
+    const classData = await requireClassAccessForTeacher(req, res, classId);
+    if (!classData) return;
+
+    const profiles = await loadTeacherProfiles(req.session.user.id);
+    await classProfileService.assignClassProfile({
+      teacherId: req.session.user.id,
+      classData,
+      profiles,
+      rawProfileId: req.body?.grading_profile_id
+    });
+    res.redirect(`/teacher/students/${classId}?profile_saved=1`);
+  } catch (err) {
+    if (err.status) {
+      return renderError(res, req, err.message, err.status, `/teacher/students/${req.params.classId}`);
+    }
+    next(err);
+  }
+});
+
 router.get("/test-questions/:classId", async (req, res, next) => {
   try {
     const classId = req.params.classId;
@@ -2326,9 +2453,10 @@ router.post("/students/:classId/messages/:messageId/reply", async (req, res, nex
       "UPDATE grade_messages SET teacher_reply = ?, teacher_reply_by_email = ?, replied_at = current_timestamp, teacher_reply_seen_at = NULL WHERE id = ?",
       [reply, req.session.user.email, messageId]
     );
-    await runAsync(
-      "INSERT INTO grade_notifications (student_id, message, type) VALUES (?,?,?)",
-      [messageRow.student_id, "Lehrkraft hat auf deine Rückgabe-Nachricht geantwortet.", "info"]
+    await notificationService.notifyStudent(
+      messageRow.student_id,
+      "Lehrkraft hat auf deine Rückgabe-Nachricht geantwortet.",
+      "info"
     );
     res.redirect(`/teacher/test-questions/${classId}`);
   } catch (err) {
@@ -2494,23 +2622,30 @@ router.get("/grades/:classId", async (req, res, next) => {
       const haystack = foldText(`${entry.name || ""} ${entry.email || ""}`);
       return haystack.includes(qFolded);
     });
-    const templates = await loadTemplates(classId, classData.subject_id);
-    const activeProfile = await loadActiveTeacherProfile(req.session.user.id);
+    const { terms, selectedTerm } = await termService.resolveTermSelection(
+      classData.school_year_id,
+      req.query.term
+    );
+    const templates = filterRowsByTerm(await loadTemplates(classId, classData.subject_id), selectedTerm);
+    const activeProfile = await loadClassGradingProfile(req.session.user.id, classData);
     const participation = normalizeParticipationConfig(
       activeProfile?.participation || activeProfile || {}
     );
     const absenceMode = normalizeAbsenceMode(activeProfile?.absence_mode);
     const thresholds = normalizeThresholds(activeProfile?.thresholds || activeProfile || {});
     const openMessageCount = await loadClassOpenMessageCount(classId, classData.subject_id);
+    const gradeScale = await loadGradeScale(classData);
     const possibleCount = templates.length;
     const studentsWithGrades = await Promise.all(
       studentsBase.map(async (student) => {
-        const grades = await loadStudentGrades(student.id, classId, classData.subject_id);
-        const participationMarks = await loadParticipationMarks(
+        const allGrades = await loadStudentGrades(student.id, classId, classData.subject_id);
+        const allParticipationMarks = await loadParticipationMarks(
           classId,
           classData.subject_id,
           student.id
         );
+        const grades = filterRowsByTerm(allGrades, selectedTerm);
+        const participationMarks = filterRowsByTerm(allParticipationMarks, selectedTerm);
         const excluded = isExcludedStudent(student);
         const participationAverageRows = buildParticipationAverageRows(participationMarks, participation);
         const average = excluded
@@ -2518,14 +2653,23 @@ router.get("/grades/:classId", async (req, res, next) => {
           : computeWeightedAverage([
               ...grades,
               ...participationAverageRows
-            ], { absenceMode });
+            ], { absenceMode, rules: activeProfile?.rules, retakePolicy: activeProfile?.retake_policy });
+        const cumulativeAverage = excluded || !selectedTerm
+          ? null
+          : computeWeightedAverage([
+              ...filterRowsByTerm(allGrades, selectedTerm, { cumulative: true }),
+              ...buildParticipationAverageRows(
+                filterRowsByTerm(allParticipationMarks, selectedTerm, { cumulative: true }),
+                participation
+              )
+            ], { absenceMode, rules: activeProfile?.rules, retakePolicy: activeProfile?.retake_policy });
         const pointTotals = excluded
           ? { achieved: 0, max: 0 }
           : computePointTotalsWithParticipation(
               [...grades, ...participationAverageRows],
               { thresholds, absenceMode }
             );
-        const hasPointTotals = pointTotals.max > 0;
+        const pointsSummary = summarizePointTotals(pointTotals);
         return {
           ...student,
           grade_count: excluded ? 0 : grades.length,
@@ -2533,9 +2677,12 @@ router.get("/grades/:classId", async (req, res, next) => {
           historical_grade_count: grades.length,
           historical_ma_count: participationMarks.length,
           average_grade: average,
-          points_achieved_total: hasPointTotals ? Number(pointTotals.achieved.toFixed(2)) : null,
-          points_max_total: hasPointTotals ? Number(pointTotals.max.toFixed(2)) : null,
-          points_percent: hasPointTotals ? Number(((pointTotals.achieved / pointTotals.max) * 100).toFixed(2)) : null
+          average_label: average != null && !gradeScale.is_default ? formatGradeLabel(average, gradeScale) : null,
+          average_passing: average != null ? isPassingGrade(average, gradeScale) : null,
+          cumulative_average: cumulativeAverage,
+          points_achieved_total: pointsSummary ? pointsSummary.achieved : null,
+          points_max_total: pointsSummary ? pointsSummary.max : null,
+          points_percent: pointsSummary ? pointsSummary.percent : null
         };
       })
     );
@@ -2591,7 +2738,9 @@ router.get("/grades/:classId", async (req, res, next) => {
       activeProfile,
       participationEnabled: participation.ma_enabled,
       participationSymbolOptions: PARTICIPATION_SYMBOL_OPTIONS,
-      search: { q, status, sort },
+      search: { q, status, sort, term: selectedTerm ? String(selectedTerm.id) : "" },
+      terms,
+      selectedTerm,
       message: req.query.ma_saved ? "Mitarbeit eingetragen." : null,
       openMessageCount,
       csrfToken: req.csrfToken()
@@ -2607,7 +2756,7 @@ router.post("/grades/:classId/participation", async (req, res, next) => {
     const classData = await requireClassAccessForTeacher(req, res, classId);
     if (!classData) return;
 
-    const activeProfile = await loadActiveTeacherProfile(req.session.user.id);
+    const activeProfile = await loadClassGradingProfile(req.session.user.id, classData);
     if (!activeProfile) {
       return res.redirect("/teacher/settings?setup=1");
     }
@@ -2637,15 +2786,20 @@ router.post("/grades/:classId/participation", async (req, res, next) => {
       );
     }
 
-    await runAsync(
+    const insertResult = await runAsync(
       "INSERT INTO participation_marks (student_id, class_id, subject_id, teacher_id, symbol, note) VALUES (?,?,?,?,?,?)",
       [student.id, classId, classData.subject_id, req.session.user.id, symbol, note || null]
     );
-    await runAsync("INSERT INTO grade_notifications (student_id, message, type) VALUES (?,?,?)", [
-      student.id,
-      "Neue Mitarbeit eingetragen.",
-      "grade"
-    ]);
+    await gradeHistoryService.recordChange({
+      entryType: "participation_mark",
+      entryId: insertResult.lastID,
+      studentId: student.id,
+      classId,
+      subjectId: classData.subject_id,
+      after: gradeHistoryService.snapshotParticipationMark({ symbol }),
+      changedBy: req.session.user.id
+    });
+    await notificationService.notifyStudent(student.id, "Neue Mitarbeit eingetragen.", "grade");
 
     res.redirect(`/teacher/grades/${classId}?ma_saved=1`);
   } catch (err) {
@@ -2687,12 +2841,52 @@ router.post("/delete-participation/:classId/:studentId/:markId", async (req, res
       "DELETE FROM participation_marks WHERE id = ? AND class_id = ? AND subject_id = ? AND student_id = ?",
       [markId, classId, classData.subject_id, student.id]
     );
+    await gradeHistoryService.recordChange({
+      entryType: "participation_mark",
+      entryId: targetMark.id,
+      studentId: student.id,
+      classId,
+      subjectId: classData.subject_id,
+      before: gradeHistoryService.snapshotParticipationMark(targetMark),
+      changedBy: req.session.user.id
+    });
     res.redirect(`/teacher/student-grades/${classId}/${studentId}`);
   } catch (err) {
     next(err);
   }
 });
 
+router.post("/grade-history/:classId/:studentId/:versionId/revert", async (req, res, next) => {
+  const classId = req.params.classId;
+  const studentId = req.params.studentId;
+  const backUrl = `/teacher/student-grades/${classId}/${studentId}`;
+  try {
+    const classData = await requireClassAccessForTeacher(req, res, classId);
+    if (!classData) return;
+
+    const students = await loadStudents(classId, req.session.user.id, classData.subject_id);
+    const student = students.find((entry) => String(entry.id) === String(studentId));
+    if (!student) {
+      return renderError(res, req, "Schüler nicht gefunden.", 404, `/teacher/students/${classId}`);
+    }
+
+    await gradeHistoryService.revertVersion({
+      versionId: req.params.versionId,
+      classId,
+      subjectId: classData.subject_id,
+      studentId: student.id,
+      actorId: req.session.user.id,
+      reason: req.body?.reason
+    });
+    res.redirect(`${backUrl}?reverted=1`);
+  } catch (err) {
+    if (err.status) {
+      return renderError(res, req, err.message, err.status, backUrl);
+    }
+    next(err);
+  }
+});
+
 router.get("/student-grades/:classId/:studentId", async (req, res, next) => {
   try {
     const classId = req.params.classId;
@@ -2728,7 +2922,7 @@ router.get("/student-grades/:classId/:studentId", async (req, res, next) => {
       });
       messagesByGrade.set(key, list);
     });
-    const activeProfile = await loadActiveTeacherProfile(req.session.user.id);
+    const activeProfile = await loadClassGradingProfile(req.session.user.id, classData);
     const participationConfig = normalizeParticipationConfig(
       activeProfile?.participation || activeProfile || {}
     );
@@ -2740,9 +2934,11 @@ router.get("/student-grades/:classId/:studentId", async (req, res, next) => {
       student.id
     );
     const fallbackMode = resolveWeightMode(activeProfile?.weight_mode);
+    const gradeScale = await loadGradeScale(classData);
     const excludedMessage = isExcludedStudent(student)
       ? buildExcludedStudentMessage(student, classData)
       : null;
+    const absencesByGrade = await absenceService.mapStudentAbsences(student.id);
     const grades = gradeRows.map((row) => {
       const hasAttachment = Boolean(row.attachment_path);
       const resolvedWeightMode = row.is_special ? fallbackMode : resolveWeightMode(row.weight_mode);
@@ -2752,7 +2948,7 @@ router.get("/student-grades/:classId/:studentId", async (req, res, next) => {
       const pointsAchieved = Number(row.points_achieved);
       const pointsMax = Number(row.points_max);
       const hasPoints = Number.isFinite(pointsAchieved) && Number.isFinite(pointsMax) && pointsMax > 0;
-      const pointsPercent = hasPoints ? Number(((pointsAchieved / pointsMax) * 100).toFixed(2)) : null;
+      const pointsPercent = hasPoints ? computePointsPercent(pointsAchieved, pointsMax) : null;
       const messages = row.is_special ? [] : messagesByGrade.get(String(row.id)) || [];
       const threadClosedAt = messages.reduce((latest, message) => {
         return pickLatestTimestamp(latest, message.student_hidden_at) || latest;
@@ -2760,14 +2956,23 @@ router.get("/student-grades/:classId/:studentId", async (req, res, next) => {
       return {
         id: row.id,
         grade: row.grade,
+        grade_label: formatGradeLabel(row.grade, gradeScale),
         points_achieved: hasPoints ? pointsAchieved : null,
         points_max: hasPoints ? pointsMax : null,
         points_percent: pointsPercent,
         note: row.note,
         is_absent: Boolean(row.is_absent),
+        absence: row.is_absent && !row.is_special
+          ? absencesByGrade.get(String(row.id)) || absenceService.describeAbsence(row)
+          : null,
+        absence_action: `/teacher/grade-absence/${classId}/${row.id}`,
+        past_absence: !row.is_absent ? absencesByGrade.get(String(row.id)) || null : null,
+        absence_note_action: `/teacher/grade-absence/${classId}/${row.id}/note`,
         excluded_from_average: excludedFromAverage,
-        excluded_by_absence_profile: excludedByAbsenceProfile,
+        excluded_by_absence_profile: excludedByAbsenceProfile && !isAbsenceWaived(row),
+        excluded_by_absence_excuse: isAbsenceWaived(row),
         category: row.category,
+        ...describeCategory(row.category, activeProfile?.categories),
         weight: row.weight,
         weight_mode: resolvedWeightMode,
         weight_label: neutralizedForAverage
@@ -2775,6 +2980,7 @@ router.get("/student-grades/:classId/:studentId", async (req, res, next) => {
           : formatWeightLabel(row.weight, resolvedWeightMode),
         template_name: row.name,
         template_date: row.date,
+        retake_of_name: row.retake_of_name || null,
         is_special: Boolean(row.is_special),
         has_attachment: hasAttachment,
         attachment_name: row.attachment_original_name || null,
@@ -2789,6 +2995,10 @@ router.get("/student-grades/:classId/:studentId", async (req, res, next) => {
         delete_action: row.is_special
           ? `/teacher/delete-special-assessment/${classId}/${row.id}`
           : `/teacher/delete-grade/${classId}/${row.id}`,
+        is_draft: !row.is_special && !row.published_at,
+        is_held_back: !row.is_special && Boolean(row.is_held_back),
+        publish_action: `/teacher/publish-grade/${classId}/${row.id}`,
+        hold_back_action: `/teacher/hold-back-grade/${classId}/${row.id}`,
         is_subject_excluded: isExcludedStudent(student)
       };
     });
@@ -2837,25 +3047,32 @@ router.get("/student-grades/:classId/:studentId", async (req, res, next) => {
               Number(row.weight) > 0
           );
 
-    const average = isExcludedStudent(student)
+    const ruleEvaluation = isExcludedStudent(student)
       ? null
-      : computeWeightedAverage([...gradeRows, ...participationAverageRows], {
-          absenceMode
+      : evaluateGradingRules([...gradeRows, ...participationAverageRows], activeProfile?.rules, {
+          absenceMode,
+          retakePolicy: activeProfile?.retake_policy
         });
+    const average = ruleEvaluation ? ruleEvaluation.average : null;
+    ruleEvaluation?.rows.slice(0, grades.length).forEach((row, index) => {
+      grades[index].dropped_by_rule = Boolean(row.dropped_by_rule);
+      grades[index].merged_into_original = Boolean(row.merged_into_original);
+      grades[index].retake_policy_label = row.retake_policy_applied
+        ? getRetakePolicyLabel(row.retake_policy_applied)
+        : null;
+    });
     const studentPointTotals = isExcludedStudent(student)
       ? { achieved: 0, max: 0 }
       : computePointTotalsWithParticipation(
           [...gradeRows, ...participationAverageRows],
           { thresholds, absenceMode }
         );
-    const pointsSummary =
-      studentPointTotals.max > 0
-        ? {
-            achieved: Number(studentPointTotals.achieved.toFixed(2)),
-            max: Number(studentPointTotals.max.toFixed(2)),
-            percent: Number(((studentPointTotals.achieved / studentPointTotals.max) * 100).toFixed(2))
-          }
-        : null;
+    const pointsSummary = summarizePointTotals(studentPointTotals);
+    const gradeHistory = await gradeHistoryService.listStudentHistory(
+      student.id,
+      classId,
+      classData.subject_id
+    );
 
     res.render("teacher/teacher-student-grades", {
       email: req.session.user.email,
@@ -2866,10 +3083,16 @@ router.get("/student-grades/:classId/:studentId", async (req, res, next) => {
       participationEntries,
       wishGradeRows,
       average,
+      averageLabel: average != null && !gradeScale.is_default ? formatGradeLabel(average, gradeScale) : null,
+      averagePassing: average != null ? isPassingGrade(average, gradeScale) : null,
+      averageIncomplete: Boolean(ruleEvaluation?.incomplete),
+      ruleExplanations: ruleEvaluation?.explanations || [],
       pointsSummary,
       activeWeightMode: fallbackMode,
       excludedMessage,
       openMessageCount,
+      gradeHistory,
+      historyReverted: req.query.reverted === "1",
       csrfToken: req.csrfToken()
     });
   } catch (err) {
@@ -2892,7 +3115,7 @@ router.get("/student-grades/:classId/:studentId/details", async (req, res, next)
 
     const gradeRows = await loadStudentGrades(student.id, classId, classData.subject_id);
     const templates = await loadTemplates(classId, classData.subject_id);
-    const activeProfile = await loadActiveTeacherProfile(req.session.user.id);
+    const activeProfile = await loadClassGradingProfile(req.session.user.id, classData);
     const participationConfig = normalizeParticipationConfig(
       activeProfile?.participation || activeProfile || {}
     );
@@ -2904,6 +3127,7 @@ router.get("/student-grades/:classId/:studentId/details", async (req, res, next)
     const absenceMode = normalizeAbsenceMode(activeProfile?.absence_mode);
     const thresholds = normalizeThresholds(activeProfile?.thresholds || activeProfile || {});
     const scoringMode = normalizeScoringMode(activeProfile?.scoring_mode);
+    const gradeScale = await loadGradeScale(classData);
     const participationEnabledForAverage =
       participationConfig.ma_enabled && Number(participationConfig.ma_weight) > 0;
     const studentExcluded = isExcludedStudent(student);
@@ -2911,6 +3135,7 @@ router.get("/student-grades/:classId/:studentId/details", async (req, res, next)
       ? buildExcludedStudentMessage(student, classData)
       : null;
 
+    const templatesById = new Map(templates.map((template) => [String(template.id), template]));
     const detailRows = [];
 
     gradeRows.forEach((row, index) => {
@@ -2919,7 +3144,7 @@ router.get("/student-grades/:classId/:studentId/details", async (req, res, next)
       const effectiveWeight = row.weight == null ? 1 : Number(row.weight);
       const excludedFromAverage = Boolean(row.excluded_from_average);
       const isAbsent = Boolean(row.is_absent);
-      const skippedForAbsence = shouldSkipGradeForAbsence({ is_absent: isAbsent }, absenceMode);
+      const skippedForAbsence = shouldSkipGradeForAbsence({ ...row, is_absent: isAbsent }, absenceMode);
       const neutralizedForAverage = excludedFromAverage || skippedForAbsence;
       const hasValidGrade = isValidGradeValue(gradeValue);
       const hasValidWeight = isValidWeightValue(effectiveWeight);
@@ -2932,15 +3157,23 @@ router.get("/student-grades/:classId/:studentId/details", async (req, res, next)
       const pointsAchieved = Number(row.points_achieved);
       const pointsMax = Number(row.points_max);
       const hasPoints = Number.isFinite(pointsAchieved) && Number.isFinite(pointsMax) && pointsMax > 0;
-      const pointsPercent = hasPoints ? Number(((pointsAchieved / pointsMax) * 100).toFixed(2)) : null;
+      const pointsPercent = hasPoints ? computePointsPercent(pointsAchieved, pointsMax) : null;
       const gradeFromPoints =
-        pointsPercent != null ? buildGradeFromPercent(pointsPercent, thresholds) : null;
+        pointsPercent != null
+          ? buildScaleGradeFromPercent(
+              pointsPercent,
+              gradeCurveService.resolveTemplateThresholds(templatesById.get(String(row.template_id)), thresholds),
+              gradeScale
+            )
+          : null;
 
       let includeReason = "Gewichtet in Gesamtnote.";
       if (studentExcluded) {
         includeReason = "Nicht gewichtet (Schüler im Fach ausgeschlossen).";
       } else if (excludedFromAverage) {
         includeReason = "Nicht gewichtet (Gewichtung entfernt).";
+      } else if (isAbsenceWaived({ ...row, is_absent: isAbsent })) {
+        includeReason = "Nicht gewichtet (entschuldigt oder Nachtermin offen).";
       } else if (skippedForAbsence) {
         includeReason = "Nicht gewichtet (Abwesenheit laut Profil).";
       } else if (!hasValidGrade) {
@@ -2952,7 +3185,7 @@ router.get("/student-grades/:classId/:studentId/details", async (req, res, next)
       detailRows.push({
         source_type: Boolean(row.is_special) ? "Sonderleistung" : "Prüfung",
         source_name: row.name || (Boolean(row.is_special) ? "Sonderleistung" : "Prüfung"),
-        category: row.category || "-",
+        category: row.category ? getCategoryLabel(row.category, activeProfile?.categories) : "-",
         created_at: row.created_at || null,
         exam_date: row.date || null,
         note: row.note || "",
@@ -2961,6 +3194,7 @@ router.get("/student-grades/:classId/:studentId/details", async (req, res, next)
         included,
         include_reason: includeReason,
         grade: hasValidGrade ? Number(gradeValue.toFixed(2)) : null,
+        grade_label: hasValidGrade ? formatGradeLabel(gradeValue, gradeScale) : null,
         raw_weight: isValidWeightValue(rawWeight) ? Number(rawWeight.toFixed(2)) : null,
         effective_weight: neutralizedForAverage
           ? 0
@@ -3019,6 +3253,7 @@ router.get("/student-grades/:classId/:studentId/details", async (req, res, next)
         included,
         include_reason: includeReason,
         grade: hasValidGrade ? Number(gradeValue.toFixed(2)) : null,
+        grade_label: null,
         raw_weight: isValidWeightValue(rawWeight) ? Number(rawWeight.toFixed(2)) : null,
         effective_weight: hasValidWeight ? Number(effectiveWeight.toFixed(2)) : null,
         contribution: contributionValue,
@@ -3070,7 +3305,9 @@ router.get("/student-grades/:classId/:studentId/details", async (req, res, next)
     const referenceAverage = studentExcluded
       ? null
       : computeWeightedAverage([...gradeRows, ...participationAverageRows], {
-          absenceMode
+          absenceMode,
+          rules: activeProfile?.rules,
+          retakePolicy: activeProfile?.retake_policy
         });
 
     const summary = {
@@ -3081,19 +3318,18 @@ router.get("/student-grades/:classId/:studentId/details", async (req, res, next)
       average: runningWeightTotal > 0 ? Number((runningWeightedSum / runningWeightTotal).toFixed(2)) : null,
       reference_average: referenceAverage
     };
+    summary.average_label =
+      summary.average != null && !gradeScale.is_default ? formatGradeLabel(summary.average, gradeScale) : null;
     const detailPointTotals = studentExcluded
       ? { achieved: 0, max: 0 }
       : computePointTotalsWithParticipation(
           [...gradeRows, ...participationAverageRows],
           { thresholds, absenceMode }
         );
-    summary.points_achieved_total =
-      detailPointTotals.max > 0 ? Number(detailPointTotals.achieved.toFixed(2)) : null;
-    summary.points_max_total = detailPointTotals.max > 0 ? Number(detailPointTotals.max.toFixed(2)) : null;
-    summary.points_percent =
-      detailPointTotals.max > 0
-        ? Number(((detailPointTotals.achieved / detailPointTotals.max) * 100).toFixed(2))
-        : null;
+    const detailPointsSummary = summarizePointTotals(detailPointTotals);
+    summary.points_achieved_total = detailPointsSummary ? detailPointsSummary.achieved : null;
+    summary.points_max_total = detailPointsSummary ? detailPointsSummary.max : null;
+    summary.points_percent = detailPointsSummary ? detailPointsSummary.percent : null;
 
     const gradedTemplateIds = new Set(
       gradeRows
@@ -3107,7 +3343,7 @@ router.get("/student-grades/:classId/:studentId/details", async (req, res, next)
           .map((template) => ({
             id: template.id,
             name: template.name,
-            category: template.category,
+            category: getCategoryLabel(template.category, activeProfile?.categories),
             weight_label: template.weight_label || formatWeightLabel(template.weight, template.weight_mode),
             max_points: template.max_points != null ? Number(template.max_points) : null,
             date: template.date || null,
@@ -3131,6 +3367,7 @@ router.get("/student-grades/:classId/:studentId/details", async (req, res, next)
       pushCsv(["Meta", "Klasse", classData.name || ""]);
       pushCsv(["Meta", "Schüler", student.name || ""]);
       pushCsv(["Meta", "Fach", classData.subject || ""]);
+      pushCsv(["Meta", "Notenskala", gradeScale.name]);
       csvLines.push("");
 
       if (exportFormat === "csv_raw") {
@@ -3143,6 +3380,7 @@ router.get("/student-grades/:classId/:studentId/details", async (req, res, next)
           "Erfasst am",
           "Prüfungsdatum",
           "Note",
+          "Notenbezeichnung",
           "Gewicht roh",
           "Gewicht effektiv",
           "Beitrag",
@@ -3165,6 +3403,7 @@ router.get("/student-grades/:classId/:studentId/details", async (req, res, next)
             row.created_at || "",
             row.exam_date || "",
             row.grade != null ? Number(row.grade).toFixed(2) : "",
+            row.grade_label || "",
             row.raw_weight != null ? Number(row.raw_weight).toFixed(2) : "",
             row.effective_weight != null ? Number(row.effective_weight).toFixed(2) : "",
             row.contribution != null ? Number(row.contribution).toFixed(4) : "",
@@ -3261,7 +3500,8 @@ router.post("/delete-grade/:classId/:gradeId", async (req, res, next) => {
     if (!classData) return;
 
     const gradeRow = await getAsync(
-      `SELECT g.attachment_path, g.excluded_from_average
+      `SELECT g.attachment_path, g.excluded_from_average, g.student_id, g.grade, g.points_achieved, g.points_max, g.is_absent,
+              gt.name AS template_name
        FROM grades g
        JOIN grade_templates gt ON gt.id = g.grade_template_id
        WHERE g.id = ? AND g.class_id = ? AND gt.subject_id = ?`,
@@ -3279,8 +3519,21 @@ router.post("/delete-grade/:classId/:gradeId", async (req, res, next) => {
       const backUrl = req.get("referer") || `/teacher/grades/${classId}`;
       return res.redirect(backUrl);
     }
+    // Nach einem benoteten Nachtermin ist is_absent falsch, die Bestätigung aber noch gespeichert.
+    const absenceNotePath = await absenceService.findAbsenceNotePath(gradeId, classId, classData.subject_id);
     await runAsync("DELETE FROM grades WHERE id = ? AND class_id = ?", [gradeId, classId]);
+    await gradeHistoryService.recordChange({
+      entryType: "grade",
+      entryId: gradeId,
+      studentId: gradeRow.student_id,
+      classId,
+      subjectId: classData.subject_id,
+      label: gradeRow.template_name,
+      before: gradeHistoryService.snapshotGrade(gradeRow),
+      changedBy: req.session.user.id
+    });
     await removeStoredAttachment(gradeRow?.attachment_path);
+    await removeStoredAttachment(absenceNotePath);
     const backUrl = req.get("referer") || `/teacher/grades/${classId}`;
     res.redirect(backUrl);
   } catch (err) {
@@ -3288,6 +3541,48 @@ router.post("/delete-grade/:classId/:gradeId", async (req, res, next) => {
   }
 });
 
+router.post("/publish-grade/:classId/:gradeId", async (req, res, next) => {
+  const classId = req.params.classId;
+  const backUrl = req.get("referer") || `/teacher/grades/${classId}`;
+  try {
+    const classData = await requireClassAccessForTeacher(req, res, classId);
+    if (!classData) return;
+
+    await gradeReleaseService.publishSingleGrade({
+      gradeId: req.params.gradeId,
+      classId,
+      subjectId: classData.subject_id
+    });
+    res.redirect(backUrl);
+  } catch (err) {
+    if (err.status) {
+      return renderError(res, req, err.message, err.status, backUrl);
+    }
+    next(err);
+  }
+});
+
+router.post("/hold-back-grade/:classId/:gradeId", async (req, res, next) => {
+  const classId = req.params.classId;
+  const backUrl = req.get("referer") || `/teacher/grades/${classId}`;
+  try {
+    const classData = await requireClassAccessForTeacher(req, res, classId);
+    if (!classData) return;
+
+    await gradeReleaseService.holdBackSingleGrade({
+      gradeId: req.params.gradeId,
+      classId,
+      subjectId: classData.subject_id
+    });
+    res.redirect(backUrl);
+  } catch (err) {
+    if (err.status) {
+      return renderError(res, req, err.message, err.status, backUrl);
+    }
+    next(err);
+  }
+});
+
 router.post("/delete-grade-attachment/:classId/:gradeId", async (req, res, next) => {
   try {
     const classId = req.params.classId;
@@ -3319,22 +3614,131 @@ router.post("/delete-grade-attachment/:classId/:gradeId", async (req, res, next)
   }
 });
 
-router.get("/add-grade/:classId/:studentId", async (req, res, next) => {
+router.get("/grade-absence/:classId/:gradeId", async (req, res, next) => {
+  const classId = req.params.classId;
   try {
-    const classId = req.params.classId;
-    const studentId = req.params.studentId;
     const classData = await requireClassAccessForTeacher(req, res, classId);
     if (!classData) return;
 
-    const students = await loadStudents(classId, req.session.user.id, classData.subject_id);
-    const student = students.find((entry) => String(entry.id) === String(studentId));
-    if (!student) {
-      return renderError(res, req, "Schüler nicht gefunden.", 404, `/teacher/students/${classId}`);
-    }
-
-    const templates = await loadTemplates(classId, classData.subject_id);
-    const gradedTemplateIds = await loadGradedTemplateIdsForStudent(
-      classId,
+    const grade = await absenceService.loadGradeAbsence(req.params.gradeId, classId, classData.subject_id);
+    const openMessageCount = await loadClassOpenMessageCount(classId, classData.subject_id);
+    res.render("teacher/teacher-grade-absence", {
+      email: req.session.user.email,
+      classData,
+      grade,
+      statusOptions: absenceService.ABSENCE_STATUS_OPTIONS,
+      maxFileSizeMb: MAX_GRADE_FILE_MB,
+      message: req.query.saved === "1" ? "Abwesenheit gespeichert." : null,
+      openMessageCount,
+      csrfToken: req.csrfToken()
+    });
+  } catch (err) {
+    if (err.status) {
+      return renderError(res, req, err.message, err.status, `/teacher/students/${classId}`);
+    }
+    next(err);
+  }
+});
+
+router.post("/grade-absence/:classId/:gradeId", handleAbsenceNoteUpload, async (req, res, next) => {
+  const classId = req.params.classId;
+  const gradeId = req.params.gradeId;
+  try {
+    const classData = await requireClassAccessForTeacher(req, res, classId);
+    if (!classData) {
+      await removeUploadedFile(req.file);
+      return;
+    }
+
+    const grade = await absenceService.loadGradeAbsence(gradeId, classId, classData.subject_id);
+    const input = absenceService.readAbsenceInput(req.body);
+    const { replacedNotePath } = await absenceService.saveGradeAbsence({
+      grade,
+      input,
+      uploadedNote: req.file
+        ? {
+            path: req.file.filename,
+            originalName: sanitizeFilename(req.file.originalname),
+            mime: req.file.mimetype
+          }
+        : null,
+      actorId: req.session.user.id
+    });
+    await removeStoredAttachment(replacedNotePath);
+    res.redirect(`/teacher/grade-absence/${classId}/${gradeId}?saved=1`);
+  } catch (err) {
+    await removeUploadedFile(req.file);
+    if (err.status) {
+      return renderError(res, req, err.message, err.status, `/teacher/grade-absence/${classId}/${gradeId}`);
+    }
+    next(err);
+  }
+});
+
+router.get("/grade-absence/:classId/:gradeId/note", async (req, res, next) => {
+  const classId = req.params.classId;
+  try {
+    const classData = await requireClassAccessForTeacher(req, res, classId);
+    if (!classData) return;
+
+    const grade = await absenceService.loadAbsenceNote(req.params.gradeId, classId, classData.subject_id);
+    const baseDir = path.resolve(GRADE_ATTACHMENT_DIR);
+    const filePath = path.resolve(path.join(GRADE_ATTACHMENT_DIR, grade.note_path));
+    const stat = filePath.startsWith(baseDir + path.sep)
+      ? await fs.promises.stat(filePath).catch(() => null)
+      : null;
+    if (!stat || !stat.isFile()) {
+      return renderError(res, req, "Datei nicht gefunden.", 404, `/teacher/student-grades/${classId}/${grade.student_id}`);
+    }
+    res.setHeader("Content-Type", grade.note_mime || "application/octet-stream");
+    return res.download(filePath, sanitizeFilename(grade.note_original_name || "bestaetigung"), (err) => {
+      if (err) next(err);
+    });
+  } catch (err) {
+    if (err.status) {
+      return renderError(res, req, err.message, err.status, `/teacher/students/${classId}`);
+    }
+    next(err);
+  }
+});
+
+router.get("/makeups/:classId", async (req, res, next) => {
+  try {
+    const classId = req.params.classId;
+    const classData = await requireClassAccessForTeacher(req, res, classId);
+    if (!classData) return;
+
+    const makeups = await absenceService.listOpenMakeups(classId, classData.subject_id);
+    const openMessageCount = await loadClassOpenMessageCount(classId, classData.subject_id);
+    res.render("teacher/teacher-makeups", {
+      email: req.session.user.email,
+      classData,
+      makeups,
+      overdueCount: makeups.filter((entry) => entry.absence.makeup_overdue).length,
+      openMessageCount,
+      csrfToken: req.csrfToken()
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get("/add-grade/:classId/:studentId", async (req, res, next) => {
+  try {
+    const classId = req.params.classId;
+    const studentId = req.params.studentId;
+    const classData = await requireClassAccessForTeacher(req, res, classId);
+    if (!classData) return;
+
+    const students = await loadStudents(classId, req.session.user.id, classData.subject_id);
+    const student = students.find((entry) => String(entry.id) === String(studentId));
+    if (!student) {
+      return renderError(res, req, "Schüler nicht gefunden.", 404, `/teacher/students/${classId}`);
+    }
+
+    const templates = await loadTemplates(classId, classData.subject_id);
+    const gradedTemplateIds = await loadGradedTemplateIdsForStudent(
+      classId,
       classData.subject_id,
       student.id
     );
@@ -3363,7 +3767,8 @@ router.post("/add-grade/:classId/:studentId", handleUpload, async (req, res, nex
       points_achieved,
       note,
       external_link,
-      is_absent
+      is_absent,
+      hold_back
     } = req.body || {};
     const classData = await requireClassAccessForTeacher(req, res, classId);
     if (!classData) {
@@ -3384,7 +3789,7 @@ router.post("/add-grade/:classId/:studentId", handleUpload, async (req, res, nex
       classData.subject_id,
       student.id
     );
-    const activeProfile = await loadActiveTeacherProfile(req.session.user.id);
+    const activeProfile = await loadClassGradingProfile(req.session.user.id, classData);
     if (!activeProfile) {
       await removeUploadedFile(req.file);
       return res.redirect("/teacher/settings?setup=1");
@@ -3393,10 +3798,11 @@ router.post("/add-grade/:classId/:studentId", handleUpload, async (req, res, nex
     const scoringMode = normalizeScoringMode(activeProfile.scoring_mode);
     const absenceMode = normalizeAbsenceMode(activeProfile.absence_mode);
     const thresholds = normalizeThresholds(activeProfile.thresholds || activeProfile);
-    const gradeInput = parseOptionalNumber(grade);
-    const pointsAchievedInput = parseOptionalNumber(points_achieved);
-    const hasGrade = gradeInput.provided;
-    const hasPoints = pointsAchievedInput.provided;
+    const gradeScale = await loadGradeScale(classData);
+    const hasGrade = String(grade ?? "").trim() !== "";
+    const gradeValue = parseGradeInput(grade, gradeScale);
+    let pointsAchievedInput = parseOptionalNumber(points_achieved);
+    let hasPoints = pointsAchievedInput.provided;
     const isAbsent =
       is_absent === true ||
       is_absent === 1 ||
@@ -3432,8 +3838,8 @@ router.post("/add-grade/:classId/:studentId", handleUpload, async (req, res, nex
       return renderValidationError(400, "Bitte eine Prüfung auswählen.");
     }
 
-    if (hasGrade && (!Number.isFinite(gradeInput.value) || gradeInput.value < 1 || gradeInput.value > 5)) {
-      return renderValidationError(400, "Note muss zwischen 1 und 5 liegen.");
+    if (hasGrade && gradeValue == null) {
+      return renderValidationError(400, buildInvalidGradeMessage(gradeScale));
     }
 
     if (hasPoints && (!Number.isFinite(pointsAchievedInput.value) || pointsAchievedInput.value < 0)) {
@@ -3447,6 +3853,21 @@ router.post("/add-grade/:classId/:studentId", handleUpload, async (req, res, nex
     if (!templateRow) {
       return renderValidationError(400, "Prüfungsvorlage nicht gefunden.");
     }
+    const rubric = await rubricService.resolveTemplateRubric(templateRow.id);
+    const rubricSelection = rubricService.readRubricSelection(
+      rubric,
+      (criterionId) => formData[`rubric_c${criterionId}`]
+    );
+    if (rubricSelection.error) {
+      return renderValidationError(400, rubricSelection.error);
+    }
+    // Die Summe der gewählten Rasterstufen ersetzt die eingetippten Punkte.
+    if (rubricSelection.complete && !isAbsent) {
+      pointsAchievedInput = { provided: true, value: rubricSelection.total };
+      hasPoints = true;
+    }
+    const selectedTemplate = templates.find((entry) => String(entry.id) === String(templateRow.id));
+    const templateThresholds = gradeCurveService.resolveTemplateThresholds(selectedTemplate, thresholds);
     const templateMaxPointsRaw = Number(templateRow.max_points);
     const templateHasMaxPoints =
       Number.isFinite(templateMaxPointsRaw) && templateMaxPointsRaw > 0;
@@ -3524,19 +3945,19 @@ router.post("/add-grade/:classId/:studentId", handleUpload, async (req, res, nex
         resolvedPointsAchieved = 0;
         resolvedPointsMax = templateMaxPointsRaw;
       }
-      resolvedGrade = 5;
+      resolvedGrade = getWorstScaleValue(gradeScale);
     } else {
       resolvedPointsAchieved = hasCompletePoints ? Number(pointsAchievedInput.value) : null;
       resolvedPointsMax = hasCompletePoints ? Number(templateMaxPointsRaw) : null;
-      resolvedGrade = hasGrade ? Number(gradeInput.value) : null;
+      resolvedGrade = hasGrade ? gradeValue : null;
 
       if (resolvedGrade == null && resolvedPointsAchieved != null && resolvedPointsMax != null) {
         const percent = (resolvedPointsAchieved / resolvedPointsMax) * 100;
-        resolvedGrade = buildGradeFromPercent(percent, thresholds);
+        resolvedGrade = buildScaleGradeFromPercent(percent, templateThresholds, gradeScale);
       }
     }
 
-    if (!Number.isFinite(resolvedGrade) || resolvedGrade < 1 || resolvedGrade > 5) {
+    if (!isValidGradeValue(resolvedGrade)) {
       return renderValidationError(400, "Note konnte nicht berechnet werden.");
     }
 
@@ -3545,9 +3966,12 @@ router.post("/add-grade/:classId/:studentId", handleUpload, async (req, res, nex
     const attachmentMime = req.file ? req.file.mimetype : null;
     const attachmentSize = req.file ? req.file.size : null;
 
+    const holdBack = isCheckedInputValue(hold_back);
+    const publishedAt = gradeReleaseService.resolveGradePublishedAt(selectedTemplate, holdBack);
+
     try {
-      await runAsync(
-        "INSERT INTO grades (student_id, class_id, grade_template_id, grade, points_achieved, points_max, note, attachment_path, attachment_original_name, attachment_mime, attachment_size, external_link, is_absent, school_year_id) VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?)",
+      const insertResult = await runAsync(
+        "INSERT INTO grades (student_id, class_id, grade_template_id, grade, points_achieved, points_max, note, attachment_path, attachment_original_name, attachment_mime, attachment_size, external_link, is_absent, school_year_id, published_at, is_held_back) VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)",
         [
           studentId,
           classId,
@@ -3562,14 +3986,32 @@ router.post("/add-grade/:classId/:studentId", handleUpload, async (req, res, nex
           attachmentSize,
           linkResult.value,
           isAbsent ? 1 : 0,
-          classData.school_year_id
+          classData.school_year_id,
+          publishedAt,
+          holdBack
         ]
       );
-      await runAsync("INSERT INTO grade_notifications (student_id, message, type) VALUES (?,?,?)", [
+      if (!isAbsent) {
+        await rubricService.saveGradeScores(insertResult.lastID, rubricSelection);
+      }
+      await gradeHistoryService.recordChange({
+        entryType: "grade",
+        entryId: insertResult.lastID,
         studentId,
-        "Neue Note eingetragen.",
-        "grade"
-      ]);
+        classId,
+        subjectId: classData.subject_id,
+        label: selectedTemplate?.name,
+        after: gradeHistoryService.snapshotGrade({
+          grade: resolvedGrade,
+          points_achieved: resolvedPointsAchieved,
+          points_max: resolvedPointsMax,
+          is_absent: isAbsent
+        }),
+        changedBy: req.session.user.id
+      });
+      if (publishedAt) {
+        await notificationService.notifyStudent(studentId, "Neue Note eingetragen.", "grade");
+      }
     } catch (err) {
       if (String(err).includes("UNIQUE")) {
         await removeUploadedFile(req.file);
@@ -3602,8 +4044,10 @@ router.get("/grade-templates/:classId", async (req, res, next) => {
     const qRaw = String(req.query.q || "").trim();
     const q = qRaw.slice(0, 120);
     const qFolded = foldText(q);
+    const activeProfile = await loadClassGradingProfile(req.session.user.id, classData);
+    const categories = activeProfile?.categories || TEMPLATE_CATEGORY_DEFINITIONS;
     const categoryParam = String(req.query.category || "").trim();
-    const category = normalizeCategoryKey(categoryParam) || "";
+    const category = normalizeCategoryKey(categoryParam, categories) || "";
     const pointsFilterOptions = new Set(["all", "with_max", "without_max"]);
     const pointsFilter = pointsFilterOptions.has(String(req.query.points || ""))
       ? String(req.query.points)
@@ -3627,16 +4071,23 @@ router.get("/grade-templates/:classId", async (req, res, next) => {
       classId,
       classData.subject_id
     );
-    const templatesAll = (await loadTemplates(classId, classData.subject_id)).map((template) => {
-      const categoryKey = normalizeCategoryKey(template.category);
-      const categorySlug = categoryKey
-        ? (CATEGORY_BY_KEY.get(categoryKey)?.slug || "")
-        : "";
+    const loadedTemplates = await loadTemplates(classId, classData.subject_id);
+    const rubricsByTemplate = await rubricService.mapRubricsByTemplate(loadedTemplates);
+    const tasksByTemplate = await templateTaskService.mapTasksByTemplate(loadedTemplates);
+    const retakeLinks = retakeService.describeRetakeLinks(loadedTemplates);
+    const templatesAll = loadedTemplates.map((template) => {
       const gradedCount = Number(gradedCountByTemplate.get(String(template.id)) || 0);
       return {
         ...template,
-        category_key: categoryKey || "",
-        category_slug: categorySlug,
+        ...describeCategory(template.category, categories),
+        ...retakeLinks.get(String(template.id)),
+        rubric_name: rubricsByTemplate.get(String(template.id))?.name || null,
+        task_count: (tasksByTemplate.get(String(template.id)) || []).length,
+        threshold_label: (() => {
+          const override = gradeCurveService.readTemplateThresholds(template);
+          return override ? gradeCurveService.formatThresholds(override) : null;
+        })(),
+        release: gradeReleaseService.describeTemplateRelease(template),
         graded_count: gradedCount,
         is_fully_graded: studentCount > 0 && gradedCount >= studentCount
       };
@@ -3650,7 +4101,7 @@ router.get("/grade-templates/:classId", async (req, res, next) => {
       if (!qFolded) return true;
       const dateLabel = template.date ? new Date(template.date).toLocaleDateString("de-DE") : "";
       const haystack = foldText(
-        `${template.name || ""} ${template.category || ""} ${template.description || ""} ${dateLabel}`
+        `${template.name || ""} ${template.category_label || ""} ${template.description || ""} ${dateLabel}`
       );
       return haystack.includes(qFolded);
     });
@@ -3694,7 +4145,7 @@ router.get("/grade-templates/:classId", async (req, res, next) => {
         case "max_asc":
           return compareNullableNumberAsc(a.max_points, b.max_points) || compareText(a.name, b.name);
         case "category_asc":
-          return compareText(a.category, b.category) || compareText(a.name, b.name);
+          return compareText(a.category_label, b.category_label) || compareText(a.name, b.name);
         case "date_desc":
         default:
           return -compareNullableDateAsc(a.date, b.date) || compareText(a.name, b.name);
@@ -3702,7 +4153,6 @@ router.get("/grade-templates/:classId", async (req, res, next) => {
     });
 
     const openMessageCount = await loadClassOpenMessageCount(classId, classData.subject_id);
-    const activeProfile = await loadActiveTeacherProfile(req.session.user.id);
     const totalPointWeight = Number(
       templatesAll.reduce((sum, template) => sum + Number(template.weight || 0), 0).toFixed(2)
     );
@@ -3712,7 +4162,7 @@ router.get("/grade-templates/:classId", async (req, res, next) => {
       classData,
       templates,
       totalTemplateCount: templatesAll.length,
-      categoryOptions: TEMPLATE_CATEGORY_DEFINITIONS.map((entry) => ({
+      categoryOptions: categories.map((entry) => ({
         key: entry.key,
         label: entry.label
       })),
@@ -3720,6 +4170,14 @@ router.get("/grade-templates/:classId", async (req, res, next) => {
       activeProfile,
       studentCount,
       totalPointWeight,
+      releaseNotice:
+        req.query.release === "now"
+          ? `${Number(req.query.published) || 0} Noten veröffentlicht.`
+          : req.query.release === "scheduled"
+          ? "Veröffentlichung geplant."
+          : req.query.release === "draft"
+          ? "Noten werden als Entwurf zurückgehalten."
+          : null,
       openMessageCount,
       csrfToken: req.csrfToken()
     });
@@ -3736,7 +4194,7 @@ router.get("/bulk-grade-template/:classId/:templateId", async (req, res, next) =
     if (!templateContext) return;
     const { classData, template } = templateContext;
 
-    const activeProfile = await loadActiveTeacherProfile(req.session.user.id);
+    const activeProfile = await loadClassGradingProfile(req.session.user.id, classData);
     if (!activeProfile) {
       return res.redirect("/teacher/settings?setup=1");
     }
@@ -3773,16 +4231,80 @@ router.get("/bulk-grade-template/:classId/:templateId", async (req, res, next) =
     if (hasResultQuery && messageParts.length === 0) {
       messageParts.push("Keine Bewertung gespeichert.");
     }
+    if (req.query.curved != null) {
+      const curved = Number(req.query.curved) || 0;
+      messageParts.push(`Notenschlüssel übernommen, ${curved} Note${curved === 1 ? "" : "n"} neu berechnet.`);
+    }
+
+    // Vorschau eines geänderten Notenschlüssels, bevor er übernommen wird.
+    let curve = null;
+    let curveError = null;
+    const curveForm = req.query.curve === "1"
+      ? buildThresholdFormData(req.query)
+      : buildThresholdFormData(gradeCurveService.readTemplateThresholds(template));
+    if (req.query.curve === "1") {
+      const { thresholdOverride, thresholdError } = readThresholdOverrideInput(req.query);
+      if (thresholdError) {
+        curveError = thresholdError;
+      } else {
+        curve = await gradeCurveService.previewCurve({
+          template,
+          classId,
+          profileThresholds: activeProfile.thresholds || activeProfile,
+          nextThresholds: thresholdOverride,
+          gradeScale: await loadGradeScale(classData)
+        });
+      }
+    }
 
     return renderBulkGradeTemplateForm(req, res, {
+      status: curveError ? 400 : 200,
       classData,
       template,
       students,
       existingGradesByStudent,
       activeProfile,
-      message: messageParts.length ? messageParts.join(" ") : null
+      message: messageParts.length ? messageParts.join(" ") : null,
+      curve,
+      curveForm,
+      curveError
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post("/grade-curve/:classId/:templateId", async (req, res, next) => {
+  const classId = req.params.classId;
+  const backUrl = `/teacher/bulk-grade-template/${classId}/${req.params.templateId}`;
+  try {
+    const templateContext = await loadTemplateContextForTeacher(req, res, classId, req.params.templateId);
+    if (!templateContext) return;
+    const { classData, template } = templateContext;
+
+    const activeProfile = await loadClassGradingProfile(req.session.user.id, classData);
+    if (!activeProfile) {
+      return res.redirect("/teacher/settings?setup=1");
+    }
+
+    const { thresholdOverride, thresholdError } = readThresholdOverrideInput(req.body);
+    if (thresholdError) {
+      return renderError(res, req, thresholdError, 400, backUrl);
+    }
+    const result = await gradeCurveService.applyCurve({
+      template,
+      classData,
+      profileThresholds: activeProfile.thresholds || activeProfile,
+      nextThresholds: thresholdOverride,
+      gradeScale: await loadGradeScale(classData),
+      actorId: req.session.user.id,
+      reason: req.body?.change_reason
     });
+    res.redirect(`${backUrl}?curved=${result.changedEntries.length}`);
   } catch (err) {
+    if (err.status) {
+      return renderError(res, req, err.message, err.status, backUrl);
+    }
     next(err);
   }
 });
@@ -3795,7 +4317,7 @@ router.post("/bulk-grade-template/:classId/:templateId", async (req, res, next)
     if (!templateContext) return;
     const { classData, template } = templateContext;
 
-    const activeProfile = await loadActiveTeacherProfile(req.session.user.id);
+    const activeProfile = await loadClassGradingProfile(req.session.user.id, classData);
     if (!activeProfile) {
       return res.redirect("/teacher/settings?setup=1");
     }
@@ -3806,15 +4328,46 @@ router.post("/bulk-grade-template/:classId/:templateId", async (req, res, next)
       classData.subject_id,
       templateId
     );
-    const rows = buildBulkGradeRows(students, existingGradesByStudent, req.body || {});
+    const rubric = await rubricService.resolveTemplateRubric(template.id);
+    const tasks = await templateTaskService.listTemplateTasks(template.id);
+    const rows = buildBulkGradeRows(
+      students,
+      existingGradesByStudent,
+      req.body || {},
+      null,
+      rubric,
+      new Map(),
+      tasks
+    );
 
     const scoringMode = normalizeScoringMode(activeProfile.scoring_mode);
     const absenceMode = normalizeAbsenceMode(activeProfile.absence_mode);
-    const thresholds = normalizeThresholds(activeProfile.thresholds || activeProfile);
+    const thresholds = gradeCurveService.resolveTemplateThresholds(
+      template,
+      activeProfile.thresholds || activeProfile
+    );
+    const gradeScale = await loadGradeScale(classData);
     const templateMaxPointsRaw = Number(template.max_points);
     const templateHasMaxPoints =
       Number.isFinite(templateMaxPointsRaw) && templateMaxPointsRaw > 0;
 
+    let changeReason = null;
+    try {
+      changeReason = gradeHistoryService.readChangeReason(req.body?.change_reason);
+    } catch (err) {
+      if (!err.status) throw err;
+      return renderBulkGradeTemplateForm(req, res, {
+        status: err.status,
+        classData,
+        template,
+        students,
+        existingGradesByStudent,
+        activeProfile,
+        formData: req.body || {},
+        error: err.message
+      });
+    }
+
     const validationErrors = [];
     const preparedRows = [];
 
@@ -3822,12 +4375,26 @@ router.post("/bulk-grade-template/:classId/:templateId", async (req, res, next)
       const studentId = row.student.id;
       const studentName = row.student.name || `Schüler ${studentId}`;
       const noteText = String(row.form.note || "").trim();
-      const gradeInput = parseOptionalNumber(row.form.grade);
-      const pointsInput = parseOptionalNumber(row.form.points_achieved);
-      const hasGrade = gradeInput.provided;
-      const hasPoints = pointsInput.provided;
+      const hasGrade = String(row.form.grade ?? "").trim() !== "";
+      const gradeValue = parseGradeInput(row.form.grade, gradeScale);
+      let pointsInput = parseOptionalNumber(row.form.points_achieved);
+      let hasPoints = pointsInput.provided;
       const isAbsent = Boolean(row.form.is_absent);
-      const touched = hasGrade || hasPoints || isAbsent || noteText.length > 0;
+      const rubricSelection = rubricService.readRubricSelection(
+        rubric,
+        (criterionId) => row.form.rubric[String(criterionId)]
+      );
+      const taskEntry = templateTaskService.readTaskPoints(
+        tasks,
+        (taskId) => row.form.tasks[String(taskId)]
+      );
+      const touched =
+        hasGrade ||
+        hasPoints ||
+        isAbsent ||
+        noteText.length > 0 ||
+        rubricSelection.provided ||
+        taskEntry.provided;
       if (!touched) return;
 
       if (isExcludedStudent(row.student)) {
@@ -3835,8 +4402,25 @@ router.post("/bulk-grade-template/:classId/:templateId", async (req, res, next)
         return;
       }
 
-      if (hasGrade && (!Number.isFinite(gradeInput.value) || gradeInput.value < 1 || gradeInput.value > 5)) {
-        validationErrors.push(`${studentName}: Note muss zwischen 1 und 5 liegen.`);
+      if (rubricSelection.error) {
+        validationErrors.push(`${studentName}: ${rubricSelection.error}`);
+        return;
+      }
+      if (rubricSelection.complete && !isAbsent) {
+        pointsInput = { provided: true, value: rubricSelection.total };
+        hasPoints = true;
+      }
+      if (taskEntry.error) {
+        validationErrors.push(`${studentName}: ${taskEntry.error}`);
+        return;
+      }
+      if (taskEntry.complete && !isAbsent) {
+        pointsInput = { provided: true, value: taskEntry.total };
+        hasPoints = true;
+      }
+
+      if (hasGrade && gradeValue == null) {
+        validationErrors.push(`${studentName}: ${buildInvalidGradeMessage(gradeScale)}`);
         return;
       }
 
@@ -3901,31 +4485,34 @@ router.post("/bulk-grade-template/:classId/:templateId", async (req, res, next)
           resolvedPointsAchieved = 0;
           resolvedPointsMax = templateMaxPointsRaw;
         }
-        resolvedGrade = 5;
+        resolvedGrade = getWorstScaleValue(gradeScale);
       } else {
         resolvedPointsAchieved = hasCompletePoints ? Number(pointsInput.value) : null;
         resolvedPointsMax = hasCompletePoints ? Number(templateMaxPointsRaw) : null;
-        resolvedGrade = hasGrade ? Number(gradeInput.value) : null;
+        resolvedGrade = hasGrade ? gradeValue : null;
 
         if (resolvedGrade == null && resolvedPointsAchieved != null && resolvedPointsMax != null) {
           const percent = (resolvedPointsAchieved / resolvedPointsMax) * 100;
-          resolvedGrade = buildGradeFromPercent(percent, thresholds);
+          resolvedGrade = buildScaleGradeFromPercent(percent, thresholds, gradeScale);
         }
       }
 
-      if (!Number.isFinite(resolvedGrade) || resolvedGrade < 1 || resolvedGrade > 5) {
+      if (!isValidGradeValue(resolvedGrade)) {
         validationErrors.push(`${studentName}: Note konnte nicht berechnet werden.`);
         return;
       }
 
       preparedRows.push({
         existingGradeId: row.existing ? row.existing.id : null,
+        existing: row.existing || null,
         studentId,
         grade: resolvedGrade,
         pointsAchieved: resolvedPointsAchieved,
         pointsMax: resolvedPointsMax,
         note: noteText || null,
-        isAbsent: isAbsent ? 1 : 0
+        isAbsent: isAbsent ? 1 : 0,
+        rubricSelection: isAbsent ? null : rubricSelection,
+        taskEntry: isAbsent ? null : taskEntry
       });
     });
 
@@ -3963,6 +4550,7 @@ router.post("/bulk-grade-template/:classId/:templateId", async (req, res, next)
     if (!Number.isFinite(classSchoolYearId)) {
       throw new Error(`Klasse ${classId} hat kein gültiges school_year_id.`);
     }
+    const publishedAt = gradeReleaseService.resolveGradePublishedAt(template);
 
     for (const row of preparedRows) {
       try {
@@ -3983,10 +4571,29 @@ router.post("/bulk-grade-template/:classId/:templateId", async (req, res, next)
               template.id
             ]
           );
+          await rubricService.saveGradeScores(row.existingGradeId, row.rubricSelection);
+          await templateTaskService.saveGradeTaskPoints(row.existingGradeId, row.taskEntry);
+          await gradeHistoryService.recordChange({
+            entryType: "grade",
+            entryId: row.existingGradeId,
+            studentId: row.studentId,
+            classId,
+            subjectId: classData.subject_id,
+            label: template.name,
+            before: gradeHistoryService.snapshotGrade(row.existing),
+            after: gradeHistoryService.snapshotGrade({
+              grade: row.grade,
+              points_achieved: row.pointsAchieved,
+              points_max: row.pointsMax,
+              is_absent: row.isAbsent
+            }),
+            changedBy: req.session.user.id,
+            reason: changeReason
+          });
           updated += 1;
         } else {
-          await runAsync(
-            "INSERT INTO grades (student_id, class_id, grade_template_id, grade, points_achieved, points_max, note, external_link, is_absent, school_year_id) VALUES (?,?,?,?,?,?,?,?,?,?)",
+          const insertResult = await runAsync(
+            "INSERT INTO grades (student_id, class_id, grade_template_id, grade, points_achieved, points_max, note, external_link, is_absent, school_year_id, published_at) VALUES (?,?,?,?,?,?,?,?,?,?,?)",
             [
               row.studentId,
               classId,
@@ -3997,14 +4604,31 @@ router.post("/bulk-grade-template/:classId/:templateId", async (req, res, next)
               row.note,
               null,
               row.isAbsent,
-              classSchoolYearId
+              classSchoolYearId,
+              publishedAt
             ]
           );
-          await runAsync("INSERT INTO grade_notifications (student_id, message, type) VALUES (?,?,?)", [
-            row.studentId,
-            "Neue Note eingetragen.",
-            "grade"
-          ]);
+          await rubricService.saveGradeScores(insertResult.lastID, row.rubricSelection);
+          await templateTaskService.saveGradeTaskPoints(insertResult.lastID, row.taskEntry);
+          await gradeHistoryService.recordChange({
+            entryType: "grade",
+            entryId: insertResult.lastID,
+            studentId: row.studentId,
+            classId,
+            subjectId: classData.subject_id,
+            label: template.name,
+            after: gradeHistoryService.snapshotGrade({
+              grade: row.grade,
+              points_achieved: row.pointsAchieved,
+              points_max: row.pointsMax,
+              is_absent: row.isAbsent
+            }),
+            changedBy: req.session.user.id,
+            reason: changeReason
+          });
+          if (publishedAt) {
+            await notificationService.notifyStudent(row.studentId, "Neue Note eingetragen.", "grade");
+          }
           saved += 1;
         }
       } catch (err) {
@@ -4028,30 +4652,100 @@ router.post("/bulk-grade-template/:classId/:templateId", async (req, res, next)
   }
 });
 
+function readTemplateTasksInput(value, rubric) {
+  try {
+    const tasks = templateTaskService.parseTasksText(value);
+    if (tasks.length && rubric) {
+      return { tasks: [], taskError: "Eine Prüfung hat entweder Teilaufgaben oder ein Bewertungsraster, nicht beides." };
+    }
+    return { tasks, taskError: null };
+  } catch (err) {
+    if (!err.status) throw err;
+    return { tasks: [], taskError: err.message };
+  }
+}
+
+function readRetakeInput(templates, templateId, value) {
+  try {
+    return { retakeOriginal: retakeService.resolveRetakeOriginal(templates, templateId, value), retakeError: null };
+  } catch (err) {
+    if (!err.status) throw err;
+    return { retakeOriginal: null, retakeError: err.message };
+  }
+}
+
+function readReleaseFormInput(body) {
+  try {
+    return { release: gradeReleaseService.readReleaseInput(body), releaseError: null };
+  } catch (err) {
+    if (!err.status) throw err;
+    return { release: null, releaseError: err.message };
+  }
+}
+
+// Ohne Angaben gilt der Notenschlüssel des Profils; ein eigener braucht alle vier Grenzen.
+function readThresholdOverrideInput(body) {
+  const values = gradeCurveService.THRESHOLD_KEYS.map((key) => String(body?.[key] ?? "").trim());
+  if (values.every((value) => value === "")) {
+    return { thresholdOverride: null, thresholdError: null };
+  }
+  if (values.some((value) => value === "")) {
+    return {
+      thresholdOverride: null,
+      thresholdError: "Bitte für den eigenen Notenschlüssel alle vier Grenzen angeben."
+    };
+  }
+  if (values.some((value) => !Number.isFinite(parseNumericInput(value)))) {
+    return { thresholdOverride: null, thresholdError: "Grenzen müssen zwischen 0 und 100 liegen." };
+  }
+  const thresholdOverride = parseThresholdsFromBody(body);
+  const thresholdError = validateThresholds(thresholdOverride);
+  return { thresholdOverride: thresholdError ? null : thresholdOverride, thresholdError };
+}
+
+function buildThresholdFormData(source) {
+  return Object.fromEntries(
+    gradeCurveService.THRESHOLD_KEYS.map((key) => [key, source?.[key] != null ? String(source[key]) : ""])
+  );
+}
+
 router.get("/create-template/:classId", async (req, res, next) => {
   try {
     const classId = req.params.classId;
     const classData = await requireClassAccessForTeacher(req, res, classId);
     if (!classData) return;
-    const activeProfile = await loadActiveTeacherProfile(req.session.user.id);
+    const activeProfile = await loadClassGradingProfile(req.session.user.id, classData);
     if (!activeProfile) {
       return res.redirect("/teacher/settings?setup=1");
     }
 
     const openMessageCount = await loadClassOpenMessageCount(classId, classData.subject_id);
+    const rubrics = await rubricService.listRubricsForTeacher(req.session.user.id);
+    const retakeCandidates = retakeService.listRetakeCandidates(
+      await loadTemplates(classId, classData.subject_id)
+    );
     res.render("teacher/teacher-create-template", {
       email: req.session.user.email,
       classData,
       activeProfile,
-      categoryDefinitions: TEMPLATE_CATEGORY_DEFINITIONS,
+      categoryDefinitions: activeProfile.categories,
+      rubrics,
+      retakeCandidates,
+      releaseModeOptions: gradeReleaseService.RELEASE_MODE_OPTIONS,
       formData: {
         name: "",
         category: "",
         weight: "",
         use_profile_settings: false,
         max_points: "",
+        rubric_id: "",
+        retake_of_template_id: "",
+        tasks: "",
         date: "",
-        description: ""
+        description: "",
+        release_mode: "now",
+        release_at: "",
+        ...buildThresholdFormData(null)
       },
       openMessageCount,
       csrfToken: req.csrfToken(),
@@ -4065,15 +4759,21 @@ router.get("/create-template/:classId", async (req, res, next) => {
 router.post("/create-template/:classId", async (req, res, next) => {
   try {
     const classId = req.params.classId;
-    const { name, category, weight, max_points, date, description } = req.body || {};
+    const { name, category, weight, max_points, rubric_id, date, description } = req.body || {};
     const classData = await requireClassAccessForTeacher(req, res, classId);
     if (!classData) return;
-    const activeProfile = await loadActiveTeacherProfile(req.session.user.id);
+    const activeProfile = await loadClassGradingProfile(req.session.user.id, classData);
     if (!activeProfile) {
       return res.redirect("/teacher/settings?setup=1");
     }
 
-    const normalizedCategory = normalizeCategoryKey(category);
+    const rubrics = await rubricService.listRubricsForTeacher(req.session.user.id);
+    const rubric = rubric_id
+      ? await rubricService.loadRubricForTeacher(rubric_id, req.session.user.id)
+      : null;
+    const classTemplates = await loadTemplates(classId, classData.subject_id);
+    const retakeCandidates = retakeService.listRetakeCandidates(classTemplates);
+    const normalizedCategory = normalizeCategoryKey(category, activeProfile.categories);
     const useProfileSettings = isCheckedInput(req.body?.use_profile_settings);
     const profileSuggestedWeight = normalizedCategory
       ? Number(activeProfile.weights?.[normalizedCategory])
@@ -4091,16 +4791,33 @@ router.post("/create-template/:classId", async (req, res, next) => {
       weight: Number.isFinite(rawWeightValue) ? rawWeightValue : "",
       use_profile_settings: useProfileSettings,
       max_points: hasMaxPointsInput ? max_points : "",
+      rubric_id: rubric ? String(rubric.id) : "",
+      retake_of_template_id: String(req.body?.retake_of_template_id || ""),
+      tasks: String(req.body?.tasks || ""),
       date: date || "",
-      description: description || ""
+      description: description || "",
+      release_mode: String(req.body?.release_mode || "now"),
+      release_at: String(req.body?.release_at || ""),
+      ...buildThresholdFormData(req.body)
     };
+    const { tasks, taskError } = readTemplateTasksInput(req.body?.tasks, rubric);
+    const { retakeOriginal, retakeError } = readRetakeInput(
+      classTemplates,
+      null,
+      req.body?.retake_of_template_id
+    );
+    const { release, releaseError } = readReleaseFormInput(req.body);
+    const { thresholdOverride, thresholdError } = readThresholdOverrideInput(req.body);
 
     if (!name || !normalizedCategory || !Number.isFinite(weightValue)) {
       return res.status(400).render("teacher/teacher-create-template", {
         email: req.session.user.email,
         classData,
         activeProfile,
-        categoryDefinitions: TEMPLATE_CATEGORY_DEFINITIONS,
+        categoryDefinitions: activeProfile.categories,
+        rubrics,
+        retakeCandidates,
+        releaseModeOptions: gradeReleaseService.RELEASE_MODE_OPTIONS,
         formData,
         csrfToken: req.csrfToken(),
         error: "Bitte alle Pflichtfelder ausfüllen."
@@ -4111,7 +4828,10 @@ router.post("/create-template/:classId", async (req, res, next) => {
         email: req.session.user.email,
         classData,
         activeProfile,
-        categoryDefinitions: TEMPLATE_CATEGORY_DEFINITIONS,
+        categoryDefinitions: activeProfile.categories,
+        rubrics,
+        retakeCandidates,
+        releaseModeOptions: gradeReleaseService.RELEASE_MODE_OPTIONS,
         formData,
         csrfToken: req.csrfToken(),
         error: "Für diese Kategorie ist im aktiven Profil keine gespeicherte Gewichtung vorhanden."
@@ -4122,7 +4842,10 @@ router.post("/create-template/:classId", async (req, res, next) => {
         email: req.session.user.email,
         classData,
         activeProfile,
-        categoryDefinitions: TEMPLATE_CATEGORY_DEFINITIONS,
+        categoryDefinitions: activeProfile.categories,
+        rubrics,
+        retakeCandidates,
+        releaseModeOptions: gradeReleaseService.RELEASE_MODE_OPTIONS,
         formData: { ...formData, weight: weightValue },
         csrfToken: req.csrfToken(),
         error: `Gewichtung muss mindestens 0 ${getWeightUnit(activeProfile.weight_mode)} sein.`
@@ -4133,14 +4856,73 @@ router.post("/create-template/:classId", async (req, res, next) => {
         email: req.session.user.email,
         classData,
         activeProfile,
-        categoryDefinitions: TEMPLATE_CATEGORY_DEFINITIONS,
+        categoryDefinitions: activeProfile.categories,
+        rubrics,
+        retakeCandidates,
+        releaseModeOptions: gradeReleaseService.RELEASE_MODE_OPTIONS,
         formData,
         csrfToken: req.csrfToken(),
         error: "Maximale Punkte müssen größer als 0 sein."
       });
     }
+    if (taskError) {
+      return res.status(400).render("teacher/teacher-create-template", {
+        email: req.session.user.email,
+        classData,
+        activeProfile,
+        categoryDefinitions: activeProfile.categories,
+        rubrics,
+        retakeCandidates,
+        releaseModeOptions: gradeReleaseService.RELEASE_MODE_OPTIONS,
+        formData,
+        csrfToken: req.csrfToken(),
+        error: taskError
+      });
+    }
+    if (retakeError) {
+      return res.status(400).render("teacher/teacher-create-template", {
+        email: req.session.user.email,
+        classData,
+        activeProfile,
+        categoryDefinitions: activeProfile.categories,
+        rubrics,
+        retakeCandidates,
+        releaseModeOptions: gradeReleaseService.RELEASE_MODE_OPTIONS,
+        formData,
+        csrfToken: req.csrfToken(),
+        error: retakeError
+      });
+    }
+    if (releaseError) {
+      return res.status(400).render("teacher/teacher-create-template", {
+        email: req.session.user.email,
+        classData,
+        activeProfile,
+        categoryDefinitions: activeProfile.categories,
+        rubrics,
+        retakeCandidates,
+        releaseModeOptions: gradeReleaseService.RELEASE_MODE_OPTIONS,
+        formData,
+        csrfToken: req.csrfToken(),
+        error: releaseError
+      });
+    }
+    if (thresholdError) {
+      return res.status(400).render("teacher/teacher-create-template", {
+        email: req.session.user.email,
+        classData,
+        activeProfile,
+        categoryDefinitions: activeProfile.categories,
+        rubrics,
+        retakeCandidates,
+        releaseModeOptions: gradeReleaseService.RELEASE_MODE_OPTIONS,
+        formData,
+        csrfToken: req.csrfToken(),
+        error: thresholdError
+      });
+    }
 
-    await runAsync(
+    const insertResult = await runAsync(
       "INSERT INTO grade_templates (class_id, subject_id, name, category, weight, weight_mode, max_points, date, description) VALUES (?,?,?,?,?,?,?,?,?)",
       [
         classId,
@@ -4149,13 +4931,37 @@ router.post("/create-template/:classId", async (req, res, next) => {
         normalizedCategory,
         weightValue,
         resolveWeightMode(activeProfile.weight_mode),
-        useProfileSettings ? null : (hasMaxPointsInput ? maxPointsValue : null),
+        tasks.length
+          ? templateTaskService.sumMaxPoints(tasks)
+          : (useProfileSettings ? null : (hasMaxPointsInput ? maxPointsValue : null)),
         date || null,
         description || null
       ]
     );
+    if (rubric) {
+      await rubricService.attachRubricToTemplate(insertResult.lastID, classId, rubric);
+    }
+    if (tasks.length) {
+      await templateTaskService.saveTemplateTasks(insertResult.lastID, tasks);
+    }
+    if (retakeOriginal) {
+      await retakeService.attachRetakeToTemplate(insertResult.lastID, classId, retakeOriginal);
+    }
+    if (release.mode !== "now") {
+      await gradeReleaseService.applyTemplateRelease(
+        { id: insertResult.lastID, name: String(name).trim() },
+        classId,
+        release
+      );
+    }
+    if (thresholdOverride) {
+      await gradeCurveService.saveTemplateThresholds(insertResult.lastID, classId, thresholdOverride);
+    }
     res.redirect(`/teacher/grade-templates/${classId}`);
   } catch (err) {
+    if (err.status) {
+      return renderError(res, req, err.message, err.status, `/teacher/create-template/${req.params.classId}`);
+    }
     next(err);
   }
 });
@@ -4166,7 +4972,7 @@ router.get("/edit-template/:classId/:templateId", async (req, res, next) => {
     const templateId = req.params.templateId;
     const classData = await requireClassAccessForTeacher(req, res, classId);
     if (!classData) return;
-    const activeProfile = await loadActiveTeacherProfile(req.session.user.id);
+    const activeProfile = await loadClassGradingProfile(req.session.user.id, classData);
     if (!activeProfile) {
       return res.redirect("/teacher/settings?setup=1");
     }
@@ -4183,12 +4989,26 @@ router.get("/edit-template/:classId/:templateId", async (req, res, next) => {
       template.date && !Number.isNaN(new Date(template.date).getTime())
         ? new Date(template.date).toISOString().slice(0, 10)
         : "";
+    const [rubrics, templateRubric, templateTasks, classTemplates] = await Promise.all([
+      rubricService.listRubricsForTeacher(req.session.user.id),
+      rubricService.resolveTemplateRubric(template.id),
+      templateTaskService.listTemplateTasks(template.id),
+      loadTemplates(classId, classData.subject_id)
+    ]);
+    const retakeCandidates = retakeService.listRetakeCandidates(classTemplates, template.id);
+    const retakeOf = await retakeService.findTemplateRetakeOf(template.id);
+    const templateRelease = gradeReleaseService.describeTemplateRelease(
+      classTemplates.find((entry) => String(entry.id) === String(template.id))
+    );
 
     res.render("teacher/teacher-edit-template", {
       email: req.session.user.email,
       classData,
       activeProfile,
-      categoryDefinitions: TEMPLATE_CATEGORY_DEFINITIONS,
+      categoryDefinitions: activeProfile.categories,
+      rubrics,
+      retakeCandidates,
+      releaseModeOptions: gradeReleaseService.RELEASE_MODE_OPTIONS,
       templateId,
       formData: {
         name: template.name || "",
@@ -4196,8 +5016,18 @@ router.get("/edit-template/:classId/:templateId", async (req, res, next) => {
         weight: template.weight != null ? String(template.weight) : "",
         use_profile_settings: false,
         max_points: template.max_points != null ? String(template.max_points) : "",
+        rubric_id: templateRubric ? String(templateRubric.id) : "",
+        retake_of_template_id: retakeOf != null ? String(retakeOf) : "",
+        tasks: templateTaskService.formatTasksText(templateTasks),
         date: dateValue,
-        description: template.description || ""
+        description: template.description || "",
+        release_mode: templateRelease.mode,
+        release_at: gradeReleaseService.toReleaseInputValue(templateRelease.release_at),
+        ...buildThresholdFormData(
+          gradeCurveService.readTemplateThresholds(
+            classTemplates.find((entry) => String(entry.id) === String(template.id))
+          )
+        )
       },
       csrfToken: req.csrfToken(),
       error: null
@@ -4211,14 +5041,18 @@ router.post("/edit-template/:classId/:templateId", async (req, res, next) => {
   try {
     const classId = req.params.classId;
     const templateId = req.params.templateId;
-    const { name, category, weight, max_points, date, description } = req.body || {};
+    const { name, category, weight, max_points, rubric_id, date, description } = req.body || {};
     const classData = await requireClassAccessForTeacher(req, res, classId);
     if (!classData) return;
-    const activeProfile = await loadActiveTeacherProfile(req.session.user.id);
+    const activeProfile = await loadClassGradingProfile(req.session.user.id, classData);
     if (!activeProfile) {
       return res.redirect("/teacher/settings?setup=1");
     }
 
+    const rubrics = await rubricService.listRubricsForTeacher(req.session.user.id);
+    const rubric = rubric_id
+      ? await rubricService.loadRubricForTeacher(rubric_id, req.session.user.id)
+      : null;
     const existingTemplate = await getAsync(
       "SELECT id, max_points FROM grade_templates WHERE id = ? AND class_id = ? AND subject_id = ?",
       [templateId, classId, classData.subject_id]
@@ -4226,8 +5060,10 @@ router.post("/edit-template/:classId/:templateId", async (req, res, next) => {
     if (!existingTemplate) {
       return renderError(res, req, "Prüfung nicht gefunden.", 404, `/teacher/grade-templates/${classId}`);
     }
+    const classTemplates = await loadTemplates(classId, classData.subject_id);
+    const retakeCandidates = retakeService.listRetakeCandidates(classTemplates, templateId);
 
-    const normalizedCategory = normalizeCategoryKey(category);
+    const normalizedCategory = normalizeCategoryKey(category, activeProfile.categories);
     const useProfileSettings = isCheckedInput(req.body?.use_profile_settings);
     const profileSuggestedWeight = normalizedCategory
       ? Number(activeProfile.weights?.[normalizedCategory])
@@ -4237,7 +5073,15 @@ router.post("/edit-template/:classId/:templateId", async (req, res, next) => {
     const parsedMaxPoints = parseNumericInput(max_points);
     const hasMaxPointsInput = !useProfileSettings && String(max_points || "").trim() !== "";
     const maxPointsValue = hasMaxPointsInput ? parsedMaxPoints : null;
-    const resolvedMaxPointsValue = useProfileSettings
+    const { tasks, taskError } = readTemplateTasksInput(req.body?.tasks, rubric);
+    const { retakeOriginal, retakeError } = readRetakeInput(
+      classTemplates,
+      templateId,
+      req.body?.retake_of_template_id
+    );
+    const resolvedMaxPointsValue = tasks.length
+      ? templateTaskService.sumMaxPoints(tasks)
+      : useProfileSettings
       ? existingTemplate.max_points
       : (hasMaxPointsInput ? maxPointsValue : null);
     const formData = {
@@ -4246,16 +5090,27 @@ router.post("/edit-template/:classId/:templateId", async (req, res, next) => {
       weight: Number.isFinite(rawWeightValue) ? rawWeightValue : weight || "",
       use_profile_settings: useProfileSettings,
       max_points: hasMaxPointsInput ? max_points : (useProfileSettings ? (existingTemplate.max_points != null ? String(existingTemplate.max_points) : "") : ""),
+      rubric_id: rubric ? String(rubric.id) : "",
+      retake_of_template_id: String(req.body?.retake_of_template_id || ""),
+      tasks: String(req.body?.tasks || ""),
       date: date || "",
-      description: description || ""
+      description: description || "",
+      release_mode: String(req.body?.release_mode || "now"),
+      release_at: String(req.body?.release_at || ""),
+      ...buildThresholdFormData(req.body)
     };
+    const { release, releaseError } = readReleaseFormInput(req.body);
+    const { thresholdOverride, thresholdError } = readThresholdOverrideInput(req.body);
 
     if (!name || !normalizedCategory || !Number.isFinite(weightValue)) {
       return res.status(400).render("teacher/teacher-edit-template", {
         email: req.session.user.email,
         classData,
         activeProfile,
-        categoryDefinitions: TEMPLATE_CATEGORY_DEFINITIONS,
+        categoryDefinitions: activeProfile.categories,
+        rubrics,
+        retakeCandidates,
+        releaseModeOptions: gradeReleaseService.RELEASE_MODE_OPTIONS,
         templateId,
         formData,
         csrfToken: req.csrfToken(),
@@ -4267,7 +5122,10 @@ router.post("/edit-template/:classId/:templateId", async (req, res, next) => {
         email: req.session.user.email,
         classData,
         activeProfile,
-        categoryDefinitions: TEMPLATE_CATEGORY_DEFINITIONS,
+        categoryDefinitions: activeProfile.categories,
+        rubrics,
+        retakeCandidates,
+        releaseModeOptions: gradeReleaseService.RELEASE_MODE_OPTIONS,
         templateId,
         formData,
         csrfToken: req.csrfToken(),
@@ -4279,7 +5137,10 @@ router.post("/edit-template/:classId/:templateId", async (req, res, next) => {
         email: req.session.user.email,
         classData,
         activeProfile,
-        categoryDefinitions: TEMPLATE_CATEGORY_DEFINITIONS,
+        categoryDefinitions: activeProfile.categories,
+        rubrics,
+        retakeCandidates,
+        releaseModeOptions: gradeReleaseService.RELEASE_MODE_OPTIONS,
         templateId,
         formData,
         csrfToken: req.csrfToken(),
@@ -4291,34 +5152,147 @@ router.post("/edit-template/:classId/:templateId", async (req, res, next) => {
         email: req.session.user.email,
         classData,
         activeProfile,
-        categoryDefinitions: TEMPLATE_CATEGORY_DEFINITIONS,
+        categoryDefinitions: activeProfile.categories,
+        rubrics,
+        retakeCandidates,
+        releaseModeOptions: gradeReleaseService.RELEASE_MODE_OPTIONS,
         templateId,
         formData,
         csrfToken: req.csrfToken(),
         error: "Maximale Punkte müssen größer als 0 sein."
       });
     }
-
-    await runAsync(
-      "UPDATE grade_templates SET name = ?, category = ?, weight = ?, max_points = ?, date = ?, description = ? WHERE id = ? AND class_id = ? AND subject_id = ?",
-      [
-        String(name).trim(),
-        normalizedCategory,
-        weightValue,
-        resolvedMaxPointsValue,
-        date || null,
-        description || null,
+    if (taskError) {
+      return res.status(400).render("teacher/teacher-edit-template", {
+        email: req.session.user.email,
+        classData,
+        activeProfile,
+        categoryDefinitions: activeProfile.categories,
+        rubrics,
+        retakeCandidates,
+        releaseModeOptions: gradeReleaseService.RELEASE_MODE_OPTIONS,
         templateId,
-        classId,
-        classData.subject_id
-      ]
-    );
-
-    res.redirect(`/teacher/grade-templates/${classId}`);
-  } catch (err) {
-    next(err);
-  }
-});
+        formData,
+        csrfToken: req.csrfToken(),
+        error: taskError
+      });
+    }
+    if (retakeError) {
+      return res.status(400).render("teacher/teacher-edit-template", {
+        email: req.session.user.email,
+        classData,
+        activeProfile,
+        categoryDefinitions: activeProfile.categories,
+        rubrics,
+        retakeCandidates,
+        releaseModeOptions: gradeReleaseService.RELEASE_MODE_OPTIONS,
+        templateId,
+        formData,
+        csrfToken: req.csrfToken(),
+        error: retakeError
+      });
+    }
+    if (releaseError) {
+      return res.status(400).render("teacher/teacher-edit-template", {
+        email: req.session.user.email,
+        classData,
+        activeProfile,
+        categoryDefinitions: activeProfile.categories,
+        rubrics,
+        retakeCandidates,
+        releaseModeOptions: gradeReleaseService.RELEASE_MODE_OPTIONS,
+        templateId,
+        formData,
+        csrfToken: req.csrfToken(),
+        error: releaseError
+      });
+    }
+    if (thresholdError) {
+      return res.status(400).render("teacher/teacher-edit-template", {
+        email: req.session.user.email,
+        classData,
+        activeProfile,
+        categoryDefinitions: activeProfile.categories,
+        rubrics,
+        retakeCandidates,
+        releaseModeOptions: gradeReleaseService.RELEASE_MODE_OPTIONS,
+        templateId,
+        formData,
+        csrfToken: req.csrfToken(),
+        error: thresholdError
+      });
+    }
+
+    await templateTaskService.saveTemplateTasks(templateId, tasks);
+    await runAsync(
+      "UPDATE grade_templates SET name = ?, category = ?, weight = ?, max_points = ?, date = ?, description = ? WHERE id = ? AND class_id = ? AND subject_id = ?",
+      [
+        String(name).trim(),
+        normalizedCategory,
+        weightValue,
+        resolvedMaxPointsValue,
+        date || null,
+        description || null,
+        templateId,
+        classId,
+        classData.subject_id
+      ]
+    );
+    await rubricService.attachRubricToTemplate(templateId, classId, rubric, resolvedMaxPointsValue);
+    await retakeService.attachRetakeToTemplate(templateId, classId, retakeOriginal);
+    await gradeReleaseService.applyTemplateRelease(
+      { id: existingTemplate.id, name: String(name).trim() },
+      classId,
+      release
+    );
+    // Ein geänderter Notenschlüssel berechnet die aus Punkten abgeleiteten Noten neu.
+    const currentTemplate = classTemplates.find((entry) => String(entry.id) === String(existingTemplate.id));
+    const currentOverride = gradeCurveService.readTemplateThresholds(currentTemplate);
+    if (JSON.stringify(currentOverride) !== JSON.stringify(thresholdOverride)) {
+      const gradeScale = await loadGradeScale(classData);
+      if (gradeCurveService.isCurveApplicable(gradeScale)) {
+        await gradeCurveService.applyCurve({
+          template: { ...currentTemplate, name: String(name).trim() },
+          classData,
+          profileThresholds: activeProfile.thresholds || activeProfile,
+          nextThresholds: thresholdOverride,
+          gradeScale,
+          actorId: req.session.user.id,
+          reason: null
+        });
+      } else {
+        await gradeCurveService.saveTemplateThresholds(existingTemplate.id, classId, thresholdOverride);
+      }
+    }
+
+    res.redirect(`/teacher/grade-templates/${classId}`);
+  } catch (err) {
+    if (err.status) {
+      return renderError(res, req, err.message, err.status, `/teacher/grade-templates/${req.params.classId}`);
+    }
+    next(err);
+  }
+});
+
+router.post("/template-release/:classId/:templateId", async (req, res, next) => {
+  const classId = req.params.classId;
+  const backUrl = `/teacher/grade-templates/${classId}`;
+  try {
+    const templateContext = await loadTemplateContextForTeacher(req, res, classId, req.params.templateId);
+    if (!templateContext) return;
+    const { template } = templateContext;
+
+    const release = gradeReleaseService.readReleaseInput(req.body);
+    const released = await gradeReleaseService.applyTemplateRelease(template, classId, release);
+    const query = new URLSearchParams({ release: release.mode, published: String(released) });
+    res.redirect(`${backUrl}?${query.toString()}`);
+  } catch (err) {
+    if (err.status) {
+      return renderError(res, req, err.message, err.status, backUrl);
+    }
+    next(err);
+  }
+});
 
 router.post("/delete-template/:classId/:templateId", async (req, res, next) => {
   try {
@@ -4346,6 +5320,57 @@ router.post("/delete-template/:classId/:templateId", async (req, res, next) => {
   }
 });
 
+const RUBRIC_NOTICE_MESSAGES = {
+  created: "Das Bewertungsraster wurde angelegt.",
+  saved: "Das Bewertungsraster wurde gespeichert.",
+  deleted: "Das Bewertungsraster wurde gelöscht."
+};
+
+router.get("/rubrics", async (req, res, next) => {
+  try {
+    const noticeKey = Object.keys(RUBRIC_NOTICE_MESSAGES).find((key) => req.query[key] === "1");
+    res.render("teacher/teacher-rubrics", {
+      email: req.session.user.email,
+      rubrics: await rubricService.listRubricsForTeacher(req.session.user.id),
+      formatCriteriaText: rubricService.formatCriteriaText,
+      csrfToken: req.csrfToken(),
+      message: noticeKey ? RUBRIC_NOTICE_MESSAGES[noticeKey] : null
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post("/rubrics", async (req, res, next) => {
+  try {
+    await rubricService.createRubric(req.session.user.id, req.body || {});
+    res.redirect("/teacher/rubrics?created=1");
+  } catch (err) {
+    if (err.status) return renderError(res, req, err.message, err.status, "/teacher/rubrics");
+    next(err);
+  }
+});
+
+router.post("/rubrics/:rubricId", async (req, res, next) => {
+  try {
+    await rubricService.updateRubric(req.params.rubricId, req.session.user.id, req.body || {});
+    res.redirect("/teacher/rubrics?saved=1");
+  } catch (err) {
+    if (err.status) return renderError(res, req, err.message, err.status, "/teacher/rubrics");
+    next(err);
+  }
+});
+
+router.post("/rubrics/:rubricId/delete", async (req, res, next) => {
+  try {
+    await rubricService.deleteRubric(req.params.rubricId, req.session.user.id);
+    res.redirect("/teacher/rubrics?deleted=1");
+  } catch (err) {
+    if (err.status) return renderError(res, req, err.message, err.status, "/teacher/rubrics");
+    next(err);
+  }
+});
+
 router.get("/special-assessments/:classId", async (req, res, next) => {
   try {
     const classId = req.params.classId;
@@ -4358,9 +5383,10 @@ router.get("/special-assessments/:classId", async (req, res, next) => {
       ...entry,
       is_subject_excluded: isExcludedStudent(studentStateById.get(String(entry.student_id)))
     }));
-    const activeProfile = await loadActiveTeacherProfile(req.session.user.id);
+    const activeProfile = await loadClassGradingProfile(req.session.user.id, classData);
     const weightMode = resolveWeightMode(activeProfile?.weight_mode);
     const openMessageCount = await loadClassOpenMessageCount(classId, classData.subject_id);
+    const gradeScale = await loadGradeScale(classData);
     const selectedStudent = req.query.student_id ? String(req.query.student_id) : "";
 
     res.render("teacher/teacher-special-assessments", {
@@ -4373,6 +5399,7 @@ router.get("/special-assessments/:classId", async (req, res, next) => {
       weightUnit: getWeightUnit(weightMode),
       openMessageCount,
       specialTypes: SPECIAL_ASSESSMENT_TYPES,
+      gradeScale,
       formData: {
         student_id: selectedStudent,
         type: "",
@@ -4396,7 +5423,7 @@ router.post("/special-assessments/:classId", async (req, res, next) => {
     if (!classData) return;
 
     const students = await loadStudents(classId, req.session.user.id, classData.subject_id);
-    const activeProfile = await loadActiveTeacherProfile(req.session.user.id);
+    const activeProfile = await loadClassGradingProfile(req.session.user.id, classData);
     const weightMode = resolveWeightMode(activeProfile?.weight_mode);
     const { student_id, type, name, description, weight, grade } = req.body || {};
     const selectedStudent = students.find((entry) => String(entry.id) === String(student_id));
@@ -4404,13 +5431,15 @@ router.post("/special-assessments/:classId", async (req, res, next) => {
     const trimmedName = String(name || "").trim();
     const trimmedDescription = String(description || "").trim();
     const weightValue = Number(weight);
-    const gradeValue = Number(grade);
+    const gradeScale = await loadGradeScale(classData);
+    const gradeValue = parseGradeInput(grade, gradeScale);
+    const hasGrade = String(grade ?? "").trim() !== "";
 
     const isTypeValid = SPECIAL_ASSESSMENT_TYPES.includes(trimmedType);
     const resolvedName =
       trimmedName || (trimmedType && trimmedType !== "Benutzerdefiniert" ? trimmedType : "");
 
-    if (!selectedStudent || !isTypeValid || !Number.isFinite(weightValue) || !Number.isFinite(gradeValue)) {
+    if (!selectedStudent || !isTypeValid || !Number.isFinite(weightValue) || !hasGrade) {
       const studentStateById = new Map(students.map((student) => [String(student.id), student]));
       const assessments = (await loadSpecialAssessments(classId, classData.subject_id)).map((entry) => ({
         ...entry,
@@ -4425,6 +5454,7 @@ router.post("/special-assessments/:classId", async (req, res, next) => {
         weightMode,
         weightUnit: getWeightUnit(weightMode),
         specialTypes: SPECIAL_ASSESSMENT_TYPES,
+        gradeScale,
         formData: {
           student_id: student_id || "",
           type: trimmedType,
@@ -4453,6 +5483,7 @@ router.post("/special-assessments/:classId", async (req, res, next) => {
         weightMode,
         weightUnit: getWeightUnit(weightMode),
         specialTypes: SPECIAL_ASSESSMENT_TYPES,
+        gradeScale,
         formData: {
           student_id: student_id || "",
           type: trimmedType,
@@ -4481,6 +5512,7 @@ router.post("/special-assessments/:classId", async (req, res, next) => {
         weightMode,
         weightUnit: getWeightUnit(weightMode),
         specialTypes: SPECIAL_ASSESSMENT_TYPES,
+        gradeScale,
         formData: {
           student_id: student_id || "",
           type: trimmedType,
@@ -4494,7 +5526,7 @@ router.post("/special-assessments/:classId", async (req, res, next) => {
       });
     }
 
-    if (gradeValue < 1 || gradeValue > 5) {
+    if (gradeValue == null) {
       const studentStateById = new Map(students.map((student) => [String(student.id), student]));
       const assessments = (await loadSpecialAssessments(classId, classData.subject_id)).map((entry) => ({
         ...entry,
@@ -4509,6 +5541,7 @@ router.post("/special-assessments/:classId", async (req, res, next) => {
         weightMode,
         weightUnit: getWeightUnit(weightMode),
         specialTypes: SPECIAL_ASSESSMENT_TYPES,
+        gradeScale,
         formData: {
           student_id: student_id || "",
           type: trimmedType,
@@ -4517,7 +5550,7 @@ router.post("/special-assessments/:classId", async (req, res, next) => {
           weight,
           grade
         },
-        error: "Note muss zwischen 1 und 5 liegen.",
+        error: buildInvalidGradeMessage(gradeScale),
         csrfToken: req.csrfToken()
       });
     }
@@ -4537,6 +5570,7 @@ router.post("/special-assessments/:classId", async (req, res, next) => {
         weightMode,
         weightUnit: getWeightUnit(weightMode),
         specialTypes: SPECIAL_ASSESSMENT_TYPES,
+        gradeScale,
         formData: {
           student_id: student_id || "",
           type: trimmedType,
@@ -4550,7 +5584,7 @@ router.post("/special-assessments/:classId", async (req, res, next) => {
       });
     }
 
-    await runAsync(
+    const insertResult = await runAsync(
       "INSERT INTO special_assessments (student_id, class_id, subject_id, type, name, description, weight, grade) VALUES (?,?,?,?,?,?,?,?)",
       [
         selectedStudent.id,
@@ -4563,11 +5597,17 @@ router.post("/special-assessments/:classId", async (req, res, next) => {
         gradeValue
       ]
     );
-    await runAsync("INSERT INTO grade_notifications (student_id, message, type) VALUES (?,?,?)", [
-      selectedStudent.id,
-      "Neue Sonderleistung eingetragen.",
-      "grade"
-    ]);
+    await gradeHistoryService.recordChange({
+      entryType: "special_assessment",
+      entryId: insertResult.lastID,
+      studentId: selectedStudent.id,
+      classId,
+      subjectId: classData.subject_id,
+      label: resolvedName,
+      after: gradeHistoryService.snapshotSpecialAssessment({ grade: gradeValue }),
+      changedBy: req.session.user.id
+    });
+    await notificationService.notifyStudent(selectedStudent.id, "Neue Sonderleistung eingetragen.", "grade");
 
     res.redirect(`/teacher/special-assessments/${classId}`);
   } catch (err) {
@@ -4584,7 +5624,7 @@ router.post("/delete-special-assessment/:classId/:assessmentId", async (req, res
     if (!classData) return;
 
     const assessmentRow = await getAsync(
-      "SELECT id, excluded_from_average FROM special_assessments WHERE id = ? AND class_id = ? AND subject_id = ?",
+      "SELECT id, excluded_from_average, student_id, name, grade FROM special_assessments WHERE id = ? AND class_id = ? AND subject_id = ?",
       [assessmentId, classId, classData.subject_id]
     );
     if (!assessmentRow) {
@@ -4604,6 +5644,16 @@ router.post("/delete-special-assessment/:classId/:assessmentId", async (req, res
       classId,
       classData.subject_id
     ]);
+    await gradeHistoryService.recordChange({
+      entryType: "special_assessment",
+      entryId: assessmentRow.id,
+      studentId: assessmentRow.student_id,
+      classId,
+      subjectId: classData.subject_id,
+      label: assessmentRow.name,
+      before: gradeHistoryService.snapshotSpecialAssessment(assessmentRow),
+      changedBy: req.session.user.id
+    });
     const backUrl = req.get("referer") || `/teacher/special-assessments/${classId}`;
     res.redirect(backUrl);
   } catch (err) {
@@ -4620,8 +5670,12 @@ router.get("/class-statistics/:classId", async (req, res, next) => {
     const students = await loadStudents(classId, req.session.user.id, classData.subject_id);
     const activeStudents = students.filter((student) => !isExcludedStudent(student));
     const excludedStudents = students.filter((student) => isExcludedStudent(student));
-    const templates = await loadTemplates(classId, classData.subject_id);
-    const activeProfile = await loadActiveTeacherProfile(req.session.user.id);
+    const { terms, selectedTerm } = await termService.resolveTermSelection(
+      classData.school_year_id,
+      req.query.term
+    );
+    const templates = filterRowsByTerm(await loadTemplates(classId, classData.subject_id), selectedTerm);
+    const activeProfile = await loadClassGradingProfile(req.session.user.id, classData);
     const participationConfig = normalizeParticipationConfig(
       activeProfile?.participation || activeProfile || {}
     );
@@ -4629,6 +5683,7 @@ router.get("/class-statistics/:classId", async (req, res, next) => {
     const openMessageCount = await loadClassOpenMessageCount(classId, classData.subject_id);
     const studentMap = new Map(activeStudents.map((student) => [String(student.id), student]));
     const gradesByStudent = new Map();
+    const cumulativeRows = [];
 
     for (const student of activeStudents) {
       const grades = await loadStudentGrades(student.id, classId, classData.subject_id);
@@ -4637,12 +5692,18 @@ router.get("/class-statistics/:classId", async (req, res, next) => {
         classData.subject_id,
         student.id
       );
-      gradesByStudent.set(String(student.id), [
+      // Die Schüler-ID trennt die Paare aus Prüfung und Wiederholung im gemeinsamen Klassenschnitt.
+      const rows = [
         ...grades,
         ...buildParticipationAverageRows(participationMarks, participationConfig)
-      ]);
+      ].map((row) => ({ ...row, student_id: student.id }));
+      gradesByStudent.set(String(student.id), filterRowsByTerm(rows, selectedTerm));
+      if (selectedTerm) {
+        cumulativeRows.push(...filterRowsByTerm(rows, selectedTerm, { cumulative: true }));
+      }
     }
 
+    const retakeLinks = retakeService.describeRetakeLinks(templates);
     const templateStats = templates.map((template) => {
       const templateGrades = [];
 
@@ -4686,6 +5747,9 @@ router.get("/class-statistics/:classId", async (req, res, next) => {
 
       return {
         ...template,
+        ...describeCategory(template.category, activeProfile?.categories),
+        ...retakeLinks.get(String(template.id)),
+        values,
         average,
         graded_count: values.length,
         best_grade: bestGrade,
@@ -4695,27 +5759,47 @@ router.get("/class-statistics/:classId", async (req, res, next) => {
       };
     });
 
-    const allValues = [];
-    let weightedSum = 0;
-    let weightTotal = 0;
-
-    gradesByStudent.forEach((grades) => {
-      grades.forEach((grade) => {
-        if (isGradeExcludedFromAverage(grade, absenceMode)) return;
-        const value = Number(grade.grade);
-        const weight = grade?.weight == null ? 1 : Number(grade.weight);
-        if (!isValidGradeValue(value) || !isValidWeightValue(weight)) return;
-        allValues.push(value);
-        weightedSum += value * weight;
-        weightTotal += weight;
-      });
+    const tasksByTemplate = await templateTaskService.mapTasksByTemplate(templates);
+    for (const stat of templateStats) {
+      const tasks = tasksByTemplate.get(String(stat.id));
+      stat.item_analysis = tasks
+        ? await templateTaskService.loadItemAnalysis(tasks, stat.id, studentMap.keys())
+        : null;
+    }
+
+    const categoryStatsByLabel = new Map();
+    templateStats.forEach((stat) => {
+      const entry = categoryStatsByLabel.get(stat.category_label) || {
+        label: stat.category_label,
+        slug: stat.category_slug,
+        style: stat.category_style,
+        template_count: 0,
+        values: []
+      };
+      entry.template_count += 1;
+      entry.values.push(...stat.values);
+      categoryStatsByLabel.set(stat.category_label, entry);
     });
+    const categoryStats = Array.from(categoryStatsByLabel.values()).map((entry) => ({
+      ...entry,
+      graded_count: entry.values.length,
+      average: entry.values.length
+        ? Number((entry.values.reduce((sum, value) => sum + value, 0) / entry.values.length).toFixed(2))
+        : null
+    }));
 
-    const overallAverage = allValues.length
-      ? Number((allValues.reduce((sum, value) => sum + value, 0) / allValues.length).toFixed(2))
-      : null;
-    const overallWeightedAverage = weightTotal
-      ? Number((weightedSum / weightTotal).toFixed(2))
+    const retakePolicy = activeProfile?.retake_policy;
+    const allRows = Array.from(gradesByStudent.values()).flat();
+    const countedRows = applyRetakePolicy(allRows, { absenceMode, retakePolicy }).filter((grade) =>
+      isCountedInAverage(grade, absenceMode)
+    );
+    const overallAverage = computeWeightedAverage(
+      countedRows.map((grade) => ({ grade: grade.grade, weight: 1 })),
+      { absenceMode }
+    );
+    const overallWeightedAverage = computeWeightedAverage(allRows, { absenceMode, retakePolicy });
+    const cumulativeWeightedAverage = selectedTerm
+      ? computeWeightedAverage(cumulativeRows, { absenceMode, retakePolicy })
       : null;
 
     res.render("teacher/teacher-class-statistics", {
@@ -4726,7 +5810,100 @@ router.get("/class-statistics/:classId", async (req, res, next) => {
       excludedStudentCount: excludedStudents.length,
       overallWeightedAverage,
       overallAverage,
+      cumulativeWeightedAverage,
+      terms,
+      selectedTerm,
       templateStats,
+      categoryStats,
+      openMessageCount,
+      csrfToken: req.csrfToken()
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Zeugnisnoten: ohne gewähltes Semester gilt der laufende Abschnitt, sonst der letzte.
+async function resolveFinalGradeTerm(schoolYearId, requestedTermId) {
+  const { terms, selectedTerm } = await termService.resolveTermSelection(schoolYearId, requestedTermId);
+  if (selectedTerm || !terms.length) return { terms, selectedTerm };
+  return { terms, selectedTerm: findTermForDate(terms, new Date()) || terms[terms.length - 1] };
+}
+
+function buildFinalGradeUrl(basePath, classId, term, query = "") {
+  const params = new URLSearchParams(query);
+  if (term) params.set("term", String(term.id));
+  const search = params.toString();
+  return `${basePath}/${classId}${search ? `?${search}` : ""}`;
+}
+
+async function buildFinalGradeEntries(classData, teacherId, selectedTerm) {
+  const students = (await loadStudents(classData.id, teacherId, classData.subject_id)).filter(
+    (student) => !isExcludedStudent(student)
+  );
+  const activeProfile = await loadClassGradingProfile(teacherId, classData);
+  const participation = normalizeParticipationConfig(
+    activeProfile?.participation || activeProfile || {}
+  );
+  const absenceMode = normalizeAbsenceMode(activeProfile?.absence_mode);
+  const gradeScale = await loadGradeScale(classData);
+  const finalGrades = await finalGradeService.mapFinalGradesByStudent(
+    classData.id,
+    classData.subject_id,
+    selectedTerm?.id
+  );
+
+  return Promise.all(
+    students.map(async (student) => {
+      // Die Zeugnisnote umfasst alle Leistungen bis zum Ende des Abschnitts.
+      const grades = filterRowsByTerm(
+        await loadStudentGrades(student.id, classData.id, classData.subject_id),
+        selectedTerm,
+        { cumulative: true }
+      );
+      const marks = filterRowsByTerm(
+        await loadParticipationMarks(classData.id, classData.subject_id, student.id),
+        selectedTerm,
+        { cumulative: true }
+      );
+      const evaluation = evaluateGradingRules(
+        [...grades, ...buildParticipationAverageRows(marks, participation)],
+        activeProfile?.rules,
+        { absenceMode, retakePolicy: activeProfile?.retake_policy }
+      );
+      const computedAverage = evaluation.average;
+      return {
+        student,
+        computedAverage,
+        computedAverageLabel: gradeScale.is_default ? null : formatGradeLabel(computedAverage, gradeScale),
+        ruleExplanations: evaluation.explanations,
+        // Solange eine Mindestanzahl fehlt, gibt es keinen Vorschlag; Skalennoten werden über ihren Zahlenwert auf 1–5 gerundet.
+        suggestedGrade: evaluation.incomplete ? null : suggestFinalGrade(computedAverage),
+        finalGrade: finalGrades.get(String(student.id)) || null
+      };
+    })
+  );
+}
+
+router.get("/final-grades/:classId", async (req, res, next) => {
+  try {
+    const classId = req.params.classId;
+    const classData = await requireClassAccessForTeacher(req, res, classId);
+    if (!classData) return;
+
+    const { terms, selectedTerm } = await resolveFinalGradeTerm(classData.school_year_id, req.query.term);
+    const entries = await buildFinalGradeEntries(classData, req.session.user.id, selectedTerm);
+    const openMessageCount = await loadClassOpenMessageCount(classId, classData.subject_id);
+
+    res.render("teacher/teacher-final-grades", {
+      email: req.session.user.email,
+      classData,
+      terms,
+      selectedTerm,
+      entries,
+      gradeScale: await loadGradeScale(classData),
+      finalGradeValues: finalGradeService.FINAL_GRADE_VALUES,
+      message: req.query.saved ? "Zeugnisnoten gespeichert." : null,
       openMessageCount,
       csrfToken: req.csrfToken()
     });
@@ -4735,6 +5912,316 @@ router.get("/class-statistics/:classId", async (req, res, next) => {
   }
 });
 
+router.post("/final-grades/:classId", async (req, res, next) => {
+  try {
+    const classId = req.params.classId;
+    const classData = await requireClassAccessForTeacher(req, res, classId);
+    if (!classData) return;
+
+    const { selectedTerm } = await resolveFinalGradeTerm(classData.school_year_id, req.body?.term);
+    const entries = await buildFinalGradeEntries(classData, req.session.user.id, selectedTerm);
+    await finalGradeService.saveProposals({
+      classId: classData.id,
+      subjectId: classData.subject_id,
+      termId: selectedTerm?.id || null,
+      teacherId: req.session.user.id,
+      entries: entries.map((entry) => ({
+        ...entry,
+        grade: readBulkFieldValue(req.body, "final_grade", entry.student.id),
+        justification: readBulkFieldValue(req.body, "justification", entry.student.id)
+      }))
+    });
+
+    res.redirect(buildFinalGradeUrl("/teacher/final-grades", classId, selectedTerm, "saved=1"));
+  } catch (err) {
+    if (err.status) {
+      return renderError(res, req, err.message, err.status, `/teacher/final-grades/${req.params.classId}`);
+    }
+    next(err);
+  }
+});
+
+async function requireHeadTeacherClass(
+  req,
+  res,
+  classId,
+  deniedMessage = "Nur der Klassenvorstand kann Zeugnisnoten freigeben."
+) {
+  const classRow = await getAsync(
+    "SELECT id, name, school_year_id, head_teacher_id FROM classes WHERE id = ?",
+    [classId]
+  );
+  if (!classRow) {
+    renderError(res, req, "Klasse nicht gefunden.", 404, "/teacher/classes");
+    return null;
+  }
+  if (Number(classRow.head_teacher_id) !== Number(req.session.user.id)) {
+    renderError(res, req, deniedMessage, 403, "/teacher/classes");
+    return null;
+  }
+  return classRow;
+}
+
+router.get("/final-grades-review/:classId", async (req, res, next) => {
+  try {
+    const classRow = await requireHeadTeacherClass(req, res, req.params.classId);
+    if (!classRow) return;
+
+    const { terms, selectedTerm } = await resolveFinalGradeTerm(classRow.school_year_id, req.query.term);
+    const students = await loadStudents(classRow.id);
+    const subjects = await finalGradeService.listClassReview(classRow.id, selectedTerm?.id, students.length);
+    const noticeByKey = {
+      signed: "Zeugnisnote freigegeben.",
+      signedAll: "Alle offenen Zeugnisnoten wurden freigegeben.",
+      returned: "Zeugnisnote an die Lehrkraft zurückgegeben.",
+      unlocked: "Zeugnisnote entsperrt und an die Lehrkraft zurückgegeben."
+    };
+    const noticeKey = Object.keys(noticeByKey).find((key) => req.query[key] === "1");
+
+    res.render("teacher/teacher-final-grades-review", {
+      email: req.session.user.email,
+      classRow,
+      terms,
+      selectedTerm,
+      subjects,
+      studentCount: students.length,
+      message: noticeKey ? noticeByKey[noticeKey] : null,
+      csrfToken: req.csrfToken()
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post("/final-grades-review/:classId/sign-off-all", async (req, res, next) => {
+  try {
+    const classRow = await requireHeadTeacherClass(req, res, req.params.classId);
+    if (!classRow) return;
+
+    const { selectedTerm } = await resolveFinalGradeTerm(classRow.school_year_id, req.body?.term);
+    await finalGradeService.signOffAll(classRow.id, selectedTerm?.id, req.session.user.id);
+    res.redirect(buildFinalGradeUrl("/teacher/final-grades-review", classRow.id, selectedTerm, "signedAll=1"));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post("/final-grades-review/:classId/:finalGradeId/sign-off", async (req, res, next) => {
+  try {
+    const classRow = await requireHeadTeacherClass(req, res, req.params.classId);
+    if (!classRow) return;
+
+    const { selectedTerm } = await resolveFinalGradeTerm(classRow.school_year_id, req.body?.term);
+    await finalGradeService.signOff(req.params.finalGradeId, classRow.id, req.session.user.id);
+    res.redirect(buildFinalGradeUrl("/teacher/final-grades-review", classRow.id, selectedTerm, "signed=1"));
+  } catch (err) {
+    if (err.status) {
+      return renderError(res, req, err.message, err.status, `/teacher/final-grades-review/${req.params.classId}`);
+    }
+    next(err);
+  }
+});
+
+router.post("/final-grades-review/:classId/:finalGradeId/return", async (req, res, next) => {
+  try {
+    const classRow = await requireHeadTeacherClass(req, res, req.params.classId);
+    if (!classRow) return;
+
+    const { selectedTerm } = await resolveFinalGradeTerm(classRow.school_year_id, req.body?.term);
+    await finalGradeService.returnToTeacher(req.params.finalGradeId, classRow.id, req.body?.review_note);
+    res.redirect(buildFinalGradeUrl("/teacher/final-grades-review", classRow.id, selectedTerm, "returned=1"));
+  } catch (err) {
+    if (err.status) {
+      return renderError(res, req, err.message, err.status, `/teacher/final-grades-review/${req.params.classId}`);
+    }
+    next(err);
+  }
+});
+
+router.post("/final-grades-review/:classId/:finalGradeId/unlock", async (req, res, next) => {
+  try {
+    const classRow = await requireHeadTeacherClass(req, res, req.params.classId);
+    if (!classRow) return;
+
+    const { selectedTerm } = await resolveFinalGradeTerm(classRow.school_year_id, req.body?.term);
+    await finalGradeService.unlockSignedOff(req.params.finalGradeId, classRow.id, req.body?.review_note);
+    res.redirect(buildFinalGradeUrl("/teacher/final-grades-review", classRow.id, selectedTerm, "unlocked=1"));
+  } catch (err) {
+    if (err.status) {
+      return renderError(res, req, err.message, err.status, `/teacher/final-grades-review/${req.params.classId}`);
+    }
+    next(err);
+  }
+});
+
+// Frühwarnungen: Kandidaten sind alle, deren aktueller Schnitt ein „Nicht genügend“ ergäbe.
+async function buildEarlyWarningEntries(classData, teacherId, selectedTerm) {
+  const entries = await buildFinalGradeEntries(classData, teacherId, selectedTerm);
+  const gradeScale = await loadGradeScale(classData);
+  const warnings = await earlyWarningService.mapWarningsByStudent(
+    classData.id,
+    classData.subject_id,
+    selectedTerm?.id
+  );
+  return {
+    gradeScale,
+    entries: entries.map((entry) => ({
+      ...entry,
+      candidate: earlyWarningService.isWarningCandidate(entry, gradeScale),
+      warning: warnings.get(String(entry.student.id)) || null
+    }))
+  };
+}
+
+function sendWarningLetter(res, warning) {
+  const pdf = earlyWarningService.buildWarningLetter(warning);
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename=fruehwarnung-${warning.id}.pdf`);
+  res.send(Buffer.from(pdf, "utf8"));
+}
+
+router.get("/early-warnings/:classId", async (req, res, next) => {
+  try {
+    const classId = req.params.classId;
+    const classData = await requireClassAccessForTeacher(req, res, classId);
+    if (!classData) return;
+
+    const { terms, selectedTerm } = await resolveFinalGradeTerm(classData.school_year_id, req.query.term);
+    const { entries } = await buildEarlyWarningEntries(classData, req.session.user.id, selectedTerm);
+    const openMessageCount = await loadClassOpenMessageCount(classId, classData.subject_id);
+    const issuedCount = Number(req.query.issued || 0);
+
+    res.render("teacher/teacher-early-warnings", {
+      email: req.session.user.email,
+      classData,
+      terms,
+      selectedTerm,
+      entries: entries.filter((entry) => entry.candidate || entry.warning),
+      passingCount: entries.filter((entry) => !entry.candidate && !entry.warning).length,
+      formatIssuedDate: earlyWarningService.formatIssuedDate,
+      message: issuedCount > 0 ? `${issuedCount} Frühwarnung(en) ausgestellt.` : null,
+      openMessageCount,
+      csrfToken: req.csrfToken()
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post("/early-warnings/:classId", async (req, res, next) => {
+  try {
+    const classId = req.params.classId;
+    const classData = await requireClassAccessForTeacher(req, res, classId);
+    if (!classData) return;
+
+    const { selectedTerm } = await resolveFinalGradeTerm(classData.school_year_id, req.body?.term);
+    const { entries, gradeScale } = await buildEarlyWarningEntries(classData, req.session.user.id, selectedTerm);
+    const issuedCount = await earlyWarningService.issueWarnings({
+      classData,
+      termId: selectedTerm?.id || null,
+      teacherId: req.session.user.id,
+      entries,
+      studentIds: req.body?.student_ids,
+      gradeScale
+    });
+
+    res.redirect(buildFinalGradeUrl("/teacher/early-warnings", classId, selectedTerm, `issued=${issuedCount}`));
+  } catch (err) {
+    if (err.status) {
+      return renderError(res, req, err.message, err.status, `/teacher/early-warnings/${req.params.classId}`);
+    }
+    next(err);
+  }
+});
+
+router.get("/early-warnings/:classId/:warningId/letter", async (req, res, next) => {
+  try {
+    const classData = await requireClassAccessForTeacher(req, res, req.params.classId);
+    if (!classData) return;
+
+    const warning = await earlyWarningService.loadClassWarning(req.params.warningId, classData.id);
+    if (Number(warning.subject_id) !== Number(classData.subject_id)) {
+      return renderError(res, req, "Frühwarnung nicht gefunden.", 404, `/teacher/early-warnings/${classData.id}`);
+    }
+    sendWarningLetter(res, warning);
+  } catch (err) {
+    if (err.status) {
+      return renderError(res, req, err.message, err.status, `/teacher/early-warnings/${req.params.classId}`);
+    }
+    next(err);
+  }
+});
+
+router.get("/makeups-review/:classId", async (req, res, next) => {
+  try {
+    const classRow = await requireHeadTeacherClass(
+      req,
+      res,
+      req.params.classId,
+      "Nur der Klassenvorstand kann alle Nachtermine der Klasse einsehen."
+    );
+    if (!classRow) return;
+
+    const makeups = await absenceService.listClassOpenMakeups(classRow.id);
+    res.render("teacher/teacher-makeups-review", {
+      email: req.session.user.email,
+      classRow,
+      makeups,
+      overdueCount: makeups.filter((entry) => entry.absence.makeup_overdue).length,
+      csrfToken: req.csrfToken()
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get("/early-warnings-review/:classId", async (req, res, next) => {
+  try {
+    const classRow = await requireHeadTeacherClass(
+      req,
+      res,
+      req.params.classId,
+      "Nur der Klassenvorstand kann alle Frühwarnungen der Klasse einsehen."
+    );
+    if (!classRow) return;
+
+    const { terms, selectedTerm } = await resolveFinalGradeTerm(classRow.school_year_id, req.query.term);
+    const warnings = await earlyWarningService.listClassWarnings(classRow.id, selectedTerm?.id);
+
+    res.render("teacher/teacher-early-warnings-review", {
+      email: req.session.user.email,
+      classRow,
+      terms,
+      selectedTerm,
+      warnings,
+      formatIssuedDate: earlyWarningService.formatIssuedDate,
+      csrfToken: req.csrfToken()
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get("/early-warnings-review/:classId/:warningId/letter", async (req, res, next) => {
+  try {
+    const classRow = await requireHeadTeacherClass(
+      req,
+      res,
+      req.params.classId,
+      "Nur der Klassenvorstand kann alle Frühwarnungen der Klasse einsehen."
+    );
+    if (!classRow) return;
+
+    const warning = await earlyWarningService.loadClassWarning(req.params.warningId, classRow.id);
+    sendWarningLetter(res, warning);
+  } catch (err) {
+    if (err.status) {
+      return renderError(res, req, err.message, err.status, `/teacher/early-warnings-review/${req.params.classId}`);
+    }
+    next(err);
+  }
+});
+
 router.use((err, req, res, next) => {
   if (req.file) {
     return removeUploadedFile(req.file)
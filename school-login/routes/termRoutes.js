@@ -0,0 +1,15 @@
+const express = require("express");
+const { requireAuth, requirePermission } = require("../middleware/auth");
+const termController = require("../controllers/termController");
+
+const router = express.Router();
+
+router.use(requireAuth, requirePermission("admin.access"));
+
+router.get("/terms", requirePermission("school_years.manage"), termController.showTerms);
+router.post("/terms", requirePermission("school_years.manage"), termController.createTerm);
+router.post("/terms/defaults", requirePermission("school_years.manage"), termController.createDefaultTerms);
+router.post("/terms/:id", requirePermission("school_years.manage"), termController.updateTerm);
+router.post("/terms/:id/delete", requirePermission("school_years.manage"), termController.deleteTerm);
+
+module.exports = router;
@@ -6,19 +6,37 @@ const path = require("path");
 const crypto = require("crypto");
 require("dotenv").config({ override: process.env.NODE_ENV !== "test" });
 const { db, verifyPassword, ready, hashPassword, pool, isFakeDb } = require("./db");
-const { requireAuth } = require("./middleware/auth");
+const { createAuditLogMiddleware } = require("./middleware/audit");
+const { loadPermissions, requireAuth } = require("./middleware/auth");
 const { detectDevice } = require("./middleware/deviceDetection");
+const { enforceImpersonation, expireImpersonation } = require("./middleware/impersonation");
+const { buildSessionClientInfo, trackSessionActivity } = require("./middleware/sessionActivity");
 const { buildSessionStore } = require("./sessionStore");
 const { getPasswordValidationError } = require("./utils/password");
 const userDisplay = require("./utils/userDisplay");
+const { getAppBaseUrl } = require("./utils/appUrl");
 const schoolYearModel = require("./models/schoolYearModel");
+const twoFactorService = require("./services/twoFactorService");
+const oidcService = require("./services/oidcService");
+const authSettingsService = require("./services/authSettingsService");
+const gradeReleaseService = require("./services/gradeReleaseService");
+const loginThrottleService = require("./services/loginThrottleService");
 
+const accountRouter = require("./routes/accountRoutes");
 const adminRouter = require("./routes/admin");
 const assignmentRouter = require("./routes/assignmentRoutes");
+const authSettingsRouter = require("./routes/authSettingsRoutes");
 const archiveRouter = require("./routes/archiveRoutes");
+const guardianRouter = require("./routes/guardian");
+const guardianAdminRouter = require("./routes/guardianAdminRoutes");
+const gradeScaleRouter = require("./routes/gradeScaleRoutes");
+const impersonationRouter = require("./routes/impersonationRoutes");
+const passwordResetRouter = require("./routes/passwordResetRoutes");
+const roleRouter = require("./routes/roleRoutes");
 const rolloverRouter = require("./routes/rolloverRoutes");
 const studentRouter = require("./routes/student");
 const teacherRouter = require("./routes/teacher");
+const termRouter = require("./routes/termRoutes");
 
 const app = express();
 const isProduction = process.env.NODE_ENV === "production";
@@ -30,6 +48,9 @@ if (isProduction) {
 if (isProduction && !process.env.SESSION_SECRET) {
   throw new Error("SESSION_SECRET must be set in production.");
 }
+if (isProduction && !process.env.APP_BASE_URL) {
+  throw new Error("APP_BASE_URL must be set in production.");
+}
 
 const sessionStore = buildSessionStore({ pool, isFakeDb });
 
@@ -74,9 +95,8 @@ function isDbConnectionError(err) {
   );
 }
 
-const LOGIN_RATE_WINDOW_MS = Number(process.env.LOGIN_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000;
-const LOGIN_RATE_MAX = Number(process.env.LOGIN_RATE_LIMIT_MAX) || 5;
-const loginAttempts = new Map();
+const TWO_FACTOR_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const OIDC_TRANSACTION_TTL_MS = 10 * 60 * 1000;
 const teamsEmbedEnabled = parseOptionalBoolean(process.env.TEAMS_EMBED_ENABLED) ?? false;
 const defaultTeamsFrameAncestors = [
   "'self'",
@@ -101,38 +121,17 @@ if (sessionCookieSameSite === "none" && !useSecureSessionCookie) {
 }
 
 function buildLoginKey(req, email) {
-  const ip = req.ip || "unknown";
-  const normalizedEmail = String(email || "").toLowerCase();
-  return `${ip}|${normalizedEmail}`;
-}
-
-function isLoginRateLimited(key) {
-  const entry = loginAttempts.get(key);
-  if (!entry) return false;
-  const now = Date.now();
-  if (entry.lockedUntil && entry.lockedUntil > now) return true;
-  if (now - entry.firstAttemptAt > LOGIN_RATE_WINDOW_MS) {
-    loginAttempts.delete(key);
-    return false;
-  }
-  return entry.count >= LOGIN_RATE_MAX;
-}
-
-function recordLoginFailure(key) {
-  const now = Date.now();
-  const entry = loginAttempts.get(key);
-  if (!entry || now - entry.firstAttemptAt > LOGIN_RATE_WINDOW_MS) {
-    loginAttempts.set(key, { count: 1, firstAttemptAt: now, lockedUntil: 0 });
-    return;
-  }
-  entry.count += 1;
-  if (entry.count >= LOGIN_RATE_MAX) {
-    entry.lockedUntil = now + LOGIN_RATE_WINDOW_MS;
-  }
+  return loginThrottleService.buildLoginKey(req.ip, email);
 }
 
-function resetLoginAttempts(key) {
-  loginAttempts.delete(key);
+async function recordLoginFailure(req, loginKey, email, user = null) {
+  await loginThrottleService.recordFailedAttempt(loginKey, email);
+  if (!user || user.status !== "active") return { locked: false };
+  return loginThrottleService.recordAccountFailure(user, {
+    routePath: req.path,
+    ipAddress: req.ip || null,
+    userAgent: req.get("user-agent") || null
+  });
 }
 
 app.use(express.urlencoded({ extended: true }));
@@ -158,6 +157,13 @@ app.use(
     maxAge: isProduction ? "7d" : 0
   })
 );
+// Die Notenberechnung wird unverändert auch im Browser verwendet.
+app.get("/js/grading-engine.js", (req, res) => {
+  res.type("application/javascript");
+  res.sendFile(path.join(__dirname, "utils", "gradingEngine.js"), {
+    maxAge: isProduction ? "7d" : 0
+  });
+});
 
 app.locals.assetVersion = assetVersion;
 app.locals.userDisplay = userDisplay;
@@ -184,11 +190,31 @@ function allAsync(sql, params = []) {
   });
 }
 
+function renderTwoFactorLogin(res, req, options = {}) {
+  const { status = 200, errorMessage = null, email = "" } = options;
+
+  return res.status(status).render("login-two-factor", {
+    csrfToken: req.csrfToken(),
+    errorMessage,
+    email
+  });
+}
+
+function renderAccountLocked(res, req, lockedUntil, email = "") {
+  return renderLogin(res, req, {
+    status: 423,
+    errorType: "locked",
+    errorMessage: `Dein Konto ist nach zu vielen fehlgeschlagenen Anmeldungen bis ${loginThrottleService.formatTimestamp(lockedUntil)} gesperrt.`,
+    email
+  });
+}
+
 function renderLogin(res, req, options = {}) {
   const {
     status = 200,
     errorType = null,
     errorMessage = null,
+    noticeMessage = null,
     email = ""
   } = options;
 
@@ -196,7 +222,10 @@ function renderLogin(res, req, options = {}) {
     csrfToken: req.csrfToken(),
     errorType,
     errorMessage,
-    email
+    noticeMessage,
+    email,
+    oidcEnabled: oidcService.isOidcEnabled(),
+    oidcProviderLabel: oidcService.getProviderLabel()
   });
 }
 
@@ -218,8 +247,13 @@ app.use(
   })
 );
 
+app.use(trackSessionActivity);
+app.use(expireImpersonation);
+app.use(loadPermissions);
+app.use(createAuditLogMiddleware({ impersonatedOnly: true }));
+
 // --- CSRF ---
-const multipartAllowList = [/^\/teacher\/add-grade\/\d+\/\d+$/];
+const multipartAllowList = [/^\/teacher\/add-grade\/\d+\/\d+$/, /^\/teacher\/grade-absence\/\d+\/\d+$/];
 const csrfProtection = csrf({
   value: (req) =>
     (req.body && req.body._csrf) ||
@@ -245,6 +279,7 @@ app.use((req, res, next) => {
 
 // --- Device Detection ---
 app.use(detectDevice);
+app.use(enforceImpersonation);
 
 // --- Simple Security Headers ---
 app.use((req, res, next) => {
@@ -262,11 +297,82 @@ function getRedirectForRole(role) {
   const redirectMap = {
     admin: "/admin",
     teacher: "/teacher",
-    student: "/student"
+    student: "/student",
+    guardian: "/guardian"
   };
   return redirectMap[role] || "/";
 }
 
+function completeLogin(req, res, next, user, loginKey) {
+  req.session.regenerate(async (regenErr) => {
+    if (regenErr) return next(regenErr);
+
+    const twoFactorSetupRequired =
+      twoFactorService.isTwoFactorRequiredForRole(user.role) && !user.totp_enabled;
+    req.session.user = {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      role_key: user.role_key || null,
+      status: user.status,
+      must_change_password: Boolean(user.must_change_password),
+      two_factor_setup_required: twoFactorSetupRequired
+    };
+    req.session.client = buildSessionClientInfo(req);
+
+    try {
+      await loginThrottleService.resetAfterSuccessfulLogin(loginKey, user.id);
+    } catch (throttleErr) {
+      return next(throttleErr);
+    }
+    db.run("UPDATE users SET last_login = current_timestamp WHERE id = ?", [user.id], () => {});
+    const redirectTarget = user.must_change_password
+      ? "/force-password-change"
+      : twoFactorSetupRequired
+        ? "/account/two-factor"
+        : getRedirectForRole(user.role);
+    req.session.save((saveErr) => {
+      if (saveErr) return next(saveErr);
+      res.redirect(redirectTarget);
+    });
+  });
+}
+
+function startTwoFactorChallenge(req, res, next, user, loginKey) {
+  req.session.regenerate((regenErr) => {
+    if (regenErr) return next(regenErr);
+
+    req.session.pendingTwoFactor = {
+      userId: user.id,
+      email: user.email,
+      loginKey,
+      mustChangePassword: Boolean(user.must_change_password),
+      expiresAt: Date.now() + TWO_FACTOR_CHALLENGE_TTL_MS
+    };
+    req.session.save((saveErr) => {
+      if (saveErr) return next(saveErr);
+      res.redirect("/login/2fa");
+    });
+  });
+}
+
+function continueWithSecondFactor(req, res, next, user, loginKey) {
+  if (user.totp_enabled) {
+    return startTwoFactorChallenge(req, res, next, user, loginKey);
+  }
+  return completeLogin(req, res, next, user, loginKey);
+}
+
+function getPendingTwoFactor(req) {
+  const pending = req.session.pendingTwoFactor;
+  if (!pending) return null;
+  if (Number(pending.expiresAt || 0) <= Date.now()) {
+    delete req.session.pendingTwoFactor;
+    return null;
+  }
+  return pending;
+}
+
 app.use((req, res, next) => {
   const user = req.session.user;
   if (!user || !user.must_change_password) return next();
@@ -276,6 +382,15 @@ app.use((req, res, next) => {
   return res.redirect("/force-password-change");
 });
 
+app.use((req, res, next) => {
+  const user = req.session.user;
+  if (!user || !user.two_factor_setup_required || user.must_change_password) return next();
+  if (req.path.startsWith("/account/two-factor") || req.path === "/logout") {
+    return next();
+  }
+  return res.redirect("/account/two-factor");
+});
+
 app.use(async (req, res, next) => {
   res.locals.activeSchoolYear = res.locals.activeSchoolYear || null;
   res.locals.sidebarStudentClass = null;
@@ -345,7 +460,11 @@ app.get("/", requireAuth, (req, res) => {
 // --- Login Seite ---
 app.get("/login", (req, res) => {
   if (req.session.user) return res.redirect("/");
-  renderLogin(res, req);
+  renderLogin(res, req, {
+    noticeMessage: req.query.passwordReset === "1"
+      ? "Dein Passwort wurde geändert. Du kannst dich jetzt anmelden."
+      : null
+  });
 });
 
 // --- Passwortwechsel erzwingen ---
@@ -380,37 +499,44 @@ app.post("/force-password-change", requireAuth, (req, res, next) => {
     (err) => {
       if (err) return next(err);
       req.session.user.must_change_password = false;
+      if (req.session.user.two_factor_setup_required) {
+        return res.redirect("/account/two-factor");
+      }
       return res.redirect(getRedirectForRole(req.session.user.role));
     }
   );
 });
 
 // --- Login POST ---
-app.post("/login", (req, res, next) => {
+app.post("/login", async (req, res, next) => {
   const { email, password } = req.body || {};
   const loginKey = buildLoginKey(req, email);
-  if (isLoginRateLimited(loginKey)) {
-    return renderLogin(res, req, {
-      status: 429,
-      errorType: "invalid",
-      errorMessage: "Zu viele Versuche. Bitte später erneut versuchen.",
-      email
-    });
-  }
-  if (!email || !password) {
-    recordLoginFailure(loginKey);
-    return renderLogin(res, req, {
-      status: 400,
-      errorType: "invalid",
-      errorMessage: "Bitte E-Mail und Passwort eingeben.",
-      email
-    });
+  try {
+    if (await loginThrottleService.isRateLimited(loginKey)) {
+      return renderLogin(res, req, {
+        status: 429,
+        errorType: "invalid",
+        errorMessage: "Zu viele Versuche. Bitte später erneut versuchen.",
+        email
+      });
+    }
+    if (!email || !password) {
+      await recordLoginFailure(req, loginKey, email);
+      return renderLogin(res, req, {
+        status: 400,
+        errorType: "invalid",
+        errorMessage: "Bitte E-Mail und Passwort eingeben.",
+        email
+      });
+    }
+  } catch (throttleErr) {
+    return next(throttleErr);
   }
 
   db.get(
-    "SELECT id, email, password_hash, role, status, must_change_password FROM users WHERE email = ?",
+    "SELECT id, email, password_hash, role, status, must_change_password, totp_enabled, locked_until, role_key FROM users WHERE email = ?",
     [email],
-    (err, user) => {
+    async (err, user) => {
       if (err) {
         return res.status(500).render("error", {
           message: "DB-Fehler.",
@@ -418,8 +544,18 @@ app.post("/login", (req, res, next) => {
           backUrl: "/login"
         });
       }
+      if (user && user.status === "active" && loginThrottleService.isAccountLocked(user)) {
+        return renderAccountLocked(res, req, user.locked_until, email);
+      }
       if (!user || !verifyPassword(user.password_hash, password)) {
-        recordLoginFailure(loginKey);
+        try {
+          const lockResult = await recordLoginFailure(req, loginKey, email, user);
+          if (lockResult.locked) {
+            return renderAccountLocked(res, req, lockResult.lockedUntil, email);
+          }
+        } catch (throttleErr) {
+          return next(throttleErr);
+        }
         return renderLogin(res, req, {
           status: 401,
           errorType: "invalid",
@@ -428,7 +564,11 @@ app.post("/login", (req, res, next) => {
         });
       }
       if (user.status !== "active") {
-        recordLoginFailure(loginKey);
+        try {
+          await recordLoginFailure(req, loginKey, email);
+        } catch (throttleErr) {
+          return next(throttleErr);
+        }
         return renderLogin(res, req, {
           status: 401,
           errorType: "invalid",
@@ -437,28 +577,20 @@ app.post("/login", (req, res, next) => {
         });
       }
 
-      const completeLogin = () => {
-        req.session.regenerate((regenErr) => {
-          if (regenErr) return next(regenErr);
-
-          req.session.user = {
-            id: user.id,
-            email: user.email,
-            role: user.role,
-            status: user.status,
-            must_change_password: Boolean(user.must_change_password)
-          };
-
-          resetLoginAttempts(loginKey);
-          db.run("UPDATE users SET last_login = current_timestamp WHERE id = ?", [user.id], () => {});
-          const redirectTarget = user.must_change_password
-            ? "/force-password-change"
-            : getRedirectForRole(user.role);
-          req.session.save((saveErr) => {
-            if (saveErr) return next(saveErr);
-            res.redirect(redirectTarget);
-          });
-        });
+      const continueLogin = async () => {
+        try {
+          if (!(await authSettingsService.isLocalLoginAllowedForRole(user.role))) {
+            return renderLogin(res, req, {
+              status: 403,
+              errorType: "invalid",
+              errorMessage: `Für dein Konto ist nur die Anmeldung über ${oidcService.getProviderLabel()} möglich.`,
+              email
+            });
+          }
+        } catch (settingsErr) {
+          return next(settingsErr);
+        }
+        return continueWithSecondFactor(req, res, next, user, loginKey);
       };
 
       if (user.role === "teacher") {
@@ -472,27 +604,183 @@ app.post("/login", (req, res, next) => {
             } else {
               console.log(`Assignments found: ${Number(assignmentRow?.count || 0)}`);
             }
-            completeLogin();
+            continueLogin();
           }
         );
       }
 
-      completeLogin();
+      continueLogin();
     }
   );
 });
 
+// --- Zwei-Faktor-Anmeldung ---
+app.get("/login/2fa", (req, res) => {
+  if (req.session.user) return res.redirect("/");
+  const pending = getPendingTwoFactor(req);
+  if (!pending) return res.redirect("/login");
+  renderTwoFactorLogin(res, req, { email: pending.email });
+});
+
+app.post("/login/2fa", async (req, res, next) => {
+  const pending = getPendingTwoFactor(req);
+  if (!pending) return res.redirect("/login");
+
+  try {
+    if (await loginThrottleService.isRateLimited(pending.loginKey)) {
+      delete req.session.pendingTwoFactor;
+      return renderLogin(res, req, {
+        status: 429,
+        errorType: "invalid",
+        errorMessage: "Zu viele Versuche. Bitte später erneut versuchen.",
+        email: pending.email
+      });
+    }
+
+    const result = await twoFactorService.verifySecondFactor(pending.userId, req.body?.otp_code);
+    if (!result.ok) {
+      const lockResult = await recordLoginFailure(req, pending.loginKey, pending.email, {
+        id: pending.userId,
+        email: pending.email,
+        status: "active"
+      });
+      if (lockResult.locked) {
+        delete req.session.pendingTwoFactor;
+        return renderAccountLocked(res, req, lockResult.lockedUntil, pending.email);
+      }
+      return renderTwoFactorLogin(res, req, {
+        status: 401,
+        errorMessage: "Der Code ist ungültig oder abgelaufen.",
+        email: pending.email
+      });
+    }
+
+    const user = await getAsync(
+      "SELECT id, email, role, status, must_change_password, totp_enabled, locked_until, role_key FROM users WHERE id = ?",
+      [pending.userId]
+    );
+    if (!user || user.status !== "active") {
+      delete req.session.pendingTwoFactor;
+      return renderLogin(res, req, {
+        status: 401,
+        errorType: "invalid",
+        errorMessage: "Login fehlgeschlagen.",
+        email: pending.email
+      });
+    }
+    if (loginThrottleService.isAccountLocked(user)) {
+      delete req.session.pendingTwoFactor;
+      return renderAccountLocked(res, req, user.locked_until, pending.email);
+    }
+
+    return completeLogin(
+      req,
+      res,
+      next,
+      { ...user, must_change_password: pending.mustChangePassword && user.must_change_password },
+      pending.loginKey
+    );
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// --- Single Sign-On (OIDC) ---
+app.get("/auth/oidc/login", async (req, res, next) => {
+  if (req.session.user) return res.redirect("/");
+  if (!oidcService.isOidcEnabled()) {
+    return res.status(404).render("error", {
+      message: "Single Sign-On ist nicht konfiguriert.",
+      status: 404,
+      backUrl: "/login"
+    });
+  }
+
+  try {
+    const { url, transaction } = await oidcService.buildAuthorizationRequest({
+      baseUrl: getAppBaseUrl(req),
+      loginHint: String(req.query.login_hint || "").trim()
+    });
+    req.session.oidcTransaction = transaction;
+    req.session.save((saveErr) => {
+      if (saveErr) return next(saveErr);
+      res.redirect(url);
+    });
+  } catch (err) {
+    if (err instanceof oidcService.OidcError) {
+      console.error("OIDC login start failed:", err.message);
+      return renderLogin(res, req, {
+        status: 502,
+        errorType: "invalid",
+        errorMessage: `Anmeldung über ${oidcService.getProviderLabel()} ist derzeit nicht möglich.`
+      });
+    }
+    return next(err);
+  }
+});
+
+app.get("/auth/oidc/callback", async (req, res, next) => {
+  const transaction = req.session.oidcTransaction;
+  delete req.session.oidcTransaction;
+  const loginKey = buildLoginKey(req, "oidc");
+  const failLogin = (status, errorMessage) => renderLogin(res, req, { status, errorType: "invalid", errorMessage });
+
+  if (!oidcService.isOidcEnabled()) return res.redirect("/login");
+  if (req.query.error) {
+    return failLogin(401, `Anmeldung über ${oidcService.getProviderLabel()} wurde abgebrochen.`);
+  }
+  if (!transaction || Date.now() - Number(transaction.createdAt || 0) > OIDC_TRANSACTION_TTL_MS) {
+    return failLogin(400, "Die Anmeldung ist abgelaufen. Bitte erneut versuchen.");
+  }
+
+  try {
+    const { email } = await oidcService.completeAuthorization({
+      code: req.query.code,
+      state: req.query.state,
+      transaction
+    });
+    const user = await getAsync(
+      "SELECT id, email, role, status, must_change_password, totp_enabled, locked_until, role_key FROM users WHERE LOWER(email) = LOWER(?)",
+      [email]
+    );
+    if (!user || user.status !== "active") {
+      console.warn(`OIDC login without matching active user: ${email}`);
+      return failLogin(403, `Für dieses ${oidcService.getProviderLabel()}-Konto gibt es keinen aktiven Zugang zur Notenverwaltung.`);
+    }
+    if (loginThrottleService.isAccountLocked(user)) {
+      return renderAccountLocked(res, req, user.locked_until);
+    }
+
+    return continueWithSecondFactor(req, res, next, { ...user, must_change_password: false }, loginKey);
+  } catch (err) {
+    if (err instanceof oidcService.OidcError) {
+      console.error(`OIDC callback rejected (${err.code}):`, err.message);
+      return failLogin(401, "Die Anmeldung konnte nicht bestätigt werden. Bitte erneut versuchen.");
+    }
+    return next(err);
+  }
+});
+
 // --- Logout ---
 app.post("/logout", (req, res) => {
   req.session.destroy(() => res.redirect("/login"));
 });
 
 // --- Router Mounts ---
+app.use("/account", accountRouter);
+app.use("/password-reset", passwordResetRouter);
+app.use("/impersonation", impersonationRouter);
 app.use("/admin", adminRouter);
 app.use("/admin", assignmentRouter);
+app.use("/admin", authSettingsRouter);
+app.use("/admin", gradeScaleRouter);
+app.use("/admin", guardianAdminRouter);
+app.use("/admin", roleRouter);
 app.use("/admin", rolloverRouter);
+app.use("/admin", termRouter);
 app.use("/teacher", teacherRouter);
 app.use("/student", studentRouter);
+app.use("/guardian", guardianRouter);
 app.use("/", archiveRouter);
 
 app.use((req, res) => {
@@ -538,4 +826,8 @@ if (require.main === module) {
     console.log(`Server läuft auf Port ${PORT}`);
     console.log('PGHOST:', process.env.PGHOST);
   });
+  // Geplante Notenfreigaben werden im Minutentakt veröffentlicht.
+  Promise.resolve(ready)
+    .then(() => gradeReleaseService.startReleaseScheduler())
+    .catch((err) => console.error("Grade release scheduler not started:", err.message || err));
 }
@@ -1,6 +1,8 @@
 const test = require("node:test");
 const assert = require("node:assert");
+const fs = require("node:fs");
 const http = require("node:http");
+const path = require("node:path");
 const { once } = require("node:events");
 
 process.env.NODE_ENV = "test";
@@ -12,9 +14,15 @@ process.env.SEED_DEMO = "true";
 process.env.DEMO_TEACHER_PASS = "teacherDemo123!";
 process.env.DEMO_STUDENT_PASS = "studentDemo123!";
 process.env.USE_FAKE_DB = "true";
+process.env.TWO_FACTOR_REQUIRED_ROLES = "";
 
 const app = require("./server");
-const { db } = require("./db");
+const { db, hashPassword } = require("./db");
+const { generateTotp } = require("./utils/totp");
+const { clearMemoryOutbox, getMemoryOutbox } = require("./services/mailService");
+const { clearOidcCaches } = require("./services/oidcService");
+const { notifyStudent } = require("./services/notificationService");
+const { createMockOidcProvider } = require("./mockOidcProvider");
 
 let server;
 let baseUrl;
@@ -24,6 +32,14 @@ function extractCsrfToken(html) {
   return match ? match[1] : null;
 }
 
+// Reset-Mails gehen im Hintergrund hinaus; kurz warten, bis sie im Postausgang liegen.
+async function waitForMemoryOutbox(count) {
+  for (let attempt = 0; attempt < 50 && getMemoryOutbox().length < count; attempt += 1) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  return getMemoryOutbox();
+}
+
 function extractHiddenInput(html, name) {
   const escapedName = String(name).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
   const match = html.match(new RegExp(`name="${escapedName}"\\s+value="([^"]*)"`, "i"));
@@ -155,6 +171,15 @@ function dbGet(sql, params = []) {
   });
 }
 
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) return reject(err);
+      resolve(rows);
+    });
+  });
+}
+
 async function loginAdmin() {
   let loginResult = await loginAndChangePassword(
     process.env.ADMIN_EMAIL,
@@ -244,7 +269,6 @@ test("admin can log in with seeded credentials", async () => {
   assert.match(dashboard.body, /Schnellstart/);
   assert.match(dashboard.body, /Verwaltung/);
   assert.match(dashboard.body, /System/);
-  assert.match(dashboard.body, /Platzhalter fuer spaeter/);
   assert.match(dashboard.body, /Nutzer anlegen/);
   assert.match(dashboard.body, /Audit-Log/);
 });
@@ -253,7 +277,11 @@ test("student can view grades and profile after login", async () => {
   const loginResult = await loginStudent();
   assert.strictEqual(loginResult.redirect, "/student");
 
-  const gradesResponse = await fetchWithCookies("/student/grades", {}, loginResult.cookies);
+  const gradesResponse = await fetchWithCookies(
+    "/student/grades",
+    { headers: { Accept: "application/json" } },
+    loginResult.cookies
+  );
   assert.strictEqual(gradesResponse.response.status, 200);
   const gradesData = JSON.parse(gradesResponse.body);
   assert.ok(Array.isArray(gradesData.grades));
@@ -575,8 +603,8 @@ test('teacher student grades treat "nicht da" with absence_mode=exclude as ohne
   );
 
   await dbRun(
-    "INSERT INTO grades (student_id, class_id, grade_template_id, grade, points_achieved, points_max, note, attachment_path, attachment_original_name, attachment_mime, attachment_size, external_link, is_absent, school_year_id) VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?)",
-    [1, 1, templateInsert.lastID, 5, null, null, "War nicht da", null, null, null, null, null, 1, activeSchoolYear.id]
+    "INSERT INTO grades (student_id, class_id, grade_template_id, grade, points_achieved, points_max, note, attachment_path, attachment_original_name, attachment_mime, attachment_size, external_link, is_absent, school_year_id, published_at) VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)",
+    [1, 1, templateInsert.lastID, 5, null, null, "War nicht da", null, null, null, null, null, 1, activeSchoolYear.id, new Date().toISOString()]
   );
 
   const studentGradesPage = await fetchWithCookies("/teacher/student-grades/1/1", {}, loginResult.cookies);
@@ -878,6 +906,9 @@ test("admin assignment table can delete a class subject group", async () => {
   const teacherRow = await dbGet("SELECT id, role FROM users WHERE email = ?", ["teacher@example.com"]);
 
   try {
+  const pageBefore = await fetchWithCookies("/admin/assignments", {}, loginResult.cookies);
+  assert.match(pageBefore.body, /data-search="3ahwii informatik /);
+
   const deleteResponse = await fetchWithCookies(
     "/admin/assignments/delete-group",
     {
@@ -899,12 +930,12 @@ test("admin assignment table can delete a class subject group", async () => {
   const assignmentsPage = await fetchWithCookies("/admin/assignments", {}, loginResult.cookies);
   assert.strictEqual(assignmentsPage.response.status, 200);
   assert.match(assignmentsPage.body, /Fachgruppe entfernt\. 1 Lehrerzuordnung\(en\) gelöscht\./);
-  assert.doesNotMatch(assignmentsPage.body, /teacher@example\.com/);
-  assert.match(assignmentsPage.body, /Noch keine Zuordnungen vorhanden\./);
+  // Frühere Tests legen weitere Fächer für die Klasse an, daher nur die gelöschte Gruppe prüfen.
+  assert.doesNotMatch(assignmentsPage.body, /data-search="3ahwii informatik /);
 
   const assignmentForm = await fetchWithCookies("/admin/assignments/new?class=1", {}, loginResult.cookies);
   assert.strictEqual(assignmentForm.response.status, 200);
-  assert.match(assignmentForm.body, /Diese Klasse hat noch keine Fächer\./);
+  assert.doesNotMatch(assignmentForm.body, /<option value="1"[^>]*>\s*Informatik \(/);
   } finally {
     await dbRun(
       "INSERT INTO class_subject_teacher (class_id, subject_id, teacher_id, school_year_id) VALUES (?,?,?,?)",
@@ -915,27 +946,33 @@ test("admin assignment table can delete a class subject group", async () => {
 
 test("audit logs keep appended changes and return live updates in descending order", async () => {
   const loginResult = await loginAdmin();
-
-  const firstToken = await fetchCsrfToken("/admin/classes/1/edit", loginResult.cookies);
-  const firstUpdate = new URLSearchParams({
-    _csrf: firstToken,
-    name: "3AHWII",
-    subject: "Informatik Basis",
-    teacher_id: "2"
-  });
-
-  const firstUpdateResponse = await fetchWithCookies(
-    "/admin/classes/1",
-    {
-      method: "POST",
-      headers: { "Content-Type": "application/x-www-form-urlencoded" },
-      body: firstUpdate.toString(),
-      redirect: "manual"
-    },
-    loginResult.cookies
+  const activeSchoolYear = await dbGet(
+    "SELECT id, name, start_date, end_date, is_active FROM school_years WHERE is_active = ? ORDER BY id DESC LIMIT 1",
+    [true]
+  );
+  // Eigene Klasse, damit die Seed-Klasse für spätere Tests unverändert bleibt.
+  const classInsert = await dbRun(
+    "INSERT INTO classes (name, subject, subject_id, school_year_id) VALUES (?,?,?,?)",
+    ["Audit 1A", null, null, activeSchoolYear.id]
   );
+  const classPath = `/admin/classes/${classInsert.lastID}`;
+
+  const updateClass = async (name) => {
+    const csrfToken = await fetchCsrfToken(`${classPath}/edit`, loginResult.cookies);
+    const response = await fetchWithCookies(
+      classPath,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ _csrf: csrfToken, name }).toString(),
+        redirect: "manual"
+      },
+      loginResult.cookies
+    );
+    assert.strictEqual(response.response.status, 302);
+  };
 
-  assert.strictEqual(firstUpdateResponse.response.status, 302);
+  await updateClass("Audit 1B");
 
   const baselineResponse = await fetchWithCookies(
     "/admin/audit-logs/data",
@@ -950,60 +987,2917 @@ test("audit logs keep appended changes and return live updates in descending ord
   const newestId = Number(baselineData.logs[0].id);
   assert.ok(Number.isFinite(newestId));
 
-  const secondToken = await fetchCsrfToken("/admin/classes/1/edit", loginResult.cookies);
-  const secondUpdate = new URLSearchParams({
-    _csrf: secondToken,
-    name: "3AHWII",
-    subject: "Informatik Aufbau",
-    teacher_id: "2"
+  await updateClass("Audit 1C");
+  await updateClass("Audit 1D");
+
+  const liveResponse = await fetchWithCookies(
+    "/admin/audit-logs/data",
+    { headers: { Accept: "application/json" } },
+    loginResult.cookies
+  );
+  assert.strictEqual(liveResponse.response.status, 200);
+
+  const liveData = JSON.parse(liveResponse.body);
+  assert.ok(Array.isArray(liveData.logs));
+  const appendedLogs = liveData.logs.filter((entry) => Number(entry.id) > newestId);
+  assert.ok(appendedLogs.length >= 2, "Expected multiple appended audit entries");
+  assert.ok(Number(appendedLogs[0].id) > Number(appendedLogs[1].id), "Expected newest logs first");
+  assert.ok(Number(liveData.totalCount) >= Number(baselineData.totalCount) + appendedLogs.length);
+  assert.ok(
+    appendedLogs.every((entry) => entry.route_path === classPath),
+    "Expected class update audit entries"
+  );
+});
+
+async function submitLoginForm(email, password) {
+  const loginPage = await fetchWithCookies("/login");
+  const params = new URLSearchParams({
+    _csrf: extractCsrfToken(loginPage.body),
+    email,
+    password
   });
+  return fetchWithCookies(
+    "/login",
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: params.toString(),
+      redirect: "manual"
+    },
+    loginPage.cookies
+  );
+}
 
-  const secondUpdateResponse = await fetchWithCookies(
-    "/admin/classes/1",
+async function submitSecondFactor(cookies, otpCode) {
+  const challengePage = await fetchWithCookies("/login/2fa", {}, cookies);
+  assert.strictEqual(challengePage.response.status, 200);
+  const params = new URLSearchParams({
+    _csrf: extractCsrfToken(challengePage.body),
+    otp_code: otpCode
+  });
+  return fetchWithCookies(
+    "/login/2fa",
     {
       method: "POST",
       headers: { "Content-Type": "application/x-www-form-urlencoded" },
-      body: secondUpdate.toString(),
+      body: params.toString(),
       redirect: "manual"
     },
-    loginResult.cookies
+    challengePage.cookies
+  );
+}
+
+test("teacher can enroll in two-factor login and must confirm later logins with a code", async () => {
+  const teacherLogin = await loginTeacher();
+  const teacherRow = await dbGet("SELECT id FROM users WHERE email = ?", ["teacher@example.com"]);
+
+  try {
+    const setupPage = await fetchWithCookies("/account/two-factor", {}, teacherLogin.cookies);
+    assert.strictEqual(setupPage.response.status, 200);
+    assert.match(setupPage.body, /data:image\/png;base64,/);
+    const secretMatch = setupPage.body.match(/manuell eingeben: <code>([A-Z2-7 ]+)<\/code>/);
+    assert.ok(secretMatch, "TOTP secret missing on setup page");
+    const secret = secretMatch[1].replace(/\s+/g, "");
+
+    const enableResponse = await fetchWithCookies(
+      "/account/two-factor/enable",
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({
+          _csrf: extractCsrfToken(setupPage.body),
+          otp_code: generateTotp(secret)
+        }).toString(),
+        redirect: "manual"
+      },
+      setupPage.cookies
+    );
+    assert.strictEqual(enableResponse.response.status, 302);
+    assert.strictEqual(enableResponse.response.headers.get("location"), "/account/two-factor?enabled=1");
+
+    const enabledPage = await fetchWithCookies("/account/two-factor?enabled=1", {}, enableResponse.cookies);
+    assert.match(enabledPage.body, /Zwei-Faktor-Anmeldung ist jetzt aktiv\./);
+    const recoveryCodes = [...enabledPage.body.matchAll(/<li><code>([0-9a-f]{5}-[0-9a-f]{5})<\/code><\/li>/g)].map((match) => match[1]);
+    assert.strictEqual(recoveryCodes.length, 10);
+
+    const passwordStep = await submitLoginForm("teacher@example.com", "NewPass12345");
+    assert.strictEqual(passwordStep.response.headers.get("location"), "/login/2fa");
+    const blockedDashboard = await fetchWithCookies("/teacher", { redirect: "manual" }, passwordStep.cookies);
+    assert.strictEqual(blockedDashboard.response.status, 302);
+
+    const wrongCode = await submitSecondFactor(passwordStep.cookies, "000000");
+    assert.strictEqual(wrongCode.response.status, 401);
+    assert.match(wrongCode.body, /Der Code ist ungültig oder abgelaufen\./);
+
+    const totpLogin = await submitSecondFactor(wrongCode.cookies, generateTotp(secret, Date.now() + 30 * 1000));
+    assert.strictEqual(totpLogin.response.status, 302);
+    assert.strictEqual(totpLogin.response.headers.get("location"), "/teacher");
+
+    const recoveryStep = await submitLoginForm("teacher@example.com", "NewPass12345");
+    const recoveryLogin = await submitSecondFactor(recoveryStep.cookies, recoveryCodes[0]);
+    assert.strictEqual(recoveryLogin.response.headers.get("location"), "/teacher");
+
+    const reusedStep = await submitLoginForm("teacher@example.com", "NewPass12345");
+    const reusedLogin = await submitSecondFactor(reusedStep.cookies, recoveryCodes[0]);
+    assert.strictEqual(reusedLogin.response.status, 401);
+
+    // Zwei gleichzeitige Prüfungen desselben Codes: nur eine darf durchkommen.
+    const { enableTotp } = require("./models/twoFactorModel");
+    const { verifySecondFactor } = require("./services/twoFactorService");
+    await enableTotp(teacherRow.id, secret, null);
+    const sharedCode = generateTotp(secret);
+    const parallelResults = await Promise.all([
+      verifySecondFactor(teacherRow.id, sharedCode),
+      verifySecondFactor(teacherRow.id, sharedCode)
+    ]);
+    assert.deepStrictEqual(parallelResults.map((result) => result.ok).sort(), [false, true]);
+  } finally {
+    const adminLogin = await loginAdmin();
+    const detailPage = await fetchWithCookies(`/admin/users/${teacherRow.id}`, {}, adminLogin.cookies);
+    assert.match(detailPage.body, /Zwei-Faktor-Anmeldung zurücksetzen/);
+    const resetResponse = await fetchWithCookies(
+      `/admin/users/${teacherRow.id}/two-factor/reset`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ _csrf: extractCsrfToken(detailPage.body) }).toString(),
+        redirect: "manual"
+      },
+      detailPage.cookies
+    );
+    assert.strictEqual(resetResponse.response.headers.get("location"), `/admin/users/${teacherRow.id}?twoFactorReset=1`);
+  }
+
+  const plainLogin = await submitLoginForm("teacher@example.com", "NewPass12345");
+  assert.strictEqual(plainLogin.response.headers.get("location"), "/teacher");
+});
+
+test("roles with mandatory two-factor login are sent to the setup page until enrolled", async () => {
+  process.env.TWO_FACTOR_REQUIRED_ROLES = "admin";
+  try {
+    let loginResult = await loginAndChangePassword(process.env.ADMIN_EMAIL, "NewPass12345", "NewPass12345");
+    if (loginResult.redirect !== "/account/two-factor") {
+      loginResult = await loginAndChangePassword(process.env.ADMIN_EMAIL, process.env.ADMIN_PASS, "NewPass12345");
+    }
+    assert.strictEqual(loginResult.redirect, "/account/two-factor");
+
+    const dashboard = await fetchWithCookies("/admin", { redirect: "manual" }, loginResult.cookies);
+    assert.strictEqual(dashboard.response.status, 302);
+    assert.strictEqual(dashboard.response.headers.get("location"), "/account/two-factor");
+
+    const setupPage = await fetchWithCookies("/account/two-factor", {}, loginResult.cookies);
+    assert.strictEqual(setupPage.response.status, 200);
+    assert.match(setupPage.body, /Für deine Rolle ist die Zwei-Faktor-Anmeldung verpflichtend\./);
+    assert.doesNotMatch(setupPage.body, /two-factor\/disable/);
+  } finally {
+    process.env.TWO_FACTOR_REQUIRED_ROLES = "";
+  }
+});
+
+test("password reset mails a single-use link and ends existing sessions", async () => {
+  const studentLogin = await loginStudent();
+  clearMemoryOutbox();
+
+  const requestPage = await fetchWithCookies("/password-reset");
+  assert.strictEqual(requestPage.response.status, 200);
+  const unknownRequest = await fetchWithCookies(
+    "/password-reset",
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({ _csrf: extractCsrfToken(requestPage.body), email: "nobody@example.com" }).toString()
+    },
+    requestPage.cookies
+  );
+  assert.strictEqual(unknownRequest.response.status, 200);
+  assert.match(unknownRequest.body, /Falls ein aktives Konto mit dieser E-Mail-Adresse existiert/);
+  assert.strictEqual(getMemoryOutbox().length, 0);
+
+  const studentRequest = await fetchWithCookies(
+    "/password-reset",
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({ _csrf: extractCsrfToken(requestPage.body), email: "Student@Example.com" }).toString()
+    },
+    requestPage.cookies
+  );
+  assert.match(studentRequest.body, /Falls ein aktives Konto mit dieser E-Mail-Adresse existiert/);
+
+  const outbox = await waitForMemoryOutbox(1);
+  assert.strictEqual(outbox.length, 1);
+  assert.strictEqual(outbox[0].to, "student@example.com");
+  const linkMatch = outbox[0].text.match(/https?:\/\/[^\s]+(\/password-reset\/[A-Za-z0-9_-]+)/);
+  assert.ok(linkMatch, "Reset link missing in mail");
+  const resetPath = linkMatch[1];
+
+  const resetPage = await fetchWithCookies(resetPath);
+  assert.strictEqual(resetPage.response.status, 200);
+  assert.match(resetPage.body, /student@example\.com/);
+
+  const weakResponse = await fetchWithCookies(
+    resetPath,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        _csrf: extractCsrfToken(resetPage.body),
+        newPassword: "short",
+        confirmPassword: "short"
+      }).toString()
+    },
+    resetPage.cookies
+  );
+  assert.strictEqual(weakResponse.response.status, 400);
+  assert.match(weakResponse.body, /Passwort muss mindestens/);
+
+  const resetResponse = await fetchWithCookies(
+    resetPath,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        _csrf: extractCsrfToken(weakResponse.body),
+        newPassword: "NewPass12345",
+        confirmPassword: "NewPass12345"
+      }).toString(),
+      redirect: "manual"
+    },
+    weakResponse.cookies
+  );
+  assert.strictEqual(resetResponse.response.status, 302);
+  assert.strictEqual(resetResponse.response.headers.get("location"), "/login?passwordReset=1");
+
+  const staleSession = await fetchWithCookies("/student", { redirect: "manual" }, studentLogin.cookies);
+  assert.strictEqual(staleSession.response.status, 302);
+  assert.strictEqual(staleSession.response.headers.get("location"), "/login");
+
+  const reusedLink = await fetchWithCookies(resetPath);
+  assert.strictEqual(reusedLink.response.status, 410);
+  assert.match(reusedLink.body, /abgelaufen oder wurde bereits verwendet/);
+
+  const freshLogin = await loginStudent();
+  assert.strictEqual(freshLogin.redirect, "/student");
+});
+
+async function followOidcLogin(provider, email, cookies = [], claimOverrides = {}) {
+  provider.setNextLogin(email, claimOverrides);
+  const start = await fetchWithCookies("/auth/oidc/login", { redirect: "manual" }, cookies);
+  assert.strictEqual(start.response.status, 302);
+  const authorizeUrl = new URL(start.response.headers.get("location"));
+  assert.strictEqual(authorizeUrl.origin, provider.issuer);
+  assert.strictEqual(authorizeUrl.searchParams.get("code_challenge_method"), "S256");
+  assert.ok(authorizeUrl.searchParams.get("nonce"));
+
+  const authorizeResponse = await fetch(authorizeUrl, { redirect: "manual" });
+  const callbackUrl = new URL(authorizeResponse.headers.get("location"));
+  return fetchWithCookies(`${callbackUrl.pathname}${callbackUrl.search}`, { redirect: "manual" }, start.cookies);
+}
+
+test("OIDC single sign-on matches users by email and admins can disable local passwords per role", async () => {
+  const provider = createMockOidcProvider();
+  await provider.start();
+  process.env.OIDC_ISSUER = provider.issuer;
+  process.env.OIDC_CLIENT_ID = provider.clientId;
+  process.env.OIDC_CLIENT_SECRET = provider.clientSecret;
+  clearOidcCaches();
+
+  try {
+    const loginPage = await fetchWithCookies("/login");
+    assert.match(loginPage.body, /Mit Microsoft anmelden/);
+
+    const teacherLogin = await followOidcLogin(provider, "Teacher@Example.com");
+    assert.strictEqual(teacherLogin.response.status, 302);
+    assert.strictEqual(teacherLogin.response.headers.get("location"), "/teacher");
+    const teacherDashboard = await fetchWithCookies("/teacher", {}, teacherLogin.cookies);
+    assert.strictEqual(teacherDashboard.response.status, 200);
+
+    const unknownLogin = await followOidcLogin(provider, "unknown@example.com");
+    assert.strictEqual(unknownLogin.response.status, 403);
+    assert.match(unknownLogin.body, /keinen aktiven Zugang/);
+
+    const start = await fetchWithCookies("/auth/oidc/login", { redirect: "manual" });
+    const forgedState = await fetchWithCookies("/auth/oidc/callback?code=abc&state=forged", { redirect: "manual" }, start.cookies);
+    assert.strictEqual(forgedState.response.status, 401);
+
+    const adminLogin = await loginAdmin();
+    const settingsToken = await fetchCsrfToken("/admin/settings/login", adminLogin.cookies);
+    const saveResponse = await fetchWithCookies(
+      "/admin/settings/login",
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ _csrf: settingsToken, local_login_disabled_roles: "student" }).toString(),
+        redirect: "manual"
+      },
+      adminLogin.cookies
+    );
+    assert.strictEqual(saveResponse.response.headers.get("location"), "/admin/settings/login?saved=1");
+
+    const blockedPasswordLogin = await loginAndChangePassword("student@example.com", "NewPass12345", "NewPass12345");
+    assert.strictEqual(blockedPasswordLogin.redirect, null);
+    const studentSso = await followOidcLogin(provider, "student@example.com");
+    assert.strictEqual(studentSso.response.headers.get("location"), "/student");
+
+    const resetToken = await fetchCsrfToken("/admin/settings/login", adminLogin.cookies);
+    await fetchWithCookies(
+      "/admin/settings/login",
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ _csrf: resetToken }).toString(),
+        redirect: "manual"
+      },
+      adminLogin.cookies
+    );
+    const restoredLogin = await loginStudent();
+    assert.strictEqual(restoredLogin.redirect, "/student");
+
+    // Nur das bestätigte email-Claim zählt, unbestätigte Adressen und Benutzernamen nicht.
+    const unverifiedLogin = await followOidcLogin(provider, "teacher@example.com", [], { email_verified: false });
+    assert.strictEqual(unverifiedLogin.response.status, 401);
+    const usernameOnlyLogin = await followOidcLogin(provider, "teacher@example.com", [], {
+      email: undefined,
+      upn: "teacher@example.com"
+    });
+    assert.strictEqual(usernameOnlyLogin.response.status, 401);
+
+    const previousBaseUrl = process.env.APP_BASE_URL;
+    process.env.APP_BASE_URL = "https://noten.example.com/";
+    try {
+      const configuredStart = await fetchWithCookies("/auth/oidc/login", { redirect: "manual" });
+      const configuredUrl = new URL(configuredStart.response.headers.get("location"));
+      assert.strictEqual(configuredUrl.searchParams.get("redirect_uri"), "https://noten.example.com/auth/oidc/callback");
+    } finally {
+      if (previousBaseUrl === undefined) delete process.env.APP_BASE_URL;
+      else process.env.APP_BASE_URL = previousBaseUrl;
+    }
+
+    provider.useForeignSigningKey();
+    const forgedToken = await followOidcLogin(provider, "teacher@example.com");
+    assert.strictEqual(forgedToken.response.status, 401);
+  } finally {
+    delete process.env.OIDC_ISSUER;
+    delete process.env.OIDC_CLIENT_ID;
+    delete process.env.OIDC_CLIENT_SECRET;
+    clearOidcCaches();
+    await provider.stop();
+  }
+});
+
+test("repeated failed logins lock the account until an admin unlocks it", async () => {
+  process.env.ACCOUNT_LOCKOUT_THRESHOLD = "3";
+  try {
+    await loginTeacher();
+    const teacher = await dbGet("SELECT id FROM users WHERE email = ?", ["teacher@example.com"]);
+
+    for (let attempt = 0; attempt < 2; attempt += 1) {
+      const failed = await submitLoginForm("teacher@example.com", "WrongPass999");
+      assert.strictEqual(failed.response.status, 401);
+    }
+    const lockingAttempt = await submitLoginForm("teacher@example.com", "WrongPass999");
+    assert.strictEqual(lockingAttempt.response.status, 423);
+    assert.match(lockingAttempt.body, /Konto vorübergehend gesperrt/);
+
+    const correctWhileLocked = await submitLoginForm("teacher@example.com", "NewPass12345");
+    assert.strictEqual(correctWhileLocked.response.status, 423);
+
+    const lockAudit = await dbAll("SELECT * FROM audit_logs ORDER BY id DESC LIMIT ?", [50]);
+    assert.ok(
+      lockAudit.some((entry) => entry.action_title === "Konto automatisch gesperrt" && entry.target_label === "teacher@example.com")
+    );
+
+    const adminLogin = await loginAdmin();
+    const detailPage = await fetchWithCookies(`/admin/users/${teacher.id}`, {}, adminLogin.cookies);
+    assert.strictEqual(detailPage.response.status, 200);
+    assert.match(detailPage.body, /Anmeldesperre/);
+    assert.match(detailPage.body, /Sperre aufheben/);
+
+    const unlockResponse = await fetchWithCookies(
+      `/admin/users/${teacher.id}/unlock`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ _csrf: extractCsrfToken(detailPage.body) }).toString(),
+        redirect: "manual"
+      },
+      detailPage.cookies
+    );
+    assert.strictEqual(unlockResponse.response.status, 302);
+    assert.strictEqual(unlockResponse.response.headers.get("location"), `/admin/users/${teacher.id}?unlocked=1`);
+
+    const unlockAudit = await dbAll("SELECT * FROM audit_logs ORDER BY id DESC LIMIT ?", [50]);
+    assert.ok(unlockAudit.some((entry) => entry.action_title === "Kontosperre aufgehoben"));
+
+    const teacherLogin = await loginTeacher();
+    assert.strictEqual(teacherLogin.redirect, "/teacher");
+  } finally {
+    delete process.env.ACCOUNT_LOCKOUT_THRESHOLD;
+  }
+});
+
+test("users can sign out other sessions and admins can end or invalidate a user's sessions", async () => {
+  const firstLogin = await loginStudent();
+  const secondLogin = await loginStudent();
+  const student = await dbGet("SELECT id FROM users WHERE email = ?", ["student@example.com"]);
+
+  const sessionsPage = await fetchWithCookies("/account/sessions", {}, firstLogin.cookies);
+  assert.strictEqual(sessionsPage.response.status, 200);
+  assert.match(sessionsPage.body, /Diese Sitzung/);
+  assert.match(sessionsPage.body, /Alle anderen Sitzungen abmelden \(\d+\)/);
+
+  const revokeOthers = await fetchWithCookies(
+    "/account/sessions/revoke-others",
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({ _csrf: extractCsrfToken(sessionsPage.body) }).toString(),
+      redirect: "manual"
+    },
+    sessionsPage.cookies
+  );
+  assert.strictEqual(revokeOthers.response.status, 302);
+  assert.strictEqual(revokeOthers.response.headers.get("location"), "/account/sessions?othersRevoked=1");
+
+  const revokedSession = await fetchWithCookies("/student", { redirect: "manual" }, secondLogin.cookies);
+  assert.strictEqual(revokedSession.response.status, 302);
+  assert.strictEqual(revokedSession.response.headers.get("location"), "/login");
+  const survivingSession = await fetchWithCookies("/student", { redirect: "manual" }, firstLogin.cookies);
+  assert.strictEqual(survivingSession.response.status, 200);
+
+  const adminLogin = await loginAdmin();
+  const detailPage = await fetchWithCookies(`/admin/users/${student.id}`, {}, adminLogin.cookies);
+  assert.match(detailPage.body, /Aktive Sitzungen/);
+  assert.match(detailPage.body, /Alle Sitzungen beenden/);
+
+  const endAll = await fetchWithCookies(
+    `/admin/users/${student.id}/sessions/revoke`,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({ _csrf: extractCsrfToken(detailPage.body) }).toString(),
+      redirect: "manual"
+    },
+    detailPage.cookies
+  );
+  assert.strictEqual(endAll.response.status, 302);
+  const endedSession = await fetchWithCookies("/student", { redirect: "manual" }, firstLogin.cookies);
+  assert.strictEqual(endedSession.response.headers.get("location"), "/login");
+
+  const lockedLogin = await loginStudent();
+  const updateUser = async (status, cookies) => {
+    const csrfToken = await fetchCsrfToken(`/admin/users/${student.id}/edit`, cookies);
+    return fetchWithCookies(
+      `/admin/users/${student.id}`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ _csrf: csrfToken, email: "student@example.com", role: "student", status }).toString(),
+        redirect: "manual"
+      },
+      cookies
+    );
+  };
+  const lockResponse = await updateUser("locked", endAll.cookies);
+  assert.strictEqual(lockResponse.response.status, 302);
+  const lockedSession = await fetchWithCookies("/student", { redirect: "manual" }, lockedLogin.cookies);
+  assert.strictEqual(lockedSession.response.headers.get("location"), "/login");
+
+  const restoreResponse = await updateUser("active", lockResponse.cookies);
+  assert.strictEqual(restoreResponse.response.status, 302);
+});
+
+test("custom roles grant permission sets and admins can assign them", async () => {
+  const staffUser = await dbRun(
+    "INSERT INTO users (email, password_hash, role, status, must_change_password) VALUES (?,?,?,?,?)",
+    ["sekretariat@example.com", hashPassword("StaffPass123!"), "admin", "active", 0]
   );
-  assert.strictEqual(secondUpdateResponse.response.status, 302);
+  const adminLogin = await loginAdmin();
+  const rolesPage = await fetchWithCookies("/admin/settings/roles", {}, adminLogin.cookies);
+  assert.strictEqual(rolesPage.response.status, 200);
+  assert.match(rolesPage.body, /Sekretariat/);
+  assert.match(rolesPage.body, /Direktion/);
+
+  const assignRole = async (roleKey, cookies) => {
+    const csrfToken = await fetchCsrfToken(`/admin/users/${staffUser.lastID}/edit`, cookies);
+    return fetchWithCookies(
+      `/admin/users/${staffUser.lastID}`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({
+          _csrf: csrfToken,
+          email: "sekretariat@example.com",
+          role: roleKey,
+          status: "active"
+        }).toString(),
+        redirect: "manual"
+      },
+      cookies
+    );
+  };
 
-  const thirdToken = await fetchCsrfToken("/admin/classes/1/edit", loginResult.cookies);
-  const thirdUpdate = new URLSearchParams({
-    _csrf: thirdToken,
-    name: "3AHWII",
-    subject: "Informatik Live",
-    teacher_id: "2"
+  const sekretariatAssigned = await assignRole("sekretariat", rolesPage.cookies);
+  assert.strictEqual(sekretariatAssigned.response.status, 302);
+  const assignedUser = await dbGet("SELECT id, email, role, role_key, status, must_change_password FROM users WHERE id = ?", [
+    staffUser.lastID
+  ]);
+  assert.strictEqual(assignedUser.role, "admin");
+  assert.strictEqual(assignedUser.role_key, "sekretariat");
+
+  const sekretariatLogin = await loginAndChangePassword("sekretariat@example.com", "StaffPass123!", "StaffPass123!");
+  assert.strictEqual(sekretariatLogin.redirect, "/admin");
+  const usersPage = await fetchWithCookies("/admin/users/new", {}, sekretariatLogin.cookies);
+  assert.strictEqual(usersPage.response.status, 200);
+  assert.strictEqual((await fetchWithCookies("/archive", {}, sekretariatLogin.cookies)).response.status, 200);
+  assert.strictEqual((await fetchWithCookies("/archive/purge", {}, sekretariatLogin.cookies)).response.status, 403);
+  assert.strictEqual((await fetchWithCookies("/admin/rollover", {}, sekretariatLogin.cookies)).response.status, 403);
+  assert.strictEqual((await fetchWithCookies("/admin/settings/roles", {}, sekretariatLogin.cookies)).response.status, 403);
+  assert.strictEqual((await fetchWithCookies("/teacher", {}, sekretariatLogin.cookies)).response.status, 403);
+
+  // Das Sekretariat darf weder Admin-Rollen vergeben noch Admin-Konten übernehmen.
+  const selfPromotion = await assignRole("admin", sekretariatLogin.cookies);
+  assert.strictEqual(selfPromotion.response.status, 403);
+  assert.strictEqual((await dbGet("SELECT id, email, role, role_key, status, must_change_password FROM users WHERE id = ?", [
+    staffUser.lastID
+  ])).role_key, "sekretariat");
+  const staffPost = async (path, fields) =>
+    fetchWithCookies(
+      path,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ _csrf: extractCsrfToken(usersPage.body), ...fields }).toString(),
+        redirect: "manual"
+      },
+      usersPage.cookies
+    );
+  const createdAdmin = await staffPost("/admin/users", {
+    email: "neuer.admin@example.com",
+    role: "admin",
+    password: "StaffPass123!"
   });
+  assert.strictEqual(createdAdmin.response.status, 403);
+  const bulkAdmins = await staffPost("/admin/users/bulk", {
+    bulkEmails: "bulk.admin@example.com",
+    bulkRole: "admin",
+    bulkPassword: "StaffPass123!"
+  });
+  assert.strictEqual(bulkAdmins.response.status, 403);
+  const createdStudent = await staffPost("/admin/users", {
+    email: `sekretariat.schueler.${Date.now()}@example.com`,
+    role: "student",
+    password: "StaffPass123!"
+  });
+  assert.strictEqual(createdStudent.response.status, 302);
+  const adminUser = await dbGet("SELECT id FROM users WHERE email = ?", [process.env.ADMIN_EMAIL]);
+  const adminPasswordReset = await staffPost(`/admin/users/${adminUser.id}/reset`, { password: "Takeover12345!" });
+  assert.strictEqual(adminPasswordReset.response.status, 403);
+  const adminTwoFactorReset = await staffPost(`/admin/users/${adminUser.id}/two-factor/reset`, {});
+  assert.strictEqual(adminTwoFactorReset.response.status, 403);
+  const adminDelete = await staffPost(`/admin/users/${adminUser.id}/delete`, {});
+  assert.strictEqual(adminDelete.response.status, 403);
+  assert.strictEqual((await dbGet("SELECT id, email, role, status FROM users WHERE id = ?", [adminUser.id])).status, "active");
+  const adminSessionsRevoke = await staffPost(`/admin/users/${adminUser.id}/sessions/revoke`, {});
+  assert.strictEqual(adminSessionsRevoke.response.status, 403);
+  const adminUnlock = await staffPost(`/admin/users/${adminUser.id}/unlock`, {});
+  assert.strictEqual(adminUnlock.response.status, 403);
+
+  const direktionAssigned = await assignRole("direktion", sekretariatAssigned.cookies);
+  assert.strictEqual(direktionAssigned.response.status, 302);
+  const revokedSession = await fetchWithCookies("/admin", { redirect: "manual" }, sekretariatLogin.cookies);
+  assert.strictEqual(revokedSession.response.headers.get("location"), "/login");
+
+  const direktionLogin = await loginAndChangePassword("sekretariat@example.com", "StaffPass123!", "StaffPass123!");
+  assert.strictEqual(direktionLogin.redirect, "/admin");
+  assert.strictEqual((await fetchWithCookies("/admin/users", {}, direktionLogin.cookies)).response.status, 200);
+  assert.strictEqual((await fetchWithCookies("/admin/audit-logs", {}, direktionLogin.cookies)).response.status, 200);
+  assert.strictEqual((await fetchWithCookies("/admin/users/new", {}, direktionLogin.cookies)).response.status, 403);
+  assert.strictEqual((await fetchWithCookies("/admin/classes/new", {}, direktionLogin.cookies)).response.status, 403);
+
+  const createRole = await fetchWithCookies(
+    "/admin/settings/roles",
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams([
+        ["_csrf", extractCsrfToken(rolesPage.body)],
+        ["key", "bibliothek"],
+        ["label", "Bibliothek"],
+        ["base_role", "admin"],
+        ["permissions", "admin.access"],
+        ["permissions", "archive.view"],
+        ["permissions", "unknown.permission"]
+      ]).toString(),
+      redirect: "manual"
+    },
+    direktionAssigned.cookies
+  );
+  assert.strictEqual(createRole.response.status, 302);
+  const bibliothekPermissions = await dbAll("SELECT permission FROM role_permissions WHERE role_key = ?", ["bibliothek"]);
+  assert.deepStrictEqual(bibliothekPermissions.map((entry) => entry.permission).sort(), ["admin.access", "archive.view"]);
 
-  const thirdUpdateResponse = await fetchWithCookies(
-    "/admin/classes/1",
+  const deleteAdminRole = await fetchWithCookies(
+    "/admin/settings/roles/admin/delete",
     {
       method: "POST",
       headers: { "Content-Type": "application/x-www-form-urlencoded" },
-      body: thirdUpdate.toString(),
+      body: new URLSearchParams({ _csrf: extractCsrfToken(rolesPage.body) }).toString(),
       redirect: "manual"
     },
-    loginResult.cookies
+    createRole.cookies
   );
-  assert.strictEqual(thirdUpdateResponse.response.status, 302);
+  assert.strictEqual(deleteAdminRole.response.status, 400);
 
-  const liveResponse = await fetchWithCookies(
-    `/admin/audit-logs/data?afterId=${newestId}`,
-    { headers: { Accept: "application/json" } },
-    loginResult.cookies
+  const teacherLogin = await loginTeacher();
+  assert.strictEqual((await fetchWithCookies("/admin", {}, teacherLogin.cookies)).response.status, 403);
+});
+
+test("guardians see linked students read-only after an admin import", async () => {
+  const adminLogin = await loginAdmin();
+  const importPage = await fetchWithCookies("/admin/guardians/import", {}, adminLogin.cookies);
+  assert.strictEqual(importPage.response.status, 200);
+
+  const importResponse = await fetchWithCookies(
+    "/admin/guardians/import",
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        _csrf: extractCsrfToken(importPage.body),
+        lines: "E-Mail Eltern;E-Mail Schüler\nparent@example.com;student@example.com\nparent@example.com;unknown@example.com",
+        send_invites: "on"
+      }).toString()
+    },
+    importPage.cookies
   );
-  assert.strictEqual(liveResponse.response.status, 200);
+  assert.strictEqual(importResponse.response.status, 200);
+  assert.match(importResponse.body, /parent@example\.com<\/strong> - /);
+  assert.match(importResponse.body, /Kein Schüler mit dieser E-Mail-Adresse gefunden\./);
+  assert.ok(getMemoryOutbox().some((mail) => mail.to === "parent@example.com"));
+
+  const guardian = await dbGet("SELECT id, email, role, status FROM users WHERE LOWER(email) = LOWER(?)", ["parent@example.com"]);
+  assert.strictEqual(guardian.role, "guardian");
+  await dbRun("UPDATE users SET password_hash = ?, must_change_password = ? WHERE id = ?", [
+    hashPassword("GuardianPass123!"),
+    0,
+    guardian.id
+  ]);
+  const student = await dbGet("SELECT id, name, email FROM students WHERE LOWER(email) = LOWER(?) ORDER BY id DESC LIMIT 1", [
+    "student@example.com"
+  ]);
 
-  const liveData = JSON.parse(liveResponse.body);
-  assert.ok(Array.isArray(liveData.logs));
-  assert.ok(liveData.logs.length >= 2, "Expected multiple appended audit entries");
-  assert.ok(Number(liveData.logs[0].id) > Number(liveData.logs[1].id), "Expected newest logs first");
-  assert.ok(Number(liveData.totalCount) >= baselineData.logs.length + liveData.logs.length);
+  const detailsPage = await fetchWithCookies(`/admin/users/${guardian.id}`, {}, importResponse.cookies);
+  assert.strictEqual(detailsPage.response.status, 200);
+  assert.match(detailsPage.body, /Verknüpfte Schüler/);
+  assert.match(detailsPage.body, /student@example\.com/);
+
+  const guardianLogin = await loginAndChangePassword("parent@example.com", "GuardianPass123!", "GuardianPass123!");
+  assert.strictEqual(guardianLogin.redirect, "/guardian");
+  const home = await fetchWithCookies("/guardian", { redirect: "manual" }, guardianLogin.cookies);
+  assert.strictEqual(home.response.headers.get("location"), `/guardian/students/${student.id}`);
+
+  const basePath = `/guardian/students/${student.id}`;
+  const dashboard = await fetchWithCookies(basePath, {}, guardianLogin.cookies);
+  assert.strictEqual(dashboard.response.status, 200);
+  assert.match(dashboard.body, /Nur-Lese-Zugang/);
+  const csvExport = await fetchWithCookies(`${basePath}/grades.csv`, {}, guardianLogin.cookies);
+  assert.strictEqual(csvExport.response.status, 200);
+  assert.match(csvExport.response.headers.get("content-type") || "", /text\/csv/);
+
+  const markRead = await fetchWithCookies(
+    `${basePath}/notifications/1/read`,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({ _csrf: extractCsrfToken(dashboard.body) }).toString()
+    },
+    dashboard.cookies
+  );
+  assert.strictEqual(markRead.response.status, 403);
+  assert.strictEqual((await fetchWithCookies("/student", {}, guardianLogin.cookies)).response.status, 403);
+
+  const unlink = await fetchWithCookies(
+    `/admin/users/${guardian.id}/guardian-links/${student.id}/delete`,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({ _csrf: extractCsrfToken(detailsPage.body) }).toString(),
+      redirect: "manual"
+    },
+    detailsPage.cookies
+  );
+  assert.strictEqual(unlink.response.headers.get("location"), `/admin/users/${guardian.id}?guardianUnlinked=1`);
+  assert.strictEqual((await fetchWithCookies(basePath, {}, guardianLogin.cookies)).response.status, 404);
+});
+
+test("admins can view the app as another user with a read-only default and a full audit trail", async () => {
+  const teacher = await dbGet("SELECT id FROM users WHERE email = ?", ["teacher@example.com"]);
+  const adminLogin = await loginAdmin();
+  const detailsPage = await fetchWithCookies(`/admin/users/${teacher.id}`, {}, adminLogin.cookies);
+  assert.match(detailsPage.body, /Als Nutzer ansehen/);
+
+  const startImpersonation = async (cookies, csrfToken, extra = {}) =>
+    fetchWithCookies(
+      `/admin/users/${teacher.id}/impersonate`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ _csrf: csrfToken, ...extra }).toString(),
+        redirect: "manual"
+      },
+      cookies
+    );
+
+  const started = await startImpersonation(detailsPage.cookies, extractCsrfToken(detailsPage.body));
+  assert.strictEqual(started.response.headers.get("location"), "/teacher");
+
+  const teacherHome = await fetchWithCookies("/teacher", {}, started.cookies);
+  assert.strictEqual(teacherHome.response.status, 200);
+  assert.match(teacherHome.body, /Ansicht als teacher@example\.com/);
+  assert.match(teacherHome.body, /Nur Lesen/);
+  assert.strictEqual((await fetchWithCookies("/admin", {}, started.cookies)).response.status, 403);
+
+  const blockedWrite = await fetchWithCookies(
+    "/teacher/settings/save-profile",
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({ _csrf: extractCsrfToken(teacherHome.body) }).toString(),
+      redirect: "manual"
+    },
+    teacherHome.cookies
+  );
+  assert.strictEqual(blockedWrite.response.status, 403);
+
+  const impersonatedLogs = (await dbAll("SELECT * FROM audit_logs ORDER BY id DESC")).filter(
+    (entry) => entry.impersonator_email === process.env.ADMIN_EMAIL
+  );
+  assert.ok(impersonatedLogs.some((entry) => entry.http_method === "GET" && entry.route_path === "/teacher"));
   assert.ok(
-    liveData.logs.every((entry) => entry.route_path === "/admin/classes/1"),
-    "Expected class update audit entries"
+    impersonatedLogs.some(
+      (entry) => entry.route_path === "/teacher/settings/save-profile" && Number(entry.status_code) === 403
+    )
+  );
+  assert.ok(impersonatedLogs.every((entry) => entry.actor_email === "teacher@example.com"));
+
+  const stopped = await fetchWithCookies(
+    "/impersonation/stop",
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({ _csrf: extractCsrfToken(teacherHome.body) }).toString(),
+      redirect: "manual"
+    },
+    teacherHome.cookies
+  );
+  assert.strictEqual(stopped.response.headers.get("location"), `/admin/users/${teacher.id}?impersonationEnded=1`);
+  const backInAdmin = await fetchWithCookies(`/admin/users/${teacher.id}`, {}, stopped.cookies);
+  assert.strictEqual(backInAdmin.response.status, 200);
+  assert.doesNotMatch(backInAdmin.body, /impersonation-banner/);
+
+  const writable = await startImpersonation(backInAdmin.cookies, extractCsrfToken(backInAdmin.body), { allow_writes: "1" });
+  const writableHome = await fetchWithCookies("/teacher", {}, writable.cookies);
+  assert.match(writableHome.body, /Änderungen erlaubt/);
+  const allowedWrite = await fetchWithCookies(
+    "/teacher/settings/save-profile",
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({ _csrf: extractCsrfToken(writableHome.body) }).toString(),
+      redirect: "manual"
+    },
+    writableHome.cookies
+  );
+  assert.notStrictEqual(allowedWrite.response.status, 403);
+  const blockedPassword = await fetchWithCookies(
+    "/account/password",
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        _csrf: extractCsrfToken(writableHome.body),
+        current_password: "NewPass12345",
+        new_password: "Hijacked12345!",
+        confirm_password: "Hijacked12345!"
+      }).toString(),
+      redirect: "manual"
+    },
+    writableHome.cookies
   );
+  assert.strictEqual(blockedPassword.response.status, 403);
+  assert.match(blockedPassword.body, /Passwort, Zwei-Faktor-Anmeldung und Sitzungen nicht geändert werden/);
+
+  // Die Ansicht gehört zur Admin-Sitzung: Sitzungen des Lehrers beenden lässt sie bestehen.
+  const secondAdmin = await loginAdmin();
+  const teacherAdminPage = await fetchWithCookies(`/admin/users/${teacher.id}`, {}, secondAdmin.cookies);
+  const revokedTeacherSessions = await fetchWithCookies(
+    `/admin/users/${teacher.id}/sessions/revoke`,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({ _csrf: extractCsrfToken(teacherAdminPage.body) }).toString(),
+      redirect: "manual"
+    },
+    teacherAdminPage.cookies
+  );
+  assert.strictEqual(revokedTeacherSessions.response.status, 302);
+  const stillImpersonating = await fetchWithCookies("/teacher", {}, writableHome.cookies);
+  assert.strictEqual(stillImpersonating.response.status, 200);
+  assert.match(stillImpersonating.body, /Ansicht als teacher@example\.com/);
+
+  process.env.IMPERSONATION_TTL_MINUTES = "0.0001";
+  try {
+    const stopAgain = await fetchWithCookies(
+      "/impersonation/stop",
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ _csrf: extractCsrfToken(writableHome.body) }).toString(),
+        redirect: "manual"
+      },
+      writableHome.cookies
+    );
+    const adminAgain = await fetchWithCookies(`/admin/users/${teacher.id}`, {}, stopAgain.cookies);
+    const shortLived = await startImpersonation(adminAgain.cookies, extractCsrfToken(adminAgain.body));
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    const expired = await fetchWithCookies("/teacher", { redirect: "manual" }, shortLived.cookies);
+    assert.strictEqual(expired.response.headers.get("location"), `/admin/users/${teacher.id}?impersonationEnded=1`);
+    assert.strictEqual((await fetchWithCookies("/admin", {}, expired.cookies)).response.status, 200);
+  } finally {
+    delete process.env.IMPERSONATION_TTL_MINUTES;
+  }
+
+  const teacherLogin = await loginTeacher();
+  const teacherDetails = await fetchWithCookies(`/admin/users/${teacher.id}`, {}, teacherLogin.cookies);
+  assert.strictEqual(teacherDetails.response.status, 403);
+});
+
+test("every role has an account page with password change and notification preferences", async () => {
+  const studentLogin = await loginStudent();
+  const accountPage = await fetchWithCookies("/account", {}, studentLogin.cookies);
+  assert.strictEqual(accountPage.response.status, 200);
+  assert.match(accountPage.body, /student@example\.com/);
+  assert.match(accountPage.body, /Letzte Anmeldung/);
+  assert.doesNotMatch(accountPage.body, /Noch keine Anmeldung erfasst/);
+  assert.match(accountPage.body, /E-Mail bei neuen Noten/);
+  assert.doesNotMatch(accountPage.body, /Schülerfragen/);
+
+  const changePassword = (cookies, csrfToken, fields) =>
+    fetchWithCookies(
+      "/account/password",
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ _csrf: csrfToken, ...fields }).toString(),
+        redirect: "manual"
+      },
+      cookies
+    );
+  const csrfToken = extractCsrfToken(accountPage.body);
+
+  const wrongCurrent = await changePassword(accountPage.cookies, csrfToken, {
+    current_password: "WrongPass123",
+    new_password: "AnotherPass123",
+    confirm_password: "AnotherPass123"
+  });
+  assert.strictEqual(wrongCurrent.response.status, 400);
+  assert.match(wrongCurrent.body, /aktuelle Passwort ist nicht korrekt/);
+
+  const tooShort = await changePassword(accountPage.cookies, csrfToken, {
+    current_password: "NewPass12345",
+    new_password: "short1",
+    confirm_password: "short1"
+  });
+  assert.strictEqual(tooShort.response.status, 400);
+  assert.match(tooShort.body, /mindestens/);
+
+  const otherLogin = await loginStudent();
+  const changed = await changePassword(accountPage.cookies, csrfToken, {
+    current_password: "NewPass12345",
+    new_password: "AnotherPass123",
+    confirm_password: "AnotherPass123"
+  });
+  assert.strictEqual(changed.response.headers.get("location"), "/account?passwordChanged=1");
+  const otherSession = await fetchWithCookies("/student", { redirect: "manual" }, otherLogin.cookies);
+  assert.strictEqual(otherSession.response.headers.get("location"), "/login");
+
+  const relogin = await loginAndChangePassword("student@example.com", "AnotherPass123", "AnotherPass123");
+  assert.strictEqual(relogin.redirect, "/student");
+  const restorePage = await fetchWithCookies("/account", {}, relogin.cookies);
+  const restored = await changePassword(restorePage.cookies, extractCsrfToken(restorePage.body), {
+    current_password: "AnotherPass123",
+    new_password: "NewPass12345",
+    confirm_password: "NewPass12345"
+  });
+  assert.strictEqual(restored.response.status, 302);
+
+  const savePreferences = await fetchWithCookies(
+    "/account/notifications",
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams([
+        ["_csrf", extractCsrfToken(restorePage.body)],
+        ["preferences", "grade_email"],
+        ["preferences", "question_email"]
+      ]).toString(),
+      redirect: "manual"
+    },
+    restored.cookies
+  );
+  assert.strictEqual(savePreferences.response.headers.get("location"), "/account?preferencesSaved=1");
+  const savedPage = await fetchWithCookies("/account", {}, savePreferences.cookies);
+  assert.match(savedPage.body, /value="grade_email" checked/);
+  assert.match(savedPage.body, /value="reply_email" >/);
+
+  const student = await dbGet("SELECT id, name, email FROM students WHERE LOWER(email) = LOWER(?) ORDER BY id DESC LIMIT 1", [
+    "student@example.com"
+  ]);
+  clearMemoryOutbox();
+  await notifyStudent(student.id, "Neue Note eingetragen.", "grade");
+  await notifyStudent(student.id, "Lehrkraft hat auf deine Rückgabe-Nachricht geantwortet.", "info");
+  const outbox = getMemoryOutbox();
+  assert.strictEqual(outbox.length, 1);
+  assert.strictEqual(outbox[0].to, "student@example.com");
+
+  const teacherLogin = await loginTeacher();
+  const teacherAccount = await fetchWithCookies("/account", {}, teacherLogin.cookies);
+  assert.strictEqual(teacherAccount.response.status, 200);
+  assert.match(teacherAccount.body, /Schülerfragen/);
+  const adminLogin = await loginAdmin();
+  const adminAccount = await fetchWithCookies("/account", {}, adminLogin.cookies);
+  assert.match(adminAccount.body, /keine E-Mail-Benachrichtigungen/);
+});
+
+test("wrong current passwords on the account page are throttled like failed logins", async () => {
+  const email = `password.throttle.${Date.now()}@example.com`;
+  await dbRun(
+    "INSERT INTO users (email, password_hash, role, status, must_change_password) VALUES (?,?,?,?,?)",
+    [email, hashPassword("Throttle12345!"), "teacher", "active", 0]
+  );
+  const login = await submitLoginForm(email, "Throttle12345!");
+  assert.strictEqual(login.response.status, 302);
+  const accountPage = await fetchWithCookies("/account", {}, login.cookies);
+  const changePassword = (currentPassword) =>
+    fetchWithCookies(
+      "/account/password",
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({
+          _csrf: extractCsrfToken(accountPage.body),
+          current_password: currentPassword,
+          new_password: "Changed12345!",
+          confirm_password: "Changed12345!"
+        }).toString(),
+        redirect: "manual"
+      },
+      accountPage.cookies
+    );
+
+  const { rateMax } = require("./services/loginThrottleService").getThrottleConfig();
+  for (let attempt = 0; attempt < rateMax; attempt += 1) {
+    const wrong = await changePassword(`Guess${attempt}12345!`);
+    assert.strictEqual(wrong.response.status, 400);
+  }
+  const limited = await changePassword("Throttle12345!");
+  assert.strictEqual(limited.response.status, 429);
+  assert.match(limited.body, /Zu viele Versuche/);
+  const user = await dbGet("SELECT id FROM users WHERE email = ?", [email]);
+  const lockState = await dbGet(
+    "SELECT id, email, role, failed_login_count, last_failed_login_at, locked_until FROM users WHERE id = ?",
+    [user.id]
+  );
+  assert.strictEqual(Number(lockState?.failed_login_count), rateMax);
+});
+
+test("admins configure semesters and teachers and students switch between term averages", async () => {
+  const classRow = await dbGet(
+    "SELECT id, name, subject, subject_id, school_year_id, created_at FROM classes WHERE id = ?",
+    [1]
+  );
+  const schoolYear = await dbGet(
+    "SELECT id, name, start_date, end_date, is_active FROM school_years WHERE id = ?",
+    [classRow.school_year_id]
+  );
+  assert.ok(schoolYear?.id, "School year of class missing");
+
+  const adminLogin = await loginAdmin();
+  const termsPage = await fetchWithCookies(`/admin/terms?schoolYearId=${schoolYear.id}`, {}, adminLogin.cookies);
+  assert.strictEqual(termsPage.response.status, 200);
+  assert.match(termsPage.body, /Standard-Semester anlegen/);
+  const csrfToken = extractCsrfToken(termsPage.body);
+  const postForm = (path, fields) =>
+    fetchWithCookies(
+      path,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ _csrf: csrfToken, ...fields }).toString(),
+        redirect: "manual"
+      },
+      termsPage.cookies
+    );
+
+  const defaults = await postForm("/admin/terms/defaults", { school_year_id: String(schoolYear.id) });
+  assert.strictEqual(defaults.response.headers.get("location"), `/admin/terms?schoolYearId=${schoolYear.id}&defaults=1`);
+  const terms = await dbAll(
+    "SELECT id, school_year_id, name, start_date, end_date FROM school_terms WHERE school_year_id = ? ORDER BY start_date ASC, id ASC",
+    [schoolYear.id]
+  );
+  assert.deepStrictEqual(terms.map((term) => term.name), ["1. Semester", "2. Semester"]);
+  assert.strictEqual(new Date(`${terms[0].end_date}T00:00:00Z`).getUTCDay(), 5);
+  assert.strictEqual(terms[0].start_date, String(schoolYear.start_date).slice(0, 10));
+
+  const overlapping = await postForm("/admin/terms", {
+    school_year_id: String(schoolYear.id),
+    name: "Zusatz",
+    start_date: terms[1].start_date,
+    end_date: terms[1].start_date
+  });
+  assert.strictEqual(overlapping.response.status, 400);
+  assert.match(overlapping.body, /überschneidet sich/);
+
+  const teacherLogin = await loginTeacher();
+  const gradebook = await fetchWithCookies(`/teacher/grades/1?term=${terms[1].id}`, {}, teacherLogin.cookies);
+  assert.strictEqual(gradebook.response.status, 200);
+  assert.match(gradebook.body, new RegExp(`<option value="${terms[1].id}" selected>2\\. Semester</option>`));
+  assert.match(gradebook.body, /Schnitt 2\. Semester/);
+  assert.match(gradebook.body, /Kumuliert/);
+  const statistics = await fetchWithCookies(`/teacher/class-statistics/1?term=${terms[0].id}`, {}, teacherLogin.cookies);
+  assert.strictEqual(statistics.response.status, 200);
+  assert.match(statistics.body, /Kumuliert bis 1\. Semester/);
+
+  const studentLogin = await loginStudent();
+  const studentGrades = await fetchWithCookies(`/student/grades?term=${terms[0].id}`, {}, studentLogin.cookies);
+  assert.strictEqual(studentGrades.response.status, 200);
+  assert.match(studentGrades.body, /id="filter-term"/);
+  assert.match(studentGrades.body, new RegExp(`<option value="${terms[0].id}" selected>1\\. Semester</option>`));
+
+  for (const term of terms) {
+    const deleted = await postForm(`/admin/terms/${term.id}/delete`, { school_year_id: String(schoolYear.id) });
+    assert.strictEqual(deleted.response.status, 302);
+  }
+  const remaining = await dbAll(
+    "SELECT id, school_year_id, name, start_date, end_date FROM school_terms WHERE school_year_id = ? ORDER BY start_date ASC, id ASC",
+    [schoolYear.id]
+  );
+  assert.strictEqual(remaining.length, 0);
+});
+
+test("teachers propose final grades and the head teacher signs them off", async () => {
+  const teacherRow = await dbGet("SELECT id FROM users WHERE email = ?", ["teacher@example.com"]);
+  const classRow = await dbGet("SELECT id, name, school_year_id, head_teacher_id FROM classes WHERE id = ?", [1]);
+  if (Number(classRow.head_teacher_id) !== Number(teacherRow.id)) {
+    const fullClass = await dbGet(
+      "SELECT id, name, subject, subject_id, school_year_id, created_at FROM classes WHERE id = ?",
+      [1]
+    );
+    await dbRun("UPDATE classes SET name = ?, subject = ?, subject_id = ?, head_teacher_id = ? WHERE id = ?", [
+      fullClass.name,
+      fullClass.subject,
+      fullClass.subject_id,
+      teacherRow.id,
+      1
+    ]);
+  }
+
+  const teacherLogin = await loginTeacher();
+  const proposalPage = await fetchWithCookies("/teacher/final-grades/1", {}, teacherLogin.cookies);
+  assert.strictEqual(proposalPage.response.status, 200);
+  assert.match(proposalPage.body, /Zeugnisnoten vorschlagen/);
+  const selectMatch = proposalPage.body.match(/name="final_grade\[s_(\d+)\]"[\s\S]*?<\/select>/);
+  assert.ok(selectMatch, "Proposal form missing");
+  const studentId = selectMatch[1];
+  const suggested = (selectMatch[0].match(/value="(\d)" selected/) || [])[1] || null;
+  const overrideGrade = suggested === "5" ? "4" : "5";
+  const csrfToken = extractCsrfToken(proposalPage.body);
+  const postForm = (path, fields) =>
+    fetchWithCookies(
+      path,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ _csrf: csrfToken, ...fields }).toString(),
+        redirect: "manual"
+      },
+      proposalPage.cookies
+    );
+
+  const missingReason = await postForm("/teacher/final-grades/1", {
+    [`final_grade[s_${studentId}]`]: overrideGrade
+  });
+  assert.strictEqual(missingReason.response.status, 400);
+  assert.match(missingReason.body, /begründen/);
+
+  const saved = await postForm("/teacher/final-grades/1", {
+    [`final_grade[s_${studentId}]`]: overrideGrade,
+    [`justification[s_${studentId}]`]: "Mündliche Leistung deutlich schwächer"
+  });
+  assert.strictEqual(saved.response.status, 302);
+  assert.strictEqual(saved.response.headers.get("location"), "/teacher/final-grades/1?saved=1");
+
+  const classes = await fetchWithCookies("/teacher/classes", {}, teacherLogin.cookies);
+  assert.match(classes.body, /\/teacher\/final-grades-review\/1/);
+  const review = await fetchWithCookies("/teacher/final-grades-review/1", {}, teacherLogin.cookies);
+  assert.strictEqual(review.response.status, 200);
+  assert.match(review.body, /Mündliche Leistung deutlich schwächer/);
+  const finalGradeId = (review.body.match(/final-grades-review\/1\/(\d+)\/sign-off/) || [])[1];
+  assert.ok(finalGradeId, "Sign-off action missing");
+
+  const signed = await postForm(`/teacher/final-grades-review/1/${finalGradeId}/sign-off`, {});
+  assert.strictEqual(signed.response.status, 302);
+  const lockedPage = await fetchWithCookies("/teacher/final-grades/1", {}, teacherLogin.cookies);
+  assert.match(lockedPage.body, new RegExp(`name="final_grade\\[s_${studentId}\\]"[^>]*disabled`));
+  const lockedEdit = await postForm("/teacher/final-grades/1", {
+    [`final_grade[s_${studentId}]`]: "1",
+    [`justification[s_${studentId}]`]: "Nachträglich"
+  });
+  assert.strictEqual(lockedEdit.response.status, 409);
+
+  const returnedSigned = await postForm(`/teacher/final-grades-review/1/${finalGradeId}/return`, {
+    review_note: "Bitte Begründung ergänzen"
+  });
+  assert.strictEqual(returnedSigned.response.status, 409);
+  const missingNote = await postForm(`/teacher/final-grades-review/1/${finalGradeId}/unlock`, {});
+  assert.strictEqual(missingNote.response.status, 400);
+  const returned = await postForm(`/teacher/final-grades-review/1/${finalGradeId}/unlock`, {
+    review_note: "Bitte Begründung ergänzen"
+  });
+  assert.strictEqual(returned.response.status, 302);
+  const unlockedAgain = await postForm(`/teacher/final-grades-review/1/${finalGradeId}/unlock`, {
+    review_note: "Noch einmal"
+  });
+  assert.strictEqual(unlockedAgain.response.status, 409);
+  const reopened = await fetchWithCookies("/teacher/final-grades/1", {}, teacherLogin.cookies);
+  assert.match(reopened.body, /Zurückgegeben/);
+  assert.match(reopened.body, /Bitte Begründung ergänzen/);
+
+  const resubmitted = await postForm("/teacher/final-grades/1", {
+    [`final_grade[s_${studentId}]`]: overrideGrade,
+    [`justification[s_${studentId}]`]: "Mündliche Leistung deutlich schwächer, siehe Protokoll"
+  });
+  assert.strictEqual(resubmitted.response.status, 302);
+  const returnedProposal = await postForm(`/teacher/final-grades-review/1/${finalGradeId}/return`, {
+    review_note: "Bitte Protokoll beilegen"
+  });
+  assert.strictEqual(returnedProposal.response.status, 302);
+
+  const auditRows = await dbAll("SELECT * FROM audit_logs ORDER BY id DESC LIMIT ?", [20]);
+  assert.ok(auditRows.some((entry) => entry.action_title === "Zeugnisnote freigegeben"));
+  assert.ok(auditRows.some((entry) => entry.action_title === "Zeugnisnote entsperrt"));
+  assert.ok(auditRows.some((entry) => entry.action_title === "Zeugnisnote zurückgegeben"));
+});
+
+test("admins assign grade scales per class subject and teachers grade with their labels", async () => {
+  const classRow = await dbGet("SELECT id, subject_id FROM classes WHERE id = ?", [1]);
+  const adminLogin = await loginAdmin();
+  const scalesPage = await fetchWithCookies("/admin/grade-scales", {}, adminLogin.cookies);
+  assert.strictEqual(scalesPage.response.status, 200);
+  assert.match(scalesPage.body, /Skala je Klasse und Fach/);
+  const adminCsrf = extractCsrfToken(scalesPage.body);
+  const adminPost = (path, fields) =>
+    fetchWithCookies(
+      path,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ _csrf: adminCsrf, ...fields }).toString(),
+        redirect: "manual"
+      },
+      scalesPage.cookies
+    );
+
+  const invalid = await adminPost("/admin/grade-scales", {
+    name: "Kaputt",
+    pass_threshold: "4",
+    steps: "Gut; 2\nAuch gut; 2"
+  });
+  assert.strictEqual(invalid.response.status, 400);
+  assert.match(invalid.body, /eindeutig/);
+
+  const created = await adminPost("/admin/grade-scales", { preset: "modifiers" });
+  assert.strictEqual(created.response.headers.get("location"), "/admin/grade-scales?created=1");
+  const scale = await dbGet("SELECT id, name FROM grade_scales WHERE LOWER(name) = LOWER(?)", ["Noten 1–5 mit +/-"]);
+  assert.ok(scale?.id, "Preset scale missing");
+
+  const assigned = await adminPost("/admin/grade-scales/assign", {
+    class_id: "1",
+    subject_id: String(classRow.subject_id),
+    grade_scale_id: String(scale.id)
+  });
+  assert.strictEqual(assigned.response.headers.get("location"), "/admin/grade-scales?assigned=1");
+  const blockedDelete = await adminPost(`/admin/grade-scales/${scale.id}/delete`, {});
+  assert.strictEqual(blockedDelete.response.status, 400);
+  assert.match(blockedDelete.body, /noch Fächern zugeordnet/);
+
+  const templateName = `Skalentest ${Date.now()}`;
+  const templateInsert = await dbRun(
+    "INSERT INTO grade_templates (class_id, subject_id, name, category, weight, weight_mode, max_points, date, description) VALUES (?,?,?,?,?,?,?,?,?)",
+    [1, classRow.subject_id, templateName, "Test", 10, "points", null, "2026-04-21", "Notenskala"]
+  );
+  const teacherLogin = await loginTeacher();
+  const addGradePage = await fetchWithCookies("/teacher/add-grade/1/1", {}, teacherLogin.cookies);
+  assert.strictEqual(addGradePage.response.status, 200);
+  assert.match(addGradePage.body, /<option value="2-"/);
+  const teacherCsrf = extractCsrfToken(addGradePage.body);
+  const postGrade = (grade) =>
+    fetchWithCookies(
+      "/teacher/add-grade/1/1",
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({
+          _csrf: teacherCsrf,
+          grade_template_id: String(templateInsert.lastID),
+          grade
+        }).toString(),
+        redirect: "manual"
+      },
+      addGradePage.cookies
+    );
+
+  const rejected = await postGrade("2.5");
+  assert.strictEqual(rejected.response.status, 400);
+  assert.match(rejected.body, /passt nicht zur Notenskala/);
+  const saved = await postGrade("2-");
+  assert.strictEqual(saved.response.status, 302);
+  const studentGradesPage = await fetchWithCookies("/teacher/student-grades/1/1", {}, teacherLogin.cookies);
+  assert.match(studentGradesPage.body, /<span class="grade-badge grade-2">2-<\/span>/);
+  const specialPage = await fetchWithCookies("/teacher/special-assessments/1", {}, teacherLogin.cookies);
+  assert.match(specialPage.body, /Note \(Noten 1–5 mit \+\/-\)/);
+  const scalesOverview = await fetchWithCookies("/admin/grade-scales", {}, adminLogin.cookies);
+  assert.match(scalesOverview.body, /15 Stufen · bestanden bis 4\.25/);
+  const rawExport = await fetchWithCookies(
+    "/teacher/student-grades/1/1/details?format=csv_raw",
+    {},
+    teacherLogin.cookies
+  );
+  assert.match(rawExport.body, /Meta,Notenskala,Noten 1–5 mit \+\/-/);
+  assert.match(rawExport.body, new RegExp(`${templateName},[^\\n]*,2\\.25,2-,`));
+
+  // Zeugnisnoten bleiben 1–5; Skalennoten werden nur auf diesen Bereich abgebildet.
+  const finalGradesPage = await fetchWithCookies("/teacher/final-grades/1", {}, teacherLogin.cookies);
+  assert.strictEqual(finalGradesPage.response.status, 200);
+  assert.match(finalGradesPage.body, /Zeugnisnoten sind immer 1–5\. Noten der Skala „Noten 1–5 mit \+\/-“/);
+  assert.doesNotMatch(finalGradesPage.body, /name="final_grade\[s_1\]"[\s\S]*?<option value="2-"/);
+  const scaleProposal = await fetchWithCookies(
+    "/teacher/final-grades/1",
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({ _csrf: teacherCsrf, "final_grade[s_1]": "2-", "justification[s_1]": "Skala" }).toString(),
+      redirect: "manual"
+    },
+    addGradePage.cookies
+  );
+  assert.strictEqual(scaleProposal.response.status, 400);
+  assert.match(scaleProposal.body, /Zeugnisnoten liegen immer zwischen 1 und 5/);
+  const gradeId = (studentGradesPage.body.match(
+    new RegExp(`action="/teacher/delete-grade/1/(\\d+)"[^>]*data-grade-info="${templateName}`)
+  ) || [])[1];
+  assert.ok(gradeId, "Graded entry missing");
+
+  await dbRun("DELETE FROM grades WHERE id = ? AND class_id = ?", [gradeId, 1]);
+  const unassigned = await adminPost("/admin/grade-scales/assign", {
+    class_id: "1",
+    subject_id: String(classRow.subject_id),
+    grade_scale_id: ""
+  });
+  assert.strictEqual(unassigned.response.status, 302);
+  const deleted = await adminPost(`/admin/grade-scales/${scale.id}/delete`, {});
+  assert.strictEqual(deleted.response.headers.get("location"), "/admin/grade-scales?deleted=1");
+
+  const auditRows = await dbAll("SELECT * FROM audit_logs ORDER BY id DESC LIMIT ?", [20]);
+  assert.ok(auditRows.some((entry) => entry.action_title === "Notenskala zugeordnet"));
+});
+
+test("teachers manage their own assessment categories and use them in templates, statistics and exports", async () => {
+  const classRow = await dbGet("SELECT id, subject_id FROM classes WHERE id = ?", [1]);
+  const activeSchoolYear = await dbGet(
+    "SELECT id, name, start_date, end_date, is_active FROM school_years WHERE is_active = ? ORDER BY id DESC LIMIT 1",
+    [1]
+  );
+  const teacherLogin = await loginTeacher();
+  const settingsPage = await fetchWithCookies("/teacher/settings?new=1", {}, teacherLogin.cookies);
+  assert.strictEqual(settingsPage.response.status, 200);
+  assert.match(settingsPage.body, /name="new_category_label"/);
+  const csrfToken = extractCsrfToken(settingsPage.body);
+  const teacherPost = (path, fields) =>
+    fetchWithCookies(
+      path,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ _csrf: csrfToken, ...fields }).toString(),
+        redirect: "manual"
+      },
+      settingsPage.cookies
+    );
+  const profileFields = {
+    profile_name: `Kategorien ${Date.now()}`,
+    scoring_mode: "points_or_grade",
+    absence_mode: "include_zero",
+    grade1_min_percent: "88.5",
+    grade2_min_percent: "75",
+    grade3_min_percent: "62.5",
+    grade4_min_percent: "50",
+    ma_weight: "5",
+    ma_grade_plus: "1.5",
+    ma_grade_plus_tilde: "2.5",
+    ma_grade_neutral: "3",
+    ma_grade_minus_tilde: "3.5",
+    ma_grade_minus: "4.5",
+    set_active: "1",
+    weight_schularbeit: "40",
+    weight_test: "20",
+    weight_projekt: "20",
+    weight_hausaufgabe: "10",
+    weight_mitarbeit: "10",
+    weight_wiederholung: "0",
+    label_test: "Kurztest"
+  };
+
+  const duplicate = await teacherPost("/teacher/settings/save-profile", {
+    ...profileFields,
+    new_category_label: "Hausübung"
+  });
+  assert.strictEqual(duplicate.response.status, 400);
+  assert.match(duplicate.body, /Die Kategorie „Hausübung“ gibt es bereits\./);
+
+  const saved = await teacherPost("/teacher/settings/save-profile", {
+    ...profileFields,
+    new_category_label: "Laborübung",
+    new_category_color: "#0f766e",
+    new_category_weight: "15"
+  });
+  assert.strictEqual(saved.response.status, 302);
+  const profileId = (String(saved.response.headers.get("location")).match(/profile_id=(\d+)/) || [])[1];
+  assert.ok(profileId, "Saved profile missing");
+  // Bestehende Fächer behalten beim Wechsel ihr Profil, daher die Klasse ausdrücklich umstellen.
+  const classBound = await teacherPost("/teacher/class-profile/1", { grading_profile_id: profileId });
+  assert.strictEqual(classBound.response.status, 302);
+
+  const createPage = await fetchWithCookies("/teacher/create-template/1", {}, teacherLogin.cookies);
+  assert.strictEqual(createPage.response.status, 200);
+  assert.match(createPage.body, /value="Laborübung"/);
+  assert.match(createPage.body, /Kurztest/);
+  const templateName = `Labor ${Date.now()}`;
+  const createdTemplate = await teacherPost("/teacher/create-template/1", {
+    name: templateName,
+    category: "laborübung",
+    use_profile_settings: "1",
+    date: "2026-04-22"
+  });
+  assert.strictEqual(createdTemplate.response.status, 302);
+
+  const templatesPage = await fetchWithCookies("/teacher/grade-templates/1", {}, teacherLogin.cookies);
+  assert.match(templatesPage.body, /style="background:#0f766e1f;color:#0f766e;">Laborübung<\/span>/);
+  const templateId = (templatesPage.body.match(
+    new RegExp(`action="/teacher/delete-template/1/(\\d+)" data-template-name="${templateName}"`)
+  ) || [])[1];
+  assert.ok(templateId, "Created template missing");
+  const template = await dbGet(
+    "SELECT id, name, category, weight, max_points, date, description FROM grade_templates WHERE id = ? AND class_id = ? AND subject_id = ?",
+    [templateId, 1, classRow.subject_id]
+  );
+  assert.strictEqual(template.category, "Laborübung");
+  assert.strictEqual(Number(template.weight), 15);
+
+  const gradeInsert = await dbRun(
+    "INSERT INTO grades (student_id, class_id, grade_template_id, grade, points_achieved, points_max, note, attachment_path, attachment_original_name, attachment_mime, attachment_size, external_link, is_absent, school_year_id, published_at) VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)",
+    [1, 1, template.id, 2, null, null, null, null, null, null, null, null, 0, activeSchoolYear.id, new Date().toISOString()]
+  );
+  const statistics = await fetchWithCookies("/teacher/class-statistics/1", {}, teacherLogin.cookies);
+  assert.match(statistics.body, /Durchschnitt pro Kategorie/);
+  assert.match(statistics.body, /color:#0f766e;">Laborübung<\/span>/);
+  const rawExport = await fetchWithCookies(
+    "/teacher/student-grades/1/1/details?format=csv_raw",
+    {},
+    teacherLogin.cookies
+  );
+  assert.match(rawExport.body, new RegExp(`${templateName},Laborübung,`));
+
+  const removed = await teacherPost("/teacher/settings/save-profile", {
+    ...profileFields,
+    profile_id: profileId,
+    category_keys: "Laborübung",
+    label_laborubung: "Laborübung",
+    color_laborubung: "#0f766e",
+    weight_laborubung: "15",
+    remove_laborubung: "1"
+  });
+  assert.strictEqual(removed.response.status, 302);
+  const editPage = await fetchWithCookies(`/teacher/settings?profile_id=${profileId}&edit=1`, {}, teacherLogin.cookies);
+  assert.doesNotMatch(editPage.body, /name="label_laborubung"/);
+  assert.match(editPage.body, /value="Kurztest"/);
+
+  await dbRun("DELETE FROM grades WHERE id = ? AND class_id = ?", [gradeInsert.lastID, 1]);
+});
+
+test("teachers grade with reusable rubrics and students see the filled rubric", async () => {
+  const teacherLogin = await loginTeacher();
+  const rubricsPage = await fetchWithCookies("/teacher/rubrics", {}, teacherLogin.cookies);
+  assert.strictEqual(rubricsPage.response.status, 200);
+  const csrfToken = extractCsrfToken(rubricsPage.body);
+  const teacherPost = (path, fields) =>
+    fetchWithCookies(
+      path,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ _csrf: csrfToken, ...fields }).toString(),
+        redirect: "manual"
+      },
+      rubricsPage.cookies
+    );
+
+  const invalid = await teacherPost("/teacher/rubrics", { name: "Ungültig", criteria: "Inhalt | Gut; 4" });
+  assert.strictEqual(invalid.response.status, 400);
+  assert.match(invalid.body, /2 bis 10 Stufen/);
+
+  const rubricName = `Referat ${Date.now()}`;
+  const criteriaText = "Inhalt | Vollständig; 6; Alle Punkte erklärt | Teilweise; 3 | Fehlt; 0\nVortrag | Frei; 4 | Abgelesen; 1";
+  const created = await teacherPost("/teacher/rubrics", { name: rubricName, criteria: criteriaText });
+  assert.strictEqual(created.response.status, 302);
+  assert.match(String(created.response.headers.get("location")), /created=1/);
+
+  const listPage = await fetchWithCookies("/teacher/rubrics", {}, teacherLogin.cookies);
+  assert.match(listPage.body, new RegExp(`2 Kriterien · max\\. 10 Punkte</p>\\s*<h3>${rubricName}</h3>`));
+  const rubricId = (listPage.body.match(
+    new RegExp(`action="/teacher/rubrics/(\\d+)">\\s*<input[^>]*>\\s*<label[^>]*>Bezeichnung \\*</label>\\s*<input[^>]*value="${rubricName}"`)
+  ) || [])[1];
+  assert.ok(rubricId, "Created rubric missing");
+  const criteria = await dbAll(
+    "SELECT id, rubric_id, name, sort_order FROM rubric_criteria WHERE rubric_id = ? ORDER BY sort_order ASC, id ASC",
+    [rubricId]
+  );
+  const levels = await dbAll(
+    `SELECT rl.id, rl.criterion_id, rl.label, rl.points, rl.descriptor, rl.sort_order
+     FROM rubric_levels rl
+     JOIN rubric_criteria rc ON rc.id = rl.criterion_id
+     WHERE rc.rubric_id = ?
+     ORDER BY rl.criterion_id ASC, rl.sort_order ASC, rl.id ASC`,
+    [rubricId]
+  );
+  const levelId = (label) => String(levels.find((level) => level.label === label).id);
+  const [contentCriterion, talkCriterion] = criteria.map((criterion) => String(criterion.id));
+
+  const templateName = `Raster ${Date.now()}`;
+  const createdTemplate = await teacherPost("/teacher/create-template/1", {
+    name: templateName,
+    category: "Test",
+    use_profile_settings: "1",
+    rubric_id: rubricId,
+    date: "2026-04-23"
+  });
+  assert.strictEqual(createdTemplate.response.status, 302);
+  const templatesPage = await fetchWithCookies("/teacher/grade-templates/1", {}, teacherLogin.cookies);
+  assert.match(templatesPage.body, new RegExp(`Raster: ${rubricName}`));
+  const templateId = (templatesPage.body.match(
+    new RegExp(`action="/teacher/delete-template/1/(\\d+)" data-template-name="${templateName}"`)
+  ) || [])[1];
+  assert.ok(templateId, "Created template missing");
+
+  const addGradePage = await fetchWithCookies("/teacher/add-grade/1/1", {}, teacherLogin.cookies);
+  assert.match(addGradePage.body, new RegExp(`name="rubric_c${contentCriterion}"`));
+  const partial = await teacherPost("/teacher/add-grade/1/1", {
+    grade_template_id: templateId,
+    [`rubric_c${contentCriterion}`]: levelId("Teilweise")
+  });
+  assert.strictEqual(partial.response.status, 400);
+  assert.match(partial.body, /auch eine Stufe wählen für: Vortrag/);
+
+  const graded = await teacherPost("/teacher/add-grade/1/1", {
+    grade_template_id: templateId,
+    [`rubric_c${contentCriterion}`]: levelId("Teilweise"),
+    [`rubric_c${talkCriterion}`]: levelId("Frei")
+  });
+  assert.strictEqual(graded.response.status, 302);
+
+  const bulkPage = await fetchWithCookies(`/teacher/bulk-grade-template/1/${templateId}`, {}, teacherLogin.cookies);
+  assert.strictEqual(bulkPage.response.status, 200);
+  assert.match(bulkPage.body, new RegExp(`name="rubric_c${talkCriterion}\\[s_1\\]"`));
+  assert.match(bulkPage.body, new RegExp(`value="${levelId("Frei")}" selected`));
+  assert.match(bulkPage.body, /name="points_achieved\[s_1\]"[^>]*value="7"/);
+
+  const lockedEdit = await teacherPost(`/teacher/rubrics/${rubricId}`, {
+    name: rubricName,
+    criteria: "Inhalt | Gut; 5 | Schwach; 1"
+  });
+  assert.strictEqual(lockedEdit.response.status, 400);
+  assert.match(lockedEdit.body, /bereits für Bewertungen verwendet/);
+  const lockedDelete = await teacherPost(`/teacher/rubrics/${rubricId}/delete`, {});
+  assert.strictEqual(lockedDelete.response.status, 400);
+
+  const studentScores = (await dbAll(
+    `SELECT grs.grade_id, grs.criterion_id, grs.level_id, grs.points, rc.rubric_id
+     FROM grade_rubric_scores grs
+     JOIN grades g ON g.id = grs.grade_id
+     JOIN rubric_criteria rc ON rc.id = grs.criterion_id
+     WHERE g.student_id = ?`,
+    [1]
+  )).filter((score) => String(score.rubric_id) === String(rubricId));
+  assert.deepStrictEqual(
+    studentScores.map((score) => [String(score.level_id), Number(score.points)]),
+    [[levelId("Teilweise"), 3], [levelId("Frei"), 4]]
+  );
+
+  const gradesPage = await fetchWithCookies("/teacher/student-grades/1/1", {}, teacherLogin.cookies);
+  const gradeId = (gradesPage.body.match(
+    new RegExp(`action="/teacher/delete-grade/1/(\\d+)"[^>]*data-grade-info="${templateName}`)
+  ) || [])[1];
+  if (gradeId) {
+    await dbRun("DELETE FROM grades WHERE id = ? AND class_id = ?", [gradeId, 1]);
+  }
+});
+
+test("schularbeiten take points per sub-task and statistics show an item analysis", async () => {
+  const activeSchoolYear = await dbGet(
+    "SELECT id, name, start_date, end_date, is_active FROM school_years WHERE is_active = ? ORDER BY id DESC LIMIT 1",
+    [1]
+  );
+  const extraStudents = [];
+  for (const name of ["Teil Eins", "Teil Zwei"]) {
+    const insert = await dbRun(
+      "INSERT INTO students (name, email, class_id, school_year) VALUES (?,?,?,?)",
+      [name, `${name.replace(" ", ".").toLowerCase()}@example.com`, 1, activeSchoolYear.name]
+    );
+    extraStudents.push(insert.lastID);
+  }
+
+  const teacherLogin = await loginTeacher();
+  const createPage = await fetchWithCookies("/teacher/create-template/1", {}, teacherLogin.cookies);
+  assert.strictEqual(createPage.response.status, 200);
+  assert.match(createPage.body, /name="tasks"/);
+  const csrfToken = extractCsrfToken(createPage.body);
+  const teacherPost = (path, fields) =>
+    fetchWithCookies(
+      path,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ _csrf: csrfToken, ...fields }).toString(),
+        redirect: "manual"
+      },
+      createPage.cookies
+    );
+
+  const templateName = `Schularbeit Teile ${Date.now()}`;
+  const templateFields = {
+    name: templateName,
+    category: "Test",
+    use_profile_settings: "1",
+    date: "2026-04-24"
+  };
+  const invalid = await teacherPost("/teacher/create-template/1", {
+    ...templateFields,
+    tasks: "Aufgabe 1; 10\nAufgabe 2; viele"
+  });
+  assert.strictEqual(invalid.response.status, 400);
+  assert.match(invalid.body, /Teilaufgaben Zeile 2: Die maximalen Punkte von „Aufgabe 2“ müssen größer als 0 sein\./);
+
+  const created = await teacherPost("/teacher/create-template/1", {
+    ...templateFields,
+    tasks: "Aufgabe 1; 10\nAufgabe 2; 5\nAufgabe 3; 5"
+  });
+  assert.strictEqual(created.response.status, 302);
+  const templatesPage = await fetchWithCookies("/teacher/grade-templates/1", {}, teacherLogin.cookies);
+  assert.match(templatesPage.body, /3 Teilaufgaben/);
+  const templateId = (templatesPage.body.match(
+    new RegExp(`action="/teacher/delete-template/1/(\\d+)" data-template-name="${templateName}"`)
+  ) || [])[1];
+  assert.ok(templateId, "Created template missing");
+  const classRow = await dbGet("SELECT id, subject_id FROM classes WHERE id = ?", [1]);
+  const template = await dbGet(
+    "SELECT id, name, category, weight, max_points, date, description FROM grade_templates WHERE id = ? AND class_id = ? AND subject_id = ?",
+    [templateId, 1, classRow.subject_id]
+  );
+  assert.strictEqual(Number(template.max_points), 20);
+
+  const bulkPath = `/teacher/bulk-grade-template/1/${templateId}`;
+  const bulkPage = await fetchWithCookies(bulkPath, {}, teacherLogin.cookies);
+  assert.strictEqual(bulkPage.response.status, 200);
+  const taskIds = Array.from(bulkPage.body.matchAll(/name="task_t(\d+)\[s_1\]"/g), (match) => match[1]);
+  assert.strictEqual(taskIds.length, 3);
+  const taskFields = (studentId, values) =>
+    Object.fromEntries(values.map((value, index) => [`task_t${taskIds[index]}[s_${studentId}]`, String(value)]));
+
+  const partial = await teacherPost(bulkPath, taskFields(1, [9, 5, ""]));
+  assert.strictEqual(partial.response.status, 400);
+  assert.match(partial.body, /Bitte auch Punkte eintragen für: Aufgabe 3\./);
+  const tooMany = await teacherPost(bulkPath, taskFields(1, [9, 6, 0]));
+  assert.strictEqual(tooMany.response.status, 400);
+  assert.match(tooMany.body, /Punkte bei „Aufgabe 2“ müssen zwischen 0 und 5 liegen\./);
+
+  const saved = await teacherPost(bulkPath, {
+    ...taskFields(1, [9, 5, 0]),
+    ...taskFields(extraStudents[0], [5, 3, 1]),
+    ...taskFields(extraStudents[1], [1, 1, 0])
+  });
+  assert.strictEqual(saved.response.status, 302);
+  assert.match(String(saved.response.headers.get("location")), /saved=3/);
+
+  const savedPage = await fetchWithCookies(bulkPath, {}, teacherLogin.cookies);
+  assert.match(savedPage.body, new RegExp(`name="task_t${taskIds[0]}\\[s_1\\]"\\s+value="9"`));
+
+  const locked = await teacherPost(`/teacher/edit-template/1/${templateId}`, {
+    ...templateFields,
+    tasks: "Aufgabe 1; 20"
+  });
+  assert.strictEqual(locked.response.status, 400);
+  assert.match(locked.body, /bereits Punkte je Teilaufgabe erfasst/);
+
+  const statistics = await fetchWithCookies("/teacher/class-statistics/1", {}, teacherLogin.cookies);
+  assert.strictEqual(statistics.response.status, 200);
+  assert.match(statistics.body, /Aufgabenanalyse \(3 vollständige Arbeiten\)/);
+  assert.match(statistics.body, /<td>Aufgabe 1<\/td>\s*<td>5 \/ 10<\/td>\s*<td>50 %<\/td>\s*<td>0\.9\d<\/td>\s*<td>-<\/td>/);
+  assert.match(
+    statistics.body,
+    /<td>Aufgabe 3<\/td>\s*<td>0\.33 \/ 5<\/td>\s*<td>7 %<\/td>\s*<td>0\.00<\/td>\s*<td>sehr schwer, trennt kaum<\/td>/
+  );
+
+  const deleted = await teacherPost(`/teacher/delete-template/1/${templateId}`, {});
+  assert.strictEqual(deleted.response.status, 302);
+  for (const studentId of extraStudents) {
+    await dbRun("DELETE FROM students WHERE id = ? AND class_id = ?", [studentId, 1]);
+  }
+});
+
+test("grading rules drop the worst test and explain the result per student", async () => {
+  const activeSchoolYear = await dbGet(
+    "SELECT id, name, start_date, end_date, is_active FROM school_years WHERE is_active = ? ORDER BY id DESC LIMIT 1",
+    [1]
+  );
+  const teacherLogin = await loginTeacher();
+  const settingsPage = await fetchWithCookies("/teacher/settings?new=1", {}, teacherLogin.cookies);
+  assert.strictEqual(settingsPage.response.status, 200);
+  assert.match(settingsPage.body, /name="rule_type_0"/);
+  const csrfToken = extractCsrfToken(settingsPage.body);
+  const teacherPost = (path, fields) =>
+    fetchWithCookies(
+      path,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ _csrf: csrfToken, ...fields }).toString(),
+        redirect: "manual"
+      },
+      settingsPage.cookies
+    );
+  const profileFields = {
+    profile_name: `Regeln ${Date.now()}`,
+    scoring_mode: "points_or_grade",
+    absence_mode: "exclude",
+    grade1_min_percent: "88.5",
+    grade2_min_percent: "75",
+    grade3_min_percent: "62.5",
+    grade4_min_percent: "50",
+    ma_weight: "5",
+    ma_grade_plus: "1.5",
+    ma_grade_plus_tilde: "2.5",
+    ma_grade_neutral: "3",
+    ma_grade_minus_tilde: "3.5",
+    ma_grade_minus: "4.5",
+    set_active: "1",
+    weight_schularbeit: "40",
+    weight_test: "20",
+    weight_projekt: "20",
+    weight_hausaufgabe: "10",
+    weight_mitarbeit: "10",
+    weight_wiederholung: "0"
+  };
+
+  const invalid = await teacherPost("/teacher/settings/save-profile", {
+    ...profileFields,
+    rule_count: "1",
+    rule_type_0: "drop_lowest",
+    rule_category_0: "Test",
+    rule_amount_0: "0"
+  });
+  assert.strictEqual(invalid.response.status, 400);
+  assert.match(invalid.body, /Regel 1: Die Anzahl muss eine ganze Zahl zwischen 1 und 20 sein\./);
+
+  const saved = await teacherPost("/teacher/settings/save-profile", {
+    ...profileFields,
+    rule_count: "3",
+    rule_type_0: "drop_lowest",
+    rule_category_0: "Test",
+    rule_amount_0: "1",
+    rule_type_1: "min_count",
+    rule_category_1: "Projekt",
+    rule_amount_1: "5",
+    rule_type_2: ""
+  });
+  assert.strictEqual(saved.response.status, 302);
+  const profileId = (String(saved.response.headers.get("location")).match(/profile_id=(\d+)/) || [])[1];
+  assert.ok(profileId, "Saved profile missing");
+  const classBound = await teacherPost("/teacher/class-profile/1", { grading_profile_id: profileId });
+  assert.strictEqual(classBound.response.status, 302);
+  const editPage = await fetchWithCookies(`/teacher/settings?profile_id=${profileId}&edit=1`, {}, teacherLogin.cookies);
+  assert.match(editPage.body, /<option value="drop_lowest" selected>/);
+  assert.match(editPage.body, /name="rule_amount_1"[^>]*value="5"/);
+
+  const templateIds = [];
+  for (const [index, grade] of [5, 1].entries()) {
+    const templateName = `Regeltest ${index} ${Date.now()}`;
+    const created = await teacherPost("/teacher/create-template/1", {
+      name: templateName,
+      category: "Test",
+      use_profile_settings: "1",
+      date: "2026-04-25"
+    });
+    assert.strictEqual(created.response.status, 302);
+    const templatesPage = await fetchWithCookies("/teacher/grade-templates/1", {}, teacherLogin.cookies);
+    const templateId = (templatesPage.body.match(
+      new RegExp(`action="/teacher/delete-template/1/(\\d+)" data-template-name="${templateName}"`)
+    ) || [])[1];
+    assert.ok(templateId, "Created template missing");
+    templateIds.push(templateId);
+    await dbRun(
+      "INSERT INTO grades (student_id, class_id, grade_template_id, grade, points_achieved, points_max, note, attachment_path, attachment_original_name, attachment_mime, attachment_size, external_link, is_absent, school_year_id, published_at) VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)",
+      [1, 1, templateId, grade, null, null, null, null, null, null, null, null, 0, activeSchoolYear.id, new Date().toISOString()]
+    );
+  }
+
+  const studentPage = await fetchWithCookies("/teacher/student-grades/1/1", {}, teacherLogin.cookies);
+  assert.strictEqual(studentPage.response.status, 200);
+  assert.match(studentPage.body, /Berechnungsregeln angewendet/);
+  assert.match(studentPage.body, /Schlechteste Note in „Test“ gestrichen: 5\./);
+  assert.match(studentPage.body, /Mindestens 5 Noten in „Projekt“ nötig, vorhanden: \d\. Der Schnitt ist vorläufig\./);
+  assert.match(studentPage.body, /Durch eine Berechnungsregel gestrichen\./);
+
+  for (const templateId of templateIds) {
+    const deleted = await teacherPost(`/teacher/delete-template/1/${templateId}`, {});
+    assert.strictEqual(deleted.response.status, 302);
+  }
+  await dbRun("DELETE FROM teacher_grading_profile_rules WHERE profile_id = ?", [profileId]);
+});
+
+test("retakes link to their original assessment and count per profile policy", async () => {
+  const activeSchoolYear = await dbGet(
+    "SELECT id, name, start_date, end_date, is_active FROM school_years WHERE is_active = ? ORDER BY id DESC LIMIT 1",
+    [1]
+  );
+  const teacherLogin = await loginTeacher();
+  const settingsPage = await fetchWithCookies("/teacher/settings?new=1", {}, teacherLogin.cookies);
+  assert.strictEqual(settingsPage.response.status, 200);
+  assert.match(settingsPage.body, /name="retake_policy"/);
+  const csrfToken = extractCsrfToken(settingsPage.body);
+  const teacherPost = (path, fields) =>
+    fetchWithCookies(
+      path,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ _csrf: csrfToken, ...fields }).toString(),
+        redirect: "manual"
+      },
+      settingsPage.cookies
+    );
+
+  const saved = await teacherPost("/teacher/settings/save-profile", {
+    profile_name: `Wiederholung ${Date.now()}`,
+    scoring_mode: "points_or_grade",
+    absence_mode: "exclude",
+    retake_policy: "replace",
+    grade1_min_percent: "88.5",
+    grade2_min_percent: "75",
+    grade3_min_percent: "62.5",
+    grade4_min_percent: "50",
+    ma_weight: "5",
+    ma_grade_plus: "1.5",
+    ma_grade_plus_tilde: "2.5",
+    ma_grade_neutral: "3",
+    ma_grade_minus_tilde: "3.5",
+    ma_grade_minus: "4.5",
+    set_active: "1",
+    weight_schularbeit: "40",
+    weight_test: "20",
+    weight_projekt: "20",
+    weight_hausaufgabe: "10",
+    weight_mitarbeit: "10",
+    weight_wiederholung: "0"
+  });
+  assert.strictEqual(saved.response.status, 302);
+  const profileId = (String(saved.response.headers.get("location")).match(/profile_id=(\d+)/) || [])[1];
+  assert.ok(profileId, "Saved profile missing");
+  const classBound = await teacherPost("/teacher/class-profile/1", { grading_profile_id: profileId });
+  assert.strictEqual(classBound.response.status, 302);
+  const editPage = await fetchWithCookies(`/teacher/settings?profile_id=${profileId}&edit=1`, {}, teacherLogin.cookies);
+  assert.match(editPage.body, /value="replace"\s*selected/);
+
+  const suffix = Date.now();
+  const originalName = `Original ${suffix}`;
+  const retakeName = `Nachprüfung ${suffix}`;
+  const findTemplateId = async (templateName) => {
+    const templatesPage = await fetchWithCookies("/teacher/grade-templates/1", {}, teacherLogin.cookies);
+    return (templatesPage.body.match(
+      new RegExp(`action="/teacher/delete-template/1/(\\d+)" data-template-name="${templateName}"`)
+    ) || [])[1];
+  };
+  const templateFields = { category: "Test", use_profile_settings: "1", date: "2026-05-04" };
+
+  const createdOriginal = await teacherPost("/teacher/create-template/1", { ...templateFields, name: originalName });
+  assert.strictEqual(createdOriginal.response.status, 302);
+  const originalId = await findTemplateId(originalName);
+  assert.ok(originalId, "Original template missing");
+
+  const createPage = await fetchWithCookies("/teacher/create-template/1", {}, teacherLogin.cookies);
+  assert.match(createPage.body, new RegExp(`<option\\s+value="${originalId}"`));
+  const createdRetake = await teacherPost("/teacher/create-template/1", {
+    ...templateFields,
+    name: retakeName,
+    retake_of_template_id: originalId
+  });
+  assert.strictEqual(createdRetake.response.status, 302);
+  const retakeId = await findTemplateId(retakeName);
+  assert.ok(retakeId, "Retake template missing");
+
+  const chained = await teacherPost("/teacher/create-template/1", {
+    ...templateFields,
+    name: `Kette ${suffix}`,
+    retake_of_template_id: retakeId
+  });
+  assert.strictEqual(chained.response.status, 400);
+  assert.match(chained.body, /ist selbst eine Wiederholung/);
+  const selfLinked = await teacherPost(`/teacher/edit-template/1/${originalId}`, {
+    ...templateFields,
+    name: originalName,
+    retake_of_template_id: originalId
+  });
+  assert.strictEqual(selfLinked.response.status, 400);
+  assert.match(selfLinked.body, /Eine Prüfung kann nicht sich selbst wiederholen\./);
+
+  const templatesPage = await fetchWithCookies("/teacher/grade-templates/1", {}, teacherLogin.cookies);
+  assert.match(templatesPage.body, new RegExp(`Wiederholung von „${originalName}“`));
+  assert.match(templatesPage.body, new RegExp(`Wiederholt durch „${retakeName}“`));
+
+  for (const [templateId, grade] of [[originalId, 5], [retakeId, 2]]) {
+    await dbRun(
+      "INSERT INTO grades (student_id, class_id, grade_template_id, grade, points_achieved, points_max, note, attachment_path, attachment_original_name, attachment_mime, attachment_size, external_link, is_absent, school_year_id, published_at) VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)",
+      [1, 1, templateId, grade, null, null, null, null, null, null, null, null, 0, activeSchoolYear.id, new Date().toISOString()]
+    );
+  }
+
+  const studentPage = await fetchWithCookies("/teacher/student-grades/1/1", {}, teacherLogin.cookies);
+  assert.strictEqual(studentPage.response.status, 200);
+  assert.match(
+    studentPage.body,
+    new RegExp(`Wiederholung von „${originalName}“: Wiederholung ersetzt die Note \\(5 und 2 → 2\\)\\.`)
+  );
+  assert.match(studentPage.body, /Zählt mit Wiederholung: Wiederholung ersetzt die Note\./);
+
+  const statisticsPage = await fetchWithCookies("/teacher/class-statistics/1", {}, teacherLogin.cookies);
+  assert.strictEqual(statisticsPage.response.status, 200);
+  assert.match(statisticsPage.body, new RegExp(`Wiederholt durch „${retakeName}“`));
+
+  for (const templateId of [retakeId, originalId]) {
+    const deleted = await teacherPost(`/teacher/delete-template/1/${templateId}`, {});
+    assert.strictEqual(deleted.response.status, 302);
+  }
+});
+
+test("teachers issue early warnings for failing students and the head teacher sees them", async () => {
+  const activeSchoolYear = await dbGet(
+    "SELECT id, name, start_date, end_date, is_active FROM school_years WHERE is_active = ? ORDER BY id DESC LIMIT 1",
+    [1]
+  );
+  const suffix = Date.now();
+  const studentName = `Frühwarnung Schüler ${suffix}`;
+  const studentInsert = await dbRun(
+    "INSERT INTO students (name, email, class_id, school_year) VALUES (?,?,?,?)",
+    [studentName, `fruehwarnung.${suffix}@example.com`, 1, activeSchoolYear.name]
+  );
+  const studentId = studentInsert.lastID;
+
+  const teacherLogin = await loginTeacher();
+  const templatesPage = await fetchWithCookies("/teacher/grade-templates/1", {}, teacherLogin.cookies);
+  const csrfToken = extractCsrfToken(templatesPage.body);
+  const teacherPost = (path, fields) =>
+    fetchWithCookies(
+      path,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ _csrf: csrfToken, ...fields }).toString(),
+        redirect: "manual"
+      },
+      templatesPage.cookies
+    );
+
+  const templateName = `Frühwarnung Test ${suffix}`;
+  const created = await teacherPost("/teacher/create-template/1", {
+    name: templateName,
+    category: "Test",
+    use_profile_settings: "1",
+    date: "2026-05-04"
+  });
+  assert.strictEqual(created.response.status, 302);
+  const refreshed = await fetchWithCookies("/teacher/grade-templates/1", {}, teacherLogin.cookies);
+  const templateId = (refreshed.body.match(
+    new RegExp(`action="/teacher/delete-template/1/(\\d+)" data-template-name="${templateName}"`)
+  ) || [])[1];
+  assert.ok(templateId, "Template missing");
+  await dbRun(
+    "INSERT INTO grades (student_id, class_id, grade_template_id, grade, points_achieved, points_max, note, attachment_path, attachment_original_name, attachment_mime, attachment_size, external_link, is_absent, school_year_id, published_at) VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)",
+    [studentId, 1, templateId, 5, null, null, null, null, null, null, null, null, 0, activeSchoolYear.id, new Date().toISOString()]
+  );
+
+  const warningPage = await fetchWithCookies("/teacher/early-warnings/1", {}, teacherLogin.cookies);
+  assert.strictEqual(warningPage.response.status, 200);
+  assert.match(warningPage.body, new RegExp(studentName));
+  assert.match(warningPage.body, new RegExp(`name="student_ids" value="${studentId}"`));
+  assert.match(warningPage.body, /Frühwarnung empfohlen/);
+  const termId = (warningPage.body.match(/name="term" value="(\d+)"/) || [])[1];
+  const termFields = termId ? { term: termId } : {};
+
+  const empty = await teacherPost("/teacher/early-warnings/1", termFields);
+  assert.strictEqual(empty.response.status, 400);
+
+  const issued = await teacherPost("/teacher/early-warnings/1", { ...termFields, student_ids: String(studentId) });
+  assert.strictEqual(issued.response.status, 302);
+  assert.match(String(issued.response.headers.get("location")), /issued=1/);
+
+  const duplicate = await teacherPost("/teacher/early-warnings/1", { ...termFields, student_ids: String(studentId) });
+  assert.strictEqual(duplicate.response.status, 409);
+  assert.match(duplicate.body, /bereits eine Frühwarnung ausgestellt/);
+
+  const issuedPage = await fetchWithCookies("/teacher/early-warnings/1", {}, teacherLogin.cookies);
+  assert.match(issuedPage.body, /Ausgestellt am/);
+  const warningId = (issuedPage.body.match(/\/teacher\/early-warnings\/1\/(\d+)\/letter/) || [])[1];
+  assert.ok(warningId, "Letter link missing");
+  const letter = await fetchWithCookies(`/teacher/early-warnings/1/${warningId}/letter`, {}, teacherLogin.cookies);
+  assert.strictEqual(letter.response.status, 200);
+  assert.match(String(letter.response.headers.get("content-type")), /application\/pdf/);
+  assert.match(letter.body, /Fr\\374hwarnung gem\\344\\337/);
+
+  const notifications = await dbAll(
+    "SELECT id, message, type, created_at, read_at FROM grade_notifications WHERE student_id = ? ORDER BY created_at DESC",
+    [studentId]
+  );
+  assert.ok(notifications.some((note) => note.type === "warning" && /Frühwarnung im Fach/.test(note.message)));
+
+  const review = await fetchWithCookies("/teacher/early-warnings-review/1", {}, teacherLogin.cookies);
+  assert.strictEqual(review.response.status, 200);
+  assert.match(review.body, new RegExp(studentName));
+  const reviewLetter = await fetchWithCookies(
+    `/teacher/early-warnings-review/1/${warningId}/letter`,
+    {},
+    teacherLogin.cookies
+  );
+  assert.match(String(reviewLetter.response.headers.get("content-type")), /application\/pdf/);
+
+  const auditRows = await dbAll("SELECT * FROM audit_logs ORDER BY id DESC LIMIT ?", [20]);
+  assert.ok(auditRows.some((entry) => entry.action_title === "Frühwarnungen ausgestellt"));
+});
+
+test("students project their subject average with hypothetical grades for open assessments", async () => {
+  const teacherLogin = await loginTeacher();
+  const templatesPage = await fetchWithCookies("/teacher/grade-templates/1", {}, teacherLogin.cookies);
+  const csrfToken = extractCsrfToken(templatesPage.body);
+  const templateName = `Was-wäre-wenn ${Date.now()}`;
+  const created = await fetchWithCookies(
+    "/teacher/create-template/1",
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        _csrf: csrfToken,
+        name: templateName,
+        category: "Schularbeit",
+        use_profile_settings: "1",
+        date: "2026-06-10"
+      }).toString(),
+      redirect: "manual"
+    },
+    templatesPage.cookies
+  );
+  assert.strictEqual(created.response.status, 302);
+
+  const studentLogin = await loginStudent();
+  const profile = JSON.parse((await fetchWithCookies("/student/profile", {}, studentLogin.cookies)).body);
+  const tasks = JSON.parse((await fetchWithCookies("/student/tasks?format=json", {}, studentLogin.cookies)).body).tasks;
+  const task = tasks.find((entry) => entry.title === templateName);
+  assert.ok(task, "Open task missing");
+  assert.ok(profile.subjects.includes(task.subject));
+
+  const fetchWhatIf = (params) =>
+    fetchWithCookies(
+      `/student/what-if?${new URLSearchParams({ format: "json", subject: task.subject, ...params })}`,
+      {},
+      studentLogin.cookies
+    );
+
+  const baseline = await fetchWhatIf({});
+  assert.strictEqual(baseline.response.status, 200);
+  const baselineData = JSON.parse(baseline.body);
+  assert.ok(baselineData.open_tasks.some((entry) => entry.id === task.id));
+  assert.strictEqual(baselineData.target, null);
+
+  const assumed = JSON.parse((await fetchWhatIf({ [`grade_${task.id}`]: "1" })).body);
+  assert.strictEqual(assumed.open_tasks.find((entry) => entry.id === task.id).assumed_grade, 1);
+  assert.ok(assumed.projection.average != null);
+  if (baselineData.current.average != null) {
+    assert.ok(assumed.projection.average <= baselineData.current.average);
+  }
+
+  const solved = JSON.parse((await fetchWhatIf({ target: "5" })).body);
+  assert.strictEqual(solved.target.grade, 5);
+  assert.strictEqual(solved.target.reachable, true);
+  assert.strictEqual(solved.target.required_grade, 5);
+
+  const invalid = await fetchWhatIf({ [`grade_${task.id}`]: "7" });
+  assert.strictEqual(invalid.response.status, 400);
+  assert.match(JSON.parse(invalid.body).error, /Ungültige Note/);
+  const unknown = await fetchWithCookies("/student/what-if?format=json&subject=Gibtsnicht", {}, studentLogin.cookies);
+  assert.strictEqual(unknown.response.status, 404);
+
+  const gradesPage = await fetchWithCookies(
+    `/student/grades?subject=${encodeURIComponent(task.subject)}`,
+    {},
+    studentLogin.cookies
+  );
+  assert.match(gradesPage.body, /id="what-if-form"/);
+});
+
+test("grade changes are versioned per student and can be reverted", async () => {
+  const teacherLogin = await loginTeacher();
+  const addGradePage = await fetchWithCookies("/teacher/add-grade/1/1", {}, teacherLogin.cookies);
+  assert.strictEqual(addGradePage.response.status, 200);
+  const csrfToken = extractCsrfToken(addGradePage.body);
+  const teacherPost = (path, fields) =>
+    fetchWithCookies(
+      path,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ _csrf: csrfToken, ...fields }).toString(),
+        redirect: "manual"
+      },
+      addGradePage.cookies
+    );
+
+  const templateName = `Verlauf ${Date.now()}`;
+  const created = await teacherPost("/teacher/create-template/1", {
+    name: templateName,
+    category: "Test",
+    use_profile_settings: "1",
+    date: "2026-05-04"
+  });
+  assert.strictEqual(created.response.status, 302);
+  const templatesPage = await fetchWithCookies("/teacher/grade-templates/1", {}, teacherLogin.cookies);
+  const templateId = (templatesPage.body.match(
+    new RegExp(`action="/teacher/delete-template/1/(\\d+)" data-template-name="${templateName}"`)
+  ) || [])[1];
+  assert.ok(templateId, "Created template missing");
+
+  const graded = await teacherPost("/teacher/add-grade/1/1", { grade_template_id: templateId, grade: "2" });
+  assert.strictEqual(graded.response.status, 302);
+  const tooLong = await teacherPost(`/teacher/bulk-grade-template/1/${templateId}`, {
+    "grade[s_1]": "4",
+    change_reason: "x".repeat(501)
+  });
+  assert.strictEqual(tooLong.response.status, 400);
+  assert.match(tooLong.body, /höchstens 500 Zeichen/);
+  const corrected = await teacherPost(`/teacher/bulk-grade-template/1/${templateId}`, {
+    "grade[s_1]": "4",
+    change_reason: "Nachkorrektur"
+  });
+  assert.strictEqual(corrected.response.status, 302);
+  assert.match(String(corrected.response.headers.get("location")), /updated=1/);
+
+  const studentPage = await fetchWithCookies("/teacher/student-grades/1/1", {}, teacherLogin.cookies);
+  assert.match(studentPage.body, /Änderungsverlauf/);
+  assert.match(studentPage.body, new RegExp(`Prüfung: ${templateName}`));
+  assert.match(studentPage.body, /Note 2 → Note 4/);
+  assert.match(studentPage.body, /Nachkorrektur/);
+  const gradeId = (studentPage.body.match(
+    new RegExp(`action="/teacher/delete-grade/1/(\\d+)"[^>]*data-grade-info="${templateName}`)
+  ) || [])[1];
+  assert.ok(gradeId, "Grade missing");
+  const versionIds = [...studentPage.body.matchAll(/action="\/teacher\/grade-history\/1\/1\/(\d+)\/revert"/g)].map(
+    (match) => match[1]
+  );
+  assert.ok(versionIds.length >= 1, "Revertible version missing");
+  const versionId = versionIds[0];
+
+  const wrongStudent = await teacherPost(`/teacher/grade-history/1/2/${versionId}/revert`, {});
+  assert.strictEqual(wrongStudent.response.status, 404);
+  const reverted = await teacherPost(`/teacher/grade-history/1/1/${versionId}/revert`, { reason: "Falsch übertragen" });
+  assert.strictEqual(reverted.response.status, 302);
+  assert.match(String(reverted.response.headers.get("location")), /\/teacher\/student-grades\/1\/1\?reverted=1/);
+  const restored = await dbGet(
+    "SELECT id, student_id, grade, points_achieved, points_max, is_absent FROM grades WHERE id = ? AND class_id = ?",
+    [gradeId, 1]
+  );
+  assert.strictEqual(Number(restored.grade), 2);
+  const repeated = await teacherPost(`/teacher/grade-history/1/1/${versionId}/revert`, {});
+  assert.strictEqual(repeated.response.status, 409);
+
+  const revertedPage = await fetchWithCookies("/teacher/student-grades/1/1?reverted=1", {}, teacherLogin.cookies);
+  assert.match(revertedPage.body, /Die Änderung wurde zurückgesetzt/);
+  assert.match(revertedPage.body, /Zurückgesetzt/);
+  assert.match(revertedPage.body, /Note 4 → Note 2/);
+  assert.match(revertedPage.body, /Falsch übertragen/);
+
+  const deleted = await teacherPost(`/teacher/delete-grade/1/${gradeId}`, {});
+  assert.strictEqual(deleted.response.status, 302);
+  const deletedPage = await fetchWithCookies("/teacher/student-grades/1/1", {}, teacherLogin.cookies);
+  assert.match(deletedPage.body, /Gelöscht/);
+  const afterDelete = await teacherPost(`/teacher/grade-history/1/1/${versionId}/revert`, {});
+  assert.strictEqual(afterDelete.response.status, 409);
+
+  const removed = await teacherPost(`/teacher/delete-template/1/${templateId}`, {});
+  assert.strictEqual(removed.response.status, 302);
+});
+
+test("draft templates hold grades back until they are published now or on schedule", async () => {
+  const { releaseDueTemplates } = require("./services/gradeReleaseService");
+  const teacherLogin = await loginTeacher();
+  const addGradePage = await fetchWithCookies("/teacher/add-grade/1/1", {}, teacherLogin.cookies);
+  const csrfToken = extractCsrfToken(addGradePage.body);
+  const teacherPost = (path, fields) =>
+    fetchWithCookies(
+      path,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ _csrf: csrfToken, ...fields }).toString(),
+        redirect: "manual"
+      },
+      addGradePage.cookies
+    );
+  const loadNotifications = () =>
+    dbAll(
+      "SELECT id, message, type, created_at, read_at FROM grade_notifications WHERE student_id = ? ORDER BY created_at DESC",
+      [1]
+    );
+  const loadDrafts = (templateId) =>
+    dbAll("SELECT id, student_id FROM grades WHERE grade_template_id = ? AND published_at IS NULL ORDER BY id ASC", [
+      templateId
+    ]);
+
+  const templateName = `Freigabe ${Date.now()}`;
+  const templateFields = {
+    name: templateName,
+    category: "Test",
+    use_profile_settings: "1",
+    date: "2026-05-11"
+  };
+  const pastSchedule = await teacherPost("/teacher/create-template/1", {
+    ...templateFields,
+    release_mode: "scheduled",
+    release_at: "2020-01-01T08:00"
+  });
+  assert.strictEqual(pastSchedule.response.status, 400);
+  assert.match(pastSchedule.body, /muss in der Zukunft liegen/);
+  const created = await teacherPost("/teacher/create-template/1", { ...templateFields, release_mode: "draft" });
+  assert.strictEqual(created.response.status, 302);
+  const templatesPage = await fetchWithCookies("/teacher/grade-templates/1", {}, teacherLogin.cookies);
+  const templateId = (templatesPage.body.match(
+    new RegExp(`action="/teacher/delete-template/1/(\\d+)" data-template-name="${templateName}"`)
+  ) || [])[1];
+  assert.ok(templateId, "Created template missing");
+  assert.match(templatesPage.body, /Noten: Entwurf/);
+  assert.match(templatesPage.body, new RegExp(`action="/teacher/template-release/1/${templateId}"`));
+
+  const notificationsBefore = (await loadNotifications()).length;
+  const graded = await teacherPost("/teacher/add-grade/1/1", { grade_template_id: templateId, grade: "2" });
+  assert.strictEqual(graded.response.status, 302);
+  assert.strictEqual((await loadDrafts(templateId)).length, 1);
+  assert.strictEqual((await loadNotifications()).length, notificationsBefore);
+  const studentPage = await fetchWithCookies("/teacher/student-grades/1/1", {}, teacherLogin.cookies);
+  assert.match(studentPage.body, /Noch nicht veröffentlicht/);
+  const gradeId = (studentPage.body.match(
+    new RegExp(`action="/teacher/delete-grade/1/(\\d+)"[^>]*data-grade-info="${templateName}`)
+  ) || [])[1];
+  assert.ok(gradeId, "Draft grade missing");
+  assert.match(studentPage.body, new RegExp(`action="/teacher/publish-grade/1/${gradeId}"`));
+
+  const releaseAt = new Date(Date.now() + 60 * 60 * 1000);
+  const pad = (part) => String(part).padStart(2, "0");
+  const scheduled = await teacherPost(`/teacher/template-release/1/${templateId}`, {
+    release_mode: "scheduled",
+    release_at: `${releaseAt.getFullYear()}-${pad(releaseAt.getMonth() + 1)}-${pad(releaseAt.getDate())}T${pad(releaseAt.getHours())}:${pad(releaseAt.getMinutes())}`
+  });
+  assert.strictEqual(scheduled.response.status, 302);
+  assert.match(String(scheduled.response.headers.get("location")), /release=scheduled/);
+  assert.strictEqual(await releaseDueTemplates(), 0);
+  assert.strictEqual((await loadDrafts(templateId)).length, 1);
+  assert.strictEqual(await releaseDueTemplates(new Date(Date.now() + 2 * 60 * 60 * 1000)), 1);
+  assert.strictEqual((await loadDrafts(templateId)).length, 0);
+  const notificationsAfter = await loadNotifications();
+  assert.strictEqual(notificationsAfter.length, notificationsBefore + 1);
+  assert.ok(notificationsAfter.some((entry) => entry.message === `Neue Note veröffentlicht: ${templateName}.`));
+  const releasedPage = await fetchWithCookies("/teacher/grade-templates/1", {}, teacherLogin.cookies);
+  assert.doesNotMatch(releasedPage.body, new RegExp(`action="/teacher/template-release/1/${templateId}"`));
+
+  const alreadyPublished = await teacherPost(`/teacher/publish-grade/1/${gradeId}`, {});
+  assert.strictEqual(alreadyPublished.response.status, 404);
+  await teacherPost(`/teacher/delete-grade/1/${gradeId}`, {});
+  const drafted = await teacherPost(`/teacher/template-release/1/${templateId}`, { release_mode: "draft" });
+  assert.strictEqual(drafted.response.status, 302);
+  await teacherPost("/teacher/add-grade/1/1", { grade_template_id: templateId, grade: "3" });
+  const [draftGrade] = await loadDrafts(templateId);
+  assert.ok(draftGrade, "Second draft grade missing");
+  const published = await teacherPost(`/teacher/publish-grade/1/${draftGrade.id}`, {});
+  assert.strictEqual(published.response.status, 302);
+  assert.strictEqual((await loadDrafts(templateId)).length, 0);
+  assert.strictEqual((await loadNotifications()).length, notificationsBefore + 2);
+
+  const removed = await teacherPost(`/teacher/delete-template/1/${templateId}`, {});
+  assert.strictEqual(removed.response.status, 302);
+});
+
+test("held back grades stay hidden from the student until they are published one by one", async () => {
+  const teacherLogin = await loginTeacher();
+  const studentLogin = await loginStudent();
+  const addGradePage = await fetchWithCookies("/teacher/add-grade/1/1", {}, teacherLogin.cookies);
+  assert.match(addGradePage.body, /name="hold_back"/);
+  const csrfToken = extractCsrfToken(addGradePage.body);
+  const teacherPost = (path, fields) =>
+    fetchWithCookies(
+      path,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ _csrf: csrfToken, ...fields }).toString(),
+        redirect: "manual"
+      },
+      addGradePage.cookies
+    );
+  const loadNotifications = () =>
+    dbAll(
+      "SELECT id, message, type, created_at, read_at FROM grade_notifications WHERE student_id = ? ORDER BY created_at DESC",
+      [1]
+    );
+  const studentSeesGrade = async (templateName) => {
+    const grades = await fetchWithCookies(
+      "/student/grades",
+      { headers: { Accept: "application/json" } },
+      studentLogin.cookies
+    );
+    assert.strictEqual(grades.response.status, 200);
+    return JSON.parse(grades.body).grades.some((entry) => entry.title === templateName);
+  };
+
+  const templateName = `Zurückgehalten ${Date.now()}`;
+  const created = await teacherPost("/teacher/create-template/1", {
+    name: templateName,
+    category: "Test",
+    use_profile_settings: "1",
+    date: "2026-05-12",
+    release_mode: "draft"
+  });
+  assert.strictEqual(created.response.status, 302);
+  const templatesPage = await fetchWithCookies("/teacher/grade-templates/1", {}, teacherLogin.cookies);
+  const templateId = (templatesPage.body.match(
+    new RegExp(`action="/teacher/delete-template/1/(\\d+)" data-template-name="${templateName}"`)
+  ) || [])[1];
+  assert.ok(templateId, "Created template missing");
+
+  const notificationsBefore = (await loadNotifications()).length;
+  const graded = await teacherPost("/teacher/add-grade/1/1", {
+    grade_template_id: templateId,
+    grade: "2",
+    hold_back: "1"
+  });
+  assert.strictEqual(graded.response.status, 302);
+  const studentPage = await fetchWithCookies("/teacher/student-grades/1/1", {}, teacherLogin.cookies);
+  const gradeId = (studentPage.body.match(
+    new RegExp(`action="/teacher/delete-grade/1/(\\d+)"[^>]*data-grade-info="${templateName}`)
+  ) || [])[1];
+  assert.ok(gradeId, "Held back grade missing");
+  assert.match(studentPage.body, /Zurückgehalten/);
+
+  // Die Freigabe der Prüfung lässt einzeln zurückgehaltene Noten im Entwurf.
+  const released = await teacherPost(`/teacher/template-release/1/${templateId}`, { release_mode: "now" });
+  assert.strictEqual(released.response.status, 302);
+  assert.strictEqual(await studentSeesGrade(templateName), false);
+  assert.strictEqual((await loadNotifications()).length, notificationsBefore);
+
+  const published = await teacherPost(`/teacher/publish-grade/1/${gradeId}`, {});
+  assert.strictEqual(published.response.status, 302);
+  assert.strictEqual(await studentSeesGrade(templateName), true);
+  assert.strictEqual((await loadNotifications()).length, notificationsBefore + 1);
+
+  const heldBack = await teacherPost(`/teacher/hold-back-grade/1/${gradeId}`, {});
+  assert.strictEqual(heldBack.response.status, 302);
+  assert.strictEqual(await studentSeesGrade(templateName), false);
+  const heldBackTwice = await teacherPost(`/teacher/hold-back-grade/1/${gradeId}`, {});
+  assert.strictEqual(heldBackTwice.response.status, 404);
+
+  const removed = await teacherPost(`/teacher/delete-template/1/${templateId}`, {});
+  assert.strictEqual(removed.response.status, 302);
+});
+
+test("grading profiles are chosen per class subject and fall back to the teacher default", async () => {
+  const teacherLogin = await loginTeacher();
+  const teacherRow = await dbGet("SELECT id FROM users WHERE email = ?", ["teacher@example.com"]);
+  const defaultProfile = await dbGet(
+    "SELECT id FROM teacher_grading_profiles WHERE teacher_id = ? AND is_active = ? ORDER BY id ASC LIMIT 1",
+    [teacherRow.id, 1]
+  );
+  assert.ok(defaultProfile?.id, "Default profile missing");
+  const settingsPage = await fetchWithCookies("/teacher/settings?new=1", {}, teacherLogin.cookies);
+  const csrfToken = extractCsrfToken(settingsPage.body);
+  const teacherPost = (path, fields) =>
+    fetchWithCookies(
+      path,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ _csrf: csrfToken, ...fields }).toString(),
+        redirect: "manual"
+      },
+      settingsPage.cookies
+    );
+
+  const suffix = Date.now();
+  const labProfileName = `Labor ${suffix}`;
+  const saved = await teacherPost("/teacher/settings/save-profile", {
+    profile_name: labProfileName,
+    scoring_mode: "points_or_grade",
+    absence_mode: "exclude",
+    retake_policy: "best",
+    grade1_min_percent: "88.5",
+    grade2_min_percent: "75",
+    grade3_min_percent: "62.5",
+    grade4_min_percent: "50",
+    ma_weight: "5",
+    ma_grade_plus: "1.5",
+    ma_grade_plus_tilde: "2.5",
+    ma_grade_neutral: "3",
+    ma_grade_minus_tilde: "3.5",
+    ma_grade_minus: "4.5",
+    weight_schularbeit: "10",
+    weight_test: "10",
+    weight_projekt: "60",
+    weight_hausaufgabe: "10",
+    weight_mitarbeit: "10",
+    weight_wiederholung: "0"
+  });
+  assert.strictEqual(saved.response.status, 302);
+  const labProfileId = (String(saved.response.headers.get("location")).match(/profile_id=(\d+)/) || [])[1];
+  assert.ok(labProfileId, "Lab profile missing");
+
+  const otherSubjectName = `Chemie ${suffix}`;
+  const createdAssignment = await teacherPost("/teacher/create-class", { class_id: "1", subject: otherSubjectName });
+  assert.strictEqual(createdAssignment.response.status, 302);
+  const classesPage = await fetchWithCookies("/teacher/classes", {}, teacherLogin.cookies);
+  const [, otherClassId, otherSubjectId] =
+    classesPage.body.match(
+      new RegExp(`<h4>${otherSubjectName}</h4>[\\s\\S]*?href="/teacher/students/(\\d+)\\?subject_id=(\\d+)"`)
+    ) || [];
+  assert.ok(otherSubjectId, "Second subject assignment missing");
+  assert.match(classesPage.body, new RegExp(`<h4>${otherSubjectName}</h4>[\\s\\S]*?Profil: [^<]*\\(Standard\\)`));
+
+  const subjectId = [...classesPage.body.matchAll(/href="\/teacher\/students\/1\?subject_id=(\d+)"/g)]
+    .map((match) => match[1])
+    .find((value) => value !== otherSubjectId);
+  assert.ok(subjectId, "Subject assignment missing");
+  await teacherPost("/teacher/class-profile/1", { subject_id: subjectId, grading_profile_id: "" });
+  const studentsPage = await fetchWithCookies(`/teacher/students/1?subject_id=${subjectId}`, {}, teacherLogin.cookies);
+  assert.match(studentsPage.body, /Standardprofil der Lehrkraft/);
+
+  const unknown = await teacherPost("/teacher/class-profile/1", { subject_id: subjectId, grading_profile_id: "999999" });
+  assert.strictEqual(unknown.response.status, 404);
+  const bound = await teacherPost("/teacher/class-profile/1", { subject_id: subjectId, grading_profile_id: labProfileId });
+  assert.strictEqual(bound.response.status, 302);
+  assert.match(String(bound.response.headers.get("location")), /profile_saved=1/);
+
+  const boundPage = await fetchWithCookies(`/teacher/students/1?subject_id=${subjectId}`, {}, teacherLogin.cookies);
+  assert.match(boundPage.body, new RegExp(`Notenprofil: ${labProfileName}`));
+  assert.match(boundPage.body, /Andere Fächer bleiben unverändert\./);
+  const templatesPage = await fetchWithCookies(`/teacher/grade-templates/1?subject_id=${subjectId}`, {}, teacherLogin.cookies);
+  assert.match(templatesPage.body, new RegExp(`Profil: ${labProfileName} \\(Punkte\\)`));
+  const otherPage = await fetchWithCookies(
+    `/teacher/students/${otherClassId}?subject_id=${otherSubjectId}`,
+    {},
+    teacherLogin.cookies
+  );
+  assert.doesNotMatch(otherPage.body, new RegExp(`Notenprofil: ${labProfileName}`));
+  assert.match(otherPage.body, /Standardprofil der Lehrkraft/);
+
+  const settingsWithUsage = await fetchWithCookies("/teacher/settings", {}, teacherLogin.cookies);
+  assert.match(settingsWithUsage.body, /Eigenes Profil für: [^<]*/);
+  assert.match(settingsWithUsage.body, new RegExp(`Als Standard verwendet von: [^<]*${otherSubjectName}`));
+  assert.match(
+    settingsWithUsage.body,
+    /data-confirm-note="Diese Fächer behalten das bisherige Standardprofil als eigenes Profil: /
+  );
+
+  // Ein neues Standardprofil gewichtet kein bestehendes Fach um.
+  const activated = await teacherPost(`/teacher/settings/activate-profile/${labProfileId}`, {});
+  assert.strictEqual(activated.response.status, 302);
+  assert.match(String(activated.response.headers.get("location")), /pinned=1/);
+  const pinnedPage = await fetchWithCookies(String(activated.response.headers.get("location")), {}, teacherLogin.cookies);
+  assert.match(pinnedPage.body, /1 Fach behält das bisherige Standardprofil als eigenes Profil\./);
+  const switchedOther = await fetchWithCookies(
+    `/teacher/students/${otherClassId}?subject_id=${otherSubjectId}`,
+    {},
+    teacherLogin.cookies
+  );
+  assert.doesNotMatch(switchedOther.body, new RegExp(`Notenprofil: ${labProfileName}`));
+  assert.doesNotMatch(switchedOther.body, /Standardprofil der Lehrkraft/);
+  await teacherPost(`/teacher/settings/activate-profile/${defaultProfile.id}`, {});
+  const stillBound = await fetchWithCookies(`/teacher/students/1?subject_id=${subjectId}`, {}, teacherLogin.cookies);
+  assert.match(stillBound.body, new RegExp(`Notenprofil: ${labProfileName}`));
+
+  const reset = await teacherPost("/teacher/class-profile/1", { subject_id: subjectId, grading_profile_id: "" });
+  assert.strictEqual(reset.response.status, 302);
+  const resetPage = await fetchWithCookies(`/teacher/students/1?subject_id=${subjectId}`, {}, teacherLogin.cookies);
+  assert.match(resetPage.body, /Standardprofil der Lehrkraft/);
+
+  await teacherPost("/teacher/class-profile/1", { subject_id: subjectId, grading_profile_id: labProfileId });
+  const blocked = await teacherPost(`/teacher/settings/delete-profile/${labProfileId}`, {});
+  assert.strictEqual(blocked.response.status, 409);
+  assert.match(blocked.body, /Das Profil wird noch verwendet von: /);
+  const stillLab = await fetchWithCookies(`/teacher/students/1?subject_id=${subjectId}`, {}, teacherLogin.cookies);
+  assert.match(stillLab.body, new RegExp(`Notenprofil: ${labProfileName}`));
+
+  await teacherPost("/teacher/class-profile/1", { subject_id: subjectId, grading_profile_id: "" });
+  const deleted = await teacherPost(`/teacher/settings/delete-profile/${labProfileId}`, {});
+  assert.strictEqual(deleted.response.status, 302);
+  const afterDelete = await fetchWithCookies(`/teacher/students/1?subject_id=${subjectId}`, {}, teacherLogin.cookies);
+  assert.match(afterDelete.body, /Standardprofil der Lehrkraft/);
+  await teacherPost(`/teacher/delete-class/${otherClassId}`, { subject_id: otherSubjectId });
+});
+
+test("templates keep their own grade thresholds and a curve recomputes grades derived from points", async () => {
+  const activeSchoolYear = await dbGet(
+    "SELECT id, name, start_date, end_date, is_active FROM school_years WHERE is_active = ? ORDER BY id DESC LIMIT 1",
+    [1]
+  );
+  const suffix = Date.now();
+  const curveStudents = [];
+  for (const name of [`Kurve Auto ${suffix}`, `Kurve Hand ${suffix}`]) {
+    const insert = await dbRun(
+      "INSERT INTO students (name, email, class_id, school_year) VALUES (?,?,?,?)",
+      [name, `${name.replace(/ /g, ".").toLowerCase()}@example.com`, 1, activeSchoolYear.name]
+    );
+    curveStudents.push(insert.lastID);
+  }
+  const [autoStudentId, manualStudentId] = curveStudents;
+
+  const teacherLogin = await loginTeacher();
+  const createPage = await fetchWithCookies("/teacher/create-template/1", {}, teacherLogin.cookies);
+  assert.match(createPage.body, /Eigener Notenschlüssel \(optional\)/);
+  const csrfToken = extractCsrfToken(createPage.body);
+  const teacherPost = (path, fields) =>
+    fetchWithCookies(
+      path,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ _csrf: csrfToken, ...fields }).toString(),
+        redirect: "manual"
+      },
+      createPage.cookies
+    );
+
+  const templateName = `Kurve ${suffix}`;
+  const partial = await teacherPost("/teacher/create-template/1", {
+    name: templateName,
+    category: "Test",
+    weight: "10",
+    max_points: "100",
+    grade1_min_percent: "90"
+  });
+  assert.strictEqual(partial.response.status, 400);
+  assert.match(partial.body, /alle vier Grenzen/);
+  const created = await teacherPost("/teacher/create-template/1", {
+    name: templateName,
+    category: "Test",
+    weight: "10",
+    max_points: "100"
+  });
+  assert.strictEqual(created.response.status, 302);
+  const templatesPage = await fetchWithCookies("/teacher/grade-templates/1", {}, teacherLogin.cookies);
+  const templateId = (templatesPage.body.match(
+    new RegExp(`action="/teacher/delete-template/1/(\\d+)" data-template-name="${templateName}"`)
+  ) || [])[1];
+  assert.ok(templateId, "Created template missing");
+
+  const autoGraded = await teacherPost(`/teacher/add-grade/1/${autoStudentId}`, {
+    grade_template_id: templateId,
+    points_achieved: "70"
+  });
+  assert.strictEqual(autoGraded.response.status, 302);
+  const manualGraded = await teacherPost(`/teacher/add-grade/1/${manualStudentId}`, {
+    grade_template_id: templateId,
+    points_achieved: "70",
+    grade: "1"
+  });
+  assert.strictEqual(manualGraded.response.status, 302);
+  const gradeOf = async (studentId) => {
+    const rows = await dbAll(
+      `SELECT g.id, g.student_id, g.grade, g.points_achieved, g.points_max, g.is_absent, s.name AS student_name
+       FROM grades g
+       JOIN students s ON s.id = g.student_id
+       WHERE g.grade_template_id = ? AND g.class_id = ?
+       ORDER BY s.name ASC, g.id ASC`,
+      [templateId, 1]
+    );
+    return rows.find((row) => Number(row.student_id) === Number(studentId));
+  };
+  assert.strictEqual(Number((await gradeOf(autoStudentId)).grade), 3);
+
+  const curveQuery = "curve=1&grade1_min_percent=80&grade2_min_percent=65&grade3_min_percent=50&grade4_min_percent=40";
+  const invalidPreview = await fetchWithCookies(
+    `/teacher/bulk-grade-template/1/${templateId}?curve=1&grade1_min_percent=50&grade2_min_percent=65&grade3_min_percent=50&grade4_min_percent=40`,
+    {},
+    teacherLogin.cookies
+  );
+  assert.strictEqual(invalidPreview.response.status, 400);
+  assert.match(invalidPreview.body, /streng fallend/);
+  const preview = await fetchWithCookies(`/teacher/bulk-grade-template/1/${templateId}?${curveQuery}`, {}, teacherLogin.cookies);
+  assert.strictEqual(preview.response.status, 200);
+  assert.match(preview.body, new RegExp(`Kurve Auto ${suffix}: 3 → 2 \\(70%\\)`));
+  assert.doesNotMatch(preview.body, new RegExp(`Kurve Hand ${suffix}: `));
+  assert.match(preview.body, /1 händisch gesetzte Note bleiben unverändert/);
+  assert.strictEqual(Number((await gradeOf(autoStudentId)).grade), 3);
+
+  const invalidApply = await teacherPost(`/teacher/grade-curve/1/${templateId}`, {
+    grade1_min_percent: "80",
+    grade2_min_percent: "abc",
+    grade3_min_percent: "50",
+    grade4_min_percent: "40"
+  });
+  assert.strictEqual(invalidApply.response.status, 400);
+  const applied = await teacherPost(`/teacher/grade-curve/1/${templateId}`, {
+    grade1_min_percent: "80",
+    grade2_min_percent: "65",
+    grade3_min_percent: "50",
+    grade4_min_percent: "40",
+    change_reason: "Prüfung war zu schwer"
+  });
+  assert.strictEqual(applied.response.status, 302);
+  assert.match(String(applied.response.headers.get("location")), new RegExp(`/teacher/bulk-grade-template/1/${templateId}\\?curved=1`));
+  assert.strictEqual(Number((await gradeOf(autoStudentId)).grade), 2);
+  assert.strictEqual(Number((await gradeOf(manualStudentId)).grade), 1);
+
+  const curvedPage = await fetchWithCookies(`/teacher/bulk-grade-template/1/${templateId}?curved=1`, {}, teacherLogin.cookies);
+  assert.match(curvedPage.body, /Notenschlüssel übernommen, 1 Note neu berechnet\./);
+  const curvedTemplates = await fetchWithCookies("/teacher/grade-templates/1", {}, teacherLogin.cookies);
+  assert.match(curvedTemplates.body, /Eigener Notenschlüssel: 1 ab 80%, 2 ab 65%, 3 ab 50%, 4 ab 40%/);
+  const historyPage = await fetchWithCookies(`/teacher/student-grades/1/${autoStudentId}`, {}, teacherLogin.cookies);
+  assert.match(historyPage.body, /Note 3 · 70\/100 Punkte → Note 2 · 70\/100 Punkte/);
+  assert.match(historyPage.body, /Notenschlüssel angepasst \(1 ab 80%, 2 ab 65%, 3 ab 50%, 4 ab 40%\)\. Prüfung war zu schwer/);
+
+  // Neue Punkte werden mit dem Notenschlüssel der Prüfung bewertet.
+  const regraded = await teacherPost(`/teacher/bulk-grade-template/1/${templateId}`, {
+    [`points_achieved[s_${autoStudentId}]`]: "55"
+  });
+  assert.strictEqual(regraded.response.status, 302);
+  assert.strictEqual(Number((await gradeOf(autoStudentId)).grade), 3);
+
+  const editPage = await fetchWithCookies(`/teacher/edit-template/1/${templateId}`, {}, teacherLogin.cookies);
+  assert.match(editPage.body, /name="grade1_min_percent"[\s\S]*?value="80"/);
+  const editedBack = await teacherPost(`/teacher/edit-template/1/${templateId}`, {
+    name: templateName,
+    category: "Test",
+    weight: "10",
+    max_points: "100"
+  });
+  assert.strictEqual(editedBack.response.status, 302);
+  assert.strictEqual(Number((await gradeOf(autoStudentId)).grade), 4);
+  assert.strictEqual(Number((await gradeOf(manualStudentId)).grade), 1);
+
+  const removed = await teacherPost(`/teacher/delete-template/1/${templateId}`, {});
+  assert.strictEqual(removed.response.status, 302);
+});
+
+test("absences are excused with a doctor's note and open make-ups show up for teacher and student", async () => {
+  const activeSchoolYear = await dbGet(
+    "SELECT id, name, start_date, end_date, is_active FROM school_years WHERE is_active = ? ORDER BY id DESC LIMIT 1",
+    [1]
+  );
+  const suffix = Date.now();
+  const presentInsert = await dbRun(
+    "INSERT INTO students (name, email, class_id, school_year) VALUES (?,?,?,?)",
+    [`Anwesend ${suffix}`, `anwesend.${suffix}@example.com`, 1, activeSchoolYear.name]
+  );
+  const presentStudentId = presentInsert.lastID;
+  const absentStudent = await dbGet(
+    "SELECT id, name, email FROM students WHERE LOWER(email) = LOWER(?) ORDER BY id DESC LIMIT 1",
+    ["student@example.com"]
+  );
+
+  const teacherLogin = await loginTeacher();
+  const templatesPage = await fetchWithCookies("/teacher/grade-templates/1", {}, teacherLogin.cookies);
+  const csrfToken = extractCsrfToken(templatesPage.body);
+  const teacherPost = (path, fields) =>
+    fetchWithCookies(
+      path,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ _csrf: csrfToken, ...fields }).toString(),
+        redirect: "manual"
+      },
+      templatesPage.cookies
+    );
+
+  const templateName = `Versäumt ${suffix}`;
+  const created = await teacherPost("/teacher/create-template/1", {
+    name: templateName,
+    category: "Test",
+    weight: "10",
+    date: "2026-03-02"
+  });
+  assert.strictEqual(created.response.status, 302);
+  const refreshedTemplates = await fetchWithCookies("/teacher/grade-templates/1", {}, teacherLogin.cookies);
+  const templateId = (refreshedTemplates.body.match(
+    new RegExp(`action="/teacher/delete-template/1/(\\d+)" data-template-name="${templateName}"`)
+  ) || [])[1];
+  assert.ok(templateId, "Created template missing");
+
+  const absent = await teacherPost(`/teacher/add-grade/1/${absentStudent.id}`, { grade_template_id: templateId, is_absent: "1" });
+  assert.strictEqual(absent.response.status, 302);
+  const present = await teacherPost(`/teacher/add-grade/1/${presentStudentId}`, { grade_template_id: templateId, grade: "2" });
+  assert.strictEqual(present.response.status, 302);
+  const templateGrades = await dbAll(
+    `SELECT g.id, g.student_id, g.grade, g.points_achieved, g.points_max, g.is_absent, s.name AS student_name
+     FROM grades g
+     JOIN students s ON s.id = g.student_id
+     WHERE g.grade_template_id = ? AND g.class_id = ?
+     ORDER BY s.name ASC, g.id ASC`,
+    [templateId, 1]
+  );
+  const absentGradeId = templateGrades.find((row) => Number(row.student_id) === Number(absentStudent.id)).id;
+  const presentGradeId = templateGrades.find((row) => Number(row.student_id) === Number(presentStudentId)).id;
+
+  const studentGradesPage = await fetchWithCookies(`/teacher/student-grades/1/${absentStudent.id}`, {}, teacherLogin.cookies);
+  assert.match(studentGradesPage.body, new RegExp(`href="/teacher/grade-absence/1/${absentGradeId}"`));
+  const notAbsent = await fetchWithCookies(`/teacher/grade-absence/1/${presentGradeId}`, {}, teacherLogin.cookies);
+  assert.strictEqual(notAbsent.response.status, 400);
+  assert.match(notAbsent.body, /Nur Abwesenheiten/);
+
+  const absencePage = await fetchWithCookies(`/teacher/grade-absence/1/${absentGradeId}`, {}, teacherLogin.cookies);
+  assert.strictEqual(absencePage.response.status, 200);
+  assert.match(absencePage.body, new RegExp(templateName));
+  const invalidDate = await teacherPost(`/teacher/grade-absence/1/${absentGradeId}`, {
+    absence_status: "excused",
+    makeup_date: "2026-02-31"
+  });
+  assert.strictEqual(invalidDate.response.status, 400);
+  assert.match(invalidDate.body, /gültiges Datum für den Nachtermin/);
+
+  const saved = await teacherPost(`/teacher/grade-absence/1/${absentGradeId}`, {
+    absence_status: "excused",
+    makeup_date: "2099-03-16"
+  });
+  assert.strictEqual(saved.response.status, 302);
+  assert.match(String(saved.response.headers.get("location")), new RegExp(`/teacher/grade-absence/1/${absentGradeId}\\?saved=1`));
+  const savedPage = await fetchWithCookies(`/teacher/grade-absence/1/${absentGradeId}?saved=1`, {}, teacherLogin.cookies);
+  assert.match(savedPage.body, /Abwesenheit gespeichert\./);
+  assert.match(savedPage.body, /<option value="excused" selected>/);
+  assert.match(savedPage.body, /name="makeup_date" value="2099-03-16"/);
+
+  const noteForm = new FormData();
+  noteForm.append("_csrf", csrfToken);
+  noteForm.append("absence_status", "excused");
+  noteForm.append("makeup_date", "2099-03-16");
+  noteForm.append("absence_note_file", new Blob(["%PDF-1.4\n%%EOF\n"], { type: "application/pdf" }), "attest.pdf");
+  const withNote = await fetchWithCookies(
+    `/teacher/grade-absence/1/${absentGradeId}`,
+    { method: "POST", body: noteForm, redirect: "manual" },
+    templatesPage.cookies
+  );
+  assert.strictEqual(withNote.response.status, 302);
+  const classRow = await dbGet("SELECT id, subject_id FROM classes WHERE id = ?", [1]);
+  const storedNote = await dbGet(
+    "SELECT g.id, g.student_id, g.class_id, g.is_absent, g.grade_template_id AS template_id, gt.name AS template_name, gt.date AS template_date, s.name AS student_name, a.grade_id AS absence_grade_id, a.status, a.note_path, a.note_original_name, a.note_mime, a.makeup_date, a.updated_at FROM grades g JOIN grade_templates gt ON gt.id = g.grade_template_id JOIN students s ON s.id = g.student_id LEFT JOIN grade_absences a ON a.grade_id = g.id WHERE g.id = ? AND g.class_id = ? AND gt.subject_id = ?",
+    [absentGradeId, 1, classRow.subject_id]
+  );
+  assert.ok(storedNote.note_path, "Stored note missing");
+  const notePath = path.join(__dirname, "uploads", "grade-attachments", storedNote.note_path);
+  assert.ok(fs.existsSync(notePath));
+
+  const makeupsPage = await fetchWithCookies("/teacher/makeups/1", {}, teacherLogin.cookies);
+  assert.strictEqual(makeupsPage.response.status, 200);
+  const classMakeupsPage = await fetchWithCookies("/teacher/makeups-review/1", {}, teacherLogin.cookies);
+  assert.strictEqual(classMakeupsPage.response.status, 200);
+  assert.match(classMakeupsPage.body, new RegExp(`${absentStudent.name}[\\s\\S]*?${templateName}[\\s\\S]*?16\\.03\\.2099`));
+  const excusedGradesPage = await fetchWithCookies(`/teacher/student-grades/1/${absentStudent.id}`, {}, teacherLogin.cookies);
+  assert.match(excusedGradesPage.body, /Nicht gewichtet: entschuldigt oder Nachtermin offen\./);
+  assert.match(makeupsPage.body, new RegExp(`${templateName}[\\s\\S]*?Entschuldigt[\\s\\S]*?16\\.03\\.2099`));
+
+  const studentLogin = await loginStudent();
+  const tasks = JSON.parse((await fetchWithCookies("/student/tasks?format=json", {}, studentLogin.cookies)).body).tasks;
+  const task = tasks.find((entry) => entry.title === templateName);
+  assert.ok(task, "Make-up task missing");
+  assert.strictEqual(task.makeup, true);
+  assert.strictEqual(task.graded, false);
+  assert.match(String(task.due_at), /^2099-03-16/);
+  assert.strictEqual(task.absence_status_label, "Entschuldigt");
+
+  // Mit einer echten Note ist der Nachtermin erledigt.
+  const makeupDone = await teacherPost(`/teacher/bulk-grade-template/1/${templateId}`, {
+    [`grade[s_${absentStudent.id}]`]: "3"
+  });
+  assert.strictEqual(makeupDone.response.status, 302);
+  const doneGrades = await dbAll(
+    `SELECT g.id, g.student_id, g.grade, g.points_achieved, g.points_max, g.is_absent, s.name AS student_name
+     FROM grades g
+     JOIN students s ON s.id = g.student_id
+     WHERE g.grade_template_id = ? AND g.class_id = ?
+     ORDER BY s.name ASC, g.id ASC`,
+    [templateId, 1]
+  );
+  const doneGrade = doneGrades.find((row) => Number(row.student_id) === Number(absentStudent.id));
+  assert.strictEqual(Number(doneGrade.grade), 3);
+  assert.ok(!doneGrade.is_absent);
+  const afterMakeupPage = await fetchWithCookies("/teacher/makeups/1", {}, teacherLogin.cookies);
+  assert.doesNotMatch(afterMakeupPage.body, new RegExp(templateName));
+
+  // Nach dem Nachtermin bleibt die Bestätigung abrufbar und wird mit der Note gelöscht.
+  const noteAfterMakeup = await fetchWithCookies(`/teacher/grade-absence/1/${absentGradeId}/note`, {}, teacherLogin.cookies);
+  assert.strictEqual(noteAfterMakeup.response.status, 200);
+  assert.match(noteAfterMakeup.body, /^%PDF-1\.4/);
+  const gradesAfterMakeup = await fetchWithCookies(`/teacher/student-grades/1/${absentStudent.id}`, {}, teacherLogin.cookies);
+  assert.match(gradesAfterMakeup.body, /Nachgeholt nach Abwesenheit: Entschuldigt/);
+  assert.match(gradesAfterMakeup.body, new RegExp(`href="/teacher/grade-absence/1/${absentGradeId}/note"`));
+  const gradeDeleted = await teacherPost(`/teacher/delete-grade/1/${absentGradeId}`, {});
+  assert.strictEqual(gradeDeleted.response.status, 302);
+  assert.ok(!fs.existsSync(notePath));
+
+  const removed = await teacherPost(`/teacher/delete-template/1/${templateId}`, {});
+  assert.strictEqual(removed.response.status, 302);
+});
+
+test("session overview ignores a forged forwarded header when no proxy is trusted", async () => {
+  const email = `ip.check.${Date.now()}@example.com`;
+  await dbRun(
+    "INSERT INTO users (email, password_hash, role, status, must_change_password) VALUES (?,?,?,?,?)",
+    [email, hashPassword("IpCheckPass123!"), "student", "active", 0]
+  );
+  const loginPage = await fetchWithCookies("/login");
+  const loginResponse = await fetchWithCookies(
+    "/login",
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+        "X-Forwarded-For": "203.0.113.66, 198.51.100.7"
+      },
+      body: new URLSearchParams({
+        _csrf: extractCsrfToken(loginPage.body),
+        email,
+        password: "IpCheckPass123!"
+      }).toString(),
+      redirect: "manual"
+    },
+    loginPage.cookies
+  );
+  assert.strictEqual(loginResponse.response.status, 302);
+
+  const sessionsPage = await fetchWithCookies("/account/sessions", {}, loginResponse.cookies);
+  assert.strictEqual(sessionsPage.response.status, 200);
+  assert.match(sessionsPage.body, /IP (::ffff:)?127\.0\.0\.1/);
+  assert.doesNotMatch(sessionsPage.body, /203\.0\.113\.66|198\.51\.100\.7/);
+});
+
+test("reset links come from APP_BASE_URL and are refused without it outside development", async () => {
+  const email = `reset.link.${Date.now()}@example.com`;
+  await dbRun(
+    "INSERT INTO users (email, password_hash, role, status, must_change_password) VALUES (?,?,?,?,?)",
+    [email, hashPassword("ResetLink12345!"), "student", "active", 0]
+  );
+  const requestReset = async (headers = {}) => {
+    const requestPage = await fetchWithCookies("/password-reset");
+    return fetchWithCookies(
+      "/password-reset",
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded", ...headers },
+        body: new URLSearchParams({ _csrf: extractCsrfToken(requestPage.body), email }).toString()
+      },
+      requestPage.cookies
+    );
+  };
+
+  const previousBaseUrl = process.env.APP_BASE_URL;
+  try {
+    clearMemoryOutbox();
+    process.env.APP_BASE_URL = "https://noten.example.test/";
+    const configured = await requestReset({ "X-Forwarded-Host": "attacker.example" });
+    assert.strictEqual(configured.response.status, 200);
+    const outbox = await waitForMemoryOutbox(1);
+    assert.strictEqual(outbox.length, 1);
+    assert.match(outbox[0].text, /https:\/\/noten\.example\.test\/password-reset\/[A-Za-z0-9_-]+/);
+    assert.doesNotMatch(outbox[0].text, /attacker\.example|127\.0\.0\.1/);
+
+    clearMemoryOutbox();
+    delete process.env.APP_BASE_URL;
+    process.env.NODE_ENV = "production";
+    const unconfigured = await requestReset();
+    assert.strictEqual(unconfigured.response.status, 500);
+    assert.strictEqual(getMemoryOutbox().length, 0);
+  } finally {
+    process.env.NODE_ENV = "test";
+    if (previousBaseUrl === undefined) delete process.env.APP_BASE_URL;
+    else process.env.APP_BASE_URL = previousBaseUrl;
+  }
+});
+
+test("password reset requests are throttled through the shared attempt store", async () => {
+  const email = `reset.limit.${Date.now()}@example.com`;
+  await dbRun(
+    "INSERT INTO users (email, password_hash, role, status, must_change_password) VALUES (?,?,?,?,?)",
+    [email, hashPassword("ResetLimit12345!"), "student", "active", 0]
+  );
+  clearMemoryOutbox();
+  for (let attempt = 0; attempt < 4; attempt += 1) {
+    const requestPage = await fetchWithCookies("/password-reset");
+    const response = await fetchWithCookies(
+      "/password-reset",
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ _csrf: extractCsrfToken(requestPage.body), email }).toString()
+      },
+      requestPage.cookies
+    );
+    assert.strictEqual(response.response.status, 200);
+    assert.match(response.body, /Falls ein aktives Konto mit dieser E-Mail-Adresse existiert/);
+  }
+  await waitForMemoryOutbox(4);
+  assert.strictEqual(getMemoryOutbox().filter((mail) => mail.to === email).length, 3);
+
+  // Der Zähler liegt in login_attempts und übersteht damit einen Neustart.
+  const { buildLoginKey } = require("./services/loginThrottleService");
+  const stored = await dbGet(
+    "SELECT attempt_key, failure_count, window_started_at, locked_until FROM login_attempts WHERE attempt_key = ?",
+    [`reset|${buildLoginKey("::ffff:127.0.0.1", email)}`]
+  );
+  assert.strictEqual(Number(stored?.failure_count), 4);
+});
+
+test("reverting a grade clears task points that no longer match the restored grade", async () => {
+  const teacherLogin = await loginTeacher();
+  const createPage = await fetchWithCookies("/teacher/create-template/1", {}, teacherLogin.cookies);
+  assert.strictEqual(createPage.response.status, 200);
+  const csrfToken = extractCsrfToken(createPage.body);
+  const teacherPost = (path, fields) =>
+    fetchWithCookies(
+      path,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ _csrf: csrfToken, ...fields }).toString(),
+        redirect: "manual"
+      },
+      createPage.cookies
+    );
+
+  const templateName = `Verlauf Teile ${Date.now()}`;
+  const created = await teacherPost("/teacher/create-template/1", {
+    name: templateName,
+    category: "Test",
+    use_profile_settings: "1",
+    date: "2026-05-06",
+    tasks: "Aufgabe 1; 10\nAufgabe 2; 10"
+  });
+  assert.strictEqual(created.response.status, 302);
+  const templatesPage = await fetchWithCookies("/teacher/grade-templates/1", {}, teacherLogin.cookies);
+  const templateId = (templatesPage.body.match(
+    new RegExp(`action="/teacher/delete-template/1/(\\d+)" data-template-name="${templateName}"`)
+  ) || [])[1];
+  assert.ok(templateId, "Created template missing");
+
+  const bulkPath = `/teacher/bulk-grade-template/1/${templateId}`;
+  const bulkPage = await fetchWithCookies(bulkPath, {}, teacherLogin.cookies);
+  const taskIds = Array.from(bulkPage.body.matchAll(/name="task_t(\d+)\[s_1\]"/g), (match) => match[1]);
+  assert.strictEqual(taskIds.length, 2);
+  const taskFields = (values) =>
+    Object.fromEntries(values.map((value, index) => [`task_t${taskIds[index]}[s_1]`, String(value)]));
+  const listPoints = () =>
+    dbAll(
+      "SELECT gtp.grade_id, gtp.task_id, gtp.points, g.student_id FROM grade_task_points gtp JOIN grade_template_tasks gtt ON gtt.id = gtp.task_id JOIN grades g ON g.id = gtp.grade_id WHERE gtt.template_id = ?",
+      [templateId]
+    );
+
+  const first = await teacherPost(bulkPath, taskFields([9, 9]));
+  assert.strictEqual(first.response.status, 302);
+  const changed = await teacherPost(bulkPath, { ...taskFields([3, 2]), change_reason: "Nachkorrektur" });
+  assert.strictEqual(changed.response.status, 302);
+  assert.strictEqual((await listPoints()).length, 2);
+
+  const studentPage = await fetchWithCookies("/teacher/student-grades/1/1", {}, teacherLogin.cookies);
+  const versionId = (studentPage.body.match(/action="\/teacher\/grade-history\/1\/1\/(\d+)\/revert"/) || [])[1];
+  assert.ok(versionId, "Revertible version missing");
+  const reverted = await teacherPost(`/teacher/grade-history/1/1/${versionId}/revert`, { reason: "Falsch übertragen" });
+  assert.strictEqual(reverted.response.status, 302);
+  assert.strictEqual((await listPoints()).length, 0);
+
+  const revertedPage = await fetchWithCookies("/teacher/student-grades/1/1?reverted=1", {}, teacherLogin.cookies);
+  assert.match(revertedPage.body, /Falsch übertragen/);
+  assert.match(revertedPage.body, /Teilaufgaben-Punkte entfernt, da sie nicht zur wiederhergestellten Note passen\./);
+
+  const removed = await teacherPost(`/teacher/delete-template/1/${templateId}`, {});
+  assert.strictEqual(removed.response.status, 302);
 });
@@ -0,0 +1,155 @@
+const absenceModel = require("../models/absenceModel");
+const { formatDateLabel } = require("./termService");
+const { toDateKey } = require("../utils/gradingEngine");
+
+const ABSENCE_STATUS_OPTIONS = [
+  { value: "unexcused", label: "Unentschuldigt" },
+  { value: "excused", label: "Entschuldigt" }
+];
+const DEFAULT_ABSENCE_STATUS = "unexcused";
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function createAbsenceError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Das Muster allein lässt Tage wie den 31.02. durch.
+function isCalendarDate(value) {
+  if (!DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+function normalizeAbsenceStatus(value) {
+  const status = String(value || "").trim();
+  return ABSENCE_STATUS_OPTIONS.some((option) => option.value === status) ? status : DEFAULT_ABSENCE_STATUS;
+}
+
+function getAbsenceStatusLabel(value) {
+  const status = normalizeAbsenceStatus(value);
+  return ABSENCE_STATUS_OPTIONS.find((option) => option.value === status).label;
+}
+
+// Ein Nachtermin ist offen, solange die Note noch als Abwesenheit gespeichert ist.
+function describeAbsence(row, todayKey = toDateKey(new Date())) {
+  const makeupDate = toDateKey(row?.makeup_date);
+  const makeupOpen = Boolean(row?.is_absent) && Boolean(makeupDate);
+  return {
+    status: normalizeAbsenceStatus(row?.status),
+    status_label: getAbsenceStatusLabel(row?.status),
+    makeup_date: makeupDate,
+    makeup_label: makeupDate ? formatDateLabel(makeupDate) : null,
+    makeup_open: makeupOpen,
+    makeup_overdue: makeupOpen && makeupDate < todayKey,
+    has_note: Boolean(row?.note_original_name || row?.note_path),
+    note_name: row?.note_original_name || null
+  };
+}
+
+function readAbsenceInput(body = {}) {
+  const rawStatus = String(body.absence_status || "").trim();
+  if (rawStatus && !ABSENCE_STATUS_OPTIONS.some((option) => option.value === rawStatus)) {
+    throw createAbsenceError("Ungültiger Status der Abwesenheit.");
+  }
+  const makeupDate = String(body.makeup_date || "").trim();
+  if (makeupDate && !isCalendarDate(makeupDate)) {
+    throw createAbsenceError("Bitte ein gültiges Datum für den Nachtermin angeben.");
+  }
+  return {
+    status: normalizeAbsenceStatus(rawStatus),
+    makeupDate: makeupDate || null,
+    removeNote: ["1", "on", "true"].includes(String(body.remove_note || "").toLowerCase())
+  };
+}
+
+async function loadGradeAbsence(gradeId, classId, subjectId) {
+  const row = await absenceModel.findGradeAbsence(gradeId, classId, subjectId);
+  if (!row) {
+    throw createAbsenceError("Note nicht gefunden.", 404);
+  }
+  if (!row.is_absent) {
+    throw createAbsenceError("Nur Abwesenheiten können entschuldigt oder nachgeholt werden.");
+  }
+  return { ...row, absence: describeAbsence(row) };
+}
+
+// Ein neues Attest ersetzt das bisherige; die ersetzte Datei wird zurückgegeben, damit sie gelöscht werden kann.
+async function saveGradeAbsence({ grade, input, uploadedNote, actorId }) {
+  const keepNote = !uploadedNote && !input.removeNote && grade.note_path;
+  const note = uploadedNote || (keepNote
+    ? { path: grade.note_path, originalName: grade.note_original_name, mime: grade.note_mime }
+    : null);
+  const payload = {
+    gradeId: grade.id,
+    status: input.status,
+    notePath: note?.path || null,
+    noteOriginalName: note?.originalName || null,
+    noteMime: note?.mime || null,
+    makeupDate: input.makeupDate,
+    updatedBy: actorId
+  };
+  if (grade.absence_grade_id != null) {
+    await absenceModel.updateAbsence(payload);
+  } else {
+    await absenceModel.insertAbsence(payload);
+  }
+  return {
+    replacedNotePath: grade.note_path && grade.note_path !== payload.notePath ? grade.note_path : null
+  };
+}
+
+// Die Bestätigung bleibt auch nach dem Nachtermin abrufbar, wenn die Note keine Abwesenheit mehr ist.
+async function loadAbsenceNote(gradeId, classId, subjectId) {
+  const row = await absenceModel.findGradeAbsence(gradeId, classId, subjectId);
+  if (!row) {
+    throw createAbsenceError("Note nicht gefunden.", 404);
+  }
+  if (!row.note_path) {
+    throw createAbsenceError("Keine Bestätigung hinterlegt.", 404);
+  }
+  return row;
+}
+
+async function findAbsenceNotePath(gradeId, classId, subjectId) {
+  const row = await absenceModel.findGradeAbsence(gradeId, classId, subjectId);
+  return row?.note_path || null;
+}
+
+async function mapStudentAbsences(studentId) {
+  const rows = await absenceModel.listAbsencesForStudent(studentId);
+  return new Map(rows.map((row) => [String(row.grade_id), describeAbsence(row)]));
+}
+
+function describeOpenMakeup(row) {
+  return {
+    ...row,
+    template_date_label: row.template_date ? formatDateLabel(toDateKey(row.template_date)) : "-",
+    absence: describeAbsence({ ...row, is_absent: true })
+  };
+}
+
+async function listOpenMakeups(classId, subjectId) {
+  const rows = await absenceModel.listOpenMakeups(classId, subjectId);
+  return rows.map(describeOpenMakeup);
+}
+
+// Für den Klassenvorstand: alle offenen Nachtermine der Klasse über alle Fächer.
+async function listClassOpenMakeups(classId) {
+  const rows = await absenceModel.listOpenMakeupsForClass(classId);
+  return rows.map(describeOpenMakeup);
+}
+
+module.exports = {
+  ABSENCE_STATUS_OPTIONS,
+  describeAbsence,
+  findAbsenceNotePath,
+  listClassOpenMakeups,
+  listOpenMakeups,
+  loadAbsenceNote,
+  loadGradeAbsence,
+  mapStudentAbsences,
+  readAbsenceInput,
+  saveGradeAbsence
+};
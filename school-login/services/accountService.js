@@ -0,0 +1,66 @@
+const { hashPassword, verifyPassword } = require("../db");
+const accountModel = require("../models/accountModel");
+const loginThrottleService = require("./loginThrottleService");
+const roleService = require("./roleService");
+const twoFactorService = require("./twoFactorService");
+const { getPasswordValidationError } = require("../utils/password");
+
+function createAccountError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function formatTimestamp(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toLocaleString("de-AT", { dateStyle: "medium", timeStyle: "short" });
+}
+
+async function getAccountOverview(userId) {
+  const account = await accountModel.findAccount(userId);
+  if (!account) throw createAccountError("Konto nicht gefunden.", 404);
+  const [assignedRole, twoFactor] = await Promise.all([
+    roleService.resolveAssignableRole(roleService.resolveRoleKey(account)),
+    twoFactorService.getTwoFactorStatus(userId)
+  ]);
+  return {
+    email: account.email,
+    roleLabel: assignedRole?.label || account.role,
+    lastLoginLabel: formatTimestamp(account.last_login),
+    createdAtLabel: formatTimestamp(account.created_at),
+    twoFactorAvailable: Boolean(twoFactor?.available),
+    twoFactorEnabled: Boolean(twoFactor?.enabled)
+  };
+}
+
+// Fehlversuche zählen wie beim Login, damit eine gestohlene Sitzung das Passwort nicht durchprobieren kann.
+async function changePassword(userId, { currentPassword, newPassword, confirmPassword }, context = {}) {
+  const account = await accountModel.findAccount(userId);
+  if (!account) throw createAccountError("Konto nicht gefunden.", 404);
+  const attemptKey = `password|${account.id}`;
+  if (await loginThrottleService.isRateLimited(attemptKey)) {
+    throw createAccountError("Zu viele Versuche. Bitte später erneut versuchen.", 429);
+  }
+  if (!currentPassword || !verifyPassword(account.password_hash, String(currentPassword))) {
+    await loginThrottleService.recordFailedAttempt(attemptKey, account.email);
+    await loginThrottleService.recordAccountFailure(account, context);
+    throw createAccountError("Das aktuelle Passwort ist nicht korrekt.");
+  }
+  await loginThrottleService.resetAfterSuccessfulLogin(attemptKey);
+  if (String(newPassword || "") !== String(confirmPassword || "")) {
+    throw createAccountError("Die neuen Passwörter stimmen nicht überein.");
+  }
+  const validationError = getPasswordValidationError(newPassword);
+  if (validationError) throw createAccountError(validationError);
+  if (String(newPassword) === String(currentPassword)) {
+    throw createAccountError("Das neue Passwort muss sich vom aktuellen unterscheiden.");
+  }
+  await accountModel.updatePassword(userId, hashPassword(String(newPassword)));
+}
+
+module.exports = {
+  changePassword,
+  getAccountOverview
+};
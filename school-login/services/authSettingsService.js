@@ -0,0 +1,37 @@
+const appSettingsModel = require("../models/appSettingsModel");
+const oidcService = require("./oidcService");
+
+const LOCAL_LOGIN_DISABLED_ROLES_KEY = "local_login_disabled_roles";
+const CONFIGURABLE_ROLES = ["admin", "teacher", "student", "guardian"];
+
+function normalizeRoles(values) {
+  const list = Array.isArray(values) ? values : String(values || "").split(",");
+  return [...new Set(
+    list
+      .map((entry) => String(entry || "").trim().toLowerCase())
+      .filter((entry) => CONFIGURABLE_ROLES.includes(entry))
+  )];
+}
+
+async function getLocalLoginDisabledRoles() {
+  return normalizeRoles(await appSettingsModel.getSetting(LOCAL_LOGIN_DISABLED_ROLES_KEY));
+}
+
+async function setLocalLoginDisabledRoles(roles) {
+  const normalizedRoles = normalizeRoles(roles);
+  await appSettingsModel.setSetting(LOCAL_LOGIN_DISABLED_ROLES_KEY, normalizedRoles.join(","));
+  return normalizedRoles;
+}
+
+async function isLocalLoginAllowedForRole(role) {
+  if (!oidcService.isOidcEnabled()) return true;
+  const disabledRoles = await getLocalLoginDisabledRoles();
+  return !disabledRoles.includes(String(role || "").toLowerCase());
+}
+
+module.exports = {
+  CONFIGURABLE_ROLES,
+  getLocalLoginDisabledRoles,
+  isLocalLoginAllowedForRole,
+  setLocalLoginDisabledRoles
+};
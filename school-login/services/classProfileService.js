@@ -0,0 +1,103 @@
+const classProfileModel = require("../models/classProfileModel");
+const schoolYearModel = require("../models/schoolYearModel");
+
+function createClassProfileError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function formatAssignmentLabel(row) {
+  return [row.class_name, row.subject_name].filter(Boolean).join(" / ");
+}
+
+async function findClassAssignment(teacherId, classId, subjectId) {
+  const activeSchoolYear = await schoolYearModel.getActiveSchoolYear();
+  if (!activeSchoolYear) return null;
+  return classProfileModel.findAssignment(teacherId, classId, subjectId, activeSchoolYear.id);
+}
+
+async function listAssignmentProfiles(teacherId) {
+  const activeSchoolYear = await schoolYearModel.getActiveSchoolYear();
+  if (!activeSchoolYear) return [];
+  return classProfileModel.listTeacherAssignmentProfiles(teacherId, activeSchoolYear.id);
+}
+
+// Eine leere Auswahl bindet die Zuordnung wieder an das Standardprofil der Lehrkraft.
+async function assignClassProfile({ teacherId, classData, profiles, rawProfileId }) {
+  const assignment = await findClassAssignment(teacherId, classData.id, classData.subject_id);
+  if (!assignment) {
+    throw createClassProfileError("Fachzuordnung nicht gefunden.", 404);
+  }
+  const value = String(rawProfileId ?? "").trim();
+  const profile = value ? (profiles || []).find((entry) => String(entry.id) === value) : null;
+  if (value && !profile) {
+    throw createClassProfileError("Profil nicht gefunden.", 404);
+  }
+  await classProfileModel.setAssignmentProfile(assignment.id, teacherId, profile ? profile.id : null);
+  return profile;
+}
+
+// Zeigt pro Profil, welche Fächer es verwenden; Zuordnungen ohne eigenes Profil folgen dem Standardprofil.
+async function describeProfileUsage(teacherId, profiles) {
+  const rows = await listAssignmentProfiles(teacherId);
+  const knownIds = new Set((profiles || []).map((profile) => String(profile.id)));
+  const byProfile = new Map();
+  const followingDefault = [];
+  const byAssignment = new Map();
+  rows.forEach((row) => {
+    const ownProfileId =
+      row.grading_profile_id != null && knownIds.has(String(row.grading_profile_id))
+        ? String(row.grading_profile_id)
+        : null;
+    const label = formatAssignmentLabel(row);
+    byAssignment.set(String(row.id), ownProfileId);
+    if (!ownProfileId) {
+      followingDefault.push(label);
+      return;
+    }
+    if (!byProfile.has(ownProfileId)) byProfile.set(ownProfileId, []);
+    byProfile.get(ownProfileId).push(label);
+  });
+  return { byProfile, followingDefault, byAssignment };
+}
+
+// Vor einem Wechsel des Standardprofils behalten Fächer ohne eigenes Profil ihr bisheriges Profil.
+async function pinDefaultAssignments(teacherId, currentProfileId, profiles) {
+  const { byAssignment } = await describeProfileUsage(teacherId, profiles);
+  const pinned = [];
+  for (const [assignmentId, ownProfileId] of byAssignment) {
+    if (ownProfileId) continue;
+    await classProfileModel.setAssignmentProfile(Number(assignmentId), teacherId, currentProfileId);
+    pinned.push(assignmentId);
+  }
+  return pinned.length;
+}
+
+// Ein Profil, nach dem noch Fächer bewertet werden, kann nicht gelöscht werden.
+async function assertProfileDeletable(teacherId, profile, profiles) {
+  const { byProfile, followingDefault } = await describeProfileUsage(teacherId, profiles);
+  const labels = [
+    ...(byProfile.get(String(profile.id)) || []),
+    ...(profile.is_active ? followingDefault : [])
+  ];
+  if (labels.length) {
+    throw createClassProfileError(
+      `Das Profil wird noch verwendet von: ${labels.join(", ")}. Bitte diesen Fächern zuerst ein anderes Profil zuweisen.`,
+      409
+    );
+  }
+}
+
+async function clearProfileAssignments(profileId, teacherId) {
+  await classProfileModel.clearProfileAssignments(profileId, teacherId);
+}
+
+module.exports = {
+  assertProfileDeletable,
+  assignClassProfile,
+  clearProfileAssignments,
+  describeProfileUsage,
+  findClassAssignment,
+  pinDefaultAssignments
+};
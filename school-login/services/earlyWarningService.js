@@ -0,0 +1,130 @@
+const earlyWarningModel = require("../models/earlyWarningModel");
+const notificationService = require("./notificationService");
+const { isPassingGrade } = require("../utils/gradingEngine");
+const { buildPdf, wrapPdfText } = require("../utils/pdf");
+const { formatNameFromEmail } = require("../utils/userDisplay");
+
+function createEarlyWarningError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function normalizeWarning(row) {
+  return {
+    ...row,
+    computed_average: row.computed_average == null ? null : Number(row.computed_average)
+  };
+}
+
+function formatIssuedDate(value) {
+  const date = value ? new Date(value) : new Date();
+  return Number.isNaN(date.getTime()) ? "" : date.toLocaleDateString("de-AT");
+}
+
+// Frühwarnung, sobald der aktuelle Schnitt (inkl. Berechnungsregeln) auf „Nicht genügend“ fällt.
+function isWarningCandidate(entry, gradeScale) {
+  return entry.computedAverage != null && isPassingGrade(entry.computedAverage, gradeScale) === false;
+}
+
+function buildWarningReason(entry) {
+  return [`Aktueller Notenschnitt: ${entry.computedAverage.toFixed(2)}.`, ...(entry.ruleExplanations || [])].join(" ");
+}
+
+async function mapWarningsByStudent(classId, subjectId, termId) {
+  const rows = await earlyWarningModel.listWarningsForClassSubject(classId, subjectId, termId);
+  return new Map(rows.map((row) => [String(row.student_id), normalizeWarning(row)]));
+}
+
+async function listClassWarnings(classId, termId) {
+  const rows = await earlyWarningModel.listWarningsForClass(classId, termId);
+  return rows.map(normalizeWarning);
+}
+
+async function loadClassWarning(warningId, classId) {
+  const row = await earlyWarningModel.findWarningForClass(warningId, classId);
+  if (!row) throw createEarlyWarningError("Frühwarnung nicht gefunden.", 404);
+  return normalizeWarning(row);
+}
+
+// Pro Schüler, Fach und Abschnitt wird höchstens eine Frühwarnung ausgestellt.
+async function issueWarnings({ classData, termId, teacherId, entries, studentIds, gradeScale }) {
+  const selected = new Set([].concat(studentIds || []).map((value) => String(value)));
+  if (!selected.size) {
+    throw createEarlyWarningError("Bitte mindestens einen Schüler für die Frühwarnung auswählen.");
+  }
+  const chosen = entries.filter((entry) => selected.has(String(entry.student.id)));
+  if (chosen.length !== selected.size) {
+    throw createEarlyWarningError("Schüler nicht gefunden.", 404);
+  }
+
+  const existing = await mapWarningsByStudent(classData.id, classData.subject_id, termId);
+  for (const entry of chosen) {
+    const label = entry.student.name || entry.student.email;
+    if (!isWarningCandidate(entry, gradeScale)) {
+      throw createEarlyWarningError(`Für ${label} ist derzeit kein „Nicht genügend“ absehbar.`);
+    }
+    if (existing.has(String(entry.student.id))) {
+      throw createEarlyWarningError(
+        `Für ${label} wurde in diesem Abschnitt bereits eine Frühwarnung ausgestellt.`,
+        409
+      );
+    }
+  }
+
+  for (const entry of chosen) {
+    await earlyWarningModel.insertWarning({
+      studentId: entry.student.id,
+      classId: classData.id,
+      subjectId: classData.subject_id,
+      termId,
+      teacherId,
+      computedAverage: entry.computedAverage,
+      reason: buildWarningReason(entry)
+    });
+    await notificationService.notifyStudent(
+      entry.student.id,
+      `Frühwarnung im Fach ${classData.subject}: Deine Leistungen wären derzeit mit „Nicht genügend“ zu beurteilen.`,
+      "warning"
+    );
+  }
+  return chosen.length;
+}
+
+function buildWarningLetter(warning) {
+  const teacherName = formatNameFromEmail(warning.teacher_email) || warning.teacher_email || "";
+  const lines = [
+    "Frühwarnung gemäß § 19 Abs. 3a SchUG",
+    "",
+    `Datum: ${formatIssuedDate(warning.issued_at)}`,
+    `Schüler/in: ${warning.student_name}`,
+    `Klasse: ${warning.class_name}`,
+    `Unterrichtsgegenstand: ${warning.subject_name}`,
+    warning.term_name ? `Abschnitt: ${warning.term_name}` : null,
+    "",
+    ...wrapPdfText(
+      `Die Leistungen im Unterrichtsgegenstand ${warning.subject_name} wären nach dem derzeitigen Stand mit „Nicht genügend“ zu beurteilen.`
+    ),
+    "",
+    ...wrapPdfText(warning.reason),
+    "",
+    ...wrapPdfText(
+      "Wir laden Sie zu einem beratenden Gespräch ein, in dem wir gemeinsam Fördermöglichkeiten zur Verbesserung der Leistungen besprechen."
+    ),
+    "",
+    "",
+    "______________________________",
+    teacherName ? `${teacherName}, Lehrkraft` : "Lehrkraft"
+  ];
+  return buildPdf(lines.filter((line) => line !== null));
+}
+
+module.exports = {
+  buildWarningLetter,
+  formatIssuedDate,
+  isWarningCandidate,
+  issueWarnings,
+  listClassWarnings,
+  loadClassWarning,
+  mapWarningsByStudent
+};
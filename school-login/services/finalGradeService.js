@@ -0,0 +1,198 @@
+const finalGradeModel = require("../models/finalGradeModel");
+
+const FINAL_GRADE_STATUS = {
+  PROPOSED: "proposed",
+  RETURNED: "returned",
+  SIGNED_OFF: "signed_off"
+};
+const FINAL_GRADE_STATUS_LABELS = {
+  proposed: "Vorgeschlagen",
+  returned: "Zurückgegeben",
+  signed_off: "Freigegeben"
+};
+// Zeugnisnoten sind unabhängig von der Notenskala des Fachs immer 1–5.
+const FINAL_GRADE_VALUES = [1, 2, 3, 4, 5];
+const MAX_TEXT_LENGTH = 500;
+
+function createFinalGradeError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function normalizeFinalGrade(row) {
+  return {
+    ...row,
+    computed_average: row.computed_average == null ? null : Number(row.computed_average),
+    proposed_grade: Number(row.proposed_grade),
+    status_label: FINAL_GRADE_STATUS_LABELS[row.status] || row.status,
+    is_locked: row.status === FINAL_GRADE_STATUS.SIGNED_OFF
+  };
+}
+
+async function mapFinalGradesByStudent(classId, subjectId, termId) {
+  const rows = await finalGradeModel.listFinalGradesForClassSubject(classId, subjectId, termId);
+  return new Map(rows.map((row) => [String(row.student_id), normalizeFinalGrade(row)]));
+}
+
+function parseProposedGrade(value) {
+  const text = String(value ?? "").trim();
+  if (!text) return null;
+  const grade = Number(text);
+  return FINAL_GRADE_VALUES.includes(grade) ? grade : NaN;
+}
+
+// Jede Abweichung vom errechneten Vorschlag braucht eine Begründung für den Klassenvorstand.
+async function saveProposals({ classId, subjectId, termId, teacherId, entries }) {
+  const existing = await mapFinalGradesByStudent(classId, subjectId, termId);
+  const changes = [];
+
+  for (const entry of entries) {
+    const grade = parseProposedGrade(entry.grade);
+    if (grade == null) continue;
+    const studentLabel = entry.student.name || entry.student.email;
+    if (Number.isNaN(grade)) {
+      throw createFinalGradeError(`Ungültige Zeugnisnote für ${studentLabel}. Zeugnisnoten liegen immer zwischen 1 und 5.`);
+    }
+    const justification = String(entry.justification || "").trim().slice(0, MAX_TEXT_LENGTH);
+    if (grade !== entry.suggestedGrade && !justification) {
+      throw createFinalGradeError(
+        `Bitte die Abweichung vom errechneten Vorschlag für ${studentLabel} begründen.`
+      );
+    }
+
+    const current = existing.get(String(entry.student.id));
+    const unchanged =
+      current && current.proposed_grade === grade && (current.justification || "") === justification;
+    if (current?.is_locked) {
+      if (unchanged) continue;
+      throw createFinalGradeError(
+        `Die Zeugnisnote für ${studentLabel} ist bereits freigegeben und kann nicht mehr geändert werden.`,
+        409
+      );
+    }
+    if (unchanged && current.status === FINAL_GRADE_STATUS.PROPOSED) continue;
+    changes.push({ current, grade, justification, entry });
+  }
+
+  for (const change of changes) {
+    const values = {
+      teacherId,
+      computedAverage: change.entry.computedAverage,
+      proposedGrade: change.grade,
+      justification: change.justification || null,
+      status: FINAL_GRADE_STATUS.PROPOSED
+    };
+    if (change.current) {
+      await finalGradeModel.updateFinalGradeProposal(change.current.id, values);
+    } else {
+      await finalGradeModel.insertFinalGrade({
+        ...values,
+        studentId: change.entry.student.id,
+        classId,
+        subjectId,
+        termId
+      });
+    }
+  }
+
+  return changes.length;
+}
+
+async function listClassReview(classId, termId, studentCount) {
+  const [rows, subjects] = await Promise.all([
+    finalGradeModel.listFinalGradesForClass(classId, termId),
+    finalGradeModel.listClassSubjects(classId)
+  ]);
+  const finalGrades = rows.map(normalizeFinalGrade);
+  const subjectMap = new Map();
+  subjects.forEach((subject) => {
+    if (!subjectMap.has(String(subject.subject_id))) {
+      subjectMap.set(String(subject.subject_id), {
+        subject_id: subject.subject_id,
+        subject_name: subject.subject_name,
+        entries: []
+      });
+    }
+  });
+  finalGrades.forEach((row) => {
+    const key = String(row.subject_id);
+    if (!subjectMap.has(key)) {
+      subjectMap.set(key, { subject_id: row.subject_id, subject_name: row.subject_name, entries: [] });
+    }
+    subjectMap.get(key).entries.push(row);
+  });
+
+  return Array.from(subjectMap.values()).map((subject) => ({
+    ...subject,
+    missing_count: Math.max(0, studentCount - subject.entries.length),
+    signed_count: subject.entries.filter((row) => row.is_locked).length,
+    open_count: subject.entries.filter((row) => row.status === FINAL_GRADE_STATUS.PROPOSED).length
+  }));
+}
+
+async function loadClassFinalGrade(finalGradeId, classId) {
+  const row = await finalGradeModel.findFinalGradeById(finalGradeId);
+  if (!row || Number(row.class_id) !== Number(classId)) {
+    throw createFinalGradeError("Zeugnisnote nicht gefunden.", 404);
+  }
+  return normalizeFinalGrade(row);
+}
+
+async function signOff(finalGradeId, classId, userId) {
+  const finalGrade = await loadClassFinalGrade(finalGradeId, classId);
+  if (finalGrade.status !== FINAL_GRADE_STATUS.PROPOSED) {
+    throw createFinalGradeError("Nur vorgeschlagene Zeugnisnoten können freigegeben werden.");
+  }
+  await finalGradeModel.signOffFinalGrade(finalGrade.id, FINAL_GRADE_STATUS.SIGNED_OFF, userId);
+  return finalGrade;
+}
+
+async function signOffAll(classId, termId, userId) {
+  const rows = await finalGradeModel.listFinalGradesForClass(classId, termId);
+  const open = rows.filter((row) => row.status === FINAL_GRADE_STATUS.PROPOSED);
+  for (const row of open) {
+    await finalGradeModel.signOffFinalGrade(row.id, FINAL_GRADE_STATUS.SIGNED_OFF, userId);
+  }
+  return open.length;
+}
+
+async function returnToTeacher(finalGradeId, classId, note) {
+  const finalGrade = await loadClassFinalGrade(finalGradeId, classId);
+  if (finalGrade.status !== FINAL_GRADE_STATUS.PROPOSED) {
+    throw createFinalGradeError("Nur vorgeschlagene Zeugnisnoten können zurückgegeben werden.", 409);
+  }
+  const reviewNote = String(note || "").trim().slice(0, MAX_TEXT_LENGTH);
+  if (!reviewNote) {
+    throw createFinalGradeError("Bitte einen Hinweis für die Lehrkraft angeben.");
+  }
+  await finalGradeModel.reopenFinalGrade(finalGrade.id, FINAL_GRADE_STATUS.RETURNED, reviewNote);
+  return finalGrade;
+}
+
+// Freigegebene Noten sind gesperrt; Entsperren ist ein eigener Schritt mit Begründung.
+async function unlockSignedOff(finalGradeId, classId, note) {
+  const finalGrade = await loadClassFinalGrade(finalGradeId, classId);
+  if (finalGrade.status !== FINAL_GRADE_STATUS.SIGNED_OFF) {
+    throw createFinalGradeError("Nur freigegebene Zeugnisnoten können entsperrt werden.", 409);
+  }
+  const reviewNote = String(note || "").trim().slice(0, MAX_TEXT_LENGTH);
+  if (!reviewNote) {
+    throw createFinalGradeError("Bitte einen Grund für das Entsperren angeben.");
+  }
+  await finalGradeModel.reopenFinalGrade(finalGrade.id, FINAL_GRADE_STATUS.RETURNED, reviewNote);
+  return finalGrade;
+}
+
+module.exports = {
+  FINAL_GRADE_STATUS,
+  FINAL_GRADE_STATUS_LABELS,
+  FINAL_GRADE_VALUES,
+  listClassReview,
+  mapFinalGradesByStudent,
+  returnToTeacher,
+  saveProposals,
+  signOff,
+  signOffAll,
+  unlockSignedOff
+};
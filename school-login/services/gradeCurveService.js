@@ -0,0 +1,137 @@
+const gradeCurveModel = require("../models/gradeCurveModel");
+const gradeHistoryService = require("./gradeHistoryService");
+const {
+  buildScaleGradeFromPercent,
+  computePointsPercent,
+  findScaleStep,
+  normalizeGradeScale,
+  normalizeThresholds
+} = require("../utils/gradingEngine");
+
+const THRESHOLD_KEYS = ["grade1_min_percent", "grade2_min_percent", "grade3_min_percent", "grade4_min_percent"];
+
+function createCurveError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Eigener Notenschlüssel nur, wenn alle vier Grenzen an der Prüfung gesetzt sind.
+function readTemplateThresholds(template) {
+  const values = THRESHOLD_KEYS.map((key) => template?.[key]);
+  if (values.some((value) => value == null || value === "" || !Number.isFinite(Number(value)))) return null;
+  return normalizeThresholds(template);
+}
+
+function resolveTemplateThresholds(template, profileThresholds) {
+  return readTemplateThresholds(template) || normalizeThresholds(profileThresholds || {});
+}
+
+function formatThresholds(thresholds) {
+  const t = normalizeThresholds(thresholds);
+  return THRESHOLD_KEYS.map((key, index) => `${index + 1} ab ${t[key]}%`).join(", ");
+}
+
+// Skalen mit eigenen Prozentgrenzen je Stufe ignorieren den Notenschlüssel.
+function isCurveApplicable(gradeScale) {
+  const normalized = normalizeGradeScale(gradeScale);
+  return normalized.is_default || normalized.steps.some((step) => step.min_percent == null);
+}
+
+function buildDistribution(values, gradeScale) {
+  const normalized = normalizeGradeScale(gradeScale);
+  const counts = new Map(normalized.steps.map((step) => [step.value, 0]));
+  values.forEach((value) => {
+    const step = findScaleStep(value, normalized);
+    if (step) counts.set(step.value, counts.get(step.value) + 1);
+  });
+  return normalized.steps.map((step) => ({ label: step.label, value: step.value, count: counts.get(step.value) }));
+}
+
+// Als aus Punkten abgeleitet gilt eine Note, die dem bisherigen Notenschlüssel entspricht; händisch gesetzte Noten bleiben.
+function planCurveEntry(row, currentThresholds, nextThresholds, gradeScale) {
+  const grade = Number(row.grade);
+  const percent = row.is_absent ? null : computePointsPercent(row.points_achieved, row.points_max);
+  const currentDerived = percent == null ? null : buildScaleGradeFromPercent(percent, currentThresholds, gradeScale);
+  const derived = currentDerived != null && Math.abs(currentDerived - grade) < 1e-9;
+  const nextGrade = derived ? buildScaleGradeFromPercent(percent, nextThresholds, gradeScale) : grade;
+  return {
+    ...row,
+    grade,
+    grade_label: findScaleStep(grade, gradeScale)?.label ?? String(grade),
+    percent,
+    derived,
+    next_grade: nextGrade,
+    next_grade_label: findScaleStep(nextGrade, gradeScale)?.label ?? String(nextGrade),
+    changed: derived && Math.abs(nextGrade - grade) >= 1e-9
+  };
+}
+
+async function previewCurve({ template, classId, profileThresholds, nextThresholds, gradeScale }) {
+  const currentThresholds = resolveTemplateThresholds(template, profileThresholds);
+  const thresholds = normalizeThresholds(nextThresholds || profileThresholds || {});
+  const rows = await gradeCurveModel.listTemplateGrades(template.id, classId);
+  const entries = rows.map((row) => planCurveEntry(row, currentThresholds, thresholds, gradeScale));
+  return {
+    currentThresholds,
+    thresholds,
+    applicable: isCurveApplicable(gradeScale),
+    entries,
+    changedEntries: entries.filter((entry) => entry.changed),
+    manualCount: entries.filter((entry) => entry.percent != null && !entry.derived).length,
+    before: buildDistribution(entries.map((entry) => entry.grade), gradeScale),
+    after: buildDistribution(entries.map((entry) => entry.next_grade), gradeScale)
+  };
+}
+
+// Speichert den Notenschlüssel an der Prüfung (ohne Grenzen: wieder der des Profils) und berechnet die abgeleiteten Noten neu.
+async function applyCurve({ template, classData, profileThresholds, nextThresholds, gradeScale, actorId, reason }) {
+  if (!isCurveApplicable(gradeScale)) {
+    throw createCurveError("Die Notenskala dieses Fachs legt eigene Prozentgrenzen fest, ein Notenschlüssel wirkt hier nicht.");
+  }
+  const preview = await previewCurve({
+    template,
+    classId: classData.id,
+    profileThresholds,
+    nextThresholds,
+    gradeScale
+  });
+  const teacherReason = gradeHistoryService.readChangeReason(reason);
+  const historyReason = [`Notenschlüssel angepasst (${formatThresholds(preview.thresholds)}).`, teacherReason]
+    .filter(Boolean)
+    .join(" ");
+
+  await gradeCurveModel.setTemplateThresholds(template.id, classData.id, nextThresholds ? preview.thresholds : null);
+  for (const entry of preview.changedEntries) {
+    await gradeCurveModel.updateGradeValue(entry.id, classData.id, entry.next_grade);
+    const before = gradeHistoryService.snapshotGrade(entry);
+    await gradeHistoryService.recordChange({
+      entryType: "grade",
+      entryId: entry.id,
+      studentId: entry.student_id,
+      classId: classData.id,
+      subjectId: classData.subject_id,
+      label: template.name,
+      before,
+      after: { ...before, grade: entry.next_grade },
+      changedBy: actorId,
+      reason: historyReason
+    });
+  }
+  return preview;
+}
+
+async function saveTemplateThresholds(templateId, classId, thresholds) {
+  await gradeCurveModel.setTemplateThresholds(templateId, classId, thresholds ? normalizeThresholds(thresholds) : null);
+}
+
+module.exports = {
+  THRESHOLD_KEYS,
+  applyCurve,
+  formatThresholds,
+  isCurveApplicable,
+  previewCurve,
+  readTemplateThresholds,
+  resolveTemplateThresholds,
+  saveTemplateThresholds
+};
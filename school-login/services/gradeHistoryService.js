@@ -0,0 +1,198 @@
+const gradeVersionModel = require("../models/gradeVersionModel");
+const rubricService = require("./rubricService");
+const templateTaskService = require("./templateTaskService");
+const { PARTICIPATION_SYMBOL_OPTIONS } = require("../utils/gradingEngine");
+
+const ENTRY_TYPE_LABELS = {
+  grade: "Prüfung",
+  special_assessment: "Sonderleistung",
+  participation_mark: "Mitarbeit"
+};
+const ACTION_LABELS = {
+  created: "Eingetragen",
+  updated: "Geändert",
+  deleted: "Gelöscht",
+  reverted: "Zurückgesetzt"
+};
+const MAX_REASON_LENGTH = 500;
+
+function createHistoryError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function toNumberOrNull(value) {
+  if (value == null || value === "") return null;
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : null;
+}
+
+function snapshotGrade(row) {
+  return {
+    grade: toNumberOrNull(row.grade),
+    points: toNumberOrNull(row.points_achieved),
+    points_max: toNumberOrNull(row.points_max),
+    is_absent: Boolean(row.is_absent)
+  };
+}
+
+function snapshotSpecialAssessment(row) {
+  return { grade: toNumberOrNull(row.grade), points: null, points_max: null, is_absent: false };
+}
+
+function snapshotParticipationMark(row) {
+  return { symbol: row.symbol || null, is_absent: false };
+}
+
+function isSameState(a, b) {
+  const sameValues = ["grade", "points", "points_max", "symbol"].every(
+    (key) => (a?.[key] ?? null) === (b?.[key] ?? null)
+  );
+  return sameValues && Boolean(a?.is_absent) === Boolean(b?.is_absent);
+}
+
+function readChangeReason(value) {
+  const reason = String(value || "").trim();
+  if (reason.length > MAX_REASON_LENGTH) {
+    throw createHistoryError(`Der Grund darf höchstens ${MAX_REASON_LENGTH} Zeichen lang sein.`);
+  }
+  return reason || null;
+}
+
+// Ohne Vorher-Stand ist es ein Eintrag, ohne Nachher-Stand eine Löschung; unveränderte Speicherungen erzeugen keine Version.
+async function recordChange({
+  entryType,
+  entryId,
+  studentId,
+  classId,
+  subjectId,
+  label,
+  before = null,
+  after = null,
+  changedBy,
+  reason
+}) {
+  const action = !before ? "created" : !after ? "deleted" : "updated";
+  if (action === "updated" && isSameState(before, after)) return null;
+  return gradeVersionModel.insertVersion({
+    entryType,
+    entryId,
+    studentId,
+    classId,
+    subjectId,
+    entryLabel: label || ENTRY_TYPE_LABELS[entryType],
+    action,
+    before,
+    after,
+    reason,
+    changedBy
+  });
+}
+
+function readVersionState(row, prefix) {
+  if (row.entry_type === "participation_mark") {
+    return row[`${prefix}_symbol`] == null ? null : { symbol: row[`${prefix}_symbol`], is_absent: false };
+  }
+  const grade = toNumberOrNull(row[`${prefix}_grade`]);
+  if (grade == null) return null;
+  return {
+    grade,
+    points: toNumberOrNull(row[`${prefix}_points`]),
+    points_max: toNumberOrNull(row[`${prefix}_points_max`]),
+    is_absent: Boolean(row[`${prefix}_is_absent`])
+  };
+}
+
+function formatState(state) {
+  if (!state) return "-";
+  if (state.symbol) {
+    return PARTICIPATION_SYMBOL_OPTIONS.find((option) => option.value === state.symbol)?.label || state.symbol;
+  }
+  const parts = [`Note ${state.grade}`];
+  if (state.points != null) {
+    parts.push(state.points_max != null ? `${state.points}/${state.points_max} Punkte` : `${state.points} Punkte`);
+  }
+  if (state.is_absent) parts.push("abwesend");
+  return parts.join(" · ");
+}
+
+// Zurücksetzen lässt sich nur eine Notenänderung: Sonderleistungen und Mitarbeit werden nur eingetragen oder gelöscht.
+function normalizeVersion(row) {
+  const before = readVersionState(row, "old");
+  const after = readVersionState(row, "new");
+  return {
+    ...row,
+    before,
+    after,
+    entry_type_label: ENTRY_TYPE_LABELS[row.entry_type] || row.entry_type,
+    action_label: ACTION_LABELS[row.action] || row.action,
+    before_text: formatState(before),
+    after_text: formatState(after),
+    can_revert: row.entry_type === "grade" && Boolean(before && after)
+  };
+}
+
+async function listStudentHistory(studentId, classId, subjectId) {
+  const rows = await gradeVersionModel.listVersionsForStudent(studentId, classId, subjectId);
+  return rows.map(normalizeVersion);
+}
+
+// Stellt den Stand vor der gewählten Änderung wieder her; die Rücknahme ist selbst eine neue Version.
+// Raster- und Teilaufgaben-Punkte werden nicht versioniert und passen danach nicht mehr zur Note, daher werden sie entfernt.
+async function revertVersion({ versionId, classId, subjectId, studentId, actorId, reason }) {
+  const row = await gradeVersionModel.findVersionForClassSubject(versionId, classId, subjectId);
+  if (!row || Number(row.student_id) !== Number(studentId)) {
+    throw createHistoryError("Änderung nicht gefunden.", 404);
+  }
+  const version = normalizeVersion(row);
+  if (!version.can_revert) {
+    throw createHistoryError("Diese Änderung kann nicht zurückgesetzt werden.");
+  }
+  const currentRow = await gradeVersionModel.findGradeState(version.entry_id, classId);
+  if (!currentRow) {
+    throw createHistoryError("Die Note wurde inzwischen gelöscht und kann nicht zurückgesetzt werden.", 409);
+  }
+  const current = snapshotGrade(currentRow);
+  if (isSameState(current, version.before)) {
+    throw createHistoryError("Die Note hat bereits diesen Stand.", 409);
+  }
+
+  const normalizedReason = readChangeReason(reason);
+  await gradeVersionModel.restoreGradeState(version.entry_id, classId, version.before);
+  const clearedBreakdowns = [
+    (await rubricService.clearGradeScores(version.entry_id)) ? "Bewertungsraster" : null,
+    (await templateTaskService.clearGradeTaskPoints(version.entry_id)) ? "Teilaufgaben-Punkte" : null
+  ].filter(Boolean);
+  const historyReason = [
+    normalizedReason,
+    clearedBreakdowns.length ? `${clearedBreakdowns.join(" und ")} entfernt, da sie nicht zur wiederhergestellten Note passen.` : null
+  ]
+    .filter(Boolean)
+    .join(" ");
+  await gradeVersionModel.insertVersion({
+    entryType: version.entry_type,
+    entryId: version.entry_id,
+    studentId: version.student_id,
+    classId: version.class_id,
+    subjectId: version.subject_id,
+    entryLabel: version.entry_label,
+    action: "reverted",
+    before: current,
+    after: version.before,
+    reason: historyReason || null,
+    revertedVersionId: version.id,
+    changedBy: actorId
+  });
+  return version;
+}
+
+module.exports = {
+  listStudentHistory,
+  readChangeReason,
+  recordChange,
+  revertVersion,
+  snapshotGrade,
+  snapshotParticipationMark,
+  snapshotSpecialAssessment
+};
@@ -0,0 +1,142 @@
+const gradeReleaseModel = require("../models/gradeReleaseModel");
+const notificationService = require("./notificationService");
+
+const RELEASE_MODE_OPTIONS = [
+  { value: "now", label: "Sofort veröffentlichen" },
+  { value: "draft", label: "Als Entwurf zurückhalten" },
+  { value: "scheduled", label: "Veröffentlichen am" }
+];
+const RELEASE_INTERVAL_MS = 60 * 1000;
+
+function createReleaseError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function formatReleaseAt(value) {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toLocaleString("de-AT") : "";
+}
+
+// Ohne Entwurfsmarkierung gelten Noten wie bisher sofort als veröffentlicht.
+function describeTemplateRelease(template) {
+  if (!template?.is_draft) {
+    return { mode: "now", label: "Veröffentlicht", release_at: null, release_at_label: "" };
+  }
+  if (template.release_at) {
+    return {
+      mode: "scheduled",
+      label: `Geplant für ${formatReleaseAt(template.release_at)}`,
+      release_at: template.release_at,
+      release_at_label: formatReleaseAt(template.release_at)
+    };
+  }
+  return { mode: "draft", label: "Entwurf", release_at: null, release_at_label: "" };
+}
+
+// Wert für ein datetime-local-Feld (lokale Zeit, Minutengenauigkeit).
+function toReleaseInputValue(value) {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) return "";
+  const pad = (part) => String(part).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function readReleaseInput(body, now = new Date()) {
+  const mode = String(body?.release_mode || "now").trim();
+  if (!RELEASE_MODE_OPTIONS.some((option) => option.value === mode)) {
+    throw createReleaseError("Ungültige Veröffentlichungsart.");
+  }
+  if (mode !== "scheduled") return { mode, releaseAt: null };
+
+  const releaseAt = new Date(String(body?.release_at || "").trim());
+  if (!String(body?.release_at || "").trim() || Number.isNaN(releaseAt.getTime())) {
+    throw createReleaseError("Bitte einen gültigen Veröffentlichungszeitpunkt angeben.");
+  }
+  if (releaseAt <= now) {
+    throw createReleaseError("Der Veröffentlichungszeitpunkt muss in der Zukunft liegen.");
+  }
+  return { mode, releaseAt: releaseAt.toISOString() };
+}
+
+// Zurückgehaltene Noten bleiben Entwurf, auch wenn die Prüfung schon freigegeben ist.
+function resolveGradePublishedAt(template, holdBack = false) {
+  return template?.is_draft || holdBack ? null : new Date().toISOString();
+}
+
+// Benachrichtigungen gehen erst mit der Veröffentlichung hinaus, je Schüler einmal.
+async function notifyReleasedStudents(grades, templateName) {
+  const studentIds = [...new Set(grades.map((grade) => Number(grade.student_id)))];
+  for (const studentId of studentIds) {
+    await notificationService.notifyStudent(studentId, `Neue Note veröffentlicht: ${templateName}.`, "grade");
+  }
+}
+
+async function publishTemplate(template, classId) {
+  const grades = await gradeReleaseModel.listUnpublishedGrades(template.id);
+  await gradeReleaseModel.setTemplateRelease(template.id, classId, false, null);
+  await gradeReleaseModel.publishTemplateGrades(template.id, new Date().toISOString());
+  await notifyReleasedStudents(grades, template.name);
+  return grades.length;
+}
+
+async function applyTemplateRelease(template, classId, release) {
+  if (release.mode === "now") {
+    return publishTemplate(template, classId);
+  }
+  await gradeReleaseModel.setTemplateRelease(template.id, classId, true, release.releaseAt);
+  return 0;
+}
+
+async function publishSingleGrade({ gradeId, classId, subjectId }) {
+  const grade = await gradeReleaseModel.findUnpublishedGrade(gradeId, classId, subjectId);
+  if (!grade) {
+    throw createReleaseError("Note nicht gefunden oder bereits veröffentlicht.", 404);
+  }
+  await gradeReleaseModel.publishGrade(grade.id, classId, new Date().toISOString());
+  await notifyReleasedStudents([grade], grade.template_name);
+  return grade;
+}
+
+async function holdBackSingleGrade({ gradeId, classId, subjectId }) {
+  const grade = await gradeReleaseModel.findHoldableGrade(gradeId, classId, subjectId);
+  if (!grade) {
+    throw createReleaseError("Note nicht gefunden oder bereits zurückgehalten.", 404);
+  }
+  await gradeReleaseModel.holdBackGrade(grade.id, classId);
+  return grade;
+}
+
+async function releaseDueTemplates(now = new Date()) {
+  const templates = await gradeReleaseModel.listDueTemplates(now.toISOString());
+  let released = 0;
+  for (const template of templates) {
+    released += await publishTemplate(template, template.class_id);
+  }
+  return released;
+}
+
+function startReleaseScheduler(intervalMs = RELEASE_INTERVAL_MS) {
+  const run = () =>
+    releaseDueTemplates().catch((err) => {
+      console.error("Scheduled grade release failed:", err.message || err);
+    });
+  run();
+  const timer = setInterval(run, intervalMs);
+  if (timer.unref) timer.unref();
+  return timer;
+}
+
+module.exports = {
+  RELEASE_MODE_OPTIONS,
+  applyTemplateRelease,
+  describeTemplateRelease,
+  holdBackSingleGrade,
+  publishSingleGrade,
+  readReleaseInput,
+  releaseDueTemplates,
+  resolveGradePublishedAt,
+  startReleaseScheduler,
+  toReleaseInputValue
+};
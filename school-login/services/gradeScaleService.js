@@ -0,0 +1,258 @@
+const gradeScaleModel = require("../models/gradeScaleModel");
+const {
+  DEFAULT_GRADE_SCALE,
+  GRADE_VALUE_MAX,
+  GRADE_VALUE_MIN,
+  normalizeGradeScale
+} = require("../utils/gradingEngine");
+
+const MAX_SCALE_NAME_LENGTH = 80;
+const MAX_STEP_LABEL_LENGTH = 20;
+const MAX_STEP_COUNT = 30;
+
+// Zahlenwerte liegen auf der 1–5-Achse (kleiner ist besser), damit Schnitte vergleichbar bleiben.
+const GRADE_SCALE_PRESETS = {
+  points15: {
+    name: "15-Punkte-Skala",
+    pass_threshold: 4,
+    steps: [
+      ["15", 0.7], ["14", 1], ["13", 1.3], ["12", 1.7], ["11", 2], ["10", 2.3], ["9", 2.7], ["8", 3],
+      ["7", 3.3], ["6", 3.7], ["5", 4], ["4", 4.3], ["3", 4.7], ["2", 5], ["1", 5.3], ["0", 5.5]
+    ]
+  },
+  pass_fail: {
+    name: "Bestanden / Nicht bestanden",
+    pass_threshold: 4,
+    steps: [
+      ["Bestanden", 1, 50],
+      ["Nicht bestanden", 5, 0]
+    ]
+  },
+  modifiers: {
+    name: "Noten 1–5 mit +/-",
+    pass_threshold: 4.25,
+    steps: [
+      ["1+", 0.75], ["1", 1], ["1-", 1.25], ["2+", 1.75], ["2", 2], ["2-", 2.25], ["3+", 2.75], ["3", 3],
+      ["3-", 3.25], ["4+", 3.75], ["4", 4], ["4-", 4.25], ["5+", 4.75], ["5", 5], ["5-", 5.25]
+    ]
+  }
+};
+const GRADE_SCALE_PRESET_OPTIONS = Object.entries(GRADE_SCALE_PRESETS).map(([key, preset]) => ({
+  key,
+  name: preset.name
+}));
+
+function createScaleError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function parseNumber(value) {
+  const text = String(value ?? "").trim().replace(",", ".");
+  if (!text) return null;
+  const numeric = Number(text);
+  return Number.isFinite(numeric) ? numeric : NaN;
+}
+
+function buildScale(row, stepRows) {
+  return {
+    ...normalizeGradeScale({
+      id: row.id,
+      name: row.name,
+      pass_threshold: row.pass_threshold,
+      steps: stepRows
+    }),
+    created_at: row.created_at || null
+  };
+}
+
+function formatStepsText(steps) {
+  return (steps || [])
+    .map((step) =>
+      [step.label, step.value, step.min_percent].filter((part) => part != null && part !== "").join("; ")
+    )
+    .join("\n");
+}
+
+// Eine Zeile je Stufe: "Bezeichnung; Zahlenwert; ab Prozent (optional)".
+function parseStepsText(text) {
+  const lines = String(text || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+  if (lines.length < 2) {
+    throw createScaleError("Eine Skala braucht mindestens zwei Stufen.");
+  }
+  if (lines.length > MAX_STEP_COUNT) {
+    throw createScaleError(`Eine Skala darf höchstens ${MAX_STEP_COUNT} Stufen haben.`);
+  }
+
+  const steps = lines.map((line, index) => {
+    const [labelPart, valuePart, percentPart] = line.split(";");
+    const label = String(labelPart || "").trim();
+    const value = parseNumber(valuePart);
+    const minPercent = parseNumber(percentPart);
+    const lineLabel = `Zeile ${index + 1}`;
+    if (!label || label.length > MAX_STEP_LABEL_LENGTH) {
+      throw createScaleError(`${lineLabel}: Bezeichnung fehlt oder ist länger als ${MAX_STEP_LABEL_LENGTH} Zeichen.`);
+    }
+    if (value == null || Number.isNaN(value) || value < GRADE_VALUE_MIN || value > GRADE_VALUE_MAX) {
+      throw createScaleError(
+        `${lineLabel}: Der Zahlenwert muss zwischen ${GRADE_VALUE_MIN} und ${GRADE_VALUE_MAX} liegen.`
+      );
+    }
+    if (Number.isNaN(minPercent) || (minPercent != null && (minPercent < 0 || minPercent > 100))) {
+      throw createScaleError(`${lineLabel}: Die Prozentgrenze muss zwischen 0 und 100 liegen.`);
+    }
+    return { label, value, min_percent: minPercent };
+  });
+
+  const labels = new Set(steps.map((step) => step.label.toLowerCase()));
+  const values = new Set(steps.map((step) => step.value));
+  if (labels.size !== steps.length || values.size !== steps.length) {
+    throw createScaleError("Bezeichnungen und Zahlenwerte müssen innerhalb der Skala eindeutig sein.");
+  }
+  const withPercent = steps.filter((step) => step.min_percent != null).length;
+  if (withPercent && withPercent !== steps.length) {
+    throw createScaleError("Prozentgrenzen bitte für alle Stufen oder für keine angeben.");
+  }
+
+  return steps.sort((a, b) => a.value - b.value);
+}
+
+function parseScaleInput(input = {}) {
+  const name = String(input.name || "").trim();
+  if (!name) {
+    throw createScaleError("Bitte einen Namen für die Skala angeben.");
+  }
+  if (name.length > MAX_SCALE_NAME_LENGTH) {
+    throw createScaleError(`Der Name darf höchstens ${MAX_SCALE_NAME_LENGTH} Zeichen lang sein.`);
+  }
+  const steps = parseStepsText(input.steps);
+  const passThreshold = parseNumber(input.pass_threshold);
+  if (passThreshold == null || Number.isNaN(passThreshold)) {
+    throw createScaleError("Bitte angeben, bis zu welchem Zahlenwert eine Note als bestanden gilt.");
+  }
+  if (passThreshold < steps[0].value || passThreshold >= steps[steps.length - 1].value) {
+    throw createScaleError("Die Bestehensgrenze muss zwischen der besten und der schlechtesten Stufe liegen.");
+  }
+  return { name, passThreshold, steps };
+}
+
+async function ensureUniqueName(name, ignoreScaleId = null) {
+  const existing = await gradeScaleModel.findScaleByName(name);
+  if (existing && String(existing.id) !== String(ignoreScaleId)) {
+    throw createScaleError(`Eine Skala mit dem Namen „${name}“ gibt es bereits.`);
+  }
+}
+
+async function listScales() {
+  const [rows, stepRows] = await Promise.all([
+    gradeScaleModel.listScales(),
+    gradeScaleModel.listAllScaleSteps()
+  ]);
+  return rows.map((row) =>
+    buildScale(
+      row,
+      stepRows.filter((step) => String(step.grade_scale_id) === String(row.id))
+    )
+  );
+}
+
+async function loadScale(scaleId) {
+  const row = await gradeScaleModel.findScaleById(scaleId);
+  if (!row) {
+    throw createScaleError("Notenskala nicht gefunden.", 404);
+  }
+  return buildScale(row, await gradeScaleModel.listStepsForScale(row.id));
+}
+
+async function createScale(input) {
+  const value = parseScaleInput(input);
+  await ensureUniqueName(value.name);
+  const scaleId = await gradeScaleModel.insertScale(value.name, value.passThreshold);
+  await gradeScaleModel.replaceScaleSteps(scaleId, value.steps);
+  return scaleId;
+}
+
+async function createScaleFromPreset(presetKey) {
+  const preset = GRADE_SCALE_PRESETS[presetKey];
+  if (!preset) {
+    throw createScaleError("Unbekannte Vorlage.");
+  }
+  return createScale({
+    name: preset.name,
+    pass_threshold: preset.pass_threshold,
+    steps: formatStepsText(
+      preset.steps.map(([label, value, minPercent]) => ({ label, value, min_percent: minPercent }))
+    )
+  });
+}
+
+async function updateScale(scaleId, input) {
+  const scale = await loadScale(scaleId);
+  const value = parseScaleInput(input);
+  await ensureUniqueName(value.name, scale.id);
+  await gradeScaleModel.updateScale(scale.id, value.name, value.passThreshold);
+  await gradeScaleModel.replaceScaleSteps(scale.id, value.steps);
+  return scale;
+}
+
+async function deleteScale(scaleId) {
+  const scale = await loadScale(scaleId);
+  if (await gradeScaleModel.countScaleAssignments(scale.id)) {
+    throw createScaleError("Die Skala ist noch Fächern zugeordnet und kann nicht gelöscht werden.");
+  }
+  await gradeScaleModel.deleteScale(scale.id);
+  return scale;
+}
+
+async function listScaleAssignments(schoolYearId) {
+  if (!schoolYearId) return [];
+  return gradeScaleModel.listClassSubjectsWithScale(schoolYearId);
+}
+
+async function assignScale(classId, subjectId, scaleId) {
+  const normalizedClassId = Number(classId);
+  const normalizedSubjectId = Number(subjectId);
+  if (!Number.isInteger(normalizedClassId) || !Number.isInteger(normalizedSubjectId)) {
+    throw createScaleError("Ungültige Fachzuordnung.");
+  }
+  const scale = scaleId ? await loadScale(scaleId) : null;
+  await gradeScaleModel.setClassSubjectScale(normalizedClassId, normalizedSubjectId, scale?.id ?? null);
+  return scale;
+}
+
+async function resolveScaleForClassSubject(classId, subjectId) {
+  if (!classId || !subjectId) return DEFAULT_GRADE_SCALE;
+  const scaleId = await gradeScaleModel.findScaleIdForClassSubject(classId, subjectId);
+  if (scaleId == null) return DEFAULT_GRADE_SCALE;
+  const row = await gradeScaleModel.findScaleById(scaleId);
+  return row ? buildScale(row, await gradeScaleModel.listStepsForScale(row.id)) : DEFAULT_GRADE_SCALE;
+}
+
+async function mapScalesBySubject(classId) {
+  const map = new Map();
+  if (!classId) return map;
+  const rows = await gradeScaleModel.listScaleIdsForClass(classId);
+  for (const row of rows) {
+    map.set(String(row.subject_id), await resolveScaleForClassSubject(classId, row.subject_id));
+  }
+  return map;
+}
+
+module.exports = {
+  GRADE_SCALE_PRESET_OPTIONS,
+  assignScale,
+  createScale,
+  createScaleFromPreset,
+  deleteScale,
+  formatStepsText,
+  listScaleAssignments,
+  listScales,
+  loadScale,
+  mapScalesBySubject,
+  resolveScaleForClassSubject,
+  updateScale
+};
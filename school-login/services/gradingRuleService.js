@@ -0,0 +1,112 @@
+const gradingRuleModel = require("../models/gradingRuleModel");
+const { normalizeCategoryKey } = require("../utils/assessmentCategories");
+const {
+  GRADING_RULE_CATEGORY_CAP,
+  GRADING_RULE_DROP_LOWEST,
+  GRADING_RULE_MIN_COUNT,
+  isValidGradeValue
+} = require("../utils/gradingEngine");
+
+const MAX_RULE_COUNT = 10;
+const MAX_RULE_AMOUNT = 20;
+const RULE_TYPE_OPTIONS = [
+  { value: GRADING_RULE_DROP_LOWEST, label: "Schlechteste Noten streichen" },
+  { value: GRADING_RULE_MIN_COUNT, label: "Mindestanzahl an Noten" },
+  { value: GRADING_RULE_CATEGORY_CAP, label: "Gesamtnote begrenzen" }
+];
+
+function parseNumber(value) {
+  const text = String(value ?? "").trim().replace(",", ".");
+  if (!text) return null;
+  const numeric = Number(text);
+  return Number.isFinite(numeric) ? numeric : NaN;
+}
+
+function findCategoryLabel(categoryKey, categories) {
+  const category = (categories || []).find((entry) => entry.key === categoryKey);
+  return category ? category.label : categoryKey;
+}
+
+function buildRule(row, categories) {
+  const rule = {
+    rule_type: row.rule_type,
+    category: row.category,
+    label: findCategoryLabel(row.category, categories)
+  };
+  if (row.rule_type === GRADING_RULE_CATEGORY_CAP) {
+    rule.threshold = Number(row.threshold);
+    rule.cap_grade = Number(row.cap_grade);
+  } else {
+    rule.amount = Number(row.amount);
+  }
+  return rule;
+}
+
+function describeRule(rule) {
+  if (rule.rule_type === GRADING_RULE_DROP_LOWEST) {
+    return `${rule.amount === 1 ? "Schlechteste Note" : `${rule.amount} schlechteste Noten`} in „${rule.label}“ streichen`;
+  }
+  if (rule.rule_type === GRADING_RULE_MIN_COUNT) {
+    return `Mindestens ${rule.amount} Noten in „${rule.label}“`;
+  }
+  return `Schnitt in „${rule.label}“ ab ${rule.threshold}: Gesamtnote höchstens ${rule.cap_grade}`;
+}
+
+async function loadProfileRules(profileId, categories) {
+  if (!profileId) return [];
+  const rows = await gradingRuleModel.listRulesForProfile(profileId);
+  return rows.map((row) => buildRule(row, categories));
+}
+
+// Zeilen aus dem Einstellungsformular: rule_type_<i>, rule_category_<i>, rule_amount_<i>, rule_threshold_<i>, rule_cap_<i>.
+function parseRulesFromBody(body, categories) {
+  const count = Math.min(Math.max(Number.parseInt(body?.rule_count, 10) || 0, 0), MAX_RULE_COUNT + 1);
+  const rules = [];
+  for (let index = 0; index < count; index += 1) {
+    const type = String(body?.[`rule_type_${index}`] || "").trim();
+    if (!type || body?.[`rule_remove_${index}`]) continue;
+    const lineLabel = `Regel ${rules.length + 1}`;
+    if (!RULE_TYPE_OPTIONS.some((option) => option.value === type)) {
+      return { rules, error: `${lineLabel}: Unbekannte Regelart.` };
+    }
+    const categoryKey = normalizeCategoryKey(body?.[`rule_category_${index}`], categories);
+    if (!categoryKey) {
+      return { rules, error: `${lineLabel}: Bitte eine Kategorie des Profils wählen.` };
+    }
+
+    if (type === GRADING_RULE_CATEGORY_CAP) {
+      const threshold = parseNumber(body?.[`rule_threshold_${index}`]);
+      const capGrade = parseNumber(body?.[`rule_cap_${index}`]);
+      if (!isValidGradeValue(threshold) || !isValidGradeValue(capGrade)) {
+        return { rules, error: `${lineLabel}: Grenze und begrenzte Note müssen zwischen 1 und 5 liegen.` };
+      }
+      rules.push(
+        buildRule({ rule_type: type, category: categoryKey, threshold, cap_grade: capGrade }, categories)
+      );
+    } else {
+      const amount = parseNumber(body?.[`rule_amount_${index}`]);
+      if (!Number.isInteger(amount) || amount < 1 || amount > MAX_RULE_AMOUNT) {
+        return { rules, error: `${lineLabel}: Die Anzahl muss eine ganze Zahl zwischen 1 und ${MAX_RULE_AMOUNT} sein.` };
+      }
+      rules.push(buildRule({ rule_type: type, category: categoryKey, amount }, categories));
+    }
+  }
+
+  if (rules.length > MAX_RULE_COUNT) {
+    return { rules, error: `Ein Profil darf höchstens ${MAX_RULE_COUNT} Berechnungsregeln haben.` };
+  }
+  return { rules, error: null };
+}
+
+async function saveProfileRules(profileId, rules) {
+  await gradingRuleModel.replaceProfileRules(profileId, rules || []);
+}
+
+module.exports = {
+  MAX_RULE_COUNT,
+  RULE_TYPE_OPTIONS,
+  describeRule,
+  loadProfileRules,
+  parseRulesFromBody,
+  saveProfileRules
+};
@@ -0,0 +1,122 @@
+const crypto = require("crypto");
+const { hashPassword } = require("../db");
+const guardianModel = require("../models/guardianModel");
+const passwordResetService = require("./passwordResetService");
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function createGuardianError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function normalizeEmail(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+async function listChildren(guardianUserId) {
+  return guardianModel.listLinkedStudents(guardianUserId);
+}
+
+async function getLinkedStudent(guardianUserId, studentId) {
+  const normalizedId = Number(studentId);
+  if (!Number.isInteger(normalizedId) || normalizedId <= 0) return null;
+  return guardianModel.findLinkedStudent(guardianUserId, normalizedId);
+}
+
+async function linkStudentByEmail(guardianUser, studentEmail) {
+  if (!guardianUser || guardianUser.role !== "guardian") {
+    throw createGuardianError("Nur Konten mit der Rolle Erziehungsberechtigte können verknüpft werden.");
+  }
+  const student = await guardianModel.findLatestStudentByEmail(normalizeEmail(studentEmail));
+  if (!student) {
+    throw createGuardianError("Kein Schüler mit dieser E-Mail-Adresse gefunden.", 404);
+  }
+  await guardianModel.linkStudent(guardianUser.id, student.id);
+  return student;
+}
+
+async function linkStudentToUser(userId, studentEmail) {
+  const user = await guardianModel.findUserById(userId);
+  if (!user) {
+    throw createGuardianError("Nutzer nicht gefunden.", 404);
+  }
+  return linkStudentByEmail(user, studentEmail);
+}
+
+async function unlinkStudent(guardianUserId, studentId) {
+  await guardianModel.unlinkStudent(guardianUserId, Number(studentId));
+}
+
+function parseImportLines(rawValue) {
+  return String(rawValue || "")
+    .replace(/\r/g, "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [guardianEmail, studentEmail] = line.split(/[;,\t]/).map(normalizeEmail);
+      return { line, guardianEmail, studentEmail };
+    })
+    .filter((entry, index) => !(index === 0 && /e-?mail|erziehungsberechtigt|guardian/i.test(entry.line)));
+}
+
+async function ensureGuardianAccount(email) {
+  const existing = await guardianModel.findUserByEmail(email);
+  if (existing) {
+    if (existing.role !== "guardian") {
+      throw createGuardianError("E-Mail gehört bereits zu einem Konto mit anderer Rolle.");
+    }
+    if (existing.status === "deleted") {
+      throw createGuardianError("Konto ist gelöscht.");
+    }
+    return { user: existing, created: false };
+  }
+  // Neue Konten erhalten ein zufälliges Passwort; der Zugang wird über den Reset-Link gesetzt.
+  const passwordHash = hashPassword(crypto.randomBytes(24).toString("base64url"));
+  const id = await guardianModel.insertGuardian(email, passwordHash);
+  return { user: { id, email, role: "guardian", status: "active" }, created: true };
+}
+
+async function importGuardianLinks(rawValue, { sendInvites = false, baseUrl } = {}) {
+  const result = { linked: [], failed: [], createdAccounts: [], invited: [] };
+  const entries = parseImportLines(rawValue);
+
+  for (const entry of entries) {
+    if (!EMAIL_PATTERN.test(entry.guardianEmail || "") || !EMAIL_PATTERN.test(entry.studentEmail || "")) {
+      result.failed.push({ line: entry.line, reason: "Erwartet: E-Mail Erziehungsberechtigte;E-Mail Schüler" });
+      continue;
+    }
+    try {
+      const { user, created } = await ensureGuardianAccount(entry.guardianEmail);
+      if (created && !result.createdAccounts.includes(user.email)) {
+        result.createdAccounts.push(user.email);
+      }
+      const student = await linkStudentByEmail(user, entry.studentEmail);
+      result.linked.push({ guardianEmail: user.email, studentEmail: student.email, studentName: student.name });
+    } catch (err) {
+      if (!err.status) throw err;
+      result.failed.push({ line: entry.line, reason: err.message });
+    }
+  }
+
+  if (sendInvites) {
+    for (const email of result.createdAccounts) {
+      const invite = await passwordResetService.requestPasswordReset(email, { baseUrl });
+      if (invite.sent) result.invited.push(email);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  getLinkedStudent,
+  importGuardianLinks,
+  linkStudentByEmail,
+  linkStudentToUser,
+  listChildren,
+  parseImportLines,
+  unlinkStudent
+};
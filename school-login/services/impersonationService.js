@@ -0,0 +1,80 @@
+const impersonationModel = require("../models/impersonationModel");
+const roleService = require("./roleService");
+
+const DEFAULT_TTL_MINUTES = 30;
+
+function createImpersonationError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function getTtlMinutes() {
+  const parsed = Number(process.env.IMPERSONATION_TTL_MINUTES);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : DEFAULT_TTL_MINUTES;
+}
+
+function getImpersonation(session) {
+  return session?.impersonation || null;
+}
+
+function isExpired(impersonation, now = Date.now()) {
+  return new Date(impersonation.expiresAt).getTime() <= now;
+}
+
+async function startImpersonation(session, targetUserId, { allowWrites = false } = {}) {
+  const realUser = session?.user;
+  if (!realUser) throw createImpersonationError("Nicht angemeldet.", 401);
+  if (getImpersonation(session)) {
+    throw createImpersonationError("Es läuft bereits eine Ansicht als anderer Nutzer.");
+  }
+
+  const target = await impersonationModel.findTargetUser(Number(targetUserId));
+  if (!target) throw createImpersonationError("Nutzer nicht gefunden.", 404);
+  if (target.id === realUser.id) {
+    throw createImpersonationError("Du kannst dich nicht selbst ansehen.");
+  }
+  if (target.role === "admin") {
+    throw createImpersonationError("Admin-Konten können nicht übernommen werden.", 403);
+  }
+  if (target.status !== "active") {
+    throw createImpersonationError("Nur aktive Konten können angesehen werden.");
+  }
+
+  const assignedRole = await roleService.resolveAssignableRole(roleService.resolveRoleKey(target));
+  const now = Date.now();
+  session.impersonation = {
+    realUser: { ...realUser },
+    targetUserId: target.id,
+    targetRoleLabel: assignedRole?.label || target.role,
+    allowWrites: Boolean(allowWrites),
+    startedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + getTtlMinutes() * 60 * 1000).toISOString()
+  };
+  session.user = {
+    id: target.id,
+    email: target.email,
+    role: target.role,
+    role_key: target.role_key || null,
+    status: target.status,
+    must_change_password: false,
+    two_factor_setup_required: false
+  };
+  return { target, impersonation: session.impersonation };
+}
+
+function stopImpersonation(session) {
+  const impersonation = getImpersonation(session);
+  if (!impersonation) return null;
+  session.user = impersonation.realUser;
+  delete session.impersonation;
+  return impersonation;
+}
+
+module.exports = {
+  getImpersonation,
+  getTtlMinutes,
+  isExpired,
+  startImpersonation,
+  stopImpersonation
+};
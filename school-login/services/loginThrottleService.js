@@ -0,0 +1,183 @@
+const loginThrottleModel = require("../models/loginThrottleModel");
+const { buildAuditEntry, recordAuditEvent } = require("../middleware/audit");
+
+const DEFAULT_RATE_WINDOW_MS = 15 * 60 * 1000;
+const DEFAULT_RATE_MAX = 5;
+const DEFAULT_LOCKOUT_THRESHOLD = 10;
+const DEFAULT_LOCKOUT_MINUTES = 30;
+const DEFAULT_LOCKOUT_WINDOW_MINUTES = 60;
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+let lastPruneAt = 0;
+
+function readNumber(name, fallback, { allowZero = false } = {}) {
+  const rawValue = process.env[name];
+  if (rawValue == null || String(rawValue).trim() === "") return fallback;
+  const value = Number(rawValue);
+  if (!Number.isFinite(value) || value < 0 || (value === 0 && !allowZero)) return fallback;
+  return value;
+}
+
+function getThrottleConfig() {
+  return {
+    rateWindowMs: readNumber("LOGIN_RATE_LIMIT_WINDOW_MS", DEFAULT_RATE_WINDOW_MS),
+    rateMax: readNumber("LOGIN_RATE_LIMIT_MAX", DEFAULT_RATE_MAX),
+    lockoutThreshold: readNumber("ACCOUNT_LOCKOUT_THRESHOLD", DEFAULT_LOCKOUT_THRESHOLD, { allowZero: true }),
+    lockoutMinutes: readNumber("ACCOUNT_LOCKOUT_MINUTES", DEFAULT_LOCKOUT_MINUTES),
+    lockoutWindowMinutes: readNumber("ACCOUNT_LOCKOUT_WINDOW_MINUTES", DEFAULT_LOCKOUT_WINDOW_MINUTES)
+  };
+}
+
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+function toIso(timestampMs) {
+  return new Date(timestampMs).toISOString();
+}
+
+function toTimestamp(value) {
+  if (!value) return 0;
+  const timestamp = new Date(value).getTime();
+  return Number.isFinite(timestamp) ? timestamp : 0;
+}
+
+function buildLoginKey(ipAddress, email) {
+  return `${ipAddress || "unknown"}|${normalizeEmail(email)}`;
+}
+
+async function pruneStaleAttempts(now, rateWindowMs) {
+  if (now - lastPruneAt < PRUNE_INTERVAL_MS) return;
+  lastPruneAt = now;
+  try {
+    await loginThrottleModel.deleteStaleAttempts(toIso(now - rateWindowMs), toIso(now));
+  } catch (err) {
+    console.error("Pruning login attempts failed:", err.message || err);
+  }
+}
+
+async function isRateLimited(attemptKey) {
+  const { rateWindowMs, rateMax } = getThrottleConfig();
+  const entry = await loginThrottleModel.findAttempt(attemptKey);
+  if (!entry) return false;
+  const now = Date.now();
+  if (toTimestamp(entry.locked_until) > now) return true;
+  if (now - toTimestamp(entry.window_started_at) > rateWindowMs) return false;
+  return Number(entry.failure_count) >= rateMax;
+}
+
+async function recordFailedAttempt(attemptKey, email) {
+  const { rateWindowMs, rateMax } = getThrottleConfig();
+  const now = Date.now();
+  const row = await loginThrottleModel.incrementAttempt(
+    attemptKey,
+    normalizeEmail(email),
+    toIso(now),
+    toIso(now - rateWindowMs)
+  );
+  if (Number(row?.failure_count) >= rateMax) {
+    await loginThrottleModel.lockAttempt(attemptKey, toIso(now + rateWindowMs));
+  }
+  await pruneStaleAttempts(now, rateWindowMs);
+}
+
+// Zählt jede Anfrage (nicht nur Fehlversuche) im Fenster, etwa für Passwort-Reset-Mails.
+async function consumeRequestQuota(attemptKey, email, { windowMs, max }) {
+  const now = Date.now();
+  const row = await loginThrottleModel.incrementAttempt(
+    attemptKey,
+    normalizeEmail(email),
+    toIso(now),
+    toIso(now - windowMs)
+  );
+  await pruneStaleAttempts(now, Math.max(windowMs, getThrottleConfig().rateWindowMs));
+  return Number(row?.failure_count) <= max;
+}
+
+function isAccountLocked(user) {
+  return toTimestamp(user?.locked_until) > Date.now();
+}
+
+function formatTimestamp(value) {
+  const timestamp = toTimestamp(value);
+  if (!timestamp) return "";
+  return new Date(timestamp).toLocaleString("de-AT", {
+    dateStyle: "short",
+    timeStyle: "short",
+    timeZone: "Europe/Vienna"
+  });
+}
+
+async function recordAccountFailure(user, context = {}) {
+  const { lockoutThreshold, lockoutMinutes, lockoutWindowMinutes } = getThrottleConfig();
+  if (!user?.id || !lockoutThreshold) return { locked: false };
+
+  const now = Date.now();
+  const row = await loginThrottleModel.incrementUserFailures(user.id, toIso(now - lockoutWindowMinutes * 60 * 1000));
+  const failedCount = Number(row?.failed_login_count || 0);
+  if (failedCount < lockoutThreshold) return { locked: false, failedCount };
+
+  const lockedUntil = toIso(now + lockoutMinutes * 60 * 1000);
+  await loginThrottleModel.lockUser(user.id, lockedUntil);
+  recordAuditEvent({
+    auditEntry: buildAuditEntry({
+      scopeLabel: "Anmeldung",
+      actionTitle: "Konto automatisch gesperrt",
+      targetLabel: user.email,
+      detailEntries: [`Fehlversuche: ${failedCount}`, `Gesperrt bis: ${formatTimestamp(lockedUntil)}`]
+    }),
+    entityType: "user",
+    entityId: String(user.id),
+    routePath: context.routePath || "/login",
+    statusCode: 423,
+    ipAddress: context.ipAddress || null,
+    userAgent: context.userAgent || null,
+    payload: { body: { email: user.email } }
+  });
+  return { locked: true, failedCount, lockedUntil };
+}
+
+async function resetAfterSuccessfulLogin(attemptKey, userId) {
+  await loginThrottleModel.deleteAttempt(attemptKey);
+  if (userId) {
+    await loginThrottleModel.clearUserLock(userId);
+  }
+}
+
+async function getAccountLock(userId) {
+  const { lockoutThreshold, lockoutMinutes } = getThrottleConfig();
+  const state = await loginThrottleModel.getUserLockState(userId);
+  if (!state) return null;
+  return {
+    locked: isAccountLocked(state),
+    lockedUntil: state.locked_until || null,
+    lockedUntilLabel: formatTimestamp(state.locked_until),
+    failedLoginCount: Number(state.failed_login_count || 0),
+    lastFailedLoginAt: state.last_failed_login_at || null,
+    lastFailedLoginLabel: formatTimestamp(state.last_failed_login_at),
+    threshold: lockoutThreshold,
+    lockoutMinutes
+  };
+}
+
+async function unlockAccount(userId) {
+  const state = await loginThrottleModel.getUserLockState(userId);
+  if (!state) return null;
+  await loginThrottleModel.clearUserLock(state.id);
+  await loginThrottleModel.deleteAttemptsForEmail(normalizeEmail(state.email));
+  return state;
+}
+
+module.exports = {
+  buildLoginKey,
+  consumeRequestQuota,
+  formatTimestamp,
+  getAccountLock,
+  getThrottleConfig,
+  isAccountLocked,
+  isRateLimited,
+  recordAccountFailure,
+  recordFailedAttempt,
+  resetAfterSuccessfulLogin,
+  unlockAccount
+};
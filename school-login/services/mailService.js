@@ -0,0 +1,88 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+const DEFAULT_FROM = "Notenverwaltung HTL Waidhofen <no-reply@htlwy.at>";
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, "..", "mail-outbox");
+const memoryOutbox = [];
+let smtpTransport = null;
+
+function resolveTransportName() {
+  const configured = String(process.env.MAIL_TRANSPORT || "").trim().toLowerCase();
+  if (configured) return configured;
+  if (process.env.NODE_ENV === "test") return "memory";
+  if (process.env.SMTP_HOST) return "smtp";
+  return "file";
+}
+
+function getSmtpTransport() {
+  if (smtpTransport) return smtpTransport;
+  const nodemailer = require("nodemailer");
+  const port = Number(process.env.SMTP_PORT) || 587;
+  smtpTransport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: String(process.env.SMTP_SECURE || "").toLowerCase() === "true" || port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || "" }
+      : undefined
+  });
+  return smtpTransport;
+}
+
+async function deliverToFile(message) {
+  const outboxDir = process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR;
+  await fs.mkdir(outboxDir, { recursive: true });
+  const fileName = `${message.createdAt.replace(/[:.]/g, "-")}-${message.id}.json`;
+  await fs.writeFile(path.join(outboxDir, fileName), JSON.stringify(message, null, 2), "utf8");
+}
+
+const TRANSPORTS = {
+  smtp: async (message) => {
+    await getSmtpTransport().sendMail({
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html || undefined
+    });
+  },
+  file: deliverToFile,
+  memory: async (message) => {
+    memoryOutbox.push(message);
+  }
+};
+
+async function sendMail({ to, subject, text, html = null }) {
+  const transportName = resolveTransportName();
+  const transport = TRANSPORTS[transportName];
+  if (!transport) {
+    throw new Error(`Unbekannter MAIL_TRANSPORT: ${transportName}`);
+  }
+
+  const message = {
+    id: crypto.randomBytes(6).toString("hex"),
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    html,
+    createdAt: new Date().toISOString()
+  };
+  await transport(message);
+  return { id: message.id, transport: transportName };
+}
+
+function getMemoryOutbox() {
+  return memoryOutbox.slice();
+}
+
+function clearMemoryOutbox() {
+  memoryOutbox.length = 0;
+}
+
+module.exports = {
+  clearMemoryOutbox,
+  getMemoryOutbox,
+  sendMail
+};
@@ -0,0 +1,98 @@
+const notificationModel = require("../models/notificationModel");
+const { sendMail } = require("./mailService");
+
+const NOTIFICATION_PREFERENCES = [
+  {
+    key: "grade_email",
+    label: "E-Mail bei neuen Noten, Mitarbeit und Sonderleistungen",
+    roles: ["student", "guardian"]
+  },
+  {
+    key: "reply_email",
+    label: "E-Mail, wenn eine Lehrkraft auf eine Rückgabe-Nachricht antwortet",
+    roles: ["student"]
+  },
+  {
+    key: "question_email",
+    label: "E-Mail bei neuen Schülerfragen zu Rückgaben",
+    roles: ["teacher"]
+  }
+];
+const PREFERENCE_BY_NOTIFICATION_TYPE = {
+  grade: "grade_email",
+  warning: "grade_email",
+  info: "reply_email"
+};
+const GUARDIAN_NOTIFICATION_TYPES = new Set(["grade", "warning"]);
+
+function listPreferenceDefinitions(role) {
+  return NOTIFICATION_PREFERENCES.filter((entry) => entry.roles.includes(role));
+}
+
+async function getPreferences(user) {
+  const rows = await notificationModel.listPreferences(user.id);
+  const enabledKeys = new Set(rows.filter((row) => row.enabled).map((row) => row.preference_key));
+  return listPreferenceDefinitions(user.role).map((entry) => ({
+    key: entry.key,
+    label: entry.label,
+    enabled: enabledKeys.has(entry.key)
+  }));
+}
+
+async function savePreferences(user, enabledKeys) {
+  const selected = new Set([].concat(enabledKeys || []).map((value) => String(value)));
+  for (const entry of listPreferenceDefinitions(user.role)) {
+    await notificationModel.upsertPreference(user.id, entry.key, selected.has(entry.key));
+  }
+}
+
+async function deliverMail(recipient, preferenceKey, subject, text) {
+  if (!recipient?.email) return false;
+  if (!(await notificationModel.isPreferenceEnabled(recipient.id, preferenceKey))) return false;
+  await sendMail({ to: recipient.email, subject, text });
+  return true;
+}
+
+// Mails sind ein Zusatz: ein Versandfehler darf das Speichern der Note nicht abbrechen.
+async function notifyStudent(studentId, message, type = "info") {
+  await notificationModel.insertStudentNotification(studentId, message, type);
+
+  const preferenceKey = PREFERENCE_BY_NOTIFICATION_TYPE[type];
+  if (!preferenceKey) return;
+  try {
+    const subject = `Notenverwaltung: ${message}`;
+    const studentUser = await notificationModel.findStudentUser(studentId);
+    await deliverMail(studentUser, preferenceKey, subject, `${message}\n\nDetails findest du in deinem Schülerbereich.`);
+    if (GUARDIAN_NOTIFICATION_TYPES.has(type)) {
+      const guardians = await notificationModel.listGuardianUsers(studentId);
+      for (const guardian of guardians) {
+        await deliverMail(guardian, preferenceKey, subject, `${message}\n\nDetails findest du im Elternbereich.`);
+      }
+    }
+  } catch (err) {
+    console.error("Notification mail failed:", err.message || err);
+  }
+}
+
+async function notifyTeacherOfQuestion(gradeId, studentName) {
+  try {
+    const teacher = await notificationModel.findTeacherForGrade(gradeId);
+    if (!teacher) return;
+    await deliverMail(
+      teacher,
+      "question_email",
+      "Notenverwaltung: Neue Rückfrage zu einer Rückgabe",
+      `${studentName || "Ein Schüler"} hat eine Frage zu einer Rückgabe in ${teacher.class_name} (${teacher.subject}) gestellt.`
+    );
+  } catch (err) {
+    console.error("Notification mail failed:", err.message || err);
+  }
+}
+
+module.exports = {
+  getPreferences,
+  listPreferenceDefinitions,
+  notifyStudent,
+  notifyTeacherOfQuestion,
+  savePreferences
+};
@@ -0,0 +1,295 @@
+const crypto = require("crypto");
+
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000;
+const CLOCK_SKEW_SECONDS = 120;
+const DEFAULT_SCOPES = "openid profile email";
+// preferred_username und upn prüft der Provider nicht; sie zählen nur, wenn sie ausdrücklich konfiguriert sind.
+const DEFAULT_EMAIL_CLAIMS = ["email"];
+const SIGNATURE_ALGORITHMS = {
+  RS256: { hash: "sha256" },
+  RS384: { hash: "sha384" },
+  RS512: { hash: "sha512" },
+  PS256: { hash: "sha256", padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: "sha256", dsaEncoding: "ieee-p1363" },
+  ES384: { hash: "sha384", dsaEncoding: "ieee-p1363" }
+};
+
+let discoveryCache = null;
+let jwksCache = null;
+
+class OidcError extends Error {
+  constructor(message, code = "oidc_error") {
+    super(message);
+    this.name = "OidcError";
+    this.code = code;
+  }
+}
+
+function getOidcConfig() {
+  const issuer = String(process.env.OIDC_ISSUER || "").trim().replace(/\/+$/, "");
+  const clientId = String(process.env.OIDC_CLIENT_ID || "").trim();
+  const configuredEmailClaims = String(process.env.OIDC_EMAIL_CLAIM || "")
+    .split(",")
+    .map((claim) => claim.trim())
+    .filter(Boolean);
+  return {
+    issuer,
+    clientId,
+    clientSecret: String(process.env.OIDC_CLIENT_SECRET || ""),
+    redirectUri: String(process.env.OIDC_REDIRECT_URI || "").trim(),
+    scopes: String(process.env.OIDC_SCOPES || DEFAULT_SCOPES).trim(),
+    emailClaims: configuredEmailClaims.length ? configuredEmailClaims : DEFAULT_EMAIL_CLAIMS,
+    providerLabel: String(process.env.OIDC_PROVIDER_LABEL || "Microsoft").trim()
+  };
+}
+
+function isOidcEnabled() {
+  const config = getOidcConfig();
+  return Boolean(config.issuer && config.clientId);
+}
+
+function getProviderLabel() {
+  return getOidcConfig().providerLabel;
+}
+
+function base64UrlEncode(buffer) {
+  return Buffer.from(buffer).toString("base64url");
+}
+
+function createPkcePair() {
+  const codeVerifier = base64UrlEncode(crypto.randomBytes(32));
+  const codeChallenge = base64UrlEncode(crypto.createHash("sha256").update(codeVerifier).digest());
+  return { codeVerifier, codeChallenge };
+}
+
+async function fetchJson(url, options = {}) {
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(10000) });
+  } catch (err) {
+    throw new OidcError(`Identity-Provider nicht erreichbar: ${err.message}`, "provider_unreachable");
+  }
+  const text = await response.text();
+  let payload = null;
+  try {
+    payload = text ? JSON.parse(text) : null;
+  } catch (err) {
+    payload = null;
+  }
+  if (!response.ok) {
+    const detail = payload?.error_description || payload?.error || response.statusText;
+    throw new OidcError(`Identity-Provider meldet Fehler (${response.status}): ${detail}`, "provider_error");
+  }
+  if (!payload || typeof payload !== "object") {
+    throw new OidcError("Ungültige Antwort vom Identity-Provider.", "provider_error");
+  }
+  return payload;
+}
+
+async function getDiscoveryDocument() {
+  const config = getOidcConfig();
+  if (discoveryCache && discoveryCache.issuer === config.issuer && discoveryCache.expiresAt > Date.now()) {
+    return discoveryCache.document;
+  }
+
+  const document = await fetchJson(`${config.issuer}/.well-known/openid-configuration`);
+  const documentIssuer = String(document.issuer || "").replace(/\/+$/, "");
+  if (documentIssuer !== config.issuer) {
+    throw new OidcError("Issuer im Discovery-Dokument stimmt nicht überein.", "issuer_mismatch");
+  }
+  if (!document.authorization_endpoint || !document.token_endpoint || !document.jwks_uri) {
+    throw new OidcError("Discovery-Dokument ist unvollständig.", "provider_error");
+  }
+
+  discoveryCache = { issuer: config.issuer, document, expiresAt: Date.now() + DISCOVERY_CACHE_MS };
+  return document;
+}
+
+async function getSigningKey(kid, { forceRefresh = false } = {}) {
+  const document = await getDiscoveryDocument();
+  if (forceRefresh || !jwksCache || jwksCache.uri !== document.jwks_uri || jwksCache.expiresAt <= Date.now()) {
+    const jwks = await fetchJson(document.jwks_uri);
+    jwksCache = {
+      uri: document.jwks_uri,
+      keys: Array.isArray(jwks.keys) ? jwks.keys : [],
+      expiresAt: Date.now() + DISCOVERY_CACHE_MS
+    };
+  }
+
+  const candidates = jwksCache.keys.filter((key) => key.use !== "enc");
+  const match = kid ? candidates.find((key) => key.kid === kid) : candidates.length === 1 ? candidates[0] : null;
+  if (!match && !forceRefresh) {
+    return getSigningKey(kid, { forceRefresh: true });
+  }
+  if (!match) {
+    throw new OidcError("Signaturschlüssel des Identity-Providers nicht gefunden.", "unknown_key");
+  }
+  return crypto.createPublicKey({ key: match, format: "jwk" });
+}
+
+function resolveRedirectUri(baseUrl) {
+  const config = getOidcConfig();
+  if (config.redirectUri) return config.redirectUri;
+  return `${String(baseUrl || "").replace(/\/+$/, "")}/auth/oidc/callback`;
+}
+
+async function buildAuthorizationRequest({ baseUrl, loginHint = "" } = {}) {
+  const config = getOidcConfig();
+  const document = await getDiscoveryDocument();
+  const { codeVerifier, codeChallenge } = createPkcePair();
+  const state = base64UrlEncode(crypto.randomBytes(24));
+  const nonce = base64UrlEncode(crypto.randomBytes(24));
+  const redirectUri = resolveRedirectUri(baseUrl);
+
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: config.clientId,
+    redirect_uri: redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256"
+  });
+  if (loginHint) params.set("login_hint", loginHint);
+
+  const separator = document.authorization_endpoint.includes("?") ? "&" : "?";
+  return {
+    url: `${document.authorization_endpoint}${separator}${params.toString()}`,
+    transaction: { state, nonce, codeVerifier, redirectUri, createdAt: Date.now() }
+  };
+}
+
+function decodeJwtSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+  } catch (err) {
+    throw new OidcError("ID-Token ist nicht lesbar.", "invalid_token");
+  }
+}
+
+async function validateIdToken(idToken, { nonce }) {
+  const config = getOidcConfig();
+  const parts = String(idToken || "").split(".");
+  if (parts.length !== 3) {
+    throw new OidcError("ID-Token ist nicht lesbar.", "invalid_token");
+  }
+
+  const header = decodeJwtSegment(parts[0]);
+  const claims = decodeJwtSegment(parts[1]);
+  const algorithm = SIGNATURE_ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw new OidcError(`Signaturalgorithmus ${header.alg || "-"} wird nicht unterstützt.`, "invalid_token");
+  }
+
+  const key = await getSigningKey(header.kid);
+  const signatureValid = crypto.verify(
+    algorithm.hash,
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    {
+      key,
+      padding: algorithm.padding,
+      dsaEncoding: algorithm.dsaEncoding
+    },
+    Buffer.from(parts[2], "base64url")
+  );
+  if (!signatureValid) {
+    throw new OidcError("Signatur des ID-Tokens ist ungültig.", "invalid_signature");
+  }
+
+  const document = await getDiscoveryDocument();
+  if (claims.iss !== document.issuer) {
+    throw new OidcError("ID-Token stammt von einem unerwarteten Issuer.", "issuer_mismatch");
+  }
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!audiences.includes(config.clientId)) {
+    throw new OidcError("ID-Token ist nicht für diese Anwendung ausgestellt.", "audience_mismatch");
+  }
+  if (audiences.length > 1 && claims.azp && claims.azp !== config.clientId) {
+    throw new OidcError("ID-Token ist nicht für diese Anwendung ausgestellt.", "audience_mismatch");
+  }
+
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  if (!Number.isFinite(Number(claims.exp)) || Number(claims.exp) + CLOCK_SKEW_SECONDS < nowSeconds) {
+    throw new OidcError("ID-Token ist abgelaufen.", "token_expired");
+  }
+  if (Number.isFinite(Number(claims.nbf)) && Number(claims.nbf) - CLOCK_SKEW_SECONDS > nowSeconds) {
+    throw new OidcError("ID-Token ist noch nicht gültig.", "token_not_yet_valid");
+  }
+  if (Number.isFinite(Number(claims.iat)) && Number(claims.iat) - CLOCK_SKEW_SECONDS > nowSeconds) {
+    throw new OidcError("ID-Token wurde in der Zukunft ausgestellt.", "token_not_yet_valid");
+  }
+  if (!nonce || claims.nonce !== nonce) {
+    throw new OidcError("Nonce des ID-Tokens stimmt nicht überein.", "nonce_mismatch");
+  }
+
+  return claims;
+}
+
+function extractEmail(claims = {}) {
+  const { emailClaims } = getOidcConfig();
+  for (const claimName of emailClaims) {
+    const value = String(claims[claimName] || "").trim().toLowerCase();
+    if (value && value.includes("@")) return value;
+  }
+  return null;
+}
+
+async function completeAuthorization({ code, state, transaction }) {
+  if (!transaction || !transaction.state || transaction.state !== state) {
+    throw new OidcError("Die Anmeldung ist abgelaufen oder ungültig. Bitte erneut versuchen.", "state_mismatch");
+  }
+  if (!code) {
+    throw new OidcError("Der Identity-Provider hat keinen Code geliefert.", "missing_code");
+  }
+
+  const config = getOidcConfig();
+  const document = await getDiscoveryDocument();
+  const body = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: transaction.redirectUri,
+    client_id: config.clientId,
+    code_verifier: transaction.codeVerifier
+  });
+  if (config.clientSecret) body.set("client_secret", config.clientSecret);
+
+  const tokenResponse = await fetchJson(document.token_endpoint, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      Accept: "application/json"
+    },
+    body: body.toString()
+  });
+  if (!tokenResponse.id_token) {
+    throw new OidcError("Der Identity-Provider hat kein ID-Token geliefert.", "missing_id_token");
+  }
+
+  const claims = await validateIdToken(tokenResponse.id_token, { nonce: transaction.nonce });
+  if (claims.email_verified === false || String(claims.email_verified).toLowerCase() === "false") {
+    throw new OidcError("Die E-Mail-Adresse ist beim Identity-Provider nicht bestätigt.", "email_unverified");
+  }
+  const email = extractEmail(claims);
+  if (!email) {
+    throw new OidcError("Das ID-Token enthält keine E-Mail-Adresse.", "missing_email");
+  }
+  return { email, claims };
+}
+
+function clearOidcCaches() {
+  discoveryCache = null;
+  jwksCache = null;
+}
+
+module.exports = {
+  OidcError,
+  buildAuthorizationRequest,
+  clearOidcCaches,
+  completeAuthorization,
+  createPkcePair,
+  extractEmail,
+  getProviderLabel,
+  isOidcEnabled,
+  validateIdToken
+};
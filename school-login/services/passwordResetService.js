@@ -0,0 +1,102 @@
+const crypto = require("crypto");
+const { hashPassword } = require("../db");
+const passwordResetModel = require("../models/passwordResetModel");
+const authSettingsService = require("./authSettingsService");
+const { sendMail } = require("./mailService");
+const { getPasswordValidationError } = require("../utils/password");
+
+const DEFAULT_TOKEN_TTL_MINUTES = 60;
+
+function getTokenTtlMinutes() {
+  const configured = Number(process.env.PASSWORD_RESET_TTL_MINUTES);
+  return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_TOKEN_TTL_MINUTES;
+}
+
+function hashResetToken(token) {
+  return crypto.createHash("sha256").update(String(token || "")).digest("hex");
+}
+
+function isTokenFormatValid(token) {
+  return /^[A-Za-z0-9_-]{32,128}$/.test(String(token || ""));
+}
+
+function buildResetUrl(baseUrl, token) {
+  const normalizedBase = String(baseUrl || "").replace(/\/+$/, "");
+  return `${normalizedBase}/password-reset/${token}`;
+}
+
+function buildResetMail(email, resetUrl, ttlMinutes) {
+  return {
+    to: email,
+    subject: "Passwort zurücksetzen – Notenverwaltung",
+    text: [
+      "Hallo,",
+      "",
+      "für dein Konto in der Notenverwaltung wurde ein neues Passwort angefordert.",
+      `Über diesen Link kannst du innerhalb von ${ttlMinutes} Minuten ein neues Passwort festlegen:`,
+      "",
+      resetUrl,
+      "",
+      "Der Link funktioniert nur einmal. Wenn du die Anfrage nicht gestellt hast, kannst du diese E-Mail ignorieren.",
+      "",
+      "HTL Waidhofen – Notenverwaltung"
+    ].join("\n")
+  };
+}
+
+async function requestPasswordReset(email, { baseUrl, requestedIp = null } = {}) {
+  const normalizedEmail = String(email || "").trim();
+  if (!normalizedEmail) return { sent: false };
+  if (!baseUrl) {
+    throw new Error("requestPasswordReset needs the configured APP_BASE_URL.");
+  }
+
+  const user = await passwordResetModel.findUserByEmail(normalizedEmail);
+  if (!user || user.status !== "active") return { sent: false };
+  if (!(await authSettingsService.isLocalLoginAllowedForRole(user.role))) return { sent: false };
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  const ttlMinutes = getTokenTtlMinutes();
+  const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000).toISOString();
+
+  await passwordResetModel.invalidateOpenTokens(user.id);
+  await passwordResetModel.insertToken(user.id, hashResetToken(token), expiresAt, requestedIp);
+  await sendMail(buildResetMail(user.email, buildResetUrl(baseUrl, token), ttlMinutes));
+  return { sent: true, userId: user.id };
+}
+
+async function findValidToken(token) {
+  if (!isTokenFormatValid(token)) return null;
+  const row = await passwordResetModel.findTokenByHash(hashResetToken(token));
+  if (!row || row.used_at || row.status !== "active") return null;
+  if (new Date(row.expires_at).getTime() <= Date.now()) return null;
+  return row;
+}
+
+async function resetPasswordWithToken(token, newPassword) {
+  const tokenRow = await findValidToken(token);
+  if (!tokenRow) {
+    return { ok: false, reason: "invalid_token" };
+  }
+
+  const validationError = getPasswordValidationError(newPassword);
+  if (validationError) {
+    return { ok: false, reason: "invalid_password", message: validationError, email: tokenRow.email };
+  }
+
+  const consumed = await passwordResetModel.consumeToken(tokenRow.id);
+  if (!consumed) {
+    return { ok: false, reason: "invalid_token" };
+  }
+
+  await passwordResetModel.updatePassword(tokenRow.user_id, hashPassword(newPassword));
+  await passwordResetModel.invalidateOpenTokens(tokenRow.user_id);
+  return { ok: true, userId: tokenRow.user_id, email: tokenRow.email };
+}
+
+module.exports = {
+  findValidToken,
+  hashResetToken,
+  requestPasswordReset,
+  resetPasswordWithToken
+};
@@ -0,0 +1,88 @@
+const retakeModel = require("../models/retakeModel");
+const { normalizeRetakePolicy } = require("../utils/gradingEngine");
+
+function createRetakeError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function sameId(a, b) {
+  return a != null && b != null && String(a) === String(b);
+}
+
+// Wählbar sind nur ursprüngliche Prüfungen derselben Klasse und desselben Fachs.
+function listRetakeCandidates(templates, templateId = null) {
+  return (templates || []).filter(
+    (template) => !sameId(template.id, templateId) && template.retake_of_template_id == null
+  );
+}
+
+// Eine Prüfung hat höchstens eine Wiederholung, Wiederholungen werden nicht verkettet.
+function resolveRetakeOriginal(templates, templateId, rawOriginalId) {
+  const originalId = String(rawOriginalId ?? "").trim();
+  if (!originalId) return null;
+  const list = templates || [];
+  const original = list.find((template) => sameId(template.id, originalId));
+  if (!original) {
+    throw createRetakeError("Die wiederholte Prüfung wurde nicht gefunden.");
+  }
+  if (sameId(original.id, templateId)) {
+    throw createRetakeError("Eine Prüfung kann nicht sich selbst wiederholen.");
+  }
+  if (original.retake_of_template_id != null) {
+    throw createRetakeError(`„${original.name}“ ist selbst eine Wiederholung. Bitte die ursprüngliche Prüfung wählen.`);
+  }
+  const otherRetake = list.find(
+    (template) => sameId(template.retake_of_template_id, original.id) && !sameId(template.id, templateId)
+  );
+  if (otherRetake) {
+    throw createRetakeError(`Zu „${original.name}“ gibt es bereits die Wiederholung „${otherRetake.name}“.`);
+  }
+  const ownRetake = templateId
+    ? list.find((template) => sameId(template.retake_of_template_id, templateId))
+    : null;
+  if (ownRetake) {
+    throw createRetakeError(`Diese Prüfung wird bereits durch „${ownRetake.name}“ wiederholt und kann selbst keine Wiederholung sein.`);
+  }
+  return original;
+}
+
+async function findTemplateRetakeOf(templateId) {
+  return retakeModel.findTemplateRetakeOf(templateId);
+}
+
+async function attachRetakeToTemplate(templateId, classId, original) {
+  await retakeModel.setTemplateRetakeOf(templateId, classId, original ? original.id : null);
+}
+
+async function saveProfileRetakePolicy(profileId, teacherId, policy) {
+  await retakeModel.setProfileRetakePolicy(profileId, teacherId, normalizeRetakePolicy(policy));
+}
+
+// Verknüpfung in beide Richtungen, damit Liste und Statistik Original und Wiederholung benennen können.
+function describeRetakeLinks(templates) {
+  const byId = new Map((templates || []).map((template) => [String(template.id), template]));
+  const links = new Map();
+  (templates || []).forEach((template) => {
+    if (template.retake_of_template_id == null) return;
+    const original = byId.get(String(template.retake_of_template_id));
+    if (!original) return;
+    const retakeEntry = links.get(String(template.id)) || {};
+    retakeEntry.retake_of_name = original.name;
+    links.set(String(template.id), retakeEntry);
+    const originalEntry = links.get(String(original.id)) || {};
+    originalEntry.retaken_by_name = template.name;
+    links.set(String(original.id), originalEntry);
+  });
+  return links;
+}
+
+module.exports = {
+  attachRetakeToTemplate,
+  describeRetakeLinks,
+  findTemplateRetakeOf,
+  listRetakeCandidates,
+  resolveRetakeOriginal,
+  saveProfileRetakePolicy
+};
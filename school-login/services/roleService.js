@@ -0,0 +1,181 @@
+const roleModel = require("../models/roleModel");
+const { ADMIN_PERMISSIONS, BASE_ROLES, DEFAULT_ROLES, PERMISSION_KEYS } = require("../utils/permissions");
+
+const PERMISSION_CACHE_TTL_MS = 30 * 1000;
+const ROLE_KEY_PATTERN = /^[a-z][a-z0-9_-]{1,39}$/;
+
+let permissionCache = null;
+
+function createRoleError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function clearPermissionCache() {
+  permissionCache = null;
+}
+
+function normalizePermissions(values) {
+  const list = Array.isArray(values) ? values : values ? [values] : [];
+  return [...new Set(
+    list
+      .map((entry) => String(entry || "").trim())
+      .filter((entry) => PERMISSION_KEYS.includes(entry))
+  )];
+}
+
+async function loadPermissionMap() {
+  if (permissionCache && permissionCache.expiresAt > Date.now()) {
+    return permissionCache.map;
+  }
+  const rows = await roleModel.listAllRolePermissions();
+  const map = new Map();
+  rows.forEach((row) => {
+    if (!map.has(row.role_key)) map.set(row.role_key, new Set());
+    map.get(row.role_key).add(row.permission);
+  });
+  permissionCache = { map, expiresAt: Date.now() + PERMISSION_CACHE_TTL_MS };
+  return map;
+}
+
+function resolveRoleKey(user) {
+  return String(user?.role_key || user?.role || "").trim();
+}
+
+async function getPermissions(user) {
+  const roleKey = resolveRoleKey(user);
+  if (!roleKey) return new Set();
+  const map = await loadPermissionMap();
+  if (map.has(roleKey)) return map.get(roleKey);
+  const fallback = DEFAULT_ROLES.find((role) => role.key === roleKey && role.isSystem);
+  return new Set(fallback ? fallback.permissions : []);
+}
+
+async function hasPermission(user, permission) {
+  const permissions = await getPermissions(user);
+  return permissions.has(permission);
+}
+
+async function listRolesWithPermissions() {
+  const [roles, permissionRows, userCounts] = await Promise.all([
+    roleModel.listRoles(),
+    roleModel.listAllRolePermissions(),
+    roleModel.countUsersByRole()
+  ]);
+  return roles.map((role) => ({
+    ...role,
+    is_system: Boolean(role.is_system),
+    permissions: permissionRows
+      .filter((row) => row.role_key === role.key)
+      .map((row) => row.permission),
+    userCount: Number(userCounts.find((row) => row.role_key === role.key)?.count || 0)
+  }));
+}
+
+async function createRole({ key, label, description, baseRole, permissions }) {
+  const normalizedKey = String(key || "").trim().toLowerCase();
+  const normalizedLabel = String(label || "").trim();
+  const normalizedBaseRole = String(baseRole || "").trim();
+  if (!ROLE_KEY_PATTERN.test(normalizedKey)) {
+    throw createRoleError("Schlüssel muss mit einem Buchstaben beginnen und darf nur a-z, 0-9, - und _ enthalten.");
+  }
+  if (!normalizedLabel) {
+    throw createRoleError("Bezeichnung fehlt.");
+  }
+  if (!BASE_ROLES.includes(normalizedBaseRole)) {
+    throw createRoleError("Ungültiger Bereich.");
+  }
+  if (await roleModel.findRole(normalizedKey)) {
+    throw createRoleError("Eine Rolle mit diesem Schlüssel existiert bereits.");
+  }
+
+  await roleModel.insertRole({
+    key: normalizedKey,
+    label: normalizedLabel.slice(0, 80),
+    description: String(description || "").trim().slice(0, 200),
+    baseRole: normalizedBaseRole
+  });
+  await roleModel.replacePermissions(normalizedKey, normalizePermissions(permissions));
+  clearPermissionCache();
+  return normalizedKey;
+}
+
+async function updateRolePermissions(roleKey, permissions) {
+  const role = await roleModel.findRole(roleKey);
+  if (!role) {
+    throw createRoleError("Rolle nicht gefunden.", 404);
+  }
+  if (role.key === "admin") {
+    throw createRoleError("Die Rechte der Admin-Rolle können nicht geändert werden.");
+  }
+  await roleModel.replacePermissions(role.key, normalizePermissions(permissions));
+  clearPermissionCache();
+}
+
+async function deleteRole(roleKey) {
+  const role = await roleModel.findRole(roleKey);
+  if (!role) {
+    throw createRoleError("Rolle nicht gefunden.", 404);
+  }
+  if (role.is_system) {
+    throw createRoleError("Systemrollen können nicht gelöscht werden.");
+  }
+  const userCounts = await roleModel.countUsersByRole();
+  if (Number(userCounts.find((row) => row.role_key === role.key)?.count || 0) > 0) {
+    throw createRoleError("Die Rolle ist noch Nutzern zugewiesen.");
+  }
+  await roleModel.deleteRole(role.key);
+  clearPermissionCache();
+}
+
+async function resolveAssignableRole(roleKey) {
+  const role = await roleModel.findRole(String(roleKey || "").trim());
+  if (!role || !BASE_ROLES.includes(role.base_role)) return null;
+  return { key: role.key, label: role.label, baseRole: role.base_role };
+}
+
+// Verwaltungsrechte kann nur weitergeben, wer sie selbst hat; Admin-Rollen zusätzlich nur mit settings.manage.
+async function assertRoleGrantable(actor, roleKey) {
+  const role = await resolveAssignableRole(roleKey);
+  if (!role) {
+    throw createRoleError("Unbekannte Rolle.");
+  }
+  const [granted, rolePermissions] = await Promise.all([getPermissions(actor), getPermissions({ role_key: role.key })]);
+  if (role.baseRole === "admin" && !granted.has("settings.manage")) {
+    throw createRoleError("Admin-Rollen darf nur vergeben, wer Rollen und Rechte verwaltet.", 403);
+  }
+  if ([...rolePermissions].some((permission) => ADMIN_PERMISSIONS.includes(permission) && !granted.has(permission))) {
+    throw createRoleError("Diese Rolle hat Rechte, die dein eigenes Konto nicht hat.", 403);
+  }
+  return role;
+}
+
+// Passwort, Zwei-Faktor und Stammdaten von Admin-Konten ändert nur, wer Rollen und Rechte verwaltet.
+async function assertAccountManageable(actor, target) {
+  if (String(target?.role || "") !== "admin") return;
+  const granted = await getPermissions(actor);
+  if (!granted.has("settings.manage")) {
+    throw createRoleError("Admin-Konten darf nur verwalten, wer Rollen und Rechte verwaltet.", 403);
+  }
+}
+
+async function listAssignableRoles() {
+  const roles = await roleModel.listRoles();
+  return roles.map((role) => ({ key: role.key, label: role.label, baseRole: role.base_role }));
+}
+
+module.exports = {
+  assertAccountManageable,
+  assertRoleGrantable,
+  clearPermissionCache,
+  createRole,
+  deleteRole,
+  getPermissions,
+  hasPermission,
+  listAssignableRoles,
+  listRolesWithPermissions,
+  resolveAssignableRole,
+  resolveRoleKey,
+  updateRolePermissions
+};
@@ -0,0 +1,364 @@
+const rubricModel = require("../models/rubricModel");
+
+const MAX_RUBRIC_NAME_LENGTH = 80;
+const MAX_CRITERION_NAME_LENGTH = 80;
+const MAX_LEVEL_LABEL_LENGTH = 40;
+const MAX_DESCRIPTOR_LENGTH = 300;
+const MAX_CRITERIA_COUNT = 20;
+const MAX_LEVEL_COUNT = 10;
+
+function createRubricError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function parseNumber(value) {
+  const text = String(value ?? "").trim().replace(",", ".");
+  if (!text) return null;
+  const numeric = Number(text);
+  return Number.isFinite(numeric) ? numeric : NaN;
+}
+
+function roundPoints(value) {
+  return Math.round(Number(value) * 100) / 100;
+}
+
+function buildRubric(row, criterionRows, levelRows) {
+  const criteria = criterionRows.map((criterion) => {
+    const levels = levelRows
+      .filter((level) => String(level.criterion_id) === String(criterion.id))
+      .map((level) => ({
+        id: level.id,
+        label: level.label,
+        points: Number(level.points),
+        descriptor: level.descriptor || ""
+      }));
+    return {
+      id: criterion.id,
+      name: criterion.name,
+      levels,
+      max_points: levels.reduce((max, level) => Math.max(max, level.points), 0)
+    };
+  });
+  return {
+    id: row.id,
+    teacher_id: row.teacher_id,
+    name: row.name,
+    description: row.description || "",
+    created_at: row.created_at || null,
+    criteria,
+    max_points: roundPoints(criteria.reduce((sum, criterion) => sum + criterion.max_points, 0))
+  };
+}
+
+function formatCriteriaText(criteria) {
+  return (criteria || [])
+    .map((criterion) =>
+      [
+        criterion.name,
+        ...criterion.levels.map((level) =>
+          [level.label, level.points, level.descriptor].filter((part) => part != null && part !== "").join("; ")
+        )
+      ].join(" | ")
+    )
+    .join("\n");
+}
+
+// Eine Zeile je Kriterium: "Kriterium | Stufe; Punkte; Beschreibung | Stufe; Punkte; Beschreibung ...".
+function parseCriteriaText(text) {
+  const lines = String(text || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+  if (!lines.length) {
+    throw createRubricError("Ein Raster braucht mindestens ein Kriterium.");
+  }
+  if (lines.length > MAX_CRITERIA_COUNT) {
+    throw createRubricError(`Ein Raster darf höchstens ${MAX_CRITERIA_COUNT} Kriterien haben.`);
+  }
+
+  const criteria = lines.map((line, index) => {
+    const [namePart, ...levelParts] = line.split("|");
+    const name = String(namePart || "").trim();
+    const lineLabel = `Zeile ${index + 1}`;
+    if (!name || name.length > MAX_CRITERION_NAME_LENGTH) {
+      throw createRubricError(
+        `${lineLabel}: Kriterium fehlt oder ist länger als ${MAX_CRITERION_NAME_LENGTH} Zeichen.`
+      );
+    }
+    const levels = levelParts.map((part) => part.trim()).filter(Boolean).map((part) => {
+      const [labelPart, pointsPart, ...descriptorParts] = part.split(";");
+      const label = String(labelPart || "").trim();
+      const points = parseNumber(pointsPart);
+      const descriptor = descriptorParts.join(";").trim();
+      if (!label || label.length > MAX_LEVEL_LABEL_LENGTH) {
+        throw createRubricError(
+          `${lineLabel}: Stufenbezeichnung fehlt oder ist länger als ${MAX_LEVEL_LABEL_LENGTH} Zeichen.`
+        );
+      }
+      if (points == null || Number.isNaN(points) || points < 0) {
+        throw createRubricError(`${lineLabel}: Die Punkte der Stufe „${label}“ müssen mindestens 0 sein.`);
+      }
+      if (descriptor.length > MAX_DESCRIPTOR_LENGTH) {
+        throw createRubricError(
+          `${lineLabel}: Die Beschreibung der Stufe „${label}“ ist länger als ${MAX_DESCRIPTOR_LENGTH} Zeichen.`
+        );
+      }
+      return { label, points, descriptor: descriptor || null };
+    });
+    if (levels.length < 2 || levels.length > MAX_LEVEL_COUNT) {
+      throw createRubricError(`${lineLabel}: Ein Kriterium braucht 2 bis ${MAX_LEVEL_COUNT} Stufen.`);
+    }
+    const labels = new Set(levels.map((level) => level.label.toLowerCase()));
+    if (labels.size !== levels.length) {
+      throw createRubricError(`${lineLabel}: Stufenbezeichnungen müssen innerhalb des Kriteriums eindeutig sein.`);
+    }
+    return { name, levels };
+  });
+
+  const names = new Set(criteria.map((criterion) => criterion.name.toLowerCase()));
+  if (names.size !== criteria.length) {
+    throw createRubricError("Kriterien müssen innerhalb des Rasters eindeutig sein.");
+  }
+  const maxPoints = criteria.reduce(
+    (sum, criterion) => sum + Math.max(...criterion.levels.map((level) => level.points)),
+    0
+  );
+  if (maxPoints <= 0) {
+    throw createRubricError("Die besten Stufen müssen zusammen mehr als 0 Punkte ergeben.");
+  }
+  return criteria;
+}
+
+function parseRubricInput(input = {}) {
+  const name = String(input.name || "").trim();
+  if (!name) {
+    throw createRubricError("Bitte einen Namen für das Raster angeben.");
+  }
+  if (name.length > MAX_RUBRIC_NAME_LENGTH) {
+    throw createRubricError(`Der Name darf höchstens ${MAX_RUBRIC_NAME_LENGTH} Zeichen lang sein.`);
+  }
+  const description = String(input.description || "").trim();
+  return { name, description: description || null, criteria: parseCriteriaText(input.criteria) };
+}
+
+async function ensureUniqueName(teacherId, name, ignoreRubricId = null) {
+  const existing = await rubricModel.findRubricByName(teacherId, name);
+  if (existing && String(existing.id) !== String(ignoreRubricId)) {
+    throw createRubricError(`Ein Raster mit dem Namen „${name}“ gibt es bereits.`);
+  }
+}
+
+async function loadRubric(rubricId) {
+  const row = await rubricModel.findRubricById(rubricId);
+  if (!row) return null;
+  const [criterionRows, levelRows] = await Promise.all([
+    rubricModel.listCriteriaForRubric(row.id),
+    rubricModel.listLevelsForRubric(row.id)
+  ]);
+  return buildRubric(row, criterionRows, levelRows);
+}
+
+async function loadRubricForTeacher(rubricId, teacherId) {
+  const rubric = rubricId ? await loadRubric(rubricId) : null;
+  if (!rubric || String(rubric.teacher_id) !== String(teacherId)) {
+    throw createRubricError("Bewertungsraster nicht gefunden.", 404);
+  }
+  return rubric;
+}
+
+async function listRubricsForTeacher(teacherId) {
+  const rows = await rubricModel.listRubricsForTeacher(teacherId);
+  const rubrics = [];
+  for (const row of rows) {
+    const rubric = await loadRubric(row.id);
+    rubrics.push({ ...rubric, is_used: (await rubricModel.countScoresForRubric(row.id)) > 0 });
+  }
+  return rubrics;
+}
+
+async function createRubric(teacherId, input) {
+  const value = parseRubricInput(input);
+  await ensureUniqueName(teacherId, value.name);
+  const rubricId = await rubricModel.insertRubric(teacherId, value.name, value.description);
+  await rubricModel.replaceRubricCriteria(rubricId, value.criteria);
+  return rubricId;
+}
+
+// Nach der ersten Bewertung bleiben Kriterien und Stufen fix, damit vergebene Punkte nachvollziehbar bleiben.
+async function updateRubric(rubricId, teacherId, input) {
+  const rubric = await loadRubricForTeacher(rubricId, teacherId);
+  const value = parseRubricInput(input);
+  await ensureUniqueName(teacherId, value.name, rubric.id);
+  const criteriaChanged = formatCriteriaText(value.criteria) !== formatCriteriaText(rubric.criteria);
+  if (criteriaChanged && (await rubricModel.countScoresForRubric(rubric.id))) {
+    throw createRubricError(
+      "Das Raster wurde bereits für Bewertungen verwendet. Kriterien und Stufen können nicht mehr geändert werden."
+    );
+  }
+  await rubricModel.updateRubric(rubric.id, value.name, value.description);
+  if (criteriaChanged) {
+    await rubricModel.replaceRubricCriteria(rubric.id, value.criteria);
+    const updated = await loadRubric(rubric.id);
+    await rubricModel.syncTemplateMaxPoints(rubric.id, updated.max_points);
+  }
+  return rubric;
+}
+
+async function deleteRubric(rubricId, teacherId) {
+  const rubric = await loadRubricForTeacher(rubricId, teacherId);
+  if (await rubricModel.countScoresForRubric(rubric.id)) {
+    throw createRubricError("Das Raster wurde bereits für Bewertungen verwendet und kann nicht gelöscht werden.");
+  }
+  await rubricModel.deleteRubric(rubric.id);
+  return rubric;
+}
+
+async function resolveTemplateRubric(templateId) {
+  const rubricId = await rubricModel.findTemplateRubricId(templateId);
+  return rubricId == null ? null : loadRubric(rubricId);
+}
+
+async function mapRubricsByTemplate(templates) {
+  const rubricsById = new Map();
+  const map = new Map();
+  for (const template of templates || []) {
+    if (template.rubric_id == null) continue;
+    const key = String(template.rubric_id);
+    if (!rubricsById.has(key)) {
+      rubricsById.set(key, await loadRubric(template.rubric_id));
+    }
+    if (rubricsById.get(key)) {
+      map.set(String(template.id), rubricsById.get(key));
+    }
+  }
+  return map;
+}
+
+// Ein Raster setzt die Maximalpunkte der Prüfung auf die Summe der besten Stufen.
+async function attachRubricToTemplate(templateId, classId, rubric, fallbackMaxPoints = null) {
+  await rubricModel.setTemplateRubric(
+    templateId,
+    classId,
+    rubric ? rubric.id : null,
+    rubric ? rubric.max_points : fallbackMaxPoints
+  );
+}
+
+function readRubricSelection(rubric, readLevelId) {
+  const selection = { provided: false, complete: false, scores: [], total: null, error: null };
+  if (!rubric) return selection;
+
+  const missing = [];
+  for (const criterion of rubric.criteria) {
+    const levelId = String(readLevelId(criterion.id) ?? "").trim();
+    if (!levelId) {
+      missing.push(criterion.name);
+      continue;
+    }
+    const level = criterion.levels.find((entry) => String(entry.id) === levelId);
+    if (!level) {
+      selection.provided = true;
+      selection.error = `Ungültige Stufe beim Kriterium „${criterion.name}“.`;
+      return selection;
+    }
+    selection.scores.push({ criterion_id: criterion.id, level_id: level.id, points: level.points });
+  }
+
+  selection.provided = selection.scores.length > 0;
+  if (selection.provided && missing.length) {
+    selection.error = `Bitte im Raster „${rubric.name}“ auch eine Stufe wählen für: ${missing.join(", ")}.`;
+    return selection;
+  }
+  selection.complete = selection.provided;
+  selection.total = selection.complete
+    ? roundPoints(selection.scores.reduce((sum, score) => sum + score.points, 0))
+    : null;
+  return selection;
+}
+
+async function saveGradeScores(gradeId, selection) {
+  if (!gradeId) return;
+  await rubricModel.replaceGradeScores(gradeId, selection?.complete ? selection.scores : []);
+}
+
+async function clearGradeScores(gradeId) {
+  if (!(await rubricModel.countScoresForGrade(gradeId))) return false;
+  await rubricModel.replaceGradeScores(gradeId, []);
+  return true;
+}
+
+async function mapScoresByGradeForTemplate(templateId) {
+  const rows = await rubricModel.listScoresForTemplate(templateId);
+  const map = new Map();
+  rows.forEach((row) => {
+    const key = String(row.grade_id);
+    const levels = map.get(key) || new Map();
+    levels.set(String(row.criterion_id), String(row.level_id));
+    map.set(key, levels);
+  });
+  return map;
+}
+
+async function mapFilledRubricsForStudent(studentId) {
+  const rows = await rubricModel.listScoresForStudent(studentId);
+  const rubricsById = new Map();
+  for (const row of rows) {
+    const key = String(row.rubric_id);
+    if (!rubricsById.has(key)) {
+      rubricsById.set(key, await loadRubric(row.rubric_id));
+    }
+  }
+
+  const rowsByGrade = new Map();
+  rows.forEach((row) => {
+    const list = rowsByGrade.get(String(row.grade_id)) || [];
+    list.push(row);
+    rowsByGrade.set(String(row.grade_id), list);
+  });
+
+  const map = new Map();
+  rowsByGrade.forEach((gradeRows, gradeId) => {
+    const rubric = rubricsById.get(String(gradeRows[0].rubric_id));
+    if (!rubric) return;
+    const criteria = rubric.criteria
+      .map((criterion) => {
+        const score = gradeRows.find((row) => String(row.criterion_id) === String(criterion.id));
+        if (!score) return null;
+        const level = criterion.levels.find((entry) => String(entry.id) === String(score.level_id));
+        return {
+          name: criterion.name,
+          level_label: level ? level.label : "-",
+          descriptor: level ? level.descriptor : "",
+          points: Number(score.points),
+          max_points: criterion.max_points
+        };
+      })
+      .filter(Boolean);
+    map.set(gradeId, {
+      name: rubric.name,
+      criteria,
+      total: roundPoints(criteria.reduce((sum, criterion) => sum + criterion.points, 0)),
+      max_points: rubric.max_points
+    });
+  });
+  return map;
+}
+
+module.exports = {
+  attachRubricToTemplate,
+  clearGradeScores,
+  createRubric,
+  deleteRubric,
+  formatCriteriaText,
+  listRubricsForTeacher,
+  loadRubricForTeacher,
+  mapFilledRubricsForStudent,
+  mapRubricsByTemplate,
+  mapScoresByGradeForTemplate,
+  readRubricSelection,
+  resolveTemplateRubric,
+  saveGradeScores,
+  updateRubric
+};
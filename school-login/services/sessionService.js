@@ -0,0 +1,93 @@
+const crypto = require("crypto");
+const { destroySession, destroyUserSessions, listUserSessions } = require("../sessionStore");
+
+const BROWSER_PATTERNS = [
+  { regex: /Teams\//i, label: "Microsoft Teams" },
+  { regex: /Edg(A|iOS)?\//i, label: "Edge" },
+  { regex: /OPR\/|Opera/i, label: "Opera" },
+  { regex: /Firefox\/|FxiOS\//i, label: "Firefox" },
+  { regex: /Chrome\/|CriOS\//i, label: "Chrome" },
+  { regex: /Safari\//i, label: "Safari" }
+];
+const OS_PATTERNS = [
+  { regex: /Windows/i, label: "Windows" },
+  { regex: /Android/i, label: "Android" },
+  { regex: /iPhone|iPod/i, label: "iOS" },
+  { regex: /iPad/i, label: "iPadOS" },
+  { regex: /CrOS/i, label: "ChromeOS" },
+  { regex: /Mac OS X|Macintosh/i, label: "macOS" },
+  { regex: /Linux/i, label: "Linux" }
+];
+
+function buildSessionKey(sid) {
+  return crypto.createHash("sha256").update(String(sid || "")).digest("hex").slice(0, 32);
+}
+
+function describeDevice(userAgent) {
+  const value = String(userAgent || "");
+  if (!value) return "Unbekanntes Gerät";
+  const browser = BROWSER_PATTERNS.find((entry) => entry.regex.test(value));
+  const os = OS_PATTERNS.find((entry) => entry.regex.test(value));
+  if (browser && os) return `${browser.label} auf ${os.label}`;
+  return browser?.label || os?.label || "Unbekanntes Gerät";
+}
+
+function formatTimestamp(value) {
+  const timestamp = value ? new Date(value).getTime() : NaN;
+  if (!Number.isFinite(timestamp)) return "-";
+  return new Date(timestamp).toLocaleString("de-AT", {
+    dateStyle: "short",
+    timeStyle: "short",
+    timeZone: "Europe/Vienna"
+  });
+}
+
+function toSessionView(entry, currentSid) {
+  const client = entry.sess?.client || {};
+  return {
+    key: buildSessionKey(entry.sid),
+    current: Boolean(currentSid) && entry.sid === currentSid,
+    device: describeDevice(client.userAgent),
+    ipAddress: client.ipAddress || "-",
+    createdAt: client.createdAt || null,
+    createdAtLabel: formatTimestamp(client.createdAt),
+    lastSeenAt: client.lastSeenAt || null,
+    lastSeenAtLabel: formatTimestamp(client.lastSeenAt),
+    expiresAtLabel: formatTimestamp(entry.expire)
+  };
+}
+
+async function listSessions(store, userId, currentSid = null) {
+  const entries = await listUserSessions(store, userId);
+  return entries
+    .map((entry) => toSessionView(entry, currentSid))
+    .sort((a, b) => {
+      if (a.current !== b.current) return a.current ? -1 : 1;
+      return new Date(b.lastSeenAt || 0) - new Date(a.lastSeenAt || 0);
+    });
+}
+
+async function revokeSession(store, userId, sessionKey, currentSid = null) {
+  const entries = await listUserSessions(store, userId);
+  const match = entries.find((entry) => buildSessionKey(entry.sid) === String(sessionKey || ""));
+  if (!match || match.sid === currentSid) return false;
+  await destroySession(store, match.sid);
+  return true;
+}
+
+async function revokeOtherSessions(store, userId, currentSid) {
+  await destroyUserSessions(store, userId, { exceptSid: currentSid });
+}
+
+async function revokeAllSessions(store, userId) {
+  await destroyUserSessions(store, userId);
+}
+
+module.exports = {
+  buildSessionKey,
+  describeDevice,
+  listSessions,
+  revokeAllSessions,
+  revokeOtherSessions,
+  revokeSession
+};
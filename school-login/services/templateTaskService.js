@@ -0,0 +1,237 @@
+const templateTaskModel = require("../models/templateTaskModel");
+
+const MAX_TASK_COUNT = 30;
+const MAX_TASK_LABEL_LENGTH = 60;
+const MIN_ANALYSIS_PARTICIPANTS = 3;
+const LOW_SOLVE_RATE = 30;
+const LOW_DISCRIMINATION = 0.2;
+
+function createTaskError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function parseNumber(value) {
+  const text = String(value ?? "").trim().replace(",", ".");
+  if (!text) return null;
+  const numeric = Number(text);
+  return Number.isFinite(numeric) ? numeric : NaN;
+}
+
+function roundPoints(value) {
+  return Math.round(Number(value) * 100) / 100;
+}
+
+function normalizeTask(row) {
+  return {
+    id: row.id,
+    template_id: row.template_id,
+    label: row.label,
+    max_points: Number(row.max_points)
+  };
+}
+
+function formatTasksText(tasks) {
+  return (tasks || []).map((task) => `${task.label}; ${task.max_points}`).join("\n");
+}
+
+function sumMaxPoints(tasks) {
+  return roundPoints((tasks || []).reduce((sum, task) => sum + Number(task.max_points), 0));
+}
+
+// Eine Zeile je Teilaufgabe: "Bezeichnung; Max. Punkte". Leere Eingabe heißt keine Teilaufgaben.
+function parseTasksText(text) {
+  const lines = String(text || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+  if (lines.length > MAX_TASK_COUNT) {
+    throw createTaskError(`Eine Prüfung darf höchstens ${MAX_TASK_COUNT} Teilaufgaben haben.`);
+  }
+
+  const tasks = lines.map((line, index) => {
+    const separatorIndex = line.lastIndexOf(";");
+    const label = (separatorIndex >= 0 ? line.slice(0, separatorIndex) : line).trim();
+    const maxPoints = parseNumber(separatorIndex >= 0 ? line.slice(separatorIndex + 1) : "");
+    const lineLabel = `Teilaufgaben Zeile ${index + 1}`;
+    if (!label || label.length > MAX_TASK_LABEL_LENGTH) {
+      throw createTaskError(
+        `${lineLabel}: Bezeichnung fehlt oder ist länger als ${MAX_TASK_LABEL_LENGTH} Zeichen.`
+      );
+    }
+    if (maxPoints == null || Number.isNaN(maxPoints) || maxPoints <= 0) {
+      throw createTaskError(`${lineLabel}: Die maximalen Punkte von „${label}“ müssen größer als 0 sein.`);
+    }
+    return { label, max_points: roundPoints(maxPoints) };
+  });
+
+  const labels = new Set(tasks.map((task) => task.label.toLowerCase()));
+  if (labels.size !== tasks.length) {
+    throw createTaskError("Teilaufgaben müssen innerhalb der Prüfung eindeutig benannt sein.");
+  }
+  return tasks;
+}
+
+async function listTemplateTasks(templateId) {
+  const rows = await templateTaskModel.listTasksForTemplate(templateId);
+  return rows.map(normalizeTask);
+}
+
+async function mapTasksByTemplate(templates) {
+  const templateIds = (templates || []).map((template) => template.id).filter((id) => id != null);
+  const rows = await templateTaskModel.listTasksForTemplates(templateIds);
+  const map = new Map();
+  rows.forEach((row) => {
+    const key = String(row.template_id);
+    const list = map.get(key) || [];
+    list.push(normalizeTask(row));
+    map.set(key, list);
+  });
+  return map;
+}
+
+// Sobald Punkte je Teilaufgabe erfasst sind, bleibt die Aufteilung fix.
+async function saveTemplateTasks(templateId, tasks) {
+  const existing = await listTemplateTasks(templateId);
+  if (formatTasksText(existing) === formatTasksText(tasks)) return;
+  if (await templateTaskModel.countPointsForTemplate(templateId)) {
+    throw createTaskError(
+      "Zu dieser Prüfung wurden bereits Punkte je Teilaufgabe erfasst. Die Teilaufgaben können nicht mehr geändert werden."
+    );
+  }
+  await templateTaskModel.replaceTemplateTasks(templateId, tasks);
+}
+
+function readTaskPoints(tasks, readValue) {
+  const entry = { provided: false, complete: false, points: [], total: null, error: null };
+  if (!tasks || !tasks.length) return entry;
+
+  const missing = [];
+  for (const task of tasks) {
+    const value = parseNumber(readValue(task.id));
+    if (value == null) {
+      missing.push(task.label);
+      continue;
+    }
+    if (Number.isNaN(value) || value < 0 || value > task.max_points) {
+      entry.provided = true;
+      entry.error = `Punkte bei „${task.label}“ müssen zwischen 0 und ${task.max_points} liegen.`;
+      return entry;
+    }
+    entry.points.push({ task_id: task.id, points: roundPoints(value) });
+  }
+
+  entry.provided = entry.points.length > 0;
+  if (entry.provided && missing.length) {
+    entry.error = `Bitte auch Punkte eintragen für: ${missing.join(", ")}.`;
+    return entry;
+  }
+  entry.complete = entry.provided;
+  entry.total = entry.complete
+    ? roundPoints(entry.points.reduce((sum, point) => sum + point.points, 0))
+    : null;
+  return entry;
+}
+
+async function saveGradeTaskPoints(gradeId, entry) {
+  if (!gradeId) return;
+  await templateTaskModel.replaceGradeTaskPoints(gradeId, entry?.complete ? entry.points : []);
+}
+
+async function clearGradeTaskPoints(gradeId) {
+  if (!(await templateTaskModel.countPointsForGrade(gradeId))) return false;
+  await templateTaskModel.replaceGradeTaskPoints(gradeId, []);
+  return true;
+}
+
+async function mapPointsByGradeForTemplate(templateId) {
+  const rows = await templateTaskModel.listPointsForTemplate(templateId);
+  const map = new Map();
+  rows.forEach((row) => {
+    const key = String(row.grade_id);
+    const points = map.get(key) || new Map();
+    points.set(String(row.task_id), Number(row.points));
+    map.set(key, points);
+  });
+  return map;
+}
+
+function correlate(xs, ys) {
+  const n = xs.length;
+  const meanX = xs.reduce((sum, value) => sum + value, 0) / n;
+  const meanY = ys.reduce((sum, value) => sum + value, 0) / n;
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (let i = 0; i < n; i += 1) {
+    covariance += (xs[i] - meanX) * (ys[i] - meanY);
+    varianceX += (xs[i] - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  }
+  if (!varianceX || !varianceY) return null;
+  return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+// Trennschärfe = Korrelation der Aufgabe mit der Summe der übrigen Aufgaben (korrigierte Item-Total-Korrelation).
+function buildItemAnalysis(tasks, pointRows, studentIds = null) {
+  const allowed = studentIds ? new Set(Array.from(studentIds, String)) : null;
+  const pointsByGrade = new Map();
+  (pointRows || []).forEach((row) => {
+    if (allowed && !allowed.has(String(row.student_id))) return;
+    const key = String(row.grade_id);
+    const points = pointsByGrade.get(key) || new Map();
+    points.set(String(row.task_id), Number(row.points));
+    pointsByGrade.set(key, points);
+  });
+  const sheets = Array.from(pointsByGrade.values()).filter((points) =>
+    tasks.every((task) => points.has(String(task.id)))
+  );
+  const totals = sheets.map((points) =>
+    tasks.reduce((sum, task) => sum + points.get(String(task.id)), 0)
+  );
+
+  const items = tasks.map((task) => {
+    const values = sheets.map((points) => points.get(String(task.id)));
+    if (!values.length) {
+      return { ...task, average: null, solve_rate: null, discrimination: null, flags: [] };
+    }
+    const average = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const solveRate = (average / task.max_points) * 100;
+    const discrimination =
+      values.length >= MIN_ANALYSIS_PARTICIPANTS
+        ? correlate(values, totals.map((total, index) => total - values[index]))
+        : null;
+    const flags = [];
+    if (solveRate < LOW_SOLVE_RATE) flags.push("sehr schwer");
+    if (discrimination != null && discrimination < LOW_DISCRIMINATION) flags.push("trennt kaum");
+    return {
+      ...task,
+      average: roundPoints(average),
+      solve_rate: Math.round(solveRate),
+      discrimination: discrimination == null ? null : roundPoints(discrimination),
+      flags
+    };
+  });
+
+  return { participant_count: sheets.length, tasks: items };
+}
+
+async function loadItemAnalysis(tasks, templateId, studentIds = null) {
+  const rows = await templateTaskModel.listPointsForTemplate(templateId);
+  return buildItemAnalysis(tasks, rows, studentIds);
+}
+
+module.exports = {
+  clearGradeTaskPoints,
+  formatTasksText,
+  listTemplateTasks,
+  loadItemAnalysis,
+  mapPointsByGradeForTemplate,
+  mapTasksByTemplate,
+  parseTasksText,
+  readTaskPoints,
+  saveGradeTaskPoints,
+  saveTemplateTasks,
+  sumMaxPoints
+};
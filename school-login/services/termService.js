@@ -0,0 +1,168 @@
+const earlyWarningModel = require("../models/earlyWarningModel");
+const finalGradeModel = require("../models/finalGradeModel");
+const schoolYearModel = require("../models/schoolYearModel");
+const termModel = require("../models/termModel");
+const { findTermForDate, toDateKey } = require("../utils/gradingEngine");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_TERM_NAME_LENGTH = 80;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createTermError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function normalizeTerm(row) {
+  return {
+    id: row.id,
+    school_year_id: row.school_year_id,
+    name: row.name,
+    start_date: toDateKey(row.start_date),
+    end_date: toDateKey(row.end_date)
+  };
+}
+
+function formatDateLabel(dateKey) {
+  const [year, month, day] = String(dateKey || "").split("-");
+  return year && month && day ? `${day}.${month}.${year}` : "-";
+}
+
+async function listTerms(schoolYearId) {
+  if (!schoolYearId) return [];
+  const rows = await termModel.listTermsBySchoolYear(schoolYearId);
+  return rows.map(normalizeTerm);
+}
+
+async function resolveTermSelection(schoolYearId, requestedTermId) {
+  const terms = await listTerms(schoolYearId);
+  const selectedTerm = terms.find((term) => String(term.id) === String(requestedTermId || "")) || null;
+  return { terms, selectedTerm };
+}
+
+function getTermForDate(terms, value) {
+  return findTermForDate(terms, value);
+}
+
+async function loadSchoolYear(schoolYearId) {
+  const schoolYear = await schoolYearModel.getSchoolYearById(schoolYearId);
+  if (!schoolYear) {
+    throw createTermError("Schuljahr nicht gefunden.", 404);
+  }
+  return schoolYear;
+}
+
+function parseTermInput(input = {}) {
+  const name = String(input.name || "").trim();
+  const startDate = String(input.start_date || "").trim();
+  const endDate = String(input.end_date || "").trim();
+  if (!name) {
+    throw createTermError("Bitte einen Namen für den Abschnitt angeben.");
+  }
+  if (name.length > MAX_TERM_NAME_LENGTH) {
+    throw createTermError(`Der Name darf höchstens ${MAX_TERM_NAME_LENGTH} Zeichen lang sein.`);
+  }
+  if (!DATE_PATTERN.test(startDate) || !DATE_PATTERN.test(endDate)) {
+    throw createTermError("Bitte Beginn und Ende als Datum angeben.");
+  }
+  if (startDate > endDate) {
+    throw createTermError("Der Beginn muss vor dem Ende liegen.");
+  }
+  return { name, startDate, endDate };
+}
+
+async function validateTermRange(schoolYear, value, ignoreTermId = null) {
+  const yearStart = toDateKey(schoolYear.start_date);
+  const yearEnd = toDateKey(schoolYear.end_date);
+  if (value.startDate < yearStart || value.endDate > yearEnd) {
+    throw createTermError(
+      `Der Abschnitt muss innerhalb des Schuljahres liegen (${formatDateLabel(yearStart)} bis ${formatDateLabel(yearEnd)}).`
+    );
+  }
+
+  const terms = await listTerms(schoolYear.id);
+  const overlap = terms.find(
+    (term) =>
+      String(term.id) !== String(ignoreTermId) &&
+      value.startDate <= term.end_date &&
+      value.endDate >= term.start_date
+  );
+  if (overlap) {
+    throw createTermError(`Der Abschnitt überschneidet sich mit „${overlap.name}“.`);
+  }
+}
+
+async function createTerm(schoolYearId, input) {
+  const schoolYear = await loadSchoolYear(schoolYearId);
+  const value = parseTermInput(input);
+  await validateTermRange(schoolYear, value);
+  return termModel.insertTerm(schoolYear.id, value.name, value.startDate, value.endDate);
+}
+
+async function updateTerm(termId, input) {
+  const term = await termModel.findTermById(termId);
+  if (!term) {
+    throw createTermError("Abschnitt nicht gefunden.", 404);
+  }
+  const schoolYear = await loadSchoolYear(term.school_year_id);
+  const value = parseTermInput(input);
+  await validateTermRange(schoolYear, value, term.id);
+  await termModel.updateTerm(term.id, value.name, value.startDate, value.endDate);
+  return normalizeTerm({ ...term, name: value.name, start_date: value.startDate, end_date: value.endDate });
+}
+
+async function deleteTerm(termId) {
+  const term = await termModel.findTermById(termId);
+  if (!term) {
+    throw createTermError("Abschnitt nicht gefunden.", 404);
+  }
+  if (await finalGradeModel.countFinalGradesByTerm(term.id)) {
+    throw createTermError("Für diesen Abschnitt gibt es bereits Zeugnisnoten; er kann nicht gelöscht werden.");
+  }
+  if (await earlyWarningModel.countWarningsByTerm(term.id)) {
+    throw createTermError("Für diesen Abschnitt wurden bereits Frühwarnungen ausgestellt; er kann nicht gelöscht werden.");
+  }
+  await termModel.deleteTerm(term.id);
+  return normalizeTerm(term);
+}
+
+// Das Semesterzeugnis wird vor den Semesterferien ausgegeben; als Vorschlag gilt der erste Freitag im Februar.
+function getDefaultSemesterEnd(year) {
+  const date = new Date(Date.UTC(year, 1, 1));
+  while (date.getUTCDay() !== 5) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+}
+
+async function createDefaultSemesters(schoolYearId) {
+  const schoolYear = await loadSchoolYear(schoolYearId);
+  const existing = await listTerms(schoolYear.id);
+  if (existing.length) {
+    throw createTermError("Für dieses Schuljahr sind bereits Abschnitte angelegt.");
+  }
+
+  const yearStart = toDateKey(schoolYear.start_date);
+  const yearEnd = toDateKey(schoolYear.end_date);
+  const semesterEnd = getDefaultSemesterEnd(Number(String(yearEnd).slice(0, 4)));
+  const firstEnd = semesterEnd.toISOString().slice(0, 10);
+  const secondStart = new Date(semesterEnd.getTime() + DAY_MS).toISOString().slice(0, 10);
+  if (!yearStart || !yearEnd || firstEnd <= yearStart || secondStart > yearEnd) {
+    throw createTermError("Das Schuljahr ist für eine Semesterteilung zu kurz.");
+  }
+
+  await termModel.insertTerm(schoolYear.id, "1. Semester", yearStart, firstEnd);
+  await termModel.insertTerm(schoolYear.id, "2. Semester", secondStart, yearEnd);
+}
+
+module.exports = {
+  createDefaultSemesters,
+  createTerm,
+  deleteTerm,
+  formatDateLabel,
+  getTermForDate,
+  listTerms,
+  resolveTermSelection,
+  updateTerm
+};
@@ -0,0 +1,145 @@
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+const twoFactorModel = require("../models/twoFactorModel");
+const {
+  buildOtpauthUrl,
+  formatTotpSecret,
+  generateTotpSecret,
+  verifyTotp
+} = require("../utils/totp");
+
+const TWO_FACTOR_ROLES = ["admin", "teacher"];
+const DEFAULT_REQUIRED_ROLES = "admin";
+const RECOVERY_CODE_COUNT = 10;
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || "Notenverwaltung HTL Waidhofen";
+
+function getRequiredTwoFactorRoles() {
+  const rawValue = process.env.TWO_FACTOR_REQUIRED_ROLES ?? DEFAULT_REQUIRED_ROLES;
+  return String(rawValue)
+    .split(/[,\s]+/)
+    .map((entry) => entry.trim().toLowerCase())
+    .filter((entry) => TWO_FACTOR_ROLES.includes(entry));
+}
+
+function isTwoFactorAvailableForRole(role) {
+  return TWO_FACTOR_ROLES.includes(String(role || "").toLowerCase());
+}
+
+function isTwoFactorRequiredForRole(role) {
+  return getRequiredTwoFactorRoles().includes(String(role || "").toLowerCase());
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+}
+
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+async function replaceRecoveryCodes(userId) {
+  const codes = generateRecoveryCodes();
+  await twoFactorModel.deleteRecoveryCodes(userId);
+  for (const code of codes) {
+    await twoFactorModel.insertRecoveryCode(userId, hashRecoveryCode(code));
+  }
+  return codes;
+}
+
+async function buildEnrollment(email, secret = generateTotpSecret()) {
+  const otpauthUrl = buildOtpauthUrl({
+    secret,
+    accountName: email,
+    issuer: TWO_FACTOR_ISSUER
+  });
+  const qrDataUrl = await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 220 });
+  return {
+    secret,
+    formattedSecret: formatTotpSecret(secret),
+    otpauthUrl,
+    qrDataUrl
+  };
+}
+
+async function getTwoFactorStatus(userId) {
+  const state = await twoFactorModel.getTwoFactorState(userId);
+  if (!state) return null;
+  const enabled = Boolean(state.totp_enabled);
+  return {
+    enabled,
+    enrolledAt: state.totp_enrolled_at || null,
+    remainingRecoveryCodes: enabled ? await twoFactorModel.countUnusedRecoveryCodes(userId) : 0,
+    required: isTwoFactorRequiredForRole(state.role),
+    available: isTwoFactorAvailableForRole(state.role)
+  };
+}
+
+async function confirmEnrollment(userId, secret, code) {
+  const step = verifyTotp(secret, code);
+  if (step == null) return null;
+  await twoFactorModel.enableTotp(userId, secret, step);
+  return replaceRecoveryCodes(userId);
+}
+
+async function verifyTotpForUser(state, code) {
+  if (!state?.totp_enabled || !state.totp_secret) return false;
+  const step = verifyTotp(state.totp_secret, code);
+  if (step == null) return false;
+  return twoFactorModel.claimTotpStep(state.id, step);
+}
+
+async function consumeRecoveryCode(userId, code) {
+  const normalized = normalizeRecoveryCode(code);
+  if (!normalized) return false;
+  const expectedHash = Buffer.from(hashRecoveryCode(normalized));
+  const candidates = await twoFactorModel.listUnusedRecoveryCodes(userId);
+  const match = candidates.find((entry) => {
+    const storedHash = Buffer.from(String(entry.code_hash || ""));
+    return storedHash.length === expectedHash.length && crypto.timingSafeEqual(storedHash, expectedHash);
+  });
+  if (!match) return false;
+  await twoFactorModel.markRecoveryCodeUsed(match.id);
+  return true;
+}
+
+async function verifySecondFactor(userId, code) {
+  const state = await twoFactorModel.getTwoFactorState(userId);
+  if (!state?.totp_enabled) return { ok: false, method: null };
+
+  if (await verifyTotpForUser(state, code)) {
+    return { ok: true, method: "totp" };
+  }
+  if (await consumeRecoveryCode(userId, code)) {
+    return { ok: true, method: "recovery_code" };
+  }
+  return { ok: false, method: null };
+}
+
+async function resetTwoFactor(userId) {
+  await twoFactorModel.disableTotp(userId);
+  await twoFactorModel.deleteRecoveryCodes(userId);
+}
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  TWO_FACTOR_ROLES,
+  buildEnrollment,
+  confirmEnrollment,
+  generateRecoveryCodes,
+  getTwoFactorStatus,
+  hashRecoveryCode,
+  isTwoFactorAvailableForRole,
+  isTwoFactorRequiredForRole,
+  replaceRecoveryCodes,
+  resetTwoFactor,
+  verifySecondFactor
+};
@@ -8,6 +8,11 @@ function getExpiry(sess) {
   return new Date(Date.now() + 1000 * 60 * 60);
 }
 
+// Eine Ansicht als anderer Nutzer gehört zur Sitzung des Admins, nicht zu der des angesehenen Kontos.
+function getSessionOwnerId(sess) {
+  return sess?.impersonation ? sess.impersonation.realUser?.id : sess?.user?.id;
+}
+
 class InMemorySessionStore extends session.Store {
   constructor() {
     super();
@@ -35,6 +40,29 @@ class InMemorySessionStore extends session.Store {
     if (typeof cb === "function") cb(null);
   }
 
+  destroyByUserId(userId, options = {}, cb) {
+    const { exceptSid = null } = options;
+    for (const [sid, entry] of this.sessions.entries()) {
+      if (sid === exceptSid) continue;
+      if (Number(getSessionOwnerId(entry.sess)) === Number(userId)) {
+        this.sessions.delete(sid);
+      }
+    }
+    if (typeof cb === "function") cb(null);
+  }
+
+  listByUserId(userId, cb) {
+    const now = Date.now();
+    const entries = [];
+    for (const [sid, entry] of this.sessions.entries()) {
+      if (entry.expire <= now) continue;
+      if (Number(getSessionOwnerId(entry.sess)) === Number(userId)) {
+        entries.push({ sid, sess: entry.sess, expire: new Date(entry.expire) });
+      }
+    }
+    cb(null, entries);
+  }
+
   touch(sid, sess, cb) {
     const entry = this.sessions.get(sid);
     if (entry) {
@@ -91,6 +119,36 @@ class PgSessionStore extends session.Store {
       .catch((err) => cb && cb(err));
   }
 
+  destroyByUserId(userId, options = {}, cb) {
+    const { exceptSid = null } = options;
+    this.pool
+      .query(
+        "DELETE FROM sessions WHERE COALESCE(sess->'impersonation'->'realUser'->>'id', sess->'user'->>'id') = $1 AND sid IS DISTINCT FROM $2",
+        [String(userId), exceptSid]
+      )
+      .then(() => cb && cb(null))
+      .catch((err) => cb && cb(err));
+  }
+
+  listByUserId(userId, cb) {
+    this.pool
+      .query(
+        "SELECT sid, sess, expire FROM sessions WHERE COALESCE(sess->'impersonation'->'realUser'->>'id', sess->'user'->>'id') = $1 AND expire > NOW()",
+        [String(userId)]
+      )
+      .then((result) =>
+        cb(
+          null,
+          result.rows.map((row) => ({
+            sid: row.sid,
+            sess: typeof row.sess === "string" ? JSON.parse(row.sess) : row.sess,
+            expire: new Date(row.expire)
+          }))
+        )
+      )
+      .catch((err) => cb(err));
+  }
+
   touch(sid, sess, cb) {
     const expire = getExpiry(sess);
     this.pool
@@ -112,4 +170,33 @@ function buildSessionStore({ pool, isFakeDb, cleanupIntervalMs } = {}) {
   throw new Error("Session store requires a database pool.");
 }
 
-module.exports = { buildSessionStore };
+function destroyUserSessions(store, userId, options = {}) {
+  return new Promise((resolve, reject) => {
+    if (!store || typeof store.destroyByUserId !== "function") return resolve();
+    store.destroyByUserId(userId, options, (err) => {
+      if (err) return reject(err);
+      resolve();
+    });
+  });
+}
+
+function listUserSessions(store, userId) {
+  return new Promise((resolve, reject) => {
+    if (!store || typeof store.listByUserId !== "function") return resolve([]);
+    store.listByUserId(userId, (err, entries) => {
+      if (err) return reject(err);
+      resolve(entries || []);
+    });
+  });
+}
+
+function destroySession(store, sid) {
+  return new Promise((resolve, reject) => {
+    store.destroy(sid, (err) => {
+      if (err) return reject(err);
+      resolve();
+    });
+  });
+}
+
+module.exports = { buildSessionStore, destroySession, destroyUserSessions, listUserSessions };
@@ -0,0 +1,22 @@
+const HOST_FALLBACK_ENVIRONMENTS = ["development", "test"];
+
+function isHostFallbackAllowed() {
+  return HOST_FALLBACK_ENVIRONMENTS.includes(process.env.NODE_ENV);
+}
+
+// Links in E-Mails und Redirect-URIs nie aus dem Host-Header bauen: den kann jeder Client frei setzen.
+function getAppBaseUrl(req) {
+  const configured = String(process.env.APP_BASE_URL || "").trim().replace(/\/+$/, "");
+  if (configured) return configured;
+  if (req && isHostFallbackAllowed()) {
+    return `${req.protocol}://${req.get("host")}`;
+  }
+  const error = new Error("APP_BASE_URL ist nicht gesetzt. Links zur Anwendung können nicht erzeugt werden.");
+  error.status = 500;
+  throw error;
+}
+
+module.exports = {
+  getAppBaseUrl,
+  isHostFallbackAllowed
+};
@@ -0,0 +1,189 @@
+const MAX_CATEGORY_LABEL_LENGTH = 40;
+const MAX_CATEGORY_COUNT = 20;
+const CATEGORY_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const TEMPLATE_CATEGORY_DEFINITIONS = [
+  {
+    key: "Schularbeit",
+    slug: "schularbeit",
+    label: "Schularbeit",
+    color: "#991b1b",
+    aliases: ["schularbeit"]
+  },
+  {
+    key: "Test",
+    slug: "test",
+    label: "Test",
+    color: "#1e40af",
+    aliases: ["test"]
+  },
+  {
+    key: "Projekt",
+    slug: "projekt",
+    label: "Projekt",
+    color: "#065f46",
+    aliases: ["projekt"]
+  },
+  {
+    key: "Haus\u00fcbung",
+    slug: "hausaufgabe",
+    label: "Hausaufgabe",
+    color: "#92400e",
+    aliases: ["hausaufgabe", "hausuebung", "hausubung", "haus\u00fcbung"]
+  },
+  {
+    key: "Mitarbeit",
+    slug: "mitarbeit",
+    label: "Mitarbeit",
+    color: "#5b21b6",
+    aliases: ["mitarbeit"]
+  },
+  {
+    key: "Wiederholung",
+    slug: "wiederholung",
+    label: "Wiederholung",
+    color: "#0c4a6e",
+    aliases: ["wiederholung"]
+  }
+];
+const DEFAULT_PROFILE_WEIGHTS = {
+  Schularbeit: 40,
+  Test: 20,
+  Projekt: 20,
+  "Haus\u00fcbung": 10,
+  Mitarbeit: 10,
+  Wiederholung: 0
+};
+const BUILTIN_CATEGORY_BY_KEY = new Map(TEMPLATE_CATEGORY_DEFINITIONS.map((entry) => [entry.key, entry]));
+
+function foldCategoryText(value) {
+  return String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim();
+}
+
+function buildCategorySlug(value) {
+  return foldCategoryText(value)
+    .replace(/ß/g, "ss")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40);
+}
+
+function normalizeCategoryColor(value) {
+  const color = String(value || "").trim().toLowerCase();
+  return CATEGORY_COLOR_PATTERN.test(color) ? color : null;
+}
+
+function normalizeCategoryKey(value, categories = TEMPLATE_CATEGORY_DEFINITIONS) {
+  const folded = foldCategoryText(value);
+  if (!folded) return null;
+  for (const category of categories) {
+    const candidates = [category.key, category.label, category.slug, ...(category.aliases || [])];
+    if (candidates.some((candidate) => foldCategoryText(candidate) === folded)) {
+      return category.key;
+    }
+  }
+  return null;
+}
+
+function findCategory(key, categories = TEMPLATE_CATEGORY_DEFINITIONS) {
+  const normalized = normalizeCategoryKey(key, categories);
+  return normalized ? categories.find((category) => category.key === normalized) || null : null;
+}
+
+function buildBuiltinCategory(definition, row = null) {
+  const weight = Number(row?.weight);
+  return {
+    key: definition.key,
+    slug: definition.slug,
+    label: String(row?.label || "").trim() || definition.label,
+    color: normalizeCategoryColor(row?.color) || definition.color,
+    aliases: definition.aliases,
+    weight: row && Number.isFinite(weight) ? weight : Number(DEFAULT_PROFILE_WEIGHTS[definition.key] || 0),
+    is_custom: false
+  };
+}
+
+function buildCustomCategory(row) {
+  const key = String(row.category || "").trim();
+  const weight = Number(row.weight);
+  return {
+    key,
+    slug: buildCategorySlug(key),
+    label: String(row.label || "").trim() || key,
+    color: normalizeCategoryColor(row.color) || "#374151",
+    aliases: [],
+    weight: Number.isFinite(weight) ? weight : 0,
+    is_custom: true
+  };
+}
+
+// Profilzeilen ohne passende Standardkategorie sind eigene Kategorien der Lehrkraft.
+function buildProfileCategories(rows = []) {
+  const builtinRows = new Map();
+  const customRows = [];
+  rows.forEach((row) => {
+    const builtinKey = normalizeCategoryKey(row.category);
+    if (builtinKey) {
+      if (!builtinRows.has(builtinKey)) builtinRows.set(builtinKey, row);
+      return;
+    }
+    if (buildCategorySlug(row.category)) customRows.push(row);
+  });
+  return [
+    ...TEMPLATE_CATEGORY_DEFINITIONS.map((definition) =>
+      buildBuiltinCategory(definition, builtinRows.get(definition.key) || null)
+    ),
+    ...customRows
+      .sort((a, b) => Number(a.sort_order || 0) - Number(b.sort_order || 0))
+      .map((row) => buildCustomCategory(row))
+  ];
+}
+
+function buildCategoryBadgeStyle(category) {
+  if (!category?.color) return "";
+  const builtin = BUILTIN_CATEGORY_BY_KEY.get(category.key);
+  if (builtin && builtin.color === category.color) return "";
+  return `background:${category.color}1f;color:${category.color};`;
+}
+
+function validateCategories(categories) {
+  if (categories.length > MAX_CATEGORY_COUNT) {
+    return `Ein Profil darf höchstens ${MAX_CATEGORY_COUNT} Kategorien haben.`;
+  }
+  const seenLabels = new Set();
+  const seenSlugs = new Set();
+  for (const category of categories) {
+    const label = String(category.label || "").trim();
+    if (!label || label.length > MAX_CATEGORY_LABEL_LENGTH) {
+      return `Kategorienamen müssen 1 bis ${MAX_CATEGORY_LABEL_LENGTH} Zeichen lang sein.`;
+    }
+    if (!category.slug) {
+      return `Der Kategoriename „${label}“ braucht mindestens einen Buchstaben oder eine Ziffer.`;
+    }
+    const foldedLabel = foldCategoryText(label);
+    if (seenLabels.has(foldedLabel) || seenSlugs.has(category.slug)) {
+      return `Die Kategorie „${label}“ gibt es bereits.`;
+    }
+    seenLabels.add(foldedLabel);
+    seenSlugs.add(category.slug);
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_PROFILE_WEIGHTS,
+  MAX_CATEGORY_LABEL_LENGTH,
+  TEMPLATE_CATEGORY_DEFINITIONS,
+  buildCategoryBadgeStyle,
+  buildCategorySlug,
+  buildCustomCategory,
+  buildProfileCategories,
+  findCategory,
+  normalizeCategoryColor,
+  normalizeCategoryKey,
+  validateCategories
+};
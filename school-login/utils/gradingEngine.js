@@ -0,0 +1,736 @@
+// Zentrale Notenberechnung: wird serverseitig per require und im Browser als window.GradingEngine geladen.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.GradingEngine = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  const ABSENCE_MODE_INCLUDE_ZERO = "include_zero";
+  const ABSENCE_MODE_EXCLUDE = "exclude";
+  const DEFAULT_ABSENCE_MODE = ABSENCE_MODE_INCLUDE_ZERO;
+  const DEFAULT_GRADE_THRESHOLDS = {
+    grade1_min_percent: 88.5,
+    grade2_min_percent: 75,
+    grade3_min_percent: 62.5,
+    grade4_min_percent: 50
+  };
+  const PARTICIPATION_SYMBOL_OPTIONS = [
+    { value: "plus", label: "+" },
+    { value: "plus_tilde", label: "+~" },
+    { value: "neutral", label: "~" },
+    { value: "minus_tilde", label: "-~" },
+    { value: "minus", label: "-" }
+  ];
+  const DEFAULT_PARTICIPATION_CONFIG = {
+    ma_enabled: false,
+    ma_weight: 5,
+    ma_grade_plus: 1.5,
+    ma_grade_plus_tilde: 2.5,
+    ma_grade_neutral: 3,
+    ma_grade_minus_tilde: 3.5,
+    ma_grade_minus: 4.5
+  };
+  // Alle Skalen werden auf die 1–5-Achse abgebildet, damit Schnitte fächerübergreifend vergleichbar bleiben.
+  const GRADE_VALUE_MIN = 0.5;
+  const GRADE_VALUE_MAX = 5.5;
+  const DEFAULT_GRADE_SCALE = {
+    id: null,
+    name: "Noten 1–5",
+    pass_threshold: 4,
+    is_default: true,
+    steps: [
+      { label: "1", value: 1, min_percent: null },
+      { label: "2", value: 2, min_percent: null },
+      { label: "3", value: 3, min_percent: null },
+      { label: "4", value: 4, min_percent: null },
+      { label: "5", value: 5, min_percent: null }
+    ]
+  };
+  const GRADING_RULE_DROP_LOWEST = "drop_lowest";
+  const GRADING_RULE_MIN_COUNT = "min_count";
+  const GRADING_RULE_CATEGORY_CAP = "category_cap";
+  const GRADING_RULE_TYPES = [GRADING_RULE_DROP_LOWEST, GRADING_RULE_MIN_COUNT, GRADING_RULE_CATEGORY_CAP];
+  const PARTICIPATION_RULE_CATEGORY = "Mitarbeit";
+  const RETAKE_POLICY_REPLACE = "replace";
+  const RETAKE_POLICY_BEST = "best";
+  const RETAKE_POLICY_AVERAGE = "average";
+  const DEFAULT_RETAKE_POLICY = RETAKE_POLICY_BEST;
+  const RETAKE_POLICY_OPTIONS = [
+    { value: RETAKE_POLICY_REPLACE, label: "Wiederholung ersetzt die Note" },
+    { value: RETAKE_POLICY_BEST, label: "Bessere Note zählt" },
+    { value: RETAKE_POLICY_AVERAGE, label: "Mittelwert beider Noten" }
+  ];
+  const AVERAGE_DECIMALS = 2;
+  const DEFAULT_SUBJECT_LABEL = "Ohne Fachzuordnung";
+
+  function roundTo(value, decimals = AVERAGE_DECIMALS) {
+    const numeric = Number(value);
+    if (!Number.isFinite(numeric)) return null;
+    return Number(numeric.toFixed(decimals));
+  }
+
+  function normalizeAbsenceMode(mode) {
+    const normalized = String(mode || "").trim().toLowerCase();
+    if (normalized === ABSENCE_MODE_EXCLUDE || normalized === ABSENCE_MODE_INCLUDE_ZERO) {
+      return normalized;
+    }
+    return DEFAULT_ABSENCE_MODE;
+  }
+
+  function normalizeRetakePolicy(policy) {
+    const normalized = String(policy || "").trim().toLowerCase();
+    return RETAKE_POLICY_OPTIONS.some((option) => option.value === normalized)
+      ? normalized
+      : DEFAULT_RETAKE_POLICY;
+  }
+
+  function getRetakePolicyLabel(policy) {
+    const normalized = normalizeRetakePolicy(policy);
+    return RETAKE_POLICY_OPTIONS.find((option) => option.value === normalized).label;
+  }
+
+  function normalizeThresholds(source = {}) {
+    const pick = (key, fallback) => {
+      const value = Number(source?.[key]);
+      return Number.isFinite(value) ? value : fallback;
+    };
+    return {
+      grade1_min_percent: pick("grade1_min_percent", DEFAULT_GRADE_THRESHOLDS.grade1_min_percent),
+      grade2_min_percent: pick("grade2_min_percent", DEFAULT_GRADE_THRESHOLDS.grade2_min_percent),
+      grade3_min_percent: pick("grade3_min_percent", DEFAULT_GRADE_THRESHOLDS.grade3_min_percent),
+      grade4_min_percent: pick("grade4_min_percent", DEFAULT_GRADE_THRESHOLDS.grade4_min_percent)
+    };
+  }
+
+  function normalizeParticipationConfig(source = {}) {
+    const pick = (key, fallback) => {
+      const value = Number(source?.[key]);
+      return Number.isFinite(value) ? value : fallback;
+    };
+    const rawEnabled = source?.ma_enabled;
+    const enabled =
+      rawEnabled === true ||
+      rawEnabled === 1 ||
+      rawEnabled === "1" ||
+      rawEnabled === "true" ||
+      rawEnabled === "on";
+    return {
+      ma_enabled: enabled,
+      ma_weight: pick("ma_weight", DEFAULT_PARTICIPATION_CONFIG.ma_weight),
+      ma_grade_plus: pick("ma_grade_plus", DEFAULT_PARTICIPATION_CONFIG.ma_grade_plus),
+      ma_grade_plus_tilde: pick("ma_grade_plus_tilde", DEFAULT_PARTICIPATION_CONFIG.ma_grade_plus_tilde),
+      ma_grade_neutral: pick("ma_grade_neutral", DEFAULT_PARTICIPATION_CONFIG.ma_grade_neutral),
+      ma_grade_minus_tilde: pick("ma_grade_minus_tilde", DEFAULT_PARTICIPATION_CONFIG.ma_grade_minus_tilde),
+      ma_grade_minus: pick("ma_grade_minus", DEFAULT_PARTICIPATION_CONFIG.ma_grade_minus)
+    };
+  }
+
+  function normalizeParticipationSymbol(symbol) {
+    const normalized = String(symbol || "").trim().toLowerCase();
+    if (normalized === "~") return "neutral";
+    if (normalized === "tilde") return "neutral";
+    return PARTICIPATION_SYMBOL_OPTIONS.some((entry) => entry.value === normalized) ? normalized : null;
+  }
+
+  function getParticipationGrade(symbol, config) {
+    const normalized = normalizeParticipationSymbol(symbol);
+    if (!normalized) return null;
+    const source = normalizeParticipationConfig(config);
+    if (normalized === "plus") return source.ma_grade_plus;
+    if (normalized === "plus_tilde") return source.ma_grade_plus_tilde;
+    if (normalized === "neutral") return source.ma_grade_neutral;
+    if (normalized === "minus_tilde") return source.ma_grade_minus_tilde;
+    if (normalized === "minus") return source.ma_grade_minus;
+    return null;
+  }
+
+  function isParticipationActive(config) {
+    const participation = normalizeParticipationConfig(config);
+    return participation.ma_enabled && participation.ma_weight > 0;
+  }
+
+  function buildParticipationAverageRows(marks, config) {
+    const participation = normalizeParticipationConfig(config);
+    if (!isParticipationActive(participation)) return [];
+    return (marks || [])
+      .map((mark) => {
+        const grade = getParticipationGrade(mark.symbol, participation);
+        if (!Number.isFinite(grade)) return null;
+        const row = {
+          grade,
+          weight: participation.ma_weight,
+          is_participation: true
+        };
+        if (mark.subject != null) row.subject = mark.subject;
+        if (mark.created_at != null) row.created_at = mark.created_at;
+        return row;
+      })
+      .filter(Boolean);
+  }
+
+  function isValidGradeValue(value) {
+    const numeric = Number(value);
+    return Number.isFinite(numeric) && numeric >= GRADE_VALUE_MIN && numeric <= GRADE_VALUE_MAX;
+  }
+
+  function isValidWeightValue(value) {
+    const numeric = Number(value);
+    return Number.isFinite(numeric) && numeric >= 0;
+  }
+
+  // Lehrerzeilen tragen die Note in "grade", Schüleransichten in "value".
+  function readGradeValue(row) {
+    if (row?.grade !== undefined && row?.grade !== null) return Number(row.grade);
+    if (row?.value !== undefined && row?.value !== null) return Number(row.value);
+    return NaN;
+  }
+
+  function readWeightValue(row) {
+    return row?.weight == null ? 1 : Number(row.weight);
+  }
+
+  // Entschuldigte Abwesenheiten und solche mit offenem Nachtermin zählen unabhängig vom Profil nie.
+  function isAbsenceWaived(row) {
+    return Boolean(row?.is_absent) && (row.absence_status === "excused" || Boolean(row.makeup_date));
+  }
+
+  // Eine Zeile kann über absence_mode das Profil ihres Fachs mitbringen.
+  function shouldSkipGradeForAbsence(row, absenceMode) {
+    if (!row || !row.is_absent) return false;
+    if (isAbsenceWaived(row)) return true;
+    const mode = normalizeAbsenceMode(row.absence_mode || absenceMode);
+    return mode === ABSENCE_MODE_EXCLUDE;
+  }
+
+  function isGradeExcludedFromAverage(row, absenceMode) {
+    return Boolean(row?.excluded_from_average) || shouldSkipGradeForAbsence(row, absenceMode);
+  }
+
+  function isCountedInAverage(row, absenceMode) {
+    if (isGradeExcludedFromAverage(row, absenceMode)) return false;
+    return isValidGradeValue(readGradeValue(row)) && isValidWeightValue(readWeightValue(row));
+  }
+
+  function accumulate(rows, absenceMode) {
+    return (rows || []).reduce(
+      (acc, row) => {
+        if (!isCountedInAverage(row, absenceMode)) return acc;
+        const value = readGradeValue(row);
+        const weight = readWeightValue(row);
+        acc.weightedSum += value * weight;
+        acc.weightTotal += weight;
+        return acc;
+      },
+      { weightedSum: 0, weightTotal: 0 }
+    );
+  }
+
+  function withGradeValue(row, value) {
+    return row.grade !== undefined && row.grade !== null ? { ...row, grade: value } : { ...row, value };
+  }
+
+  // Eine Wiederholung bildet mit der Originalprüfung desselben Schülers einen Eintrag mit der Gewichtung des Originals.
+  // Die Regel kommt wie absence_mode über die Zeile (retake_policy) oder über options.retakePolicy.
+  function applyRetakePolicy(rows, options = {}) {
+    const list = rows || [];
+    if (!list.some((row) => row && row.retake_of_template_id != null)) return list;
+    const buildKey = (row, templateId) => `${row.student_id ?? ""}:${templateId}`;
+    const originalIndex = new Map();
+    list.forEach((row, index) => {
+      if (row && row.template_id != null) originalIndex.set(buildKey(row, row.template_id), index);
+    });
+
+    const result = list.slice();
+    list.forEach((row, index) => {
+      if (!row || row.retake_of_template_id == null) return;
+      if (!isCountedInAverage(row, options.absenceMode)) return;
+      const targetIndex = originalIndex.get(buildKey(row, row.retake_of_template_id));
+      if (targetIndex == null) return;
+      const original = result[targetIndex];
+      if (!isCountedInAverage(original, options.absenceMode)) {
+        result[index] = { ...row, weight: readWeightValue(original) };
+        return;
+      }
+      const policy = normalizeRetakePolicy(row.retake_policy || options.retakePolicy);
+      const originalValue = readGradeValue(original);
+      const retakeValue = readGradeValue(row);
+      let effectiveValue = retakeValue;
+      if (policy === RETAKE_POLICY_BEST) effectiveValue = Math.min(originalValue, retakeValue);
+      if (policy === RETAKE_POLICY_AVERAGE) effectiveValue = roundTo((originalValue + retakeValue) / 2);
+      result[targetIndex] = {
+        ...withGradeValue(original, effectiveValue),
+        retake_policy_applied: policy,
+        retake_original_value: originalValue,
+        retake_value: retakeValue
+      };
+      result[index] = { ...row, excluded_from_average: true, merged_into_original: true };
+    });
+    return result;
+  }
+
+  function describeRetakes(rows) {
+    return (rows || [])
+      .filter((row) => row && row.retake_policy_applied)
+      .map((row) => {
+        const name = row.name || row.title || "Prüfung";
+        return `Wiederholung von „${name}“: ${getRetakePolicyLabel(row.retake_policy_applied)} (${roundTo(
+          row.retake_original_value
+        )} und ${roundTo(row.retake_value)} → ${roundTo(readGradeValue(row))}).`;
+      });
+  }
+
+  function computeWeightedAverage(rows, options = {}) {
+    if (options.rules && options.rules.length) {
+      return evaluateGradingRules(rows, options.rules, options).average;
+    }
+    const totals = accumulate(applyRetakePolicy(rows, options), options.absenceMode);
+    return totals.weightTotal ? roundTo(totals.weightedSum / totals.weightTotal) : null;
+  }
+
+  function foldRuleText(value) {
+    return String(value || "")
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .trim();
+  }
+
+  function normalizeGradingRules(rules) {
+    return (Array.isArray(rules) ? rules : [])
+      .map((rule) => {
+        const type = String(rule?.rule_type || "").trim();
+        const category = String(rule?.category || "").trim();
+        if (!GRADING_RULE_TYPES.includes(type) || !category) return null;
+        if (type === GRADING_RULE_CATEGORY_CAP) {
+          const threshold = Number(rule.threshold);
+          const capGrade = Number(rule.cap_grade);
+          if (!isValidGradeValue(threshold) || !isValidGradeValue(capGrade)) return null;
+          return { rule_type: type, category, label: rule.label || category, threshold, cap_grade: capGrade };
+        }
+        const amount = Math.floor(Number(rule.amount));
+        if (!Number.isFinite(amount) || amount < 1) return null;
+        return { rule_type: type, category, label: rule.label || category, amount };
+      })
+      .filter(Boolean);
+  }
+
+  function matchesRuleCategory(row, rule) {
+    const category = row?.is_participation ? PARTICIPATION_RULE_CATEGORY : row?.category;
+    return foldRuleText(category) === foldRuleText(rule.category);
+  }
+
+  // Reihenfolge: erst Wiederholungen zusammenführen, dann Streichungen, dann Mindestanzahl, zuletzt Begrenzungen des Gesamtschnitts.
+  function evaluateGradingRules(rows, rules, options = {}) {
+    const absenceMode = options.absenceMode;
+    const mergedRows = applyRetakePolicy(rows, options);
+    const baseAverage = computeWeightedAverage(mergedRows, { absenceMode });
+    const result = {
+      average: baseAverage,
+      base_average: baseAverage,
+      incomplete: false,
+      explanations: describeRetakes(mergedRows),
+      rows: mergedRows
+    };
+    const list = normalizeGradingRules(rules);
+    if (!list.length) return result;
+
+    let working = mergedRows.slice();
+    list
+      .filter((rule) => rule.rule_type === GRADING_RULE_DROP_LOWEST)
+      .forEach((rule) => {
+        const candidates = working.filter(
+          (row) => matchesRuleCategory(row, rule) && isCountedInAverage(row, absenceMode)
+        );
+        if (candidates.length <= rule.amount) return;
+        const dropped = candidates
+          .slice()
+          .sort((a, b) => readGradeValue(b) - readGradeValue(a))
+          .slice(0, rule.amount);
+        working = working.map((row) =>
+          dropped.includes(row) ? { ...row, excluded_from_average: true, dropped_by_rule: true } : row
+        );
+        const label = rule.amount === 1 ? "Schlechteste Note" : `${rule.amount} schlechteste Noten`;
+        result.explanations.push(
+          `${label} in „${rule.label}“ gestrichen: ${dropped.map((row) => roundTo(readGradeValue(row))).join(", ")}.`
+        );
+      });
+    result.rows = working;
+    result.average = computeWeightedAverage(working, { absenceMode });
+
+    list
+      .filter((rule) => rule.rule_type === GRADING_RULE_MIN_COUNT)
+      .forEach((rule) => {
+        const count = mergedRows.filter(
+          (row) => matchesRuleCategory(row, rule) && isCountedInAverage(row, absenceMode)
+        ).length;
+        if (count >= rule.amount) return;
+        result.incomplete = true;
+        result.explanations.push(
+          `Mindestens ${rule.amount} Noten in „${rule.label}“ nötig, vorhanden: ${count}. Der Schnitt ist vorläufig.`
+        );
+      });
+
+    list
+      .filter((rule) => rule.rule_type === GRADING_RULE_CATEGORY_CAP)
+      .forEach((rule) => {
+        const categoryAverage = computeWeightedAverage(
+          working.filter((row) => matchesRuleCategory(row, rule)),
+          { absenceMode }
+        );
+        if (categoryAverage == null || categoryAverage < rule.threshold) return;
+        if (result.average == null || result.average >= rule.cap_grade) return;
+        result.explanations.push(
+          `Schnitt in „${rule.label}“ ist ${categoryAverage} (Grenze ${rule.threshold}): Gesamtschnitt ${result.average} auf ${rule.cap_grade} begrenzt.`
+        );
+        result.average = roundTo(rule.cap_grade);
+      });
+
+    return result;
+  }
+
+  function computeSubjectAverages(rows, options = {}) {
+    const fallbackSubject = options.fallbackSubject || DEFAULT_SUBJECT_LABEL;
+    const buckets = new Map();
+    (rows || []).forEach((row) => {
+      const key = row?.subject || fallbackSubject;
+      const list = buckets.get(key) || [];
+      list.push(row);
+      buckets.set(key, list);
+    });
+
+    const rulesBySubject = options.rulesBySubject || {};
+    const subjects = Array.from(buckets.entries())
+      .map(([subject, subjectRows]) => {
+        const rules = rulesBySubject[subject];
+        if (!rules || !rules.length) {
+          const explanations = describeRetakes(applyRetakePolicy(subjectRows, options));
+          const average = computeWeightedAverage(subjectRows, options);
+          return explanations.length ? { subject, average, explanations } : { subject, average };
+        }
+        const evaluation = evaluateGradingRules(subjectRows, rules, options);
+        return {
+          subject,
+          average: evaluation.average,
+          incomplete: evaluation.incomplete,
+          explanations: evaluation.explanations
+        };
+      })
+      .filter((entry) => entry.average != null);
+
+    return {
+      subjects,
+      overall: computeWeightedAverage(rows, options)
+    };
+  }
+
+  // Was-wäre-wenn: angenommene Noten für offene Prüfungen zählen wie echte Noten (Regeln und Wiederholungen inklusive).
+  function projectAverage(rows, hypotheticalRows, options = {}) {
+    const evaluation = evaluateGradingRules([...(rows || []), ...(hypotheticalRows || [])], options.rules, options);
+    return {
+      average: evaluation.average,
+      incomplete: evaluation.incomplete,
+      explanations: evaluation.explanations
+    };
+  }
+
+  // Schlechteste Stufe, die auf allen offenen Prüfungen noch zur Wunschnote führt.
+  function solveRequiredGrade(rows, openRows, targetGrade, options = {}) {
+    const scale = normalizeGradeScale(options.scale);
+    const target = Number(targetGrade);
+    const reaches = (projection) => {
+      const step = findScaleStep(projection.average, scale);
+      return Boolean(step) && step.value <= target + 1e-9;
+    };
+    const open = openRows || [];
+    if (!open.length) {
+      const projection = projectAverage(rows, [], options);
+      return { reachable: reaches(projection), required_grade: null, projection };
+    }
+
+    let projection = null;
+    for (const step of scale.steps.slice().reverse()) {
+      projection = projectAverage(rows, open.map((row) => ({ ...row, value: step.value })), options);
+      if (reaches(projection)) {
+        return { reachable: true, required_grade: step.value, projection };
+      }
+    }
+    return { reachable: false, required_grade: null, projection };
+  }
+
+  function mapGradeToEstimatedPercent(grade, thresholdsSource) {
+    const value = Number(grade);
+    if (!isValidGradeValue(value)) return null;
+
+    const thresholds = normalizeThresholds(thresholdsSource || {});
+    const anchors = [
+      { grade: 1, percent: 100 },
+      { grade: 2, percent: Number(thresholds.grade2_min_percent) },
+      { grade: 3, percent: Number(thresholds.grade3_min_percent) },
+      { grade: 4, percent: Number(thresholds.grade4_min_percent) },
+      { grade: 5, percent: 0 }
+    ];
+
+    if (value <= 1) return 100;
+    if (value >= 5) return 0;
+
+    const lower = Math.floor(value);
+    const upper = Math.ceil(value);
+    const lowerAnchor = anchors.find((entry) => entry.grade === lower);
+    const upperAnchor = anchors.find((entry) => entry.grade === upper);
+    if (!lowerAnchor || !upperAnchor) return null;
+    if (lower === upper) return Number(lowerAnchor.percent);
+
+    const ratio = (value - lower) / (upper - lower);
+    return roundTo(lowerAnchor.percent + (upperAnchor.percent - lowerAnchor.percent) * ratio, 4);
+  }
+
+  function buildGradeFromPercent(percent, thresholdsSource) {
+    if (percent == null || percent === "") return null;
+    const value = Number(percent);
+    if (!Number.isFinite(value)) return null;
+    const t = normalizeThresholds(thresholdsSource);
+    if (value >= t.grade1_min_percent) return 1;
+    if (value >= t.grade2_min_percent) return 2;
+    if (value >= t.grade3_min_percent) return 3;
+    if (value >= t.grade4_min_percent) return 4;
+    return 5;
+  }
+
+  function normalizeGradeScale(scale) {
+    if (!scale || scale.is_default) return DEFAULT_GRADE_SCALE;
+    const steps = (scale?.steps || [])
+      .map((step) => ({
+        label: String(step?.label ?? "").trim(),
+        value: Number(step?.value),
+        min_percent:
+          step?.min_percent == null || step.min_percent === "" || !Number.isFinite(Number(step.min_percent))
+            ? null
+            : Number(step.min_percent)
+      }))
+      .filter((step) => step.label && isValidGradeValue(step.value))
+      .sort((a, b) => a.value - b.value);
+    if (!steps.length) return DEFAULT_GRADE_SCALE;
+    const passThreshold = Number(scale.pass_threshold);
+    return {
+      id: scale.id ?? null,
+      name: scale.name || DEFAULT_GRADE_SCALE.name,
+      pass_threshold: Number.isFinite(passThreshold) ? passThreshold : steps[steps.length - 1].value,
+      is_default: false,
+      steps
+    };
+  }
+
+  // Nächstgelegene Stufe; bei Gleichstand zählt wie beim Runden die schlechtere.
+  function findScaleStep(value, scale) {
+    const numeric = Number(value);
+    if (value == null || !Number.isFinite(numeric)) return null;
+    const { steps } = normalizeGradeScale(scale);
+    return steps.reduce((best, step) => {
+      if (!best) return step;
+      const distance = Math.abs(step.value - numeric);
+      const bestDistance = Math.abs(best.value - numeric);
+      if (distance < bestDistance - 1e-9) return step;
+      if (Math.abs(distance - bestDistance) <= 1e-9 && step.value > best.value) return step;
+      return best;
+    }, null);
+  }
+
+  function formatGradeLabel(value, scale) {
+    const numeric = Number(value);
+    if (value == null || !Number.isFinite(numeric)) return null;
+    const normalized = normalizeGradeScale(scale);
+    if (normalized.is_default) return String(roundTo(numeric));
+    return findScaleStep(numeric, normalized)?.label ?? null;
+  }
+
+  function isPassingGrade(value, scale) {
+    const normalized = normalizeGradeScale(scale);
+    const step = findScaleStep(value, normalized);
+    return step ? step.value <= normalized.pass_threshold : null;
+  }
+
+  // Standardskala: freie Eingabe 1–5 (z. B. 2.5); eigene Skalen: Bezeichnung oder Zahlenwert einer Stufe.
+  function parseGradeInput(input, scale) {
+    const text = String(input ?? "").trim();
+    if (!text) return null;
+    const normalized = normalizeGradeScale(scale);
+    const numeric = Number(text.replace(",", "."));
+    if (normalized.is_default) {
+      return Number.isFinite(numeric) && numeric >= 1 && numeric <= 5 ? numeric : null;
+    }
+    const byLabel = normalized.steps.find((step) => step.label.toLowerCase() === text.toLowerCase());
+    if (byLabel) return byLabel.value;
+    const byValue = normalized.steps.find((step) => Math.abs(step.value - numeric) < 1e-9);
+    return byValue ? byValue.value : null;
+  }
+
+  function getWorstScaleValue(scale) {
+    const { steps } = normalizeGradeScale(scale);
+    return steps[steps.length - 1].value;
+  }
+
+  function buildScaleGradeFromPercent(percent, thresholdsSource, scale) {
+    const normalized = normalizeGradeScale(scale);
+    if (normalized.is_default) return buildGradeFromPercent(percent, thresholdsSource);
+    if (percent == null || percent === "" || !Number.isFinite(Number(percent))) return null;
+    if (normalized.steps.every((step) => step.min_percent != null)) {
+      const step = normalized.steps.find((entry) => Number(percent) >= entry.min_percent);
+      return step ? step.value : getWorstScaleValue(normalized);
+    }
+    return findScaleStep(buildGradeFromPercent(percent, thresholdsSource), normalized).value;
+  }
+
+  function computePointsPercent(achieved, max) {
+    const achievedValue = Number(achieved);
+    const maxValue = Number(max);
+    if (!Number.isFinite(achievedValue) || !Number.isFinite(maxValue) || maxValue <= 0) return null;
+    return roundTo((achievedValue / maxValue) * 100);
+  }
+
+  function computePointTotalsWithParticipation(entries, options = {}) {
+    const thresholds = normalizeThresholds(options.thresholds || {});
+    return (entries || []).reduce(
+      (acc, row) => {
+        if (isGradeExcludedFromAverage(row, options.absenceMode)) return acc;
+
+        const achieved = Number(row?.points_achieved);
+        const max = Number(row?.points_max);
+        if (Number.isFinite(achieved) && Number.isFinite(max) && max > 0) {
+          acc.achieved += achieved;
+          acc.max += max;
+          return acc;
+        }
+
+        if (!row?.is_participation) return acc;
+
+        const weight = Number(row?.weight);
+        const grade = Number(row?.grade);
+        if (!isValidWeightValue(weight) || weight <= 0 || !isValidGradeValue(grade)) return acc;
+
+        const estimatedPercent = mapGradeToEstimatedPercent(grade, thresholds);
+        if (!Number.isFinite(estimatedPercent)) return acc;
+
+        acc.max += weight;
+        acc.achieved += weight * (estimatedPercent / 100);
+        return acc;
+      },
+      { achieved: 0, max: 0 }
+    );
+  }
+
+  function summarizePointTotals(totals) {
+    if (!totals || !(Number(totals.max) > 0)) return null;
+    return {
+      achieved: roundTo(totals.achieved),
+      max: roundTo(totals.max),
+      percent: computePointsPercent(totals.achieved, totals.max)
+    };
+  }
+
+  function toDateKey(value) {
+    if (value == null || value === "") return null;
+    if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) return null;
+    const pad = (part) => String(part).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  // Prüfungsdatum vor Eintragungsdatum: so landet eine Schularbeit im Semester, in dem sie geschrieben wurde.
+  function getRowDateKey(row) {
+    return toDateKey(row?.date || row?.graded_at || row?.created_at);
+  }
+
+  function isRowInTerm(row, term, options = {}) {
+    if (!term) return true;
+    const key = getRowDateKey(row);
+    if (!key) return false;
+    if (!options.cumulative && key < toDateKey(term.start_date)) return false;
+    return key <= toDateKey(term.end_date);
+  }
+
+  function filterRowsByTerm(rows, term, options = {}) {
+    return (rows || []).filter((row) => isRowInTerm(row, term, options));
+  }
+
+  // Vorschlag für die Zeugnisnote: kaufmännisch gerundet, x,5 fällt auf die schlechtere Note.
+  function suggestFinalGrade(average) {
+    const value = Number(average);
+    if (average == null || !Number.isFinite(value)) return null;
+    return Math.min(5, Math.max(1, Math.round(value)));
+  }
+
+  function findTermForDate(terms, value) {
+    const key = toDateKey(value);
+    if (!key) return null;
+    return (
+      (terms || []).find(
+        (term) => key >= toDateKey(term.start_date) && key <= toDateKey(term.end_date)
+      ) || null
+    );
+  }
+
+  return {
+    ABSENCE_MODE_EXCLUDE,
+    ABSENCE_MODE_INCLUDE_ZERO,
+    DEFAULT_ABSENCE_MODE,
+    DEFAULT_GRADE_SCALE,
+    DEFAULT_GRADE_THRESHOLDS,
+    DEFAULT_PARTICIPATION_CONFIG,
+    DEFAULT_RETAKE_POLICY,
+    GRADE_VALUE_MAX,
+    GRADE_VALUE_MIN,
+    GRADING_RULE_CATEGORY_CAP,
+    GRADING_RULE_DROP_LOWEST,
+    GRADING_RULE_MIN_COUNT,
+    GRADING_RULE_TYPES,
+    PARTICIPATION_SYMBOL_OPTIONS,
+    RETAKE_POLICY_AVERAGE,
+    RETAKE_POLICY_BEST,
+    RETAKE_POLICY_OPTIONS,
+    RETAKE_POLICY_REPLACE,
+    applyRetakePolicy,
+    buildGradeFromPercent,
+    buildParticipationAverageRows,
+    buildScaleGradeFromPercent,
+    computePointTotalsWithParticipation,
+    computePointsPercent,
+    computeSubjectAverages,
+    computeWeightedAverage,
+    evaluateGradingRules,
+    filterRowsByTerm,
+    findScaleStep,
+    findTermForDate,
+    formatGradeLabel,
+    getParticipationGrade,
+    getRetakePolicyLabel,
+    getRowDateKey,
+    getWorstScaleValue,
+    isAbsenceWaived,
+    isCountedInAverage,
+    isGradeExcludedFromAverage,
+    isParticipationActive,
+    isPassingGrade,
+    isRowInTerm,
+    isValidGradeValue,
+    isValidWeightValue,
+    mapGradeToEstimatedPercent,
+    normalizeAbsenceMode,
+    normalizeGradeScale,
+    normalizeGradingRules,
+    normalizeParticipationConfig,
+    normalizeParticipationSymbol,
+    normalizeRetakePolicy,
+    normalizeThresholds,
+    parseGradeInput,
+    projectAverage,
+    readGradeValue,
+    roundTo,
+    shouldSkipGradeForAbsence,
+    solveRequiredGrade,
+    suggestFinalGrade,
+    summarizePointTotals,
+    toDateKey
+  };
+});
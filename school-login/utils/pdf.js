@@ -0,0 +1,99 @@
+// Einfache einseitige PDFs (Helvetica, WinAnsi), ohne zusätzliche Abhängigkeiten.
+const WIN_ANSI_EXTRAS = new Map([
+  ["€", 0x80],
+  ["‚", 0x82],
+  ["„", 0x84],
+  ["…", 0x85],
+  ["‘", 0x91],
+  ["’", 0x92],
+  ["“", 0x93],
+  ["”", 0x94],
+  ["–", 0x96],
+  ["—", 0x97]
+]);
+
+function toPdfOctal(code) {
+  return `\\${code.toString(8).padStart(3, "0")}`;
+}
+
+function sanitizePdfText(value) {
+  return Array.from(String(value || ""))
+    .map((char) => {
+      if (char === "\\" || char === "(" || char === ")") return `\\${char}`;
+      const code = char.charCodeAt(0);
+      if (code >= 0x20 && code <= 0x7e) return char;
+      if (code >= 0xa0 && code <= 0xff) return toPdfOctal(code);
+      if (WIN_ANSI_EXTRAS.has(char)) return toPdfOctal(WIN_ANSI_EXTRAS.get(char));
+      return "?";
+    })
+    .join("");
+}
+
+// Bricht Fließtext an Wortgrenzen um, damit er auf die Seitenbreite passt.
+function wrapPdfText(text, maxLength = 90) {
+  const lines = [];
+  let current = "";
+  String(text || "")
+    .split(/\s+/)
+    .filter(Boolean)
+    .forEach((word) => {
+      if (current && current.length + word.length + 1 > maxLength) {
+        lines.push(current);
+        current = word;
+      } else {
+        current = current ? `${current} ${word}` : word;
+      }
+    });
+  if (current) lines.push(current);
+  return lines;
+}
+
+function buildPdf(lines) {
+  const safeLines = lines.map((line) => sanitizePdfText(line));
+  const contentLines = ["BT", "/F1 12 Tf", "14 TL", "72 760 Td"];
+
+  safeLines.forEach((line, index) => {
+    contentLines.push(`(${line}) Tj`);
+    if (index < safeLines.length - 1) {
+      contentLines.push("T*");
+    }
+  });
+
+  contentLines.push("ET");
+  const content = contentLines.join("\n");
+
+  const objects = [
+    "1 0 obj\n<< /Type /Catalog /Pages 2 0 R >>\nendobj\n",
+    "2 0 obj\n<< /Type /Pages /Kids [3 0 R] /Count 1 >>\nendobj\n",
+    "3 0 obj\n<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>\nendobj\n",
+    `4 0 obj\n<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`,
+    "5 0 obj\n<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>\nendobj\n"
+  ];
+
+  let pdf = "%PDF-1.4\n";
+  const offsets = [0];
+  let currentOffset = pdf.length;
+
+  objects.forEach((obj) => {
+    offsets.push(currentOffset);
+    pdf += obj;
+    currentOffset = pdf.length;
+  });
+
+  const xrefOffset = currentOffset;
+  pdf += `xref\n0 ${objects.length + 1}\n`;
+  pdf += "0000000000 65535 f \n";
+  offsets.slice(1).forEach((offset) => {
+    pdf += `${String(offset).padStart(10, "0")} 00000 n \n`;
+  });
+
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return pdf;
+}
+
+module.exports = {
+  buildPdf,
+  sanitizePdfText,
+  wrapPdfText
+};
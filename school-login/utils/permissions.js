@@ -0,0 +1,90 @@
+const BASE_ROLES = ["admin", "teacher", "student", "guardian"];
+
+const PERMISSIONS = [
+  { key: "admin.access", label: "Adminbereich einsehen", group: "Verwaltung" },
+  { key: "users.manage", label: "Nutzer anlegen, bearbeiten und sperren", group: "Verwaltung" },
+  { key: "users.impersonate", label: "Als anderer Nutzer ansehen", group: "Verwaltung" },
+  { key: "classes.manage", label: "Klassen und Schüler verwalten", group: "Verwaltung" },
+  { key: "assignments.manage", label: "Unterrichtszuordnung bearbeiten", group: "Verwaltung" },
+  { key: "grade_scales.manage", label: "Notenskalen anlegen und Fächern zuordnen", group: "Verwaltung" },
+  { key: "school_years.manage", label: "Schuljahreswechsel durchführen", group: "Schuljahre" },
+  { key: "archive.view", label: "Archiv einsehen und exportieren", group: "Schuljahre" },
+  { key: "archive.purge", label: "Archiv und Schulabgänger endgültig löschen", group: "Schuljahre" },
+  { key: "audit.view", label: "Audit-Log einsehen", group: "System" },
+  { key: "settings.manage", label: "Anmeldung, Rollen und Rechte verwalten", group: "System" },
+  { key: "teacher.access", label: "Lehrerbereich nutzen", group: "Unterricht" },
+  { key: "student.access", label: "Schülerbereich nutzen", group: "Unterricht" },
+  { key: "guardian.access", label: "Noten der verknüpften Kinder einsehen", group: "Unterricht" }
+];
+
+const PERMISSION_KEYS = PERMISSIONS.map((entry) => entry.key);
+
+const AREA_PERMISSIONS = ["teacher.access", "student.access", "guardian.access"];
+const ADMIN_PERMISSIONS = PERMISSION_KEYS.filter((key) => !AREA_PERMISSIONS.includes(key));
+
+const DEFAULT_ROLES = [
+  {
+    key: "admin",
+    label: "Admin",
+    description: "Volle Verwaltung der Schule.",
+    baseRole: "admin",
+    isSystem: true,
+    permissions: ADMIN_PERMISSIONS
+  },
+  {
+    key: "teacher",
+    label: "Lehrer",
+    description: "Unterricht, Noten und Prüfungen der eigenen Fächer.",
+    baseRole: "teacher",
+    isSystem: true,
+    permissions: ["teacher.access"]
+  },
+  {
+    key: "student",
+    label: "Schüler",
+    description: "Eigene Noten, Aufgaben und Rückgaben.",
+    baseRole: "student",
+    isSystem: true,
+    permissions: ["student.access"]
+  },
+  {
+    key: "guardian",
+    label: "Erziehungsberechtigte",
+    description: "Lesezugriff auf Noten und Aufgaben der verknüpften Kinder.",
+    baseRole: "guardian",
+    isSystem: true,
+    permissions: ["guardian.access"]
+  },
+  {
+    key: "direktion",
+    label: "Direktion",
+    description: "Lesezugriff auf die gesamte Schule.",
+    baseRole: "admin",
+    isSystem: false,
+    permissions: ["admin.access", "archive.view", "audit.view"]
+  },
+  {
+    key: "sekretariat",
+    label: "Sekretariat",
+    description: "Nutzer- und Klassenverwaltung ohne endgültiges Löschen im Archiv.",
+    baseRole: "admin",
+    isSystem: false,
+    permissions: ["admin.access", "users.manage", "classes.manage", "assignments.manage", "archive.view"]
+  },
+  {
+    key: "abteilungsvorstand",
+    label: "Abteilungsvorstand",
+    description: "Unterricht wie Lehrer, zusätzlich Einsicht in Klassen und Nutzer.",
+    baseRole: "teacher",
+    isSystem: false,
+    permissions: ["teacher.access", "admin.access"]
+  }
+];
+
+module.exports = {
+  ADMIN_PERMISSIONS,
+  BASE_ROLES,
+  DEFAULT_ROLES,
+  PERMISSIONS,
+  PERMISSION_KEYS
+};
@@ -0,0 +1,130 @@
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_SECRET_BYTES = 20;
+
+function encodeBase32(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function decodeBase32(value) {
+  const normalized = String(value || "")
+    .toUpperCase()
+    .replace(/[\s=-]+/g, "");
+  let bits = 0;
+  let current = 0;
+  const bytes = [];
+
+  for (const char of normalized) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Ungültiges Base32-Zeichen im TOTP-Secret.");
+    }
+    current = (current << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((current >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+function generateTotpSecret() {
+  return encodeBase32(crypto.randomBytes(TOTP_SECRET_BYTES));
+}
+
+function getTimeStep(timestampMs = Date.now()) {
+  return Math.floor(timestampMs / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+function generateHotp(secret, counter) {
+  const key = decodeBase32(secret);
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac("sha1", key).update(counterBuffer).digest();
+  const offset = digest[digest.length - 1] & 15;
+  const binary =
+    ((digest[offset] & 127) << 24) |
+    ((digest[offset + 1] & 255) << 16) |
+    ((digest[offset + 2] & 255) << 8) |
+    (digest[offset + 3] & 255);
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+function generateTotp(secret, timestampMs = Date.now()) {
+  return generateHotp(secret, getTimeStep(timestampMs));
+}
+
+function normalizeTotpToken(token) {
+  return String(token || "").replace(/\s+/g, "");
+}
+
+// Returns the matched time step so callers can reject a code that was already used.
+function verifyTotp(secret, token, { window = 1, timestampMs = Date.now() } = {}) {
+  const normalizedToken = normalizeTotpToken(token);
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalizedToken)) return null;
+
+  const currentStep = getTimeStep(timestampMs);
+  for (let offset = -window; offset <= window; offset += 1) {
+    const step = currentStep + offset;
+    if (step < 0) continue;
+    const expected = Buffer.from(generateHotp(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalizedToken))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+function buildOtpauthUrl({ secret, accountName, issuer }) {
+  const label = issuer ? `${issuer}:${accountName}` : accountName;
+  const params = new URLSearchParams({
+    secret,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  if (issuer) params.set("issuer", issuer);
+  return `otpauth://totp/${encodeURIComponent(label)}?${params.toString()}`;
+}
+
+function formatTotpSecret(secret) {
+  return String(secret || "").replace(/(.{4})/g, "$1 ").trim();
+}
+
+module.exports = {
+  TOTP_DIGITS,
+  TOTP_PERIOD_SECONDS,
+  buildOtpauthUrl,
+  decodeBase32,
+  encodeBase32,
+  formatTotpSecret,
+  generateTotp,
+  generateTotpSecret,
+  getTimeStep,
+  normalizeTotpToken,
+  verifyTotp
+};
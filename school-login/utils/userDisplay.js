@@ -1,7 +1,8 @@
 const ROLE_LABELS = Object.freeze({
   admin: "Administrator",
   student: "Sch\u00fcler",
-  teacher: "Lehrer"
+  teacher: "Lehrer",
+  guardian: "Erziehungsberechtigte"
 });
 
 const SCHOOL_BADGE_LABEL = "HTLWY";